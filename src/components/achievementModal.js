@@ -3,11 +3,13 @@
  * Displays detailed achievement information with progress tracking
  */
 
-import { UI_Z_LAYERS, UI_COLORS, UI_TEXT_SIZES } from '../config/uiConfig.js';
+import { UI_Z_LAYERS, UI_TEXT_SIZES } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
 import { ACHIEVEMENT_COLORS, getAchievementProgress, getAchievementReward } from '../data/achievements.js';
 import { CHARACTER_UNLOCKS, WEAPON_UNLOCKS, COSMETIC_UNLOCKS } from '../data/unlocks.js';
 import { getSaveStats, isAchievementUnlocked, getCurrencyName } from '../systems/metaProgression.js';
 import { playMenuNav } from '../systems/sounds.js';
+import { getMenuNavigation } from '../systems/menuNavigation.js';
 
 /**
  * Get characters unlocked by a specific achievement
@@ -29,7 +31,8 @@ let modalState = {
     isOpen: false,
     elements: [],
     k: null,
-    onClose: null
+    onClose: null,
+    popNavigationLayer: null
 };
 
 /**
@@ -47,6 +50,8 @@ export function showAchievementModal(k, achievement, onClose = null) {
     modalState.isOpen = true;
     modalState.onClose = onClose;
     modalState.elements = [];
+    // Gamepad focus stays on the modal while it is open; B closes it
+    modalState.popNavigationLayer = getMenuNavigation()?.pushLayer({ onBack: closeAchievementModal }) || null;
 
     const stats = getSaveStats();
     const isUnlocked = isAchievementUnlocked(achievement.id);
@@ -82,7 +87,7 @@ export function showAchievementModal(k, achievement, onClose = null) {
         k.rect(modalWidth, modalHeight),
         k.pos(centerX, centerY),
         k.anchor('center'),
-        k.color(...UI_COLORS.BG_MEDIUM),
+        k.color(...getUIColors().BG_MEDIUM),
         k.outline(3, k.rgb(...difficultyColor)),
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL),
@@ -92,10 +97,10 @@ export function showAchievementModal(k, achievement, onClose = null) {
 
     // Achievement name
     const nameText = k.add([
-        k.text(achievement.name, { size: UI_TEXT_SIZES.HEADER }),
+        k.text(achievement.name, { size: scaleTextSize(UI_TEXT_SIZES.HEADER) }),
         k.pos(centerX, centerY - 130),
         k.anchor('center'),
-        k.color(...(isUnlocked ? difficultyColor : UI_COLORS.TEXT_DISABLED)),
+        k.color(...(isUnlocked ? difficultyColor : getUIColors().TEXT_DISABLED)),
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL + 1),
         'achievementModal'
@@ -108,7 +113,7 @@ export function showAchievementModal(k, achievement, onClose = null) {
         k.pos(centerX, centerY - 70),
         k.anchor('center'),
         k.color(isUnlocked ? 50 : 30, isUnlocked ? 50 : 30, isUnlocked ? 60 : 30),
-        k.outline(2, k.rgb(...(isUnlocked ? difficultyColor : UI_COLORS.TEXT_DISABLED))),
+        k.outline(2, k.rgb(...(isUnlocked ? difficultyColor : getUIColors().TEXT_DISABLED))),
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL + 1),
         'achievementModal'
@@ -116,7 +121,7 @@ export function showAchievementModal(k, achievement, onClose = null) {
     modalState.elements.push(iconBg);
 
     const iconText = k.add([
-        k.text(achievement.icon, { size: 36 }),
+        k.text(achievement.icon, { size: scaleTextSize(UI_TEXT_SIZES.TITLE) }),
         k.pos(centerX, centerY - 70),
         k.anchor('center'),
         k.color(...(isUnlocked ? [255, 255, 255] : [80, 80, 80])),
@@ -128,10 +133,10 @@ export function showAchievementModal(k, achievement, onClose = null) {
 
     // Description
     const descText = k.add([
-        k.text(achievement.description, { size: UI_TEXT_SIZES.BODY, width: modalWidth - 40 }),
+        k.text(achievement.description, { size: scaleTextSize(UI_TEXT_SIZES.BODY), width: modalWidth - 40 }),
         k.pos(centerX, centerY - 25),
         k.anchor('center'),
-        k.color(...UI_COLORS.TEXT_SECONDARY),
+        k.color(...getUIColors().TEXT_SECONDARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL + 1),
         'achievementModal'
@@ -167,10 +172,10 @@ export function showAchievementModal(k, achievement, onClose = null) {
 
         if (unlockParts.length > 0) {
             const unlocksText = k.add([
-                k.text(`Unlocks: ${unlockParts.join(', ')}`, { size: UI_TEXT_SIZES.SMALL, width: modalWidth - 40 }),
+                k.text(`Unlocks: ${unlockParts.join(', ')}`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL), width: modalWidth - 40 }),
                 k.pos(centerX, centerY + 5),
                 k.anchor('center'),
-                k.color(...(isUnlocked ? UI_COLORS.SUCCESS : UI_COLORS.GOLD)),
+                k.color(...(isUnlocked ? getUIColors().SUCCESS : getUIColors().GOLD)),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 1),
                 'achievementModal'
@@ -217,10 +222,10 @@ export function showAchievementModal(k, achievement, onClose = null) {
 
         // Progress text
         const progressText = k.add([
-            k.text(`${progress.current}/${progress.target} (${progress.percentage}%)`, { size: UI_TEXT_SIZES.SMALL }),
+            k.text(`${progress.current}/${progress.target} (${progress.percentage}%)`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(centerX, progressY + 25),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_TERTIARY),
+            k.color(...getUIColors().TEXT_TERTIARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 1),
             'achievementModal'
@@ -229,10 +234,10 @@ export function showAchievementModal(k, achievement, onClose = null) {
     } else if (isUnlocked) {
         // Show "UNLOCKED" status
         const unlockedText = k.add([
-            k.text('UNLOCKED', { size: UI_TEXT_SIZES.LABEL }),
+            k.text('UNLOCKED', { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
             k.pos(centerX, progressBaseY),
             k.anchor('center'),
-            k.color(...UI_COLORS.SUCCESS),
+            k.color(...getUIColors().SUCCESS),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 1),
             'achievementModal'
@@ -247,10 +252,10 @@ export function showAchievementModal(k, achievement, onClose = null) {
         const rewardY = progressBaseY + (isUnlocked ? 35 : (progress ? 55 : 35));
 
         const rewardLabel = k.add([
-            k.text('-- REWARD --', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('-- REWARD --', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(centerX, rewardY),
             k.anchor('center'),
-            k.color(...UI_COLORS.GOLD),
+            k.color(...getUIColors().GOLD),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 1),
             'achievementModal'
@@ -259,10 +264,10 @@ export function showAchievementModal(k, achievement, onClose = null) {
 
         const currencyName = getCurrencyName();
         const rewardText = k.add([
-            k.text(`${currencyName}${creditReward}`, { size: UI_TEXT_SIZES.H2 }),
+            k.text(`${currencyName}${creditReward}`, { size: scaleTextSize(UI_TEXT_SIZES.H2) }),
             k.pos(centerX, rewardY + 25),
             k.anchor('center'),
-            k.color(...(isUnlocked ? UI_COLORS.SUCCESS : UI_COLORS.GOLD)),
+            k.color(...(isUnlocked ? getUIColors().SUCCESS : getUIColors().GOLD)),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 1),
             'achievementModal'
@@ -274,7 +279,7 @@ export function showAchievementModal(k, achievement, onClose = null) {
     // Using lenticular brackets instead of square brackets to avoid KAPLAY styled text tag parsing
     const difficultyName = achievement.difficulty.charAt(0).toUpperCase() + achievement.difficulty.slice(1);
     const difficultyBadge = k.add([
-        k.text(`【${difficultyName}】`, { size: UI_TEXT_SIZES.SMALL }),
+        k.text(`【${difficultyName}】`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
         k.pos(centerX, centerY + modalHeight / 2 - 60),
         k.anchor('center'),
         k.color(...difficultyColor),
@@ -289,8 +294,8 @@ export function showAchievementModal(k, achievement, onClose = null) {
         k.rect(80, 30),
         k.pos(centerX, centerY + modalHeight / 2 - 30),
         k.anchor('center'),
-        k.color(...UI_COLORS.NEUTRAL),
-        k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+        k.color(...getUIColors().NEUTRAL),
+        k.outline(2, k.rgb(...getUIColors().BORDER)),
         k.area(),
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL + 1),
@@ -299,20 +304,22 @@ export function showAchievementModal(k, achievement, onClose = null) {
     modalState.elements.push(closeButton);
 
     const closeText = k.add([
-        k.text('CLOSE', { size: UI_TEXT_SIZES.SMALL }),
+        k.text('CLOSE', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
         k.pos(centerX, centerY + modalHeight / 2 - 30),
         k.anchor('center'),
-        k.color(...UI_COLORS.TEXT_SECONDARY),
+        k.color(...getUIColors().TEXT_SECONDARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL + 2),
         'achievementModal'
     ]);
     modalState.elements.push(closeText);
 
-    closeButton.onClick(() => {
+    const closeFromButton = () => {
         playMenuNav();
         closeAchievementModal();
-    });
+    };
+    closeButton.onClick(closeFromButton);
+    getMenuNavigation()?.add(closeButton, closeFromButton, { initial: true });
 
     // Close on escape key
     const escHandler = k.onKeyPress('escape', () => {
@@ -338,6 +345,11 @@ export function closeAchievementModal() {
     });
     modalState.elements = [];
 
+    if (modalState.popNavigationLayer) {
+        modalState.popNavigationLayer();
+        modalState.popNavigationLayer = null;
+    }
+
     // Cancel escape handler
     if (modalState.escHandler) {
         modalState.escHandler.cancel();
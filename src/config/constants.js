@@ -6,6 +6,8 @@
  * constants may need to be synchronized across clients.
  */
 
+import { gameplayRandom } from '../utils/seededRandom.js';
+
 // =============================================================================
 // GAME WINDOW & RENDERING
 // =============================================================================
@@ -21,6 +23,9 @@ export const GAME_CONFIG = {
 
     // Debug mode
     DEBUG_MODE: false,
+
+    // Dev-only tools (room editor on F2 in the menu) - on under 'npm run dev'
+    DEV_TOOLS: Boolean(import.meta.env?.DEV),
 };
 
 // =============================================================================
@@ -63,6 +68,11 @@ export const PROGRESSION_CONFIG = {
     // Level up notification
     LEVEL_UP_NOTIFICATION_Y: 100, // Y position of level up text
     LEVEL_UP_NOTIFICATION_DURATION: 0.5, // Seconds before showing upgrade draft
+
+    // Skipping an upgrade draft (Rain Check charges)
+    DRAFT_SKIP_CREDITS_BASE: 8, // Credits for skipping a draft...
+    DRAFT_SKIP_CREDITS_PER_LEVEL: 1, // ...plus this per player level
+    DRAFT_SKIP_XP_FRACTION: 0.5, // Or this fraction of the XP needed for the next level
 };
 
 // =============================================================================
@@ -143,6 +153,9 @@ export const WEAPON_CONFIG = {
     // Explosive weapons
     BASE_EXPLOSION_RADIUS: 50, // Area damage radius
     BASE_EXPLOSION_DAMAGE: 15, // Area damage amount
+    CLUSTER_BOMBLET_SPEED: 160, // Cluster Launcher bomblets scatter at this speed
+    CLUSTER_BOMBLET_FUSE: 0.35, // Seconds before a bomblet bursts on its own
+    CLUSTER_BOMBLET_RATIO: 0.5, // Bomblet blast radius and damage vs. the parent explosion
 
     // Chain lightning
     BASE_CHAIN_RANGE: 70, // Distance between chain jumps
@@ -155,7 +168,7 @@ export const WEAPON_CONFIG = {
 };
 
 // =============================================================================
-// MULTIPLAYER (Future - Placeholder)
+// MULTIPLAYER
 // =============================================================================
 
 export const MULTIPLAYER_CONFIG = {
@@ -166,10 +179,27 @@ export const MULTIPLAYER_CONFIG = {
     // Default mode
     DEFAULT_MODE: 'singleplayer', // 'singleplayer' | 'coop'
 
-    // Network (future)
+    // Network
     TICK_RATE: 60, // Server tick rate
-    CLIENT_PREDICTION: true, // Enable client-side prediction
-    INTERPOLATION_DELAY: 100, // Milliseconds of interpolation buffer
+    CLIENT_PREDICTION: true, // Clients move and fire ahead of the host, then reconcile (netPrediction.js)
+    INTERPOLATION_DELAY: 100, // Milliseconds remote players and enemies are drawn behind the host
+
+    // Host migration (hostMigration.js)
+    HOST_MIGRATION: true, // Hand an online run to the next player when the host leaves
+    MIGRATION_CONNECT_ATTEMPTS: 4, // Tries to reach the new host before giving up
+    MIGRATION_CONNECT_TIMEOUT: 2500, // Milliseconds per try
+    MIGRATION_RETRY_DELAY: 500, // Milliseconds before each try (all of it inside the party's 15s reconnect window)
+
+    // Spectators (spectatorSystem.js)
+    MAX_SPECTATORS: 4, // Read-only observers a party accepts besides its players
+
+    // Chat and quick-chat pings (chatSystem.js)
+    CHAT_MAX_LENGTH: 120, // Characters per message
+    CHAT_HISTORY_SIZE: 50, // Messages kept for the open chat overlay
+    CHAT_RATE_LIMIT: 4, // Messages a player can send...
+    CHAT_RATE_WINDOW: 5000, // ...per this many milliseconds (the host enforces it too)
+    PING_COOLDOWN: 1500, // Milliseconds between a player's quick-chat pings
+    PING_DURATION: 4, // Seconds a ping's world marker stays up
 };
 
 // =============================================================================
@@ -189,12 +219,49 @@ export const PICKUP_CONFIG = {
     CURRENCY_PULSE_AMOUNT: 0.15, // Amount of pulse scaling
     CURRENCY_COLOR: [255, 215, 0], // Gold
 
+    // Health Pickups
+    HEALTH_LIFETIME: 20, // Seconds before health pickups despawn (longest - they're rare)
+    HEALTH_PULSE_SPEED: 3, // Speed of heartbeat animation
+    HEALTH_PULSE_AMOUNT: 0.2, // Amount of pulse scaling
+    OVERHEAL_CAP: 0.5, // Overheal can raise HP up to 150% of max health
+    OVERHEAL_DECAY: 0.02, // HP above max health drains at 2% of max health per second
+
     // Magnetization
     MAGNETIZE_SPEED: 800, // Max speed at which pickups move toward player when magnetized (pixels/second)
     MAGNETIZE_ACCELERATION: 600, // Acceleration of magnetized pickups (pixels/second²)
     COLLECTION_RADIUS: 20, // Distance at which pickups are automatically collected
 };
 
+// Health pickup family
+// Heal amounts are a fraction of the collector's max health, with a flat minimum
+export const HEALTH_PICKUPS = {
+    smallHeart: {
+        name: 'Small Heart',
+        icon: '♥',
+        size: 12,
+        color: [255, 110, 130],
+        healPercent: 0.1,
+        minHeal: 5
+    },
+    largeHeart: {
+        name: 'Large Heart',
+        icon: '♥',
+        size: 20,
+        color: [255, 50, 80],
+        healPercent: 0.3,
+        minHeal: 15
+    },
+    overhealShard: {
+        name: 'Overheal Shard',
+        icon: '♦',
+        size: 14,
+        color: [120, 255, 220],
+        healPercent: 0.15,
+        minHeal: 8,
+        overheal: true // Can heal past max health (up to PICKUP_CONFIG.OVERHEAL_CAP)
+    }
+};
+
 // =============================================================================
 // PERFORMANCE & OPTIMIZATION
 // =============================================================================
@@ -244,11 +311,11 @@ export function calculateDamageAfterDefense(baseDamage, defense = 0, damageReduc
 /**
  * Check if an attack is a critical hit
  * @param {number} critChance - Critical hit chance (0-1)
- * @param {Object} rng - Optional seeded RNG for multiplayer consistency
+ * @param {Object} rng - Optional seeded RNG (defaults to the run's gameplay RNG)
  * @returns {boolean} Whether the attack is a crit
  */
 export function rollCriticalHit(critChance, rng = null) {
-    const roll = rng ? rng.next() : Math.random();
+    const roll = rng ? rng.next() : gameplayRandom();
     return roll < critChance;
 }
 
@@ -7,12 +7,13 @@
 import {
     UI_SIZES,
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_SPACING,
     UI_Z_LAYERS,
     formatButtonText
 } from './uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
 import { playMenuNav, playMenuSelect } from '../systems/sounds.js';
+import { getMenuNavigation } from '../systems/menuNavigation.js';
 
 // =============================================================================
 // BUTTON COMPONENT
@@ -29,6 +30,7 @@ import { playMenuNav, playMenuSelect } from '../systems/sounds.js';
  * @param {number} options.y - Y position
  * @param {Function} options.onClick - Click handler
  * @param {boolean} options.disabled - Whether button is disabled
+ * @param {Object} options.navigation - Gamepad focus navigation to join (defaults to the active one)
  * @returns {Object} - Button object with bg, label, and control methods
  */
 export function createButton(k, options = {}) {
@@ -39,7 +41,8 @@ export function createButton(k, options = {}) {
         x = 0,
         y = 0,
         onClick = null,
-        disabled = false
+        disabled = false,
+        navigation = getMenuNavigation()
     } = options;
 
     // Get dimensions from size
@@ -48,33 +51,33 @@ export function createButton(k, options = {}) {
 
     // Get colors from variant
     const variantColors = {
-        primary: { bg: UI_COLORS.PRIMARY, hover: UI_COLORS.PRIMARY_HOVER },
-        secondary: { bg: UI_COLORS.SECONDARY, hover: UI_COLORS.SECONDARY_HOVER },
-        danger: { bg: UI_COLORS.DANGER, hover: UI_COLORS.DANGER_HOVER },
-        neutral: { bg: UI_COLORS.NEUTRAL, hover: UI_COLORS.NEUTRAL_HOVER },
-        gold: { bg: UI_COLORS.GOLD, hover: UI_COLORS.GOLD_HOVER },
-        tertiary: { bg: UI_COLORS.TERTIARY, hover: UI_COLORS.TERTIARY_HOVER }
+        primary: { bg: getUIColors().PRIMARY, hover: getUIColors().PRIMARY_HOVER },
+        secondary: { bg: getUIColors().SECONDARY, hover: getUIColors().SECONDARY_HOVER },
+        danger: { bg: getUIColors().DANGER, hover: getUIColors().DANGER_HOVER },
+        neutral: { bg: getUIColors().NEUTRAL, hover: getUIColors().NEUTRAL_HOVER },
+        gold: { bg: getUIColors().GOLD, hover: getUIColors().GOLD_HOVER },
+        tertiary: { bg: getUIColors().TERTIARY, hover: getUIColors().TERTIARY_HOVER }
     };
 
     const colors = variantColors[variant] || variantColors.secondary;
 
     // Text size based on button size
     const textSizes = {
-        XS: UI_TEXT_SIZES.TINY,
-        SM: UI_TEXT_SIZES.SMALL,
-        MD: UI_TEXT_SIZES.BODY,
-        LG: UI_TEXT_SIZES.H2,
-        XL: UI_TEXT_SIZES.H1
+        XS: scaleTextSize(UI_TEXT_SIZES.TINY),
+        SM: scaleTextSize(UI_TEXT_SIZES.SMALL),
+        MD: scaleTextSize(UI_TEXT_SIZES.BODY),
+        LG: scaleTextSize(UI_TEXT_SIZES.H2),
+        XL: scaleTextSize(UI_TEXT_SIZES.H1)
     };
-    const textSize = textSizes[size] || UI_TEXT_SIZES.BODY;
+    const textSize = textSizes[size] || scaleTextSize(UI_TEXT_SIZES.BODY);
 
     // Create button background
     const bg = k.add([
         k.rect(width, height),
         k.pos(x, y),
         k.anchor('center'),
-        k.color(...(disabled ? UI_COLORS.BG_DISABLED : colors.bg)),
-        k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+        k.color(...(disabled ? getUIColors().BG_DISABLED : colors.bg)),
+        k.outline(2, k.rgb(...getUIColors().BORDER)),
         k.area(),
         k.fixed(),
         k.scale(1),
@@ -87,7 +90,7 @@ export function createButton(k, options = {}) {
         k.text(formatButtonText(text), { size: textSize }),
         k.pos(x, y),
         k.anchor('center'),
-        k.color(...(disabled ? UI_COLORS.TEXT_DISABLED : UI_COLORS.TEXT_PRIMARY)),
+        k.color(...(disabled ? getUIColors().TEXT_DISABLED : getUIColors().TEXT_PRIMARY)),
         k.fixed(),
         k.scale(1),
         k.z(UI_Z_LAYERS.UI_TEXT),
@@ -109,7 +112,7 @@ export function createButton(k, options = {}) {
             playMenuNav();
         }
         bg.color = k.rgb(...bg.hoverColor);
-        bg.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
+        bg.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
         bg.scale = k.vec2(1.02, 1.02);
         label.scale = k.vec2(1.02, 1.02);
     });
@@ -118,29 +121,31 @@ export function createButton(k, options = {}) {
         if (bg.isDisabled) return;
         bg.isHovered = false;
         bg.color = k.rgb(...bg.originalColor);
-        bg.outline.color = k.rgb(...UI_COLORS.BORDER);
+        bg.outline.color = k.rgb(...getUIColors().BORDER);
         bg.scale = k.vec2(1, 1);
         label.scale = k.vec2(1, 1);
     });
 
-    // Click handler
+    // Click handler (gamepad A on the focused button runs it too)
     if (onClick) {
-        bg.onClick(() => {
+        const handleClick = () => {
             if (bg.isDisabled) return;
             playMenuSelect();
             onClick();
-        });
+        };
+        bg.onClick(handleClick);
+        if (navigation) navigation.add(bg, handleClick);
     }
 
     // Methods
     const setDisabled = (isDisabled) => {
         bg.isDisabled = isDisabled;
         if (isDisabled) {
-            bg.color = k.rgb(...UI_COLORS.BG_DISABLED);
-            label.color = k.rgb(...UI_COLORS.TEXT_DISABLED);
+            bg.color = k.rgb(...getUIColors().BG_DISABLED);
+            label.color = k.rgb(...getUIColors().TEXT_DISABLED);
         } else {
             bg.color = k.rgb(...bg.originalColor);
-            label.color = k.rgb(...UI_COLORS.TEXT_PRIMARY);
+            label.color = k.rgb(...getUIColors().TEXT_PRIMARY);
         }
     };
 
@@ -149,6 +154,7 @@ export function createButton(k, options = {}) {
     };
 
     const destroy = () => {
+        if (navigation) navigation.remove(bg);
         if (bg.exists()) k.destroy(bg);
         if (label.exists()) k.destroy(label);
     };
@@ -175,6 +181,8 @@ export function createButton(k, options = {}) {
  * @param {number} options.y - Y position
  * @param {string} options.title - Optional card title
  * @param {string} options.status - Optional status: 'default', 'success', 'warning', 'error', 'selected'
+ * @param {Function} options.onClick - Optional click handler (makes the card clickable and focusable)
+ * @param {Object} options.navigation - Gamepad focus navigation to join (defaults to the active one)
  * @returns {Object} - Card object with elements and content area info
  */
 export function createCard(k, options = {}) {
@@ -183,7 +191,9 @@ export function createCard(k, options = {}) {
         x = 0,
         y = 0,
         title = null,
-        status = 'default'
+        status = 'default',
+        onClick = null,
+        navigation = getMenuNavigation()
     } = options;
 
     // Get dimensions from size
@@ -192,16 +202,16 @@ export function createCard(k, options = {}) {
 
     // Get border color from status
     const statusColors = {
-        default: UI_COLORS.BORDER,
-        success: UI_COLORS.SUCCESS,
-        warning: UI_COLORS.WARNING,
-        error: UI_COLORS.ERROR,
-        selected: UI_COLORS.BORDER_ACTIVE
+        default: getUIColors().BORDER,
+        success: getUIColors().SUCCESS,
+        warning: getUIColors().WARNING,
+        error: getUIColors().ERROR,
+        selected: getUIColors().BORDER_ACTIVE
     };
     const borderColor = statusColors[status] || statusColors.default;
 
     // Background color
-    const bgColor = status === 'selected' ? UI_COLORS.BG_LIGHT : UI_COLORS.BG_MEDIUM;
+    const bgColor = status === 'selected' ? getUIColors().BG_LIGHT : getUIColors().BG_MEDIUM;
 
     const elements = [];
 
@@ -217,32 +227,43 @@ export function createCard(k, options = {}) {
     ]);
     elements.push(bg);
 
+    if (onClick) {
+        const handleClick = () => {
+            playMenuSelect();
+            onClick();
+        };
+        bg.use(k.area());
+        bg.onClick(handleClick);
+        if (navigation) navigation.add(bg, handleClick);
+    }
+
     // Title if provided
     let titleElement = null;
     let contentStartY = y + UI_SPACING.SM;
 
     if (title) {
         titleElement = k.add([
-            k.text(title, { size: UI_TEXT_SIZES.SMALL }),
+            k.text(title, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(x + UI_SPACING.SM, y + UI_SPACING.SM),
             k.anchor('topleft'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
         elements.push(titleElement);
-        contentStartY = y + UI_SPACING.SM + UI_TEXT_SIZES.SMALL + UI_SPACING.XS;
+        contentStartY = y + UI_SPACING.SM + scaleTextSize(UI_TEXT_SIZES.SMALL) + UI_SPACING.XS;
     }
 
     // Methods
     const setStatus = (newStatus) => {
         const newBorderColor = statusColors[newStatus] || statusColors.default;
-        const newBgColor = newStatus === 'selected' ? UI_COLORS.BG_LIGHT : UI_COLORS.BG_MEDIUM;
+        const newBgColor = newStatus === 'selected' ? getUIColors().BG_LIGHT : getUIColors().BG_MEDIUM;
         bg.color = k.rgb(...newBgColor);
         bg.outline.color = k.rgb(...newBorderColor);
     };
 
     const destroy = () => {
+        if (navigation) navigation.remove(bg);
         elements.forEach(el => {
             if (el.exists()) k.destroy(el);
         });
@@ -275,6 +296,8 @@ export function createCard(k, options = {}) {
  * @param {string} options.activeTab - Currently active tab key
  * @param {number} options.y - Y position
  * @param {Function} options.onSelect - Callback when tab is selected
+ * @param {Object} options.navigation - Gamepad focus navigation to join (defaults to the active one);
+ *   its LB/RB switch to the previous/next tab
  * @returns {Object} - Tab system object with elements and control methods
  */
 export function createTabs(k, options = {}) {
@@ -282,7 +305,8 @@ export function createTabs(k, options = {}) {
         tabs = [],
         activeTab = tabs[0]?.key,
         y = 80,
-        onSelect = null
+        onSelect = null,
+        navigation = getMenuNavigation()
     } = options;
 
     const tabWidth = 85;
@@ -295,6 +319,14 @@ export function createTabs(k, options = {}) {
 
     const elements = [];
     const tabElements = [];
+    let currentTab = activeTab;
+
+    const selectTab = (key) => {
+        playMenuNav();
+        if (onSelect) {
+            onSelect(key);
+        }
+    };
 
     tabs.forEach((tab, index) => {
         const tabX = firstTabX + index * tabSpacing;
@@ -304,43 +336,53 @@ export function createTabs(k, options = {}) {
             k.rect(tabWidth, tabHeight),
             k.pos(tabX, y),
             k.anchor('center'),
-            k.color(...(isActive ? UI_COLORS.SECONDARY : UI_COLORS.BG_MEDIUM)),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...(isActive ? getUIColors().SECONDARY : getUIColors().BG_MEDIUM)),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_ELEMENTS)
         ]);
 
         const tabLabel = k.add([
-            k.text(tab.label, { size: UI_TEXT_SIZES.BODY }),
+            k.text(tab.label, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
             k.pos(tabX, y),
             k.anchor('center'),
-            k.color(...(isActive ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_TERTIARY)),
+            k.color(...(isActive ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_TERTIARY)),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
-        tabBg.onClick(() => {
-            playMenuNav();
-            if (onSelect) {
-                onSelect(tab.key);
-            }
-        });
+        tabBg.onClick(() => selectTab(tab.key));
+        if (navigation) navigation.add(tabBg, () => selectTab(tab.key));
 
         elements.push(tabBg, tabLabel);
         tabElements.push({ bg: tabBg, label: tabLabel, key: tab.key });
     });
 
+    // Shoulder buttons step through the tabs
+    if (navigation && tabs.length > 1) {
+        const stepTab = (step) => {
+            const index = tabs.findIndex(tab => tab.key === currentTab);
+            selectTab(tabs[(index + step + tabs.length) % tabs.length].key);
+        };
+        navigation.setTabHandlers(() => stepTab(-1), () => stepTab(1));
+    }
+
     // Update active tab visually
     const setActiveTab = (newActiveKey) => {
+        currentTab = newActiveKey;
         tabElements.forEach(tab => {
             const isActive = tab.key === newActiveKey;
-            tab.bg.color = k.rgb(...(isActive ? UI_COLORS.SECONDARY : UI_COLORS.BG_MEDIUM));
-            tab.label.color = k.rgb(...(isActive ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_TERTIARY));
+            tab.bg.color = k.rgb(...(isActive ? getUIColors().SECONDARY : getUIColors().BG_MEDIUM));
+            tab.label.color = k.rgb(...(isActive ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_TERTIARY));
         });
     };
 
     const destroy = () => {
+        if (navigation) {
+            tabElements.forEach(tab => navigation.remove(tab.bg));
+            navigation.setTabHandlers(null, null);
+        }
         elements.forEach(el => {
             if (el.exists()) k.destroy(el);
         });
@@ -377,6 +419,8 @@ export function createModal(k, options = {}) {
     const modalWidth = 400;
     const modalHeight = 200;
     const elements = [];
+    // Gamepad focus stays inside the modal while it is open; B closes it
+    const popNavigationLayer = getMenuNavigation()?.pushLayer({ onBack: () => close() });
 
     // Overlay background
     const overlay = k.add([
@@ -394,8 +438,8 @@ export function createModal(k, options = {}) {
         k.rect(modalWidth, modalHeight),
         k.pos(k.width() / 2, k.height() / 2),
         k.anchor('center'),
-        k.color(...UI_COLORS.BG_MEDIUM),
-        k.outline(3, k.rgb(...UI_COLORS.BORDER)),
+        k.color(...getUIColors().BG_MEDIUM),
+        k.outline(3, k.rgb(...getUIColors().BORDER)),
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL)
     ]);
@@ -403,10 +447,10 @@ export function createModal(k, options = {}) {
 
     // Title
     const titleEl = k.add([
-        k.text(title, { size: UI_TEXT_SIZES.H2 }),
+        k.text(title, { size: scaleTextSize(UI_TEXT_SIZES.H2) }),
         k.pos(k.width() / 2, k.height() / 2 - 60),
         k.anchor('center'),
-        k.color(...UI_COLORS.TEXT_PRIMARY),
+        k.color(...getUIColors().TEXT_PRIMARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL + 1)
     ]);
@@ -414,10 +458,10 @@ export function createModal(k, options = {}) {
 
     // Content
     const contentEl = k.add([
-        k.text(content, { size: UI_TEXT_SIZES.SMALL, width: modalWidth - 40 }),
+        k.text(content, { size: scaleTextSize(UI_TEXT_SIZES.SMALL), width: modalWidth - 40 }),
         k.pos(k.width() / 2, k.height() / 2 - 10),
         k.anchor('center'),
-        k.color(...UI_COLORS.TEXT_SECONDARY),
+        k.color(...getUIColors().TEXT_SECONDARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL + 1)
     ]);
@@ -446,6 +490,8 @@ export function createModal(k, options = {}) {
 
     // Close method
     const close = () => {
+        if (popNavigationLayer) popNavigationLayer();
+        escHandler.cancel();
         elements.forEach(el => {
             if (el && el.exists && el.exists()) {
                 k.destroy(el);
@@ -457,10 +503,7 @@ export function createModal(k, options = {}) {
     overlay.onClick(close);
 
     // Escape to close
-    const escHandler = k.onKeyPress('escape', () => {
-        close();
-        escHandler.cancel();
-    });
+    const escHandler = k.onKeyPress('escape', close);
 
     return {
         elements,
@@ -514,7 +557,7 @@ export function createStatBar(k, options = {}) {
         x = 0,
         y = 0,
         width = 80,
-        color = UI_COLORS.PRIMARY,
+        color = getUIColors().PRIMARY,
         usePercentageColor = false
     } = options;
 
@@ -527,10 +570,10 @@ export function createStatBar(k, options = {}) {
 
     // Label
     const labelEl = k.add([
-        k.text(label, { size: UI_TEXT_SIZES.TINY }),
+        k.text(label, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
         k.pos(x, y),
         k.anchor('topleft'),
-        k.color(...UI_COLORS.TEXT_SECONDARY),
+        k.color(...getUIColors().TEXT_SECONDARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.UI_TEXT)
     ]);
@@ -541,7 +584,7 @@ export function createStatBar(k, options = {}) {
         k.rect(width, barHeight),
         k.pos(x, y + 14),
         k.anchor('topleft'),
-        k.color(...UI_COLORS.BG_DARK),
+        k.color(...getUIColors().BG_DARK),
         k.outline(1, k.rgb(50, 50, 60)),
         k.fixed(),
         k.z(UI_Z_LAYERS.UI_ELEMENTS)
@@ -562,10 +605,10 @@ export function createStatBar(k, options = {}) {
 
     // Value text
     const valueEl = k.add([
-        k.text(`${value}`, { size: UI_TEXT_SIZES.MICRO }),
+        k.text(`${value}`, { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
         k.pos(x + width + 4, y + 10),
         k.anchor('left'),
-        k.color(...UI_COLORS.TEXT_PRIMARY),
+        k.color(...getUIColors().TEXT_PRIMARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.UI_TEXT)
     ]);
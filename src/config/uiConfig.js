@@ -4,6 +4,8 @@
  * Centralized UI styling for consistent design across all game scenes
  */
 
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
+
 // =============================================================================
 // SIZE SYSTEM - Button Hierarchy
 // =============================================================================
@@ -106,6 +108,7 @@ export const UI_COLORS = {
     HEALTH_FULL: [100, 255, 100],     // Green health
     HEALTH_MEDIUM: [255, 255, 100],   // Yellow health
     HEALTH_LOW: [255, 100, 100],      // Red health
+    HEALTH_OVERHEAL: [120, 255, 220], // Cyan health above max (overheal)
     XP_BAR: [100, 200, 255],          // Blue XP bar
 
     // Boss/Enemy Colors
@@ -113,6 +116,57 @@ export const UI_COLORS = {
     MINIBOSS_NAME: [255, 150, 100],   // Orange for miniboss names
 };
 
+// =============================================================================
+// HIGH CONTRAST PALETTE
+// =============================================================================
+
+// Overrides for UI_COLORS when the High Contrast accessibility setting is on.
+// Keys not listed here keep their standard color.
+// Applied by applyAccessibilitySettings() in systems/accessibility.js
+export const HIGH_CONTRAST_COLORS = {
+    // Actions - saturated fills so buttons read against pure black
+    PRIMARY: [0, 200, 0],
+    PRIMARY_HOVER: [80, 255, 80],
+    SECONDARY: [0, 90, 255],
+    SECONDARY_HOVER: [90, 170, 255],
+    TERTIARY: [200, 0, 200],
+    TERTIARY_HOVER: [255, 90, 255],
+    GOLD: [255, 190, 0],
+    GOLD_HOVER: [255, 230, 90],
+    NEUTRAL: [90, 90, 90],
+    NEUTRAL_HOVER: [160, 160, 160],
+    DANGER: [220, 0, 0],
+    DANGER_HOVER: [255, 70, 70],
+
+    // Status
+    SUCCESS: [0, 255, 0],
+    WARNING: [255, 220, 0],
+    ERROR: [255, 60, 60],
+    INFO: [0, 220, 255],
+
+    // Text - nothing dimmer than light gray
+    TEXT_SECONDARY: [235, 235, 235],
+    TEXT_TERTIARY: [210, 210, 210],
+    TEXT_DISABLED: [150, 150, 150],
+
+    // Backgrounds - pure black base
+    BG_DARK: [0, 0, 0],
+    BG_MEDIUM: [15, 15, 15],
+    BG_LIGHT: [45, 45, 45],
+
+    // Borders - white/yellow outlines
+    BORDER: [255, 255, 255],
+    BORDER_HOVER: [255, 255, 0],
+    BORDER_ACTIVE: [255, 255, 0],
+
+    // HUD
+    HEALTH_FULL: [0, 255, 0],
+    HEALTH_MEDIUM: [255, 255, 0],
+    HEALTH_LOW: [255, 40, 40],
+    HEALTH_OVERHEAL: [0, 255, 255],
+    XP_BAR: [0, 200, 255]
+};
+
 // =============================================================================
 // SPACING - Standard spacing scale
 // =============================================================================
@@ -279,7 +333,7 @@ export function createMenuParticles(k, options = {}) {
         const pattern = k.add([
             k.text(patterns[Math.floor(Math.random() * patterns.length)], { size: 20 }),
             k.pos(Math.random() * k.width(), Math.random() * k.height()),
-            k.color(...UI_COLORS.BG_LIGHT),
+            k.color(...getUIColors().BG_LIGHT),
             k.opacity(0.15),
             k.scale(1),
             k.z(UI_Z_LAYERS.PARTICLES)
@@ -301,7 +355,7 @@ export function createMenuParticles(k, options = {}) {
         const particle = k.add([
             k.text(['*', '+', '·', '˙'][Math.floor(Math.random() * 4)], { size: 12 }),
             k.pos(Math.random() * k.width(), Math.random() * k.height()),
-            k.color(...UI_COLORS.BG_LIGHT),
+            k.color(...getUIColors().BG_LIGHT),
             k.opacity(0.3 + Math.random() * 0.3),
             k.z(UI_Z_LAYERS.PARTICLES)
         ]);
@@ -454,7 +508,7 @@ export function createAnimatedTitle(k, text, x, y, fontSize = 8) {
             k.text(titleKey, { size: fontSize * 2, font: 'monospace' }),
             k.pos(x, y),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT),
             'animatedTitle'
@@ -483,7 +537,7 @@ export function createAnimatedTitle(k, text, x, y, fontSize = 8) {
             k.text(line, { size: fontSize, font: 'monospace' }),
             k.pos(x, startY + index * lineSpacing),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT),
             'animatedTitle'
@@ -533,7 +587,7 @@ export function createCreditIndicator(k, currency, currencyName) {
     
     // Create measurement text to calculate panel width (with symbol placeholder, no currency name)
     const measurementText = k.add([
-        k.text(`${CURRENCY_SYMBOLS[0]}: ${currency}`, { size: UI_TEXT_SIZES.LABEL }),
+        k.text(`${CURRENCY_SYMBOLS[0]}: ${currency}`, { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
         k.pos(0, 0),
         k.opacity(0),
         k.fixed()
@@ -549,18 +603,18 @@ export function createCreditIndicator(k, currency, currencyName) {
         k.rect(panelWidth, panelHeight),
         k.pos(k.width() - 20, 20),
         k.anchor('topright'),
-        k.color(...UI_COLORS.BG_MEDIUM),
-        k.outline(2, k.rgb(...UI_COLORS.GOLD)),
+        k.color(...getUIColors().BG_MEDIUM),
+        k.outline(2, k.rgb(...getUIColors().GOLD)),
         k.fixed(),
         k.z(UI_Z_LAYERS.UI_BACKGROUND)
     ]);
     
     // Currency text with rotating symbol only (no currency name)
     const text = k.add([
-        k.text(`${CURRENCY_SYMBOLS[0]}: ${currency}`, { size: UI_TEXT_SIZES.LABEL }),
+        k.text(`${CURRENCY_SYMBOLS[0]}: ${currency}`, { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
         k.pos(k.width() - 20 - panelWidth / 2, 40),
         k.anchor('center'),
-        k.color(...UI_COLORS.GOLD),
+        k.color(...getUIColors().GOLD),
         k.fixed(),
         k.z(UI_Z_LAYERS.UI_TEXT)
     ]);
@@ -624,10 +678,10 @@ export function createStyledText(k, content, options = {}) {
         x = 0,
         y = 0,
         anchor = 'center',
-        color = UI_COLORS.TEXT_PRIMARY
+        color = getUIColors().TEXT_PRIMARY
     } = options;
 
-    const size = UI_TEXT_SIZES[level] || UI_TEXT_SIZES.BODY;
+    const size = scaleTextSize(UI_TEXT_SIZES[level] || UI_TEXT_SIZES.BODY);
 
     return k.add([
         k.text(content, { size }),
@@ -663,8 +717,8 @@ export function createProgressBar(k, options = {}) {
         width = UI_SIZES.PROGRESS.STANDARD.width,
         height = UI_SIZES.PROGRESS.STANDARD.height,
         value = 0,
-        fillColor = UI_COLORS.PRIMARY,
-        bgColor = UI_COLORS.BG_DARK
+        fillColor = getUIColors().PRIMARY,
+        bgColor = getUIColors().BG_DARK
     } = options;
 
     const clampedValue = Math.max(0, Math.min(1, value));
@@ -15,6 +15,8 @@
  * 4. (Future) Send local inputs to server, receive remote inputs
  */
 
+import { onActionPress, onActionRelease } from '../systems/keyBindings.js';
+
 /**
  * Input state for a single player in a single frame
  */
@@ -85,7 +87,7 @@ export class InputManager {
         this.inputHistory = []; // Array of Map<playerId, PlayerInput>
         this.maxHistoryFrames = 120; // Keep 2 seconds at 60fps
 
-        // Keyboard state tracking
+        // Held movement actions (moveUp, moveLeft, ...)
         this.keysPressed = new Set();
 
         // Mouse state
@@ -112,29 +114,26 @@ export class InputManager {
     setupKeyboardListeners() {
         const k = this.k;
 
-        // Movement keys
-        const movementKeys = ['w', 'a', 's', 'd', 'up', 'down', 'left', 'right'];
+        // Movement actions (keys come from the rebindable bindings in keyBindings.js)
+        const movementActions = ['moveUp', 'moveDown', 'moveLeft', 'moveRight'];
 
-        movementKeys.forEach(key => {
-            this.eventHandlers.push(k.onKeyPress(key, () => {
-                this.keysPressed.add(key);
+        movementActions.forEach(action => {
+            this.eventHandlers.push(onActionPress(k, action, () => {
+                this.keysPressed.add(action);
             }));
 
-            this.eventHandlers.push(k.onKeyRelease(key, () => {
-                this.keysPressed.delete(key);
+            this.eventHandlers.push(onActionRelease(k, action, () => {
+                this.keysPressed.delete(action);
             }));
         });
 
         // Pause
-        this.eventHandlers.push(k.onKeyPress('escape', () => {
+        this.eventHandlers.push(onActionPress(k, 'pause', () => {
             this.onPausePressed();
         }));
 
         // Interact (for doors, etc.)
-        this.eventHandlers.push(k.onKeyPress('space', () => {
-            this.onInteractPressed();
-        }));
-        this.eventHandlers.push(k.onKeyPress('e', () => {
+        this.eventHandlers.push(onActionPress(k, 'interact', () => {
             this.onInteractPressed();
         }));
     }
@@ -185,10 +184,10 @@ export class InputManager {
      */
     getMoveX() {
         let moveX = 0;
-        if (this.keysPressed.has('a') || this.keysPressed.has('left')) {
+        if (this.keysPressed.has('moveLeft')) {
             moveX -= 1;
         }
-        if (this.keysPressed.has('d') || this.keysPressed.has('right')) {
+        if (this.keysPressed.has('moveRight')) {
             moveX += 1;
         }
         return moveX;
@@ -199,10 +198,10 @@ export class InputManager {
      */
     getMoveY() {
         let moveY = 0;
-        if (this.keysPressed.has('w') || this.keysPressed.has('up')) {
+        if (this.keysPressed.has('moveUp')) {
             moveY -= 1;
         }
-        if (this.keysPressed.has('s') || this.keysPressed.has('down')) {
+        if (this.keysPressed.has('moveDown')) {
             moveY += 1;
         }
         return moveY;
@@ -34,7 +34,7 @@ export const MessageType = {
     GAME_START: 'game_start',
     GAME_END: 'game_end',
 
-    // Chat (future)
+    // Chat (chatSystem.js)
     CHAT_MESSAGE: 'chat_message'
 };
 
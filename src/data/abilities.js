@@ -0,0 +1,107 @@
+// Active ability definitions - one per character, used on the ability key (see systems/abilities.js)
+// Damage, healing and durations scale with the Overcharge upgrade (player.abilityPower);
+// cooldowns scale with Quick Recharge (player.abilityCooldownMultiplier)
+
+export const ACTIVE_ABILITIES = {
+    secondWind: {
+        name: 'Second Wind',
+        icon: '+',
+        color: [100, 255, 150],
+        description: 'Heal 20% of max health',
+        cooldown: 15, // Seconds
+        healPercent: 0.2
+    },
+    dash: {
+        name: 'Dash',
+        icon: '»',
+        color: [255, 255, 100],
+        description: 'Dash in the move direction, briefly invulnerable',
+        cooldown: 4,
+        usesMoveDirection: true, // Aim direction when standing still
+        distance: 120, // Stops short of walls and cover
+        invulnerableTime: 0.3
+    },
+    shieldWall: {
+        name: 'Shield Wall',
+        icon: '▐',
+        color: [150, 200, 255],
+        description: 'Raise a wall that blocks enemy projectiles',
+        cooldown: 12,
+        duration: 4,
+        width: 90,
+        thickness: 10,
+        offset: 40 // Distance in front of the player
+    },
+    steadyAim: {
+        name: 'Steady Aim',
+        icon: '◎',
+        color: [100, 255, 255],
+        description: 'Every shot is a critical hit for a few seconds',
+        cooldown: 14,
+        duration: 3
+    },
+    flameNova: {
+        name: 'Flame Nova',
+        icon: '✹',
+        color: [255, 150, 50],
+        description: 'Burst of fire that sets nearby enemies ablaze',
+        cooldown: 10,
+        radius: 100,
+        damageMultiplier: 1.5, // Of projectile damage
+        burnDamage: 4, // Per tick
+        burnDuration: 3
+    },
+    remoteDetonation: {
+        name: 'Remote Detonation',
+        icon: '¤',
+        color: [255, 100, 100],
+        description: 'Detonate your rockets in flight',
+        cooldown: 3,
+        damageMultiplier: 1.25 // Of each rocket's explosion damage
+    },
+    deployTurret: {
+        name: 'Deploy Turret',
+        icon: '╦',
+        color: [100, 200, 255],
+        description: 'Deploy a turret that shoots the nearest enemy',
+        cooldown: 16,
+        duration: 8,
+        range: 250,
+        fireInterval: 0.5,
+        projectileSpeed: 320,
+        damageMultiplier: 0.6 // Of projectile damage
+    },
+    bloodDrain: {
+        name: 'Blood Drain',
+        icon: '♥',
+        color: [180, 50, 180],
+        description: 'Drain nearby enemies and heal for part of the damage',
+        cooldown: 12,
+        radius: 110,
+        damageMultiplier: 1.5,
+        healRatio: 0.3 // Of damage dealt
+    },
+    warCry: {
+        name: 'War Cry',
+        icon: '!',
+        color: [255, 50, 50],
+        description: 'Freeze nearby enemies and knock them back',
+        cooldown: 12,
+        radius: 120,
+        damageMultiplier: 0.5,
+        freezeDuration: 1.5
+    },
+    phase: {
+        name: 'Phase',
+        icon: '◌',
+        color: [200, 200, 255],
+        description: 'Walk through walls and cover, invulnerable',
+        cooldown: 14,
+        duration: 2.5
+    }
+};
+
+// Get active ability definition by key
+export function getActiveAbility(abilityKey) {
+    return ACTIVE_ABILITIES[abilityKey] || null;
+}
@@ -372,6 +372,26 @@ export const ACHIEVEMENTS = {
         hint: 'Build for multiple synergy combos',
         unlocks: ['trailRainbow']
     },
+    firstEvolution: {
+        id: 'firstEvolution',
+        name: 'Natural Selection',
+        description: 'Evolve a weapon',
+        category: 'upgrade',
+        icon: '🧬',
+        unlocked: false,
+        difficulty: 'normal',
+        hint: 'Max out the right upgrade for your starting weapon'
+    },
+    fullArsenal: {
+        id: 'fullArsenal',
+        name: 'Survival of the Fittest',
+        description: 'Evolve every starting weapon',
+        category: 'upgrade',
+        icon: '🦖',
+        unlocked: false,
+        difficulty: 'challenge',
+        hint: 'Each starting weapon has its own evolution'
+    },
 
     // =============================================================================
     // CURRENCY ACHIEVEMENTS
@@ -3,6 +3,19 @@
  *
  * All boss types and their properties.
  * Bosses have armor/shield systems and higher stats than regular enemies.
+ *
+ * Behavior is scripted as data and run by systems/bossPatterns.js:
+ * - phases: checked in order; the first with hp% above healthAbove is active.
+ *   A phase with enraged: true takes over once the boss is enraged.
+ * - movement: { type: 'chase' | 'keepDistance' | 'holdCenter', ... }
+ * - attacks: each runs on its own timer ('interval' seconds). Attack kinds:
+ *   radialBurst, aimedVolley, charge, spawnMinions, spiral, laserSweep
+ *   (spiral and laserSweep are not used by the current bosses).
+ * - deathAttacks: attacks fired once when the boss dies
+ *
+ * Any numeric param may be an array indexed by phase ([phase1, phase2, ...],
+ * last entry repeats), which replaces per-phase ternaries in the engine.
+ * 'fromPhase' keeps an attack dormant until that phase (1-based).
  */
 
 export const BOSS_TYPES = {
@@ -22,6 +35,17 @@ export const BOSS_TYPES = {
         baseXPValue: 125, // 100-150 range
         damageReduction: 0.3, // 30% damage reduction when armor is active
         shieldRegenRate: 0, // HP per second (0 = no regen)
+        phases: [
+            { healthAbove: 0.75 },
+            { healthAbove: 0.5 },
+            { healthAbove: 0 } // Enraged
+        ],
+        movement: { type: 'chase', speedMultiplier: [1.0, 1.2, 1.5] },
+        attacks: [
+            { type: 'spawnMinions', interval: [8, 6, 5], count: [2, 3, 3], minionTypes: ['rusher', 'basic'], distance: 40, distanceVariance: 20, angleVariance: 0.5 },
+            { type: 'charge', interval: 10, telegraph: 0.3, duration: 1.0, speedMultiplier: [2.5, 3.0, 3.5] },
+            { type: 'radialBurst', interval: [8, 6, 5], directions: 8, speed: 200, damage: 12 }
+        ]
     },
     swarmQueen: {
         name: 'Showrunner',
@@ -39,6 +63,20 @@ export const BOSS_TYPES = {
         baseXPValue: 250, // 200-300 range
         damageReduction: 0.35, // 35% damage reduction
         shieldRegenRate: 0, // HP per second (0 = no regen)
+        phases: [
+            { healthAbove: 0.66 },
+            { healthAbove: 0.33 },
+            { healthAbove: 0 } // Enraged
+        ],
+        movement: { type: 'holdCenter', preferredDistance: 150, centerPull: 0.5 },
+        attacks: [
+            // One Bat or Slime (fast/basic as proxy) at a time, up to 8 alive
+            { type: 'spawnMinions', interval: [5, 3, 2], count: 1, maxActive: 8, minionTypes: ['fast', 'basic'], distance: 50, distanceVariance: 30, angleVariance: Math.PI * 2 }
+        ],
+        deathAttacks: [
+            // 8-12 minion burst on death
+            { type: 'spawnMinions', count: 8, extraCount: 4, minionTypes: ['fast', 'basic'], distance: 40, distanceVariance: 20, angleVariance: 0.3 }
+        ]
     },
     twinGuardianMelee: {
         name: 'Co-Host (Melee)',
@@ -57,6 +95,14 @@ export const BOSS_TYPES = {
         damageReduction: 0.3,
         meleeDamage: 22, // 20-25 range, using middle
         shieldRegenRate: 0, // HP per second (0 = no regen)
+        phases: [
+            { healthAbove: 0 },
+            { enraged: true } // Partner defeated
+        ],
+        movement: { type: 'chase', speedMultiplier: [1.0, 1.5] },
+        attacks: [
+            { type: 'charge', interval: 8, range: 150, telegraph: 0.3, duration: 1.2, speedMultiplier: [2.5, 3.5] }
+        ]
     },
     twinGuardianRanged: {
         name: 'Co-Host (Ranged)',
@@ -77,6 +123,15 @@ export const BOSS_TYPES = {
         projectileSpeed: 250,
         fireRate: 1.0, // Shots per second
         shieldRegenRate: 0, // HP per second (0 = no regen)
+        phases: [
+            { healthAbove: 0 },
+            { enraged: true } // Partner defeated
+        ],
+        movement: { type: 'keepDistance', preferredDistance: 200, maxDistanceFactor: 1.5, speedMultiplier: [1.0, 1.5] },
+        attacks: [
+            // Interval defaults to 1 / fireRate; speed and damage to the boss stats
+            { type: 'aimedVolley', rateMultiplier: [1.0, 1.5], damageMultiplier: [1.0, 1.25], color: [100, 150, 255] }
+        ]
     }
 };
 
@@ -0,0 +1,52 @@
+/**
+ * Upgrade Rarity Tiers
+ *
+ * Every draft card rolls a tier before its upgrade is drawn:
+ * - Common, rare and epic cards grant 1, 2 or 3 stacks of a regular upgrade in one pick
+ * - Legendary cards are unique upgrades that only appear at that tier
+ *
+ * Weights shift toward the rarer tiers on deeper floors and with the player's luck.
+ */
+
+export const UPGRADE_RARITIES = {
+    common: {
+        name: 'Common',
+        color: [200, 200, 200],
+        frameWidth: 2,
+        stacks: 1,
+        weight: 100,
+        weightPerFloor: -8,
+        weightPerLuck: -6,
+        minWeight: 20 // Commons never disappear entirely
+    },
+    rare: {
+        name: 'Rare',
+        color: [80, 160, 255],
+        frameWidth: 3,
+        stacks: 2,
+        weight: 30,
+        weightPerFloor: 4,
+        weightPerLuck: 4
+    },
+    epic: {
+        name: 'Epic',
+        color: [190, 90, 255],
+        frameWidth: 3,
+        stacks: 3,
+        weight: 8,
+        weightPerFloor: 3,
+        weightPerLuck: 3
+    },
+    legendary: {
+        name: 'Legendary',
+        color: [255, 170, 0],
+        frameWidth: 4,
+        stacks: 1,
+        weight: 1,
+        weightPerFloor: 1,
+        weightPerLuck: 2
+    }
+};
+
+// Lowest to highest
+export const RARITY_ORDER = ['common', 'rare', 'epic', 'legendary'];
@@ -15,7 +15,8 @@ export const CHARACTER_UNLOCKS = {
             damage: 10
         },
         weapon: 'pistol',
-        ability: 'xpBoost' // +10% XP gain
+        ability: 'xpBoost', // +10% XP gain
+        activeAbility: 'secondWind' // Heal 20% of max health
     },
     scout: {
         name: 'The Scout',
@@ -31,7 +32,8 @@ export const CHARACTER_UNLOCKS = {
             damage: 8
         },
         weapon: 'smg',
-        ability: 'speedBoost' // +20% speed, +10% dodge chance
+        ability: 'speedBoost', // +20% speed, +10% dodge chance
+        activeAbility: 'dash' // Short dash with i-frames
     },
     tank: {
         name: 'The Tank',
@@ -47,7 +49,8 @@ export const CHARACTER_UNLOCKS = {
             damage: 12
         },
         weapon: 'shotgun',
-        ability: 'tankStats' // +25% health, +15% damage reduction
+        ability: 'tankStats', // +25% health, +15% damage reduction
+        activeAbility: 'shieldWall' // Wall that blocks enemy projectiles
     },
     sniper: {
         name: 'The Sniper',
@@ -63,7 +66,8 @@ export const CHARACTER_UNLOCKS = {
             damage: 20
         },
         weapon: 'sniper',
-        ability: 'critBoost' // +50% crit chance, +25% crit damage (requires crit system)
+        ability: 'critBoost', // +50% crit chance, +25% crit damage (requires crit system)
+        activeAbility: 'steadyAim' // Guaranteed crits for 3s
     },
     pyro: {
         name: 'The Pyro',
@@ -79,7 +83,8 @@ export const CHARACTER_UNLOCKS = {
             damage: 12
         },
         weapon: 'flamethrower',
-        ability: 'fireDot' // +25% fire DoT (requires DoT system)
+        ability: 'fireDot', // +25% fire DoT (requires DoT system)
+        activeAbility: 'flameNova' // Burning nova around the player
     },
     // === NEW CHARACTERS (achievement-locked) ===
     bomber: {
@@ -96,7 +101,8 @@ export const CHARACTER_UNLOCKS = {
             damage: 15
         },
         weapon: 'explosive',
-        ability: 'explosiveShots' // Projectiles explode, +50% blast radius
+        ability: 'explosiveShots', // Projectiles explode, +50% blast radius
+        activeAbility: 'remoteDetonation' // Detonate rockets in flight
     },
     engineer: {
         name: 'The Engineer',
@@ -112,7 +118,8 @@ export const CHARACTER_UNLOCKS = {
             damage: 8
         },
         weapon: 'pistol',
-        ability: 'orbitalDrones' // Start with 2 orbital drones
+        ability: 'orbitalDrones', // Start with 2 orbital drones
+        activeAbility: 'deployTurret' // Auto-firing turret for 8s
     },
     vampire: {
         name: 'The Vampire',
@@ -128,7 +135,8 @@ export const CHARACTER_UNLOCKS = {
             damage: 14
         },
         weapon: 'smg',
-        ability: 'vampiric' // +15% lifesteal, -20% max health
+        ability: 'vampiric', // +15% lifesteal, -20% max health
+        activeAbility: 'bloodDrain' // Drain nearby enemies to heal
     },
     berserker: {
         name: 'The Berserker',
@@ -144,7 +152,8 @@ export const CHARACTER_UNLOCKS = {
             damage: 18
         },
         weapon: 'shotgun',
-        ability: 'rage' // +100% damage below 30% HP, +25% damage taken
+        ability: 'rage', // +100% damage below 30% HP, +25% damage taken
+        activeAbility: 'warCry' // Freeze and knock back nearby enemies
     },
     ghost: {
         name: 'The Ghost',
@@ -160,7 +169,8 @@ export const CHARACTER_UNLOCKS = {
             damage: 11
         },
         weapon: 'smg',
-        ability: 'ethereal' // +25% dodge, +15% crit chance
+        ability: 'ethereal', // +25% dodge, +15% crit chance
+        activeAbility: 'phase' // Pass through walls and cover
     }
 };
 
@@ -522,6 +532,27 @@ export const PERMANENT_UPGRADE_UNLOCKS = {
         maxLevel: 3,
         tier: 4
     },
+    blacklist: {
+        name: 'Blacklist',
+        description: '+1 banish per run in upgrade drafts',
+        cost: 250,
+        maxLevel: 3,
+        tier: 4
+    },
+    holdover: {
+        name: 'Holdover',
+        description: '+1 card lock per run in upgrade drafts',
+        cost: 200,
+        maxLevel: 3,
+        tier: 4
+    },
+    rainCheck: {
+        name: 'Rain Check',
+        description: '+1 draft skip per run (credits or XP)',
+        cost: 150,
+        maxLevel: 3,
+        tier: 4
+    },
     comfortZone: {
         name: 'Comfort Zone',
         description: '+0.1s invulnerability after hit',
@@ -88,6 +88,7 @@ export const WEAPON_DEFINITIONS = {
         critChance: 0.05,
         critDamage: 2.0,
         range: 150, // Short range
+        statusEffect: { type: 'burn', damageRatio: 0.3 }, // Burn ticks for 30% of hit damage (see systems/statusEffects.js)
         category: 'area',
         upgradeCategories: ['damage', 'fireRate', 'range', 'spread', 'dot'] // DoT upgrades
     },
@@ -149,6 +150,7 @@ export const WEAPON_DEFINITIONS = {
         chainRange: 70, // Distance between chain jumps
         maxJumps: 3, // Starting chain jumps
         chainDamageReduction: 0.15, // -15% damage per jump
+        statusEffect: { type: 'shock', damageRatio: 0.1 }, // Shock ticks for 10% of hit damage
         category: 'multiTarget',
         upgradeCategories: ['damage', 'chainJumps', 'chainRange', 'fireRate', 'chainDamage']
     },
@@ -246,6 +248,145 @@ export const WEAPON_DEFINITIONS = {
         range: 650, // Medium-long range
         category: 'precision',
         upgradeCategories: ['damage', 'piercing', 'crit', 'fireRate', 'range']
+    },
+
+    // Evolutions - offered in the upgrade draft once a starting weapon maxes its evolution upgrade
+    // (see systems/weaponEvolution.js). They keep the base weapon's upgrade categories.
+    penetrator: {
+        name: 'Penetrator',
+        icon: '⌐',
+        char: '♦',
+        color: [255, 240, 150],
+        fireRate: 3.0, // Bursts per second
+        projectileSpeed: 380,
+        baseDamage: 14,
+        projectileCount: 1,
+        spreadAngle: 0,
+        piercing: 3,
+        obstaclePiercing: 1, // Punches through one wall
+        critChance: 0.05,
+        critDamage: 2.0,
+        range: 700,
+        category: 'balanced',
+        upgradeCategories: ['damage', 'fireRate', 'multiShot', 'piercing', 'crit'],
+        evolvesFrom: 'pistol',
+        evolutionUpgrade: 'piercing',
+        firePattern: { type: 'burst', count: 3, interval: 0.06 }, // Three-round burst
+        description: 'Three-round bursts that pierce enemies and walls'
+    },
+    bulletHose: {
+        name: 'Bullet Hose',
+        icon: '▓',
+        char: '║',
+        color: [150, 230, 255],
+        fireRate: 8.5,
+        projectileSpeed: 380,
+        baseDamage: 6,
+        projectileCount: 1,
+        spreadAngle: 0,
+        piercing: 0,
+        obstaclePiercing: 0,
+        critChance: 0.05,
+        critDamage: 2.0,
+        range: 700,
+        category: 'rapid',
+        upgradeCategories: ['damage', 'fireRate', 'multiShot', 'piercing', 'crit'],
+        evolvesFrom: 'smg',
+        evolutionUpgrade: 'fireRate',
+        firePattern: { type: 'twin', angle: 10 }, // Two barrels, 10° apart
+        description: 'Twin barrels spray two streams at once'
+    },
+    flakCannon: {
+        name: 'Flak Cannon',
+        icon: '╬',
+        char: '✦',
+        color: [255, 170, 60],
+        fireRate: 1.6,
+        projectileSpeed: 260,
+        baseDamage: 9, // Per pellet
+        projectileCount: 5,
+        spreadAngle: 45,
+        piercing: 0,
+        obstaclePiercing: 0,
+        critChance: 0.05,
+        critDamage: 2.0,
+        range: 400,
+        category: 'spread',
+        upgradeCategories: ['damage', 'pelletCount', 'spread', 'fireRate', 'crit'],
+        evolvesFrom: 'shotgun',
+        evolutionUpgrade: 'pelletCount',
+        firePattern: { type: 'ring', count: 8 }, // Plus a ring of pellets in every direction
+        description: 'A wide blast plus a ring of flak all around you'
+    },
+    gaussRifle: {
+        name: 'Gauss Rifle',
+        icon: '━',
+        char: '⇒',
+        color: [180, 140, 255],
+        fireRate: 0.9,
+        projectileSpeed: 700,
+        baseDamage: 28,
+        projectileCount: 1,
+        spreadAngle: 0,
+        piercing: 3,
+        obstaclePiercing: 1,
+        critChance: 0.1,
+        critDamage: 3.0,
+        range: 1100,
+        category: 'precision',
+        upgradeCategories: ['damage', 'piercing', 'crit', 'fireRate', 'range'],
+        evolvesFrom: 'sniper',
+        evolutionUpgrade: 'critChance',
+        firePattern: { type: 'burst', count: 2, interval: 0.1 }, // Double tap
+        description: 'Double-tap slugs that tear through lines of enemies'
+    },
+    inferno: {
+        name: 'Inferno',
+        icon: '≋',
+        char: '≈',
+        color: [255, 90, 30],
+        fireRate: 12.5,
+        projectileSpeed: 220,
+        baseDamage: 9,
+        projectileCount: 1,
+        spreadAngle: 15,
+        piercing: 0,
+        obstaclePiercing: 0,
+        critChance: 0.05,
+        critDamage: 2.0,
+        range: 180,
+        statusEffect: { type: 'burn', damageRatio: 0.45 },
+        category: 'area',
+        upgradeCategories: ['damage', 'fireRate', 'range', 'spread', 'dot'],
+        evolvesFrom: 'flamethrower',
+        evolutionUpgrade: 'dot',
+        firePattern: { type: 'fan', count: 3, angle: 40 }, // Three flame jets across 40°
+        description: 'Three jets of fire that burn hotter'
+    },
+    clusterLauncher: {
+        name: 'Cluster Launcher',
+        icon: '◉',
+        char: '✹',
+        color: [255, 60, 60],
+        fireRate: 1.5,
+        projectileSpeed: 220,
+        baseDamage: 28,
+        projectileCount: 1,
+        spreadAngle: 0,
+        piercing: 0,
+        obstaclePiercing: 0,
+        critChance: 0.05,
+        critDamage: 2.0,
+        range: 550,
+        explosionRadius: 60,
+        explosionDamage: 18,
+        clusterBomblets: 4, // Bomblets scattered by each explosion
+        category: 'area',
+        upgradeCategories: ['damage', 'explosionRadius', 'explosionDamage', 'fireRate', 'range'],
+        evolvesFrom: 'explosive',
+        evolutionUpgrade: 'explosionRadius',
+        firePattern: { type: 'cluster' }, // Explosions scatter bomblets
+        description: 'Rockets burst into a cluster of bomblets'
     }
 };
 
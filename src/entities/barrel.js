@@ -10,6 +10,8 @@
 
 import { isMultiplayerActive, isHost } from '../systems/multiplayerGame.js';
 import { broadcast } from '../systems/networkSystem.js';
+import { resolveDamage } from '../systems/damagePipeline.js';
+import { gameplayRandom } from '../utils/seededRandom.js';
 
 // Barrel configuration
 const BARREL_CONFIG = {
@@ -122,8 +124,8 @@ export function createBarrel(k, x, y, options = {}) {
         if (healthPercent <= 0.33) {
             barrel.color = k.rgb(...config.CRITICAL_COLOR);
             // Add shake effect when critical
-            barrel.pos.x += (Math.random() - 0.5) * 2;
-            barrel.pos.y += (Math.random() - 0.5) * 2;
+            barrel.pos.x += (gameplayRandom() - 0.5) * 2;
+            barrel.pos.y += (gameplayRandom() - 0.5) * 2;
         } else if (healthPercent <= 0.66) {
             barrel.color = k.rgb(...config.DAMAGED_COLOR);
         }
@@ -292,58 +294,27 @@ function createExplosionEffect(k, x, y, radius) {
  * Deal explosion damage to all entities in range
  */
 function dealExplosionDamage(k, x, y, radius, damage, knockbackForce, sourceId) {
-    // Damage enemies
-    k.get('enemy').forEach(enemy => {
-        if (!enemy.exists()) return;
+    // Damage enemies, minibosses and bosses through the shared damage pipeline
+    const targets = [...k.get('enemy'), ...k.get('miniboss'), ...k.get('boss')];
+    targets.forEach(target => {
+        if (!target.exists()) return;
 
-        const dist = k.vec2(enemy.pos.x - x, enemy.pos.y - y).len();
+        const dist = k.vec2(target.pos.x - x, target.pos.y - y).len();
         if (dist <= radius) {
             // Damage falls off with distance
             const falloff = 1 - (dist / radius) * 0.5;
-            const finalDamage = Math.floor(damage * falloff);
-
-            if (enemy.takeDamage) {
-                enemy.takeDamage(finalDamage);
-            } else if (enemy.hp) {
-                enemy.hurt(finalDamage);
-            }
+            resolveDamage(k, {
+                target,
+                amount: Math.floor(damage * falloff),
+                tags: ['barrel', 'explosion']
+            });
 
-            // Apply knockback
-            if (dist > 0) {
-                const dir = k.vec2(enemy.pos.x - x, enemy.pos.y - y).unit();
+            // Apply knockback (regular enemies only, bosses hold their ground)
+            if (target.is('enemy') && dist > 0) {
+                const dir = k.vec2(target.pos.x - x, target.pos.y - y).unit();
                 const knockback = knockbackForce * falloff;
-                enemy.pos.x += dir.x * knockback * 0.1;
-                enemy.pos.y += dir.y * knockback * 0.1;
-            }
-        }
-    });
-
-    // Damage minibosses
-    k.get('miniboss').forEach(miniboss => {
-        if (!miniboss.exists()) return;
-
-        const dist = k.vec2(miniboss.pos.x - x, miniboss.pos.y - y).len();
-        if (dist <= radius) {
-            const falloff = 1 - (dist / radius) * 0.5;
-            const finalDamage = Math.floor(damage * falloff);
-
-            if (miniboss.takeDamage) {
-                miniboss.takeDamage(finalDamage, null);
-            }
-        }
-    });
-
-    // Damage bosses
-    k.get('boss').forEach(boss => {
-        if (!boss.exists()) return;
-
-        const dist = k.vec2(boss.pos.x - x, boss.pos.y - y).len();
-        if (dist <= radius) {
-            const falloff = 1 - (dist / radius) * 0.5;
-            const finalDamage = Math.floor(damage * falloff);
-
-            if (boss.takeDamage) {
-                boss.takeDamage(finalDamage, null);
+                target.pos.x += dir.x * knockback * 0.1;
+                target.pos.y += dir.y * knockback * 0.1;
             }
         }
     });
@@ -386,7 +357,7 @@ function triggerChainReaction(k, x, y, radius, sourceBarrelId) {
         const dist = k.vec2(barrel.pos.x - x, barrel.pos.y - y).len();
         if (dist <= chainRadius) {
             // Damage the barrel, potentially causing it to explode
-            barrel.takeDamage(barrel.maxHealth, sourceBarrelId); // Instant kill for chain
+            resolveDamage(k, { target: barrel, amount: barrel.maxHealth, tags: ['barrel', 'explosion'] }); // Instant kill for chain
         }
     });
 }
@@ -440,7 +411,13 @@ export function clearAllBarrels() {
 export function handleProjectileBarrelCollision(k, projectile, barrel) {
     if (!barrel.exists() || barrel.isExploding) return;
 
-    barrel.takeDamage(1);
+    resolveDamage(k, {
+        target: barrel,
+        source: projectile,
+        amount: 1,
+        tags: ['projectile'],
+        ownerSlotIndex: projectile.ownerSlotIndex
+    });
 
     // Destroy the projectile unless it pierces
     if (!projectile.piercing || projectile.piercing <= 0) {
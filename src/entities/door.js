@@ -1,6 +1,7 @@
 // Door entity definition
 export function createDoor(k, x, y, direction) {
     // Create a group to hold door parts
+    // Doors live in world space (no fixed()), so they shake and zoom with the camera like the players using them
     // Add a rect component so area() has a shape to work with
     const doorGroup = k.add([
         k.rect(40, 40),
@@ -8,7 +9,6 @@ export function createDoor(k, x, y, direction) {
         k.anchor('center'),
         k.area(),
         k.opacity(0), // Make the rect invisible (only used for collision)
-        k.fixed(),
         'door'
     ]);
 
@@ -49,7 +49,6 @@ export function createDoor(k, x, y, direction) {
                 k.pos(x, y),
                 k.anchor('center'),
                 k.color(color),
-                k.fixed(),
                 k.z(100)
             ]);
             doorGroup.parts.push(doorText);
@@ -60,7 +59,6 @@ export function createDoor(k, x, y, direction) {
                 k.pos(x - 35, y),
                 k.anchor('center'),
                 k.color(color),
-                k.fixed(),
                 k.z(100)
             ]);
             doorGroup.parts.push(leftCorner);
@@ -70,7 +68,6 @@ export function createDoor(k, x, y, direction) {
                 k.pos(x + 35, y),
                 k.anchor('center'),
                 k.color(color),
-                k.fixed(),
                 k.z(100)
             ]);
             doorGroup.parts.push(rightCorner);
@@ -88,7 +85,6 @@ export function createDoor(k, x, y, direction) {
                     k.pos(x, y + offsetY),
                     k.anchor('center'),
                     k.color(color),
-                    k.fixed(),
                     k.z(100)
                 ]);
                 doorGroup.parts.push(doorPart);
@@ -100,7 +96,6 @@ export function createDoor(k, x, y, direction) {
                 k.pos(x, y - spacing * 1.5),
                 k.anchor('center'),
                 k.color(color),
-                k.fixed(),
                 k.z(100)
             ]);
             doorGroup.parts.push(topDecor);
@@ -110,7 +105,6 @@ export function createDoor(k, x, y, direction) {
                 k.pos(x, y + spacing * 1.5),
                 k.anchor('center'),
                 k.color(color),
-                k.fixed(),
                 k.z(100)
             ]);
             doorGroup.parts.push(bottomDecor);
@@ -123,7 +117,6 @@ export function createDoor(k, x, y, direction) {
                 k.pos(x, y),
                 k.anchor('center'),
                 k.color(255, 100, 100),
-                k.fixed(),
                 k.z(101)
             ]);
             doorGroup.parts.push(blockedMarker);
@@ -18,6 +18,10 @@ import { getEnemyDefinition } from '../data/enemies.js';
 // System imports
 import { getSmartMoveDirection, getPerimeterMoveDirection } from '../systems/pathfinding.js';
 import { registerEnemy, isHost, isMultiplayerActive, broadcastEnemySplit, broadcastDeathEvent } from '../systems/multiplayerGame.js';
+import { adjustColor } from '../systems/accessibility.js';
+import { updateStatusEffects, isStatusImmobilized, getStatusMarkers } from '../systems/statusEffects.js';
+import { absorbDamage } from '../systems/damagePipeline.js';
+import { gameplayRandom } from '../utils/seededRandom.js';
 
 export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
     const baseConfig = getEnemyDefinition(type);
@@ -26,7 +30,7 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
     const floorMultiplier = 1 + (floor - 1) * 0.3; // 30% increase per floor
     const config = {
         char: baseConfig.char,
-        color: baseConfig.color,
+        color: adjustColor(baseConfig.color),
         health: Math.floor(baseConfig.baseHealth * floorMultiplier),
         speed: Math.floor(baseConfig.baseSpeed * (1 + (floor - 1) * 0.1)), // 10% speed increase per floor
         size: baseConfig.size,
@@ -95,8 +99,8 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
     
     if (floor >= 2) {
         // Floor 2+: Some enemies get armor (30% chance, or specific types)
-        // Use seeded RNG if provided, fall back to Math.random() for backwards compatibility
-        const armorRoll = rng ? rng.next() : Math.random();
+        // Use seeded RNG if provided, fall back to the run's gameplay RNG
+        const armorRoll = rng ? rng.next() : gameplayRandom();
         if (floor >= 2 && (type === 'zombie' || type === 'turret' || type === 'heavyTank' || armorRoll < 0.3)) {
             floorArmorBonus = Math.floor(15 + (floor - 2) * 5); // 15 base, +5 per floor
         }
@@ -104,8 +108,8 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
 
     if (floor >= 3) {
         // Floor 3+: Some enemies get shields (20% chance, or specific types)
-        // Use seeded RNG if provided, fall back to Math.random() for backwards compatibility
-        const shieldRoll = rng ? rng.next() : Math.random();
+        // Use seeded RNG if provided, fall back to the run's gameplay RNG
+        const shieldRoll = rng ? rng.next() : gameplayRandom();
         if (type === 'shooter' || type === 'turret' || type === 'wraith' || shieldRoll < 0.2) {
             floorShieldBonus = Math.floor(10 + (floor - 3) * 5); // 10 base, +5 per floor
             floorShieldRegen = 1 + (floor - 3) * 0.5; // 1 HP/sec base, +0.5 per floor
@@ -114,8 +118,8 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
 
     if (floor >= 4) {
         // Floor 4+: Some enemies get both armor and shields (10% chance, or specific types)
-        // Use seeded RNG if provided, fall back to Math.random() for backwards compatibility
-        const bothRoll = rng ? rng.next() : Math.random();
+        // Use seeded RNG if provided, fall back to the run's gameplay RNG
+        const bothRoll = rng ? rng.next() : gameplayRandom();
         if (type === 'heavyTank' || type === 'spawner' || bothRoll < 0.1) {
             if (floorArmorBonus === 0) floorArmorBonus = Math.floor(20 + (floor - 4) * 5);
             if (floorShieldBonus === 0) {
@@ -131,7 +135,7 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
     enemy.maxArmorHealth = Math.floor(totalBaseArmor * floorMultiplier);
     enemy.damageReduction = baseConfig.damageReduction || (totalBaseArmor > 0 ? 0.2 : 0); // 20% reduction if has armor
     enemy.armorChar = baseConfig.armorChar || '[]'; // Changed from () to []
-    enemy.armorColor = baseConfig.armorColor || [200, 200, 200];
+    enemy.armorColor = adjustColor(baseConfig.armorColor || [200, 200, 200]);
     
     // Shield properties (base + floor bonus)
     const totalBaseShield = (baseConfig.baseShieldHealth || 0) + floorShieldBonus;
@@ -139,7 +143,7 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
     enemy.maxShieldHealth = Math.floor(totalBaseShield * floorMultiplier);
     enemy.shieldRegenRate = ((baseConfig.shieldRegenRate || 0) + floorShieldRegen) * floorMultiplier;
     enemy.shieldChar = baseConfig.shieldChar || '{}';
-    enemy.shieldColor = baseConfig.shieldColor || [100, 200, 255];
+    enemy.shieldColor = adjustColor(baseConfig.shieldColor || [100, 200, 255]);
     enemy.shieldRegenTimer = 0;
     enemy.shieldRegenCooldown = 0; // Cooldown after taking damage (prevents regen)
     enemy.lastDamageTime = 0; // Track when last damaged
@@ -198,8 +202,8 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
             }
         }
         
-        // Visual format: {[E]} (shields outside, armor inside); elite prefix sits outside everything
-        const visual = `${enemy.elitePrefix || ''}${leftShield}${leftArmor}${enemy.coreChar}${rightArmor}${rightShield}`;
+        // Visual format: {[E]} (shields outside, armor inside); elite prefix and status markers sit outside everything
+        const visual = `${enemy.elitePrefix || ''}${leftShield}${leftArmor}${enemy.coreChar}${rightArmor}${rightShield}${getStatusMarkers(enemy)}`;
         
         // Update text component
         enemy.text = visual;
@@ -214,63 +218,7 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
     
     // Function to take damage (handles shields, then armor, then health)
     enemy.takeDamage = function(damage) {
-        let shieldChanged = false;
-        let armorChanged = false;
-        const previousShieldHealth = enemy.shieldHealth;
-        const previousArmorHealth = enemy.armorHealth;
-        
-        // Track damage time for shield regen cooldown
-        enemy.lastDamageTime = k.time();
-        const shieldRegenCooldownDuration = 3.0; // 3 seconds cooldown after taking damage
-        enemy.shieldRegenCooldown = shieldRegenCooldownDuration;
-        
-        // Priority: Shields > Armor > Health
-        // Shields take normal damage (no reduction)
-        if (enemy.shieldHealth > 0) {
-            const shieldDamage = Math.min(damage, enemy.shieldHealth);
-            enemy.shieldHealth = Math.max(0, enemy.shieldHealth - shieldDamage);
-            shieldChanged = (enemy.shieldHealth !== previousShieldHealth);
-            
-            // Remaining damage goes to armor/health
-            const remainingDamage = damage - shieldDamage;
-            if (remainingDamage > 0) {
-                enemy.takeDamageInternal(remainingDamage);
-            }
-        } else {
-            // No shields - damage goes to armor/health
-            enemy.takeDamageInternal(damage);
-        }
-        
-        armorChanged = (enemy.armorHealth !== previousArmorHealth);
-        
-        // Update visual when shields or armor change
-        if (shieldChanged || armorChanged) {
-            enemy.updateVisual();
-        }
-    };
-    
-    // Internal damage function (handles armor and health)
-    enemy.takeDamageInternal = function(damage) {
-        // If armor exists, armor takes reduced damage first
-        if (enemy.armorHealth > 0) {
-            // Apply damage reduction to armor damage
-            const reducedDamage = Math.floor(damage * (1 - enemy.damageReduction));
-            const armorDamage = Math.min(reducedDamage, enemy.armorHealth);
-            enemy.armorHealth = Math.max(0, enemy.armorHealth - armorDamage);
-            
-            // Remaining damage goes to enemy, but reduced if armor still exists
-            const remainingDamage = damage - reducedDamage;
-            if (remainingDamage > 0) {
-                // If armor still exists, apply damage reduction
-                // If armor is destroyed, remaining damage goes through at full
-                const damageMultiplier = enemy.armorHealth > 0 ? (1 - enemy.damageReduction) : 1;
-                const finalDamage = Math.floor(remainingDamage * damageMultiplier);
-                enemy.hurt(finalDamage);
-            }
-        } else {
-            // No armor - full damage
-            enemy.hurt(damage);
-        }
+        return absorbDamage(k, enemy, damage);
     };
     
     if (baseConfig.blocksProjectiles) enemy.blocksProjectiles = true;
@@ -574,40 +522,9 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
             }
         }
 
-        // Process burn DoT (Damage over Time) from flamethrower
-        if (enemy.burnDuration > 0 && enemy.hp() > 0 && !enemy.isDead) {
-            enemy.burnTimer = (enemy.burnTimer || 0) + k.dt();
-            const burnTickInterval = 0.5; // Deal burn damage every 0.5 seconds
-
-            if (enemy.burnTimer >= burnTickInterval) {
-                // In multiplayer, only host deals burn damage
-                if (!isMultiplayerActive() || isHost()) {
-                    // Deal burn damage
-                    if (enemy.takeDamage) {
-                        enemy.takeDamage(enemy.burnDamage);
-                    } else {
-                        enemy.hurt(enemy.burnDamage);
-                    }
-                }
-
-                // Visual feedback for burn damage (orange tint) on all clients
-                enemy.color = k.rgb(255, 150, 50);
-                k.wait(0.1, () => {
-                    if (enemy.exists()) {
-                        enemy.color = k.rgb(...enemy.originalColor);
-                    }
-                });
-
-                enemy.burnTimer = 0;
-            }
-
-            // Decrease burn duration
-            enemy.burnDuration -= k.dt();
-            if (enemy.burnDuration <= 0) {
-                enemy.burnDamage = 0;
-                enemy.burnTimer = 0;
-            }
-        }
+        // Status effects (burn, poison, shock ticks); frozen enemies skip their AI
+        updateStatusEffects(k, enemy);
+        if (isStatusImmobilized(enemy)) return;
 
         // Find nearest alive player (support multiplayer)
         // Use cached alivePlayers from gameData for performance (updated each frame in game.js)
@@ -789,8 +706,8 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
                 const normalized = dir.unit();
                 // Add jitter for unpredictability
                 const jitter = k.vec2(
-                    (Math.random() - 0.5) * 0.4,
-                    (Math.random() - 0.5) * 0.4
+                    (gameplayRandom() - 0.5) * 0.4,
+                    (gameplayRandom() - 0.5) * 0.4
                 );
                 const moveDir = k.vec2(
                     normalized.x + jitter.x,
@@ -861,7 +778,7 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
             
             if (enemy.spawnTimer >= enemy.spawnInterval) {
                 // Spawn minion
-                const spawnAngle = Math.random() * Math.PI * 2;
+                const spawnAngle = gameplayRandom() * Math.PI * 2;
                 const spawnDistance = 30;
                 const spawnX = enemy.pos.x + Math.cos(spawnAngle) * spawnDistance;
                 const spawnY = enemy.pos.y + Math.sin(spawnAngle) * spawnDistance;
@@ -990,7 +907,7 @@ export function createEnemy(k, x, y, type = 'basic', floor = 1, rng = null) {
             
             if (enemy.teleportTimer >= enemy.teleportCooldown && distance <= 80) {
                 // Teleport player to random location
-                const teleportAngle = Math.random() * Math.PI * 2;
+                const teleportAngle = gameplayRandom() * Math.PI * 2;
                 const teleportX = player.pos.x + Math.cos(teleportAngle) * enemy.teleportRange;
                 const teleportY = player.pos.y + Math.sin(teleportAngle) * enemy.teleportRange;
                 
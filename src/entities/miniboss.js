@@ -1,7 +1,9 @@
 // Miniboss entity definition - scaled-down bosses that appear randomly in rooms
 import { createProjectile } from './projectile.js';
 import { getMinibossDefinition } from '../data/minibosses.js';
-import { isMultiplayerActive, isHost } from '../systems/multiplayerGame.js';
+import { adjustColor } from '../systems/accessibility.js';
+import { updateStatusEffects, isStatusImmobilized, getStatusMarkers } from '../systems/statusEffects.js';
+import { absorbDamage } from '../systems/damagePipeline.js';
 
 export function createMiniboss(k, x, y, type = 'brute', floor = 1) {
     const baseConfig = getMinibossDefinition(type);
@@ -12,9 +14,9 @@ export function createMiniboss(k, x, y, type = 'brute', floor = 1) {
         coreChar: baseConfig.coreChar,
         armorChar: baseConfig.armorChar || '[]',
         shieldChar: baseConfig.shieldChar || '{}',
-        color: baseConfig.color,
-        armorColor: baseConfig.armorColor || [200, 200, 200],
-        shieldColor: baseConfig.shieldColor || [100, 200, 255],
+        color: adjustColor(baseConfig.color),
+        armorColor: adjustColor(baseConfig.armorColor || [200, 200, 200]),
+        shieldColor: adjustColor(baseConfig.shieldColor || [100, 200, 255]),
         health: Math.floor(baseConfig.baseHealth * floorMultiplier),
         armorHealth: Math.floor((baseConfig.baseArmorHealth || 0) * floorMultiplier),
         maxArmorHealth: Math.floor((baseConfig.baseArmorHealth || 0) * floorMultiplier),
@@ -126,8 +128,8 @@ export function createMiniboss(k, x, y, type = 'brute', floor = 1) {
             }
         }
         
-        // Visual format: {[B]} (shields outside, armor inside)
-        const visual = `${leftShield}${leftArmor}${miniboss.coreChar}${rightArmor}${rightShield}`;
+        // Visual format: {[B]} (shields outside, armor inside), status markers trailing
+        const visual = `${leftShield}${leftArmor}${miniboss.coreChar}${rightArmor}${rightShield}${getStatusMarkers(miniboss)}`;
         
         // Update text component
         miniboss.text = visual;
@@ -142,61 +144,7 @@ export function createMiniboss(k, x, y, type = 'brute', floor = 1) {
     
     // Function to take damage (handles shields, then armor, then health)
     miniboss.takeDamage = function(damage) {
-        let shieldChanged = false;
-        let armorChanged = false;
-        const previousShieldHealth = miniboss.shieldHealth;
-        const previousArmorHealth = miniboss.armorHealth;
-        
-        // Track damage time for shield regen cooldown
-        miniboss.lastDamageTime = k.time();
-        const shieldRegenCooldownDuration = 3.0; // 3 seconds cooldown after taking damage
-        miniboss.shieldRegenCooldown = shieldRegenCooldownDuration;
-        
-        // Priority: Shields > Armor > Health
-        // Shields take normal damage (no reduction)
-        if (miniboss.shieldHealth > 0) {
-            const shieldDamage = Math.min(damage, miniboss.shieldHealth);
-            miniboss.shieldHealth = Math.max(0, miniboss.shieldHealth - shieldDamage);
-            shieldChanged = (miniboss.shieldHealth !== previousShieldHealth);
-            
-            // Remaining damage goes to armor/health
-            const remainingDamage = damage - shieldDamage;
-            if (remainingDamage > 0) {
-                miniboss.takeDamageInternal(remainingDamage);
-            }
-        } else {
-            // No shields - damage goes to armor/health
-            miniboss.takeDamageInternal(damage);
-        }
-        
-        armorChanged = (miniboss.armorHealth !== previousArmorHealth);
-        
-        // Update visual when shields or armor change
-        if (shieldChanged || armorChanged) {
-            miniboss.updateVisual();
-        }
-    };
-    
-    // Internal damage function (handles armor and health)
-    miniboss.takeDamageInternal = function(damage) {
-        // If armor exists, armor takes reduced damage first
-        if (miniboss.armorHealth > 0) {
-            // Apply damage reduction to armor damage
-            const reducedDamage = Math.floor(damage * (1 - miniboss.damageReduction));
-            const armorDamage = Math.min(reducedDamage, miniboss.armorHealth);
-            miniboss.armorHealth = Math.max(0, miniboss.armorHealth - armorDamage);
-            
-            // Remaining damage goes to miniboss, but reduced if armor still exists
-            const remainingDamage = damage - reducedDamage;
-            if (remainingDamage > 0) {
-                const damageMultiplier = miniboss.armorHealth > 0 ? (1 - miniboss.damageReduction) : 1;
-                const finalDamage = Math.floor(remainingDamage * damageMultiplier);
-                miniboss.hurt(finalDamage);
-            }
-        } else {
-            // No armor - full damage
-            miniboss.hurt(damage);
-        }
+        return absorbDamage(k, miniboss, damage);
     };
     
     // Charge attack
@@ -241,41 +189,9 @@ export function createMiniboss(k, x, y, type = 'brute', floor = 1) {
             }
         }
 
-        // Process burn DoT (Damage over Time) from flamethrower
-        if (miniboss.burnDuration > 0 && miniboss.hp() > 0 && !miniboss.isDead) {
-            miniboss.burnTimer = (miniboss.burnTimer || 0) + k.dt();
-            const burnTickInterval = 0.5; // Deal burn damage every 0.5 seconds
-
-            if (miniboss.burnTimer >= burnTickInterval) {
-                // In multiplayer, only host deals burn damage
-                if (!isMultiplayerActive() || isHost()) {
-                    // Deal burn damage
-                    if (miniboss.takeDamage) {
-                        miniboss.takeDamage(miniboss.burnDamage);
-                    } else {
-                        miniboss.hurt(miniboss.burnDamage);
-                    }
-                }
-
-                // Visual feedback for burn damage (orange tint) on all clients
-                const originalColor = miniboss.color;
-                miniboss.color = k.rgb(255, 150, 50);
-                k.wait(0.1, () => {
-                    if (miniboss.exists()) {
-                        miniboss.updateVisual();
-                    }
-                });
-
-                miniboss.burnTimer = 0;
-            }
-
-            // Decrease burn duration
-            miniboss.burnDuration -= k.dt();
-            if (miniboss.burnDuration <= 0) {
-                miniboss.burnDamage = 0;
-                miniboss.burnTimer = 0;
-            }
-        }
+        // Status effects (burn, poison, shock ticks)
+        updateStatusEffects(k, miniboss);
+        if (isStatusImmobilized(miniboss)) return;
 
         const player = k.get('player')[0];
         if (!player || !player.exists()) return;
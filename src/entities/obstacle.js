@@ -11,7 +11,8 @@ export function createObstacle(k, x, y, width, height, type = 'wall', char = '#'
     const defaultColor = isWall ? k.rgb(100, 100, 100) : k.rgb(140, 140, 140);
     const defaultOutline = isWall ? k.rgb(80, 80, 80) : k.rgb(120, 120, 120);
     
-    // Use rect for visual representation
+    // Use rect for visual representation, in world space (no fixed()) so it's drawn where it
+    // collides under screen shake and the spectator follow-cam
     const obstacle = k.add([
         k.rect(width, height),
         k.pos(x, y),
@@ -19,7 +20,6 @@ export function createObstacle(k, x, y, width, height, type = 'wall', char = '#'
         k.color(color || defaultColor),
         k.outline(2, color || defaultOutline), // Thicker outline for better visibility
         k.area({ width: width, height: height }),
-        k.fixed(), // Fixed position (doesn't move)
         'obstacle',
         type === 'wall' ? 'wall' : 'cover' // Tag for collision filtering
     ]);
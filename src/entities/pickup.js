@@ -1,14 +1,16 @@
 // Pickup entity definitions
-import { PICKUP_CONFIG } from '../config/constants.js';
+import { PICKUP_CONFIG, HEALTH_PICKUPS } from '../config/constants.js';
 import { POWERUP_WEAPONS } from '../systems/powerupWeapons.js';
 import { registerPickup, isHost, isMultiplayerActive, unregisterPickup } from '../systems/multiplayerGame.js';
+import { adjustColor } from '../systems/accessibility.js';
+import { gameplayRandom } from '../utils/seededRandom.js';
 
 export function createXPPickup(k, x, y, value) {
     const pickup = k.add([
         k.text('+', { size: 16 }),
         k.pos(x, y),
         k.anchor('center'),
-        k.color(...PICKUP_CONFIG.XP_COLOR),
+        k.color(...adjustColor(PICKUP_CONFIG.XP_COLOR)),
         k.area(),
         k.scale(1),
         'xpPickup'
@@ -26,7 +28,7 @@ export function createXPPickup(k, x, y, value) {
     pickup.isFlyingToUI = false;
 
     // Bounce physics
-    pickup.velocityY = -150 - Math.random() * 100; // Initial upward velocity (randomized)
+    pickup.velocityY = -150 - gameplayRandom() * 100; // Initial upward velocity (randomized)
     pickup.gravity = 600; // Gravity acceleration
     pickup.groundY = y; // Ground level (spawn position)
     pickup.bounceDamping = 0.5; // Energy loss per bounce
@@ -143,7 +145,7 @@ export function createCurrencyPickup(k, x, y, value, icon = null) {
         k.text(currencyIcon, { size: 9 }), // Reduced from 18 to 9 (50% smaller)
         k.pos(x, y),
         k.anchor('center'),
-        k.color(...PICKUP_CONFIG.CURRENCY_COLOR),
+        k.color(...adjustColor(PICKUP_CONFIG.CURRENCY_COLOR)),
         k.area(),
         k.scale(1),
         k.opacity(1),
@@ -162,7 +164,7 @@ export function createCurrencyPickup(k, x, y, value, icon = null) {
     pickup.isFlyingToUI = false;
 
     // Bounce physics
-    pickup.velocityY = -150 - Math.random() * 100; // Initial upward velocity (randomized)
+    pickup.velocityY = -150 - gameplayRandom() * 100; // Initial upward velocity (randomized)
     pickup.gravity = 600; // Gravity acceleration
     pickup.groundY = y; // Ground level (spawn position)
     pickup.bounceDamping = 0.5; // Energy loss per bounce
@@ -206,7 +208,7 @@ export function createCurrencyPickup(k, x, y, value, icon = null) {
             if (flash > 0) {
                 pickup.color = k.rgb(255, 255, 200); // Bright gold/white flash
             } else {
-                pickup.color = k.rgb(...PICKUP_CONFIG.CURRENCY_COLOR);
+                pickup.color = k.rgb(...adjustColor(PICKUP_CONFIG.CURRENCY_COLOR));
             }
         } else {
             pickup.opacity = 1;
@@ -288,7 +290,7 @@ export function createPowerupWeaponPickup(k, x, y, powerupKey) {
         k.text(powerup.icon, { size: 24 }),
         k.pos(x, y),
         k.anchor('center'),
-        k.color(...powerup.color),
+        k.color(...adjustColor(powerup.color)),
         k.area(),
         k.scale(1),
         'powerupWeaponPickup'
@@ -305,7 +307,7 @@ export function createPowerupWeaponPickup(k, x, y, powerupKey) {
     pickup.targetPlayer = null;
 
     // Bounce physics
-    pickup.velocityY = -150 - Math.random() * 100; // Initial upward velocity (randomized)
+    pickup.velocityY = -150 - gameplayRandom() * 100; // Initial upward velocity (randomized)
     pickup.gravity = 600; // Gravity acceleration
     pickup.groundY = y; // Ground level (spawn position)
     pickup.bounceDamping = 0.5; // Energy loss per bounce
@@ -396,3 +398,173 @@ export function createPowerupWeaponPickup(k, x, y, powerupKey) {
 
     return pickup;
 }
+
+/**
+ * Get the highest HP a health pickup can bring a player to
+ * @param {object} player - Player entity
+ * @param {string} healthType - HEALTH_PICKUPS key
+ * @returns {number}
+ */
+export function getHealthPickupCap(player, healthType) {
+    const healthPickup = HEALTH_PICKUPS[healthType];
+    if (healthPickup && healthPickup.overheal) {
+        return Math.floor(player.maxHealth * (1 + PICKUP_CONFIG.OVERHEAL_CAP));
+    }
+    return player.maxHealth;
+}
+
+/**
+ * Check if a player would gain anything from a health pickup
+ * (hearts aren't pulled toward or wasted on players at full health)
+ * @param {object} player - Player entity
+ * @param {string} healthType - HEALTH_PICKUPS key
+ * @returns {boolean}
+ */
+export function canUseHealthPickup(player, healthType) {
+    if (!player || player.isDead || !HEALTH_PICKUPS[healthType]) return false;
+    return player.hp() < getHealthPickupCap(player, healthType);
+}
+
+/**
+ * Heal a player with a health pickup
+ * @param {object} player - Player entity
+ * @param {string} healthType - HEALTH_PICKUPS key
+ * @returns {number} Amount actually healed (0 if nothing changed)
+ */
+export function applyHealthPickup(player, healthType) {
+    const healthPickup = HEALTH_PICKUPS[healthType];
+    if (!healthPickup) return 0;
+
+    const currentHP = player.hp();
+    const healAmount = Math.max(healthPickup.minHeal, Math.floor(player.maxHealth * healthPickup.healPercent));
+    // Hearts never take away overheal, they just can't add to it
+    const newHP = Math.max(currentHP, Math.min(getHealthPickupCap(player, healthType), currentHP + healAmount));
+    if (newHP <= currentHP) return 0;
+
+    player.setHP(newHP);
+    return newHP - currentHP;
+}
+
+// Create a health pickup (small heart, large heart or overheal shard)
+export function createHealthPickup(k, x, y, healthType) {
+    const healthPickup = HEALTH_PICKUPS[healthType];
+    if (!healthPickup) return null;
+
+    const pickup = k.add([
+        k.text(healthPickup.icon, { size: healthPickup.size }),
+        k.pos(x, y),
+        k.anchor('center'),
+        k.color(...adjustColor(healthPickup.color)),
+        k.area(),
+        k.scale(1),
+        k.opacity(1),
+        'healthPickup'
+    ]);
+
+    pickup.healthType = healthType;
+    pickup.lifetime = PICKUP_CONFIG.HEALTH_LIFETIME;
+    pickup.age = 0;
+    pickup.collected = false;
+
+    // Magnetization state
+    pickup.magnetizing = false;
+    pickup.magnetizeSpeed = 0;
+    pickup.targetPlayer = null;
+
+    // Bounce physics
+    pickup.velocityY = -150 - gameplayRandom() * 100; // Initial upward velocity (randomized)
+    pickup.gravity = 600; // Gravity acceleration
+    pickup.groundY = y; // Ground level (spawn position)
+    pickup.bounceDamping = 0.5; // Energy loss per bounce
+    pickup.bouncing = true; // Whether still bouncing
+
+    // Visual effect - heartbeat pulse, and flashing before despawn
+    pickup.onUpdate(() => {
+        // Two quick beats then a rest, like a heartbeat
+        const beat = Math.max(0, Math.sin(pickup.age * PICKUP_CONFIG.HEALTH_PULSE_SPEED * Math.PI * 2));
+        const pulse = Math.pow(beat, 4) * PICKUP_CONFIG.HEALTH_PULSE_AMOUNT;
+
+        if (k.paused) {
+            // Still allow animation during pause for visual feedback
+            pickup.scale = k.vec2(1 + pulse);
+            return;
+        }
+
+        pickup.age += k.dt();
+        pickup.scale = k.vec2(1 + pulse);
+
+        // Flashing effect when about to despawn (last 4 seconds)
+        const timeRemaining = pickup.lifetime - pickup.age;
+        if (timeRemaining <= 4 && timeRemaining > 0) {
+            const flashSpeed = 4 + (4 - timeRemaining) * 2;
+            pickup.opacity = 0.65 + Math.sin(pickup.age * flashSpeed * Math.PI * 2) * 0.35;
+        } else {
+            pickup.opacity = 1;
+        }
+
+        // Bounce physics (only when not magnetizing)
+        if (!pickup.magnetizing && pickup.bouncing) {
+            // Apply gravity
+            pickup.velocityY += pickup.gravity * k.dt();
+            pickup.pos.y += pickup.velocityY * k.dt();
+
+            // Check for ground collision
+            if (pickup.pos.y >= pickup.groundY) {
+                pickup.pos.y = pickup.groundY;
+                pickup.velocityY = -pickup.velocityY * pickup.bounceDamping;
+
+                // Stop bouncing if velocity is very small
+                if (Math.abs(pickup.velocityY) < 20) {
+                    pickup.bouncing = false;
+                    pickup.velocityY = 0;
+                }
+            }
+        }
+
+        // Magnetization movement - once magnetizing starts, it never stops
+        if (pickup.magnetizing && pickup.targetPlayer && pickup.targetPlayer.exists()) {
+            pickup.bouncing = false; // Stop bouncing when magnetizing
+
+            // Calculate direction to player
+            const dirToPlayer = k.vec2(
+                pickup.targetPlayer.pos.x - pickup.pos.x,
+                pickup.targetPlayer.pos.y - pickup.pos.y
+            );
+            const distance = dirToPlayer.len();
+
+            if (distance > 0) {
+                // Normalize direction
+                const dir = dirToPlayer.scale(1 / distance);
+
+                // Accelerate magnetization speed
+                pickup.magnetizeSpeed = Math.min(
+                    pickup.magnetizeSpeed + PICKUP_CONFIG.MAGNETIZE_ACCELERATION * k.dt(),
+                    PICKUP_CONFIG.MAGNETIZE_SPEED
+                );
+
+                // Move toward player
+                pickup.pos = pickup.pos.add(dir.scale(pickup.magnetizeSpeed * k.dt()));
+            }
+        }
+
+        // Despawn after lifetime
+        if (pickup.age >= pickup.lifetime) {
+            k.destroy(pickup);
+        }
+    });
+
+    // Multiplayer: Register pickup for network sync if host
+    pickup.pickupType = 'health'; // Mark type for sync
+    if (isMultiplayerActive() && isHost()) {
+        registerPickup(pickup, { type: 'healthPickup', healthType });
+    }
+
+    // Cleanup: Remove from tracking map when destroyed (prevents memory leak)
+    if (isMultiplayerActive()) {
+        pickup.onDestroy(() => {
+            unregisterPickup(pickup);
+        });
+    }
+
+    return pickup;
+}
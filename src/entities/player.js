@@ -13,6 +13,11 @@
 // System imports
 import { getSelectedCharacter, getPermanentUpgradeLevel } from '../systems/metaProgression.js';
 import { getMovementInput, updateGamepadInput } from '../systems/inputSystem.js';
+import { onActionDown, onActionRelease, isActionDown } from '../systems/keyBindings.js';
+import { getDeviceMovement } from '../systems/localCoop.js';
+import { updateStatusEffects } from '../systems/statusEffects.js';
+import { updateAbility } from '../systems/abilities.js';
+import { isReplayRecording, recordReplayMove, nextReplayMove } from '../systems/replaySystem.js';
 
 // Data imports
 import { CHARACTER_UNLOCKS } from '../data/unlocks.js';
@@ -162,6 +167,12 @@ export function createPlayer(k, x, y, characterKey = null) {
         player.fireDotMultiplier = CHARACTER_ABILITIES.PYRO_FIRE_DOT_MULTIPLIER;
     }
 
+    // Active ability on the ability key (see systems/abilities.js)
+    player.activeAbility = charData.activeAbility || null;
+    player.abilityCooldown = 0; // Seconds until the ability is ready
+    player.abilityCooldownMultiplier = 1.0; // Quick Recharge upgrade
+    player.abilityPower = 1.0; // Overcharge upgrade
+
     // Apply permanent upgrades from shop (only for local players, not in multiplayer sync)
     if (!charData.skipPermanentUpgrades) {
         // Lucky Start: +5% crit chance per level
@@ -197,78 +208,37 @@ export function createPlayer(k, x, y, characterKey = null) {
     // Movement
     let moveDir = k.vec2(0, 0);
     let windowHasFocus = document.hasFocus();
-    // Track keys that need to be released before accepting input again
-    let keysNeedRelease = { w: false, s: false, a: false, d: false, up: false, down: false, left: false, right: false };
+    // Track actions whose keys need to be released before accepting input again
+    let keysNeedRelease = { moveUp: false, moveDown: false, moveLeft: false, moveRight: false };
 
     // Expose moveDir on player object for multiplayer input reading
     player.moveDir = moveDir;
 
-    k.onKeyDown(['w', 'up'], () => {
-        if (player.isRemote || !windowHasFocus) return;
-        if (keysNeedRelease.w || keysNeedRelease.up) return;
-        moveDir.y = -1;
-        player.moveDir = moveDir;
-    });
-
-    k.onKeyDown(['s', 'down'], () => {
-        if (player.isRemote || !windowHasFocus) return;
-        if (keysNeedRelease.s || keysNeedRelease.down) return;
-        moveDir.y = 1;
-        player.moveDir = moveDir;
-    });
-
-    k.onKeyDown(['a', 'left'], () => {
-        if (player.isRemote || !windowHasFocus) return;
-        if (keysNeedRelease.a || keysNeedRelease.left) return;
-        moveDir.x = -1;
-        player.moveDir = moveDir;
-    });
-
-    k.onKeyDown(['d', 'right'], () => {
-        if (player.isRemote || !windowHasFocus) return;
-        if (keysNeedRelease.d || keysNeedRelease.right) return;
-        moveDir.x = 1;
-        player.moveDir = moveDir;
-    });
-
-    k.onKeyRelease(['w', 'up'], () => {
-        if (player.isRemote) return;
-        keysNeedRelease.w = false;
-        keysNeedRelease.up = false;
-        if (!k.isKeyDown('s') && !k.isKeyDown('down')) {
-            moveDir.y = 0;
-            player.moveDir = moveDir;
-        }
-    });
-
-    k.onKeyRelease(['s', 'down'], () => {
-        if (player.isRemote) return;
-        keysNeedRelease.s = false;
-        keysNeedRelease.down = false;
-        if (!k.isKeyDown('w') && !k.isKeyDown('up')) {
-            moveDir.y = 0;
+    // Movement uses the rebindable actions from keyBindings.js
+    // (each direction, and the action that cancels it when released)
+    const movementActions = [
+        { action: 'moveUp', opposite: 'moveDown', axis: 'y', value: -1 },
+        { action: 'moveDown', opposite: 'moveUp', axis: 'y', value: 1 },
+        { action: 'moveLeft', opposite: 'moveRight', axis: 'x', value: -1 },
+        { action: 'moveRight', opposite: 'moveLeft', axis: 'x', value: 1 }
+    ];
+
+    movementActions.forEach(({ action, opposite, axis, value }) => {
+        onActionDown(k, action, () => {
+            if (player.isRemote || !windowHasFocus) return;
+            if (keysNeedRelease[action]) return;
+            moveDir[axis] = value;
             player.moveDir = moveDir;
-        }
-    });
-
-    k.onKeyRelease(['a', 'left'], () => {
-        if (player.isRemote) return;
-        keysNeedRelease.a = false;
-        keysNeedRelease.left = false;
-        if (!k.isKeyDown('d') && !k.isKeyDown('right')) {
-            moveDir.x = 0;
-            player.moveDir = moveDir;
-        }
-    });
-
-    k.onKeyRelease(['d', 'right'], () => {
-        if (player.isRemote) return;
-        keysNeedRelease.d = false;
-        keysNeedRelease.right = false;
-        if (!k.isKeyDown('a') && !k.isKeyDown('left')) {
-            moveDir.x = 0;
-            player.moveDir = moveDir;
-        }
+        });
+
+        onActionRelease(k, action, () => {
+            if (player.isRemote) return;
+            keysNeedRelease[action] = false;
+            if (!isActionDown(k, opposite)) {
+                moveDir[axis] = 0;
+                player.moveDir = moveDir;
+            }
+        });
     });
 
     // Stop movement when window loses focus
@@ -279,16 +249,12 @@ export function createPlayer(k, x, y, characterKey = null) {
         moveDir.y = 0;
         player.moveDir = moveDir;
         player.isShooting = false;
-        // Only mark keys that are currently held as needing release
+        // Only mark actions that are currently held as needing release
         keysNeedRelease = {
-            w: k.isKeyDown('w'),
-            s: k.isKeyDown('s'),
-            a: k.isKeyDown('a'),
-            d: k.isKeyDown('d'),
-            up: k.isKeyDown('up'),
-            down: k.isKeyDown('down'),
-            left: k.isKeyDown('left'),
-            right: k.isKeyDown('right')
+            moveUp: isActionDown(k, 'moveUp'),
+            moveDown: isActionDown(k, 'moveDown'),
+            moveLeft: isActionDown(k, 'moveLeft'),
+            moveRight: isActionDown(k, 'moveRight')
         };
     };
 
@@ -314,6 +280,12 @@ export function createPlayer(k, x, y, characterKey = null) {
 
         if (k.paused) return;
 
+        // Status effects inflicted by enemies (e.g. Toxic elites)
+        updateStatusEffects(k, player);
+
+        // Active ability cooldown and timers
+        updateAbility(k, player);
+
         // Update immunity frames
         if (player.invulnerable) {
             player.invulnerableTime -= k.dt();
@@ -351,9 +323,17 @@ export function createPlayer(k, x, y, characterKey = null) {
         updateGamepadInput();
 
         // For remote players, use network-provided move input instead of keyboard
+        // Replays use the recorded move input
         let effectiveMoveDir = moveDir;
-        if (player.isRemote && player.move) {
+        if (player.isReplay) {
+            const move = nextReplayMove();
+            effectiveMoveDir = k.vec2(move.x, move.y);
+        } else if (player.isRemote && player.move) {
             effectiveMoveDir = k.vec2(player.move.x, player.move.y);
+        } else if (player.inputDevice) {
+            // Couch co-op: each player reads only their own gamepad or keyboard half
+            const deviceMove = getDeviceMovement(k, player.inputDevice);
+            effectiveMoveDir = k.vec2(deviceMove.x, deviceMove.y);
         } else if (!player.isRemote) {
             // Check for gamepad/touch input (overrides keyboard if active)
             const altInput = getMovementInput();
@@ -361,6 +341,13 @@ export function createPlayer(k, x, y, characterKey = null) {
                 effectiveMoveDir = k.vec2(altInput.x, altInput.y);
             }
         }
+        // Recording moves by the rounded input the replay will read back
+        if (isReplayRecording() && !player.isRemote && !player.isReplay) {
+            const move = recordReplayMove(effectiveMoveDir);
+            effectiveMoveDir = k.vec2(move.x, move.y);
+        }
+        // Expose the resolved move direction
+        player.moveInput = { x: effectiveMoveDir.x, y: effectiveMoveDir.y };
 
         if (effectiveMoveDir.len() > 0) {
             const len = effectiveMoveDir.len();
@@ -375,7 +362,8 @@ export function createPlayer(k, x, y, characterKey = null) {
             let canMoveX = true;
             let canMoveY = true;
 
-            const obstacles = k.get('obstacle');
+            // Phasing (The Ghost's ability) walks through walls and cover
+            const obstacles = player.phaseTime > 0 ? [] : k.get('obstacle');
             const playerSize = PLAYER_CONFIG.COLLISION_SIZE;
             
             for (const obstacle of obstacles) {
@@ -149,8 +149,11 @@ export function createProjectile(k, x, y, direction, speed, damage, piercing = 0
     });
 
     // Multiplayer: Register projectile for network sync if host
+    // (a frame later, so weapons can register their shots first with the firing player)
     if (isMultiplayerActive() && isHost()) {
-        registerProjectile(projectile);
+        k.wait(0, () => {
+            if (projectile.exists()) registerProjectile(projectile);
+        });
     }
 
     // Cleanup: Remove from tracking map when destroyed (prevents memory leak)
@@ -0,0 +1,104 @@
+/**
+ * Shop Pedestal Entity
+ *
+ * One item for sale in a shop room: icon, name and price, plus a fill bar
+ * that charges while a player stands on it. The scene handles the purchase.
+ */
+
+import { SHOP_ITEMS } from '../systems/specialRooms.js';
+import { POWERUP_WEAPONS } from '../systems/powerupWeapons.js';
+
+// Pedestal configuration
+const PEDESTAL_CONFIG = {
+    ICON_SIZE: 24,
+    LABEL_SIZE: 10,
+    BUY_RADIUS: 26, // Distance at which standing on the pedestal counts
+    BAR_WIDTH: 40,
+    BAR_HEIGHT: 4,
+    PRICE_COLOR: [255, 220, 80],
+    SOLD_COLOR: [110, 110, 120]
+};
+
+/**
+ * Create a shop pedestal
+ * @param {Object} stock - Entry from rollShopStock(): { itemKey, price, powerupKey? }
+ */
+export function createShopPedestal(k, x, y, stock) {
+    const item = SHOP_ITEMS[stock.itemKey];
+    if (!item) return null;
+
+    // Powerups show the actual weapon on offer
+    const powerup = stock.powerupKey ? POWERUP_WEAPONS[stock.powerupKey] : null;
+    const icon = powerup ? powerup.icon : item.icon;
+    const color = powerup ? powerup.color : item.color;
+    const name = powerup ? powerup.name : item.name;
+
+    const pedestal = k.add([
+        k.text(icon, { size: PEDESTAL_CONFIG.ICON_SIZE }),
+        k.pos(x, y),
+        k.anchor('center'),
+        k.color(...color),
+        k.z(5),
+        'shopPedestal'
+    ]);
+
+    pedestal.stock = stock;
+    pedestal.sold = false;
+    pedestal.buyRadius = PEDESTAL_CONFIG.BUY_RADIUS;
+    pedestal.buyProgress = 0;
+
+    const nameLabel = k.add([
+        k.text(name, { size: PEDESTAL_CONFIG.LABEL_SIZE }),
+        k.pos(x, y + 22),
+        k.anchor('center'),
+        k.color(220, 220, 230),
+        k.z(5)
+    ]);
+
+    const priceLabel = k.add([
+        k.text(`${stock.price} credits`, { size: PEDESTAL_CONFIG.LABEL_SIZE }),
+        k.pos(x, y + 34),
+        k.anchor('center'),
+        k.color(...PEDESTAL_CONFIG.PRICE_COLOR),
+        k.z(5)
+    ]);
+
+    const barBg = k.add([
+        k.rect(PEDESTAL_CONFIG.BAR_WIDTH, PEDESTAL_CONFIG.BAR_HEIGHT),
+        k.pos(x - PEDESTAL_CONFIG.BAR_WIDTH / 2, y - 24),
+        k.color(40, 40, 50),
+        k.opacity(0),
+        k.z(6)
+    ]);
+
+    const barFill = k.add([
+        k.rect(0, PEDESTAL_CONFIG.BAR_HEIGHT),
+        k.pos(x - PEDESTAL_CONFIG.BAR_WIDTH / 2, y - 24),
+        k.color(...PEDESTAL_CONFIG.PRICE_COLOR),
+        k.opacity(0),
+        k.z(7)
+    ]);
+
+    // Show buy progress (0-1); hidden at 0
+    pedestal.setBuyProgress = (progress) => {
+        pedestal.buyProgress = Math.max(0, Math.min(1, progress));
+        const visible = pedestal.buyProgress > 0 && !pedestal.sold;
+        barBg.opacity = visible ? 0.8 : 0;
+        barFill.opacity = visible ? 1 : 0;
+        barFill.width = PEDESTAL_CONFIG.BAR_WIDTH * pedestal.buyProgress;
+    };
+
+    // Grey out after purchase (safe to call on every machine)
+    pedestal.markSold = () => {
+        if (pedestal.sold) return false;
+        pedestal.sold = true;
+        pedestal.setBuyProgress(0);
+        pedestal.color = k.rgb(...PEDESTAL_CONFIG.SOLD_COLOR);
+        priceLabel.text = 'SOLD';
+        priceLabel.color = k.rgb(...PEDESTAL_CONFIG.SOLD_COLOR);
+        nameLabel.color = k.rgb(...PEDESTAL_CONFIG.SOLD_COLOR);
+        return true;
+    };
+
+    return pedestal;
+}
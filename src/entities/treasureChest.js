@@ -0,0 +1,53 @@
+/**
+ * Treasure Chest Entity
+ *
+ * Placed in treasure rooms and after a completed challenge.
+ * Opens when a player touches it; the scene decides what spills out.
+ */
+
+// Chest configuration
+const CHEST_CONFIG = {
+    CHAR_CLOSED: '▣',
+    CHAR_OPEN: '□',
+    SIZE: 28,
+    COLOR: [255, 215, 80], // Gold
+    OPEN_COLOR: [140, 120, 70], // Dull gold once looted
+    OPEN_RADIUS: 24, // Distance at which a player opens it
+    PULSE_SPEED: 3
+};
+
+export function createTreasureChest(k, x, y) {
+    const chest = k.add([
+        k.text(CHEST_CONFIG.CHAR_CLOSED, { size: CHEST_CONFIG.SIZE }),
+        k.pos(x, y),
+        k.anchor('center'),
+        k.color(...CHEST_CONFIG.COLOR),
+        k.scale(1),
+        k.z(5),
+        'treasureChest'
+    ]);
+
+    chest.opened = false;
+    chest.openRadius = CHEST_CONFIG.OPEN_RADIUS;
+    chest.age = 0;
+
+    // Gentle pulse until opened
+    chest.onUpdate(() => {
+        chest.age += k.dt();
+        if (!chest.opened) {
+            chest.scale = k.vec2(1 + Math.sin(chest.age * CHEST_CONFIG.PULSE_SPEED) * 0.08);
+        }
+    });
+
+    // Swap to the looted look (safe to call on every machine)
+    chest.open = () => {
+        if (chest.opened) return false;
+        chest.opened = true;
+        chest.text = CHEST_CONFIG.CHAR_OPEN;
+        chest.color = k.rgb(...CHEST_CONFIG.OPEN_COLOR);
+        chest.scale = k.vec2(1);
+        return true;
+    };
+
+    return chest;
+}
@@ -7,9 +7,21 @@ import { setupSettingsScene } from './scenes/settings.js';
 import { setupStatisticsScene } from './scenes/statistics.js';
 import { setupCharacterSelectScene } from './scenes/characterSelect.js';
 import { initJoinPartyScene } from './scenes/joinParty.js';
+import { setupLocalCoopScene } from './scenes/localCoop.js';
 import { setupLeaderboardsScene } from './scenes/leaderboards.js';
 import { setupProfileScene } from './scenes/profile.js';
+import { setupReplayViewerScene } from './scenes/replayViewer.js';
+import { setupRoomEditorScene } from './scenes/roomEditor.js';
 import { GAME_CONFIG } from './config/constants.js';
+import { applyAccessibilitySettings } from './systems/accessibility.js';
+import { installFixedTimestep } from './systems/frameClock.js';
+
+// Apply colorblind/high-contrast palette and text scale before any scene reads them
+applyAccessibilitySettings();
+
+// Step every frame by the same fixed time (replays re-run a run frame for frame).
+// Draws at most 64 fps and judders slightly on 60 Hz displays, see frameClock.js
+installFixedTimestep(window);
 
 // Initialize KAPLAY
 const k = kaplay({
@@ -33,8 +45,13 @@ setupSettingsScene(k);
 setupStatisticsScene(k);
 setupCharacterSelectScene(k);
 initJoinPartyScene(k);
+setupLocalCoopScene(k);
 setupLeaderboardsScene(k);
 setupProfileScene(k);
+setupReplayViewerScene(k);
+if (GAME_CONFIG.DEV_TOOLS) {
+    setupRoomEditorScene(k);
+}
 
 // Start with menu
 k.go('menu');
@@ -2,12 +2,13 @@
 import { getCurrency, getCurrencyName, isUnlocked, setSelectedCharacter, getSelectedCharacter, isAchievementUnlocked } from '../systems/metaProgression.js';
 import { broadcastCharacterChange } from '../systems/partySystem.js';
 import { CHARACTER_UNLOCKS } from '../data/unlocks.js';
+import { getActiveAbility } from '../data/abilities.js';
 import { ACHIEVEMENTS } from '../data/achievements.js';
 import { playMenuSelect, playMenuNav } from '../systems/sounds.js';
+import { createMenuNavigation } from '../systems/menuNavigation.js';
 import {
     UI_SIZES,
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_Z_LAYERS,
     UI_TERMS,
     formatButtonText,
@@ -16,6 +17,7 @@ import {
     createMenuParticles,
     createAnimatedTitle
 } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
 import { createStatBar } from '../config/uiComponents.js';
 
 // Animation constants for character preview
@@ -56,13 +58,24 @@ export function setupCharacterSelectScene(k) {
         const currency = getCurrency();
         const currencyName = getCurrencyName();
         const selectedChar = getSelectedCharacter();
+
+        // Gamepad focus navigation: focusing a card views it, A on it confirms,
+        // B cancels and LB/RB turn the page
+        const nav = createMenuNavigation(k, {
+            onBack: () => {
+                playMenuNav();
+                k.go('menu');
+            },
+            onPrevTab: () => changePage(-1),
+            onNextTab: () => changePage(1)
+        });
         
         // Background
         k.add([
             k.rect(k.width(), k.height()),
             k.pos(0, 0),
             k.anchor('topleft'),
-            k.color(...UI_COLORS.BG_DARK),
+            k.color(...getUIColors().BG_DARK),
             k.fixed(),
             k.z(UI_Z_LAYERS.BACKGROUND)
         ]);
@@ -125,10 +138,10 @@ export function setupCharacterSelectScene(k) {
 
             // Full description in secondary color
             const baseText = k.add([
-                k.text(description, { size: UI_TEXT_SIZES.SMALL, width: maxWidth }),
+                k.text(description, { size: scaleTextSize(UI_TEXT_SIZES.SMALL), width: maxWidth }),
                 k.pos(x, y),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_SECONDARY),
+                k.color(...getUIColors().TEXT_SECONDARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
@@ -220,8 +233,8 @@ export function setupCharacterSelectScene(k) {
                     k.rect(cardWidth, cardHeight),
                     k.pos(cardX, cardY),
                     k.anchor('topleft'),
-                    k.color(...(isViewed ? UI_COLORS.BG_MEDIUM : (isUnlockedChar ? UI_COLORS.BG_DARK : LOCKED_CARD_FILL))),
-                    k.outline(2, isViewed ? k.rgb(...UI_COLORS.BORDER_ACTIVE) : (isUnlockedChar ? k.rgb(...UI_COLORS.TEXT_DISABLED) : k.rgb(...LOCKED_CARD_OUTLINE))),
+                    k.color(...(isViewed ? getUIColors().BG_MEDIUM : (isUnlockedChar ? getUIColors().BG_DARK : LOCKED_CARD_FILL))),
+                    k.outline(2, isViewed ? k.rgb(...getUIColors().BORDER_ACTIVE) : (isUnlockedChar ? k.rgb(...getUIColors().TEXT_DISABLED) : k.rgb(...LOCKED_CARD_OUTLINE))),
                     k.area(),
                     k.fixed(),
                     k.scale(1),
@@ -235,10 +248,10 @@ export function setupCharacterSelectScene(k) {
 
                 // Character visual
                 const charVisual = k.add([
-                    k.text(char.char, { size: UI_TEXT_SIZES.HEADER }),
+                    k.text(char.char, { size: scaleTextSize(UI_TEXT_SIZES.HEADER) }),
                     k.pos(cardX + 28, cardY + cardHeight / 2),
                     k.anchor('center'),
-                    k.color(...(isUnlockedChar ? char.color : UI_COLORS.BG_DISABLED)),
+                    k.color(...(isUnlockedChar ? char.color : getUIColors().BG_DISABLED)),
                     k.fixed(),
                     k.scale(1),
                     k.z(UI_Z_LAYERS.UI_TEXT),
@@ -250,10 +263,10 @@ export function setupCharacterSelectScene(k) {
 
                 // Character name (stripped of "The " prefix)
                 const nameText = k.add([
-                    k.text(formatName(char.name), { size: UI_TEXT_SIZES.SMALL }),
+                    k.text(formatName(char.name), { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(cardX + 60, cardY + cardHeight / 2),
                     k.anchor('left'),
-                    k.color(...(isUnlockedChar ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_DISABLED)),
+                    k.color(...(isUnlockedChar ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_DISABLED)),
                     k.fixed(),
                     k.scale(1),
                     k.z(UI_Z_LAYERS.UI_TEXT),
@@ -286,17 +299,17 @@ export function setupCharacterSelectScene(k) {
                     cardBg.scale = k.vec2(1, 1);
                     charVisual.scale = k.vec2(1, 1);
                     nameText.scale = k.vec2(1, 1);
-                    cardBg.color = k.rgb(...(isViewed ? UI_COLORS.BG_MEDIUM : (isUnlockedChar ? UI_COLORS.BG_DARK : LOCKED_CARD_FILL)));
+                    cardBg.color = k.rgb(...(isViewed ? getUIColors().BG_MEDIUM : (isUnlockedChar ? getUIColors().BG_DARK : LOCKED_CARD_FILL)));
                     charVisual.pos.y = charVisual.baseY;
                 });
 
                 // Locked overlay
                 if (!isUnlockedChar) {
                     const lockText = k.add([
-                        k.text('🔒', { size: UI_TEXT_SIZES.SMALL }),
+                        k.text('🔒', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                         k.pos(cardX + cardWidth - 18, cardY + cardHeight / 2),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.DANGER),
+                        k.color(...getUIColors().DANGER),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.OVERLAY)
                     ]);
@@ -309,7 +322,7 @@ export function setupCharacterSelectScene(k) {
                         k.circle(8),
                         k.pos(cardX + cardWidth - 10, cardY + 12),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.SUCCESS),
+                        k.color(...getUIColors().SUCCESS),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT + 1)
                     ]);
@@ -325,14 +338,20 @@ export function setupCharacterSelectScene(k) {
                 }
 
                 // Click handler - all cards are clickable for viewing
-                cardBg.onClick(() => {
+                const viewCharacter = () => {
                     if (viewedCharacterKey !== key) {
                         playMenuSelect();
                         viewedCharacterKey = key;
                         refreshDisplay();
                     }
-                });
+                };
+                cardBg.onClick(viewCharacter);
                 cardBg.cursor = 'pointer';
+                nav.add(cardBg, confirmSelection, {
+                    id: `character-${key}`,
+                    initial: key === viewedCharacterKey,
+                    onFocus: viewCharacter
+                });
 
                 characterCards.push(cardBg, charVisual, nameText);
             });
@@ -377,13 +396,13 @@ export function setupCharacterSelectScene(k) {
                     ]);
 
                     const pageIndex = i;
-                    pipBg.onClick(() => {
+                    nav.onClick(pipBg, () => {
                         if (pageIndex !== currentPage) {
                             playMenuNav();
                             currentPage = pageIndex;
                             refreshDisplay();
                         }
-                    });
+                    }, { id: `page-${pageIndex}` });
                     pipBg.cursor = 'pointer';
 
                     paginationItems.push(pipBg, pipText);
@@ -411,11 +430,11 @@ export function setupCharacterSelectScene(k) {
                 ]);
 
                 if (currentPage > 0) {
-                    leftArrowBg.onClick(() => {
+                    nav.onClick(leftArrowBg, () => {
                         playMenuNav();
                         currentPage--;
                         refreshDisplay();
-                    });
+                    }, { id: 'prevPage' });
                     leftArrowBg.cursor = 'pointer';
                 }
                 paginationItems.push(leftArrowBg, leftArrowText);
@@ -442,11 +461,11 @@ export function setupCharacterSelectScene(k) {
                 ]);
 
                 if (currentPage < totalPages - 1) {
-                    rightArrowBg.onClick(() => {
+                    nav.onClick(rightArrowBg, () => {
                         playMenuNav();
                         currentPage++;
                         refreshDisplay();
-                    });
+                    }, { id: 'nextPage' });
                     rightArrowBg.cursor = 'pointer';
                 }
                 paginationItems.push(rightArrowBg, rightArrowText);
@@ -487,7 +506,7 @@ export function setupCharacterSelectScene(k) {
                 k.text(viewedChar.char, { size: 72 }),
                 k.pos(rightPanelX + rightPanelWidth / 2, detailY + 45),
                 k.anchor('center'),
-                k.color(...(isViewedUnlocked ? viewedChar.color : UI_COLORS.BG_DISABLED)),
+                k.color(...(isViewedUnlocked ? viewedChar.color : getUIColors().BG_DISABLED)),
                 k.fixed(),
                 k.scale(1),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS + 1),
@@ -528,10 +547,10 @@ export function setupCharacterSelectScene(k) {
 
             // Character name (stripped of "The " prefix)
             const detailName = k.add([
-                k.text(formatName(viewedChar.name), { size: UI_TEXT_SIZES.HEADER }),
+                k.text(formatName(viewedChar.name), { size: scaleTextSize(UI_TEXT_SIZES.HEADER) }),
                 k.pos(rightPanelX + rightPanelWidth / 2, detailY),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_PRIMARY),
+                k.color(...getUIColors().TEXT_PRIMARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
@@ -550,10 +569,10 @@ export function setupCharacterSelectScene(k) {
 
             // Stats with visual bars
             const statsLabel = k.add([
-                k.text('Stats:', { size: UI_TEXT_SIZES.LABEL }),
+                k.text('Stats:', { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
                 k.pos(rightPanelX + 20, detailY),
                 k.anchor('left'),
-                k.color(...UI_COLORS.WARNING),
+                k.color(...getUIColors().WARNING),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
@@ -575,7 +594,7 @@ export function setupCharacterSelectScene(k) {
                 x: statBarX,
                 y: detailY,
                 width: statBarWidth,
-                color: UI_COLORS.INFO
+                color: getUIColors().INFO
             });
             detailItems.push(...healthBar.elements);
             detailY += statRowHeight;
@@ -588,7 +607,7 @@ export function setupCharacterSelectScene(k) {
                 x: statBarX,
                 y: detailY,
                 width: statBarWidth,
-                color: UI_COLORS.INFO
+                color: getUIColors().INFO
             });
             detailItems.push(...speedBar.elements);
             detailY += statRowHeight;
@@ -601,18 +620,36 @@ export function setupCharacterSelectScene(k) {
                 x: statBarX,
                 y: detailY,
                 width: statBarWidth,
-                color: UI_COLORS.INFO
+                color: getUIColors().INFO
             });
             detailItems.push(...damageBar.elements);
             detailY += 30;
 
+            // Active ability (used on the ability key)
+            const activeAbility = getActiveAbility(viewedChar.activeAbility);
+            if (activeAbility) {
+                const abilityText = k.add([
+                    k.text(`${activeAbility.icon} ${activeAbility.name} (${activeAbility.cooldown}s): ${activeAbility.description}`, {
+                        size: scaleTextSize(UI_TEXT_SIZES.TINY),
+                        width: rightPanelWidth - 40
+                    }),
+                    k.pos(rightPanelX + rightPanelWidth / 2, detailY),
+                    k.anchor('center'),
+                    k.color(...activeAbility.color),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_TEXT)
+                ]);
+                detailItems.push(abilityText);
+                detailY += 28;
+            }
+
             // Currently selected indicator (show if viewing the confirmed selection)
             if (viewedCharacterKey === confirmedCharacterKey) {
                 const selectedIndicator = k.add([
-                    k.text('✓ CURRENT SELECTION', { size: UI_TEXT_SIZES.LABEL }),
+                    k.text('✓ CURRENT SELECTION', { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
                     k.pos(rightPanelX + rightPanelWidth / 2, detailY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.SUCCESS),
+                    k.color(...getUIColors().SUCCESS),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -624,10 +661,10 @@ export function setupCharacterSelectScene(k) {
                 const unlockTextStr = getUnlockText(viewedChar);
                 if (unlockTextStr) {
                     const unlockText = k.add([
-                        k.text(unlockTextStr, { size: UI_TEXT_SIZES.SMALL, width: rightPanelWidth - 40 }),
+                        k.text(unlockTextStr, { size: scaleTextSize(UI_TEXT_SIZES.SMALL), width: rightPanelWidth - 40 }),
                         k.pos(rightPanelX + rightPanelWidth / 2, detailY + 30),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.GOLD),
+                        k.color(...getUIColors().GOLD),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
@@ -641,30 +678,38 @@ export function setupCharacterSelectScene(k) {
         // Initial display
         refreshDisplay();
 
-        // Keyboard pagination
-        k.onKeyPress('arrowleft', () => {
-            if (currentPage > 0) {
+        // Keyboard pagination (LB/RB on a gamepad)
+        function changePage(step) {
+            const page = currentPage + step;
+            if (page >= 0 && page < totalPages) {
                 playMenuNav();
-                currentPage--;
+                currentPage = page;
                 refreshDisplay();
             }
-        });
+        }
 
-        k.onKeyPress('arrowright', () => {
-            if (currentPage < totalPages - 1) {
-                playMenuNav();
-                currentPage++;
-                refreshDisplay();
+        k.onKeyPress('arrowleft', () => changePage(-1));
+        k.onKeyPress('arrowright', () => changePage(1));
+
+        // Pick the viewed character (if unlocked) and return to the menu
+        function confirmSelection() {
+            const viewedChar = CHARACTER_UNLOCKS[viewedCharacterKey];
+            const isViewedUnlocked = isUnlocked('characters', viewedCharacterKey) || viewedChar.unlockedByDefault;
+            if (isViewedUnlocked) {
+                playMenuSelect();
+                setSelectedCharacter(viewedCharacterKey);
+                broadcastCharacterChange(viewedCharacterKey);
+                k.go('menu');
             }
-        });
+        }
 
         // Cancel button (left side)
         const cancelButton = k.add([
             k.rect(120, 35),
             k.pos(k.width() / 2 - 70, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.NEUTRAL),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().NEUTRAL),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.scale(1),
@@ -672,10 +717,10 @@ export function setupCharacterSelectScene(k) {
         ]);
 
         const cancelText = k.add([
-            k.text(formatButtonText('Cancel'), { size: UI_TEXT_SIZES.BODY }),
+            k.text(formatButtonText('Cancel'), { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
             k.pos(k.width() / 2 - 70, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.scale(1),
             k.z(UI_Z_LAYERS.UI_TEXT)
@@ -688,20 +733,20 @@ export function setupCharacterSelectScene(k) {
                 cancelButton.isHovered = true;
                 playMenuNav();
             }
-            cancelButton.color = k.rgb(...UI_COLORS.NEUTRAL_HOVER);
-            cancelButton.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
+            cancelButton.color = k.rgb(...getUIColors().NEUTRAL_HOVER);
+            cancelButton.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
             cancelButton.scale = k.vec2(1.02, 1.02);
             cancelText.scale = k.vec2(1.02, 1.02);
         });
         cancelButton.onHoverEnd(() => {
             cancelButton.isHovered = false;
-            cancelButton.color = k.rgb(...UI_COLORS.NEUTRAL);
-            cancelButton.outline.color = k.rgb(...UI_COLORS.BORDER);
+            cancelButton.color = k.rgb(...getUIColors().NEUTRAL);
+            cancelButton.outline.color = k.rgb(...getUIColors().BORDER);
             cancelButton.scale = k.vec2(1, 1);
             cancelText.scale = k.vec2(1, 1);
         });
 
-        cancelButton.onClick(() => {
+        nav.onClick(cancelButton, () => {
             playMenuNav();
             k.go('menu');
         });
@@ -728,8 +773,8 @@ export function setupCharacterSelectScene(k) {
                 k.rect(120, 35),
                 k.pos(k.width() / 2 + 70, k.height() - 40),
                 k.anchor('center'),
-                k.color(...(isViewedUnlocked ? UI_COLORS.SUCCESS : UI_COLORS.BG_DISABLED)),
-                k.outline(2, k.rgb(...(isViewedUnlocked ? UI_COLORS.BORDER : UI_COLORS.BG_DARK))),
+                k.color(...(isViewedUnlocked ? getUIColors().SUCCESS : getUIColors().BG_DISABLED)),
+                k.outline(2, k.rgb(...(isViewedUnlocked ? getUIColors().BORDER : getUIColors().BG_DARK))),
                 k.area(),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS)
@@ -737,22 +782,17 @@ export function setupCharacterSelectScene(k) {
             confirmButtonItems.push(confirmButton);
 
             confirmText = k.add([
-                k.text(formatButtonText('Confirm'), { size: UI_TEXT_SIZES.BODY }),
+                k.text(formatButtonText('Confirm'), { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(k.width() / 2 + 70, k.height() - 40),
                 k.anchor('center'),
-                k.color(...(isViewedUnlocked ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_DISABLED)),
+                k.color(...(isViewedUnlocked ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_DISABLED)),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
             confirmButtonItems.push(confirmText);
 
             if (isViewedUnlocked) {
-                confirmButton.onClick(() => {
-                    playMenuSelect();
-                    setSelectedCharacter(viewedCharacterKey);
-                    broadcastCharacterChange(viewedCharacterKey);
-                    k.go('menu');
-                });
+                nav.onClick(confirmButton, confirmSelection, { id: 'confirm' });
                 confirmButton.cursor = 'pointer';
             }
         }
@@ -774,15 +814,6 @@ export function setupCharacterSelectScene(k) {
             k.go('menu');
         });
 
-        k.onKeyPress('enter', () => {
-            const viewedChar = CHARACTER_UNLOCKS[viewedCharacterKey];
-            const isViewedUnlocked = isUnlocked('characters', viewedCharacterKey) || viewedChar.unlockedByDefault;
-            if (isViewedUnlocked) {
-                playMenuSelect();
-                setSelectedCharacter(viewedCharacterKey);
-                broadcastCharacterChange(viewedCharacterKey);
-                k.go('menu');
-            }
-        });
+        k.onKeyPress('enter', confirmSelection);
     });
 }
@@ -18,8 +18,10 @@ import { createPlayer } from '../entities/player.js';
 import { createEnemy } from '../entities/enemy.js';
 import { createBoss, createTwinGuardians } from '../entities/boss.js';
 import { createMiniboss } from '../entities/miniboss.js';
-import { createXPPickup, createCurrencyPickup, getRandomCurrencyIcon, createPowerupWeaponPickup } from '../entities/pickup.js';
+import { createXPPickup, createCurrencyPickup, getRandomCurrencyIcon, createPowerupWeaponPickup, createHealthPickup, canUseHealthPickup, applyHealthPickup } from '../entities/pickup.js';
 import { createDoor } from '../entities/door.js';
+import { createTreasureChest } from '../entities/treasureChest.js';
+import { createShopPedestal } from '../entities/shopPedestal.js';
 import { createObstacle } from '../entities/obstacle.js';
 import { createProjectile } from '../entities/projectile.js';
 import { createBarrel, clearAllBarrels, handleProjectileBarrelCollision, findBarrelByPosition, getAllBarrels } from '../entities/barrel.js';
@@ -28,34 +30,60 @@ import { createBarrel, clearAllBarrels, handleProjectileBarrelCollision, findBar
 import { SpatialGrid } from '../systems/spatialGrid.js';
 import { initObjectPools, clearAllPools } from '../systems/objectPool.js';
 import { setupCombatSystem } from '../systems/combat.js';
+import { emitGameEvent, onGameEvent } from '../systems/eventBus.js';
+import { startRunStatsRecorder } from '../systems/runStatsRecorder.js';
 import { setupProgressionSystem } from '../systems/progression.js';
-import { getRandomEnemyType } from '../systems/enemySpawn.js';
+import { getRandomEnemyType, rollHealthDrop, getBossHealthDrops } from '../systems/enemySpawn.js';
 import { tryMakeElite } from '../systems/eliteSystem.js';
-import { showMovementHint, showLevelUpHint } from '../systems/tutorial.js';
-import { SeededRandom } from '../utils/seededRandom.js';
+import { initTutorialHints } from '../systems/tutorial.js';
+import { initSpectatorView } from '../systems/spectatorSystem.js';
+import { initChatOverlay, initQuickChatWheel } from '../systems/chatOverlay.js';
+import { SeededRandom, createSeed, setGameplayRNG, gameplayRandom } from '../utils/seededRandom.js';
 import { getWeightedRoomTemplate, getFloorColors, constrainObstacleToRoom, resetRoomTemplateHistory, getRoomTemplateByKey, getBarrelPositions } from '../systems/roomGeneration.js';
 import { checkAndApplySynergies, trackUpgrade, reapplySynergies } from '../systems/synergies.js';
-import { UPGRADES, recalculateAllUpgrades, applyUpgrade } from '../systems/upgrades.js';
-import { updateRunStats, calculateCurrencyEarned, addCurrency, getCurrency, getPermanentUpgradeLevel, checkFloorUnlocks, recordRun, consumeBoosters, getEquippedCosmetics, getSelectedCharacter } from '../systems/metaProgression.js';
+import { UPGRADES, recalculateAllUpgrades, applyUpgrade, setUpgradeDraftFloor } from '../systems/upgrades.js';
+import { updateRunStats, calculateCurrencyEarned, addCurrency, getCurrency, getPermanentUpgradeLevel, checkFloorUnlocks, recordRun, consumeBoosters, getEquippedCosmetics, getSelectedCharacter, getSaveData } from '../systems/metaProgression.js';
 import { RUN_BOOSTER_UNLOCKS, COSMETIC_UNLOCKS } from '../data/unlocks.js';
-import { checkAchievements, initAchievementChecker, trackPlayerDamage, trackFloorDamage, trackBossDamage, startBossFight, onBossDefeated, onFloorCompleted, trackEnemyKill, trackPickup, trackCloseCall } from '../systems/achievementChecker.js';
+import { checkAchievements, initAchievementChecker } from '../systems/achievementChecker.js';
 import { isUpgradeDraftActive, showUpgradeDraft } from './upgradeDraft.js';
+import { resetDraftCharges, getDraftChargeState } from '../systems/draftActions.js';
 import { updateParticles, spawnBloodSplatter, spawnHitImpact, spawnDeathExplosion, spawnTrailParticle, createGlowEffect, updateGlowEffect, spawnCosmeticDeath } from '../systems/particleSystem.js';
-import { playXPPickup, playCurrencyPickup, playDoorOpen, playBossSpawn, playBossDeath, playEnemyDeath, playPause, playUnpause, initAudio, playCombatMusic } from '../systems/sounds.js';
+import { playXPPickup, playCurrencyPickup, playHealthPickup, playDoorOpen, playBossSpawn, playBossDeath, playEnemyDeath, playPause, playUnpause, initAudio, playCombatMusic } from '../systems/sounds.js';
 import { initVisualEffects, updateScreenShake, resetVisualEffects, EffectPresets, isInHitFreeze } from '../systems/visualEffects.js';
 import { getSetting } from '../systems/settings.js';
+import { scaleTextSize, getUIColors } from '../systems/accessibility.js';
 import { generateFloorMap } from '../systems/floorMap.js';
+import { ENDLESS_BOSS_MODIFIERS, getBossTypeForFloor, getBossLoopScaling, getLoopNumber, formatFloorDepth } from '../systems/endlessMode.js';
+import { SHOP_ITEMS, SHOP_BUY_TIME, CHALLENGE_TYPES, rollShopStock, rollTreasureReward, rollChallengeType, getRunWallet, spendRunCredits, getRoomClearedText } from '../systems/specialRooms.js';
 import { createMinimap } from '../systems/minimap.js';
 import { renderFloorDecorations, getFloorTheme } from '../systems/floorTheming.js';
 import { POWERUP_WEAPONS, rollPowerupDrop, applyPowerupWeapon, getPowerupDisplay, updatePowerupWeapon, restoreOriginalWeapon } from '../systems/powerupWeapons.js';
-import { getParty, getPartySize } from '../systems/partySystem.js';
-import { initMultiplayerGame, registerPlayer, registerEnemy, updateMultiplayer, isMultiplayerActive, cleanupMultiplayer, getPlayerCount, getRoomRNG, getFloorRNG, setCurrentFloor, setCurrentRoom, broadcastGameSeed, isHost, broadcastPauseState, sendPauseRequest, broadcastDeathEvent, broadcastRoomCompletion, broadcastGameOver, broadcastXPGain, broadcastCurrencyGain, broadcastPlayerDeath, broadcastRoomTransition, sendEnemyDeath, broadcastPowerupWeaponApplied, broadcastLevelUpQueued, broadcastHostQuit, getAndClearPendingXP, broadcastEmote, getFirstRoomTemplateKey, hasGameSeed, onGameSeedReceived, requestGameSeed, broadcastObstacles, broadcastHealEvent, broadcastRevivalEvent } from '../systems/multiplayerGame.js';
-import { onMessage, offMessage, getNetworkInfo, broadcast } from '../systems/networkSystem.js';
+import { getParty, getPartySize, hasLocalCoopPlayers, isDedicatedServer, isSpectator, releaseWaitingSpectators } from '../systems/partySystem.js';
+import { initMultiplayerGame, registerPlayer, registerEnemy, updateMultiplayer, isMultiplayerActive, isLocalCoopSession, cleanupMultiplayer, getPlayerCount, getRoomRNG, getFloorRNG, setCurrentFloor, setCurrentRoom, broadcastGameSeed, isHost, broadcastPauseState, sendPauseRequest, broadcastRoomCompletion, broadcastGameOver, broadcastXPGain, broadcastCurrencyGain, broadcastPlayerDeath, broadcastRoomTransition, broadcastPowerupWeaponApplied, broadcastLevelUpQueued, broadcastHostQuit, getAndClearPendingXP, broadcastEmote, getFirstRoomTemplateKey, hasGameSeed, onGameSeedReceived, requestGameSeed, broadcastObstacles, broadcastHealEvent, broadcastRevivalEvent, takeHostHandover, getRoomEnemiesSpawned } from '../systems/multiplayerGame.js';
+import { handOffHost } from '../systems/hostMigration.js';
+import { onMessage, offMessage, getNetworkInfo, broadcast, getConnectedPeers } from '../systems/networkSystem.js';
+import {
+    updateConnectionQuality,
+    updateBandwidth,
+    getBandwidth,
+    getLocalLatency,
+    getAllPeerLatencies,
+    getQualityIcon,
+    formatLatency,
+    formatBandwidth
+} from '../systems/connectionQuality.js';
 import { initInputSystem, initTouchControls } from '../systems/inputSystem.js';
+import { onActionPress, getActionKeys, formatBindingName } from '../systems/keyBindings.js';
+import { isDeviceAbilityPressed } from '../systems/localCoop.js';
+import { useAbility, getAbilityDirection, getAbilityCharge, isAbilityReady } from '../systems/abilities.js';
 import { Analytics } from '../utils/analytics.js';
+import { getRoomPlaytest, getPlaytestEnemyType } from '../systems/roomEditor.js';
+import { startReplayRecording, cancelReplayRecording, isReplayRecording, beginReplayRoom, recordReplayFrame, recordReplayEvent, recordReplayAbility, finishReplayRecording, isReplayPlayback, isReplayPaused, getPlaybackReplay, getPlaybackRoom, getPlaybackRoomIndex, advanceReplayPlayback, advanceReplayRoom } from '../systems/replaySystem.js';
+import { addReplayControls } from './replayViewer.js';
 
 // Data imports
 import { BOSS_TYPES, getBossDefinition } from '../data/bosses.js';
+import { getActiveAbility } from '../data/abilities.js';
 import { MINIBOSS_TYPES, getMinibossDefinition } from '../data/minibosses.js';
 
 // Config imports
@@ -63,7 +91,6 @@ import { PICKUP_CONFIG } from '../config/constants.js';
 import {
     UI_SIZES,
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_Z_LAYERS,
     UI_TERMS,
     formatHealth,
@@ -84,21 +111,24 @@ let gameState = {
     entryDirection: null, // Direction player entered from (opposite of exit direction)
     floorMap: null, // NEW: Floor map grid system
     minimap: null, // NEW: Minimap UI instance
-    rerollsRemaining: 0, // Per-run rerolls from Mulligan upgrade
     playersRevivedThisRun: new Set(), // Track which players have been revived (one revival per player per run)
     // Daily run state
     isDailyRun: false,
     dailyCharacter: null,
     dailySeed: null,
-    dailyRNG: null // Seeded RNG for daily run
+    dailyRNG: null, // Seeded RNG for daily run
+    runSeed: null // Seed for single-player floor/room generation (recorded in replays)
 };
 
 // Run statistics (reset on new game)
 let runStats = {
     floorsReached: 1,
+    deepestLoop: 0,
     roomsCleared: 0,
     enemiesKilled: 0,
-    bossesKilled: 0
+    bossesKilled: 0,
+    creditsCollected: 0,
+    creditsSpent: 0
 };
 
 // Flag to prevent duplicate client message handler registration (memory leak fix)
@@ -143,10 +173,9 @@ function applyPermanentUpgrades(k, player, upgradeLevels = null) {
  * @param {Object} k - Kaplay instance
  * @param {Object} player - Player entity
  * @param {Object} gameState - Game state to track active booster effects
+ * @param {Array} boosters - Boosters consumed for this run
  */
-function applyRunBoosters(k, player, gameState) {
-    // Consume all purchased boosters
-    const boosters = consumeBoosters();
+function applyRunBoosters(k, player, gameState, boosters) {
     if (boosters.length === 0) return;
 
     // Initialize booster tracking
@@ -212,7 +241,7 @@ function applyRunBoosters(k, player, gameState) {
     // Show notification if boosters were applied
     if (boosters.length > 0) {
         const boosterText = k.add([
-            k.text(`${boosters.length} Booster${boosters.length > 1 ? 's' : ''} Active!`, { size: 18 }),
+            k.text(`${boosters.length} Booster${boosters.length > 1 ? 's' : ''} Active!`, { size: scaleTextSize(18) }),
             k.pos(k.width() / 2, 100),
             k.anchor('center'),
             k.color(100, 255, 150),
@@ -237,6 +266,9 @@ export function setupGameScene(k) {
         // Start combat music
         playCombatMusic();
 
+        // Room editor playtest: one room from the editor's draft, then back to the editor
+        const roomPlaytest = getRoomPlaytest();
+
         // ==========================================
         // NEW ARCHITECTURE INITIALIZATION
         // ==========================================
@@ -275,12 +307,15 @@ export function setupGameScene(k) {
         // Clear barrels from previous room/run
         clearAllBarrels();
 
+        // Tutorial hints follow run, upgrade draft and synergy events
+        k.onSceneLeave(initTutorialHints(k));
+
         // Always ensure game starts unpaused (fixes freeze when quitting from pause menu)
         k.paused = false;
 
         // Reset game state on new game (when coming from menu)
         if (args?.resetState) {
-            gameState.currentFloor = 1;
+            gameState.currentFloor = roomPlaytest ? roomPlaytest.floor : 1;
             gameState.currentRoom = 1;
             gameState.playerStats = null;
             gameState.allPlayerStats = null; // Clear multiplayer stats
@@ -289,14 +324,20 @@ export function setupGameScene(k) {
             gameState.playersRevivedThisRun = new Set(); // Reset revival tracking
             resetRoomTemplateHistory(); // Reset room template variation
 
-            // Handle daily run state
-            gameState.isDailyRun = args?.isDailyRun || false;
-            gameState.dailyCharacter = args?.dailyCharacter || null;
-            gameState.dailySeed = args?.dailySeed || null;
+            // Handle daily run state (replays carry their own)
+            const replay = getPlaybackReplay();
+            gameState.isDailyRun = replay ? replay.isDailyRun : (args?.isDailyRun || false);
+            gameState.dailyCharacter = replay?.isDailyRun ? replay.character : (args?.dailyCharacter || null);
+            gameState.dailySeed = replay?.isDailyRun ? replay.seed : (args?.dailySeed || null);
             gameState.dailyRNG = gameState.isDailyRun && gameState.dailySeed
                 ? new SeededRandom(gameState.dailySeed)
                 : null;
 
+            // Single-player runs are seeded so they can be replayed
+            gameState.runSeed = replay
+                ? replay.seed
+                : (gameState.dailySeed || Math.floor(Math.random() * 0x100000000));
+
             if (gameState.isDailyRun) {
                 console.log('[DailyRun] Starting daily run with character:', gameState.dailyCharacter, 'seed:', gameState.dailySeed);
             }
@@ -304,38 +345,78 @@ export function setupGameScene(k) {
             // Reset run statistics
             runStats = {
                 floorsReached: 1,
+                deepestLoop: 0, // Endless mode loop reached (0 = authored floors only)
                 roomsCleared: 0,
                 enemiesKilled: 0,
                 bossesKilled: 0,
                 killsByType: {},
+                creditsCollected: 0, // Run wallet for shop rooms (collected - spent)
+                creditsSpent: 0,
                 startTime: Date.now() // Track run start time
             };
 
             // Initialize achievement checker for new run (clears previous run's achievements)
             initAchievementChecker(k);
 
-            // Initialize per-run rerolls from Mulligan permanent upgrade
-            const mulliganLevel = getPermanentUpgradeLevel('mulligan');
-            gameState.rerollsRemaining = mulliganLevel;
+            // Per-run draft rerolls, banishes, locks and skips (each player's start from permanent upgrades)
+            resetDraftCharges();
             // Reset client message handler registration flag (allows re-registration on new game)
             gameSceneMessageHandlersRegistered = false;
 
-            // Track run start (analytics)
-            const analyticsCharacter = gameState.isDailyRun ? gameState.dailyCharacter : (getSelectedCharacter() || 'survivor');
-            const analyticsPartySize = getPartySize();
-            Analytics.gameStarted(analyticsCharacter, analyticsPartySize > 1);
-            if (analyticsPartySize > 1) {
-                Analytics.multiplayerStarted(analyticsPartySize, !!getParty().isHost);
+            if (!replay) {
+                // Track run start (analytics)
+                const analyticsCharacter = gameState.isDailyRun ? gameState.dailyCharacter : (getSelectedCharacter() || 'survivor');
+                const analyticsPartySize = getPartySize();
+                Analytics.gameStarted(analyticsCharacter, analyticsPartySize > 1);
+                if (analyticsPartySize > 1) {
+                    Analytics.multiplayerStarted(analyticsPartySize, !!getParty().isHost);
+                }
             }
 
-            // Show tutorial movement hint for new players
-            k.wait(1.0, () => showMovementHint(k));
+            // Tutorial hints and other run-start listeners
+            emitGameEvent('runStarted', { isReplay: Boolean(replay) });
             // Reset weapon detail saved state
             if (k.gameData) {
                 k.gameData.weaponDetailSavedState = undefined;
             }
         }
 
+        // Replay playback: every room starts from the state recorded on entry
+        const replayPlayback = isReplayPlayback();
+        const replayRoom = replayPlayback ? getPlaybackRoom() : null;
+        if (replayRoom) {
+            const checkpoint = JSON.parse(JSON.stringify(replayRoom.checkpoint));
+            gameState.currentFloor = checkpoint.floor;
+            gameState.currentRoom = checkpoint.room;
+            gameState.entryDirection = checkpoint.entryDirection;
+            gameState.playerStats = checkpoint.playerStats;
+            resetDraftCharges(checkpoint.draftCharges);
+            runStats = checkpoint.runStats;
+        }
+
+        // Host migration: the new host picks the run up in the room the old host left
+        const hostHandover = takeHostHandover();
+        const roomHandover = hostHandover?.room || null;
+        if (roomHandover) {
+            const handoverLocalSlot = getParty().slots.findIndex(slot => slot.isLocal);
+            gameState.currentFloor = roomHandover.floor;
+            gameState.currentRoom = roomHandover.room;
+            gameState.entryDirection = roomHandover.entryDirection;
+            gameState.roomTemplateKey = roomHandover.roomTemplateKey;
+            gameState.allPlayerStats = roomHandover.allPlayerStats;
+            gameState.playerStats = roomHandover.allPlayerStats.find(stats => stats.slotIndex === handoverLocalSlot) || gameState.playerStats;
+        }
+
+        // Observers who joined mid-run start watching in the room the party just entered
+        const joinRun = args?.joinRun || null;
+        if (joinRun) {
+            gameState.currentFloor = joinRun.floor;
+            gameState.currentRoom = joinRun.room;
+            gameState.entryDirection = joinRun.entryDirection;
+            gameState.roomTemplateKey = joinRun.roomTemplateKey;
+            gameState.allPlayerStats = joinRun.allPlayerStats;
+        }
+
         // Use persistent game state
         let currentFloor = gameState.currentFloor;
         let currentRoom = gameState.currentRoom;
@@ -358,7 +439,7 @@ export function setupGameScene(k) {
         const spatialGrids = {
             enemies: new SpatialGrid(128),    // Grid for enemies, bosses, minibosses
             obstacles: new SpatialGrid(128),  // Grid for obstacles (walls, decorations)
-            pickups: new SpatialGrid(128)     // Grid for pickups (XP, currency, powerups)
+            pickups: new SpatialGrid(128)     // Grid for pickups (XP, currency, powerups, health)
         };
 
         // Initialize visual effects system
@@ -369,7 +450,7 @@ export function setupGameScene(k) {
         const partySize = getPartySize();
 
         // Helper function to get seeded RNG for the current room
-        // Priority: daily run > multiplayer > random (for single player consistency)
+        // Priority: daily run > multiplayer > single-player run seed
         function getSeededRoomRNG() {
             if (gameState.isDailyRun && gameState.dailySeed) {
                 // Create room-specific seed for daily runs
@@ -377,10 +458,30 @@ export function setupGameScene(k) {
                 return new SeededRandom(roomSeed);
             } else if (partySize > 1) {
                 return getRoomRNG();
+            } else if (gameState.runSeed) {
+                // Single player: seeded per room so replays regenerate the same rooms
+                return new SeededRandom(gameState.runSeed + currentFloor * 10000 + currentRoom * 100);
+            }
+            return null;
+        }
+
+        // Loot RNG shared by every drop in this room, so each kill rolls differently
+        // (getSeededRoomRNG() returns a fresh generator at the same seed on each call)
+        let roomLootRng;
+        function getRoomLootRNG() {
+            if (roomLootRng === undefined) {
+                roomLootRng = getSeededRoomRNG();
             }
-            return null; // Single player non-daily: use Math.random()
+            return roomLootRng;
         }
 
+        // Gameplay rolls (crits, dodges, reflects, drop chances) follow the run seed in single
+        // player, one stream per room so a replay can start from any room's checkpoint
+        setGameplayRNG(partySize <= 1 && gameState.runSeed
+            ? new SeededRandom(createSeed(gameState.runSeed, currentFloor, currentRoom))
+            : null);
+        k.onSceneLeave(() => setGameplayRNG(null));
+
         // Helper function to generate floor map and minimap
         const generateFloorMapAndMinimap = () => {
             // Set current floor for seeded RNG in multiplayer
@@ -390,7 +491,12 @@ export function setupGameScene(k) {
             }
 
             // Use seeded RNG for multiplayer to ensure same floor layout on all clients
-            const floorRng = partySize > 1 ? getFloorRNG() : null;
+            let floorRng = null;
+            if (partySize > 1) {
+                floorRng = getFloorRNG();
+            } else if (gameState.runSeed) {
+                floorRng = new SeededRandom(createSeed(gameState.runSeed, currentFloor));
+            }
             gameState.floorMap = generateFloorMap(currentFloor, floorRng);
 
             // Destroy old minimap if it exists
@@ -408,7 +514,18 @@ export function setupGameScene(k) {
 
         // Generate floor map if starting new floor or no map exists
         // For multiplayer clients, this will be regenerated when game_seed arrives
-        if (!gameState.floorMap || gameState.floorMap.floor !== currentFloor) {
+        if (replayRoom) {
+            // Rebuild the recorded layout and progress so any room can be scrubbed to
+            generateFloorMapAndMinimap();
+            const floorLayout = getPlaybackReplay().floors?.[currentFloor];
+            if (floorLayout) {
+                gameState.floorMap.restoreLayoutState(floorLayout);
+            }
+            if (replayRoom.checkpoint.progress) {
+                gameState.floorMap.restoreProgressState(replayRoom.checkpoint.progress);
+            }
+            gameState.minimap.update();
+        } else if (!gameState.floorMap || gameState.floorMap.floor !== currentFloor) {
             // For single player or if we're host, generate immediately
             // For clients, generate with placeholder (will be regenerated when seed arrives)
             generateFloorMapAndMinimap();
@@ -422,6 +539,7 @@ export function setupGameScene(k) {
         // Update run stats for floors reached
         if (currentFloor > runStats.floorsReached) {
             runStats.floorsReached = currentFloor;
+            runStats.deepestLoop = getLoopNumber(currentFloor);
         }
 
         // Floor names (TV station tiers)
@@ -441,7 +559,7 @@ export function setupGameScene(k) {
         const skipIntroAnimation = getSetting('gameplay', 'skipIntroAnimation');
         if (currentRoom === 1 && !skipIntroAnimation) {
             const floorTitle = k.add([
-                k.text(`Floor ${currentFloor}`, { size: 32 }),
+                k.text(formatFloorDepth(currentFloor), { size: scaleTextSize(32) }),
                 k.pos(k.width() / 2, k.height() / 3),
                 k.anchor('center'),
                 k.color(255, 255, 255),
@@ -451,7 +569,7 @@ export function setupGameScene(k) {
             ]);
 
             const floorSubtitle = k.add([
-                k.text(getFloorName(currentFloor), { size: 20 }),
+                k.text(getFloorName(currentFloor), { size: scaleTextSize(20) }),
                 k.pos(k.width() / 2, k.height() / 3 + 40),
                 k.anchor('center'),
                 k.color(200, 200, 255),
@@ -509,21 +627,17 @@ export function setupGameScene(k) {
         // Create player
         let player;
         // For daily runs, always use the daily character (even on room transitions)
-        const characterOverride = gameState.isDailyRun ? gameState.dailyCharacter : null;
+        // Replays always use the recorded character
+        let characterOverride = gameState.isDailyRun ? gameState.dailyCharacter : null;
+        if (replayPlayback) {
+            characterOverride = getPlaybackReplay().character;
+        }
         if (gameState.playerStats) {
             // Restore player with previous stats
             player = createPlayer(k, playerSpawnX, playerSpawnY, characterOverride);
-            // Track local player damage for the flawless_run achievement
+            // Local player damage feeds run stats and the no-hit achievements
             player.onHurt((amount) => {
-                if (amount > 0) {
-                    trackPlayerDamage(amount);
-                    trackFloorDamage(gameState.currentFloor, amount);
-                    trackBossDamage();
-                }
-                // Survived a hit that left us at exactly 1 HP (closeCall)
-                if (player.hp() === 1) {
-                    trackCloseCall();
-                }
+                emitGameEvent('playerDamaged', { player, amount, floor: gameState.currentFloor });
             });
             // Restore stats
             Object.assign(player, gameState.playerStats);
@@ -615,26 +729,33 @@ export function setupGameScene(k) {
         } else {
             // New game - create fresh player
             // For daily runs, use the locked daily character
-            const characterOverride = gameState.isDailyRun ? gameState.dailyCharacter : null;
             player = createPlayer(k, playerSpawnX, playerSpawnY, characterOverride);
-            // Track local player damage for the flawless_run achievement
+            // Local player damage feeds run stats and the no-hit achievements
             player.onHurt((amount) => {
-                if (amount > 0) {
-                    trackPlayerDamage(amount);
-                    trackFloorDamage(gameState.currentFloor, amount);
-                    trackBossDamage();
-                }
-                // Survived a hit that left us at exactly 1 HP (closeCall)
-                if (player.hp() === 1) {
-                    trackCloseCall();
-                }
+                emitGameEvent('playerDamaged', { player, amount, floor: gameState.currentFloor });
             });
 
             // Apply permanent upgrades
             applyPermanentUpgrades(k, player);
 
             // Apply run boosters (consumables purchased in shop)
-            applyRunBoosters(k, player, gameState);
+            // Replays reuse the recorded boosters instead of consuming the viewer's
+            // Playtests don't touch the save at all
+            const boosters = replayPlayback ? getPlaybackReplay().boosters : (roomPlaytest ? [] : consumeBoosters());
+            applyRunBoosters(k, player, gameState, boosters);
+
+            // Record single-player runs for the replay viewer
+            if (partySize <= 1 && !replayPlayback && !roomPlaytest) {
+                startReplayRecording({
+                    seed: gameState.runSeed,
+                    character: player.characterKey,
+                    permanentUpgrades: getSaveData().permanentUpgradeLevels,
+                    boosters,
+                    isDailyRun: gameState.isDailyRun
+                });
+            } else if (!replayPlayback) {
+                cancelReplayRecording();
+            }
 
             // Setup cosmetic effects (trails, glows, death effects)
             const equippedCosmetics = getEquippedCosmetics();
@@ -672,23 +793,48 @@ export function setupGameScene(k) {
             };
         }
         
+        // Replay: mark the room boundary with the state needed to restart from here
+        if (replayPlayback) {
+            player.isReplay = true;
+        } else if (isReplayRecording()) {
+            beginReplayRoom({
+                floor: currentFloor,
+                room: currentRoom,
+                entryDirection: gameState.entryDirection,
+                playerStats: gameState.playerStats,
+                draftCharges: getDraftChargeState(),
+                runStats,
+                progress: gameState.floorMap.getProgressState()
+            }, gameState.floorMap.getLayoutState());
+        }
+
         // ==========================================
         // MULTIPLAYER: Initialize multiplayer game if party has multiple players
         // ==========================================
         const party = getParty();
         const networkInfo = getNetworkInfo();
+        // Couch co-op runs the same host-authoritative session with every player on this machine
+        const isLocalCoop = partySize > 1 && party.isHost && hasLocalCoopPlayers();
+        // A dedicated server hosts from slot 0 without playing (see src/server/dedicatedServer.js)
+        const dedicatedServer = isDedicatedServer();
+        // Observers watch the party without a player of their own (see spectatorSystem.js)
+        const spectating = isSpectator();
         // Initialize players array indexed by slot (not by push order)
         let players = new Array(party.maxSlots || 4).fill(null);
 
-        if (partySize > 1 && networkInfo.isInitialized) {
+        if (partySize > 1 && (networkInfo.isInitialized || isLocalCoop)) {
             // Find local player slot
             const localSlot = party.slots.findIndex(slot => slot.isLocal);
 
             // Initialize multiplayer system with kaplay instance
-            initMultiplayerGame(party.isHost, localSlot, k);
+            initMultiplayerGame(party.isHost, localSlot, k, hostHandover ? hostHandover.seed : null, isLocalCoop);
 
-            // Broadcast game seed to clients (host only) to ensure synchronized RNG
-            if (party.isHost) {
+            if (hostHandover) {
+                // New host: same seed and floor map, resuming the handed-over room
+                setCurrentFloor(currentFloor);
+                broadcastGameSeed(roomHandover?.roomTemplateKey || null);
+            } else if (party.isHost) {
+                // Broadcast game seed to clients (host only) to ensure synchronized RNG
                 // Select first room template and include it with game seed
                 const roomRng = getRoomRNG();
                 const firstRoomTemplate = getWeightedRoomTemplate(currentFloor, roomRng);
@@ -700,7 +846,10 @@ export function setupGameScene(k) {
             // Regenerate floor map with correct seed for multiplayer
             if (party.isHost) {
                 // Host: regenerate with the newly created seed
-                generateFloorMapAndMinimap();
+                // (a new host keeps its copy, with the rooms cleared so far)
+                if (!hostHandover) {
+                    generateFloorMapAndMinimap();
+                }
             } else {
                 // Client: regenerate when game_seed arrives
                 // For now, generate with current seed (will be 0)
@@ -708,6 +857,10 @@ export function setupGameScene(k) {
                 onGameSeedReceived(() => {
                     console.log('[Multiplayer] Client received seed, regenerating floor map');
                     generateFloorMapAndMinimap();
+                    if (joinRun?.progress) {
+                        gameState.floorMap.restoreProgressState(joinRun.progress);
+                        gameState.minimap.update();
+                    }
                 });
                 // Explicitly pull the seed from the host. The initial game_seed broadcast
                 // may have been dropped if it arrived before this scene's handler existed
@@ -718,26 +871,42 @@ export function setupGameScene(k) {
 
             // Set slot index and name on local player
             player.slotIndex = localSlot;
-            player.playerName = party.slots[localSlot].playerName;
+            player.playerName = party.slots[localSlot]?.playerName;
+            // Couch co-op: the local player reads only their own gamepad or keyboard half
+            player.inputDevice = isLocalCoop ? party.slots[localSlot].inputDevice : null;
 
             // Adjust local player position to match slot index (for consistent multiplayer positioning)
             const localOffsetX = localSlot * 30;
             player.pos.x = playerSpawnX + localOffsetX;
 
-            // Register local player at their slot index
-            registerPlayer(localSlot, player);
-            players[localSlot] = player;
+            if (dedicatedServer || spectating) {
+                // The server's (or observer's) entity stays (scene code reads the local player
+                // throughout) but leaves play: untargetable, unsynced and dead, so it never
+                // collects XP, opens drafts or keeps the run alive once every client has fallen
+                player.untag('player');
+                player.hidden = true;
+                player.isDead = true;
+                player.canMove = false;
+                player.canShoot = false;
+            } else {
+                // Register local player at their slot index
+                registerPlayer(localSlot, player);
+                players[localSlot] = player;
+            }
 
             // Spawn additional players for other party members
             party.slots.forEach((slot, index) => {
-                if (index !== localSlot && slot.playerId !== null) {
+                // A dedicated server's slot has no player to spawn
+                if (index !== localSlot && slot.playerId !== null && !slot.isServer) {
                     // Spawn remote player with their selected character
                     // Use absolute slot index for consistent positioning across all clients
                     const offsetX = index * 30; // Absolute offset based on slot index
                     const remotePlayer = createPlayer(k, playerSpawnX + offsetX, playerSpawnY, slot.selectedCharacter);
 
                     // Mark as remote player (disable local input)
-                    remotePlayer.isRemote = true;
+                    // Couch co-op guests are local and driven by their own input device instead
+                    remotePlayer.isRemote = !slot.isLocalCoop;
+                    remotePlayer.inputDevice = slot.isLocalCoop ? slot.inputDevice : null;
                     remotePlayer.slotIndex = index;
                     remotePlayer.playerName = slot.playerName;
 
@@ -749,7 +918,7 @@ export function setupGameScene(k) {
                             
                             // IMPORTANT: Re-affirm isRemote after restoring stats, as host's isRemote status (false)
                             // can overwrite the client's setting for the remote player object.
-                            remotePlayer.isRemote = true; 
+                            remotePlayer.isRemote = !slot.isLocalCoop;
                             
                             remotePlayer.setHP(savedStats.currentHP || remotePlayer.maxHealth);
 
@@ -886,7 +1055,7 @@ export function setupGameScene(k) {
 
                     // Add name tag above remote player
                     const nameTag = k.add([
-                        k.text(slot.playerName, { size: 10 }),
+                        k.text(slot.playerName, { size: scaleTextSize(10) }),
                         k.pos(0, -30),
                         k.color(150, 150, 255),
                         k.z(100)
@@ -1027,25 +1196,7 @@ export function setupGameScene(k) {
                     reviveAllPlayers();
 
                     // Update doors to show they're open
-                    spawnDoors.forEach(door => {
-                        if (door.exists() && !door.blocked) {
-                            door.open = true;
-                            door.isSpawnDoor = false;
-                            door.updateVisual();
-                        }
-                    });
-
-                    // Special handling for boss rooms: unblock the north door
-                    if (isBossRoom) {
-                        const northDoor = spawnDoors.find(d => d.direction === 'north');
-                        if (northDoor && northDoor.exists()) {
-                            northDoor.blocked = false;
-                            northDoor.open = true;
-                            northDoor.isSpawnDoor = false;
-                            northDoor.isFloorExit = true;
-                            northDoor.updateVisual();
-                        }
-                    }
+                    openRoomExits();
 
                     // Update minimap to reflect room clear
                     if (gameState.minimap) {
@@ -1057,7 +1208,7 @@ export function setupGameScene(k) {
                         ? `BOSS DEFEATED! Floor ${currentFloor} Complete! Enter a door to continue`
                         : 'Room Cleared! Enter a door to continue';
                     const completionMsg = k.add([
-                        k.text(completionText, { size: 20 }),
+                        k.text(completionText, { size: scaleTextSize(20) }),
                         k.pos(k.width() / 2, k.height() - 40),
                         k.anchor('center'),
                         k.color(100, 255, 100),
@@ -1128,11 +1279,14 @@ export function setupGameScene(k) {
                         level: player.level,
                         currencyEarned: currencyEarned
                     };
-                    updateRunStats(fullRunStats);
-                    addCurrency(currencyEarned);
+                    // Observers only watched, so they bank nothing
+                    if (!spectating) {
+                        updateRunStats(fullRunStats);
+                        addCurrency(currencyEarned);
 
-                    // Check for achievements
-                    checkAchievements(k);
+                        // Check for achievements
+                        checkAchievements(k);
+                    }
 
                     // Cleanup multiplayer
                     cleanupMultiplayer();
@@ -1140,7 +1294,7 @@ export function setupGameScene(k) {
                     // Go to game over scene
                     k.go('gameOver', {
                         runStats: { ...(data.runStats || runStats) },
-                        currencyEarned: currencyEarned,
+                        currencyEarned: spectating ? 0 : currencyEarned,
                         partyStats: data.partyStats || [],
                         isDailyRun: gameState.isDailyRun,
                         dailyCharacter: gameState.dailyCharacter
@@ -1167,7 +1321,7 @@ export function setupGameScene(k) {
                     const upgradingPlayer = players.find(p => p.slotIndex === data.slotIndex);
                     if (upgradingPlayer && upgradingPlayer.exists()) {
                         // Apply upgrade locally (stats will sync via game_state but this is immediate)
-                        applyUpgrade(upgradingPlayer, data.upgradeKey);
+                        applyUpgrade(upgradingPlayer, data.upgradeKey, data.rarity);
                         trackUpgrade(upgradingPlayer, data.upgradeKey);
                         checkAndApplySynergies(k, upgradingPlayer);
                     }
@@ -1234,7 +1388,7 @@ export function setupGameScene(k) {
                     if (dodgingPlayer && dodgingPlayer.exists()) {
                         // Show dodge visual feedback
                         const dodgeText = k.add([
-                            k.text('DODGE!', { size: 14 }),
+                            k.text('DODGE!', { size: scaleTextSize(14) }),
                             k.pos(data.x, data.y - 30),
                             k.anchor('center'),
                             k.color(100, 200, 255),
@@ -1279,7 +1433,7 @@ export function setupGameScene(k) {
 
             // Create emote text
             const emote = k.add([
-                k.text(emoteChar, { size: 24 }),
+                k.text(emoteChar, { size: scaleTextSize(24) }),
                 k.pos(targetPlayer.pos.x, targetPlayer.pos.y - 50),
                 k.anchor('center'),
                 k.color(...emoteColor),
@@ -1323,7 +1477,7 @@ export function setupGameScene(k) {
         let lastEmoteTime = 0;
         const EMOTE_COOLDOWN = 0.1; // seconds
 
-        k.onKeyPress('q', () => {
+        onActionPress(k, 'emoteExclaim', () => {
             if (player.isDead) return;
 
             // Check cooldown
@@ -1340,7 +1494,7 @@ export function setupGameScene(k) {
             }
         });
 
-        k.onKeyPress('e', () => {
+        onActionPress(k, 'emoteHeart', () => {
             if (player.isDead) return;
 
             // Check cooldown
@@ -1357,6 +1511,73 @@ export function setupGameScene(k) {
             }
         });
 
+        // Local player actions that change the run: 'pause' (1/0), 'ability' and 'levelUp'
+        // While recording they wait for the replay driver, which applies and records them
+        const pendingPlayerActions = [];
+        function requestPlayerAction(type, value = 1) {
+            if (isReplayRecording()) {
+                pendingPlayerActions.push([type, value]);
+            } else {
+                applyPlayerAction(type, value);
+            }
+        }
+
+        // Apply a player action (a replayed ability carries its direction as the value)
+        function applyPlayerAction(type, value) {
+            if (type === 'pause') {
+                const paused = value === 1;
+                if (k.paused === paused || (paused && isUpgradeDraftActive())) return;
+                k.paused = paused;
+                if (isReplayRecording()) recordReplayEvent('pause', value);
+                // Replays pause without the menu (the viewer has its own controls)
+                if (!replayPlayback) updatePauseUI(paused);
+            } else if (type === 'levelUp') {
+                if (!progressionSystem || !player.pendingLevelUps || player.pendingLevelUps.length === 0) return;
+                if (isReplayRecording()) recordReplayEvent('levelUp');
+                progressionSystem.processPendingLevelUp();
+            } else if (type === 'ability') {
+                if (replayPlayback) {
+                    useAbilityInDirection(player, value);
+                    return;
+                }
+                if (player.isDead || k.paused || isUpgradeDraftActive() || !isAbilityReady(player)) return;
+                useAbilityInDirection(player, recordReplayAbility(getAbilityDirection(player)));
+            }
+        }
+
+        // Active ability (local players only; replays use the recorded uses)
+        function triggerAbility(user) {
+            if (user.isDead || k.paused || replayPlayback || isUpgradeDraftActive()) return;
+
+            if (isReplayRecording()) {
+                requestPlayerAction('ability');
+                return;
+            }
+            useAbilityInDirection(user, getAbilityDirection(user));
+        }
+
+        function useAbilityInDirection(user, direction) {
+            if (!useAbility(k, user, direction)) return;
+            emitGameEvent('abilityUsed', { player: user, abilityKey: user.activeAbility, direction });
+        }
+
+        onActionPress(k, 'ability', () => {
+            // Couch co-op players use the ability button on their own device (polled below)
+            if (player.inputDevice) return;
+            triggerAbility(player);
+        });
+
+        // Couch co-op: poll each local player's device for their ability button
+        if (isLocalCoop) {
+            eventHandlers.updates.push(k.onUpdate(() => {
+                players.forEach(p => {
+                    if (p && p.exists() && p.inputDevice && isDeviceAbilityPressed(k, p.inputDevice)) {
+                        triggerAbility(p);
+                    }
+                });
+            }));
+        }
+
         // Handle emotes from other players in multiplayer
         if (partySize > 1) {
             onMessage('player_emote', (data) => {
@@ -1452,7 +1673,7 @@ export function setupGameScene(k) {
                     // Show revival effect with HP percentage
                     const reviveHealthPercent = Math.round(revivePercent * 100);
                     const reviveEffect = k.add([
-                        k.text(`★ REVIVED (${reviveHealthPercent}% HP) ★`, { size: 16 }),
+                        k.text(`★ REVIVED (${reviveHealthPercent}% HP) ★`, { size: scaleTextSize(16) }),
                         k.pos(p.pos.x, p.pos.y - 40),
                         k.anchor('center'),
                         k.color(100, 255, 100),
@@ -1497,6 +1718,24 @@ export function setupGameScene(k) {
 
         // Setup systems
         setupCombatSystem(k, player);
+
+        // Kills, damage, pickups and rooms cleared are recorded from game events
+        k.onSceneLeave(startRunStatsRecorder({ getRunStats: () => runStats, players, localPlayer: player }));
+        // Downed players and observers follow a living teammate until the room is cleared
+        if (isMultiplayerActive() && !isLocalCoop && !dedicatedServer) {
+            k.onSceneLeave(initSpectatorView(k, {
+                getPlayers: () => players,
+                localPlayer: player,
+                isWatching: () => spectating || player.isDead,
+                isObserver: spectating
+            }));
+        }
+        // Skipping a draft for credits pays into persistent storage like a pickup (not while watching a replay or playtest)
+        k.onSceneLeave(onGameEvent('upgradeDraftSkipped', ({ player: skipper, reward, amount }) => {
+            if (reward === 'credits' && !skipper.isRemote && !replayPlayback && !roomPlaytest) {
+                addCurrency(amount);
+            }
+        }));
         const progressionSystem = setupProgressionSystem(k, player, reviveAllPlayers, partySize > 1);
 
         // CRITICAL: Final safety check - ensure local player has controls enabled if alive
@@ -1526,9 +1765,14 @@ export function setupGameScene(k) {
         // Get room template from floor map (or fallback to weighted generation)
         const currentRoomNode = gameState.floorMap.getCurrentRoom();
         const isBossRoom = currentRoomNode ? currentRoomNode.isBossRoom : (currentRoom === 3);
+        const roomType = currentRoomNode ? currentRoomNode.type : 'combat'; // 'treasure', 'shop' and 'challenge' get extra setup
+        const isPeacefulRoom = roomType === 'treasure' || roomType === 'shop'; // No enemies, cleared on entry
         let roomTemplate;
 
-        if (partySize > 1 && gameState.roomTemplateKey) {
+        if (roomPlaytest) {
+            // Editor draft being playtested
+            roomTemplate = roomPlaytest.template;
+        } else if (partySize > 1 && gameState.roomTemplateKey) {
             // Multiplayer: use the stored template key (synced from host transition)
             // This takes priority over floor map template for subsequent rooms
             roomTemplate = getRoomTemplateByKey(gameState.roomTemplateKey);
@@ -1554,6 +1798,20 @@ export function setupGameScene(k) {
             // Fallback to weighted generation
             roomTemplate = getWeightedRoomTemplate(currentFloor, getSeededRoomRNG());
         }
+        const currentRoomTemplateKey = roomTemplate.key || null; // Handed over if the host migrates mid-room
+
+        // Observers who joined mid-run start watching from this room
+        if (isMultiplayerActive() && isHost()) {
+            releaseWaitingSpectators({
+                floor: currentFloor,
+                room: currentRoom,
+                entryDirection: gameState.entryDirection,
+                roomTemplateKey: currentRoomTemplateKey,
+                allPlayerStats: gameState.allPlayerStats,
+                progress: gameState.floorMap.getProgressState()
+            });
+        }
+
         const floorColors = getFloorColors(k, currentFloor);
         const margin = 20;
 
@@ -1561,38 +1819,35 @@ export function setupGameScene(k) {
         renderFloorDecorations(k, currentFloor, k.width(), k.height());
 
         // Room boundaries (visual) - use floor-based colors
+        // (world space like the room's contents, so screen shake and the spectator follow-cam move them together)
         k.add([
             k.rect(k.width() - margin * 2, 2),
             k.pos(k.width() / 2, margin),
             k.anchor('center'),
-            k.color(floorColors.wallColor),
-            k.fixed()
+            k.color(floorColors.wallColor)
         ]);
         k.add([
             k.rect(k.width() - margin * 2, 2),
             k.pos(k.width() / 2, k.height() - margin),
             k.anchor('center'),
-            k.color(floorColors.wallColor),
-            k.fixed()
+            k.color(floorColors.wallColor)
         ]);
         k.add([
             k.rect(2, k.height() - margin * 2),
             k.pos(margin, k.height() / 2),
             k.anchor('center'),
-            k.color(floorColors.wallColor),
-            k.fixed()
+            k.color(floorColors.wallColor)
         ]);
         k.add([
             k.rect(2, k.height() - margin * 2),
             k.pos(k.width() - margin, k.height() / 2),
             k.anchor('center'),
-            k.color(floorColors.wallColor),
-            k.fixed()
+            k.color(floorColors.wallColor)
         ]);
         
         // Create obstacles from room template
         // Skip obstacles in first room of first floor for better new player experience
-        const isFirstRoom = currentRoom === 1 && currentFloor === 1;
+        const isFirstRoom = currentRoom === 1 && currentFloor === 1 && !roomPlaytest;
         
         // Safe zone around player spawn and entrance door
         const safeZoneRadius = 80; // Minimum distance from spawn
@@ -1700,7 +1955,7 @@ export function setupGameScene(k) {
 
         // Spawn explosive barrels (not in first room or boss rooms)
         if (!isFirstRoom && !isBossRoom && shouldCreateObstacles) {
-            const barrelPositions = getBarrelPositions(roomTemplate.key, getSeededRoomRNG(), currentFloor);
+            const barrelPositions = getBarrelPositions(roomPlaytest ? roomTemplate : roomTemplate.key, getSeededRoomRNG(), currentFloor);
 
             barrelPositions.forEach(pos => {
                 // Check if barrel would overlap with player spawn or entrance
@@ -1748,17 +2003,17 @@ export function setupGameScene(k) {
 
         // Enemy counter with skull icon (top left - outside room)
         const enemyIcon = k.add([
-            k.text('☠', { size: UI_TEXT_SIZES.HUD }),
+            k.text('☠', { size: scaleTextSize(UI_TEXT_SIZES.HUD) }),
             k.pos(20, 6),
-            k.color(...UI_COLORS.WARNING),
+            k.color(...getUIColors().WARNING),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
         const enemiesCounter = k.add([
-            k.text('0/0', { size: UI_TEXT_SIZES.HUD }),
+            k.text('0/0', { size: scaleTextSize(UI_TEXT_SIZES.HUD) }),
             k.pos(40, 6),
-            k.color(...UI_COLORS.WARNING),
+            k.color(...getUIColors().WARNING),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -1776,7 +2031,7 @@ export function setupGameScene(k) {
 
         // Credit counter (top right - outside room) - z-layer 950 to appear above minimap
         const creditIcon = k.add([
-            k.text('$', { size: UI_TEXT_SIZES.LABEL }),
+            k.text('$', { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
             k.pos(k.width() - 20, 6),
             k.anchor('topright'),
             k.color(255, 215, 0), // Gold color
@@ -1785,7 +2040,7 @@ export function setupGameScene(k) {
         ]);
 
         const creditText = k.add([
-            k.text('0', { size: UI_TEXT_SIZES.HUD }),
+            k.text('0', { size: scaleTextSize(UI_TEXT_SIZES.HUD) }),
             k.pos(k.width() - 40, 6),
             k.anchor('topright'),
             k.color(255, 215, 0), // Gold color to match icon
@@ -1812,10 +2067,10 @@ export function setupGameScene(k) {
             ]);
 
             runTimerText = k.add([
-                k.text('0:00', { size: UI_TEXT_SIZES.SMALL - 2 }),
+                k.text('0:00', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                 k.pos(k.width() - 15, 30),
                 k.anchor('topright'),
-                k.color(...UI_COLORS.TEXT_SECONDARY),
+                k.color(...getUIColors().TEXT_SECONDARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
@@ -1831,10 +2086,10 @@ export function setupGameScene(k) {
 
         if (getSetting('visual', 'showFPS')) {
             fpsCounter = k.add([
-                k.text('60 FPS', { size: UI_TEXT_SIZES.SMALL - 2 }),
+                k.text('60 FPS', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                 k.pos(k.width() / 2, 6),
                 k.anchor('top'),
-                k.color(...UI_COLORS.TEXT_SECONDARY),
+                k.color(...getUIColors().TEXT_SECONDARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
@@ -1846,7 +2101,7 @@ export function setupGameScene(k) {
         if (isMultiplayerActive()) {
             const playerCount = getPlayerCount();
             const statusColor = networkInfo.isHost ? [100, 255, 100] : [100, 200, 255];
-            const statusText = networkInfo.isHost ? 'HOST' : 'CLIENT';
+            const statusText = isLocalCoopSession() ? 'COUCH' : (networkInfo.isHost ? 'HOST' : 'CLIENT');
 
             connectionIndicator = k.add([
                 k.circle(4),
@@ -1857,13 +2112,37 @@ export function setupGameScene(k) {
             ]);
 
             connectionText = k.add([
-                k.text(`${statusText} (${playerCount}P)`, { size: UI_TEXT_SIZES.SMALL - 2 }),
+                k.text(`${statusText} (${playerCount}P)`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                 k.pos(30, 70),
                 k.anchor('left'),
                 k.color(...statusColor),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
+
+            // Online: latency (worst client's, for the host) and bandwidth, colored by quality
+            if (!isLocalCoopSession()) {
+                const connectionStats = k.add([
+                    k.text('', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+                    k.pos(30, 84),
+                    k.anchor('left'),
+                    k.color(...getUIColors().TEXT_SECONDARY),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_TEXT)
+                ]);
+
+                eventHandlers.updates.push(k.onUpdate(() => {
+                    updateConnectionQuality(k, getConnectedPeers);
+                    updateBandwidth();
+
+                    const latency = networkInfo.isHost
+                        ? Math.max(0, ...getAllPeerLatencies().values())
+                        : getLocalLatency();
+                    const { down, up } = getBandwidth();
+                    connectionStats.text = `${formatLatency(latency)} ↓${formatBandwidth(down)} ↑${formatBandwidth(up)}`;
+                    connectionStats.color = k.rgb(...getQualityIcon(latency).color);
+                }));
+            }
         }
 
         // XP Bar (bottom of screen, below room boundary)
@@ -1874,8 +2153,8 @@ export function setupGameScene(k) {
         const xpBarBg = k.add([
             k.rect(xpBarWidth, xpBarHeight),
             k.pos(20, xpBarY),
-            k.color(...UI_COLORS.BG_DARK),
-            k.outline(2, k.rgb(...UI_COLORS.TEXT_DISABLED)),
+            k.color(...getUIColors().BG_DARK),
+            k.outline(2, k.rgb(...getUIColors().TEXT_DISABLED)),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BG)
         ]);
@@ -1887,16 +2166,16 @@ export function setupGameScene(k) {
         const xpBarFill = k.add([
             k.rect(initialXpWidth, xpBarHeight - 4),
             k.pos(58, xpBarY + 2), // Start after level badge (adjusted for larger badge)
-            k.color(...UI_COLORS.XP_BAR), // Light blue XP color (matches pickup)
+            k.color(...getUIColors().XP_BAR), // Light blue XP color (matches pickup)
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BG + 1)
         ]);
 
         const xpBarText = k.add([
-            k.text(formatXP(player.xp || 0, player.xpToNext || 10), { size: UI_TEXT_SIZES.SMALL - 2 }),
+            k.text(formatXP(player.xp || 0, player.xpToNext || 10), { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
             k.pos(k.width() / 2, xpBarY + xpBarHeight / 2),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -1910,14 +2189,14 @@ export function setupGameScene(k) {
             k.circle(levelBadgeSize / 2),
             k.pos(levelBadgeX, levelBadgeY),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_MEDIUM),
-            k.outline(2, k.rgb(...UI_COLORS.XP_BAR)), // Light blue outline to match XP
+            k.color(...getUIColors().BG_MEDIUM),
+            k.outline(2, k.rgb(...getUIColors().XP_BAR)), // Light blue outline to match XP
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BG + 2)
         ]);
 
         const levelText = k.add([
-            k.text(`${player.level || 1}`, { size: UI_TEXT_SIZES.BODY }), // 30% bigger (was SMALL)
+            k.text(`${player.level || 1}`, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }), // 30% bigger (was SMALL)
             k.pos(levelBadgeX, levelBadgeY),
             k.anchor('center'),
             k.color(255, 255, 255), // White text for better visibility
@@ -1934,8 +2213,8 @@ export function setupGameScene(k) {
             k.rect(playerHealthBarWidth, playerHealthBarHeight),
             k.pos(0, 0),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_DARK),
-            k.outline(1, k.rgb(...UI_COLORS.TEXT_DISABLED)),
+            k.color(...getUIColors().BG_DARK),
+            k.outline(1, k.rgb(...getUIColors().TEXT_DISABLED)),
             k.z(UI_Z_LAYERS.OVERLAY)
         ]);
 
@@ -1943,7 +2222,7 @@ export function setupGameScene(k) {
             k.rect(playerHealthBarWidth - 2, playerHealthBarHeight - 2),
             k.pos(0, 0),
             k.anchor('center'), // Use center anchor for proper width updates
-            k.color(...UI_COLORS.HEALTH_FULL), // Green health color
+            k.color(...getUIColors().HEALTH_FULL), // Green health color
             k.z(UI_Z_LAYERS.OVERLAY + 1)
         ]);
 
@@ -1974,9 +2253,9 @@ export function setupGameScene(k) {
         ]);
 
         const hpHudText = k.add([
-            k.text(formatHealth(player.maxHealth || 0, player.maxHealth || 0), { size: UI_TEXT_SIZES.SMALL - 2 }),
+            k.text(formatHealth(player.maxHealth || 0, player.maxHealth || 0), { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
             k.pos(hpBarX, hpHudY + 2),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -1984,8 +2263,8 @@ export function setupGameScene(k) {
         const hpHudBarBg = k.add([
             k.rect(hpBarWidth, hpBarHeight),
             k.pos(hpBarX, hpBarY),
-            k.color(...UI_COLORS.BG_DARK),
-            k.outline(1, k.rgb(...UI_COLORS.TEXT_DISABLED)),
+            k.color(...getUIColors().BG_DARK),
+            k.outline(1, k.rgb(...getUIColors().TEXT_DISABLED)),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_ELEMENTS)
         ]);
@@ -1993,7 +2272,7 @@ export function setupGameScene(k) {
         const hpHudBarFill = k.add([
             k.rect(hpBarWidth - 2, hpBarHeight - 2),
             k.pos(hpBarX + 1, hpBarY + 1),
-            k.color(...UI_COLORS.HEALTH_FULL),
+            k.color(...getUIColors().HEALTH_FULL),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_ELEMENTS + 1)
         ]);
@@ -2017,7 +2296,7 @@ export function setupGameScene(k) {
         ]);
 
         const weaponIconText = k.add([
-            k.text('⌐', { size: 32 }),
+            k.text('⌐', { size: scaleTextSize(32) }),
             k.pos(weaponIconX + weaponIconSize / 2, weaponIconY + weaponIconSize / 2),
             k.anchor('center'),
             k.color(255, 255, 255),
@@ -2040,7 +2319,7 @@ export function setupGameScene(k) {
         ]);
 
         const weaponDetailIcon = k.add([
-            k.text('⌐', { size: 24 }),
+            k.text('⌐', { size: scaleTextSize(24) }),
             k.pos(weaponIconX + 15, weaponIconY - weaponDetailHeight - 10 + 15),
             k.color(255, 255, 255),
             k.fixed(),
@@ -2048,15 +2327,15 @@ export function setupGameScene(k) {
         ]);
 
         const weaponDetailName = k.add([
-            k.text('Basic Pistol', { size: UI_TEXT_SIZES.SMALL, width: 160 }), // Width constraint to prevent overflow
+            k.text('Basic Pistol', { size: scaleTextSize(UI_TEXT_SIZES.SMALL), width: 160 }), // Width constraint to prevent overflow
             k.pos(weaponIconX + 50, weaponIconY - weaponDetailHeight - 10 + 10),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY + 6)
         ]);
 
         const weaponDetailDamage = k.add([
-            k.text('DMG: 10', { size: UI_TEXT_SIZES.SMALL - 2 }),
+            k.text('DMG: 10', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
             k.pos(weaponIconX + 50, weaponIconY - weaponDetailHeight - 10 + 30),
             k.color(255, 150, 150),
             k.fixed(),
@@ -2064,7 +2343,7 @@ export function setupGameScene(k) {
         ]);
 
         const weaponDetailFireRate = k.add([
-            k.text('RATE: 3.75/s', { size: UI_TEXT_SIZES.SMALL - 2 }),
+            k.text('RATE: 3.75/s', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
             k.pos(weaponIconX + 50, weaponIconY - weaponDetailHeight - 10 + 47),
             k.color(150, 200, 255),
             k.fixed(),
@@ -2072,7 +2351,7 @@ export function setupGameScene(k) {
         ]);
 
         const weaponDetailDPS = k.add([
-            k.text('DPS: 37.5', { size: UI_TEXT_SIZES.SMALL - 2 }),
+            k.text('DPS: 37.5', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
             k.pos(weaponIconX + 50, weaponIconY - weaponDetailHeight - 10 + 64),
             k.color(255, 255, 150),
             k.fixed(),
@@ -2123,7 +2402,7 @@ export function setupGameScene(k) {
         ]);
 
         const powerupIconText = k.add([
-            k.text('◎', { size: 28 }),
+            k.text('◎', { size: scaleTextSize(28) }),
             k.pos(powerupIconX + powerupIconSize / 2, powerupIconY + powerupIconSize / 2),
             k.anchor('center'),
             k.color(255, 255, 255),
@@ -2132,7 +2411,7 @@ export function setupGameScene(k) {
         ]);
 
         const powerupAmmoText = k.add([
-            k.text('20', { size: 14 }),
+            k.text('20', { size: scaleTextSize(14) }),
             k.pos(powerupIconX + powerupIconSize + 5, powerupIconY + powerupIconSize / 2),
             k.anchor('left'),
             k.color(255, 255, 150),
@@ -2200,7 +2479,7 @@ export function setupGameScene(k) {
 
                 // Icon
                 const icon = k.add([
-                    k.text(upgradeDef.icon, { size: 20 }),
+                    k.text(upgradeDef.icon, { size: scaleTextSize(20) }),
                     k.pos(xPos + buffIconSize / 2, buffsDisplayY + buffIconSize / 2),
                     k.anchor('center'),
                     k.color(255, 255, 255),
@@ -2210,7 +2489,7 @@ export function setupGameScene(k) {
 
                 // Stack count
                 const stackText = k.add([
-                    k.text(upgrade.stacks.toString(), { size: 10 }),
+                    k.text(upgrade.stacks.toString(), { size: scaleTextSize(10) }),
                     k.pos(xPos + buffIconSize - 4, buffsDisplayY + buffIconSize - 4),
                     k.anchor('botright'),
                     k.color(255, 255, 100),
@@ -2241,7 +2520,7 @@ export function setupGameScene(k) {
         ]);
 
         const levelUpButtonText = k.add([
-            k.text('+', { size: 36 }),
+            k.text('+', { size: scaleTextSize(36) }),
             k.pos(levelUpButtonX + levelUpButtonSize / 2, levelUpButtonY + levelUpButtonSize / 2),
             k.anchor('center'),
             k.color(255, 255, 255),
@@ -2265,7 +2544,7 @@ export function setupGameScene(k) {
         ]);
 
         const levelUpCountText = k.add([
-            k.text('2', { size: 12 }),
+            k.text('2', { size: scaleTextSize(12) }),
             k.pos(levelUpCountBadgeX, levelUpCountBadgeY),
             k.anchor('center'),
             k.color(255, 255, 255),
@@ -2281,9 +2560,12 @@ export function setupGameScene(k) {
 
         // Click handler for level up button
         levelUpButtonBg.onClick(() => {
-            if (progressionSystem && player.pendingLevelUps && player.pendingLevelUps.length > 0) {
-                progressionSystem.processPendingLevelUp();
+            // Couch co-op: every player's pending drafts, one after another, each titled with its player
+            if (isLocalCoop) {
+                processPendingLevelUps();
+                return;
             }
+            if (!replayPlayback) requestPlayerAction('levelUp');
         });
 
         // Pulsing glow effect for level up button
@@ -2306,6 +2588,76 @@ export function setupGameScene(k) {
             levelUpButtonText.scale = k.vec2(scale, scale);
         });
 
+        // ==========================================
+        // ABILITY INDICATOR (Bottom Right, left of the level up button)
+        // ==========================================
+        const activeAbility = getActiveAbility(player.activeAbility);
+        if (activeAbility) {
+            const abilityIconSize = 48;
+            const abilityIconX = levelUpButtonX - abilityIconSize - 10;
+            const abilityIconY = k.height() - 85; // Level with the weapon icon
+
+            const abilityIconBg = k.add([
+                k.rect(abilityIconSize, abilityIconSize),
+                k.pos(abilityIconX, abilityIconY),
+                k.color(0, 0, 0),
+                k.opacity(0.8),
+                k.outline(2, k.rgb(...activeAbility.color)),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_BG)
+            ]);
+
+            const abilityIconText = k.add([
+                k.text(activeAbility.icon, { size: scaleTextSize(28) }),
+                k.pos(abilityIconX + abilityIconSize / 2, abilityIconY + abilityIconSize / 2 - 4),
+                k.anchor('center'),
+                k.color(...activeAbility.color),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT)
+            ]);
+
+            // Recharging: a dark fill that drains upward, with the seconds left
+            const abilityCooldownFill = k.add([
+                k.rect(abilityIconSize, abilityIconSize),
+                k.pos(abilityIconX, abilityIconY),
+                k.color(0, 0, 0),
+                k.opacity(0.6),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT + 1)
+            ]);
+
+            const abilityCooldownText = k.add([
+                k.text('', { size: scaleTextSize(16) }),
+                k.pos(abilityIconX + abilityIconSize / 2, abilityIconY + abilityIconSize / 2 - 4),
+                k.anchor('center'),
+                k.color(255, 255, 255),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT + 2)
+            ]);
+
+            // Primary key for the ability
+            const abilityKey = getActionKeys('ability')[0];
+            const abilityKeyText = k.add([
+                k.text(abilityKey ? formatBindingName(abilityKey) : '', { size: scaleTextSize(10) }),
+                k.pos(abilityIconX + abilityIconSize / 2, abilityIconY + abilityIconSize - 7),
+                k.anchor('center'),
+                k.color(...getUIColors().TEXT_SECONDARY),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT + 2)
+            ]);
+
+            abilityIconBg.onUpdate(() => {
+                const ready = isAbilityReady(player);
+                const charge = getAbilityCharge(player);
+                abilityCooldownFill.hidden = ready;
+                abilityCooldownFill.height = abilityIconSize * (1 - charge);
+                abilityCooldownText.text = ready ? '' : `${Math.ceil(player.abilityCooldown)}`;
+                abilityIconText.opacity = ready ? 1 : 0.5;
+                abilityKeyText.opacity = ready ? 1 : 0.5;
+                abilityIconBg.outline.width = ready ? 3 : 2;
+            });
+        }
+
         // ==========================================
         // TOOLTIP SYSTEM
         // ==========================================
@@ -2320,7 +2672,7 @@ export function setupGameScene(k) {
         ]);
 
         const tooltipText = k.add([
-            k.text('', { size: UI_TEXT_SIZES.SMALL, width: 190 }),
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.SMALL), width: 190 }),
             k.pos(5, 5),
             k.color(255, 255, 255),
             k.fixed(),
@@ -2397,6 +2749,8 @@ export function setupGameScene(k) {
         k.gameData.saveTooltipState = saveTooltipState;
         k.gameData.restoreTooltipState = restoreTooltipState;
         k.gameData.minimap = gameState.minimap;
+        // Deeper floors roll rarer draft cards
+        setUpgradeDraftFloor(currentFloor);
 
         // Initialize object pools for performance optimization
         initObjectPools(k);
@@ -2434,6 +2788,7 @@ export function setupGameScene(k) {
             k.get('xpPickup').forEach(p => spatialGrids.pickups.insert(p));
             k.get('currencyPickup').forEach(p => spatialGrids.pickups.insert(p));
             k.get('powerupWeaponPickup').forEach(p => spatialGrids.pickups.insert(p));
+            k.get('healthPickup').forEach(p => spatialGrids.pickups.insert(p));
 
             // Obstacles are static, so we only rebuild when entering a new room
             // (We'll add obstacle insertion in room generation code later)
@@ -2540,6 +2895,25 @@ export function setupGameScene(k) {
             }
         }));
 
+        // Overheal decay: HP above max health (from overheal shards) slowly drains back down
+        eventHandlers.updates.push(k.onUpdate(() => {
+            if (k.paused) return;
+
+            players.forEach(p => {
+                if (!p || !p.exists() || p.isDead || p.hp() <= p.maxHealth) {
+                    if (p) p.overhealDecayAccum = 0;
+                    return;
+                }
+
+                p.overhealDecayAccum = (p.overhealDecayAccum || 0) + p.maxHealth * PICKUP_CONFIG.OVERHEAL_DECAY * k.dt();
+                if (p.overhealDecayAccum >= 1) {
+                    const decayAmount = Math.floor(p.overhealDecayAccum);
+                    p.overhealDecayAccum -= decayAmount;
+                    p.setHP(Math.max(p.maxHealth, p.hp() - decayAmount));
+                }
+            });
+        }));
+
         // Update cosmetic effects (trails, glows)
         eventHandlers.updates.push(k.onUpdate(() => {
             if (k.paused || !player.exists() || player.isDead) return;
@@ -2609,10 +2983,10 @@ export function setupGameScene(k) {
 
         // Boss HUD elements (only shown when boss exists)
         const bossNameText = k.add([
-            k.text('', { size: UI_TEXT_SIZES.LABEL }),
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
             k.pos(k.width() / 2, 20),
             k.anchor('center'),
-            k.color(...UI_COLORS.BOSS_NAME),
+            k.color(...getUIColors().BOSS_NAME),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY)
         ]);
@@ -2621,8 +2995,8 @@ export function setupGameScene(k) {
             k.rect(300, 20),
             k.pos(k.width() / 2, 45),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_DARK),
-            k.outline(2, k.rgb(...UI_COLORS.TEXT_DISABLED)),
+            k.color(...getUIColors().BG_DARK),
+            k.outline(2, k.rgb(...getUIColors().TEXT_DISABLED)),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY)
         ]);
@@ -2631,7 +3005,7 @@ export function setupGameScene(k) {
             k.rect(296, 16),
             k.pos(k.width() / 2, 45),
             k.anchor('center'),
-            k.color(...UI_COLORS.HEALTH_LOW),
+            k.color(...getUIColors().HEALTH_LOW),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY + 1)
         ]);
@@ -2640,8 +3014,8 @@ export function setupGameScene(k) {
             k.rect(300, 12),
             k.pos(k.width() / 2, 65),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_DARK),
-            k.outline(2, k.rgb(...UI_COLORS.TEXT_DISABLED)),
+            k.color(...getUIColors().BG_DARK),
+            k.outline(2, k.rgb(...getUIColors().TEXT_DISABLED)),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY)
         ]);
@@ -2650,25 +3024,25 @@ export function setupGameScene(k) {
             k.rect(296, 8),
             k.pos(k.width() / 2, 65),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY + 1)
         ]);
 
         const bossHealthText = k.add([
-            k.text('', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2, 45),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY + 2)
         ]);
 
         const bossArmorText = k.add([
-            k.text('', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2, 65),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY + 2)
         ]);
@@ -2678,8 +3052,8 @@ export function setupGameScene(k) {
             k.rect(300, 12),
             k.pos(k.width() / 2, 85),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_DARK),
-            k.outline(2, k.rgb(...UI_COLORS.TEXT_DISABLED)),
+            k.color(...getUIColors().BG_DARK),
+            k.outline(2, k.rgb(...getUIColors().TEXT_DISABLED)),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY)
         ]);
@@ -2688,16 +3062,16 @@ export function setupGameScene(k) {
             k.rect(296, 8),
             k.pos(k.width() / 2, 85),
             k.anchor('center'),
-            k.color(...UI_COLORS.XP_BAR),
+            k.color(...getUIColors().XP_BAR),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY + 1)
         ]);
 
         const bossShieldText = k.add([
-            k.text('', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2, 85),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.OVERLAY + 2)
         ]);
@@ -2764,7 +3138,7 @@ export function setupGameScene(k) {
 
                 // Color based on health percentage
                 if (healthPercent > 0.6) {
-                    playerHealthBarFill.color = k.rgb(...UI_COLORS.HEALTH_FULL); // Green
+                    playerHealthBarFill.color = k.rgb(...getUIColors().HEALTH_FULL); // Green
                 } else if (healthPercent > 0.3) {
                     playerHealthBarFill.color = k.rgb(255, 200, 0); // Yellow/Orange
                 } else {
@@ -2778,14 +3152,16 @@ export function setupGameScene(k) {
             // Update persistent HP HUD (top-left, always visible)
             // Uses the same currentHP / player.maxHealth fields as healthPercent above.
             hpHudText.text = formatHealth(Math.max(0, Math.round(currentHP)), player.maxHealth || 0);
-            const hpHudFillWidth = Math.max(0, (hpBarWidth - 2) * healthPercent);
+            const hpHudFillWidth = Math.max(0, (hpBarWidth - 2) * Math.min(1, healthPercent));
             hpHudBarFill.use(k.rect(hpHudFillWidth, hpBarHeight - 2));
-            if (healthPercent > 0.6) {
-                hpHudBarFill.color = k.rgb(...UI_COLORS.HEALTH_FULL);
+            if (healthPercent > 1) {
+                hpHudBarFill.color = k.rgb(...getUIColors().HEALTH_OVERHEAL);
+            } else if (healthPercent > 0.6) {
+                hpHudBarFill.color = k.rgb(...getUIColors().HEALTH_FULL);
             } else if (healthPercent > 0.3) {
-                hpHudBarFill.color = k.rgb(...UI_COLORS.HEALTH_MEDIUM);
+                hpHudBarFill.color = k.rgb(...getUIColors().HEALTH_MEDIUM);
             } else {
-                hpHudBarFill.color = k.rgb(...UI_COLORS.HEALTH_LOW);
+                hpHudBarFill.color = k.rgb(...getUIColors().HEALTH_LOW);
             }
 
             // Update enemies counter (only show in regular rooms, not boss rooms)
@@ -2818,7 +3194,7 @@ export function setupGameScene(k) {
                 weaponDetailIcon.color = k.rgb(...weaponDef.color);
                 weaponDetailName.text = weaponDef.name;
                 // Ensure name color is always white/primary (explicitly set to prevent color issues)
-                weaponDetailName.color = k.rgb(...UI_COLORS.TEXT_PRIMARY);
+                weaponDetailName.color = k.rgb(...getUIColors().TEXT_PRIMARY);
                 weaponDetailDamage.text = `DMG: ${player.projectileDamage}`;
                 weaponDetailFireRate.text = `RATE: ${player.fireRate.toFixed(2)}/s`;
                 weaponDetailDPS.text = `DPS: ${dps}`;
@@ -2885,14 +3261,15 @@ export function setupGameScene(k) {
                 updateBuffDisplay();
             }
 
-            // Update level up button visibility and count
-            if (player.exists() && player.pendingLevelUps && player.pendingLevelUps.length > 0) {
+            // Update level up button visibility and count (summed over every couch co-op player)
+            const pendingCount = (isLocalCoop ? players : [player]).reduce((count, p) =>
+                count + (p && p.exists() && p.pendingLevelUps ? p.pendingLevelUps.length : 0), 0);
+            if (pendingCount > 0) {
                 // Show button
                 levelUpButtonBg.hidden = false;
                 levelUpButtonText.hidden = false;
 
                 // Show/hide count badge based on pending level ups
-                const pendingCount = player.pendingLevelUps.length;
                 if (pendingCount > 1) {
                     levelUpCountBadge.hidden = false;
                     levelUpCountText.hidden = false;
@@ -3216,12 +3593,57 @@ export function setupGameScene(k) {
             const playerInput = inputs.get(localPlayerId);
         }));
 
+        // Replay driver: steps once per frame, paused frames included, so a replay counts
+        // the same frames the recording did. While recording, pause, ability and level-up
+        // presses wait here for the end of the frame and are recorded as they apply;
+        // playback applies the recorded ones at the same point of the same frame.
+        let replayEndedTime = 0;
+        let replayDesyncWarned = false;
+        eventHandlers.updates.push(k.onUpdate(() => {
+            if (isReplayRecording()) {
+                pendingPlayerActions.splice(0).forEach(([type, value]) => applyPlayerAction(type, value));
+                recordReplayFrame(player);
+                return;
+            }
+            if (!replayPlayback || isReplayPaused() || doorEntered) return;
+
+            const frame = advanceReplayPlayback();
+            if (!frame) return;
+
+            frame.events.forEach(({ type, value }) => applyPlayerAction(type, value));
+
+            // Keyframes only check the simulation (a mismatch means this build plays the run differently)
+            if (frame.keyframe && !replayDesyncWarned) {
+                const { x, y, hp } = frame.keyframe;
+                if (Math.abs(player.pos.x - x) > 0.1 || Math.abs(player.pos.y - y) > 0.1 || Math.round(player.hp()) !== hp) {
+                    replayDesyncWarned = true;
+                    console.warn(`[Replay] Desync in room ${getPlaybackRoomIndex()}: player at (${player.pos.x.toFixed(1)}, ${player.pos.y.toFixed(1)}) hp ${player.hp()}, recorded (${x}, ${y}) hp ${hp}`);
+                }
+            }
+
+            // Recorded room is over but the run didn't follow: continue from the next checkpoint
+            if (frame.ended) {
+                replayEndedTime += k.dt();
+                if (replayEndedTime >= 0.5) {
+                    doorEntered = true;
+                    if (advanceReplayRoom()) {
+                        k.go('game');
+                    } else {
+                        k.go('replayViewer');
+                    }
+                }
+            }
+        }));
+
         // ==========================================
         // LEGACY STATE (keeping for now)
         // ==========================================
 
         // Room state (roomCompleted declared early for onMessage callbacks)
-        let enemiesToSpawn = isBossRoom ? 0 : (24 + (currentFloor - 1) * 6); // No regular enemies in boss rooms (3x multiplier)
+        let enemiesToSpawn = (isBossRoom || isPeacefulRoom) ? 0 : (24 + (currentFloor - 1) * 6); // No regular enemies in boss, treasure or shop rooms (3x multiplier)
+        if (roomPlaytest) {
+            enemiesToSpawn = roomPlaytest.enemyCount;
+        }
         let enemiesSpawned = 0;
         let initialSpawnDelay = 2; // Wait before first spawn
         let bossSpawned = false;
@@ -3235,7 +3657,7 @@ export function setupGameScene(k) {
         // 15% chance for miniboss room, increases with floor
         // Use seeded RNG for multiplayer consistency, daily runs, or single player
         const roomRng = getSeededRoomRNG() || new SeededRandom(Date.now());
-        if (!isBossRoom && currentRoom !== 1) { // Don't spawn miniboss in first room or boss room
+        if (roomType === 'combat' && currentRoom !== 1) { // Don't spawn miniboss in first room, boss room or special rooms
             const minibossChance = 0.15 + (currentFloor - 1) * 0.05; // 15% base, +5% per floor
             isMinibossRoom = roomRng.next() < minibossChance;
         }
@@ -3245,6 +3667,18 @@ export function setupGameScene(k) {
             enemiesToSpawn = Math.floor(enemiesToSpawn * 0.5); // Half normal enemies
         }
 
+        // Challenge rooms: pick the objective (seeded, so every client runs the same challenge)
+        const challengeType = roomType === 'challenge' ? rollChallengeType(roomRng) : null;
+        const challenge = challengeType ? CHALLENGE_TYPES[challengeType] : null;
+        let challengeFailed = false;
+        let challengeSucceeded = false;
+        if (challenge && challenge.duration) {
+            // Survive: spawn for the whole timer, then stop
+            enemiesToSpawn = Math.ceil(challenge.duration / challenge.spawnInterval);
+        } else if (challenge && challenge.enemyMultiplier) {
+            enemiesToSpawn = Math.floor(enemiesToSpawn * challenge.enemyMultiplier);
+        }
+
         // Get random miniboss type for floor
         // Use seeded RNG for multiplayer consistency
         function getRandomMinibossType(floor, rng) {
@@ -3260,15 +3694,22 @@ export function setupGameScene(k) {
             }
         }
         
-        // Determine boss type based on floor
-        function getBossTypeForFloor(floor) {
-            const bossMap = {
-                1: 'gatekeeper',
-                2: 'swarmQueen',
-                3: 'twinGuardian',
-                // Default to gatekeeper for floors beyond 3 (can expand later)
-            };
-            return bossMap[floor] || 'gatekeeper';
+        // Endless floors: list the loop's boss modifiers under the boss announcement
+        function showBossLoopAnnouncement() {
+            const { loop, modifiers } = getBossLoopScaling(currentFloor);
+            if (loop === 0) return;
+
+            const modifierNames = modifiers.map(key => ENDLESS_BOSS_MODIFIERS[key].name.toUpperCase());
+            const loopText = k.add([
+                k.text(`LOOP ${loop}: ${modifierNames.join(' · ')}`, { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
+                k.pos(k.width() / 2, k.height() / 2 - 65),
+                k.anchor('center'),
+                k.color(...getUIColors().WARNING),
+                k.fixed()
+            ]);
+            k.wait(2, () => {
+                if (loopText.exists()) k.destroy(loopText);
+            });
         }
         
         // Spawn doors - create at room start for enemy spawning (spawnDoors declared early for onMessage callbacks)
@@ -3322,9 +3763,345 @@ export function setupGameScene(k) {
             });
         }
 
+        // ==========================================
+        // SPECIAL ROOMS (treasure, shop, challenge)
+        // ==========================================
+        // Chests and shop stock come from the seeded room RNG so every machine builds the same room.
+        // Only the host (or single player) opens chests and completes purchases, then broadcasts the result.
+        const treasureChests = [];
+        const shopPedestals = [];
+        const isSpecialRoomAuthority = !isMultiplayerActive() || isHost();
+        let runWalletLabel = null;
+        let clientRunWallet = 0; // Clients don't track run credits - the host sends the wallet
+        let challengeLabel = null;
+        let challengeTimer = 0;
+        let specialRoomTime = 0; // Time in this room, for the survive timer's initial delay
+
+        // Show a short banner in the middle of the screen
+        function showSpecialRoomBanner(text, color, duration = 2) {
+            const banner = k.add([
+                k.text(text, { size: scaleTextSize(UI_TEXT_SIZES.H1) }),
+                k.pos(k.width() / 2, k.height() / 2 - 100),
+                k.anchor('center'),
+                k.color(...color),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.OVERLAY)
+            ]);
+            k.wait(duration, () => {
+                if (banner.exists()) k.destroy(banner);
+            });
+        }
+
+        // Float a short message above a position
+        function showSpecialRoomPopup(text, x, y, color) {
+            const popup = k.add([
+                k.text(text, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
+                k.pos(x, y),
+                k.anchor('center'),
+                k.color(...color),
+                k.opacity(1),
+                k.z(UI_Z_LAYERS.UI_TEXT)
+            ]);
+            let popupAge = 0;
+            popup.onUpdate(() => {
+                popupAge += k.dt();
+                popup.pos.y -= 30 * k.dt();
+                popup.opacity = Math.max(0, 1 - popupAge / 1.2);
+                if (popupAge >= 1.2) {
+                    k.destroy(popup);
+                }
+            });
+        }
+
+        // Find the player in a slot (single player has no slots - use the local player)
+        function getPlayerForSlot(slotIndex) {
+            return players.find(p => p && p.exists() && p.slotIndex === slotIndex) || player;
+        }
+
+        // Queue a bonus upgrade draft, taken from the level-up button like a normal level up
+        function queueBonusUpgrade(target) {
+            if (!target || !target.exists()) return;
+            if (!target.pendingLevelUps) {
+                target.pendingLevelUps = [];
+            }
+            target.pendingLevelUps.push(target.level);
+        }
+
+        // Hand out a chest's contents (runs on every machine; only the authority spawns pickups)
+        function applyTreasureReward(chest, reward, opener) {
+            playCurrencyPickup();
+            if (reward.kind === 'upgrade') {
+                queueBonusUpgrade(opener);
+                showSpecialRoomPopup('BONUS UPGRADE!', chest.pos.x, chest.pos.y - 30, SHOP_ITEMS.upgrade.color);
+            } else if (isSpecialRoomAuthority) {
+                // Note: createPowerupWeaponPickup handles multiplayer registration internally
+                createPowerupWeaponPickup(k, chest.pos.x, chest.pos.y + 30, reward.powerupKey);
+            }
+        }
+
+        // Open a chest for the player who touched it (authority only)
+        function openTreasureChest(index, opener) {
+            const chest = treasureChests[index];
+            if (!chest || !chest.open()) return;
+
+            const reward = rollTreasureReward(getRoomLootRNG());
+            applyTreasureReward(chest, reward, opener);
+
+            if (isMultiplayerActive()) {
+                broadcast('special_room_event', { kind: 'chestOpened', index, slotIndex: opener.slotIndex, reward });
+            }
+        }
+
+        // Deliver a purchased item (runs on every machine; only the authority spawns pickups)
+        function applyShopPurchase(index, buyer) {
+            const pedestal = shopPedestals[index];
+            if (!pedestal || !pedestal.markSold()) return;
+
+            playCurrencyPickup();
+            const { itemKey, powerupKey } = pedestal.stock;
+            if (itemKey === 'upgrade') {
+                queueBonusUpgrade(buyer);
+                showSpecialRoomPopup('BONUS UPGRADE!', pedestal.pos.x, pedestal.pos.y - 30, SHOP_ITEMS.upgrade.color);
+            } else if (isSpecialRoomAuthority) {
+                // Bought items drop as normal pickups at the buyer's feet
+                if (itemKey === 'powerup') {
+                    createPowerupWeaponPickup(k, pedestal.pos.x, pedestal.pos.y, powerupKey);
+                } else {
+                    createHealthPickup(k, pedestal.pos.x, pedestal.pos.y, itemKey);
+                }
+            }
+        }
+
+        // Try to buy a pedestal's item from the run wallet (authority only)
+        function buyShopItem(index, buyer) {
+            const pedestal = shopPedestals[index];
+            if (!pedestal || pedestal.sold) return;
+
+            const { price } = pedestal.stock;
+            if (!spendRunCredits(runStats, price)) {
+                // Don't retry until the player steps off the pedestal
+                pedestal.refused = true;
+                pedestal.setBuyProgress(0);
+                showSpecialRoomPopup(`Need ${price - getRunWallet(runStats)} more credits`, pedestal.pos.x, pedestal.pos.y - 30, getUIColors().DANGER_HOVER);
+                return;
+            }
+
+            // Run credits are also persistent currency, so spend them from the save too
+            if (!replayPlayback) {
+                addCurrency(-price);
+            }
+            if (isMultiplayerActive()) {
+                broadcastCurrencyGain(-price);
+                broadcast('special_room_event', { kind: 'purchase', index, slotIndex: buyer.slotIndex, wallet: getRunWallet(runStats) });
+            }
+            applyShopPurchase(index, buyer);
+        }
+
+        // Fail the challenge (no-hit rooms continue as a normal combat room)
+        function failChallenge() {
+            if (!challenge || challengeFailed || challengeSucceeded) return;
+            challengeFailed = true;
+            showSpecialRoomBanner('CHALLENGE FAILED', getUIColors().DANGER_HOVER);
+            if (isMultiplayerActive() && isHost()) {
+                broadcast('special_room_event', { kind: 'challengeFailed' });
+            }
+        }
+
+        // Complete the challenge and drop the reward chest (called on room clear)
+        function completeChallenge() {
+            if (!challenge || challengeFailed || treasureChests.length > 0) return;
+            challengeSucceeded = true;
+            treasureChests.push(createTreasureChest(k, k.width() / 2, k.height() / 2));
+            showSpecialRoomBanner('CHALLENGE COMPLETE!', getUIColors().WARNING);
+            if (isMultiplayerActive() && isHost()) {
+                broadcast('special_room_event', { kind: 'challengeComplete' });
+            }
+        }
+
+        if (roomType === 'treasure') {
+            treasureChests.push(createTreasureChest(k, k.width() / 2, k.height() / 2));
+        } else if (roomType === 'shop') {
+            const stock = rollShopStock(currentFloor, getSeededRoomRNG());
+            const spacing = 110;
+            stock.forEach((entry, i) => {
+                const x = k.width() / 2 + (i - (stock.length - 1) / 2) * spacing;
+                shopPedestals.push(createShopPedestal(k, x, k.height() / 2, entry));
+            });
+
+            runWalletLabel = k.add([
+                k.text('', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
+                k.pos(k.width() / 2, k.height() / 2 - 60),
+                k.anchor('center'),
+                k.color(...getUIColors().GOLD),
+                k.z(UI_Z_LAYERS.UI_TEXT)
+            ]);
+
+            // Clients only learn the wallet from the host
+            if (partySize > 1 && isHost()) {
+                k.wait(0.1, () => {
+                    broadcast('special_room_event', { kind: 'wallet', wallet: getRunWallet(runStats) });
+                });
+            }
+        } else if (challenge) {
+            showSpecialRoomBanner(`CHALLENGE: ${challenge.name}`, getUIColors().WARNING, 3);
+            challengeLabel = k.add([
+                k.text(challenge.description, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
+                k.pos(k.width() / 2, 60),
+                k.anchor('center'),
+                k.color(...getUIColors().WARNING),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT)
+            ]);
+
+            // No-hit: any damage to any player fails it (the authority decides)
+            if (challengeType === 'noHit' && isSpecialRoomAuthority) {
+                players.forEach(p => {
+                    if (!p) return;
+                    p.onHurt((amount) => {
+                        if (amount > 0) failChallenge();
+                    });
+                });
+            }
+        }
+
+        // Client-side: apply chest, purchase and challenge results from the host
+        if (isMultiplayerActive() && !isHost()) {
+            onMessage('special_room_event', (data) => {
+                switch (data.kind) {
+                    case 'chestOpened': {
+                        const chest = treasureChests[data.index];
+                        if (chest && chest.open()) {
+                            applyTreasureReward(chest, data.reward, getPlayerForSlot(data.slotIndex));
+                        }
+                        break;
+                    }
+                    case 'purchase':
+                        clientRunWallet = data.wallet;
+                        applyShopPurchase(data.index, getPlayerForSlot(data.slotIndex));
+                        break;
+                    case 'wallet':
+                        clientRunWallet = data.wallet;
+                        break;
+                    case 'challengeFailed':
+                        failChallenge();
+                        break;
+                    case 'challengeComplete':
+                        completeChallenge();
+                        break;
+                }
+            });
+        }
+
+        if (isPeacefulRoom || challenge) {
+            eventHandlers.updates.push(k.onUpdate(() => {
+                if (k.paused) return;
+
+                if (runWalletLabel) {
+                    const wallet = isSpecialRoomAuthority ? getRunWallet(runStats) : clientRunWallet;
+                    runWalletLabel.text = `Run credits: ${wallet}`;
+                }
+
+                // Survive timer (runs everywhere for the HUD; the authority stops the spawns)
+                if (challenge && challenge.duration && !challengeSucceeded && !roomCompleted) {
+                    specialRoomTime += k.dt();
+                    if (specialRoomTime >= initialSpawnDelay) {
+                        challengeTimer += k.dt();
+                    }
+                    const remaining = Math.max(0, Math.ceil(challenge.duration - challengeTimer));
+                    challengeLabel.text = `${challenge.description} - ${remaining}s`;
+                    if (challengeTimer >= challenge.duration) {
+                        challengeSucceeded = true;
+                        enemiesToSpawn = Math.min(enemiesToSpawn, enemiesSpawned);
+                        challengeLabel.text = 'Survived! Clear the room';
+                        showSpecialRoomBanner('SURVIVED!', getUIColors().WARNING);
+                    }
+                }
+
+                if (!isSpecialRoomAuthority) return;
+
+                const livingPlayers = players.filter(p => p && p.exists() && !p.isDead);
+
+                treasureChests.forEach((chest, index) => {
+                    if (chest.opened) return;
+                    const opener = livingPlayers.find(p => p.pos.dist(chest.pos) <= chest.openRadius);
+                    if (opener) {
+                        openTreasureChest(index, opener);
+                    }
+                });
+
+                shopPedestals.forEach((pedestal, index) => {
+                    if (pedestal.sold) return;
+                    const buyer = livingPlayers.find(p => p.pos.dist(pedestal.pos) <= pedestal.buyRadius);
+                    if (!buyer) {
+                        pedestal.refused = false;
+                        pedestal.setBuyProgress(0);
+                        return;
+                    }
+                    if (pedestal.refused) return;
+                    pedestal.setBuyProgress(pedestal.buyProgress + k.dt() / SHOP_BUY_TIME);
+                    if (pedestal.buyProgress >= 1) {
+                        buyShopItem(index, buyer);
+                    }
+                });
+            }));
+        }
+
+        // Host migration: carry on from where the old host left this room
+        if (roomHandover) {
+            enemiesSpawned = roomHandover.enemiesSpawned;
+            bossSpawned = roomHandover.bossSpawned;
+            minibossSpawned = roomHandover.minibossSpawned;
+            if (roomHandover.roomCompleted) {
+                // Already cleared and rewarded, just leave the exits open
+                roomCompleted = true;
+                openRoomExits();
+            }
+        }
+        if (hostHandover) {
+            hostHandover.state.enemies.forEach(data => {
+                if (data.hp <= 0) return;
+                // Self-registers for sync now that we're host
+                const enemy = data.isBoss
+                    ? createBoss(k, data.x, data.y, data.type, currentFloor)
+                    : createEnemy(k, data.x, data.y, data.type, currentFloor);
+                enemy.setHP(data.hp);
+                if (data.isBossMinion) {
+                    enemy.isBossMinion = true;
+                }
+            });
+            hostHandover.state.players.forEach(data => {
+                const handedOverPlayer = players[data.slotIndex];
+                if (handedOverPlayer) {
+                    handedOverPlayer.pos.x = data.x;
+                    handedOverPlayer.pos.y = data.y;
+                }
+            });
+        }
+
+        // Room progress for a host handover (see collectHostHandover in multiplayerGame.js)
+        // Clients only see the host's spawns, so they estimate what the host had spawned
+        k.gameData.getRoomHandover = () => {
+            const authority = !isMultiplayerActive() || isHost();
+            return {
+                floor: currentFloor,
+                room: currentRoom,
+                roomTemplateKey: currentRoomTemplateKey,
+                entryDirection: gameState.entryDirection,
+                allPlayerStats: collectAllPlayerStats(),
+                enemiesSpawned: authority ? enemiesSpawned : getRoomEnemiesSpawned(),
+                bossSpawned: authority
+                    ? bossSpawned
+                    : roomCompleted || k.get('boss').length > 0 || k.get('enemy').some(enemy => enemy.isBossMinion),
+                minibossSpawned: authority
+                    ? minibossSpawned
+                    : isMinibossRoom && (roomCompleted || (roomStartTimeSet && k.time() - roomStartTime >= 1.0)),
+                roomCompleted
+            };
+        };
+
         // Spawn enemies periodically
         let enemySpawnTimer = 0;
-        const enemySpawnInterval = 0.33; // seconds between spawns (3x faster spawn rate)
+        const enemySpawnInterval = challenge?.spawnInterval ?? 0.33; // seconds between spawns (3x faster spawn rate)
         
         // Track room start time for entrance door exclusion (after first frame)
         let roomStartTimeSet = false;
@@ -3360,7 +4137,7 @@ export function setupGameScene(k) {
                             // Use Fisher-Yates shuffle with seeded RNG if in multiplayer
                             const shuffled = [...availableDoors];
                             for (let i = shuffled.length - 1; i > 0; i--) {
-                                const j = bossRng ? bossRng.range(0, i + 1) : Math.floor(Math.random() * (i + 1));
+                                const j = bossRng ? bossRng.range(0, i + 1) : Math.floor(gameplayRandom() * (i + 1));
                                 [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
                             }
                             door1 = shuffled[0];
@@ -3401,11 +4178,11 @@ export function setupGameScene(k) {
                         playBossSpawn();
 
                         // Begin no-hit-boss tracking for this boss fight
-                        startBossFight(player.hp());
+                        emitGameEvent('bossFightStarted', { bossType, playerHP: player.hp() });
 
                         // Show boss announcement
                         const announcement = k.add([
-                            k.text('THE CO-HOSTS', { size: 32 }),
+                            k.text('THE CO-HOSTS', { size: scaleTextSize(32) }),
                             k.pos(k.width() / 2, k.height() / 2 - 100),
                             k.anchor('center'),
                             k.color(255, 100, 100),
@@ -3414,6 +4191,7 @@ export function setupGameScene(k) {
                         k.wait(2, () => {
                             if (announcement.exists()) k.destroy(announcement);
                         });
+                        showBossLoopAnnouncement();
                     } else {
                         // Regular boss spawning
                         // Spawn boss at a door (prefer top door, or random door)
@@ -3425,13 +4203,13 @@ export function setupGameScene(k) {
                             if (availableDoors.length > 0) {
                                 const doorIndex = bossRng
                                     ? bossRng.range(0, availableDoors.length)
-                                    : Math.floor(Math.random() * availableDoors.length);
+                                    : Math.floor(gameplayRandom() * availableDoors.length);
                                 bossSpawnDoor = availableDoors[doorIndex];
                             } else {
                                 // Fallback to any door
                                 const doorIndex = bossRng
                                     ? bossRng.range(0, spawnDoors.length)
-                                    : Math.floor(Math.random() * spawnDoors.length);
+                                    : Math.floor(gameplayRandom() * spawnDoors.length);
                                 bossSpawnDoor = spawnDoors[doorIndex];
                             }
                         }
@@ -3449,7 +4227,7 @@ export function setupGameScene(k) {
                         playBossSpawn();
 
                         // Begin no-hit-boss tracking for this boss fight
-                        startBossFight(player.hp());
+                        emitGameEvent('bossFightStarted', { bossType, playerHP: player.hp() });
 
                         // Show boss announcement
                         let bossName = 'BOSS';
@@ -3459,7 +4237,7 @@ export function setupGameScene(k) {
                             bossName = `THE ${BOSS_TYPES[bossType].name.toUpperCase()}`;
                         }
                         const announcement = k.add([
-                            k.text(bossName, { size: 32 }),
+                            k.text(bossName, { size: scaleTextSize(32) }),
                             k.pos(k.width() / 2, k.height() / 2 - 100),
                             k.anchor('center'),
                             k.color(255, 100, 100),
@@ -3468,6 +4246,7 @@ export function setupGameScene(k) {
                         k.wait(2, () => {
                             if (announcement.exists()) k.destroy(announcement);
                         });
+                        showBossLoopAnnouncement();
                     }
                 }
                 
@@ -3500,7 +4279,7 @@ export function setupGameScene(k) {
                     const doorsToUse = availableDoors.length > 0 ? availableDoors : spawnDoors;
                     const doorIndex = minibossRng
                         ? minibossRng.range(0, doorsToUse.length)
-                        : Math.floor(Math.random() * doorsToUse.length);
+                        : Math.floor(gameplayRandom() * doorsToUse.length);
                     const randomDoor = doorsToUse[doorIndex];
 
                     const minibossX = randomDoor.pos.x;
@@ -3515,7 +4294,7 @@ export function setupGameScene(k) {
                     // Show miniboss announcement
                     const minibossName = MINIBOSS_TYPES[minibossType]?.name || 'MINIBOSS';
                     const announcement = k.add([
-                        k.text(`MINIBOSS: ${minibossName.toUpperCase()}`, { size: 24 }),
+                        k.text(`MINIBOSS: ${minibossName.toUpperCase()}`, { size: scaleTextSize(24) }),
                         k.pos(k.width() / 2, k.height() / 2 - 100),
                         k.anchor('center'),
                         k.color(255, 200, 100),
@@ -3586,19 +4365,19 @@ export function setupGameScene(k) {
                         // Use seeded RNG for door selection in multiplayer
                         const doorIndex = spawnRng
                             ? spawnRng.range(0, doorsToUse.length)
-                            : Math.floor(Math.random() * doorsToUse.length);
+                            : Math.floor(gameplayRandom() * doorsToUse.length);
                         const randomDoor = doorsToUse[doorIndex];
                         const spawnX = randomDoor.pos.x;
                         const spawnY = randomDoor.pos.y;
 
                         // Add slight random offset to avoid stacking (seeded in multiplayer)
                         const offset = 15;
-                        const offsetX = spawnX + (spawnRng ? (spawnRng.next() - 0.5) : (Math.random() - 0.5)) * offset;
-                        const offsetY = spawnY + (spawnRng ? (spawnRng.next() - 0.5) : (Math.random() - 0.5)) * offset;
+                        const offsetX = spawnX + (spawnRng ? (spawnRng.next() - 0.5) : (gameplayRandom() - 0.5)) * offset;
+                        const offsetY = spawnY + (spawnRng ? (spawnRng.next() - 0.5) : (gameplayRandom() - 0.5)) * offset;
 
                         // Spawn random enemy type based on floor (host will broadcast this)
                         // Use seeded RNG in multiplayer to ensure consistent enemy types
-                        const enemyType = getRandomEnemyType(currentFloor, spawnRng);
+                        const enemyType = roomPlaytest ? getPlaytestEnemyType(spawnRng) : getRandomEnemyType(currentFloor, spawnRng);
                         const enemy = createEnemy(k, offsetX, offsetY, enemyType, currentFloor, spawnRng);
 
                         // Try to make elite (10-15% chance on floor 2+)
@@ -3606,35 +4385,35 @@ export function setupGameScene(k) {
 
                         // Register enemy for multiplayer sync (only if host)
                         if (isMultiplayerActive() && isHost()) {
-                            registerEnemy(enemy, { type: enemyType, floor: currentFloor, isElite: enemy.isElite, eliteModifier: enemy.eliteModifier });
+                            registerEnemy(enemy, { type: enemyType, floor: currentFloor, isElite: enemy.isElite, eliteModifier: enemy.eliteModifier, spawnIndex: enemiesSpawned });
                         }
                     } else {
                         // Fallback to edge spawning if no doors (shouldn't happen)
                         // Use seeded RNG in multiplayer
-                        const side = spawnRng ? spawnRng.range(0, 4) : Math.floor(k.rand(0, 4));
+                        const side = spawnRng ? spawnRng.range(0, 4) : Math.floor(gameplayRandom() * 4);
                         let x, y;
 
                         switch (side) {
                             case 0: // Top
-                                x = spawnRng ? spawnRng.rangeFloat(margin, k.width() - margin) : k.rand(margin, k.width() - margin);
+                                x = spawnRng ? spawnRng.rangeFloat(margin, k.width() - margin) : margin + gameplayRandom() * (k.width() - 2 * margin);
                                 y = margin;
                                 break;
                             case 1: // Right
                                 x = k.width() - margin;
-                                y = spawnRng ? spawnRng.rangeFloat(margin, k.height() - margin) : k.rand(margin, k.height() - margin);
+                                y = spawnRng ? spawnRng.rangeFloat(margin, k.height() - margin) : margin + gameplayRandom() * (k.height() - 2 * margin);
                                 break;
                             case 2: // Bottom
-                                x = spawnRng ? spawnRng.rangeFloat(margin, k.width() - margin) : k.rand(margin, k.width() - margin);
+                                x = spawnRng ? spawnRng.rangeFloat(margin, k.width() - margin) : margin + gameplayRandom() * (k.width() - 2 * margin);
                                 y = k.height() - margin;
                                 break;
                             case 3: // Left
                                 x = margin;
-                                y = spawnRng ? spawnRng.rangeFloat(margin, k.height() - margin) : k.rand(margin, k.height() - margin);
+                                y = spawnRng ? spawnRng.rangeFloat(margin, k.height() - margin) : margin + gameplayRandom() * (k.height() - 2 * margin);
                                 break;
                         }
 
                         // Use seeded RNG in multiplayer to ensure consistent enemy types
-                        const enemyType = getRandomEnemyType(currentFloor, spawnRng);
+                        const enemyType = roomPlaytest ? getPlaytestEnemyType(spawnRng) : getRandomEnemyType(currentFloor, spawnRng);
                         const enemy = createEnemy(k, x, y, enemyType, currentFloor, spawnRng);
 
                         // Try to make elite (10-15% chance on floor 2+)
@@ -3642,13 +4421,26 @@ export function setupGameScene(k) {
 
                         // Register enemy for multiplayer sync (only if host)
                         if (isMultiplayerActive() && isHost()) {
-                            registerEnemy(enemy, { type: enemyType, floor: currentFloor, isElite: enemy.isElite, eliteModifier: enemy.eliteModifier });
+                            registerEnemy(enemy, { type: enemyType, floor: currentFloor, isElite: enemy.isElite, eliteModifier: enemy.eliteModifier, spawnIndex: enemiesSpawned });
                         }
                     }
                 }
             }
         }));
 
+        // Spawn the guaranteed miniboss/boss health drops in a ring around the kill
+        // (host or single player only - createHealthPickup registers them for sync)
+        function spawnBossHealthDrops(x, y, isBoss) {
+            const drops = getBossHealthDrops(isBoss);
+            const rng = getRoomLootRNG();
+            const startAngle = (rng ? rng.next() : gameplayRandom()) * Math.PI * 2;
+            const radius = isBoss ? 85 : 60;
+            drops.forEach((healthType, i) => {
+                const angle = startAngle + (Math.PI * 2 / drops.length) * i;
+                createHealthPickup(k, x + Math.cos(angle) * radius, y + Math.sin(angle) * radius, healthType);
+            });
+        }
+
         // Update enemy death handling
         eventHandlers.updates.push(k.onUpdate(() => {
             if (k.paused) return;
@@ -3747,65 +4539,39 @@ export function setupGameScene(k) {
                         enemy.cleanupHealthBars();
                     }
 
-                    // Broadcast enemy death to all players (host broadcasts to clients, client sends to host)
-                    if (isMultiplayerActive() && enemy.mpEntityId) {
-                        if (isHost()) {
-                            // Host broadcasts death to all clients
-                            broadcastDeathEvent({
-                                entityId: enemy.mpEntityId,
-                                entityType: 'enemy',
-                                x: posX,
-                                y: posY
-                            });
-                        } else {
-                            // Client sends death notification to host
-                            // The host will then broadcast to all clients
-                            sendEnemyDeath({
-                                entityId: enemy.mpEntityId,
-                                entityType: 'enemy',
-                                x: posX,
-                                y: posY
-                            });
-                        }
-                    }
-
                     k.destroy(enemy);
 
                     // Play enemy death sound
                     playEnemyDeath();
 
-                    // Track enemy kill by type
-                    runStats.enemiesKilled++;
-                    trackEnemyKill();
+                    // Run stats, achievements and multiplayer death sync listen for kills
                     const enemyType = enemy.type || enemy.enemyType || 'basic';
-                    runStats.killsByType[enemyType] = (runStats.killsByType[enemyType] || 0) + 1;
-
-                    // Track kill for the player who last hit this enemy
-                    const killerSlot = enemy.lastHitBySlot;
-                    if (killerSlot !== undefined && players[killerSlot] && players[killerSlot].runStats) {
-                        players[killerSlot].runStats.kills++;
-                    } else if (player.runStats) {
-                        // Fallback to local player if no killer tracked
-                        player.runStats.kills++;
-                    }
+                    emitGameEvent('enemyKilled', {
+                        entity: enemy,
+                        kind: 'enemy',
+                        enemyType,
+                        killerSlot: enemy.lastHitBySlot,
+                        x: posX,
+                        y: posY
+                    });
 
                     // Only spawn pickups if we're the host (or not in multiplayer)
                     // Pickups will be broadcast to clients via registerPickup()
                     if (!isMultiplayerActive() || isHost()) {
                         // Get loot RNG (seeded for multiplayer to ensure consistent drops)
-                        const lootRng = getSeededRoomRNG();
+                        const lootRng = getRoomLootRNG();
 
                         // Spawn XP pickup at enemy position
                         // Note: createXPPickup handles multiplayer registration internally
                         const xpPickup = createXPPickup(k, posX, posY, xpValue);
 
                         // Spawn currency drops (1-3 coins with random currency icons)
-                        const currencyDropCount = lootRng ? lootRng.range(1, 4) : Math.floor(Math.random() * 3) + 1;
+                        const currencyDropCount = lootRng ? lootRng.range(1, 4) : Math.floor(gameplayRandom() * 3) + 1;
                         const currencyValue = 1; // Each coin is worth 1 currency
                         for (let i = 0; i < currencyDropCount; i++) {
                             // Spread drops slightly
-                            const offsetX = lootRng ? (lootRng.next() - 0.5) * 20 : (Math.random() - 0.5) * 20;
-                            const offsetY = lootRng ? (lootRng.next() - 0.5) * 20 : (Math.random() - 0.5) * 20;
+                            const offsetX = lootRng ? (lootRng.next() - 0.5) * 20 : (gameplayRandom() - 0.5) * 20;
+                            const offsetY = lootRng ? (lootRng.next() - 0.5) * 20 : (gameplayRandom() - 0.5) * 20;
                             const icon = getRandomCurrencyIcon();
                             // Note: createCurrencyPickup handles multiplayer registration internally
                             const currencyPickup = createCurrencyPickup(k, posX + offsetX, posY + offsetY, currencyValue, icon);
@@ -3815,11 +4581,20 @@ export function setupGameScene(k) {
                         const powerupDrop = rollPowerupDrop(enemy.type, currentFloor);
                         if (powerupDrop) {
                             // Offset slightly to avoid overlap with other pickups
-                            const offsetX = lootRng ? (lootRng.next() - 0.5) * 30 : (Math.random() - 0.5) * 30;
-                            const offsetY = lootRng ? (lootRng.next() - 0.5) * 30 : (Math.random() - 0.5) * 30;
+                            const offsetX = lootRng ? (lootRng.next() - 0.5) * 30 : (gameplayRandom() - 0.5) * 30;
+                            const offsetY = lootRng ? (lootRng.next() - 0.5) * 30 : (gameplayRandom() - 0.5) * 30;
                             // Note: createPowerupWeaponPickup handles multiplayer registration internally
                             const powerupPickup = createPowerupWeaponPickup(k, posX + offsetX, posY + offsetY, powerupDrop);
                         }
+
+                        // Check for health drop (chance depends on enemy type and floor)
+                        const healthDrop = rollHealthDrop(enemyType, currentFloor, lootRng);
+                        if (healthDrop) {
+                            const offsetX = lootRng ? (lootRng.next() - 0.5) * 30 : (gameplayRandom() - 0.5) * 30;
+                            const offsetY = lootRng ? (lootRng.next() - 0.5) * 30 : (gameplayRandom() - 0.5) * 30;
+                            // Note: createHealthPickup handles multiplayer registration internally
+                            createHealthPickup(k, posX + offsetX, posY + offsetY, healthDrop);
+                        }
                     }
                 }
             });
@@ -3840,48 +4615,45 @@ export function setupGameScene(k) {
                     // Play enemy death sound (louder for miniboss)
                     playEnemyDeath();
 
-                    // Track miniboss kill by type (counts as enemy too)
-                    runStats.enemiesKilled++;
-                    trackEnemyKill();
-                    const minibossType = miniboss.type || 'miniboss';
-                    runStats.killsByType[minibossType] = (runStats.killsByType[minibossType] || 0) + 1;
-                    runStats.minibossesKilled = (runStats.minibossesKilled || 0) + 1;
-
-                    // Track kill for the player who last hit this miniboss
-                    const minibossKillerSlot = miniboss.lastHitBySlot;
-                    if (minibossKillerSlot !== undefined && players[minibossKillerSlot] && players[minibossKillerSlot].runStats) {
-                        players[minibossKillerSlot].runStats.kills++;
-                    } else if (player.runStats) {
-                        // Fallback to local player if no killer tracked
-                        player.runStats.kills++;
-                    }
+                    // Miniboss kills count as enemy kills too
+                    emitGameEvent('enemyKilled', {
+                        entity: miniboss,
+                        kind: 'miniboss',
+                        enemyType: miniboss.type || 'miniboss',
+                        killerSlot: miniboss.lastHitBySlot,
+                        x: posX,
+                        y: posY
+                    });
 
                     // Only spawn pickups if we're the host (or not in multiplayer)
                     if (!isMultiplayerActive() || isHost()) {
                         // Get loot RNG (seeded for multiplayer)
-                        const lootRng = getSeededRoomRNG();
+                        const lootRng = getRoomLootRNG();
 
                         // Spawn XP pickup at miniboss position (minibosses give more XP than regular enemies)
                         // Note: createXPPickup handles multiplayer registration internally
                         const xpPickup = createXPPickup(k, posX, posY, xpValue);
 
                         // Spawn currency drops (10-15 coins with random currency icons)
-                        const minibossCurrencyCount = lootRng ? lootRng.range(10, 16) : Math.floor(Math.random() * 6) + 10;
+                        const minibossCurrencyCount = lootRng ? lootRng.range(10, 16) : Math.floor(gameplayRandom() * 6) + 10;
                         const minibossCurrencyValue = 1; // Each coin is worth 1 currency
                         for (let i = 0; i < minibossCurrencyCount; i++) {
                             // Spread drops in a circle
                             const angle = (Math.PI * 2 / minibossCurrencyCount) * i;
-                            const radius = lootRng ? (30 + lootRng.next() * 20) : (30 + Math.random() * 20);
+                            const radius = lootRng ? (30 + lootRng.next() * 20) : (30 + gameplayRandom() * 20);
                             const offsetX = Math.cos(angle) * radius;
                             const offsetY = Math.sin(angle) * radius;
                             // Note: createCurrencyPickup handles multiplayer registration internally
                             const currencyPickup = createCurrencyPickup(k, posX + offsetX, posY + offsetY, minibossCurrencyValue);
                         }
+
+                        // Guaranteed health drops just outside the coin ring
+                        spawnBossHealthDrops(posX, posY, false);
                     }
 
                     // Miniboss death effects (visual feedback)
                     const deathText = k.add([
-                        k.text('MINIBOSS DEFEATED!', { size: 20 }),
+                        k.text('MINIBOSS DEFEATED!', { size: scaleTextSize(20) }),
                         k.pos(posX, posY - 30),
                         k.anchor('center'),
                         k.color(255, 200, 100),
@@ -3909,55 +4681,58 @@ export function setupGameScene(k) {
                     // Play boss death sound
                     playBossDeath();
 
-                    // Track boss kill by type (counts as enemy too)
-                    runStats.enemiesKilled++;
-                    trackEnemyKill();
-                    runStats.bossesKilled++;
-                    // Award boss-fight challenge achievements (noHitBoss, glassCannonWin, bossRush)
-                    onBossDefeated(player.hp(), player.maxHealth);
+                    // Boss kills count as enemy kills too, then the boss-fight challenges resolve
                     const bossType = boss.type || 'boss';
-                    Analytics.bossDefeated(bossType, currentFloor);
-                    runStats.killsByType[bossType] = (runStats.killsByType[bossType] || 0) + 1;
-
-                    // Track kill for the player who last hit this boss
                     const bossKillerSlot = boss.lastHitBySlot;
-                    if (bossKillerSlot !== undefined && players[bossKillerSlot] && players[bossKillerSlot].runStats) {
-                        players[bossKillerSlot].runStats.kills++;
-                        players[bossKillerSlot].runStats.bossesKilled++;
-                    } else if (player.runStats) {
-                        // Fallback to local player if no killer tracked
-                        player.runStats.kills++;
-                        player.runStats.bossesKilled++;
+                    emitGameEvent('enemyKilled', {
+                        entity: boss,
+                        kind: 'boss',
+                        enemyType: bossType,
+                        killerSlot: bossKillerSlot,
+                        x: posX,
+                        y: posY
+                    });
+                    emitGameEvent('bossDefeated', {
+                        bossType,
+                        killerSlot: bossKillerSlot,
+                        playerHP: player.hp(),
+                        playerMaxHP: player.maxHealth
+                    });
+                    if (!replayPlayback) {
+                        Analytics.bossDefeated(bossType, currentFloor);
                     }
 
                     // Only spawn pickups if we're the host (or not in multiplayer)
                     if (!isMultiplayerActive() || isHost()) {
                         // Get loot RNG (seeded for multiplayer)
-                        const lootRng = getSeededRoomRNG();
+                        const lootRng = getRoomLootRNG();
 
                         // Spawn XP pickup at boss position (bosses give more XP)
                         // Note: createXPPickup handles multiplayer registration internally
                         const xpPickup = createXPPickup(k, posX, posY, xpValue);
 
                         // Spawn currency drops (20-30 coins with SAME currency icon)
-                        const bossCurrencyCount = lootRng ? lootRng.range(20, 31) : Math.floor(Math.random() * 11) + 20;
+                        const bossCurrencyCount = lootRng ? lootRng.range(20, 31) : Math.floor(gameplayRandom() * 11) + 20;
                         const bossCurrencyValue = 1; // Each coin is worth 1 currency
                         const bossCurrencyIcon = getRandomCurrencyIcon(); // Pick ONE icon for all boss drops
                         for (let i = 0; i < bossCurrencyCount; i++) {
                             // Spread drops in a large circle
                             const angle = (Math.PI * 2 / bossCurrencyCount) * i;
-                            const radius = lootRng ? (40 + lootRng.next() * 30) : (40 + Math.random() * 30);
+                            const radius = lootRng ? (40 + lootRng.next() * 30) : (40 + gameplayRandom() * 30);
                             const offsetX = Math.cos(angle) * radius;
                             const offsetY = Math.sin(angle) * radius;
                             // Use the same icon for all boss drops
                             // Note: createCurrencyPickup handles multiplayer registration internally
                             const currencyPickup = createCurrencyPickup(k, posX + offsetX, posY + offsetY, bossCurrencyValue, bossCurrencyIcon);
                         }
+
+                        // Guaranteed health drops just outside the coin ring
+                        spawnBossHealthDrops(posX, posY, true);
                     }
 
                     // Boss death effects (visual feedback)
                     const deathText = k.add([
-                        k.text('BOSS DEFEATED!', { size: 24 }),
+                        k.text('BOSS DEFEATED!', { size: scaleTextSize(24) }),
                         k.pos(posX, posY - 30),
                         k.anchor('center'),
                         k.color(255, 255, 100),
@@ -3970,6 +4745,103 @@ export function setupGameScene(k) {
             });
         }));
 
+        // Handle health pickup magnetization and collection
+        // Hearts only magnetize toward (and heal) players who can use them, so they
+        // stay on the floor for later instead of vanishing into a full-health player
+        eventHandlers.updates.push(k.onUpdate(() => {
+            if (!player.exists() || k.paused) return;
+
+            const autoPickupHealth = getSetting('gameplay', 'autoPickupHealth');
+            const effectiveHealthRadius = autoPickupHealth ? 2000 : player.pickupRadius;
+
+            // OPTIMIZATION: Only check pickups near players (using spatial grid)
+            const pickupCheckRadius = effectiveHealthRadius * 1.5;
+            const nearbyPickups = new Set();
+            players.forEach(p => {
+                if (!p || !p.exists() || p.isDead) return;
+                spatialGrids.pickups.getNearby(p.pos.x, p.pos.y, pickupCheckRadius).forEach(pickup => {
+                    if (pickup.is && pickup.is('healthPickup')) nearbyPickups.add(pickup);
+                });
+            });
+
+            nearbyPickups.forEach(pickup => {
+                if (pickup.collected) return;
+
+                // Once magnetizing, stay with the same target while they still need it
+                let target = pickup.magnetizing && pickup.targetPlayer && pickup.targetPlayer.exists() &&
+                    canUseHealthPickup(pickup.targetPlayer, pickup.healthType) ? pickup.targetPlayer : null;
+                let targetDistance = target ? target.pos.dist(pickup.pos) : Infinity;
+
+                if (!target) {
+                    // Closest player who can use it (local player only in single player)
+                    (partySize > 1 ? players : [player]).forEach(p => {
+                        if (!p || !p.exists() || !canUseHealthPickup(p, pickup.healthType)) return;
+                        const dist = p.pos.dist(pickup.pos);
+                        if (dist < targetDistance) {
+                            targetDistance = dist;
+                            target = p;
+                        }
+                    });
+                }
+
+                if (!target) {
+                    // Nobody needs it - drop it where it is
+                    pickup.magnetizing = false;
+                    pickup.magnetizeSpeed = 0;
+                    pickup.targetPlayer = null;
+                    return;
+                }
+
+                const magnetRadius = autoPickupHealth ? effectiveHealthRadius : target.pickupRadius;
+                if (!pickup.magnetizing && targetDistance <= magnetRadius) {
+                    pickup.magnetizing = true;
+                    pickup.targetPlayer = target;
+                }
+
+                if (targetDistance <= PICKUP_CONFIG.COLLECTION_RADIUS) {
+                    // In multiplayer, only host collects pickups
+                    if (isMultiplayerActive() && !isHost()) {
+                        return; // Skip on clients - host will handle collection
+                    }
+
+                    pickup.collected = true; // Set flag FIRST to prevent race conditions
+                    const healAmount = applyHealthPickup(target, pickup.healthType);
+                    playHealthPickup();
+                    emitGameEvent('pickupCollected', { player: target, pickupType: 'health', value: healAmount });
+
+                    if (isMultiplayerActive() && healAmount > 0) {
+                        broadcastHealEvent({
+                            slotIndex: target.slotIndex,
+                            healAmount: healAmount,
+                            newHP: target.hp(),
+                            source: 'pickup'
+                        });
+                    }
+
+                    // Visual feedback - floating heal number
+                    const healText = k.add([
+                        k.text(`+${healAmount}`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
+                        k.pos(target.pos.x, target.pos.y - 24),
+                        k.anchor('center'),
+                        k.color(pickup.color),
+                        k.opacity(1),
+                        k.z(UI_Z_LAYERS.UI_TEXT)
+                    ]);
+                    let healTextAge = 0;
+                    healText.onUpdate(() => {
+                        healTextAge += k.dt();
+                        healText.pos.y -= 30 * k.dt();
+                        healText.opacity = Math.max(0, 1 - healTextAge / 0.8);
+                        if (healTextAge >= 0.8) {
+                            k.destroy(healText);
+                        }
+                    });
+
+                    k.destroy(pickup);
+                }
+            });
+        }));
+
         // Handle XP pickup magnetization and collection
         eventHandlers.updates.push(k.onUpdate(() => {
             if (!player.exists() || k.paused) return;
@@ -4042,9 +4914,7 @@ export function setupGameScene(k) {
 
                     pickup.collected = true; // Set flag FIRST to prevent race conditions
                     playXPPickup();
-                    // Track XP-orb pickups (xpHoarder) and first-pickup achievement
-                    runStats.xpOrbsCollected = (runStats.xpOrbsCollected || 0) + 1;
-                    trackPickup();
+                    emitGameEvent('pickupCollected', { player: closestPlayer, pickupType: 'xp', value: pickup.value });
 
                     // In multiplayer, give XP to all players (shared XP)
                     if (partySize > 1) {
@@ -4054,6 +4924,12 @@ export function setupGameScene(k) {
                             if (player.exists() && !player.isDead && player.addXP) {
                                 player.addXP(pickup.value);
                             }
+                            // Couch co-op guests share it on this machine
+                            players.forEach(p => {
+                                if (p && p !== player && p.inputDevice && p.exists() && !p.isDead && p.addXP) {
+                                    p.addXP(pickup.value);
+                                }
+                            });
                             // Broadcast XP gain to clients
                             broadcastXPGain(pickup.value);
                         } else {
@@ -4142,13 +5018,13 @@ export function setupGameScene(k) {
 
                     // In multiplayer, currency is shared (everyone gets it)
                     // Currency is persistent across the run, so just add once
-                    addCurrency(pickup.value); // Add currency to persistent storage
-
-                    // Track credits picked up for the player who collected it
-                    if (closestPlayer && closestPlayer.runStats) {
-                        closestPlayer.runStats.creditsPickedUp += pickup.value;
+                    if (!replayPlayback && !roomPlaytest) {
+                        addCurrency(pickup.value); // Add currency to persistent storage (not while watching a replay or playtest)
                     }
 
+                    // Credits picked up by the collector and the shared shop-room wallet
+                    emitGameEvent('pickupCollected', { player: closestPlayer, pickupType: 'credits', value: pickup.value });
+
                     // Broadcast currency gain to clients
                     if (isMultiplayerActive()) {
                         broadcastCurrencyGain(pickup.value);
@@ -4202,7 +5078,7 @@ export function setupGameScene(k) {
                     // Visual feedback - flash effect
                     const powerup = POWERUP_WEAPONS[pickup.powerupKey];
                     const flash = k.add([
-                        k.text(powerup.icon, { size: 32 }),
+                        k.text(powerup.icon, { size: scaleTextSize(32) }),
                         k.pos(player.pos.x, player.pos.y - 30),
                         k.color(...powerup.color),
                         k.anchor('center'),
@@ -4513,8 +5389,8 @@ export function setupGameScene(k) {
 
             // Spawn XP pickups in a spread pattern
             for (let i = 0; i < numXPPickups; i++) {
-                const angle = (Math.PI * 2 * i) / numXPPickups + (rewardRng ? rewardRng.next() : Math.random()) * 0.3;
-                const distance = 40 + (rewardRng ? rewardRng.next() : Math.random()) * 60;
+                const angle = (Math.PI * 2 * i) / numXPPickups + (rewardRng ? rewardRng.next() : gameplayRandom()) * 0.3;
+                const distance = 40 + (rewardRng ? rewardRng.next() : gameplayRandom()) * 60;
                 const x = centerX + Math.cos(angle) * distance;
                 const y = centerY + Math.sin(angle) * distance;
 
@@ -4526,8 +5402,8 @@ export function setupGameScene(k) {
 
             // Spawn currency pickups in a spread pattern
             for (let i = 0; i < numCurrencyPickups; i++) {
-                const angle = (Math.PI * 2 * i) / numCurrencyPickups + (rewardRng ? rewardRng.next() : Math.random()) * 0.3 + 0.5;
-                const distance = 50 + (rewardRng ? rewardRng.next() : Math.random()) * 70;
+                const angle = (Math.PI * 2 * i) / numCurrencyPickups + (rewardRng ? rewardRng.next() : gameplayRandom()) * 0.3 + 0.5;
+                const distance = 50 + (rewardRng ? rewardRng.next() : gameplayRandom()) * 70;
                 const x = centerX + Math.cos(angle) * distance;
                 const y = centerY + Math.sin(angle) * distance;
 
@@ -4541,15 +5417,15 @@ export function setupGameScene(k) {
             // Extra bonus for boss rooms - spawn a few powerup weapons
             if (isBossRoom) {
                 const powerupKeys = Object.keys(POWERUP_WEAPONS);
-                const numPowerups = 1 + Math.floor((rewardRng ? rewardRng.next() : Math.random()) * 2); // 1-2 powerups
+                const numPowerups = 1 + Math.floor((rewardRng ? rewardRng.next() : gameplayRandom()) * 2); // 1-2 powerups
 
                 for (let i = 0; i < numPowerups; i++) {
-                    const angle = (rewardRng ? rewardRng.next() : Math.random()) * Math.PI * 2;
-                    const distance = 80 + (rewardRng ? rewardRng.next() : Math.random()) * 40;
+                    const angle = (rewardRng ? rewardRng.next() : gameplayRandom()) * Math.PI * 2;
+                    const distance = 80 + (rewardRng ? rewardRng.next() : gameplayRandom()) * 40;
                     const x = centerX + Math.cos(angle) * distance;
                     const y = centerY + Math.sin(angle) * distance;
 
-                    const randomPowerup = powerupKeys[Math.floor((rewardRng ? rewardRng.next() : Math.random()) * powerupKeys.length)];
+                    const randomPowerup = powerupKeys[Math.floor((rewardRng ? rewardRng.next() : gameplayRandom()) * powerupKeys.length)];
                     // Note: createPowerupWeaponPickup handles multiplayer registration internally
                     const powerupPickup = createPowerupWeaponPickup(k, x, y, randomPowerup);
                 }
@@ -4591,27 +5467,58 @@ export function setupGameScene(k) {
                 // Determine player name for display
                 const playerName = levelUpPlayer.playerName || (levelUpPlayer.isRemote ? `Player ${levelUpPlayer.slotIndex + 1}` : 'You');
 
-                // Show tutorial hint for level up
-                showLevelUpHint(k);
-
                 // Show upgrade draft for this player (pass level for proper RNG seeding)
-                // Pass per-run rerolls remaining from gameState
-                showUpgradeDraft(k, levelUpPlayer, (selected, remainingRerolls) => {
-                    // Update gameState with remaining rerolls for per-run persistence
-                    if (remainingRerolls !== undefined) {
-                        gameState.rerollsRemaining = remainingRerolls;
-                    }
-                    // Callback when upgrade is selected - show next level up
+                // Draft charges are per run and tracked in draftActions.js
+                showUpgradeDraft(k, levelUpPlayer, () => {
+                    // Callback when upgrade is selected or skipped - show next level up
                     showNextLevelUp();
-                }, playerName, level, gameState.rerollsRemaining);
+                }, playerName, level);
             }
 
             // Start showing level ups
             showNextLevelUp();
         }
 
+        // Convert spawn doors to exit doors (but keep blocked doors blocked)
+        function openRoomExits() {
+            spawnDoors.forEach(door => {
+                if (door.exists() && !door.blocked) {
+                    door.open = true;
+                    door.isSpawnDoor = false; // No longer a spawn door
+                    door.updateVisual(); // Refresh door appearance
+                }
+            });
+
+            // Special handling for boss rooms: unblock the north door for floor advancement
+            // Boss rooms have all doors blocked initially since there are no unvisited rooms
+            if (isBossRoom) {
+                const northDoor = spawnDoors.find(d => d.direction === 'north');
+                if (northDoor && northDoor.exists()) {
+                    northDoor.blocked = false;
+                    northDoor.open = true;
+                    northDoor.isSpawnDoor = false;
+                    northDoor.isFloorExit = true; // Mark as floor exit for visual distinction
+                    northDoor.updateVisual();
+                }
+            }
+        }
+
         // Handle room completion
         function handleRoomCompletion() {
+            // Playtest cleared: report and return to the editor
+            if (roomPlaytest) {
+                k.add([
+                    k.text('PLAYTEST CLEARED - returning to editor', { size: scaleTextSize(20) }),
+                    k.pos(k.width() / 2, k.height() - 40),
+                    k.anchor('center'),
+                    k.color(100, 255, 100),
+                    k.fixed(),
+                    k.z(500)
+                ]);
+                k.wait(2, () => k.go('roomEditor'));
+                return;
+            }
+
             // ==========================================
             // NEW ARCHITECTURE: Update state on room completion
             // ==========================================
@@ -4637,7 +5544,7 @@ export function setupGameScene(k) {
             // LEGACY STATE
             // ==========================================
             // Track room cleared
-            runStats.roomsCleared++;
+            emitGameEvent('roomCleared', { floor: gameState.currentFloor, room: currentRoom });
 
             // Check achievements with current run stats (for in-game toasts)
             const playerLevel = player.exists() ? player.level : 1;
@@ -4654,27 +5561,7 @@ export function setupGameScene(k) {
                 gameState.floorMap.markRoomCleared(currentRoomNode.position.x, currentRoomNode.position.y);
             }
 
-            // Convert spawn doors to exit doors (but keep blocked doors blocked)
-            spawnDoors.forEach(door => {
-                if (door.exists() && !door.blocked) {
-                    door.open = true;
-                    door.isSpawnDoor = false; // No longer a spawn door
-                    door.updateVisual(); // Refresh door appearance
-                }
-            });
-
-            // Special handling for boss rooms: unblock the north door for floor advancement
-            // Boss rooms have all doors blocked initially since there are no unvisited rooms
-            if (isBossRoom) {
-                const northDoor = spawnDoors.find(d => d.direction === 'north');
-                if (northDoor && northDoor.exists()) {
-                    northDoor.blocked = false;
-                    northDoor.open = true;
-                    northDoor.isSpawnDoor = false;
-                    northDoor.isFloorExit = true; // Mark as floor exit for visual distinction
-                    northDoor.updateVisual();
-                }
-            }
+            openRoomExits();
 
             // Update minimap to reflect room clear
             if (gameState.minimap) {
@@ -4682,16 +5569,22 @@ export function setupGameScene(k) {
             }
 
             // Spawn reward pickups (only host spawns in multiplayer)!
+            // Treasure and shop rooms have no fight to reward; challenges add a chest on success
             if (!isMultiplayerActive() || isHost()) {
-                spawnRoomClearRewards();
+                if (!isPeacefulRoom) {
+                    spawnRoomClearRewards();
+                }
+                if (challenge && !challengeFailed) {
+                    completeChallenge();
+                }
             }
 
-            // Show completion message (different for boss rooms)
-            const completionText = isBossRoom 
+            // Show completion message (different for boss and special rooms)
+            const completionText = isBossRoom
                 ? `BOSS DEFEATED! Floor ${currentFloor} Complete! Enter a door to continue`
-                : 'Room Cleared! Enter a door to continue';
+                : getRoomClearedText(roomType);
             const completionMsg = k.add([
-                k.text(completionText, { size: 20 }),
+                k.text(completionText, { size: scaleTextSize(20) }),
                 k.pos(k.width() / 2, k.height() - 40),
                 k.anchor('center'),
                 k.color(100, 255, 100),
@@ -4707,10 +5600,9 @@ export function setupGameScene(k) {
             });
         }
         
-        // Handle door entry
-        function handleDoorEntry(direction) {
-            // Save ALL players' stats before transitioning (critical for multiplayer)
-            gameState.allPlayerStats = players.map((p, index) => {
+        // Snapshot every player's stats and upgrades (room transitions and host migration)
+        function collectAllPlayerStats() {
+            return players.map((p, index) => {
                 if (!p || !p.exists()) return null;
 
                 return {
@@ -4754,6 +5646,13 @@ export function setupGameScene(k) {
                     // Synergy tracking
                     selectedUpgrades: p.selectedUpgrades ? Array.from(p.selectedUpgrades) : [],
                     activeSynergies: p.activeSynergies ? Array.from(p.activeSynergies) : [],
+                    // Draft actions (banished pool and the card locked for the next draft)
+                    banishedUpgrades: p.banishedUpgrades || [],
+                    lockedUpgrade: p.lockedUpgrade || null,
+                    // Weapon evolution taken this run (one per run)
+                    evolvedWeapon: p.evolvedWeapon || null,
+                    // Active ability keeps recharging from where it left off
+                    abilityCooldown: p.abilityCooldown || 0,
                     piercingDamageBonus: p.piercingDamageBonus || 1.0,
                     // Character data (needed for recalculating upgrades)
                     characterData: p.characterData,
@@ -4794,6 +5693,18 @@ export function setupGameScene(k) {
                     }
                 };
             }).filter(stats => stats !== null);
+        }
+
+        // Handle door entry
+        function handleDoorEntry(direction) {
+            // Replay: the next room restarts from its recorded checkpoint
+            if (replayPlayback) {
+                k.go(advanceReplayRoom() ? 'game' : 'replayViewer');
+                return;
+            }
+
+            // Save ALL players' stats before transitioning (critical for multiplayer)
+            gameState.allPlayerStats = collectAllPlayerStats();
 
             // Also save local player stats for backward compatibility
             const localPlayerStats = gameState.allPlayerStats.find(stats => !stats.isRemote);
@@ -4832,14 +5743,14 @@ export function setupGameScene(k) {
                     // Floor advancement - going through north door after defeating boss
                     currentFloor++;
                     // The floor we just cleared (perfectFloor / speedRunner achievements)
-                    onFloorCompleted(currentFloor - 1);
+                    emitGameEvent('floorCompleted', { floor: currentFloor - 1 });
 
                     // Check for character unlocks based on floor completion
                     const unlocked = checkFloorUnlocks(currentFloor - 1);
                     if (unlocked) {
                         // Show unlock notification (could be enhanced later)
                         const unlockText = k.add([
-                            k.text('NEW CHARACTER UNLOCKED!', { size: 24 }),
+                            k.text('NEW CHARACTER UNLOCKED!', { size: scaleTextSize(24) }),
                             k.pos(k.width() / 2, k.height() / 2 - 50),
                             k.anchor('center'),
                             k.color(100, 255, 100),
@@ -4893,7 +5804,7 @@ export function setupGameScene(k) {
                     if (unlocked) {
                         // Show unlock notification (could be enhanced later)
                         const unlockText = k.add([
-                            k.text('NEW CHARACTER UNLOCKED!', { size: 24 }),
+                            k.text('NEW CHARACTER UNLOCKED!', { size: scaleTextSize(24) }),
                             k.pos(k.width() / 2, k.height() / 2 - 50),
                             k.anchor('center'),
                             k.color(100, 255, 100),
@@ -4987,6 +5898,18 @@ export function setupGameScene(k) {
                 // Host continues to trigger game over and broadcast to clients
             }
 
+            // Replay finished: no rewards or history, return to the viewer
+            if (replayPlayback) {
+                k.wait(1, () => k.go('replayViewer'));
+                return;
+            }
+
+            // Playtest death: straight back to the editor
+            if (roomPlaytest) {
+                k.wait(1, () => k.go('roomEditor'));
+                return;
+            }
+
             // Single player or host: game over as normal
             // Calculate currency earned
             const currencyEarned = calculateCurrencyEarned(runStats);
@@ -5016,7 +5939,9 @@ export function setupGameScene(k) {
                 duration: runDuration,
                 deathCause: 'Enemy',
                 upgrades: player.selectedUpgrades ? Array.from(player.selectedUpgrades) : [],
-                synergies: player.activeSynergies ? Array.from(player.activeSynergies) : []
+                synergies: player.activeSynergies ? Array.from(player.activeSynergies) : [],
+                evolutions: player.evolvedWeapon ? [player.evolvedWeapon] : [],
+                replay: isReplayRecording() ? finishReplayRecording() : null
             });
 
             // Check for achievements
@@ -5062,9 +5987,9 @@ export function setupGameScene(k) {
             k.rect(300, 260),
             k.pos(k.width() / 2, k.height() / 2),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_DARK),
+            k.color(...getUIColors().BG_DARK),
             k.opacity(0.95),
-            k.outline(3, k.rgb(...UI_COLORS.BORDER)),
+            k.outline(3, k.rgb(...getUIColors().BORDER)),
             k.fixed(),
             k.z(2000),
             'pauseOverlay'
@@ -5072,10 +5997,10 @@ export function setupGameScene(k) {
 
         // Paused title with H1 styling
         const pauseText = k.add([
-            k.text('PAUSED', { size: UI_TEXT_SIZES.H1 * 2 }),
+            k.text('PAUSED', { size: scaleTextSize(UI_TEXT_SIZES.H1 * 2) }),
             k.pos(k.width() / 2, k.height() / 2 - 95),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(2001),
             'pauseText'
@@ -5091,8 +6016,8 @@ export function setupGameScene(k) {
             k.rect(LG.width, LG.height),
             k.pos(k.width() / 2, pauseCenterY - 20),
             k.anchor('center'),
-            k.color(...UI_COLORS.SUCCESS),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().SUCCESS),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(2001),
@@ -5100,10 +6025,10 @@ export function setupGameScene(k) {
         ]);
 
         const resumeText = k.add([
-            k.text('RESUME', { size: UI_TEXT_SIZES.H2 }),
+            k.text('RESUME', { size: scaleTextSize(UI_TEXT_SIZES.H2) }),
             k.pos(k.width() / 2, pauseCenterY - 20),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(2002),
             'pauseButton'
@@ -5114,8 +6039,8 @@ export function setupGameScene(k) {
             k.rect(SM.width, SM.height),
             k.pos(k.width() / 2, pauseCenterY + 45),
             k.anchor('center'),
-            k.color(...UI_COLORS.DANGER),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().DANGER),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(2001),
@@ -5123,10 +6048,10 @@ export function setupGameScene(k) {
         ]);
 
         const quitText = k.add([
-            k.text('QUIT', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('QUIT', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2, pauseCenterY + 45),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(2002),
             'pauseButton'
@@ -5206,6 +6131,12 @@ export function setupGameScene(k) {
                 return;
             }
 
+            // Single player: resume through the same path as the pause key (recorded for replays)
+            if (!isMultiplayerActive()) {
+                requestPlayerAction('pause', 0);
+                return;
+            }
+
             k.paused = false;
             // Mirror the Escape handler: broadcast the resume so clients unpause too.
             if (isMultiplayerActive() && isHost()) {
@@ -5246,8 +6177,10 @@ export function setupGameScene(k) {
             // Handle multiplayer quit logic
             if (isMultiplayerActive()) {
                 if (isHost()) {
-                    // Host: broadcast quit to all clients, then quit
-                    broadcastHostQuit();
+                    // Host: hand the run to the next player, or end it for everyone
+                    if (!handOffHost()) {
+                        broadcastHostQuit();
+                    }
                     cleanupMultiplayer();
                     gameState.currentFloor = 1;
                     gameState.currentRoom = 1;
@@ -5266,7 +6199,7 @@ export function setupGameScene(k) {
                     ]);
 
                     const confirmText = k.add([
-                        k.text('Leave party and return to menu?', { size: 20 }),
+                        k.text('Leave party and return to menu?', { size: scaleTextSize(20) }),
                         k.pos(k.width() / 2, k.height() / 2 - 50),
                         k.anchor('center'),
                         k.color(255, 255, 255),
@@ -5288,7 +6221,7 @@ export function setupGameScene(k) {
                     ]);
 
                     k.add([
-                        k.text('Yes', { size: 16 }),
+                        k.text('Yes', { size: scaleTextSize(16) }),
                         k.pos(k.width() / 2 - 60, k.height() / 2 + 10),
                         k.anchor('center'),
                         k.color(255, 255, 255),
@@ -5310,7 +6243,7 @@ export function setupGameScene(k) {
                     ]);
 
                     k.add([
-                        k.text('No', { size: 16 }),
+                        k.text('No', { size: scaleTextSize(16) }),
                         k.pos(k.width() / 2 + 60, k.height() / 2 + 10),
                         k.anchor('center'),
                         k.color(255, 255, 255),
@@ -5363,7 +6296,7 @@ export function setupGameScene(k) {
                     ]);
 
                     const confirmText = k.add([
-                        k.text('Abandon run and return to menu?', { size: 20 }),
+                        k.text('Abandon run and return to menu?', { size: scaleTextSize(20) }),
                         k.pos(k.width() / 2, k.height() / 2 - 50),
                         k.anchor('center'),
                         k.color(255, 255, 255),
@@ -5385,7 +6318,7 @@ export function setupGameScene(k) {
                     ]);
 
                     k.add([
-                        k.text('Yes', { size: 16 }),
+                        k.text('Yes', { size: scaleTextSize(16) }),
                         k.pos(k.width() / 2 - 60, k.height() / 2 + 10),
                         k.anchor('center'),
                         k.color(255, 255, 255),
@@ -5407,7 +6340,7 @@ export function setupGameScene(k) {
                     ]);
 
                     k.add([
-                        k.text('No', { size: 16 }),
+                        k.text('No', { size: scaleTextSize(16) }),
                         k.pos(k.width() / 2 + 60, k.height() / 2 + 10),
                         k.anchor('center'),
                         k.color(255, 255, 255),
@@ -5451,19 +6384,35 @@ export function setupGameScene(k) {
             }
         });
         
-        // Toggle minimap with 'M' key
-        eventHandlers.keyPresses.push(k.onKeyPress('m', () => {
+        // Toggle minimap (rebindable, 'M' by default)
+        eventHandlers.keyPresses.push(onActionPress(k, 'toggleMinimap', () => {
             if (gameState.minimap && !k.paused) {
                 gameState.minimap.toggle();
             }
         }));
 
-        // Pause
-        eventHandlers.keyPresses.push(k.onKeyPress('escape', () => {
+        // Pause (rebindable, Escape by default)
+        eventHandlers.keyPresses.push(onActionPress(k, 'pause', () => {
             // Don't allow pause menu if upgrade draft is showing
             if (isUpgradeDraftActive()) {
                 return; // Prevent escape key from interfering with upgrade selection
             }
+            // Replays have their own playback controls
+            if (replayPlayback) return;
+            // Playtests exit straight to the editor
+            if (roomPlaytest) {
+                k.go('roomEditor');
+                return;
+            }
+            // Observers can't pause the party's run - Escape stops watching instead
+            if (spectating && isMultiplayerActive()) {
+                cleanupMultiplayer();
+                gameState.currentFloor = 1;
+                gameState.currentRoom = 1;
+                gameState.playerStats = null;
+                k.go('menu');
+                return;
+            }
 
             // In multiplayer, only host changes pause state locally
             // Clients send request and wait for host response
@@ -5479,24 +6428,41 @@ export function setupGameScene(k) {
                     sendPauseRequest(!k.paused);
                 }
             } else {
-                // Single-player: change pause state directly
-                k.paused = !k.paused;
-                updatePauseUI(k.paused);
+                // Single-player: change pause state (recorded for replays)
+                requestPlayerAction('pause', k.paused ? 0 : 1);
             }
         }));
 
+        // Party chat and quick-chat pings (after the pause handler, so Escape closes the chat without pausing)
+        if (isMultiplayerActive() && !isLocalCoop && !dedicatedServer) {
+            k.onSceneLeave(initChatOverlay(k, {
+                x: 25,
+                bottomY: k.height() - 100,
+                width: 300,
+                // Enter confirms the quit dialog instead
+                canOpen: () => k.get('confirmDialog').length === 0
+            }));
+            if (!spectating) {
+                k.onSceneLeave(initQuickChatWheel(k, { getLocalPlayer: () => player }));
+            }
+        }
+
         // Auto-pause on window blur (solo mode only)
         const handleGameBlur = () => {
-            // Only auto-pause in solo mode
-            if (isMultiplayerActive()) return;
+            // Only auto-pause in solo mode (replays keep playing)
+            if (isMultiplayerActive() || replayPlayback) return;
             // Don't pause if already paused or upgrade draft is showing
             if (k.paused || isUpgradeDraftActive()) return;
 
-            k.paused = true;
-            updatePauseUI(true);
+            requestPlayerAction('pause', 1);
         };
         window.addEventListener('blur', handleGameBlur);
 
+        // Replay playback controls (pause, speed, room scrubbing)
+        if (replayPlayback) {
+            addReplayControls(k);
+        }
+
         // Clean up blur listener on scene leave
         k.onSceneLeave(() => {
             window.removeEventListener('blur', handleGameBlur);
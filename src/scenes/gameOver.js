@@ -10,15 +10,16 @@ import { ACHIEVEMENTS, ACHIEVEMENT_COLORS } from '../data/achievements.js';
 import { getRunUnlockedAchievements } from '../systems/achievementChecker.js';
 import { showAchievementModal, isAchievementModalOpen } from '../components/achievementModal.js';
 import { calculateScore, submitScore, formatScore } from '../systems/leaderboards.js';
+import { formatFloorDepth } from '../systems/endlessMode.js';
 import { getGlobalRank, submitOnlineScore, submitDailyScore } from '../systems/onlineLeaderboards.js';
 import { markDailyCompleted, getTodayDateString } from '../systems/dailyRuns.js';
 import { Analytics } from '../utils/analytics.js';
 import {
     UI_SIZES,
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_Z_LAYERS
 } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
 
 // Get enemy name from data files, with fallback to type key
 function getEnemyName(type) {
@@ -91,6 +92,7 @@ export function setupGameOverScene(k) {
         const leaderboardResult = submitScore({
             score: score,
             floor: runStats.floorsReached || 1,
+            loop: runStats.deepestLoop || 0,
             character: character,
             time: duration,
             isDaily: isDailyRun,
@@ -106,6 +108,7 @@ export function setupGameOverScene(k) {
             name: playerName,
             score: score,
             floor: runStats.floorsReached || 1,
+            loop: runStats.deepestLoop || 0,
             character: character,
             time: duration,
             date: runDate
@@ -165,20 +168,20 @@ export function setupGameOverScene(k) {
 
         // Title - secondary to the score below
         k.add([
-            k.text('BROADCAST TERMINATED', { size: 20 }),
+            k.text('BROADCAST TERMINATED', { size: scaleTextSize(UI_TEXT_SIZES.BUTTON) }),
             k.pos(k.width() / 2, headerY),
             k.anchor('center'),
-            k.color(...UI_COLORS.DANGER),
+            k.color(...getUIColors().DANGER),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL)
         ]);
 
         // Score display - dominant element, large and centered
         k.add([
-            k.text(`SCORE: ${formatScore(score)}`, { size: 28 }),
+            k.text(`SCORE: ${formatScore(score)}`, { size: scaleTextSize(UI_TEXT_SIZES.HEADER + 4) }),
             k.pos(k.width() / 2, headerY + 27),
             k.anchor('center'),
-            k.color(...UI_COLORS.GOLD),
+            k.color(...getUIColors().GOLD),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL)
         ]);
@@ -192,10 +195,10 @@ export function setupGameOverScene(k) {
         }
         if (bestAccentText) {
             k.add([
-                k.text(bestAccentText, { size: 16 }),
+                k.text(bestAccentText, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(k.width() / 2, headerY + 48),
                 k.anchor('center'),
-                k.color(...UI_COLORS.SUCCESS),
+                k.color(...getUIColors().SUCCESS),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL)
             ]);
@@ -203,10 +206,10 @@ export function setupGameOverScene(k) {
 
         // Run summary - compact horizontal
         k.add([
-            k.text(`Floor ${runStats.floorsReached} | ${runStats.roomsCleared} Rooms | ${runStats.enemiesKilled} Kills | ${Math.floor(duration)}s`, { size: 12 }),
+            k.text(`${formatFloorDepth(runStats.floorsReached || 1)} | ${runStats.roomsCleared} Rooms | ${runStats.enemiesKilled} Kills | ${Math.floor(duration)}s`, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
             k.pos(k.width() / 2, headerY + 62),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL)
         ]);
@@ -226,10 +229,10 @@ export function setupGameOverScene(k) {
 
         if (localRankText) {
             k.add([
-                k.text(localRankText, { size: 14 }),
+                k.text(localRankText, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                 k.pos(k.width() / 2 - 120, rankRowY),
                 k.anchor('center'),
-                k.color(...(leaderboardResult.isNewBest ? UI_COLORS.SUCCESS : UI_COLORS.TEXT_PRIMARY)),
+                k.color(...(leaderboardResult.isNewBest ? getUIColors().SUCCESS : getUIColors().TEXT_PRIMARY)),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL)
             ]);
@@ -237,10 +240,10 @@ export function setupGameOverScene(k) {
 
         // Global rank - fetched async
         const globalRankLabel = k.add([
-            k.text('Global: ...', { size: 14 }),
+            k.text('Global: ...', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2 + 120, rankRowY),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_DISABLED),
+            k.color(...getUIColors().TEXT_DISABLED),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL)
         ]);
@@ -251,7 +254,7 @@ export function setupGameOverScene(k) {
                 globalRankLabel.text = 'Global: offline';
             } else if (result.rank) {
                 globalRankLabel.text = `Global #${result.rank} of ${result.total}`;
-                globalRankLabel.color = k.rgb(...UI_COLORS.GOLD);
+                globalRankLabel.color = k.rgb(...getUIColors().GOLD);
             } else {
                 globalRankLabel.text = 'Global: unranked';
             }
@@ -343,7 +346,7 @@ export function setupGameOverScene(k) {
             const charColor = player.characterData?.color || [255, 255, 255];
 
             k.add([
-                k.text(charIcon, { size: 20 }),
+                k.text(charIcon, { size: scaleTextSize(UI_TEXT_SIZES.BUTTON) }),
                 k.pos(colX, currentY + 3),
                 k.anchor('center'),
                 k.color(...charColor),
@@ -355,10 +358,10 @@ export function setupGameOverScene(k) {
             const maxNameLen = numPlayers <= 2 ? 16 : (numPlayers === 3 ? 12 : 10);
             const displayName = (player.name || `P${idx + 1}`).substring(0, maxNameLen);
             k.add([
-                k.text(displayName, { size: 11 }),
+                k.text(displayName, { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
                 k.pos(colX, currentY + 20),
                 k.anchor('center'),
-                k.color(...UI_COLORS.GOLD),
+                k.color(...getUIColors().GOLD),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 1)
             ]);
@@ -367,18 +370,18 @@ export function setupGameOverScene(k) {
 
         // Data rows
         const rowData = [
-            { label: 'Kills', getValue: (p) => p.kills || 0, color: UI_COLORS.DANGER },
-            { label: 'Credits', getValue: (p) => p.creditsPickedUp || 0, color: UI_COLORS.GOLD },
+            { label: 'Kills', getValue: (p) => p.kills || 0, color: getUIColors().DANGER },
+            { label: 'Credits', getValue: (p) => p.creditsPickedUp || 0, color: getUIColors().GOLD },
             { label: 'Bosses', getValue: (p) => p.bossesKilled || 0, color: [255, 150, 50] }
         ];
 
         rowData.forEach(row => {
             // Row label
             k.add([
-                k.text(row.label, { size: 12 }),
+                k.text(row.label, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
                 k.pos(tableX + 10, currentY),
                 k.anchor('left'),
-                k.color(...UI_COLORS.TEXT_SECONDARY),
+                k.color(...getUIColors().TEXT_SECONDARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 1)
             ]);
@@ -389,7 +392,7 @@ export function setupGameOverScene(k) {
                 const value = row.getValue(player);
 
                 k.add([
-                    k.text(String(value), { size: 14 }),
+                    k.text(String(value), { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(colX, currentY),
                     k.anchor('center'),
                     k.color(...row.color),
@@ -403,10 +406,10 @@ export function setupGameOverScene(k) {
 
         // Awards row
         k.add([
-            k.text('Awards', { size: 12 }),
+            k.text('Awards', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
             k.pos(tableX + 10, currentY),
             k.anchor('left'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 1)
         ]);
@@ -462,7 +465,7 @@ export function setupGameOverScene(k) {
 
             // Award icon
             elements.push(k.add([
-                k.text(award.icon, { size: 28 }),
+                k.text(award.icon, { size: scaleTextSize(UI_TEXT_SIZES.HEADER + 4) }),
                 k.pos(modalX, modalY - 28),
                 k.anchor('center'),
                 k.color(...award.color),
@@ -472,7 +475,7 @@ export function setupGameOverScene(k) {
 
             // Award title
             elements.push(k.add([
-                k.text(award.title, { size: 16 }),
+                k.text(award.title, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(modalX, modalY),
                 k.anchor('center'),
                 k.color(255, 255, 255),
@@ -482,10 +485,10 @@ export function setupGameOverScene(k) {
 
             // Award description
             elements.push(k.add([
-                k.text(award.desc, { size: 11 }),
+                k.text(award.desc, { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
                 k.pos(modalX, modalY + 18),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_SECONDARY),
+                k.color(...getUIColors().TEXT_SECONDARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 101)
             ]));
@@ -493,7 +496,7 @@ export function setupGameOverScene(k) {
             // Player who earned it (if applicable)
             const earnedText = numPlayers > 1 ? `Earned by ${player.name}` : 'Earned this run';
             elements.push(k.add([
-                k.text(earnedText, { size: 10 }),
+                k.text(earnedText, { size: scaleTextSize(UI_TEXT_SIZES.TINY - 2) }),
                 k.pos(modalX, modalY + 34),
                 k.anchor('center'),
                 k.color(150, 150, 180),
@@ -534,7 +537,7 @@ export function setupGameOverScene(k) {
                     ]);
 
                     k.add([
-                        k.text(award.icon, { size: 12 }),
+                        k.text(award.icon, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
                         k.pos(awardX, currentY),
                         k.anchor('center'),
                         k.color(255, 220, 100),
@@ -550,10 +553,10 @@ export function setupGameOverScene(k) {
                 });
             } else {
                 k.add([
-                    k.text('-', { size: 14 }),
+                    k.text('-', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(colX, currentY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_DISABLED),
+                    k.color(...getUIColors().TEXT_DISABLED),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.MODAL + 1)
                 ]);
@@ -563,10 +566,10 @@ export function setupGameOverScene(k) {
 
         // Achievements row - clickable icons
         k.add([
-            k.text('Unlocks', { size: 12 }),
+            k.text('Unlocks', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
             k.pos(tableX + 10, currentY),
             k.anchor('left'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 1)
         ]);
@@ -605,7 +608,7 @@ export function setupGameOverScene(k) {
                     ]);
 
                     k.add([
-                        k.text(achievement.icon, { size: 12 }),
+                        k.text(achievement.icon, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
                         k.pos(achX, currentY),
                         k.anchor('center'),
                         k.color(255, 255, 255),
@@ -625,7 +628,7 @@ export function setupGameOverScene(k) {
                     const moreCount = playerAchievements.length - maxIcons;
                     const moreX = startX + maxIcons * (iconSize + iconSpacing);
                     k.add([
-                        k.text(`+${moreCount}`, { size: 10 }),
+                        k.text(`+${moreCount}`, { size: scaleTextSize(UI_TEXT_SIZES.TINY - 2) }),
                         k.pos(moreX, currentY),
                         k.anchor('left'),
                         k.color(200, 180, 100),
@@ -635,10 +638,10 @@ export function setupGameOverScene(k) {
                 }
             } else {
                 k.add([
-                    k.text('-', { size: 14 }),
+                    k.text('-', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(colX, currentY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_DISABLED),
+                    k.color(...getUIColors().TEXT_DISABLED),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.MODAL + 1)
                 ]);
@@ -673,7 +676,7 @@ export function setupGameOverScene(k) {
                 k.rect(bucketWidth - 10, bucketHeight),
                 k.pos(bucketX, bucketSectionY + bucketHeight / 2),
                 k.anchor('center'),
-                k.outline(3, k.rgb(...UI_COLORS.TEXT_DISABLED)),
+                k.outline(3, k.rgb(...getUIColors().TEXT_DISABLED)),
                 k.color(0, 0, 0),
                 k.opacity(0.5),
                 k.fixed(),
@@ -681,12 +684,12 @@ export function setupGameOverScene(k) {
             ]);
 
             // Currency label below bucket - larger for solo play
-            const labelSize = numPlayers === 1 ? 20 : 16;
+            const labelSize = scaleTextSize(numPlayers === 1 ? UI_TEXT_SIZES.BUTTON : UI_TEXT_SIZES.BODY);
             const currencyLabel = k.add([
                 k.text(`0 ${currencyName}`, { size: labelSize }),
                 k.pos(bucketX, bucketSectionY + bucketHeight + 16),
                 k.anchor('center'),
-                k.color(...UI_COLORS.GOLD),
+                k.color(...getUIColors().GOLD),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 10)
             ]);
@@ -731,7 +734,7 @@ export function setupGameOverScene(k) {
                     const icon = CURRENCY_ICONS[Math.floor(Math.random() * CURRENCY_ICONS.length)];
 
                     const particle = k.add([
-                        k.text(icon, { size: 14 }),
+                        k.text(icon, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                         k.pos(startX, startY),
                         k.anchor('center'),
                         k.color(255, 215, 0),
@@ -791,18 +794,18 @@ export function setupGameOverScene(k) {
 
         // Kill panel title
         k.add([
-            k.text('STAFF', { size: 14 }),
+            k.text('STAFF', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(killPanelX, killPanelY + 12),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 1)
         ]);
         k.add([
-            k.text('TERMINATED', { size: 14 }),
+            k.text('TERMINATED', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(killPanelX, killPanelY + 26),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 1)
         ]);
@@ -819,18 +822,18 @@ export function setupGameOverScene(k) {
 
         if (sortedKills.length === 0) {
             k.add([
-                k.text('No staff', { size: 12 }),
+                k.text('No staff', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
                 k.pos(killPanelX, killY + 10),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_DISABLED),
+                k.color(...getUIColors().TEXT_DISABLED),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 1)
             ]);
             k.add([
-                k.text('harmed', { size: 12 }),
+                k.text('harmed', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
                 k.pos(killPanelX, killY + 24),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_DISABLED),
+                k.color(...getUIColors().TEXT_DISABLED),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 1)
             ]);
@@ -844,7 +847,7 @@ export function setupGameOverScene(k) {
 
                 // Enemy icon
                 k.add([
-                    k.text(char, { size: 14 }),
+                    k.text(char, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(killPanelX - 70, killY),
                     k.anchor('center'),
                     k.color(...color),
@@ -856,20 +859,20 @@ export function setupGameOverScene(k) {
                 const name = getEnemyName(type);
                 const shortName = name.length > 14 ? name.substring(0, 12) + '..' : name;
                 k.add([
-                    k.text(shortName, { size: 10 }),
+                    k.text(shortName, { size: scaleTextSize(UI_TEXT_SIZES.TINY - 2) }),
                     k.pos(killPanelX - 50, killY),
                     k.anchor('left'),
-                    k.color(...UI_COLORS.TEXT_SECONDARY),
+                    k.color(...getUIColors().TEXT_SECONDARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.MODAL + 1)
                 ]);
 
                 // Count
                 k.add([
-                    k.text(`x${count}`, { size: 11 }),
+                    k.text(`x${count}`, { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
                     k.pos(killPanelX + 70, killY),
                     k.anchor('right'),
-                    k.color(...UI_COLORS.DANGER),
+                    k.color(...getUIColors().DANGER),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.MODAL + 1)
                 ]);
@@ -880,10 +883,10 @@ export function setupGameOverScene(k) {
             if (sortedKills.length > showCount) {
                 const remaining = sortedKills.slice(showCount).reduce((sum, [_, c]) => sum + c, 0);
                 k.add([
-                    k.text(`+${remaining} more`, { size: 10 }),
+                    k.text(`+${remaining} more`, { size: scaleTextSize(UI_TEXT_SIZES.TINY - 2) }),
                     k.pos(killPanelX, killY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_DISABLED),
+                    k.color(...getUIColors().TEXT_DISABLED),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.MODAL + 1)
                 ]);
@@ -898,21 +901,21 @@ export function setupGameOverScene(k) {
 
         // Team earnings (left side)
         k.add([
-            k.text(`+${totalTeamCredits} ${currencyName}`, { size: 16 }),
+            k.text(`+${totalTeamCredits} ${currencyName}`, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
             k.pos(k.width() / 2 - 100, footerY),
             k.anchor('center'),
-            k.color(...UI_COLORS.GOLD),
+            k.color(...getUIColors().GOLD),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL)
         ]);
 
         // XP earned (right side)
-        const xpColor = leveledUp ? UI_COLORS.SUCCESS : [150, 200, 255];
+        const xpColor = leveledUp ? getUIColors().SUCCESS : [150, 200, 255];
         const xpText = leveledUp
             ? `+${xpEarned} XP (LEVEL UP!)`
             : `+${xpEarned} XP`;
         k.add([
-            k.text(xpText, { size: 16 }),
+            k.text(xpText, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
             k.pos(k.width() / 2 + 100, footerY),
             k.anchor('center'),
             k.color(...xpColor),
@@ -927,10 +930,10 @@ export function setupGameOverScene(k) {
         const nextLevelXP = getXPForNextLevel();
 
         k.add([
-            k.text(`Level ${currentLevel}`, { size: 12 }),
+            k.text(`Level ${currentLevel}`, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
             k.pos(k.width() / 2, footerY + 18),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL)
         ]);
@@ -965,10 +968,10 @@ export function setupGameOverScene(k) {
 
         // XP numbers
         k.add([
-            k.text(`${currentXP} / ${nextLevelXP} XP`, { size: 10 }),
+            k.text(`${currentXP} / ${nextLevelXP} XP`, { size: scaleTextSize(UI_TEXT_SIZES.TINY - 2) }),
             k.pos(k.width() / 2, barY + 12),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL)
         ]);
@@ -997,8 +1000,8 @@ export function setupGameOverScene(k) {
             k.rect(playAgainWidth, playAgainHeight),
             k.pos(buttonsStartX + playAgainWidth / 2, buttonY),
             k.anchor('center'),
-            k.color(...(playAgainEnabled ? UI_COLORS.SUCCESS : UI_COLORS.BG_DISABLED)),
-            k.outline(2, k.rgb(...(playAgainEnabled ? UI_COLORS.BORDER : UI_COLORS.BG_DARK))),
+            k.color(...(playAgainEnabled ? getUIColors().SUCCESS : getUIColors().BG_DISABLED)),
+            k.outline(2, k.rgb(...(playAgainEnabled ? getUIColors().BORDER : getUIColors().BG_DARK))),
             k.area(),
             k.fixed(),
             k.scale(1),
@@ -1006,10 +1009,10 @@ export function setupGameOverScene(k) {
         ]);
 
         const playAgainLabel = k.add([
-            k.text(playAgainText, { size: UI_TEXT_SIZES.H2 }),
+            k.text(playAgainText, { size: scaleTextSize(UI_TEXT_SIZES.H2) }),
             k.pos(buttonsStartX + playAgainWidth / 2, buttonY),
             k.anchor('center'),
-            k.color(...(playAgainEnabled ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_DISABLED)),
+            k.color(...(playAgainEnabled ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_DISABLED)),
             k.fixed(),
             k.scale(1),
             k.z(UI_Z_LAYERS.MODAL + 1)
@@ -1020,8 +1023,8 @@ export function setupGameOverScene(k) {
             k.rect(menuWidth, menuHeight),
             k.pos(buttonsStartX + playAgainWidth + buttonGap + menuWidth / 2, buttonY),
             k.anchor('center'),
-            k.color(...UI_COLORS.NEUTRAL),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().NEUTRAL),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.scale(1),
@@ -1029,10 +1032,10 @@ export function setupGameOverScene(k) {
         ]);
 
         const menuLabel = k.add([
-            k.text('MENU', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('MENU', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(buttonsStartX + playAgainWidth + buttonGap + menuWidth / 2, buttonY),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.scale(1),
             k.z(UI_Z_LAYERS.MODAL + 1)
@@ -1041,24 +1044,24 @@ export function setupGameOverScene(k) {
         // Button hover effects
         if (playAgainEnabled) {
             playAgainBg.onHoverUpdate(() => {
-                playAgainBg.color = k.rgb(...(UI_COLORS.SUCCESS_HOVER || [80, 180, 80]));
+                playAgainBg.color = k.rgb(...(getUIColors().SUCCESS_HOVER || [80, 180, 80]));
                 playAgainBg.scale = k.vec2(1.02, 1.02);
                 playAgainLabel.scale = k.vec2(1.02, 1.02);
             });
             playAgainBg.onHoverEnd(() => {
-                playAgainBg.color = k.rgb(...UI_COLORS.SUCCESS);
+                playAgainBg.color = k.rgb(...getUIColors().SUCCESS);
                 playAgainBg.scale = k.vec2(1, 1);
                 playAgainLabel.scale = k.vec2(1, 1);
             });
         }
 
         menuBg.onHoverUpdate(() => {
-            menuBg.color = k.rgb(...UI_COLORS.NEUTRAL_HOVER);
+            menuBg.color = k.rgb(...getUIColors().NEUTRAL_HOVER);
             menuBg.scale = k.vec2(1.02, 1.02);
             menuLabel.scale = k.vec2(1.02, 1.02);
         });
         menuBg.onHoverEnd(() => {
-            menuBg.color = k.rgb(...UI_COLORS.NEUTRAL);
+            menuBg.color = k.rgb(...getUIColors().NEUTRAL);
             menuBg.scale = k.vec2(1, 1);
             menuLabel.scale = k.vec2(1, 1);
         });
@@ -1,16 +1,25 @@
 import { isValidInviteCode } from '../systems/nameGenerator.js';
-import { joinPartyAsClient, restoreLocalPlayerToSoloParty, getPlayerName, getInviteCode, getSelectedCharacter } from '../systems/partySystem.js';
+import { joinPartyAsClient, joinDedicatedServer, restoreLocalPlayerToSoloParty, getPlayerName, getInviteCode, getSelectedCharacter } from '../systems/partySystem.js';
 import { playMenuNav, playMenuSelect } from '../systems/sounds.js';
 import {
     UI_SIZES,
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_Z_LAYERS
 } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
+
+// Dedicated server addresses: host or IP, optional port (ws:// is assumed)
+const SERVER_ADDRESS_PATTERN = /^[a-zA-Z0-9.-]+(:\d{1,5})?$/;
+const SERVER_ADDRESS_MAX_LENGTH = 40;
+const DEFAULT_SERVER_PORT = 3020;
+
+// Last dedicated server joined this session (pre-filled when switching to server mode)
+let lastServerAddress = '';
 
 /**
  * Join Party Scene
- * Dedicated scene for entering a party invite code
+ * Dedicated scene for entering a party invite code, or (Tab) the address of a
+ * dedicated server on the local network
  */
 export function initJoinPartyScene(k) {
     k.scene('joinParty', () => {
@@ -26,27 +35,27 @@ export function initJoinPartyScene(k) {
         k.add([
             k.rect(k.width(), k.height()),
             k.pos(0, 0),
-            k.color(...UI_COLORS.BG_DARK),
+            k.color(...getUIColors().BG_DARK),
             k.fixed(),
             k.z(0)
         ]);
 
         // Title
         k.add([
-            k.text('Join Party', { size: UI_TEXT_SIZES.TITLE }),
+            k.text('Join Party', { size: scaleTextSize(UI_TEXT_SIZES.TITLE) }),
             k.pos(k.width() / 2, 100),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(10)
         ]);
 
         // Instruction
-        k.add([
-            k.text('Enter 6-digit invite code:', { size: UI_TEXT_SIZES.LABEL }),
+        const instruction = k.add([
+            k.text('Enter 6-digit invite code:', { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
             k.pos(k.width() / 2, 180),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(10)
         ]);
@@ -54,38 +63,70 @@ export function initJoinPartyScene(k) {
         // Input display
         let inputCode = '';
         const inputDisplay = k.add([
-            k.text('______', { size: UI_TEXT_SIZES.H1 }),
+            k.text('______', { size: scaleTextSize(UI_TEXT_SIZES.H1) }),
             k.pos(k.width() / 2, 280),
             k.anchor('center'),
-            k.color(...UI_COLORS.GOLD),
+            k.color(...getUIColors().GOLD),
             k.fixed(),
             k.z(10)
         ]);
 
         // Error/Status message
         const errorMsg = k.add([
-            k.text('', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2, 360),
             k.anchor('center'),
-            k.color(...UI_COLORS.ERROR),
+            k.color(...getUIColors().ERROR),
             k.fixed(),
             k.z(10)
         ]);
 
         // Instructions text
         k.add([
-            k.text('Press ESC or click Cancel to go back', { size: UI_TEXT_SIZES.TINY }),
+            k.text('Press TAB to join a LAN server by address · ESC or Cancel to go back', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
             k.pos(k.width() / 2, k.height() - 100),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_DISABLED),
+            k.color(...getUIColors().TEXT_DISABLED),
             k.fixed(),
             k.z(10)
         ]);
 
         let isJoining = false;
+        // 'code' (invite code) or 'server' (dedicated server address)
+        let mode = 'code';
+        let serverAddress = lastServerAddress;
+        // Watch the party's runs without taking a slot (a full party takes joiners as spectators anyway)
+        let spectate = false;
+
+        const spectateToggle = k.add([
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
+            k.pos(k.width() / 2, 410),
+            k.anchor('center'),
+            k.color(...getUIColors().TEXT_SECONDARY),
+            k.area(),
+            k.fixed(),
+            k.z(10)
+        ]);
+
+        function updateSpectateToggle() {
+            spectateToggle.text = `[${spectate ? 'x' : ' '}] Watch only (spectate without playing)`;
+            spectateToggle.color = spectate ? k.rgb(...getUIColors().GOLD) : k.rgb(...getUIColors().TEXT_SECONDARY);
+        }
+        updateSpectateToggle();
+
+        spectateToggle.onClick(() => {
+            if (isJoining) return;
+            playMenuNav();
+            spectate = !spectate;
+            updateSpectateToggle();
+        });
 
         // Update display
         function updateDisplay() {
+            if (mode === 'server') {
+                inputDisplay.text = `${serverAddress}_`;
+                return;
+            }
             let display = '';
             for (let i = 0; i < 6; i++) {
                 if (i < inputCode.length) {
@@ -97,10 +138,35 @@ export function initJoinPartyScene(k) {
             inputDisplay.text = display;
         }
 
+        function toggleMode() {
+            mode = mode === 'code' ? 'server' : 'code';
+            instruction.text = mode === 'code'
+                ? 'Enter 6-digit invite code:'
+                : `Enter server address (port ${DEFAULT_SERVER_PORT} if left out):`;
+            errorMsg.text = '';
+            updateDisplay();
+        }
+
+        k.onKeyPress('tab', () => {
+            if (isJoining) return;
+            playMenuNav();
+            toggleMode();
+        });
+
         // Character input handler
         k.onCharInput((ch) => {
             if (isJoining) return;
 
+            if (mode === 'server') {
+                if (/[a-zA-Z0-9.:-]/.test(ch) && serverAddress.length < SERVER_ADDRESS_MAX_LENGTH) {
+                    playMenuNav();
+                    serverAddress += ch;
+                    updateDisplay();
+                    errorMsg.text = '';
+                }
+                return;
+            }
+
             // Only accept alphanumeric characters
             if (/[a-zA-Z0-9]/.test(ch) && inputCode.length < 6) {
                 playMenuNav();
@@ -119,6 +185,16 @@ export function initJoinPartyScene(k) {
         k.onKeyPress('backspace', () => {
             if (isJoining) return;
 
+            if (mode === 'server') {
+                if (serverAddress.length > 0) {
+                    playMenuNav();
+                    serverAddress = serverAddress.slice(0, -1);
+                    updateDisplay();
+                    errorMsg.text = '';
+                }
+                return;
+            }
+
             if (inputCode.length > 0) {
                 playMenuNav();
                 inputCode = inputCode.slice(0, -1);
@@ -140,7 +216,7 @@ export function initJoinPartyScene(k) {
         // Enter key to submit
         k.onKeyPress('enter', () => {
             if (isJoining) return;
-            if (inputCode.length === 6) {
+            if (mode === 'server' || inputCode.length === 6) {
                 attemptJoin();
             }
         });
@@ -164,16 +240,23 @@ export function initJoinPartyScene(k) {
         async function attemptJoin() {
             if (isJoining) return;
 
+            const joiningServer = mode === 'server';
             const code = inputCode.trim();
 
-            if (!isValidInviteCode(code)) {
+            if (joiningServer && !SERVER_ADDRESS_PATTERN.test(serverAddress)) {
+                errorMsg.text = 'Enter an address like 192.168.1.20:3020';
+                errorMsg.color = k.rgb(...getUIColors().ERROR);
+                return;
+            }
+
+            if (!joiningServer && !isValidInviteCode(code)) {
                 errorMsg.text = 'Invalid invite code format';
-                errorMsg.color = k.rgb(...UI_COLORS.ERROR);
+                errorMsg.color = k.rgb(...getUIColors().ERROR);
                 return;
             }
 
             isJoining = true;
-            errorMsg.color = k.rgb(...UI_COLORS.GOLD);
+            errorMsg.color = k.rgb(...getUIColors().GOLD);
 
             // Animate the status so the screen doesn't look frozen while input is locked
             let dotCount = 1;
@@ -188,14 +271,23 @@ export function initJoinPartyScene(k) {
                 if (joinCancelled) return;
                 stopJoiningFeedback();
                 isJoining = false;
-                errorMsg.text = 'Could not reach host — check the code and try again';
-                errorMsg.color = k.rgb(...UI_COLORS.ERROR);
+                errorMsg.text = joiningServer
+                    ? 'Could not reach server — check the address and try again'
+                    : 'Could not reach host — check the code and try again';
+                errorMsg.color = k.rgb(...getUIColors().ERROR);
                 inputCode = '';
                 updateDisplay();
             });
 
             try {
-                const success = await joinPartyAsClient(code);
+                let success;
+                if (joiningServer) {
+                    lastServerAddress = serverAddress;
+                    const port = serverAddress.includes(':') ? '' : `:${DEFAULT_SERVER_PORT}`;
+                    success = await joinDedicatedServer(`ws://${serverAddress}${port}`, { spectate });
+                } else {
+                    success = await joinPartyAsClient(code, { spectate });
+                }
 
                 if (success) {
                     // Check if join was cancelled while waiting
@@ -206,7 +298,7 @@ export function initJoinPartyScene(k) {
                     stopJoiningFeedback();
                     playMenuSelect();
                     errorMsg.text = 'Successfully joined party!';
-                    errorMsg.color = k.rgb(...UI_COLORS.SUCCESS);
+                    errorMsg.color = k.rgb(...getUIColors().SUCCESS);
 
                     // Wait a moment then go to menu (now in party)
                     k.wait(1, () => {
@@ -217,8 +309,10 @@ export function initJoinPartyScene(k) {
                 } else {
                     stopJoiningFeedback();
                     isJoining = false;
-                    errorMsg.text = 'Failed to join party. Check the code and try again.';
-                    errorMsg.color = k.rgb(...UI_COLORS.ERROR);
+                    errorMsg.text = joiningServer
+                        ? 'Failed to join server. Check the address and try again.'
+                        : 'Failed to join party. Check the code and try again.';
+                    errorMsg.color = k.rgb(...getUIColors().ERROR);
                     inputCode = '';
                     updateDisplay();
                 }
@@ -227,7 +321,7 @@ export function initJoinPartyScene(k) {
                 isJoining = false;
                 console.error('[JoinParty] Error joining party:', error);
                 errorMsg.text = 'Connection error. Please try again.';
-                errorMsg.color = k.rgb(...UI_COLORS.ERROR);
+                errorMsg.color = k.rgb(...getUIColors().ERROR);
                 inputCode = '';
                 updateDisplay();
             }
@@ -245,18 +339,18 @@ export function initJoinPartyScene(k) {
             k.rect(MD.width, MD.height),
             k.pos(joinX, buttonY),
             k.anchor('center'),
-            k.color(...UI_COLORS.PRIMARY),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().PRIMARY),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(10)
         ]);
 
         k.add([
-            k.text('JOIN', { size: UI_TEXT_SIZES.BODY }),
+            k.text('JOIN', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
             k.pos(joinX, buttonY),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(11)
         ]);
@@ -267,12 +361,12 @@ export function initJoinPartyScene(k) {
 
         joinButton.onHoverUpdate(() => {
             if (!isJoining) {
-                joinButton.color = k.rgb(...UI_COLORS.PRIMARY_HOVER);
+                joinButton.color = k.rgb(...getUIColors().PRIMARY_HOVER);
             }
         });
 
         joinButton.onHoverEnd(() => {
-            joinButton.color = k.rgb(...UI_COLORS.PRIMARY);
+            joinButton.color = k.rgb(...getUIColors().PRIMARY);
         });
 
         // Cancel button (MD size - secondary action)
@@ -280,18 +374,18 @@ export function initJoinPartyScene(k) {
             k.rect(MD.width, MD.height),
             k.pos(cancelX, buttonY),
             k.anchor('center'),
-            k.color(...UI_COLORS.NEUTRAL),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().NEUTRAL),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(10)
         ]);
 
         const cancelText = k.add([
-            k.text('CANCEL', { size: UI_TEXT_SIZES.BODY }),
+            k.text('CANCEL', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
             k.pos(cancelX, buttonY),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(11)
         ]);
@@ -307,12 +401,12 @@ export function initJoinPartyScene(k) {
 
         cancelButton.onHoverUpdate(() => {
             if (!isJoining) {
-                cancelButton.color = k.rgb(...UI_COLORS.NEUTRAL_HOVER);
+                cancelButton.color = k.rgb(...getUIColors().NEUTRAL_HOVER);
             }
         });
 
         cancelButton.onHoverEnd(() => {
-            cancelButton.color = k.rgb(...UI_COLORS.NEUTRAL);
+            cancelButton.color = k.rgb(...getUIColors().NEUTRAL);
         });
     });
 }
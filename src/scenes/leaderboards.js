@@ -13,19 +13,21 @@ import {
     getAllTimeLeaderboard,
     getPersonalBests,
     formatScore,
-    formatTime
+    formatTime,
+    formatFloorReached
 } from '../systems/leaderboards.js';
 import { getOnlineLeaderboard } from '../systems/onlineLeaderboards.js';
 import { getPlayerName } from '../systems/metaProgression.js';
 import { getTodayDateString, getDailyCharacter } from '../systems/dailyRuns.js';
 import { CHARACTER_UNLOCKS } from '../data/unlocks.js';
 import { playMenuSelect, playMenuNav } from '../systems/sounds.js';
+import { createMenuNavigation } from '../systems/menuNavigation.js';
 import {
     UI_SIZES,
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_Z_LAYERS
 } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
 
 // Tab types
 const TABS = {
@@ -60,20 +62,30 @@ export function setupLeaderboardsScene(k) {
         k.add([
             k.rect(k.width(), k.height()),
             k.pos(0, 0),
-            k.color(...UI_COLORS.BG_DARK),
+            k.color(...getUIColors().BG_DARK),
             k.z(UI_Z_LAYERS.BACKGROUND)
         ]);
 
         // Title (use H1 for consistency with statistics/profile scenes)
         k.add([
-            k.text('LEADERBOARDS', { size: UI_TEXT_SIZES.H1 }),
+            k.text('LEADERBOARDS', { size: scaleTextSize(UI_TEXT_SIZES.H1) }),
             k.pos(k.width() / 2, 50),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
+        // Gamepad focus navigation: B leaves, LB/RB switch tab
+        const nav = createMenuNavigation(k, {
+            onBack: () => {
+                playMenuSelect();
+                k.go('menu');
+            },
+            onPrevTab: () => switchTab(-1),
+            onNextTab: () => switchTab(1)
+        });
+
         // Tab container
         const tabY = 100;
         const tabWidth = 115;
@@ -99,8 +111,8 @@ export function setupLeaderboardsScene(k) {
                 k.rect(tabWidth, 40),
                 k.pos(x, tabY),
                 k.anchor('center'),
-                k.color(...(isActive ? UI_COLORS.SECONDARY : UI_COLORS.BG_MEDIUM)),
-                k.outline(2, k.rgb(...(isActive ? UI_COLORS.BORDER_HOVER : UI_COLORS.BORDER))),
+                k.color(...(isActive ? getUIColors().SECONDARY : getUIColors().BG_MEDIUM)),
+                k.outline(2, k.rgb(...(isActive ? getUIColors().BORDER_HOVER : getUIColors().BORDER))),
                 k.area(),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS),
@@ -108,34 +120,26 @@ export function setupLeaderboardsScene(k) {
             ]);
 
             const label = k.add([
-                k.text(text, { size: UI_TEXT_SIZES.BODY }),
+                k.text(text, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(x, tabY),
                 k.anchor('center'),
-                k.color(...(isActive ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_TERTIARY)),
+                k.color(...(isActive ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_TERTIARY)),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT),
                 'tab'
             ]);
 
-            bg.onClick(() => {
-                if (currentTab !== tabType) {
-                    playMenuNav();
-                    currentTab = tabType;
-                    currentPage = 0; // Reset pagination when switching tabs
-                    refreshTabs();
-                    renderContent();
-                }
-            });
+            nav.onClick(bg, () => selectTab(tabType), { id: `tab-${tabType}` });
 
             bg.onHoverUpdate(() => {
                 if (currentTab !== tabType) {
-                    bg.color = k.rgb(...UI_COLORS.BG_LIGHT);
+                    bg.color = k.rgb(...getUIColors().BG_LIGHT);
                 }
             });
 
             bg.onHoverEnd(() => {
                 if (currentTab !== tabType) {
-                    bg.color = k.rgb(...UI_COLORS.BG_MEDIUM);
+                    bg.color = k.rgb(...getUIColors().BG_MEDIUM);
                 }
             });
 
@@ -157,6 +161,21 @@ export function setupLeaderboardsScene(k) {
             tabs = [tab1, tab2, tab3, tab4];
         }
 
+        function selectTab(tabType) {
+            if (currentTab !== tabType) {
+                playMenuNav();
+                currentTab = tabType;
+                currentPage = 0; // Reset pagination when switching tabs
+                refreshTabs();
+                renderContent();
+            }
+        }
+
+        function switchTab(step) {
+            const index = tabs.findIndex(tab => tab.tabType === currentTab);
+            selectTab(tabs[(index + step + tabs.length) % tabs.length].tabType);
+        }
+
         // Render content based on current tab
         function renderContent() {
             // Bump the render token so any in-flight async render bails out.
@@ -200,17 +219,17 @@ export function setupLeaderboardsScene(k) {
 
             // Date and character info
             const dateLabel = k.add([
-                k.text(`Date: ${today}`, { size: UI_TEXT_SIZES.BODY }),
+                k.text(`Date: ${today}`, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(k.width() / 2 - 100, contentY),
                 k.anchor('left'),
-                k.color(...UI_COLORS.TEXT_SECONDARY),
+                k.color(...getUIColors().TEXT_SECONDARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
             contentElements.push(dateLabel);
 
             const charLabel = k.add([
-                k.text(`Character: ${charData.char} ${charData.name}`, { size: UI_TEXT_SIZES.BODY }),
+                k.text(`Character: ${charData.char} ${charData.name}`, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(k.width() / 2 + 50, contentY),
                 k.anchor('left'),
                 k.color(...charData.color),
@@ -226,10 +245,10 @@ export function setupLeaderboardsScene(k) {
             // Entries
             if (allEntries.length === 0) {
                 const noData = k.add([
-                    k.text('No entries yet. Be the first!', { size: UI_TEXT_SIZES.BODY }),
+                    k.text('No entries yet. Be the first!', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                     k.pos(k.width() / 2, headerY + 60),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_DISABLED),
+                    k.color(...getUIColors().TEXT_DISABLED),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -271,10 +290,10 @@ export function setupLeaderboardsScene(k) {
             // Entries
             if (allEntries.length === 0) {
                 const noData = k.add([
-                    k.text('No entries yet. Play a game!', { size: UI_TEXT_SIZES.BODY }),
+                    k.text('No entries yet. Play a game!', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                     k.pos(k.width() / 2, headerY + 60),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_DISABLED),
+                    k.color(...getUIColors().TEXT_DISABLED),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -308,10 +327,10 @@ export function setupLeaderboardsScene(k) {
             const hasAnyBests = characters.some(charKey => personalBests[charKey]);
             if (!hasAnyBests) {
                 const emptyState = k.add([
-                    k.text('No personal bests yet — play a run!', { size: UI_TEXT_SIZES.BODY }),
+                    k.text('No personal bests yet — play a run!', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                     k.pos(k.width() / 2, contentY + 80),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_DISABLED),
+                    k.color(...getUIColors().TEXT_DISABLED),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -335,10 +354,10 @@ export function setupLeaderboardsScene(k) {
 
             headers.forEach((header, i) => {
                 const headerText = k.add([
-                    k.text(header, { size: UI_TEXT_SIZES.SMALL }),
+                    k.text(header, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(colPositions[i], headerY),
                     k.anchor('left'),
-                    k.color(...UI_COLORS.TEXT_SECONDARY),
+                    k.color(...getUIColors().TEXT_SECONDARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -350,7 +369,7 @@ export function setupLeaderboardsScene(k) {
                 k.rect(500, 2),
                 k.pos(k.width() / 2, headerY + 20),
                 k.anchor('center'),
-                k.color(...UI_COLORS.BORDER),
+                k.color(...getUIColors().BORDER),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS)
             ]);
@@ -364,7 +383,7 @@ export function setupLeaderboardsScene(k) {
 
                 // Character icon and name
                 const charIcon = k.add([
-                    k.text(`${charData.char} ${charData.name}`, { size: UI_TEXT_SIZES.BODY }),
+                    k.text(`${charData.char} ${charData.name}`, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                     k.pos(colPositions[0], rowY),
                     k.anchor('left'),
                     k.color(...charData.color),
@@ -376,10 +395,10 @@ export function setupLeaderboardsScene(k) {
                 if (bests) {
                     // Best score
                     const scoreText = k.add([
-                        k.text(formatScore(bests.bestScore), { size: UI_TEXT_SIZES.BODY }),
+                        k.text(formatScore(bests.bestScore), { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                         k.pos(colPositions[1], rowY),
                         k.anchor('left'),
-                        k.color(...UI_COLORS.TEXT_PRIMARY),
+                        k.color(...getUIColors().TEXT_PRIMARY),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
@@ -387,10 +406,10 @@ export function setupLeaderboardsScene(k) {
 
                     // Best floor
                     const floorText = k.add([
-                        k.text(`Floor ${bests.bestFloor}`, { size: UI_TEXT_SIZES.BODY }),
+                        k.text(`Floor ${formatFloorReached(bests.bestFloor, bests.deepestLoop)}`, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                         k.pos(colPositions[2], rowY),
                         k.anchor('left'),
-                        k.color(...UI_COLORS.TEXT_PRIMARY),
+                        k.color(...getUIColors().TEXT_PRIMARY),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
@@ -398,10 +417,10 @@ export function setupLeaderboardsScene(k) {
 
                     // Best time
                     const timeText = k.add([
-                        k.text(formatTime(bests.bestTime), { size: UI_TEXT_SIZES.BODY }),
+                        k.text(formatTime(bests.bestTime), { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                         k.pos(colPositions[3], rowY),
                         k.anchor('left'),
-                        k.color(...UI_COLORS.TEXT_PRIMARY),
+                        k.color(...getUIColors().TEXT_PRIMARY),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
@@ -409,10 +428,10 @@ export function setupLeaderboardsScene(k) {
                 } else {
                     // No data
                     const noData = k.add([
-                        k.text('-- no data --', { size: UI_TEXT_SIZES.SMALL }),
+                        k.text('-- no data --', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                         k.pos(colPositions[1], rowY),
                         k.anchor('left'),
-                        k.color(...UI_COLORS.TEXT_DISABLED),
+                        k.color(...getUIColors().TEXT_DISABLED),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
@@ -438,10 +457,10 @@ export function setupLeaderboardsScene(k) {
 
             // Show loading state initially
             const loadingText = k.add([
-                k.text('Connecting to global leaderboard...', { size: UI_TEXT_SIZES.BODY }),
+                k.text('Connecting to global leaderboard...', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(k.width() / 2, headerY + 100),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_SECONDARY),
+                k.color(...getUIColors().TEXT_SECONDARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
@@ -472,10 +491,10 @@ export function setupLeaderboardsScene(k) {
                 if (result.error) {
                     // Error state
                     const errorText = k.add([
-                        k.text(result.error, { size: UI_TEXT_SIZES.BODY }),
+                        k.text(result.error, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                         k.pos(k.width() / 2, headerY + 80),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.DANGER),
+                        k.color(...getUIColors().DANGER),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
@@ -486,8 +505,8 @@ export function setupLeaderboardsScene(k) {
                         k.rect(120, 35),
                         k.pos(k.width() / 2, headerY + 130),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.SECONDARY),
-                        k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+                        k.color(...getUIColors().SECONDARY),
+                        k.outline(2, k.rgb(...getUIColors().BORDER)),
                         k.area(),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_ELEMENTS)
@@ -495,26 +514,26 @@ export function setupLeaderboardsScene(k) {
                     contentElements.push(retryBg);
 
                     const retryLabel = k.add([
-                        k.text('Try Again', { size: UI_TEXT_SIZES.SMALL }),
+                        k.text('Try Again', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                         k.pos(k.width() / 2, headerY + 130),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.TEXT_PRIMARY),
+                        k.color(...getUIColors().TEXT_PRIMARY),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
                     contentElements.push(retryLabel);
 
-                    retryBg.onClick(() => {
+                    nav.onClick(retryBg, () => {
                         playMenuNav();
                         renderContent();
-                    });
+                    }, { id: 'retry' });
 
                     retryBg.onHoverUpdate(() => {
-                        retryBg.color = k.rgb(...UI_COLORS.SECONDARY_HOVER);
+                        retryBg.color = k.rgb(...getUIColors().SECONDARY_HOVER);
                     });
 
                     retryBg.onHoverEnd(() => {
-                        retryBg.color = k.rgb(...UI_COLORS.SECONDARY);
+                        retryBg.color = k.rgb(...getUIColors().SECONDARY);
                     });
 
                     return;
@@ -529,10 +548,10 @@ export function setupLeaderboardsScene(k) {
                 // Entries (top 10)
                 if (topEntries.length === 0) {
                     const noData = k.add([
-                        k.text('No global entries yet. Be the first!', { size: UI_TEXT_SIZES.BODY }),
+                        k.text('No global entries yet. Be the first!', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                         k.pos(k.width() / 2, headerY + 60),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.TEXT_DISABLED),
+                        k.color(...getUIColors().TEXT_DISABLED),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
@@ -567,10 +586,10 @@ export function setupLeaderboardsScene(k) {
                     const baseTotalY = hasYouRow ? bottomBaseY + ROW_HEIGHT + 14 : bottomBaseY + 20;
                     const totalY = Math.min(baseTotalY, viewportBottom - 10);
                     const totalText = k.add([
-                        k.text(`${result.totalCount} player${result.totalCount !== 1 ? 's' : ''} worldwide`, { size: UI_TEXT_SIZES.SMALL }),
+                        k.text(`${result.totalCount} player${result.totalCount !== 1 ? 's' : ''} worldwide`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                         k.pos(k.width() / 2, totalY),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.TEXT_SECONDARY),
+                        k.color(...getUIColors().TEXT_SECONDARY),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
@@ -618,13 +637,13 @@ export function setupLeaderboardsScene(k) {
                 ]);
 
                 const pageIndex = i;
-                pipBg.onClick(() => {
+                nav.onClick(pipBg, () => {
                     if (pageIndex !== currentPage) {
                         playMenuNav();
                         currentPage = pageIndex;
                         renderContent();
                     }
-                });
+                }, { id: `page-${pageIndex}` });
                 pipBg.cursor = 'pointer';
 
                 contentElements.push(pipBg, pipText);
@@ -652,11 +671,11 @@ export function setupLeaderboardsScene(k) {
             ]);
 
             if (currentPage > 0) {
-                leftArrowBg.onClick(() => {
+                nav.onClick(leftArrowBg, () => {
                     playMenuNav();
                     currentPage--;
                     renderContent();
-                });
+                }, { id: 'prevPage' });
                 leftArrowBg.cursor = 'pointer';
             }
             contentElements.push(leftArrowBg, leftArrowText);
@@ -683,11 +702,11 @@ export function setupLeaderboardsScene(k) {
             ]);
 
             if (currentPage < totalPages - 1) {
-                rightArrowBg.onClick(() => {
+                nav.onClick(rightArrowBg, () => {
                     playMenuNav();
                     currentPage++;
                     renderContent();
-                });
+                }, { id: 'nextPage' });
                 rightArrowBg.cursor = 'pointer';
             }
             contentElements.push(rightArrowBg, rightArrowText);
@@ -703,10 +722,10 @@ export function setupLeaderboardsScene(k) {
                 // so their header lines up with the right-aligned digits below.
                 const anchor = i === 0 ? 'center' : (i >= 2 ? 'right' : 'left');
                 const headerText = k.add([
-                    k.text(header, { size: UI_TEXT_SIZES.SMALL }),
+                    k.text(header, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(colPositions[i], y),
                     k.anchor(anchor),
-                    k.color(...UI_COLORS.TEXT_SECONDARY),
+                    k.color(...getUIColors().TEXT_SECONDARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -718,7 +737,7 @@ export function setupLeaderboardsScene(k) {
                 k.rect(550, 2),
                 k.pos(k.width() / 2, y + 20),
                 k.anchor('center'),
-                k.color(...UI_COLORS.BORDER),
+                k.color(...getUIColors().BORDER),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS)
             ]);
@@ -728,12 +747,12 @@ export function setupLeaderboardsScene(k) {
         // Render leaderboard row
         function renderLeaderboardRow(rank, entry, y, isHighlighted = false) {
             const colPositions = LEADERBOARD_COLS;
-            const color = isHighlighted ? UI_COLORS.GOLD : UI_COLORS.TEXT_PRIMARY;
+            const color = isHighlighted ? getUIColors().GOLD : getUIColors().TEXT_PRIMARY;
             const charData = CHARACTER_UNLOCKS[entry.character] || CHARACTER_UNLOCKS.survivor;
 
             // Rank
             const rankText = k.add([
-                k.text(rank <= 3 ? ['', '1st', '2nd', '3rd'][rank] : `${rank}`, { size: UI_TEXT_SIZES.BODY }),
+                k.text(rank <= 3 ? ['', '1st', '2nd', '3rd'][rank] : `${rank}`, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(colPositions[0], y),
                 k.anchor('center'),
                 k.color(...(rank === 1 ? [255, 215, 0] : rank === 2 ? [192, 192, 192] : rank === 3 ? [205, 127, 50] : color)),
@@ -744,7 +763,7 @@ export function setupLeaderboardsScene(k) {
 
             // Name with character icon
             const nameText = k.add([
-                k.text(`${charData.char} ${entry.name}`, { size: UI_TEXT_SIZES.BODY }),
+                k.text(`${charData.char} ${entry.name}`, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(colPositions[1], y),
                 k.anchor('left'),
                 k.color(...color),
@@ -755,7 +774,7 @@ export function setupLeaderboardsScene(k) {
 
             // Score (right-anchored so digits align down the column)
             const scoreText = k.add([
-                k.text(formatScore(entry.score), { size: UI_TEXT_SIZES.BODY }),
+                k.text(formatScore(entry.score), { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(colPositions[2], y),
                 k.anchor('right'),
                 k.color(...color),
@@ -766,7 +785,7 @@ export function setupLeaderboardsScene(k) {
 
             // Floor (right-anchored so digits align down the column)
             const floorText = k.add([
-                k.text(`${entry.floor}`, { size: UI_TEXT_SIZES.BODY }),
+                k.text(formatFloorReached(entry.floor, entry.loop), { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(colPositions[3], y),
                 k.anchor('right'),
                 k.color(...color),
@@ -777,7 +796,7 @@ export function setupLeaderboardsScene(k) {
 
             // Time (right-anchored so digits align down the column)
             const timeText = k.add([
-                k.text(formatTime(entry.time), { size: UI_TEXT_SIZES.BODY }),
+                k.text(formatTime(entry.time), { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(colPositions[4], y),
                 k.anchor('right'),
                 k.color(...color),
@@ -794,9 +813,9 @@ export function setupLeaderboardsScene(k) {
                     k.rect(bandWidth, 30),
                     k.pos(k.width() / 2, y),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.GOLD),
+                    k.color(...getUIColors().GOLD),
                     k.opacity(0.22),
-                    k.outline(2, k.rgb(...UI_COLORS.GOLD)),
+                    k.outline(2, k.rgb(...getUIColors().GOLD)),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_BACKGROUND + 1)
                 ]);
@@ -804,10 +823,10 @@ export function setupLeaderboardsScene(k) {
 
                 // 'YOU' marker just left of the highlight band
                 const youMarker = k.add([
-                    k.text('YOU', { size: UI_TEXT_SIZES.TINY }),
+                    k.text('YOU', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
                     k.pos(k.width() / 2 - bandWidth / 2 - 6, y),
                     k.anchor('right'),
-                    k.color(...UI_COLORS.GOLD),
+                    k.color(...getUIColors().GOLD),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -821,33 +840,33 @@ export function setupLeaderboardsScene(k) {
             k.rect(SM.width, SM.height),
             k.pos(k.width() / 2, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.NEUTRAL),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().NEUTRAL),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_ELEMENTS)
         ]);
 
         k.add([
-            k.text('BACK', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('BACK', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
-        backButton.onClick(() => {
+        nav.onClick(backButton, () => {
             playMenuSelect();
             k.go('menu');
         });
 
         backButton.onHoverUpdate(() => {
-            backButton.color = k.rgb(...UI_COLORS.SECONDARY_HOVER);
+            backButton.color = k.rgb(...getUIColors().SECONDARY_HOVER);
         });
 
         backButton.onHoverEnd(() => {
-            backButton.color = k.rgb(...UI_COLORS.SECONDARY);
+            backButton.color = k.rgb(...getUIColors().SECONDARY);
         });
 
         // Keyboard shortcuts
@@ -0,0 +1,344 @@
+import { CHARACTER_UNLOCKS } from '../data/unlocks.js';
+import { isUnlocked } from '../systems/metaProgression.js';
+import {
+    getParty,
+    getPartySize,
+    addLocalCoopPlayer,
+    removePlayerFromParty,
+    setLocalCoopCharacter,
+    setLocalInputDevice,
+    hasLocalCoopPlayers,
+    clearLocalCoopPlayers
+} from '../systems/partySystem.js';
+import {
+    getKeyboardHalf,
+    GAMEPAD_LOBBY_BUTTONS,
+    gamepadDevice,
+    isSameDevice,
+    getDeviceLabel,
+    getGamepadLobbyButton,
+    getKeyboardLobbyInput
+} from '../systems/localCoop.js';
+import { formatBindingName } from '../systems/keyBindings.js';
+import { playMenuNav, playMenuSelect } from '../systems/sounds.js';
+import {
+    UI_SIZES,
+    UI_TEXT_SIZES,
+    UI_Z_LAYERS
+} from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
+
+/**
+ * Local Co-op Scene
+ * Couch co-op lobby: each player presses the join button on their own gamepad or
+ * keyboard half. Player 1 is the local profile; guests fill the other party slots.
+ */
+export function setupLocalCoopScene(k) {
+    k.scene('localCoop', () => {
+        const party = getParty();
+        // Guests can't share a session with online players (see partySystem.js join_request)
+        const inOnlineParty = !party.isHost || party.slots.some(slot => slot.peerId);
+
+        // Background
+        k.add([
+            k.rect(k.width(), k.height()),
+            k.pos(0, 0),
+            k.color(...getUIColors().BG_DARK),
+            k.fixed(),
+            k.z(0)
+        ]);
+
+        // Title
+        k.add([
+            k.text('COUCH CO-OP', { size: scaleTextSize(UI_TEXT_SIZES.TITLE) }),
+            k.pos(k.width() / 2, 60),
+            k.anchor('center'),
+            k.color(...getUIColors().TEXT_PRIMARY),
+            k.fixed(),
+            k.z(10)
+        ]);
+
+        k.add([
+            k.text('2-4 players, one screen. Press the join button on your own gamepad or keyboard half.', {
+                size: scaleTextSize(UI_TEXT_SIZES.SMALL),
+                width: k.width() - 80,
+                align: 'center'
+            }),
+            k.pos(k.width() / 2, 105),
+            k.anchor('center'),
+            k.color(...getUIColors().TEXT_SECONDARY),
+            k.fixed(),
+            k.z(10)
+        ]);
+
+        // Controls legend (one line per kind of device)
+        // (keyboard halves follow the move bindings, see localCoop.js)
+        const halfLegend = (keys) => `${keys.label}: ${formatBindingName(keys.action)} join · ${formatBindingName(keys.left || '-')}/${formatBindingName(keys.right || '-')} character · ${formatBindingName(keys.back)} leave`;
+        const legend = [
+            `Gamepad: ${formatBindingName(GAMEPAD_LOBBY_BUTTONS.action)} join · D-pad character · ${formatBindingName(GAMEPAD_LOBBY_BUTTONS.back)} leave`,
+            halfLegend(getKeyboardHalf('left')),
+            halfLegend(getKeyboardHalf('right')),
+            'In game: right stick aims, keyboards auto-aim. The join button uses your ability.'
+        ];
+        legend.forEach((line, index) => {
+            k.add([
+                k.text(line, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+                k.pos(k.width() / 2, 390 + index * 18),
+                k.anchor('center'),
+                k.color(...getUIColors().TEXT_DISABLED),
+                k.fixed(),
+                k.z(10)
+            ]);
+        });
+
+        // Status line (what the party is waiting for)
+        const statusText = k.add([
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
+            k.pos(k.width() / 2, 475),
+            k.anchor('center'),
+            k.color(...getUIColors().GOLD),
+            k.fixed(),
+            k.z(10)
+        ]);
+        let statusMessage = null; // Transient message (e.g. party full), shown until the next change
+
+        // Characters guests can pick from
+        const unlockedCharacters = Object.keys(CHARACTER_UNLOCKS).filter(key =>
+            isUnlocked('characters', key) || CHARACTER_UNLOCKS[key].unlockedByDefault
+        );
+
+        function findDeviceSlot(device) {
+            const index = party.slots.findIndex(slot => slot.playerId !== null && isSameDevice(slot.inputDevice, device));
+            return index >= 0 ? index : null;
+        }
+
+        function canStart() {
+            return !!party.slots[0].inputDevice && getPartySize() >= 2;
+        }
+
+        // Label for a device's action button in prompts (e.g. "A", "F", "ENTER")
+        function actionLabel(device) {
+            if (device.type === 'gamepad') return formatBindingName(GAMEPAD_LOBBY_BUTTONS.action);
+            return formatBindingName(getKeyboardHalf(device.half).action);
+        }
+
+        function joinLobby(device) {
+            // Player 1 (the profile) takes the first device to join
+            if (!party.slots[0].inputDevice) {
+                setLocalInputDevice(device);
+                playMenuSelect();
+                return;
+            }
+
+            // Default to a character nobody has picked yet
+            const taken = party.slots.map(slot => slot.selectedCharacter);
+            const character = unlockedCharacters.find(key => !taken.includes(key)) || unlockedCharacters[0] || 'survivor';
+            if (addLocalCoopPlayer(character, device) === null) {
+                statusMessage = 'Party is full';
+                playMenuNav();
+                return;
+            }
+            playMenuSelect();
+        }
+
+        function cycleCharacter(slotIndex, step) {
+            if (unlockedCharacters.length === 0) return;
+            const current = unlockedCharacters.indexOf(party.slots[slotIndex].selectedCharacter);
+            const next = (current + step + unlockedCharacters.length) % unlockedCharacters.length;
+            setLocalCoopCharacter(slotIndex, unlockedCharacters[next]);
+            playMenuNav();
+        }
+
+        function startGame() {
+            if (!canStart()) return;
+            playMenuSelect();
+            k.go('game', { resetState: true });
+        }
+
+        function leaveLobby() {
+            // Guests stay in the party (shown on the menu) until they leave here;
+            // with nobody else joined, Player 1 goes back to keyboard and mouse
+            if (!hasLocalCoopPlayers()) {
+                clearLocalCoopPlayers();
+            }
+            playMenuNav();
+            k.go('menu');
+        }
+
+        function handleLobbyInput(device, button) {
+            if (!button) return;
+            statusMessage = null;
+
+            if (inOnlineParty) {
+                if (button === 'back') leaveLobby();
+                return;
+            }
+
+            const slotIndex = findDeviceSlot(device);
+            if (slotIndex === null) {
+                if (button === 'action') joinLobby(device);
+            } else if (slotIndex === 0) {
+                // Player 1 starts the run or backs out to the menu
+                if (button === 'action') startGame();
+                if (button === 'back') {
+                    leaveLobby();
+                    return;
+                }
+            } else if (button === 'back') {
+                removePlayerFromParty(slotIndex);
+                playMenuNav();
+            } else if (button === 'left' || button === 'right') {
+                cycleCharacter(slotIndex, button === 'left' ? -1 : 1);
+            }
+            updateSlots();
+        }
+
+        // Player cards
+        const cardCount = party.maxSlots;
+        const cardGap = 16;
+        const cardWidth = (k.width() - 80 - cardGap * (cardCount - 1)) / cardCount;
+        const cardHeight = 200;
+        const cardY = 145;
+
+        function addCardText(text, x, y, size, color) {
+            return k.add([
+                k.text(text, { size, width: cardWidth - 12, align: 'center' }),
+                k.pos(x, y),
+                k.anchor('center'),
+                k.color(...color),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT),
+                'coopSlotUI'
+            ]);
+        }
+
+        function updateSlots() {
+            k.get('coopSlotUI').forEach(el => k.destroy(el));
+
+            party.slots.forEach((slot, index) => {
+                const x = 40 + index * (cardWidth + cardGap);
+                const centerX = x + cardWidth / 2;
+                // Player 1 isn't joined until they've picked a device
+                const joined = slot.playerId !== null && (index > 0 || !!slot.inputDevice);
+
+                k.add([
+                    k.rect(cardWidth, cardHeight),
+                    k.pos(x, cardY),
+                    k.color(...(joined ? getUIColors().BG_LIGHT : getUIColors().BG_MEDIUM)),
+                    k.outline(2, k.rgb(...(joined ? getUIColors().GOLD : getUIColors().BORDER))),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_BACKGROUND),
+                    'coopSlotUI'
+                ]);
+
+                addCardText(`P${index + 1}`, centerX, cardY + 18, scaleTextSize(UI_TEXT_SIZES.H2), joined ? getUIColors().GOLD : getUIColors().TEXT_DISABLED);
+
+                if (!joined) {
+                    addCardText(slot.playerId !== null ? 'Online player' : 'Press join', centerX, cardY + cardHeight / 2, scaleTextSize(UI_TEXT_SIZES.SMALL), getUIColors().TEXT_DISABLED);
+                    return;
+                }
+
+                const character = CHARACTER_UNLOCKS[slot.selectedCharacter] || CHARACTER_UNLOCKS.survivor;
+                addCardText(character.char, centerX, cardY + 75, 40, character.color);
+                // Guests pick their character here; Player 1 uses the Contestants screen
+                addCardText(index > 0 ? `◀ ${character.name} ▶` : character.name, centerX, cardY + 115, scaleTextSize(UI_TEXT_SIZES.SMALL), getUIColors().TEXT_PRIMARY);
+                addCardText(slot.playerName || `Player ${index + 1}`, centerX, cardY + 145, scaleTextSize(UI_TEXT_SIZES.SMALL) - 2, getUIColors().TEXT_SECONDARY);
+                addCardText(getDeviceLabel(slot.inputDevice), centerX, cardY + 175, scaleTextSize(UI_TEXT_SIZES.TINY), getUIColors().TEXT_DISABLED);
+            });
+
+            // Status line
+            if (inOnlineParty) {
+                statusText.text = 'Leave your online party to play couch co-op';
+                statusText.color = k.rgb(...getUIColors().ERROR);
+            } else if (statusMessage) {
+                statusText.text = statusMessage;
+                statusText.color = k.rgb(...getUIColors().WARNING);
+            } else if (!party.slots[0].inputDevice) {
+                statusText.text = 'Player 1: press join';
+                statusText.color = k.rgb(...getUIColors().GOLD);
+            } else if (!canStart()) {
+                statusText.text = 'Waiting for Player 2...';
+                statusText.color = k.rgb(...getUIColors().TEXT_SECONDARY);
+            } else {
+                statusText.text = `Player 1: press ${actionLabel(party.slots[0].inputDevice)} to start`;
+                statusText.color = k.rgb(...getUIColors().SUCCESS);
+            }
+            startButton.color = k.rgb(...(canStart() ? getUIColors().PRIMARY : getUIColors().BG_DISABLED));
+        }
+
+        // Action buttons (MD size) - START beside BACK, for mouse users
+        const { MD } = UI_SIZES.BUTTON;
+        const buttonY = k.height() - 60;
+        const buttonGap = 20;
+        const startX = k.width() / 2 - (MD.width / 2 + buttonGap / 2);
+        const backX = k.width() / 2 + (MD.width / 2 + buttonGap / 2);
+
+        const startButton = k.add([
+            k.rect(MD.width, MD.height),
+            k.pos(startX, buttonY),
+            k.anchor('center'),
+            k.color(...getUIColors().BG_DISABLED),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
+            k.area(),
+            k.fixed(),
+            k.z(10)
+        ]);
+
+        k.add([
+            k.text('START', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
+            k.pos(startX, buttonY),
+            k.anchor('center'),
+            k.color(...getUIColors().TEXT_PRIMARY),
+            k.fixed(),
+            k.z(11)
+        ]);
+
+        startButton.onClick(startGame);
+
+        const backButton = k.add([
+            k.rect(MD.width, MD.height),
+            k.pos(backX, buttonY),
+            k.anchor('center'),
+            k.color(...getUIColors().NEUTRAL),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
+            k.area(),
+            k.fixed(),
+            k.z(10)
+        ]);
+
+        k.add([
+            k.text('BACK', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
+            k.pos(backX, buttonY),
+            k.anchor('center'),
+            k.color(...getUIColors().TEXT_SECONDARY),
+            k.fixed(),
+            k.z(11)
+        ]);
+
+        backButton.onClick(leaveLobby);
+
+        backButton.onHoverUpdate(() => {
+            backButton.color = k.rgb(...getUIColors().NEUTRAL_HOVER);
+        });
+
+        backButton.onHoverEnd(() => {
+            backButton.color = k.rgb(...getUIColors().NEUTRAL);
+        });
+
+        // Every gamepad and both keyboard halves are read separately
+        k.onGamepadButtonPress((button, gamepad) => {
+            handleLobbyInput(gamepadDevice(gamepad.index), getGamepadLobbyButton(button));
+        });
+
+        k.onKeyPress((key) => {
+            if (key === 'escape') {
+                leaveLobby();
+                return;
+            }
+            const input = getKeyboardLobbyInput(key);
+            if (input) handleLobbyInput(input.device, input.button);
+        });
+
+        updateSlots();
+    });
+}
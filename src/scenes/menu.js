@@ -1,22 +1,26 @@
 // Main menu scene
 import { getCurrency, getCurrencyName, getPlayerName, getSelectedCharacter, isUnlocked, addCurrency, getPlayerLevel, getXPProgress, getTotalXP, getXPForNextLevel, getSelectedPortrait } from '../systems/metaProgression.js';
 import { PORTRAITS, getPortraitById } from '../data/portraits.js';
-import { initParty, getPartyDisplayInfo, isMultiplayerAvailable, broadcastGameStart, getPartySize, getDisplayInviteCode, getParty, toggleReady, isLocalPlayerReady, getCountdownState, areAllPlayersReady, broadcastPartyEmote, onPartyEmote, offPartyEmote, getActiveEmote, requestPlayerProfile } from '../systems/partySystem.js';
+import { initParty, getPartyDisplayInfo, isMultiplayerAvailable, broadcastGameStart, getPartySize, getDisplayInviteCode, getParty, toggleReady, isLocalPlayerReady, getCountdownState, areAllPlayersReady, broadcastPartyEmote, onPartyEmote, offPartyEmote, getActiveEmote, requestPlayerProfile, hasLocalCoopPlayers, isSpectator, getSpectatorCount } from '../systems/partySystem.js';
 import { startMatchmaking, stopMatchmaking, isMatchmaking, isFirebaseConfigured, setupGlobalMatchHandler } from '../systems/matchmakingSystem.js';
 import { initAudio, resumeAudioContext, playMenuSelect, playMenuNav, playMenuMusic, setMusicVolume, setMasterVolume, setSfxVolume, setUiSoundsEnabled, setCombatSoundsEnabled } from '../systems/sounds.js';
 import { getSettings } from '../systems/settings.js';
+import { createMenuNavigation } from '../systems/menuNavigation.js';
+import { isKeyboardCaptured } from '../systems/keyBindings.js';
+import { initChatOverlay } from '../systems/chatOverlay.js';
 import { CHARACTER_UNLOCKS } from '../data/unlocks.js';
 import { getDailyRunInfo, hasCompletedDailyToday, getTodayDailyCharacter } from '../systems/dailyRuns.js';
 import {
     UI_SIZES,
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_SPACING,
     UI_BUTTON,
     UI_Z_LAYERS,
     formatButtonText,
     createCreditIndicator
 } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
+import { GAME_CONFIG } from '../config/constants.js';
 
 // Layout constants for three-column grid
 const LAYOUT = {
@@ -30,11 +34,11 @@ const LAYOUT = {
 /**
  * Create an interactive menu button
  */
-function createMenuButton(k, text, x, y, width = UI_BUTTON.WIDTH, height = UI_BUTTON.HEIGHT, fontSize = UI_TEXT_SIZES.BUTTON) {
-    const primaryColor = UI_COLORS.SECONDARY;
-    const hoverColor = UI_COLORS.SECONDARY_HOVER;
-    const textColor = UI_COLORS.TEXT_PRIMARY;
-    const borderColor = UI_COLORS.BORDER;
+function createMenuButton(k, text, x, y, width = UI_BUTTON.WIDTH, height = UI_BUTTON.HEIGHT, fontSize = scaleTextSize(UI_TEXT_SIZES.BUTTON)) {
+    const primaryColor = getUIColors().SECONDARY;
+    const hoverColor = getUIColors().SECONDARY_HOVER;
+    const textColor = getUIColors().TEXT_PRIMARY;
+    const borderColor = getUIColors().BORDER;
 
     const bg = k.add([
         k.rect(width, height),
@@ -76,7 +80,7 @@ function createMenuButton(k, text, x, y, width = UI_BUTTON.WIDTH, height = UI_BU
             playMenuNav();
         }
         bg.color = k.rgb(...bg.hoverColor);
-        bg.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
+        bg.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
         bg.scale = k.vec2(UI_BUTTON.HOVER_SCALE, UI_BUTTON.HOVER_SCALE);
         label.scale = k.vec2(UI_BUTTON.HOVER_SCALE, UI_BUTTON.HOVER_SCALE);
     });
@@ -93,8 +97,8 @@ function createMenuButton(k, text, x, y, width = UI_BUTTON.WIDTH, height = UI_BU
     bg.setDisabled = (isDisabled) => {
         bg.disabled = isDisabled;
         if (isDisabled) {
-            bg.color = k.rgb(...UI_COLORS.BG_DISABLED);
-            label.color = k.rgb(...UI_COLORS.TEXT_DISABLED);
+            bg.color = k.rgb(...getUIColors().BG_DISABLED);
+            label.color = k.rgb(...getUIColors().TEXT_DISABLED);
         } else {
             bg.color = k.rgb(...bg.originalColor);
             label.color = k.rgb(...textColor);
@@ -165,6 +169,10 @@ export function setupMenuScene(k) {
         };
         k.onClick(resumeAudio);
         k.onKeyPress(resumeAudio);
+        k.onGamepadButtonPress(resumeAudio);
+
+        // Gamepad focus navigation (the main menu has nowhere to go back to)
+        const nav = createMenuNavigation(k);
 
         // Start menu music
         playMenuMusic();
@@ -180,7 +188,7 @@ export function setupMenuScene(k) {
         k.add([
             k.rect(k.width(), k.height()),
             k.pos(0, 0),
-            k.color(...UI_COLORS.BG_DARK),
+            k.color(...getUIColors().BG_DARK),
             k.z(UI_Z_LAYERS.BACKGROUND)
         ]);
 
@@ -188,14 +196,14 @@ export function setupMenuScene(k) {
         k.add([
             k.rect(k.width(), 4),
             k.pos(0, 0),
-            k.color(...UI_COLORS.BORDER),
+            k.color(...getUIColors().BORDER),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND)
         ]);
         k.add([
             k.rect(k.width(), 4),
             k.pos(0, k.height() - 4),
-            k.color(...UI_COLORS.BORDER),
+            k.color(...getUIColors().BORDER),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND)
         ]);
@@ -212,8 +220,8 @@ export function setupMenuScene(k) {
         const profileCardBg = k.add([
             k.rect(profileCardWidth, profileCardHeight),
             k.pos(profileCardX, profileCardY),
-            k.color(...UI_COLORS.BG_MEDIUM),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().BG_MEDIUM),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND),
@@ -230,7 +238,7 @@ export function setupMenuScene(k) {
             k.rect(portraitSize, portraitSize),
             k.pos(portraitX, portraitY),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_LIGHT),
+            k.color(...getUIColors().BG_LIGHT),
             k.outline(2, k.rgb(...(portrait.color || [200, 200, 200]))),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND + 1)
@@ -250,10 +258,10 @@ export function setupMenuScene(k) {
         const displayName = playerName.length > 16 ? playerName.substring(0, 16) + '..' : playerName;
         const infoX = portraitX + portraitSize / 2 + 10;
         k.add([
-            k.text(displayName, { size: UI_TEXT_SIZES.SMALL }),
+            k.text(displayName, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(infoX, profileCardY + 15),
             k.anchor('left'),
-            k.color(...UI_COLORS.GOLD),
+            k.color(...getUIColors().GOLD),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -261,10 +269,10 @@ export function setupMenuScene(k) {
         // Level
         const playerLevel = getPlayerLevel();
         k.add([
-            k.text(`Lv.${playerLevel}`, { size: UI_TEXT_SIZES.SMALL - 2 }),
+            k.text(`Lv.${playerLevel}`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
             k.pos(infoX, profileCardY + 32),
             k.anchor('left'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -309,16 +317,16 @@ export function setupMenuScene(k) {
         ]);
 
         // Profile card click handler
-        profileCardBg.onClick(() => {
+        nav.onClick(profileCardBg, () => {
             playMenuSelect();
             k.go('profile');
         });
 
         profileCardBg.onHoverUpdate(() => {
-            profileCardBg.color = k.rgb(...UI_COLORS.BG_LIGHT);
+            profileCardBg.color = k.rgb(...getUIColors().BG_LIGHT);
         });
         profileCardBg.onHoverEnd(() => {
-            profileCardBg.color = k.rgb(...UI_COLORS.BG_MEDIUM);
+            profileCardBg.color = k.rgb(...getUIColors().BG_MEDIUM);
         });
 
         // ==========================================
@@ -350,8 +358,8 @@ export function setupMenuScene(k) {
         k.add([
             k.rect(partyPanelWidth, partyPanelHeight),
             k.pos(partyPanelX, partyPanelY),
-            k.color(...UI_COLORS.BG_MEDIUM),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().BG_MEDIUM),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND)
         ]);
@@ -371,14 +379,14 @@ export function setupMenuScene(k) {
                 const slotY = slotsStartY + (index * (slotHeight + slotSpacing));
                 const elementsForThisSlot = [];
 
-                // Make non-empty, non-local slots clickable to view profile
-                const isClickable = !slot.isEmpty && !slot.isLocal;
+                // Make non-empty, non-local slots clickable to view profile (couch co-op guests have none)
+                const isClickable = !slot.isEmpty && !slot.isLocal && !slot.isLocalCoop && !slot.isServer;
 
                 const slotBg = k.add([
                     k.rect(partyPanelWidth - 16, slotHeight),
                     k.pos(partyPanelX + 8, slotY),
-                    k.color(...(slot.isEmpty ? UI_COLORS.BG_DARK : UI_COLORS.BG_LIGHT)),
-                    k.outline(1, k.rgb(...UI_COLORS.TEXT_DISABLED)),
+                    k.color(...(slot.isEmpty ? getUIColors().BG_DARK : getUIColors().BG_LIGHT)),
+                    k.outline(1, k.rgb(...getUIColors().TEXT_DISABLED)),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_BACKGROUND + 1),
                     isClickable ? k.area() : null,
@@ -388,7 +396,7 @@ export function setupMenuScene(k) {
 
                 // Click handler to view other player's profile
                 if (isClickable) {
-                    slotBg.onClick(() => {
+                    nav.onClick(slotBg, () => {
                         playMenuSelect();
                         // Request profile data and navigate to profile scene
                         requestPlayerProfile(index, (profileData) => {
@@ -398,13 +406,13 @@ export function setupMenuScene(k) {
                                 console.warn('Failed to load profile for slot', index);
                             }
                         });
-                    });
+                    }, { id: `partySlot${index}` });
 
                     slotBg.onHoverUpdate(() => {
                         slotBg.color = k.rgb(80, 90, 110);
                     });
                     slotBg.onHoverEnd(() => {
-                        slotBg.color = k.rgb(...UI_COLORS.BG_LIGHT);
+                        slotBg.color = k.rgb(...getUIColors().BG_LIGHT);
                     });
                 }
 
@@ -416,10 +424,10 @@ export function setupMenuScene(k) {
                     slotIcon = portrait.icon;
                 }
                 const slotIconEl = k.add([
-                    k.text(slotIcon, { size: slot.isEmpty ? UI_TEXT_SIZES.SMALL : UI_TEXT_SIZES.SMALL + 2 }),
+                    k.text(slotIcon, { size: slot.isEmpty ? scaleTextSize(UI_TEXT_SIZES.SMALL) : scaleTextSize(UI_TEXT_SIZES.SMALL) + 2 }),
                     k.pos(partyPanelX + 18, slotY + slotHeight / 2),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_SECONDARY),
+                    k.color(...getUIColors().TEXT_SECONDARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT),
                     'partySlotUI'
@@ -432,7 +440,7 @@ export function setupMenuScene(k) {
                         k.text(`${slot.playerLevel}`, { size: 8 }),
                         k.pos(partyPanelX + 9, slotY + slotHeight / 2 + 6),
                         k.anchor('botleft'),
-                        k.color(...UI_COLORS.GOLD),
+                        k.color(...getUIColors().GOLD),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT + 1),
                         'partySlotUI'
@@ -443,7 +451,7 @@ export function setupMenuScene(k) {
                 if (!slot.isEmpty) {
                     const charData = CHARACTER_UNLOCKS[slot.selectedCharacter] || CHARACTER_UNLOCKS['survivor'];
                     const charIcon = k.add([
-                        k.text(charData.char, { size: UI_TEXT_SIZES.SMALL }),
+                        k.text(charData.char, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                         k.pos(partyPanelX + 38, slotY + slotHeight / 2),
                         k.anchor('left'),
                         k.color(...charData.color),
@@ -455,10 +463,10 @@ export function setupMenuScene(k) {
                 }
 
                 const nameText = k.add([
-                    k.text(slot.playerName.substring(0, 16), { size: UI_TEXT_SIZES.SMALL - 2 }),
+                    k.text(slot.playerName.substring(0, 16), { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                     k.pos(partyPanelX + (slot.isEmpty ? 32 : 55), slotY + slotHeight / 2),
                     k.anchor('left'),
-                    k.color(...(slot.isEmpty ? UI_COLORS.TEXT_DISABLED : (slot.isLocal ? UI_COLORS.GOLD : UI_COLORS.TEXT_PRIMARY))),
+                    k.color(...(slot.isEmpty ? getUIColors().TEXT_DISABLED : (slot.isLocal ? getUIColors().GOLD : getUIColors().TEXT_PRIMARY))),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT),
                     'partySlotUI'
@@ -467,9 +475,9 @@ export function setupMenuScene(k) {
 
                 if (!slot.isEmpty) {
                     const readyIcon = slot.isReady ? '✓' : '○';
-                    const readyColor = slot.isReady ? UI_COLORS.SUCCESS : UI_COLORS.TEXT_DISABLED;
+                    const readyColor = slot.isReady ? getUIColors().SUCCESS : getUIColors().TEXT_DISABLED;
                     const readyText = k.add([
-                        k.text(readyIcon, { size: UI_TEXT_SIZES.SMALL - 2 }),
+                        k.text(readyIcon, { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                         k.pos(partyPanelX + partyPanelWidth - 14, slotY + slotHeight / 2),
                         k.anchor('center'),
                         k.color(...readyColor),
@@ -485,7 +493,7 @@ export function setupMenuScene(k) {
                         const emoteChar = activeEmote === 'exclamation' ? '!' : '♥';
                         const emoteColor = activeEmote === 'exclamation' ? [255, 255, 0] : [255, 100, 150];
                         const emoteText = k.add([
-                            k.text(emoteChar, { size: UI_TEXT_SIZES.SMALL + 2 }),
+                            k.text(emoteChar, { size: scaleTextSize(UI_TEXT_SIZES.SMALL + 2) }),
                             k.pos(partyPanelX + partyPanelWidth - 28, slotY + slotHeight / 2),
                             k.anchor('center'),
                             k.color(...emoteColor),
@@ -499,10 +507,10 @@ export function setupMenuScene(k) {
 
                 if (slot.isDisconnected) {
                     const dcText = k.add([
-                        k.text('⚠', { size: UI_TEXT_SIZES.SMALL - 2 }),
+                        k.text('⚠', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                         k.pos(partyPanelX + partyPanelWidth - 28, slotY + slotHeight / 2),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.WARNING),
+                        k.color(...getUIColors().WARNING),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT),
                         'partySlotUI'
@@ -530,20 +538,20 @@ export function setupMenuScene(k) {
 
         // Invite code section (clickable to copy)
         k.add([
-            k.text('Code:', { size: UI_TEXT_SIZES.SMALL - 2 }),
+            k.text('Code:', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
             k.pos(partyPanelX + 8, inviteCodeY),
             k.anchor('left'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
         const inviteCode = getDisplayInviteCode();
         const inviteCodeDisplay = k.add([
-            k.text(inviteCode, { size: UI_TEXT_SIZES.BODY }),
+            k.text(inviteCode, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
             k.pos(partyPanelX + partyPanelWidth - 8, inviteCodeY),
             k.anchor('right'),
-            k.color(...(inviteCode === 'OFFLINE' ? UI_COLORS.TEXT_DISABLED : UI_COLORS.GOLD)),
+            k.color(...(inviteCode === 'OFFLINE' ? getUIColors().TEXT_DISABLED : getUIColors().GOLD)),
             k.area(),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
@@ -555,7 +563,7 @@ export function setupMenuScene(k) {
                 const currentCode = getDisplayInviteCode();
                 if (currentCode && currentCode !== 'OFFLINE') {
                     inviteCodeDisplay.text = currentCode;
-                    inviteCodeDisplay.color = k.rgb(...UI_COLORS.GOLD);
+                    inviteCodeDisplay.color = k.rgb(...getUIColors().GOLD);
                     hasValidCode = true;
                 }
             }
@@ -564,7 +572,7 @@ export function setupMenuScene(k) {
         // Click-to-copy invite code with transient "Copied!" confirmation
         let copyConfirmText = null;
         inviteCodeDisplay.cursor = 'pointer';
-        inviteCodeDisplay.onClick(() => {
+        nav.onClick(inviteCodeDisplay, () => {
             const code = inviteCodeDisplay.text;
             if (code === 'OFFLINE') return; // No code to copy
             playMenuSelect();
@@ -573,7 +581,7 @@ export function setupMenuScene(k) {
                 // Sits just right of the "Code:" label on the same line to avoid
                 // overlapping the Join button below.
                 copyConfirmText = k.add([
-                    k.text(msg, { size: UI_TEXT_SIZES.SMALL - 2 }),
+                    k.text(msg, { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                     k.pos(partyPanelX + 44, inviteCodeY),
                     k.anchor('left'),
                     k.color(...color),
@@ -589,35 +597,45 @@ export function setupMenuScene(k) {
             };
             if (navigator.clipboard && navigator.clipboard.writeText) {
                 navigator.clipboard.writeText(code).then(() => {
-                    showConfirm('Copied!', UI_COLORS.SUCCESS);
+                    showConfirm('Copied!', getUIColors().SUCCESS);
                 }).catch(() => {
-                    showConfirm('Copy failed', UI_COLORS.ERROR);
+                    showConfirm('Copy failed', getUIColors().ERROR);
                 });
             } else {
                 console.log('Invite code:', code);
-                showConfirm('See console', UI_COLORS.TEXT_SECONDARY);
+                showConfirm('See console', getUIColors().TEXT_SECONDARY);
             }
         });
 
         inviteCodeDisplay.onHoverUpdate(() => {
             if (inviteCodeDisplay.text === 'OFFLINE') return;
-            inviteCodeDisplay.color = k.rgb(...UI_COLORS.GOLD_HOVER);
+            inviteCodeDisplay.color = k.rgb(...getUIColors().GOLD_HOVER);
         });
         inviteCodeDisplay.onHoverEnd(() => {
             if (inviteCodeDisplay.text === 'OFFLINE') return;
-            inviteCodeDisplay.color = k.rgb(...UI_COLORS.GOLD);
+            inviteCodeDisplay.color = k.rgb(...getUIColors().GOLD);
         });
 
-        // Join Party button
+        // Join Party and Couch Co-op buttons (half width, side by side)
+        const halfButtonWidth = (partyPanelWidth - 26) / 2;
         const joinButton = createMenuButton(
-            k, 'JOIN PARTY', partyPanelX + partyPanelWidth / 2, joinButtonY,
-            partyPanelWidth - 20, 28, UI_TEXT_SIZES.SMALL
+            k, 'JOIN', partyPanelX + 10 + halfButtonWidth / 2, joinButtonY,
+            halfButtonWidth, 28, scaleTextSize(UI_TEXT_SIZES.SMALL)
         );
-        joinButton.onClick(() => {
+        nav.onClick(joinButton, () => {
             playMenuSelect();
             k.go('joinParty');
         });
 
+        const couchButton = createMenuButton(
+            k, 'COUCH', partyPanelX + partyPanelWidth - 10 - halfButtonWidth / 2, joinButtonY,
+            halfButtonWidth, 28, scaleTextSize(UI_TEXT_SIZES.SMALL)
+        );
+        nav.onClick(couchButton, () => {
+            playMenuSelect();
+            k.go('localCoop');
+        });
+
         // Find Match button
         let findMatchButton = null;
         let findMatchLabel = null;
@@ -628,10 +646,10 @@ export function setupMenuScene(k) {
 
         // Matchmaking status line (animated "Searching..." or transient error)
         const findMatchStatus = k.add([
-            k.text('', { size: UI_TEXT_SIZES.MICRO }),
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
             k.pos(partyPanelX + partyPanelWidth / 2, findMatchStatusY),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT),
             'findMatchStatus'
@@ -652,7 +670,7 @@ export function setupMenuScene(k) {
                 findMatchDotTime += k.dt();
                 const dots = '.'.repeat(1 + (Math.floor(findMatchDotTime * 2) % 3));
                 findMatchStatus.text = `Searching for opponents${dots}`;
-                findMatchStatus.color = k.rgb(...UI_COLORS.TEXT_SECONDARY);
+                findMatchStatus.color = k.rgb(...getUIColors().TEXT_SECONDARY);
             } else if (findMatchStatus.text !== '') {
                 findMatchStatus.text = '';
             }
@@ -673,7 +691,7 @@ export function setupMenuScene(k) {
             const buttonHoverColor = searching ? [180, 150, 70] : [80, 110, 160];
             const outlineColor = searching ? [200, 180, 80] : [80, 120, 180];
             const outlineHoverColor = searching ? [230, 210, 110] : [120, 160, 220];
-            const textColor = searching ? UI_COLORS.GOLD : UI_COLORS.TEXT_PRIMARY;
+            const textColor = searching ? getUIColors().GOLD : getUIColors().TEXT_PRIMARY;
 
             findMatchButton = k.add([
                 k.rect(partyPanelWidth - 20, 28),
@@ -689,7 +707,7 @@ export function setupMenuScene(k) {
             ]);
 
             findMatchLabel = k.add([
-                k.text(buttonText, { size: UI_TEXT_SIZES.SMALL }),
+                k.text(buttonText, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                 k.pos(partyPanelX + partyPanelWidth / 2, findMatchY),
                 k.anchor('center'),
                 k.color(...textColor),
@@ -725,7 +743,7 @@ export function setupMenuScene(k) {
                 findMatchLabel.scale = k.vec2(1, 1);
             });
 
-            findMatchButton.onClick(() => {
+            nav.onClick(findMatchButton, () => {
                 playMenuSelect();
                 if (isMatchmaking()) {
                     stopMatchmaking();
@@ -749,7 +767,7 @@ export function setupMenuScene(k) {
                             if (findMatchStatus && findMatchStatus.exists()) {
                                 const msg = (err && err.message) ? err.message : 'Matchmaking failed';
                                 findMatchStatus.text = msg.length > 28 ? msg.substring(0, 28) + '..' : msg;
-                                findMatchStatus.color = k.rgb(...UI_COLORS.ERROR);
+                                findMatchStatus.color = k.rgb(...getUIColors().ERROR);
                                 findMatchErrorUntil = k.time() + 4;
                             }
                             setTimeout(() => updateFindMatchButton(), 0);
@@ -759,7 +777,7 @@ export function setupMenuScene(k) {
                         }
                     });
                 }
-            });
+            }, { id: 'findMatch' });
 
             isUpdatingFindMatch = false;
         }
@@ -773,25 +791,29 @@ export function setupMenuScene(k) {
         let readyButtonElements = [];
         let countdownDisplay = null;
         // Track state to avoid unnecessary UI rebuilds
-        let lastReadyState = { partySize: 0, isReady: false, countdownActive: false, countdownSeconds: 0 };
+        let lastReadyState = { partySize: 0, isReady: false, countdownActive: false, countdownSeconds: 0, spectating: false, spectatorCount: 0 };
 
         function updateReadyButton(forceUpdate = false) {
             const partySize = getPartySize();
             const countdown = getCountdownState();
             const isReady = isLocalPlayerReady();
             const countdownSeconds = countdown.active ? Math.ceil(countdown.timeRemaining / 1000) : 0;
+            const spectating = isSpectator();
+            const spectatorCount = getSpectatorCount();
 
             // Only rebuild UI if state actually changed (performance optimization)
             if (!forceUpdate &&
                 lastReadyState.partySize === partySize &&
                 lastReadyState.isReady === isReady &&
                 lastReadyState.countdownActive === countdown.active &&
-                lastReadyState.countdownSeconds === countdownSeconds) {
+                lastReadyState.countdownSeconds === countdownSeconds &&
+                lastReadyState.spectating === spectating &&
+                lastReadyState.spectatorCount === spectatorCount) {
                 return; // No change, skip UI rebuild
             }
 
             // Update tracked state
-            lastReadyState = { partySize, isReady, countdownActive: countdown.active, countdownSeconds };
+            lastReadyState = { partySize, isReady, countdownActive: countdown.active, countdownSeconds, spectating, spectatorCount };
 
             // Clean up existing elements
             readyButtonElements.forEach(el => {
@@ -803,7 +825,23 @@ export function setupMenuScene(k) {
                 countdownDisplay = null;
             }
 
-            if (partySize >= 2) {
+            // Spectators have no slot to ready - they follow the party into its runs
+            if (spectating) {
+                const spectatingLabel = k.add([
+                    k.text(`👁 SPECTATING · ${spectatorCount} watching`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
+                    k.pos(partyPanelX + partyPanelWidth / 2, readyButtonY),
+                    k.anchor('center'),
+                    k.color(...getUIColors().TEXT_SECONDARY),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_TEXT),
+                    'readyButtonUI'
+                ]);
+                readyButtonElements.push(spectatingLabel);
+                return;
+            }
+
+            // Couch co-op parties start from ACTION! (or the lobby) without readying up
+            if (partySize >= 2 && !hasLocalCoopPlayers()) {
                 const readyBgColor = isReady ? [100, 150, 100] : [60, 80, 120];
                 const readyBgHoverColor = isReady ? [120, 180, 120] : [80, 110, 160];
                 const readyOutlineColor = isReady ? [100, 200, 100] : [80, 120, 180];
@@ -824,7 +862,7 @@ export function setupMenuScene(k) {
                 readyButtonElements.push(readyBg);
 
                 const readyLabel = k.add([
-                    k.text(isReady ? '✓ READY' : 'READY UP', { size: UI_TEXT_SIZES.SMALL - 2 }),
+                    k.text(isReady ? '✓ READY' : 'READY UP', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                     k.pos(partyPanelX + partyPanelWidth / 2, readyButtonY),
                     k.anchor('center'),
                     k.color(isReady ? 150 : 100, isReady ? 255 : 150, isReady ? 150 : 200),
@@ -861,19 +899,19 @@ export function setupMenuScene(k) {
                     readyLabel.scale = k.vec2(1, 1);
                 });
 
-                readyBg.onClick(() => {
+                nav.onClick(readyBg, () => {
                     playMenuSelect();
                     toggleReady();
                     updateReadyButton(true); // Force update after click
                     updatePartySlots();
-                });
+                }, { id: 'ready' });
 
-                if (countdown.active) {
+                if (countdown.active || spectatorCount > 0) {
                     countdownDisplay = k.add([
-                        k.text(`Starting in ${countdownSeconds}...`, { size: UI_TEXT_SIZES.SMALL - 2 }),
+                        k.text(countdown.active ? `Starting in ${countdownSeconds}...` : `👁 ${spectatorCount} watching`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                         k.pos(partyPanelX + partyPanelWidth / 2, countdownY),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.SUCCESS),
+                        k.color(...(countdown.active ? getUIColors().SUCCESS : getUIColors().TEXT_SECONDARY)),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_TEXT),
                         'countdownUI'
@@ -921,17 +959,17 @@ export function setupMenuScene(k) {
         k.add([
             k.rect(dailyPanelWidth, dailyPanelHeight),
             k.pos(dailyPanelX, dailyRunY),
-            k.color(...UI_COLORS.BG_MEDIUM),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().BG_MEDIUM),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND)
         ]);
 
         k.add([
-            k.text('DAILY RUN', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('DAILY RUN', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(dailyPanelX + dailyPanelWidth / 2, dailyRunY + 12),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -946,10 +984,10 @@ export function setupMenuScene(k) {
         ]);
 
         k.add([
-            k.text(dailyChar.name, { size: UI_TEXT_SIZES.SMALL - 2 }),
+            k.text(dailyChar.name, { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
             k.pos(dailyPanelX + dailyPanelWidth / 2, dailyRunY + 68),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -959,19 +997,19 @@ export function setupMenuScene(k) {
 
         if (dailyInfo.completed) {
             k.add([
-                k.text('COMPLETED', { size: UI_TEXT_SIZES.SMALL - 2 }),
+                k.text('COMPLETED', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                 k.pos(dailyPanelX + dailyPanelWidth / 2, dailyRunY + 95),
                 k.anchor('center'),
-                k.color(...UI_COLORS.SUCCESS),
+                k.color(...getUIColors().SUCCESS),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
         } else if (dailyDisabledInMultiplayer) {
             k.add([
-                k.text('SOLO ONLY', { size: UI_TEXT_SIZES.SMALL - 2 }),
+                k.text('SOLO ONLY', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                 k.pos(dailyPanelX + dailyPanelWidth / 2, dailyRunY + 95),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_DISABLED),
+                k.color(...getUIColors().TEXT_DISABLED),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
@@ -980,23 +1018,23 @@ export function setupMenuScene(k) {
                 k.rect(dailyPanelWidth - 40, 28),
                 k.pos(dailyPanelX + dailyPanelWidth / 2, dailyRunY + 95),
                 k.anchor('center'),
-                k.color(...UI_COLORS.SECONDARY),
-                k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+                k.color(...getUIColors().SECONDARY),
+                k.outline(2, k.rgb(...getUIColors().BORDER)),
                 k.area(),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS)
             ]);
 
             k.add([
-                k.text('PLAY', { size: UI_TEXT_SIZES.SMALL }),
+                k.text('PLAY', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                 k.pos(dailyPanelX + dailyPanelWidth / 2, dailyRunY + 95),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_PRIMARY),
+                k.color(...getUIColors().TEXT_PRIMARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
 
-            dailyPlayButton.onClick(() => {
+            nav.onClick(dailyPlayButton, () => {
                 if (getPartySize() > 1) return;
                 playMenuSelect();
                 k.go('game', {
@@ -1009,10 +1047,10 @@ export function setupMenuScene(k) {
             });
 
             dailyPlayButton.onHoverUpdate(() => {
-                dailyPlayButton.color = k.rgb(...UI_COLORS.SECONDARY_HOVER);
+                dailyPlayButton.color = k.rgb(...getUIColors().SECONDARY_HOVER);
             });
             dailyPlayButton.onHoverEnd(() => {
-                dailyPlayButton.color = k.rgb(...UI_COLORS.SECONDARY);
+                dailyPlayButton.color = k.rgb(...getUIColors().SECONDARY);
             });
         }
 
@@ -1030,8 +1068,8 @@ export function setupMenuScene(k) {
         k.add([
             k.rect(LAYOUT.RIGHT_COLUMN_WIDTH, leaderboardsPanelHeight),
             k.pos(rightColumnX, leaderboardsY),
-            k.color(...UI_COLORS.BG_MEDIUM),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().BG_MEDIUM),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND),
@@ -1039,10 +1077,10 @@ export function setupMenuScene(k) {
         ]);
 
         k.add([
-            k.text('LEADERBOARDS', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('LEADERBOARDS', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(rightColumnX + LAYOUT.RIGHT_COLUMN_WIDTH / 2, leaderboardsY + 15),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -1056,25 +1094,25 @@ export function setupMenuScene(k) {
         ]);
 
         k.add([
-            k.text('VIEW', { size: UI_TEXT_SIZES.SMALL - 2 }),
+            k.text('VIEW', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
             k.pos(rightColumnX + LAYOUT.RIGHT_COLUMN_WIDTH / 2, leaderboardsY + 80),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
         const leaderboardsPanel = k.get('leaderboardsPanel')[0];
         if (leaderboardsPanel) {
-            leaderboardsPanel.onClick(() => {
+            nav.onClick(leaderboardsPanel, () => {
                 playMenuSelect();
                 k.go('leaderboards');
             });
             leaderboardsPanel.onHoverUpdate(() => {
-                leaderboardsPanel.color = k.rgb(...UI_COLORS.BG_LIGHT);
+                leaderboardsPanel.color = k.rgb(...getUIColors().BG_LIGHT);
             });
             leaderboardsPanel.onHoverEnd(() => {
-                leaderboardsPanel.color = k.rgb(...UI_COLORS.BG_MEDIUM);
+                leaderboardsPanel.color = k.rgb(...getUIColors().BG_MEDIUM);
             });
         }
 
@@ -1116,7 +1154,7 @@ export function setupMenuScene(k) {
                 k.text(line, { size: 10, font: 'monospace' }),
                 k.pos(centerX, startY + index * lineSpacing),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_PRIMARY),
+                k.color(...getUIColors().TEXT_PRIMARY),
                 k.z(UI_Z_LAYERS.UI_TEXT),
                 'titleLine'
             ]);
@@ -1156,14 +1194,14 @@ export function setupMenuScene(k) {
 
         const playButton = createMenuButton(
             k, 'ACTION!', centerX, buttonStartY,
-            XL.width, XL.height, UI_TEXT_SIZES.H1
+            XL.width, XL.height, scaleTextSize(UI_TEXT_SIZES.H1)
         );
         // Primary action button keeps a stable green fill (reserved for start/confirm);
         // it is excluded from the rainbow loop below so it always reads as the CTA.
-        playButton.color = k.rgb(...UI_COLORS.PRIMARY);
-        playButton.originalColor = [...UI_COLORS.PRIMARY];
-        playButton.hoverColor = [...UI_COLORS.PRIMARY_HOVER];
-        playButton.onClick(() => {
+        playButton.color = k.rgb(...getUIColors().PRIMARY);
+        playButton.originalColor = [...getUIColors().PRIMARY];
+        playButton.hoverColor = [...getUIColors().PRIMARY_HOVER];
+        nav.onClick(playButton, () => {
             if (playButton.disabled) return;
             playMenuSelect();
             const partySize = getPartySize();
@@ -1171,7 +1209,7 @@ export function setupMenuScene(k) {
                 broadcastGameStart();
             }
             k.go('game', { resetState: true });
-        });
+        }, { initial: true });
 
         function updateStartButtonState() {
             const party = getParty();
@@ -1183,9 +1221,9 @@ export function setupMenuScene(k) {
 
         const characterButton = createMenuButton(
             k, 'CONTESTANTS', centerX, buttonStartY + buttonSpacing,
-            LG.width, LG.height, UI_TEXT_SIZES.H2
+            LG.width, LG.height, scaleTextSize(UI_TEXT_SIZES.H2)
         );
-        characterButton.onClick(() => {
+        nav.onClick(characterButton, () => {
             playMenuSelect();
             k.go('characterSelect');
         });
@@ -1205,8 +1243,8 @@ export function setupMenuScene(k) {
                 k.rect(charDisplaySize, charDisplaySize),
                 k.pos(charDisplayX, charDisplayY),
                 k.anchor('center'),
-                k.color(...UI_COLORS.BG_MEDIUM),
-                k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+                k.color(...getUIColors().BG_MEDIUM),
+                k.outline(2, k.rgb(...getUIColors().BORDER)),
                 k.area(),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_BACKGROUND)
@@ -1216,49 +1254,49 @@ export function setupMenuScene(k) {
                 k.text(selectedCharData.char, { size: 22 }),
                 k.pos(charDisplayX, charDisplayY),
                 k.anchor('center'),
-                k.color(...(isCharUnlocked ? selectedCharData.color : UI_COLORS.BG_DISABLED)),
+                k.color(...(isCharUnlocked ? selectedCharData.color : getUIColors().BG_DISABLED)),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
 
-            charDisplayBg.onClick(() => {
+            nav.onClick(charDisplayBg, () => {
                 playMenuSelect();
                 k.go('characterSelect');
             });
 
             charDisplayBg.onHoverUpdate(() => {
-                charDisplayBg.color = k.rgb(...UI_COLORS.BG_LIGHT);
+                charDisplayBg.color = k.rgb(...getUIColors().BG_LIGHT);
                 charDisplayIcon.scale = k.vec2(1.1);
             });
             charDisplayBg.onHoverEnd(() => {
-                charDisplayBg.color = k.rgb(...UI_COLORS.BG_MEDIUM);
+                charDisplayBg.color = k.rgb(...getUIColors().BG_MEDIUM);
                 charDisplayIcon.scale = k.vec2(1);
             });
         }
 
         const shopButton = createMenuButton(
             k, 'MERCH', centerX, buttonStartY + buttonSpacing * 2,
-            LG.width, LG.height, UI_TEXT_SIZES.H2
+            LG.width, LG.height, scaleTextSize(UI_TEXT_SIZES.H2)
         );
-        shopButton.onClick(() => {
+        nav.onClick(shopButton, () => {
             playMenuSelect();
             k.go('shop');
         });
 
         const statisticsButton = createMenuButton(
             k, 'RATINGS', centerX, buttonStartY + buttonSpacing * 3,
-            LG.width, LG.height, UI_TEXT_SIZES.H2
+            LG.width, LG.height, scaleTextSize(UI_TEXT_SIZES.H2)
         );
-        statisticsButton.onClick(() => {
+        nav.onClick(statisticsButton, () => {
             playMenuSelect();
             k.go('statistics');
         });
 
         const settingsButton = createMenuButton(
             k, 'OPTIONS', centerX, buttonStartY + buttonSpacing * 4,
-            LG.width, LG.height, UI_TEXT_SIZES.H2
+            LG.width, LG.height, scaleTextSize(UI_TEXT_SIZES.H2)
         );
-        settingsButton.onClick(() => {
+        nav.onClick(settingsButton, () => {
             playMenuSelect();
             k.go('settings');
         });
@@ -1286,8 +1324,9 @@ export function setupMenuScene(k) {
             });
         });
 
-        // Keyboard shortcuts
+        // Keyboard shortcuts (not while typing in party chat)
         const spaceHandler = k.onKeyPress('space', () => {
+            if (isKeyboardCaptured()) return;
             if (!playButton.disabled) {
                 playMenuSelect();
                 // Mirror the ACTION! button: as host of a party, tell clients to start
@@ -1299,16 +1338,21 @@ export function setupMenuScene(k) {
                 k.go('game', { resetState: true });
             }
         });
-        const cHandler = k.onKeyPress('c', () => { playMenuNav(); k.go('characterSelect'); });
-        const sHandler = k.onKeyPress('s', () => { playMenuNav(); k.go('shop'); });
-        const oHandler = k.onKeyPress('o', () => { playMenuNav(); k.go('settings'); });
-        const tHandler = k.onKeyPress('t', () => { playMenuNav(); k.go('statistics'); });
+        const cHandler = k.onKeyPress('c', () => { if (isKeyboardCaptured()) return; playMenuNav(); k.go('characterSelect'); });
+        const sHandler = k.onKeyPress('s', () => { if (isKeyboardCaptured()) return; playMenuNav(); k.go('shop'); });
+        const oHandler = k.onKeyPress('o', () => { if (isKeyboardCaptured()) return; playMenuNav(); k.go('settings'); });
+        const tHandler = k.onKeyPress('t', () => { if (isKeyboardCaptured()) return; playMenuNav(); k.go('statistics'); });
+        // Dev builds only: room template editor
+        const editorHandler = GAME_CONFIG.DEV_TOOLS
+            ? k.onKeyPress('f2', () => { if (isKeyboardCaptured()) return; playMenuNav(); k.go('roomEditor'); })
+            : null;
 
         // Emote key handlers (Q and E)
         let lastEmoteTime = 0;
         const EMOTE_COOLDOWN = 0.5; // seconds (longer cooldown for menu)
 
         const qHandler = k.onKeyPress('q', () => {
+            if (isKeyboardCaptured()) return;
             const now = k.time();
             if (now - lastEmoteTime < EMOTE_COOLDOWN) return;
             lastEmoteTime = now;
@@ -1317,6 +1361,7 @@ export function setupMenuScene(k) {
         });
 
         const eHandler = k.onKeyPress('e', () => {
+            if (isKeyboardCaptured()) return;
             const now = k.time();
             if (now - lastEmoteTime < EMOTE_COOLDOWN) return;
             lastEmoteTime = now;
@@ -1336,11 +1381,20 @@ export function setupMenuScene(k) {
             sHandler.cancel();
             oHandler.cancel();
             tHandler.cancel();
+            editorHandler?.cancel();
             qHandler.cancel();
             eHandler.cancel();
             offPartyEmote(emoteCallback);
         });
 
+        // Party chat in the lobby (bottom left, under the party panel)
+        k.onSceneLeave(initChatOverlay(k, {
+            x: LAYOUT.LEFT_COLUMN_X,
+            bottomY: k.height() - 24,
+            width: 260,
+            visibleLines: 5
+        }));
+
         // ==========================================
         // Background decorations (reduced)
         // ==========================================
@@ -1350,7 +1404,7 @@ export function setupMenuScene(k) {
             const particle = k.add([
                 k.text(['*', '+', '·'][Math.floor(Math.random() * 3)], { size: 12 }),
                 k.pos(Math.random() * k.width(), Math.random() * k.height()),
-                k.color(...UI_COLORS.BG_LIGHT),
+                k.color(...getUIColors().BG_LIGHT),
                 k.opacity(0.2 + Math.random() * 0.2),
                 k.z(UI_Z_LAYERS.PARTICLES)
             ]);
@@ -1371,7 +1425,7 @@ export function setupMenuScene(k) {
             const pattern = k.add([
                 k.text(patterns[Math.floor(Math.random() * patterns.length)], { size: 16 }),
                 k.pos(Math.random() * k.width(), Math.random() * k.height()),
-                k.color(...UI_COLORS.BG_LIGHT),
+                k.color(...getUIColors().BG_LIGHT),
                 k.opacity(0.1),
                 k.scale(1),
                 k.z(UI_Z_LAYERS.PARTICLES)
@@ -1394,10 +1448,10 @@ export function setupMenuScene(k) {
         // See GIT_WORKFLOW.md "Automatic Version Numbering"
         // ==========================================
         k.add([
-            k.text(__APP_VERSION__, { size: UI_TEXT_SIZES.MICRO }),
+            k.text(__APP_VERSION__, { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
             k.pos(k.width() - 10, k.height() - 10),
             k.anchor('botright'),
-            k.color(...UI_COLORS.TEXT_DISABLED),
+            k.color(...getUIColors().TEXT_DISABLED),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -1414,7 +1468,7 @@ export function setupMenuScene(k) {
                 const goldenEnemy = k.add([
                     k.text('$', { size: 24 }),
                     k.pos(startX, startY),
-                    k.color(...UI_COLORS.GOLD),
+                    k.color(...getUIColors().GOLD),
                     k.area({ scale: 2.5 }),
                     k.anchor('center'),
                     k.scale(1),
@@ -1435,7 +1489,7 @@ export function setupMenuScene(k) {
                         const particle = k.add([
                             k.text(['$', '¢'][Math.floor(Math.random() * 2)], { size: 12 }),
                             k.pos(goldenEnemy.pos.x, goldenEnemy.pos.y),
-                            k.color(...UI_COLORS.GOLD),
+                            k.color(...getUIColors().GOLD),
                             k.opacity(1),
                             k.z(UI_Z_LAYERS.PARTICLES + 2)
                         ]);
@@ -1456,7 +1510,7 @@ export function setupMenuScene(k) {
                         k.text('+$1', { size: 18 }),
                         k.pos(goldenEnemy.pos.x, goldenEnemy.pos.y),
                         k.anchor('center'),
-                        k.color(...UI_COLORS.SUCCESS),
+                        k.color(...getUIColors().SUCCESS),
                         k.opacity(1),
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
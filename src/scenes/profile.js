@@ -6,7 +6,9 @@ import {
     getUnlockedPortraits, unlockPortrait, getSaveStats, loadSave
 } from '../systems/metaProgression.js';
 import { generateRandomName } from '../systems/nameGenerator.js';
+import { downloadSaveFile, exportSaveString, pickSaveFile, importSaveData, IMPORT_ERROR_MESSAGES } from '../systems/saveTransfer.js';
 import { playMenuSelect, playMenuNav } from '../systems/sounds.js';
+import { createMenuNavigation, getMenuNavigation } from '../systems/menuNavigation.js';
 import {
     PORTRAITS, getPortraitById, getAllPortraits,
     checkPortraitUnlockCondition, getPortraitUnlockDescription,
@@ -15,11 +17,11 @@ import {
 import {
     UI_SIZES,
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_Z_LAYERS,
     createMenuParticles,
     createAnimatedTitle
 } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
 
 /**
  * Show name edit dialog (same as settings scene)
@@ -42,18 +44,18 @@ function showNameEditDialog(k, currentName, onSave) {
         k.rect(dialogWidth, dialogHeight),
         k.pos(k.width() / 2, k.height() / 2),
         k.anchor('center'),
-        k.color(...UI_COLORS.BG_MEDIUM),
-        k.outline(3, k.rgb(...UI_COLORS.BORDER)),
+        k.color(...getUIColors().BG_MEDIUM),
+        k.outline(3, k.rgb(...getUIColors().BORDER)),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 1)
     ]);
 
     // Title
     const titleText = k.add([
-        k.text('Edit Player Name', { size: UI_TEXT_SIZES.LABEL }),
+        k.text('Edit Player Name', { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
         k.pos(k.width() / 2, k.height() / 2 - 60),
         k.anchor('center'),
-        k.color(...UI_COLORS.TEXT_PRIMARY),
+        k.color(...getUIColors().TEXT_PRIMARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 2)
     ]);
@@ -63,8 +65,8 @@ function showNameEditDialog(k, currentName, onSave) {
         k.rect(300, 40),
         k.pos(k.width() / 2, k.height() / 2 - 10),
         k.anchor('center'),
-        k.color(...UI_COLORS.BG_LIGHT),
-        k.outline(2, k.rgb(...UI_COLORS.GOLD)),
+        k.color(...getUIColors().BG_LIGHT),
+        k.outline(2, k.rgb(...getUIColors().GOLD)),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 2)
     ]);
@@ -72,20 +74,20 @@ function showNameEditDialog(k, currentName, onSave) {
     // Input display
     let inputText = currentName;
     const inputDisplay = k.add([
-        k.text(inputText, { size: UI_TEXT_SIZES.LABEL }),
+        k.text(inputText, { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
         k.pos(k.width() / 2, k.height() / 2 - 10),
         k.anchor('center'),
-        k.color(...UI_COLORS.GOLD),
+        k.color(...getUIColors().GOLD),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 3)
     ]);
 
     // Error/Info message
     const infoMsg = k.add([
-        k.text('(Max 20 characters)', { size: UI_TEXT_SIZES.SMALL - 2 }),
+        k.text('(Max 20 characters)', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
         k.pos(k.width() / 2, k.height() / 2 + 25),
         k.anchor('center'),
-        k.color(...UI_COLORS.TEXT_SECONDARY),
+        k.color(...getUIColors().TEXT_SECONDARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 2)
     ]);
@@ -93,8 +95,18 @@ function showNameEditDialog(k, currentName, onSave) {
     // Store all dialog entities
     const dialogEntities = [overlay, dialogBg, titleText, inputBg, inputDisplay, infoMsg];
 
+    // Gamepad focus stays in the dialog until it closes; B cancels
+    const nav = getMenuNavigation();
+    const popNavigationLayer = nav?.pushLayer({
+        onBack: () => {
+            playMenuNav();
+            closeDialog();
+        }
+    });
+
     // Close function
     function closeDialog() {
+        if (popNavigationLayer) popNavigationLayer();
         dialogEntities.forEach(entity => {
             if (entity && entity.exists && entity.exists()) {
                 k.destroy(entity);
@@ -107,26 +119,28 @@ function showNameEditDialog(k, currentName, onSave) {
         k.rect(100, 30),
         k.pos(k.width() / 2 - 60, k.height() / 2 + 60),
         k.anchor('center'),
-        k.color(...UI_COLORS.BG_MEDIUM),
-        k.outline(2, k.rgb(...UI_COLORS.TEXT_PRIMARY)),
+        k.color(...getUIColors().BG_MEDIUM),
+        k.outline(2, k.rgb(...getUIColors().TEXT_PRIMARY)),
         k.area(),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 2)
     ]);
 
     const cancelText = k.add([
-        k.text('Cancel', { size: UI_TEXT_SIZES.SMALL - 2 }),
+        k.text('Cancel', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
         k.pos(k.width() / 2 - 60, k.height() / 2 + 60),
         k.anchor('center'),
-        k.color(...UI_COLORS.TEXT_PRIMARY),
+        k.color(...getUIColors().TEXT_PRIMARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 3)
     ]);
 
-    cancelButton.onClick(() => {
+    const cancelDialog = () => {
         playMenuNav();
         closeDialog();
-    });
+    };
+    cancelButton.onClick(cancelDialog);
+    nav?.add(cancelButton, cancelDialog);
     dialogEntities.push(cancelButton, cancelText);
 
     // Save button
@@ -134,23 +148,23 @@ function showNameEditDialog(k, currentName, onSave) {
         k.rect(100, 30),
         k.pos(k.width() / 2 + 60, k.height() / 2 + 60),
         k.anchor('center'),
-        k.color(...UI_COLORS.BG_MEDIUM),
-        k.outline(2, k.rgb(...UI_COLORS.GOLD)),
+        k.color(...getUIColors().BG_MEDIUM),
+        k.outline(2, k.rgb(...getUIColors().GOLD)),
         k.area(),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 2)
     ]);
 
     const saveText = k.add([
-        k.text('Save', { size: UI_TEXT_SIZES.SMALL - 2 }),
+        k.text('Save', { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
         k.pos(k.width() / 2 + 60, k.height() / 2 + 60),
         k.anchor('center'),
-        k.color(...UI_COLORS.GOLD),
+        k.color(...getUIColors().GOLD),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 3)
     ]);
 
-    saveButton.onClick(() => {
+    const saveName = () => {
         if (inputText.trim().length > 0) {
             playMenuSelect();
             onSave(inputText.trim());
@@ -159,7 +173,9 @@ function showNameEditDialog(k, currentName, onSave) {
             infoMsg.text = 'Name cannot be empty!';
             infoMsg.color = k.rgb(255, 100, 100);
         }
-    });
+    };
+    saveButton.onClick(saveName);
+    nav?.add(saveButton, saveName, { initial: true });
     dialogEntities.push(saveButton, saveText);
 
     // Keyboard input handlers
@@ -168,7 +184,7 @@ function showNameEditDialog(k, currentName, onSave) {
             inputText += ch;
             inputDisplay.text = inputText;
             infoMsg.text = '(Max 20 characters)';
-            infoMsg.color = k.rgb(...UI_COLORS.TEXT_SECONDARY);
+            infoMsg.color = k.rgb(...getUIColors().TEXT_SECONDARY);
         }
     });
 
@@ -206,6 +222,14 @@ export function setupProfileScene(k) {
         const externalProfile = args.externalProfile || null;
         const isViewingOther = externalProfile !== null;
 
+        // Gamepad focus navigation: B goes back to the menu
+        const nav = createMenuNavigation(k, {
+            onBack: () => {
+                playMenuNav();
+                k.go('menu');
+            }
+        });
+
         // Get profile data from external source or local save
         const saveData = isViewingOther ? externalProfile : loadSave();
         let selectedPortraitId = isViewingOther ? externalProfile.selectedPortrait : getSelectedPortrait();
@@ -223,7 +247,7 @@ export function setupProfileScene(k) {
             k.rect(k.width(), k.height()),
             k.pos(0, 0),
             k.anchor('topleft'),
-            k.color(...UI_COLORS.BG_DARK),
+            k.color(...getUIColors().BG_DARK),
             k.fixed(),
             k.z(UI_Z_LAYERS.BACKGROUND)
         ]);
@@ -234,10 +258,10 @@ export function setupProfileScene(k) {
         // Title - show player name when viewing another player
         if (isViewingOther) {
             k.add([
-                k.text(`${profileName}'s Profile`, { size: UI_TEXT_SIZES.H1 }),
+                k.text(`${profileName}'s Profile`, { size: scaleTextSize(UI_TEXT_SIZES.H1) }),
                 k.pos(k.width() / 2, 35),
                 k.anchor('center'),
-                k.color(...UI_COLORS.GOLD),
+                k.color(...getUIColors().GOLD),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
@@ -258,8 +282,8 @@ export function setupProfileScene(k) {
             k.rect(cardWidth, cardHeight),
             k.pos(cardX, cardY + cardHeight / 2),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_MEDIUM),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().BG_MEDIUM),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND)
         ]);
@@ -274,7 +298,7 @@ export function setupProfileScene(k) {
             k.rect(portraitSize, portraitSize),
             k.pos(portraitX, portraitY),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_LIGHT),
+            k.color(...getUIColors().BG_LIGHT),
             k.outline(3, k.rgb(...(currentPortrait.color || [200, 200, 200]))),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND + 1)
@@ -295,7 +319,7 @@ export function setupProfileScene(k) {
             k.text(`LV${profileLevel}`, { size: 12 }),
             k.pos(portraitX, portraitY + 28),
             k.anchor('center'),
-            k.color(...UI_COLORS.GOLD),
+            k.color(...getUIColors().GOLD),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -307,10 +331,10 @@ export function setupProfileScene(k) {
         // Player name
         let playerName = profileName;
         const nameDisplay = k.add([
-            k.text(playerName, { size: UI_TEXT_SIZES.H1 }),
+            k.text(playerName, { size: scaleTextSize(UI_TEXT_SIZES.H1) }),
             k.pos(infoX, infoY),
             k.anchor('left'),
-            k.color(...UI_COLORS.GOLD),
+            k.color(...getUIColors().GOLD),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -326,8 +350,8 @@ export function setupProfileScene(k) {
                 k.rect(editIconSize, editIconSize),
                 k.pos(editButtonX, infoY),
                 k.anchor('right'),
-                k.color(...UI_COLORS.BG_MEDIUM),
-                k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+                k.color(...getUIColors().BG_MEDIUM),
+                k.outline(2, k.rgb(...getUIColors().BORDER)),
                 k.area(),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS)
@@ -337,12 +361,12 @@ export function setupProfileScene(k) {
                 k.text('✏', { size: 14 }),
                 k.pos(editButtonX - editIconSize / 2, infoY),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_PRIMARY),
+                k.color(...getUIColors().TEXT_PRIMARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
 
-            editButton.onClick(() => {
+            nav.onClick(editButton, () => {
                 playMenuSelect();
                 showNameEditDialog(k, playerName, (newName) => {
                     setPlayerName(newName);
@@ -352,10 +376,10 @@ export function setupProfileScene(k) {
             });
 
             editButton.onHoverUpdate(() => {
-                editButton.color = k.rgb(...UI_COLORS.BG_LIGHT);
+                editButton.color = k.rgb(...getUIColors().BG_LIGHT);
             });
             editButton.onHoverEnd(() => {
-                editButton.color = k.rgb(...UI_COLORS.BG_MEDIUM);
+                editButton.color = k.rgb(...getUIColors().BG_MEDIUM);
             });
 
             // Randomize name button (dice icon, square)
@@ -363,8 +387,8 @@ export function setupProfileScene(k) {
                 k.rect(editIconSize, editIconSize),
                 k.pos(randomButtonX, infoY),
                 k.anchor('right'),
-                k.color(...UI_COLORS.BG_MEDIUM),
-                k.outline(2, k.rgb(...UI_COLORS.GOLD)),
+                k.color(...getUIColors().BG_MEDIUM),
+                k.outline(2, k.rgb(...getUIColors().GOLD)),
                 k.area(),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS)
@@ -374,12 +398,12 @@ export function setupProfileScene(k) {
                 k.text('🎲', { size: 14 }),
                 k.pos(randomButtonX - editIconSize / 2, infoY),
                 k.anchor('center'),
-                k.color(...UI_COLORS.GOLD),
+                k.color(...getUIColors().GOLD),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
 
-            randomButton.onClick(() => {
+            nav.onClick(randomButton, () => {
                 playMenuSelect();
                 const newName = generateRandomName();
                 setPlayerName(newName);
@@ -388,10 +412,10 @@ export function setupProfileScene(k) {
             });
 
             randomButton.onHoverUpdate(() => {
-                randomButton.color = k.rgb(...UI_COLORS.BG_LIGHT);
+                randomButton.color = k.rgb(...getUIColors().BG_LIGHT);
             });
             randomButton.onHoverEnd(() => {
-                randomButton.color = k.rgb(...UI_COLORS.BG_MEDIUM);
+                randomButton.color = k.rgb(...getUIColors().BG_MEDIUM);
             });
         }
 
@@ -401,10 +425,10 @@ export function setupProfileScene(k) {
         const stars = Math.min(5, Math.floor(profileLevel / 10));
         const starDisplay = '★'.repeat(stars) + '☆'.repeat(5 - stars);
         k.add([
-            k.text(`Level ${profileLevel}  ${starDisplay}`, { size: UI_TEXT_SIZES.LABEL }),
+            k.text(`Level ${profileLevel}  ${starDisplay}`, { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
             k.pos(infoX, infoY),
             k.anchor('left'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -445,7 +469,7 @@ export function setupProfileScene(k) {
             k.text(`${Math.round(xpProgress * 100)}%`, { size: 10 }),
             k.pos(infoX + barWidth / 2, infoY),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -453,10 +477,10 @@ export function setupProfileScene(k) {
 
         // XP numbers
         k.add([
-            k.text(`${currentXP.toLocaleString()} / ${nextLevelXP.toLocaleString()} XP`, { size: UI_TEXT_SIZES.SMALL }),
+            k.text(`${currentXP.toLocaleString()} / ${nextLevelXP.toLocaleString()} XP`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(infoX, infoY),
             k.anchor('left'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -472,8 +496,8 @@ export function setupProfileScene(k) {
             k.rect(cardWidth, portraitsSectionHeight),
             k.pos(cardX, portraitsY + portraitsSectionHeight / 2),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_MEDIUM),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().BG_MEDIUM),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND)
         ]);
@@ -498,11 +522,11 @@ export function setupProfileScene(k) {
         function updateSelectedInfo(portrait) {
             if (selectedInfoText && selectedInfoText.exists()) {
                 selectedInfoText.text = `Selected: "${portrait.name}"`;
-                selectedInfoText.color = k.rgb(...UI_COLORS.GOLD);
+                selectedInfoText.color = k.rgb(...getUIColors().GOLD);
             }
             if (selectedDescText && selectedDescText.exists()) {
                 selectedDescText.text = portrait.description;
-                selectedDescText.color = k.rgb(...UI_COLORS.TEXT_SECONDARY);
+                selectedDescText.color = k.rgb(...getUIColors().TEXT_SECONDARY);
             }
         }
 
@@ -512,10 +536,10 @@ export function setupProfileScene(k) {
                 const nowSelected = ref.id === selectedPortraitId;
                 ref.isSelected = nowSelected;
                 ref.boxColor = ref.isUnlocked
-                    ? (nowSelected ? [80, 100, 140] : UI_COLORS.BG_LIGHT)
+                    ? (nowSelected ? [80, 100, 140] : getUIColors().BG_LIGHT)
                     : [40, 40, 50];
                 const newBorder = nowSelected
-                    ? UI_COLORS.GOLD
+                    ? getUIColors().GOLD
                     : (ref.isUnlocked ? ref.portrait.color : [80, 80, 80]);
                 if (ref.box && ref.box.exists()) {
                     ref.box.color = k.rgb(...ref.boxColor);
@@ -542,17 +566,17 @@ export function setupProfileScene(k) {
             k.rect(10, 22),
             k.pos(0, 0),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_DARK),
-            k.outline(2, k.rgb(...UI_COLORS.DANGER)),
+            k.color(...getUIColors().BG_DARK),
+            k.outline(2, k.rgb(...getUIColors().DANGER)),
             k.fixed(),
             k.opacity(0),
             k.z(UI_Z_LAYERS.TOOLTIP)
         ]);
         const lockTooltipText = k.add([
-            k.text('', { size: UI_TEXT_SIZES.TINY }),
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
             k.pos(0, 0),
             k.anchor('center'),
-            k.color(...UI_COLORS.WARNING),
+            k.color(...getUIColors().WARNING),
             k.fixed(),
             k.opacity(0),
             k.z(UI_Z_LAYERS.TOOLTIP + 1)
@@ -588,10 +612,10 @@ export function setupProfileScene(k) {
 
             // Portrait box
             const boxColor = isUnlocked
-                ? (isSelected ? [80, 100, 140] : UI_COLORS.BG_LIGHT)
+                ? (isSelected ? [80, 100, 140] : getUIColors().BG_LIGHT)
                 : [40, 40, 50];
             const borderColor = isSelected
-                ? UI_COLORS.GOLD
+                ? getUIColors().GOLD
                 : (isUnlocked ? portrait.color : [80, 80, 80]);
 
             const portraitBox = k.add([
@@ -633,14 +657,14 @@ export function setupProfileScene(k) {
                 k.text(nameText, { size: 8 }),
                 k.pos(x, y + iconSize / 2 + 8),
                 k.anchor('center'),
-                k.color(...(isUnlocked ? UI_COLORS.TEXT_SECONDARY : [80, 80, 80])),
+                k.color(...(isUnlocked ? getUIColors().TEXT_SECONDARY : [80, 80, 80])),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
 
             // Click handler - only for own profile
             if (!isViewingOther) {
-                portraitBox.onClick(() => {
+                nav.onClick(portraitBox, () => {
                     if (boxRef.isUnlocked) {
                         playMenuSelect();
                         setSelectedPortrait(portrait.id);
@@ -681,19 +705,19 @@ export function setupProfileScene(k) {
 
         // Selected portrait info
         selectedInfoText = k.add([
-            k.text(`Selected: "${currentPortrait.name}"`, { size: UI_TEXT_SIZES.SMALL }),
+            k.text(`Selected: "${currentPortrait.name}"`, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(cardX, portraitsY + portraitsSectionHeight - 35),
             k.anchor('center'),
-            k.color(...UI_COLORS.GOLD),
+            k.color(...getUIColors().GOLD),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
         selectedDescText = k.add([
-            k.text(currentPortrait.description, { size: UI_TEXT_SIZES.SMALL - 2 }),
+            k.text(currentPortrait.description, { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
             k.pos(cardX, portraitsY + portraitsSectionHeight - 18),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -709,8 +733,8 @@ export function setupProfileScene(k) {
             k.rect(cardWidth, statsHeight),
             k.pos(cardX, statsY + statsHeight / 2),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_MEDIUM),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().BG_MEDIUM),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_BACKGROUND)
         ]);
@@ -733,10 +757,11 @@ export function setupProfileScene(k) {
         const fastestSec = Math.floor(fastestTime % 60);
         const fastestDisplay = fastestTime > 0 ? `${fastestMin}:${fastestSec.toString().padStart(2, '0')}` : '--:--';
 
-        // Row 1: Main stats (5 columns)
+        // Row 1: Main stats (6 columns)
         const row1Stats = [
             { label: 'Total Runs', value: totalRuns },
             { label: 'Best Floor', value: stats.bestFloor || 1 },
+            { label: 'Deepest Loop', value: stats.deepestLoop || 0 },
             { label: 'Best Level', value: stats.bestLevel || 1 },
             { label: 'Best Room', value: stats.bestRoom || 1 },
             { label: 'Fastest Run', value: fastestDisplay }
@@ -750,10 +775,10 @@ export function setupProfileScene(k) {
         function renderStatRow(rowStats, rowY, groupLabel) {
             // Row-group label in the left gutter, vertically centered on the row
             k.add([
-                k.text(groupLabel, { size: UI_TEXT_SIZES.TINY }),
+                k.text(groupLabel, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
                 k.pos(cardX - cardWidth / 2 + 10, rowY + ROW_LABEL_OFFSET / 2),
                 k.anchor('left'),
-                k.color(...UI_COLORS.GOLD),
+                k.color(...getUIColors().GOLD),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
@@ -762,19 +787,19 @@ export function setupProfileScene(k) {
                 const x = statsGridX + statWidth * index + statWidth / 2;
 
                 k.add([
-                    k.text(stat.label, { size: UI_TEXT_SIZES.SMALL - 2 }),
+                    k.text(stat.label, { size: scaleTextSize(UI_TEXT_SIZES.SMALL - 2) }),
                     k.pos(x, rowY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_SECONDARY),
+                    k.color(...getUIColors().TEXT_SECONDARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
 
                 k.add([
-                    k.text(String(stat.value), { size: UI_TEXT_SIZES.SMALL }),
+                    k.text(String(stat.value), { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(x, rowY + ROW_LABEL_OFFSET),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_PRIMARY),
+                    k.color(...getUIColors().TEXT_PRIMARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -824,51 +849,129 @@ export function setupProfileScene(k) {
 
         renderStatRow(row3Stats, statsY + 82, 'ECONOMY');
 
+        const { SM } = UI_SIZES.BUTTON;
+
+        // ==========================================
+        // SAVE TRANSFER (own profile only)
+        // ==========================================
+        if (!isViewingOther) {
+            const transferY = k.height() - 40;
+            const transferStatus = k.add([
+                k.text('', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+                k.pos(30, transferY + 26),
+                k.anchor('left'),
+                k.color(...getUIColors().TEXT_SECONDARY),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT)
+            ]);
+            const showStatus = (message, color) => {
+                if (!transferStatus.exists()) return;
+                transferStatus.text = message;
+                transferStatus.color = k.rgb(...color);
+            };
+
+            const addTransferButton = (label, x, onClick) => {
+                const button = k.add([
+                    k.rect(SM.width, SM.height),
+                    k.pos(x, transferY),
+                    k.anchor('center'),
+                    k.color(...getUIColors().BG_MEDIUM),
+                    k.outline(2, k.rgb(...getUIColors().BORDER)),
+                    k.area(),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_ELEMENTS)
+                ]);
+                k.add([
+                    k.text(label, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
+                    k.pos(x, transferY),
+                    k.anchor('center'),
+                    k.color(...getUIColors().TEXT_PRIMARY),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_TEXT)
+                ]);
+                nav.onClick(button, () => {
+                    playMenuSelect();
+                    onClick();
+                });
+                button.onHoverUpdate(() => {
+                    button.color = k.rgb(...getUIColors().BG_LIGHT);
+                });
+                button.onHoverEnd(() => {
+                    button.color = k.rgb(...getUIColors().BG_MEDIUM);
+                });
+            };
+
+            // Export: download the .json file and copy the same save as a code
+            addTransferButton('EXPORT', 30 + SM.width / 2, () => {
+                const downloaded = downloadSaveFile();
+                const code = exportSaveString();
+                if (navigator.clipboard && navigator.clipboard.writeText) {
+                    navigator.clipboard.writeText(code)
+                        .then(() => showStatus(downloaded ? 'Save downloaded, code copied' : 'Save code copied', getUIColors().SUCCESS))
+                        .catch(() => showStatus(downloaded ? 'Save downloaded' : 'Export failed', downloaded ? getUIColors().SUCCESS : getUIColors().ERROR));
+                } else {
+                    showStatus(downloaded ? 'Save downloaded' : 'Export failed', downloaded ? getUIColors().SUCCESS : getUIColors().ERROR);
+                }
+            });
+
+            // Import: pick an exported .json file (or a .txt holding the code)
+            addTransferButton('IMPORT', 40 + SM.width * 1.5, () => {
+                pickSaveFile((text) => {
+                    const result = importSaveData(text);
+                    if (!result.success) {
+                        showStatus(IMPORT_ERROR_MESSAGES[result.reason], getUIColors().ERROR);
+                        return;
+                    }
+                    showStatus('Save imported!', getUIColors().SUCCESS);
+                    k.wait(1, () => k.go('profile'));
+                });
+            });
+        }
+
         // ==========================================
         // BACK BUTTON
         // ==========================================
-        const { SM } = UI_SIZES.BUTTON;
 
         const backButton = k.add([
             k.rect(SM.width, SM.height),
             k.pos(k.width() / 2, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.NEUTRAL),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().NEUTRAL),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_ELEMENTS)
         ]);
 
         k.add([
-            k.text('BACK', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('BACK', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
         // Esc hint next to BACK
         k.add([
-            k.text('(Esc)', { size: UI_TEXT_SIZES.TINY }),
+            k.text('(Esc)', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
             k.pos(k.width() / 2 + SM.width / 2 + 8, k.height() - 40),
             k.anchor('left'),
-            k.color(...UI_COLORS.TEXT_TERTIARY),
+            k.color(...getUIColors().TEXT_TERTIARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
-        backButton.onClick(() => {
+        nav.onClick(backButton, () => {
             playMenuNav();
             k.go('menu');
         });
 
         backButton.onHoverUpdate(() => {
-            backButton.color = k.rgb(...UI_COLORS.NEUTRAL_HOVER);
+            backButton.color = k.rgb(...getUIColors().NEUTRAL_HOVER);
         });
         backButton.onHoverEnd(() => {
-            backButton.color = k.rgb(...UI_COLORS.NEUTRAL);
+            backButton.color = k.rgb(...getUIColors().NEUTRAL);
         });
 
         // Escape key handler
@@ -0,0 +1,377 @@
+// Replay viewer scene - pick a recorded run and a room to watch it from,
+// plus the playback controls overlay used by the game scene during a replay
+import { getRunHistory, getRunReplay, getCurrencyName } from '../systems/metaProgression.js';
+import {
+    isReplayPlayable,
+    startReplayPlayback,
+    stopReplayPlayback,
+    seekReplayRoom,
+    getPlaybackReplay,
+    getPlaybackRoomIndex,
+    getReplayProgress,
+    getReplaySpeed,
+    cycleReplaySpeed,
+    isReplayPaused,
+    setReplayPaused
+} from '../systems/replaySystem.js';
+import { setFrameClockSpeed } from '../systems/frameClock.js';
+import { CHARACTER_UNLOCKS } from '../data/unlocks.js';
+import { playMenuNav } from '../systems/sounds.js';
+import {
+    UI_SIZES,
+    UI_TEXT_SIZES,
+    UI_Z_LAYERS,
+    formatFloorRoom,
+    createAnimatedTitle
+} from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
+
+// Run id of the replay being watched (so exiting playback returns to it)
+let lastRunId = null;
+
+/**
+ * Format seconds as m:ss
+ */
+function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Start (or restart) playback at a room and load the game scene
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} replay - Replay data
+ * @param {number} roomIndex - Room to start from
+ */
+function watchReplay(k, replay, roomIndex) {
+    startReplayPlayback(replay, roomIndex);
+    k.go('game', { resetState: true });
+}
+
+/**
+ * Jump to a room boundary in the replay being played
+ * @param {Object} k - KAPLAY instance
+ * @param {number} roomIndex - Room index to jump to
+ */
+function scrubToRoom(k, roomIndex) {
+    if (!seekReplayRoom(roomIndex)) return;
+    playMenuNav();
+    k.go('game', { resetState: true });
+}
+
+export function setupReplayViewerScene(k) {
+    k.scene('replayViewer', (args = {}) => {
+        // Leaving playback: restore normal speed and the player's own upgrades
+        k.debug.timeScale = 1;
+        setFrameClockSpeed(1);
+        stopReplayPlayback();
+
+        if (args.runId !== undefined) {
+            lastRunId = args.runId;
+        }
+        const run = getRunHistory().find(record => record.id === lastRunId);
+        const replay = run ? getRunReplay(run.id) : null;
+        const currencyName = getCurrencyName();
+
+        // Background
+        k.add([
+            k.rect(k.width(), k.height()),
+            k.pos(0, 0),
+            k.anchor('topleft'),
+            k.color(...getUIColors().BG_DARK),
+            k.fixed(),
+            k.z(UI_Z_LAYERS.BACKGROUND)
+        ]);
+
+        createAnimatedTitle(k, 'REPLAY', k.width() / 2, 35, 8);
+
+        if (!run || !isReplayPlayable(replay)) {
+            k.add([
+                k.text('This run has no replay to watch.', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
+                k.pos(k.width() / 2, k.height() / 2),
+                k.anchor('center'),
+                k.color(...getUIColors().TEXT_TERTIARY),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT)
+            ]);
+        } else {
+            // Run summary
+            const characterName = CHARACTER_UNLOCKS[replay.character]?.name || replay.character;
+            const summary = [
+                `${characterName}${replay.isDailyRun ? '  (Daily Run)' : ''}`,
+                `Floor ${run.floorsReached} · ${run.enemiesKilled} kills · Level ${run.level} · ${currencyName}${run.currencyEarned} · ${formatTime(replay.duration / 1000)}`
+            ];
+            summary.forEach((line, i) => {
+                k.add([
+                    k.text(line, { size: i === 0 ? scaleTextSize(UI_TEXT_SIZES.H2) : scaleTextSize(UI_TEXT_SIZES.SMALL) }),
+                    k.pos(k.width() / 2, 80 + i * 26),
+                    k.anchor('center'),
+                    k.color(...(i === 0 ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_SECONDARY)),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_TEXT)
+                ]);
+            });
+
+            // Watch from start (primary action)
+            const { MD, XS } = UI_SIZES.BUTTON;
+            const watchButton = k.add([
+                k.rect(MD.width, MD.height),
+                k.pos(k.width() / 2, 150),
+                k.anchor('center'),
+                k.color(...getUIColors().PRIMARY),
+                k.outline(2, k.rgb(...getUIColors().BORDER)),
+                k.area(),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_ELEMENTS)
+            ]);
+            k.add([
+                k.text('WATCH', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
+                k.pos(k.width() / 2, 150),
+                k.anchor('center'),
+                k.color(...getUIColors().TEXT_PRIMARY),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT)
+            ]);
+            watchButton.onClick(() => {
+                playMenuNav();
+                watchReplay(k, replay, 0);
+            });
+            watchButton.onHoverUpdate(() => {
+                k.setCursor('pointer');
+                watchButton.color = k.rgb(...getUIColors().PRIMARY_HOVER);
+            });
+            watchButton.onHoverEnd(() => {
+                k.setCursor('default');
+                watchButton.color = k.rgb(...getUIColors().PRIMARY);
+            });
+
+            // Room boundaries - start watching from any room
+            k.add([
+                k.text('Jump to room', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+                k.pos(k.width() / 2, 195),
+                k.anchor('center'),
+                k.color(...getUIColors().TEXT_TERTIARY),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT)
+            ]);
+
+            const columns = 8;
+            const cellSpacingX = XS.width + 8;
+            const cellSpacingY = XS.height + 8;
+            const gridStartX = k.width() / 2 - ((columns - 1) * cellSpacingX) / 2;
+            replay.rooms.forEach((room, index) => {
+                const x = gridStartX + (index % columns) * cellSpacingX;
+                const y = 225 + Math.floor(index / columns) * cellSpacingY;
+                if (y > k.height() - 90) return; // Very long runs: only the rooms that fit
+
+                const roomButton = k.add([
+                    k.rect(XS.width, XS.height),
+                    k.pos(x, y),
+                    k.anchor('center'),
+                    k.color(...getUIColors().BG_MEDIUM),
+                    k.outline(1, k.rgb(...getUIColors().BORDER)),
+                    k.area(),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_ELEMENTS)
+                ]);
+                k.add([
+                    k.text(formatFloorRoom(room.floor, room.room, true), { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+                    k.pos(x, y),
+                    k.anchor('center'),
+                    k.color(...getUIColors().TEXT_SECONDARY),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_TEXT)
+                ]);
+                roomButton.onClick(() => {
+                    playMenuNav();
+                    watchReplay(k, replay, index);
+                });
+                roomButton.onHoverUpdate(() => {
+                    k.setCursor('pointer');
+                    roomButton.color = k.rgb(...getUIColors().BG_LIGHT);
+                });
+                roomButton.onHoverEnd(() => {
+                    k.setCursor('default');
+                    roomButton.color = k.rgb(...getUIColors().BG_MEDIUM);
+                });
+            });
+        }
+
+        // Back button (SM size - secondary action)
+        const { SM } = UI_SIZES.BUTTON;
+        const backButton = k.add([
+            k.rect(SM.width, SM.height),
+            k.pos(k.width() / 2, k.height() - 40),
+            k.anchor('center'),
+            k.color(...getUIColors().NEUTRAL),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
+            k.area(),
+            k.fixed(),
+            k.z(UI_Z_LAYERS.UI_ELEMENTS)
+        ]);
+        k.add([
+            k.text('BACK', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
+            k.pos(k.width() / 2, k.height() - 40),
+            k.anchor('center'),
+            k.color(...getUIColors().TEXT_SECONDARY),
+            k.fixed(),
+            k.z(UI_Z_LAYERS.UI_TEXT)
+        ]);
+
+        const goBack = () => {
+            playMenuNav();
+            k.go('statistics', { tab: 'history' });
+        };
+        backButton.onClick(goBack);
+        k.onKeyPress('escape', goBack);
+    });
+}
+
+/**
+ * Add the replay playback overlay to the game scene: timeline with room
+ * boundaries, speed/pause state and keyboard/gamepad controls.
+ * - SPACE / A: pause or resume
+ * - F / Y: cycle 1x / 2x / 4x
+ * - [ and ] / LB and RB: previous / next room boundary
+ * - ESC / B: back to the replay viewer
+ * @param {Object} k - KAPLAY instance
+ */
+export function addReplayControls(k) {
+    const replay = getPlaybackReplay();
+    if (!replay) return;
+
+    // Speed runs more fixed frames per real frame, so the replay plays out exactly as at 1x
+    setFrameClockSpeed(getReplaySpeed());
+
+    // Pausing stops game time and the game's own updates (each update reads the next
+    // recorded input); the game's own pause state comes back on resume
+    let gamePaused = false;
+    const applyPause = () => {
+        if (isReplayPaused()) {
+            gamePaused = k.paused;
+            k.paused = true;
+            k.debug.timeScale = 0;
+        } else {
+            k.paused = gamePaused;
+            k.debug.timeScale = 1;
+        }
+    };
+    if (isReplayPaused()) applyPause();
+
+    const barWidth = k.width() - 160;
+    const barX = 80;
+    const barY = k.height() - 28;
+    const totalDuration = Math.max(1, replay.duration);
+
+    // Panel behind the controls
+    k.add([
+        k.rect(k.width(), 56),
+        k.pos(0, k.height() - 56),
+        k.anchor('topleft'),
+        k.color(...getUIColors().BG_DARK),
+        k.opacity(0.8),
+        k.fixed(),
+        k.z(UI_Z_LAYERS.OVERLAY)
+    ]);
+
+    const statusText = k.add([
+        k.text('', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+        k.pos(barX, k.height() - 48),
+        k.anchor('topleft'),
+        k.color(...getUIColors().TEXT_PRIMARY),
+        k.fixed(),
+        k.z(UI_Z_LAYERS.OVERLAY + 1)
+    ]);
+
+    k.add([
+        k.text('SPACE pause · F speed · [ ] room · ESC exit', { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
+        k.pos(barX + barWidth, k.height() - 48),
+        k.anchor('topright'),
+        k.color(...getUIColors().TEXT_TERTIARY),
+        k.fixed(),
+        k.z(UI_Z_LAYERS.OVERLAY + 1)
+    ]);
+
+    // Timeline (click to jump to the room under the cursor)
+    const timeline = k.add([
+        k.rect(barWidth, 8),
+        k.pos(barX, barY),
+        k.anchor('topleft'),
+        k.color(...getUIColors().BG_MEDIUM),
+        k.outline(1, k.rgb(...getUIColors().BORDER)),
+        k.area(),
+        k.fixed(),
+        k.z(UI_Z_LAYERS.OVERLAY + 1)
+    ]);
+
+    const timelineFill = k.add([
+        k.rect(0, 6),
+        k.pos(barX + 1, barY + 1),
+        k.anchor('topleft'),
+        k.color(...getUIColors().INFO),
+        k.fixed(),
+        k.z(UI_Z_LAYERS.OVERLAY + 2)
+    ]);
+
+    // Room boundary ticks (taller ticks mark new floors)
+    const roomStarts = [];
+    let roomStart = 0;
+    replay.rooms.forEach((room, index) => {
+        roomStarts.push(roomStart);
+        const isNewFloor = index > 0 && room.floor !== replay.rooms[index - 1].floor;
+        k.add([
+            k.rect(1, isNewFloor ? 16 : 12),
+            k.pos(barX + (roomStart / totalDuration) * barWidth, barY + 4),
+            k.anchor('center'),
+            k.color(...(isNewFloor ? getUIColors().WARNING : getUIColors().TEXT_SECONDARY)),
+            k.fixed(),
+            k.z(UI_Z_LAYERS.OVERLAY + 3)
+        ]);
+        roomStart += room.duration;
+    });
+
+    timeline.onClick(() => {
+        const clickedTime = ((k.mousePos().x - barX) / barWidth) * totalDuration;
+        let target = 0;
+        roomStarts.forEach((start, index) => {
+            if (clickedTime >= start) target = index;
+        });
+        scrubToRoom(k, target);
+    });
+
+    k.onUpdate(() => {
+        const progress = getReplayProgress();
+        const room = replay.rooms[getPlaybackRoomIndex()];
+        const state = isReplayPaused() ? 'PAUSED' : `▶ ${getReplaySpeed()}x`;
+        statusText.text = `${state}   ${room ? formatFloorRoom(room.floor, room.room) : ''}   ${formatTime(progress.elapsed)} / ${formatTime(progress.duration)}`;
+        timelineFill.width = Math.max(0, Math.min(1, progress.elapsed / Math.max(1, progress.duration))) * (barWidth - 2);
+    });
+
+    const togglePause = () => {
+        setReplayPaused(!isReplayPaused());
+        applyPause();
+    };
+    const cycleSpeed = () => {
+        setFrameClockSpeed(cycleReplaySpeed());
+    };
+    const previousRoom = () => {
+        // Restart the current room, or go back one if we're right at its start
+        const current = getPlaybackRoomIndex();
+        const progress = getReplayProgress();
+        const inRoom = progress.elapsed - roomStarts[current] / 1000;
+        scrubToRoom(k, inRoom > 1 ? current : current - 1);
+    };
+    const nextRoom = () => scrubToRoom(k, getPlaybackRoomIndex() + 1);
+    const exit = () => k.go('replayViewer');
+
+    k.onKeyPress('space', togglePause);
+    k.onKeyPress(['f', 'tab'], cycleSpeed);
+    k.onKeyPress('[', previousRoom);
+    k.onKeyPress(']', nextRoom);
+    k.onKeyPress('escape', exit);
+    k.onGamepadButtonPress('south', togglePause);
+    k.onGamepadButtonPress('north', cycleSpeed);
+    k.onGamepadButtonPress('lshoulder', previousRoom);
+    k.onGamepadButtonPress('rshoulder', nextRoom);
+    k.onGamepadButtonPress('east', exit);
+}
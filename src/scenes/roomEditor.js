@@ -0,0 +1,375 @@
+// Room editor scene (dev builds only) - lay out walls, cover and barrels on the
+// 800x600 room, validate them, playtest instantly and export a ROOM_TEMPLATES entry
+import { ROOM_TEMPLATES, getFloorColors } from '../systems/roomGeneration.js';
+import {
+    EDITOR_DOORS,
+    getEditorDraft,
+    setEditorDraft,
+    createEmptyDraft,
+    createDraftFromTemplate,
+    toTemplateKey,
+    addPiece,
+    findPieceAt,
+    getPiece,
+    movePiece,
+    removePiece,
+    resizeObstacle,
+    validateDraft,
+    exportTemplate,
+    getEditorEnemyTypes,
+    startRoomPlaytest,
+    stopRoomPlaytest
+} from '../systems/roomEditor.js';
+import { createObstacle } from '../entities/obstacle.js';
+import { playMenuNav, playMenuSelect } from '../systems/sounds.js';
+import { UI_TEXT_SIZES, UI_Z_LAYERS } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
+
+// Tools on the number keys
+const TOOLS = ['wall', 'cover', 'barrel', 'erase'];
+const TOOL_NAMES = { wall: 'Wall', cover: 'Cover', barrel: 'Barrel', erase: 'Erase' };
+
+// Floor affinity choices cycled with F (null = universal template)
+const FLOOR_AFFINITY_CYCLE = [null, [1], [2], [3], [4], [5]];
+
+const ROOM_MARGIN = 20;
+const BARREL_CHAR = '◉';
+const HELP_LINES = [
+    '[1-4] Tool   [Click] Place / select / drag   [Right click] Delete',
+    '[Arrows] Resize selected   [R] Rotate   [Del] Delete selected',
+    '[F] Floor affinity   [M] Rename   [N] New   [L] Load next template',
+    '[ [ / ] ] Pick enemy   [Space] Toggle enemy   [- / =] Enemy count',
+    '[P] Playtest   [E] Export   [V] Issues   [H] Help   [Esc] Menu'
+];
+
+export function setupRoomEditorScene(k) {
+    k.scene('roomEditor', () => {
+        // Coming back from a playtest ends it
+        stopRoomPlaytest();
+
+        let draft = getEditorDraft();
+        let tool = 'wall';
+        let selection = null;
+        let dragging = null; // { offsetX, offsetY } while dragging the selection
+        let enemyCursor = 0;
+        let templateCursor = -1;
+        let issues = [];
+        let showIssues = false;
+        let showHelp = true;
+        let exportPanel = null;
+
+        const enemyTypes = getEditorEnemyTypes();
+
+        // Faint 50px grid (placement itself snaps to 10px)
+        for (let x = ROOM_MARGIN; x <= k.width() - ROOM_MARGIN; x += 50) {
+            k.add([k.rect(1, k.height() - ROOM_MARGIN * 2), k.pos(x, ROOM_MARGIN), k.color(40, 40, 55), k.z(UI_Z_LAYERS.BACKGROUND)]);
+        }
+        for (let y = ROOM_MARGIN; y <= k.height() - ROOM_MARGIN; y += 50) {
+            k.add([k.rect(k.width() - ROOM_MARGIN * 2, 1), k.pos(ROOM_MARGIN, y), k.color(40, 40, 55), k.z(UI_Z_LAYERS.BACKGROUND)]);
+        }
+
+        // Doors and the center spawn, for reference
+        Object.values(EDITOR_DOORS).forEach(door => {
+            k.add([k.text('▒', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }), k.pos(door.x, door.y), k.anchor('center'), k.color(...getUIColors().INFO), k.opacity(0.6), k.z(UI_Z_LAYERS.BACKGROUND + 1)]);
+        });
+        k.add([k.text('@', { size: scaleTextSize(UI_TEXT_SIZES.BODY) }), k.pos(k.width() / 2, k.height() / 2), k.anchor('center'), k.color(...getUIColors().SUCCESS), k.opacity(0.6), k.z(UI_Z_LAYERS.BACKGROUND + 1)]);
+
+        // Status bar (top) and issue summary (bottom)
+        const statusText = k.add([
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
+            k.pos(8, 4),
+            k.color(...getUIColors().TEXT_PRIMARY),
+            k.z(UI_Z_LAYERS.UI_TEXT)
+        ]);
+        const issueText = k.add([
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
+            k.pos(8, k.height() - 16),
+            k.color(...getUIColors().SUCCESS),
+            k.z(UI_Z_LAYERS.UI_TEXT)
+        ]);
+
+        // Help / issue overlay
+        const overlayBg = k.add([
+            k.rect(560, 110),
+            k.pos(k.width() / 2, k.height() - 90),
+            k.anchor('center'),
+            k.color(...getUIColors().BG_DARK),
+            k.opacity(0.85),
+            k.z(UI_Z_LAYERS.OVERLAY)
+        ]);
+        const overlayText = k.add([
+            k.text('', { size: scaleTextSize(UI_TEXT_SIZES.MICRO), width: 540, lineSpacing: 4 }),
+            k.pos(k.width() / 2, k.height() - 90),
+            k.anchor('center'),
+            k.color(...getUIColors().TEXT_SECONDARY),
+            k.z(UI_Z_LAYERS.OVERLAY + 1)
+        ]);
+
+        // Selection outline
+        const selectionBox = k.add([
+            k.rect(1, 1, { fill: false }),
+            k.pos(0, 0),
+            k.anchor('center'),
+            k.outline(2, k.rgb(...getUIColors().BORDER_ACTIVE)),
+            k.opacity(0),
+            k.z(UI_Z_LAYERS.UI_ELEMENTS)
+        ]);
+
+        function redrawPieces() {
+            k.destroyAll('editorPiece');
+
+            const floorColors = getFloorColors(k, draft.floorAffinity?.[0] ?? 1);
+            draft.obstacles.forEach(obs => {
+                const obstacle = createObstacle(
+                    k, obs.x, obs.y, obs.width, obs.height, obs.type, obs.char || '#',
+                    obs.type === 'wall' ? floorColors.obstacleColor : floorColors.coverColor
+                );
+                obstacle.tag('editorPiece');
+            });
+            draft.barrels.forEach(barrel => {
+                k.add([
+                    k.text(BARREL_CHAR, { size: 20 }),
+                    k.pos(barrel.x, barrel.y),
+                    k.anchor('center'),
+                    k.color(255, 120, 40),
+                    k.z(UI_Z_LAYERS.GAME_ENTITIES),
+                    'editorPiece'
+                ]);
+            });
+
+            const piece = getPiece(draft, selection);
+            if (piece) {
+                selectionBox.pos = k.vec2(piece.x, piece.y);
+                selectionBox.width = selection.kind === 'barrel' ? 24 : piece.width + 6;
+                selectionBox.height = selection.kind === 'barrel' ? 24 : piece.height + 6;
+                selectionBox.opacity = 1;
+            } else {
+                selection = null;
+                selectionBox.opacity = 0;
+            }
+        }
+
+        function refresh() {
+            issues = validateDraft(draft);
+            redrawPieces();
+
+            const affinity = draft.floorAffinity ? `floor ${draft.floorAffinity.join(',')}` : 'any floor';
+            const enemies = draft.playtestEnemies.join(', ') || 'none';
+            statusText.text = `ROOM EDITOR  ${draft.name} (${affinity})  Tool: ${TOOL_NAMES[tool]}  ` +
+                `Playtest: ${draft.playtestEnemyCount}x [${enemies}]  Pick: ${enemyTypes[enemyCursor]}`;
+
+            const errors = issues.filter(issue => issue.level === 'error').length;
+            const warnings = issues.length - errors;
+            issueText.text = issues.length === 0
+                ? '✓ Layout OK'
+                : `${errors} error(s), ${warnings} warning(s) - [V] details`;
+            issueText.color = k.rgb(...(errors > 0 ? getUIColors().ERROR : warnings > 0 ? getUIColors().WARNING : getUIColors().SUCCESS));
+
+            let lines = [];
+            if (showIssues) {
+                lines = issues.length > 0 ? issues.slice(0, 6).map(issue => `${issue.level === 'error' ? '✗' : '!'} ${issue.message}`) : ['No issues'];
+                if (issues.length > 6) lines.push(`...and ${issues.length - 6} more`);
+            } else if (showHelp) {
+                lines = HELP_LINES;
+            }
+            overlayText.text = lines.join('\n');
+            overlayBg.opacity = lines.length > 0 ? 0.85 : 0;
+        }
+
+        function setDraft(nextDraft) {
+            draft = nextDraft;
+            setEditorDraft(draft);
+            selection = null;
+            refresh();
+        }
+
+        // Mouse: place, select, drag and delete
+        k.onMousePress('left', () => {
+            if (exportPanel) return;
+            const mouse = k.mousePos();
+            const hit = findPieceAt(draft, mouse.x, mouse.y);
+
+            if (tool === 'erase') {
+                if (hit) {
+                    removePiece(draft, hit);
+                    selection = null;
+                    refresh();
+                }
+                return;
+            }
+
+            if (hit) {
+                selection = hit;
+                const piece = getPiece(draft, hit);
+                dragging = { offsetX: mouse.x - piece.x, offsetY: mouse.y - piece.y };
+            } else {
+                selection = addPiece(draft, tool, mouse.x, mouse.y);
+                playMenuNav();
+            }
+            refresh();
+        });
+
+        k.onMousePress('right', () => {
+            const mouse = k.mousePos();
+            const hit = findPieceAt(draft, mouse.x, mouse.y);
+            if (!hit) return;
+            removePiece(draft, hit);
+            selection = null;
+            refresh();
+        });
+
+        k.onMouseRelease('left', () => {
+            dragging = null;
+        });
+
+        k.onUpdate(() => {
+            if (!dragging || !selection) return;
+            const mouse = k.mousePos();
+            const piece = getPiece(draft, selection);
+            const x = mouse.x - dragging.offsetX;
+            const y = mouse.y - dragging.offsetY;
+            if (piece && (Math.abs(piece.x - x) >= 5 || Math.abs(piece.y - y) >= 5)) {
+                movePiece(draft, selection, x, y);
+                refresh();
+            }
+        });
+
+        // Tools
+        TOOLS.forEach((toolKey, index) => {
+            k.onKeyPress(String(index + 1), () => {
+                tool = toolKey;
+                playMenuNav();
+                refresh();
+            });
+        });
+
+        // Resize / rotate / delete the selection
+        const resizeKeys = { left: [-1, 0], right: [1, 0], up: [0, 1], down: [0, -1] };
+        Object.entries(resizeKeys).forEach(([key, [widthSteps, heightSteps]]) => {
+            k.onKeyPress(key, () => {
+                resizeObstacle(draft, selection, widthSteps, heightSteps);
+                refresh();
+            });
+        });
+        k.onKeyPress('r', () => {
+            const piece = selection?.kind === 'obstacle' ? getPiece(draft, selection) : null;
+            if (!piece) return;
+            [piece.width, piece.height] = [piece.height, piece.width];
+            refresh();
+        });
+        const deleteSelection = () => {
+            removePiece(draft, selection);
+            selection = null;
+            refresh();
+        };
+        k.onKeyPress('delete', deleteSelection);
+        k.onKeyPress('backspace', deleteSelection);
+
+        // Template metadata
+        k.onKeyPress('f', () => {
+            const current = FLOOR_AFFINITY_CYCLE.findIndex(option => JSON.stringify(option) === JSON.stringify(draft.floorAffinity));
+            draft.floorAffinity = FLOOR_AFFINITY_CYCLE[(current + 1) % FLOOR_AFFINITY_CYCLE.length];
+            refresh();
+        });
+        k.onKeyPress('m', () => {
+            const name = typeof window !== 'undefined' && window.prompt ? window.prompt('Room name', draft.name) : null;
+            if (!name) return;
+            draft.name = name;
+            draft.key = toTemplateKey(name);
+            refresh();
+        });
+        k.onKeyPress('n', () => {
+            playMenuNav();
+            setDraft(createEmptyDraft());
+        });
+        k.onKeyPress('l', () => {
+            const keys = Object.keys(ROOM_TEMPLATES);
+            templateCursor = (templateCursor + 1) % keys.length;
+            playMenuNav();
+            setDraft(createDraftFromTemplate(keys[templateCursor]));
+        });
+
+        // Playtest enemies
+        k.onKeyPress('[', () => {
+            enemyCursor = (enemyCursor - 1 + enemyTypes.length) % enemyTypes.length;
+            refresh();
+        });
+        k.onKeyPress(']', () => {
+            enemyCursor = (enemyCursor + 1) % enemyTypes.length;
+            refresh();
+        });
+        k.onKeyPress('space', () => {
+            const type = enemyTypes[enemyCursor];
+            draft.playtestEnemies = draft.playtestEnemies.includes(type)
+                ? draft.playtestEnemies.filter(existing => existing !== type)
+                : [...draft.playtestEnemies, type];
+            refresh();
+        });
+        k.onKeyPress('-', () => {
+            draft.playtestEnemyCount = Math.max(1, draft.playtestEnemyCount - 2);
+            refresh();
+        });
+        k.onKeyPress('=', () => {
+            draft.playtestEnemyCount = Math.min(60, draft.playtestEnemyCount + 2);
+            refresh();
+        });
+
+        // Panels
+        k.onKeyPress('v', () => {
+            showIssues = !showIssues;
+            refresh();
+        });
+        k.onKeyPress('h', () => {
+            showHelp = !showHelp;
+            showIssues = false;
+            refresh();
+        });
+
+        // Export: copy the template source, and show it
+        k.onKeyPress('e', () => {
+            if (exportPanel) {
+                exportPanel.destroy();
+                exportPanel = null;
+                return;
+            }
+            const source = exportTemplate(draft);
+            console.log(`[RoomEditor] Paste into ROOM_TEMPLATES:\n${source}`);
+            navigator.clipboard?.writeText(source).catch(() => {});
+            playMenuSelect();
+
+            exportPanel = k.add([
+                k.rect(k.width() - 80, k.height() - 80),
+                k.pos(k.width() / 2, k.height() / 2),
+                k.anchor('center'),
+                k.color(...getUIColors().BG_DARK),
+                k.opacity(0.95),
+                k.outline(2, k.rgb(...getUIColors().BORDER)),
+                k.z(UI_Z_LAYERS.MODAL)
+            ]);
+            exportPanel.add([
+                k.text(`Copied to clipboard (also in the console) - [E] close\n\n${source}`, { size: scaleTextSize(UI_TEXT_SIZES.MICRO), width: k.width() - 110 }),
+                k.pos(-(k.width() - 110) / 2, -(k.height() - 110) / 2),
+                k.color(...getUIColors().TEXT_PRIMARY)
+            ]);
+        });
+
+        // Playtest the draft in the real game scene
+        k.onKeyPress('p', () => {
+            playMenuSelect();
+            startRoomPlaytest(draft);
+            k.go('game', { resetState: true });
+        });
+
+        k.onKeyPress('escape', () => {
+            if (exportPanel) {
+                exportPanel.destroy();
+                exportPanel = null;
+                return;
+            }
+            playMenuNav();
+            k.go('menu');
+        });
+
+        refresh();
+    });
+}
@@ -2,11 +2,15 @@
 // Note: saveSettings is intentionally not imported - updateSetting() and resetSettings()
 // both persist to localStorage internally, so no explicit save call is needed here.
 import { getSettings, updateSetting, resetSettings } from '../systems/settings.js';
+import { applyAccessibilitySettings, COLORBLIND_MODES, getUIColors, scaleTextSize } from '../systems/accessibility.js';
+import { INPUT_ACTIONS, getActionButtons, formatActionKeys, formatBindingName, findBindingConflict, setActionBinding, reloadBindings } from '../systems/keyBindings.js';
 import { setMusicVolume, setMasterVolume, setSfxVolume, setUiSoundsEnabled, setCombatSoundsEnabled, playMenuNav } from '../systems/sounds.js';
+import { exportSaveString, importSaveData, IMPORT_ERROR_MESSAGES } from '../systems/saveTransfer.js';
+import { resetSave } from '../systems/metaProgression.js';
+import { createMenuNavigation, getMenuNavigation } from '../systems/menuNavigation.js';
 import {
     UI_SIZES,
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_Z_LAYERS,
     createMenuParticles,
     createAnimatedTitle
@@ -41,8 +45,8 @@ function showResetConfirmationDialog(k, onConfirm, options = {}) {
         k.rect(dialogWidth, dialogHeight),
         k.pos(k.width() / 2, k.height() / 2),
         k.anchor('center'),
-        k.color(...UI_COLORS.BG_MEDIUM),
-        k.outline(3, k.rgb(...UI_COLORS.BORDER)),
+        k.color(...getUIColors().BG_MEDIUM),
+        k.outline(3, k.rgb(...getUIColors().BORDER)),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 1)
     ]);
@@ -51,8 +55,13 @@ function showResetConfirmationDialog(k, onConfirm, options = {}) {
     // Store dialog entities for cleanup
     const dialogEntities = [];
 
+    // Gamepad focus stays in the dialog until it closes; B cancels
+    const nav = getMenuNavigation();
+    const popNavigationLayer = nav?.pushLayer({ onBack: () => closeDialog() });
+
     // Close function
     function closeDialog() {
+        if (popNavigationLayer) popNavigationLayer();
         dialogEntities.forEach(entity => {
             if (entity && entity.exists && entity.exists()) {
                 k.destroy(entity);
@@ -65,25 +74,24 @@ function showResetConfirmationDialog(k, onConfirm, options = {}) {
         k.rect(100, 30),
         k.pos(k.width() / 2 - 60, k.height() / 2 + 50),
         k.anchor('center'),
-        k.color(...UI_COLORS.BG_MEDIUM),
-        k.outline(2, k.rgb(...UI_COLORS.TEXT_PRIMARY)),
+        k.color(...getUIColors().BG_MEDIUM),
+        k.outline(2, k.rgb(...getUIColors().TEXT_PRIMARY)),
         k.area(),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 2)
     ]);
 
     const cancelText = k.add([
-        k.text('Cancel', { size: UI_TEXT_SIZES.TINY }),
+        k.text('Cancel', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
         k.pos(k.width() / 2 - 60, k.height() / 2 + 50),
         k.anchor('center'),
-        k.color(...UI_COLORS.TEXT_PRIMARY),
+        k.color(...getUIColors().TEXT_PRIMARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 3)
     ]);
 
-    cancelButton.onClick(() => {
-        closeDialog();
-    });
+    cancelButton.onClick(closeDialog);
+    nav?.add(cancelButton, closeDialog, { initial: true });
     dialogEntities.push(overlay, dialogBg, cancelButton, cancelText);
 
     // Confirm button
@@ -99,7 +107,7 @@ function showResetConfirmationDialog(k, onConfirm, options = {}) {
     ]);
 
     const confirmText = k.add([
-        k.text(confirmLabel, { size: UI_TEXT_SIZES.TINY }),
+        k.text(confirmLabel, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
         k.pos(k.width() / 2 + 60, k.height() / 2 + 50),
         k.anchor('center'),
         k.color(255, 200, 200),
@@ -107,28 +115,30 @@ function showResetConfirmationDialog(k, onConfirm, options = {}) {
         k.z(UI_Z_LAYERS.OVERLAY + 3)
     ]);
 
-    confirmButton.onClick(() => {
+    const confirmDialog = () => {
         closeDialog();
         onConfirm();
-    });
+    };
+    confirmButton.onClick(confirmDialog);
+    nav?.add(confirmButton, confirmDialog);
     dialogEntities.push(confirmButton, confirmText);
 
     // Add title and message to cleanup list
     const titleText = k.add([
-        k.text(title, { size: UI_TEXT_SIZES.LABEL }),
+        k.text(title, { size: scaleTextSize(UI_TEXT_SIZES.LABEL) }),
         k.pos(k.width() / 2, k.height() / 2 - 50),
         k.anchor('center'),
-        k.color(...UI_COLORS.TEXT_PRIMARY),
+        k.color(...getUIColors().TEXT_PRIMARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 2)
     ]);
     dialogEntities.push(titleText);
 
     const messageText = k.add([
-        k.text(message, { size: UI_TEXT_SIZES.SMALL }),
+        k.text(message, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
         k.pos(k.width() / 2, k.height() / 2 - 10),
         k.anchor('center'),
-        k.color(...UI_COLORS.TEXT_SECONDARY),
+        k.color(...getUIColors().TEXT_SECONDARY),
         k.fixed(),
         k.z(UI_Z_LAYERS.OVERLAY + 2)
     ]);
@@ -146,14 +156,21 @@ export function setupSettingsScene(k) {
         const fromGame = args?.fromGame || false;
         
         let settings = getSettings();
-        let currentTab = 'audio'; // audio, video, gameplay, controls, access, data
+        let currentTab = args?.tab || 'audio'; // audio, video, gameplay, controls, access, data
+
+        // Gamepad focus navigation: B leaves, LB/RB switch tab
+        const nav = createMenuNavigation(k, {
+            onBack: () => leaveSettings(),
+            onPrevTab: () => switchTab(-1),
+            onNextTab: () => switchTab(1)
+        });
 
         // Background
         k.add([
             k.rect(k.width(), k.height()),
             k.pos(0, 0),
             k.anchor('topleft'),
-            k.color(...UI_COLORS.BG_DARK),
+            k.color(...getUIColors().BG_DARK),
             k.fixed(),
             k.z(UI_Z_LAYERS.BACKGROUND)
         ]);
@@ -194,46 +211,55 @@ export function setupSettingsScene(k) {
                 k.rect(tabWidth, tabHeight),
                 k.pos(tabX, tabY),
                 k.anchor('center'),
-                k.color(...(isActive ? UI_COLORS.SECONDARY : UI_COLORS.BG_MEDIUM)),
-                k.outline(isActive ? 3 : 2, k.rgb(...(isActive ? UI_COLORS.BORDER_ACTIVE : UI_COLORS.BORDER))),
+                k.color(...(isActive ? getUIColors().SECONDARY : getUIColors().BG_MEDIUM)),
+                k.outline(isActive ? 3 : 2, k.rgb(...(isActive ? getUIColors().BORDER_ACTIVE : getUIColors().BORDER))),
                 k.area(),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS)
             ]);
 
             const tabLabel = k.add([
-                k.text(tab.label, { size: UI_TEXT_SIZES.BODY }),
+                k.text(tab.label, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(tabX, tabY),
                 k.anchor('center'),
-                k.color(...(isActive ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_TERTIARY)),
+                k.color(...(isActive ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_TERTIARY)),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
 
-            tabBg.onClick(() => {
-                currentTab = tab.key;
-                refreshSettings();
-            });
+            nav.onClick(tabBg, () => selectTab(tab.key));
 
             // Hover feedback: brighten + pointer cursor (mirrors profile.js pattern).
             // Skip recoloring the active tab so the selected state stays visible.
             tabBg.onHoverUpdate(() => {
                 k.setCursor('pointer');
                 if (currentTab !== tab.key) {
-                    tabBg.color = k.rgb(...UI_COLORS.SECONDARY_HOVER);
-                    tabBg.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
+                    tabBg.color = k.rgb(...getUIColors().SECONDARY_HOVER);
+                    tabBg.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
                 }
             });
             tabBg.onHoverEnd(() => {
                 k.setCursor('default');
                 if (currentTab !== tab.key) {
-                    tabBg.color = k.rgb(...UI_COLORS.BG_MEDIUM);
-                    tabBg.outline.color = k.rgb(...UI_COLORS.BORDER);
+                    tabBg.color = k.rgb(...getUIColors().BG_MEDIUM);
+                    tabBg.outline.color = k.rgb(...getUIColors().BORDER);
                 }
             });
 
             tabButtons.push({ bg: tabBg, label: tabLabel, key: tab.key });
         });
+
+        function selectTab(key) {
+            currentTab = key;
+            capturingBinding = null;
+            refreshSettings();
+        }
+
+        function switchTab(step) {
+            const index = tabs.findIndex(tab => tab.key === currentTab);
+            playMenuNav();
+            selectTab(tabs[(index + step + tabs.length) % tabs.length].key);
+        }
         
         // Content area
         const contentY = 120;
@@ -248,12 +274,18 @@ export function setupSettingsScene(k) {
             // active tab uses brighter, thicker BORDER_ACTIVE outline)
             tabButtons.forEach(tab => {
                 const isActive = currentTab === tab.key;
-                tab.bg.color = k.rgb(...(isActive ? UI_COLORS.SECONDARY : UI_COLORS.BG_MEDIUM));
+                tab.bg.color = k.rgb(...(isActive ? getUIColors().SECONDARY : getUIColors().BG_MEDIUM));
                 tab.bg.outline.width = isActive ? 3 : 2;
-                tab.bg.outline.color = k.rgb(...(isActive ? UI_COLORS.BORDER_ACTIVE : UI_COLORS.BORDER));
-                tab.label.color = k.rgb(...(isActive ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_TERTIARY));
+                tab.bg.outline.color = k.rgb(...(isActive ? getUIColors().BORDER_ACTIVE : getUIColors().BORDER));
+                tab.label.color = k.rgb(...(isActive ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_TERTIARY));
             });
             
+            // A finished or cancelled capture hands gamepad focus back
+            if (!capturingBinding && popCaptureLayer) {
+                popCaptureLayer();
+                popCaptureLayer = null;
+            }
+
             // Clear existing items
             settingsItems.forEach(item => {
                 if (item.exists()) k.destroy(item);
@@ -332,70 +364,59 @@ export function setupSettingsScene(k) {
                 });
 
             } else if (currentTab === 'controls') {
-                // Display current key bindings
-                const controls = settings.controls || {};
-                
-                const controlLabels = [
-                    { label: 'Move Up', key: 'moveUp', value: controls.moveUp || 'w' },
-                    { label: 'Move Down', key: 'moveDown', value: controls.moveDown || 's' },
-                    { label: 'Move Left', key: 'moveLeft', value: controls.moveLeft || 'a' },
-                    { label: 'Move Right', key: 'moveRight', value: controls.moveRight || 'd' },
-                    { label: 'Pause', key: 'pause', value: controls.pause || 'escape' },
-                    { label: 'Interact', key: 'interact', value: controls.interact || 'space' }
-                ];
-                
-                controlLabels.forEach((control, index) => {
-                    const y = startY + index * itemSpacing;
-                    
-                    // Label (moved left for consistency)
+                // Rebindable key bindings - click a key cap, then press the new key/button
+                const rowSpacing = 30; // Tighter than itemSpacing so every action fits
+                const keyCapX = 430;
+                const padCapX = 580;
+
+                // Column headers
+                const keyboardHeader = k.add([
+                    k.text('Keyboard', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+                    k.pos(keyCapX, startY - 12),
+                    k.anchor('center'),
+                    k.color(...getUIColors().TEXT_TERTIARY),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_ELEMENTS)
+                ]);
+                const gamepadHeader = k.add([
+                    k.text('Gamepad', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+                    k.pos(padCapX, startY - 12),
+                    k.anchor('center'),
+                    k.color(...getUIColors().TEXT_TERTIARY),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_ELEMENTS)
+                ]);
+                settingsItems.push(keyboardHeader, gamepadHeader);
+
+                Object.entries(INPUT_ACTIONS).forEach(([action, def], index) => {
+                    const y = startY + 12 + index * rowSpacing;
+
                     const labelText = k.add([
-                        k.text(control.label + ':', { size: UI_TEXT_SIZES.BODY }),
+                        k.text(def.label + ':', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                         k.pos(150, y),
                         k.anchor('left'),
                         k.color(200, 200, 200),
                         k.fixed(),
                         k.z(UI_Z_LAYERS.UI_ELEMENTS)
                     ]);
+                    settingsItems.push(labelText);
 
-                    // Key display - read-only (remapping not yet supported).
-                    // Dimmed (BG_DISABLED / TEXT_DISABLED) and intentionally non-interactive
-                    // so it doesn't look like a clickable button. No k.area().
-                    const keyDisplay = k.add([
-                        k.rect(100, 30),
-                        k.pos(500, y),
-                        k.anchor('center'),
-                        k.color(...UI_COLORS.BG_DISABLED),
-                        k.outline(2, k.rgb(...UI_COLORS.TEXT_DISABLED)),
-                        k.fixed(),
-                        k.z(UI_Z_LAYERS.UI_ELEMENTS)
-                    ]);
-
-                    const keyText = k.add([
-                        k.text(control.value.toUpperCase(), { size: UI_TEXT_SIZES.BODY }),
-                        k.pos(500, y),
-                        k.anchor('center'),
-                        k.color(...UI_COLORS.TEXT_DISABLED),
-                        k.fixed(),
-                        k.z(UI_Z_LAYERS.UI_TEXT)
-                    ]);
-
-                    settingsItems.push(labelText, keyDisplay, keyText);
+                    addKeyCap(action, 'keyboard', keyCapX, y, formatActionKeys(action));
+                    const buttons = getActionButtons(action);
+                    addKeyCap(action, 'gamepad', padCapX, y, buttons.length > 0 ? buttons.map(formatBindingName).join(' / ') : '—');
                 });
 
-                // Note about remapping - always shown so the read-only key caps are explained.
-                const maxContentY = startY + controlLabels.length * itemSpacing;
-                {
-                    const noteText = k.add([
-                        k.text('(Key remapping coming soon)', { size: UI_TEXT_SIZES.TINY }),
-                        k.pos(k.width() / 2, maxContentY + 20),
-                        k.anchor('center'),
-                        k.color(150, 150, 150),
-                        k.fixed(),
-                        k.z(UI_Z_LAYERS.UI_ELEMENTS)
-                    ]);
-                    settingsItems.push(noteText);
-                }
-                
+                // Capture status / conflict messages
+                bindingStatusText = k.add([
+                    k.text(bindingStatusMessage.text, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+                    k.pos(k.width() / 2, startY + 12 + Object.keys(INPUT_ACTIONS).length * rowSpacing),
+                    k.anchor('center'),
+                    k.color(...bindingStatusMessage.color),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.UI_ELEMENTS)
+                ]);
+                settingsItems.push(bindingStatusText);
+
             } else if (currentTab === 'gameplay') {
                 // Auto-pause on level up
                 currentY = addToggle(k, 'Auto-pause on Level Up', settings.gameplay?.autoPause || false, currentY, (value) => {
@@ -412,6 +433,11 @@ export function setupSettingsScene(k) {
                     updateSetting('gameplay', 'autoPickupXP', value);
                 });
 
+                // Auto-pickup Health
+                currentY = addToggle(k, 'Auto-pickup Health', settings.gameplay?.autoPickupHealth || false, currentY, (value) => {
+                    updateSetting('gameplay', 'autoPickupHealth', value);
+                });
+
                 // Confirm Before Quit
                 currentY = addToggle(k, 'Confirm Before Quit', settings.gameplay?.confirmBeforeQuit !== false, currentY, (value) => {
                     updateSetting('gameplay', 'confirmBeforeQuit', value);
@@ -422,6 +448,11 @@ export function setupSettingsScene(k) {
                     updateSetting('gameplay', 'skipIntroAnimation', value);
                 });
 
+                // Chat Profanity Filter
+                currentY = addToggle(k, 'Chat Profanity Filter', settings.gameplay?.chatProfanityFilter !== false, currentY, (value) => {
+                    updateSetting('gameplay', 'chatProfanityFilter', value);
+                });
+
             } else if (currentTab === 'access') {
                 // Accessibility tab
 
@@ -435,13 +466,38 @@ export function setupSettingsScene(k) {
                     k.text('Disables particles, screen shake, and hit freeze effects', { size: 12 }),
                     k.pos(k.width() / 2, currentY + 10),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_SECONDARY),
+                    k.color(...getUIColors().TEXT_SECONDARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
                 settingsItems.push(infoText);
                 currentY += 40;
 
+                // Palette and text size changes are read when UI is built, so rebuild the
+                // scene (staying on this tab) to show them immediately
+                const reapplyAccessibility = () => {
+                    applyAccessibilitySettings();
+                    k.go('settings', { fromGame, tab: 'access' });
+                };
+
+                // Colorblind Mode - remaps enemy, elite, pickup and UI colors
+                currentY = addCycle(k, 'Colorblind Mode', COLORBLIND_MODES, settings.accessibility?.colorblindMode || 'off', currentY, (value) => {
+                    updateSetting('accessibility', 'colorblindMode', value);
+                    reapplyAccessibility();
+                });
+
+                // High Contrast - swaps in the high contrast UI palette
+                currentY = addToggle(k, 'High Contrast', settings.accessibility?.highContrast || false, currentY, (value) => {
+                    updateSetting('accessibility', 'highContrast', value);
+                    reapplyAccessibility();
+                });
+
+                // Large Text - scales menu and HUD text
+                currentY = addToggle(k, 'Large Text', settings.accessibility?.largeText || false, currentY, (value) => {
+                    updateSetting('accessibility', 'largeText', value);
+                    reapplyAccessibility();
+                });
+
             } else if (currentTab === 'data') {
                 // Data management tab
 
@@ -450,18 +506,18 @@ export function setupSettingsScene(k) {
                     k.rect(200, 35),
                     k.pos(k.width() / 2, currentY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.BG_MEDIUM),
-                    k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+                    k.color(...getUIColors().BG_MEDIUM),
+                    k.outline(2, k.rgb(...getUIColors().BORDER)),
                     k.area(),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_ELEMENTS)
                 ]);
 
                 const exportText = k.add([
-                    k.text('Export Save Data', { size: UI_TEXT_SIZES.SMALL }),
+                    k.text('Export Save Data', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(k.width() / 2, currentY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_PRIMARY),
+                    k.color(...getUIColors().TEXT_PRIMARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -472,27 +528,28 @@ export function setupSettingsScene(k) {
                 // Hover feedback (mirrors profile.js): brighten + pointer cursor
                 exportButton.onHoverUpdate(() => {
                     k.setCursor('pointer');
-                    exportButton.color = k.rgb(...UI_COLORS.BG_LIGHT);
+                    exportButton.color = k.rgb(...getUIColors().BG_LIGHT);
                 });
                 exportButton.onHoverEnd(() => {
                     k.setCursor('default');
-                    exportButton.color = k.rgb(...UI_COLORS.BG_MEDIUM);
+                    exportButton.color = k.rgb(...getUIColors().BG_MEDIUM);
                 });
 
-                exportButton.onClick(() => {
+                nav.onClick(exportButton, () => {
                     try {
-                        const saveData = localStorage.getItem('superSmashTexty_save') || '{}';
+                        // Save, settings and tutorial progress as one checksummed code
+                        const saveData = exportSaveString();
                         // Check if clipboard API is available
                         if (navigator.clipboard && navigator.clipboard.writeText) {
                             navigator.clipboard.writeText(saveData).then(() => {
                                 if (exportStatusText && exportStatusText.exists()) {
                                     exportStatusText.text = 'Copied to clipboard!';
-                                    exportStatusText.color = k.rgb(...UI_COLORS.SUCCESS);
+                                    exportStatusText.color = k.rgb(...getUIColors().SUCCESS);
                                 }
                             }).catch(() => {
                                 if (exportStatusText && exportStatusText.exists()) {
                                     exportStatusText.text = 'Failed to copy';
-                                    exportStatusText.color = k.rgb(...UI_COLORS.DANGER);
+                                    exportStatusText.color = k.rgb(...getUIColors().DANGER);
                                 }
                             });
                         } else {
@@ -500,7 +557,7 @@ export function setupSettingsScene(k) {
                             console.log('Save data:', saveData);
                             if (exportStatusText && exportStatusText.exists()) {
                                 exportStatusText.text = 'Check browser console (F12)';
-                                exportStatusText.color = k.rgb(...UI_COLORS.TEXT_SECONDARY);
+                                exportStatusText.color = k.rgb(...getUIColors().TEXT_SECONDARY);
                             }
                         }
                     } catch (e) {
@@ -512,10 +569,10 @@ export function setupSettingsScene(k) {
 
                 // Status text for export
                 exportStatusText = k.add([
-                    k.text('', { size: UI_TEXT_SIZES.TINY }),
+                    k.text('', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
                     k.pos(k.width() / 2, currentY - 10),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_SECONDARY),
+                    k.color(...getUIColors().TEXT_SECONDARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -527,18 +584,18 @@ export function setupSettingsScene(k) {
                     k.rect(200, 35),
                     k.pos(k.width() / 2, currentY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.BG_MEDIUM),
-                    k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+                    k.color(...getUIColors().BG_MEDIUM),
+                    k.outline(2, k.rgb(...getUIColors().BORDER)),
                     k.area(),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_ELEMENTS)
                 ]);
 
                 const importText = k.add([
-                    k.text('Import Save Data', { size: UI_TEXT_SIZES.SMALL }),
+                    k.text('Import Save Data', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(k.width() / 2, currentY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_PRIMARY),
+                    k.color(...getUIColors().TEXT_PRIMARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -546,11 +603,11 @@ export function setupSettingsScene(k) {
                 // Hover feedback (mirrors profile.js): brighten + pointer cursor
                 importButton.onHoverUpdate(() => {
                     k.setCursor('pointer');
-                    importButton.color = k.rgb(...UI_COLORS.BG_LIGHT);
+                    importButton.color = k.rgb(...getUIColors().BG_LIGHT);
                 });
                 importButton.onHoverEnd(() => {
                     k.setCursor('default');
-                    importButton.color = k.rgb(...UI_COLORS.BG_MEDIUM);
+                    importButton.color = k.rgb(...getUIColors().BG_MEDIUM);
                 });
 
                 // Reads clipboard and overwrites the current save. Reports to importStatusText.
@@ -559,35 +616,27 @@ export function setupSettingsScene(k) {
                     if (!navigator.clipboard || !navigator.clipboard.readText) {
                         if (importStatusText && importStatusText.exists()) {
                             importStatusText.text = 'Clipboard not available';
-                            importStatusText.color = k.rgb(...UI_COLORS.DANGER);
+                            importStatusText.color = k.rgb(...getUIColors().DANGER);
                         }
                         return;
                     }
                     navigator.clipboard.readText().then((text) => {
-                        try {
-                            const data = JSON.parse(text);
-                            if (data && typeof data === 'object') {
-                                localStorage.setItem('superSmashTexty_save', text);
-                                if (importStatusText && importStatusText.exists()) {
-                                    importStatusText.text = 'Import successful! Refresh to apply.';
-                                    importStatusText.color = k.rgb(...UI_COLORS.SUCCESS);
-                                }
-                            }
-                        } catch (e) {
-                            if (importStatusText && importStatusText.exists()) {
-                                importStatusText.text = 'Invalid save data';
-                                importStatusText.color = k.rgb(...UI_COLORS.DANGER);
-                            }
+                        const result = importSaveData(text);
+                        if (importStatusText && importStatusText.exists()) {
+                            importStatusText.text = result.success
+                                ? 'Import successful! Refresh to apply.'
+                                : IMPORT_ERROR_MESSAGES[result.reason];
+                            importStatusText.color = k.rgb(...(result.success ? getUIColors().SUCCESS : getUIColors().DANGER));
                         }
                     }).catch(() => {
                         if (importStatusText && importStatusText.exists()) {
                             importStatusText.text = 'Failed to read clipboard';
-                            importStatusText.color = k.rgb(...UI_COLORS.DANGER);
+                            importStatusText.color = k.rgb(...getUIColors().DANGER);
                         }
                     });
                 };
 
-                importButton.onClick(() => {
+                nav.onClick(importButton, () => {
                     // Importing overwrites the existing save - gate it behind a confirmation,
                     // same as the destructive Reset action below.
                     showResetConfirmationDialog(k, performImport, {
@@ -601,10 +650,10 @@ export function setupSettingsScene(k) {
 
                 // Status text for import (its own line, under the Import button)
                 importStatusText = k.add([
-                    k.text('', { size: UI_TEXT_SIZES.TINY }),
+                    k.text('', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
                     k.pos(k.width() / 2, currentY - 10),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_SECONDARY),
+                    k.color(...getUIColors().TEXT_SECONDARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -616,18 +665,18 @@ export function setupSettingsScene(k) {
                     k.rect(200, 35),
                     k.pos(k.width() / 2, currentY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.DANGER),
-                    k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+                    k.color(...getUIColors().DANGER),
+                    k.outline(2, k.rgb(...getUIColors().BORDER)),
                     k.area(),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_ELEMENTS)
                 ]);
 
                 const resetProgressText = k.add([
-                    k.text('Reset All Progress', { size: UI_TEXT_SIZES.SMALL }),
+                    k.text('Reset All Progress', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                     k.pos(k.width() / 2, currentY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.TEXT_PRIMARY),
+                    k.color(...getUIColors().TEXT_PRIMARY),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_TEXT)
                 ]);
@@ -635,20 +684,20 @@ export function setupSettingsScene(k) {
                 // Hover feedback (mirrors profile.js): brighten + pointer cursor
                 resetProgressButton.onHoverUpdate(() => {
                     k.setCursor('pointer');
-                    resetProgressButton.color = k.rgb(...UI_COLORS.DANGER_HOVER);
+                    resetProgressButton.color = k.rgb(...getUIColors().DANGER_HOVER);
                 });
                 resetProgressButton.onHoverEnd(() => {
                     k.setCursor('default');
-                    resetProgressButton.color = k.rgb(...UI_COLORS.DANGER);
+                    resetProgressButton.color = k.rgb(...getUIColors().DANGER);
                 });
 
-                resetProgressButton.onClick(() => {
+                nav.onClick(resetProgressButton, () => {
                     // Double-confirm for dangerous action
                     showResetConfirmationDialog(k, () => {
-                        localStorage.removeItem('superSmashTexty_save');
+                        resetSave();
                         if (exportStatusText && exportStatusText.exists()) {
                             exportStatusText.text = 'Progress reset! Refresh to apply.';
-                            exportStatusText.color = k.rgb(...UI_COLORS.SUCCESS);
+                            exportStatusText.color = k.rgb(...getUIColors().SUCCESS);
                         }
                     });
                 });
@@ -660,7 +709,7 @@ export function setupSettingsScene(k) {
                     k.text('Warning: Reset cannot be undone!', { size: 10 }),
                     k.pos(k.width() / 2, currentY),
                     k.anchor('center'),
-                    k.color(...UI_COLORS.DANGER),
+                    k.color(...getUIColors().DANGER),
                     k.fixed(),
                     k.z(UI_Z_LAYERS.UI_ELEMENTS)
                 ]);
@@ -750,7 +799,7 @@ export function setupSettingsScene(k) {
             handle.onHoverUpdate(() => {
                 k.setCursor('pointer');
                 handle.color = k.rgb(...handleHoverColor);
-                handle.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
+                handle.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
             });
             handle.onHoverEnd(() => {
                 k.setCursor('default');
@@ -779,6 +828,11 @@ export function setupSettingsScene(k) {
                 const newValue = Math.max(0, Math.min(1, localX / trackWidth));
                 updateSlider(newValue);
             });
+            // Gamepad: left/right on the focused slider step it by 5%
+            nav.add(track, null, {
+                id: `slider-${label}`,
+                onAdjust: (step) => updateSlider(Math.max(0, Math.min(1, Math.round((value + step * 0.05) * 20) / 20)))
+            });
             
             handle.onClick(() => {
                 dragging = true;
@@ -801,6 +855,7 @@ export function setupSettingsScene(k) {
             });
             
             function updateSlider(newValue) {
+                value = newValue;
                 const newFillWidth = trackWidth * newValue;
                 fill.width = newFillWidth;
                 fill.pos.x = 500 - (trackWidth - newFillWidth) / 2;
@@ -836,14 +891,14 @@ export function setupSettingsScene(k) {
         // Helper function to add toggle
         function addToggle(k, label, value, y, onChange) {
             // On/off background colors driven by UI_COLORS (PRIMARY = on, DANGER = off)
-            const bgColorFor = (on) => on ? UI_COLORS.PRIMARY : UI_COLORS.DANGER;
-            const bgHoverFor = (on) => on ? UI_COLORS.PRIMARY_HOVER : UI_COLORS.DANGER_HOVER;
+            const bgColorFor = (on) => on ? getUIColors().PRIMARY : getUIColors().DANGER;
+            const bgHoverFor = (on) => on ? getUIColors().PRIMARY_HOVER : getUIColors().DANGER_HOVER;
             // ON label = SUCCESS, OFF label = TEXT_TERTIARY (exact token equivalents of prior values)
-            const textColorFor = (on) => on ? UI_COLORS.SUCCESS : UI_COLORS.TEXT_TERTIARY;
+            const textColorFor = (on) => on ? getUIColors().SUCCESS : getUIColors().TEXT_TERTIARY;
 
             // Label (moved left for more space, with max width to prevent overflow)
             const labelText = k.add([
-                k.text(label + ':', { size: UI_TEXT_SIZES.BODY, width: 280 }),
+                k.text(label + ':', { size: scaleTextSize(UI_TEXT_SIZES.BODY), width: 280 }),
                 k.pos(150, y),
                 k.anchor('left'),
                 k.color(200, 200, 200),
@@ -882,7 +937,7 @@ export function setupSettingsScene(k) {
             // Toggle text (positioned based on current state)
             const textX = value ? toggleX - 12 : toggleX + 8;
             const toggleText = k.add([
-                k.text(value ? 'ON' : 'OFF', { size: UI_TEXT_SIZES.TINY }),
+                k.text(value ? 'ON' : 'OFF', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
                 k.pos(textX, y),
                 k.anchor('center'),
                 k.color(...textColorFor(value)),
@@ -894,7 +949,7 @@ export function setupSettingsScene(k) {
             toggleBg.onHoverUpdate(() => {
                 k.setCursor('pointer');
                 toggleBg.color = k.rgb(...bgHoverFor(value));
-                toggleBg.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
+                toggleBg.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
             });
             toggleBg.onHoverEnd(() => {
                 k.setCursor('default');
@@ -903,7 +958,7 @@ export function setupSettingsScene(k) {
             });
 
             // Click handler
-            toggleBg.onClick(() => {
+            nav.onClick(toggleBg, () => {
                 const newValue = !value;
                 value = newValue; // Update local value for text positioning
                 toggleBg.color = k.rgb(...bgColorFor(newValue));
@@ -912,12 +967,172 @@ export function setupSettingsScene(k) {
                 toggleText.pos.x = newValue ? toggleX - 12 : toggleX + 8;
                 toggleText.color = k.rgb(...textColorFor(newValue));
                 onChange(newValue);
-            });
+            }, { id: `toggle-${label}` });
 
             settingsItems.push(labelText, toggleBg, toggleHandle, toggleText);
             return y + itemSpacing;
         }
         
+        // Key binding capture state (Controls tab)
+        let capturingBinding = null; // { action, device } while waiting for a key/button
+        let popCaptureLayer = null; // Pops the empty navigation layer that parks gamepad focus during a capture
+        let bindingStatusText = null;
+        const defaultBindingStatus = { text: 'Click a binding, then press the new key or button', color: getUIColors().TEXT_TERTIARY };
+        let bindingStatusMessage = defaultBindingStatus;
+
+        function setBindingStatus(text, color) {
+            bindingStatusMessage = { text, color };
+            if (bindingStatusText && bindingStatusText.exists()) {
+                bindingStatusText.text = text;
+                bindingStatusText.color = k.rgb(...color);
+            }
+        }
+
+        // Helper function to add a clickable key cap that starts the capture flow
+        function addKeyCap(action, device, x, y, label) {
+            const keyCap = k.add([
+                k.rect(130, 26),
+                k.pos(x, y),
+                k.anchor('center'),
+                k.color(...getUIColors().BG_MEDIUM),
+                k.outline(2, k.rgb(...getUIColors().BORDER)),
+                k.area(),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_ELEMENTS)
+            ]);
+
+            const keyCapText = k.add([
+                k.text(label, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+                k.pos(x, y),
+                k.anchor('center'),
+                k.color(...getUIColors().TEXT_PRIMARY),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT)
+            ]);
+
+            // Hover feedback (mirrors profile.js): brighten + pointer cursor
+            keyCap.onHoverUpdate(() => {
+                k.setCursor('pointer');
+                keyCap.color = k.rgb(...getUIColors().BG_LIGHT);
+                keyCap.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
+            });
+            keyCap.onHoverEnd(() => {
+                k.setCursor('default');
+                if (capturingBinding?.action === action && capturingBinding?.device === device) return;
+                keyCap.color = k.rgb(...getUIColors().BG_MEDIUM);
+                keyCap.outline.color = k.rgb(...getUIColors().BORDER);
+            });
+
+            nav.onClick(keyCap, () => {
+                // Restore any other cap that was waiting for input
+                if (capturingBinding) capturingBinding.restore();
+                capturingBinding = {
+                    action,
+                    device,
+                    startTime: k.time(),
+                    restore: () => {
+                        keyCapText.text = label;
+                        keyCap.color = k.rgb(...getUIColors().BG_MEDIUM);
+                        keyCap.outline.color = k.rgb(...getUIColors().BORDER);
+                    }
+                };
+                keyCapText.text = device === 'gamepad' ? 'Press button...' : 'Press key...';
+                keyCap.outline.color = k.rgb(...getUIColors().BORDER_ACTIVE);
+                const cancelHint = action === 'pause' ? 'click elsewhere to cancel' : 'Esc to cancel';
+                setBindingStatus(`Rebinding ${INPUT_ACTIONS[action].label} (${cancelHint})`, getUIColors().INFO);
+
+                // Park gamepad focus while waiting so the next press is the binding;
+                // B cancels a keyboard capture (on a gamepad capture B is a valid binding)
+                if (popCaptureLayer) popCaptureLayer();
+                popCaptureLayer = nav.pushLayer(device === 'keyboard' ? { onBack: cancelCapture } : {});
+            }, { id: `keyCap-${action}-${device}` });
+
+            settingsItems.push(keyCap, keyCapText);
+        }
+
+        // Apply a captured key/button, rejecting conflicts with other actions
+        function completeCapture(input, device) {
+            if (!capturingBinding || capturingBinding.device !== device) return;
+            const { action } = capturingBinding;
+            capturingBinding = null;
+
+            const conflict = findBindingConflict(action, input, device);
+            if (conflict) {
+                setBindingStatus(`${formatBindingName(input)} is already bound to ${INPUT_ACTIONS[conflict].label}`, getUIColors().ERROR);
+            } else if (!setActionBinding(action, input, device)) {
+                setBindingStatus(`${formatBindingName(input)} can't be bound`, getUIColors().ERROR);
+            } else {
+                setBindingStatus(`${INPUT_ACTIONS[action].label} bound to ${formatBindingName(input)}`, getUIColors().SUCCESS);
+            }
+            refreshSettings();
+        }
+
+        function cancelCapture() {
+            capturingBinding = null;
+            setBindingStatus(defaultBindingStatus.text, defaultBindingStatus.color);
+            refreshSettings();
+        }
+
+        // Helper function to add a selector that cycles through a list of options
+        function addCycle(k, label, options, value, y, onChange) {
+            const labelText = k.add([
+                k.text(label + ':', { size: scaleTextSize(UI_TEXT_SIZES.BODY), width: 280 }),
+                k.pos(150, y),
+                k.anchor('left'),
+                k.color(200, 200, 200),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_ELEMENTS)
+            ]);
+
+            // Wider than a toggle so the longest option name fits
+            const cycleX = 550;
+            const cycleBg = k.add([
+                k.rect(140, 30),
+                k.pos(cycleX, y),
+                k.anchor('center'),
+                k.color(...getUIColors().BG_MEDIUM),
+                k.outline(2, k.rgb(...getUIColors().BORDER)),
+                k.area(),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_ELEMENTS)
+            ]);
+
+            const formatOption = (option) => option.charAt(0).toUpperCase() + option.slice(1);
+            const cycleText = k.add([
+                k.text(`< ${formatOption(value)} >`, { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+                k.pos(cycleX, y),
+                k.anchor('center'),
+                k.color(...getUIColors().TEXT_PRIMARY),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.UI_TEXT)
+            ]);
+
+            // Hover feedback (mirrors profile.js): brighten + pointer cursor
+            cycleBg.onHoverUpdate(() => {
+                k.setCursor('pointer');
+                cycleBg.color = k.rgb(...getUIColors().BG_LIGHT);
+                cycleBg.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
+            });
+            cycleBg.onHoverEnd(() => {
+                k.setCursor('default');
+                cycleBg.color = k.rgb(...getUIColors().BG_MEDIUM);
+                cycleBg.outline.color = k.rgb(...getUIColors().BORDER);
+            });
+
+            // Click advances to the next option, wrapping around (left/right on a gamepad step either way)
+            const cycleOption = (step) => {
+                const index = options.indexOf(value);
+                value = options[(index + step + options.length) % options.length];
+                cycleText.text = `< ${formatOption(value)} >`;
+                onChange(value);
+            };
+            cycleBg.onClick(() => cycleOption(1));
+            nav.add(cycleBg, () => cycleOption(1), { id: `cycle-${label}`, onAdjust: cycleOption });
+
+            settingsItems.push(labelText, cycleBg, cycleText);
+            return y + itemSpacing;
+        }
+
         // Button sizes
         const { MD, SM } = UI_SIZES.BUTTON;
 
@@ -926,38 +1141,41 @@ export function setupSettingsScene(k) {
             k.rect(MD.width, MD.height),
             k.pos(k.width() / 2 + 80, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.DANGER),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().DANGER),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_ELEMENTS)
         ]);
 
         const resetText = k.add([
-            k.text('RESET', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('RESET', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2 + 80, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_PRIMARY),
+            k.color(...getUIColors().TEXT_PRIMARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
-        resetButton.onClick(() => {
+        nav.onClick(resetButton, () => {
             // Show confirmation dialog
             showResetConfirmationDialog(k, () => {
                 resetSettings();
-                refreshSettings();
+                reloadBindings();
+                // Accessibility defaults change the palette/text scale, so rebuild the scene
+                applyAccessibilitySettings();
+                k.go('settings', { fromGame, tab: currentTab });
             });
         });
 
         // Hover feedback (mirrors profile.js): brighten + pointer cursor
         resetButton.onHoverUpdate(() => {
             k.setCursor('pointer');
-            resetButton.color = k.rgb(...UI_COLORS.DANGER_HOVER);
+            resetButton.color = k.rgb(...getUIColors().DANGER_HOVER);
         });
         resetButton.onHoverEnd(() => {
             k.setCursor('default');
-            resetButton.color = k.rgb(...UI_COLORS.DANGER);
+            resetButton.color = k.rgb(...getUIColors().DANGER);
         });
 
         // Initial refresh
@@ -968,56 +1186,79 @@ export function setupSettingsScene(k) {
             k.rect(SM.width, SM.height),
             k.pos(k.width() / 2 - 80, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.NEUTRAL),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().NEUTRAL),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_ELEMENTS)
         ]);
 
         const backText = k.add([
-            k.text('BACK', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('BACK', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2 - 80, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
         // Esc hint under the BACK button (escape already exits the scene)
         k.add([
-            k.text('(Esc)', { size: UI_TEXT_SIZES.TINY }),
+            k.text('(Esc)', { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
             k.pos(k.width() / 2 - 80, k.height() - 12),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_TERTIARY),
+            k.color(...getUIColors().TEXT_TERTIARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
 
-        backButton.onClick(() => {
+        function leaveSettings() {
             if (fromGame) {
                 k.go('game');
             } else {
                 k.go('menu');
             }
-        });
+        }
+        nav.onClick(backButton, leaveSettings);
 
         // Hover feedback (mirrors profile.js): brighten + pointer cursor
         backButton.onHoverUpdate(() => {
             k.setCursor('pointer');
-            backButton.color = k.rgb(...UI_COLORS.NEUTRAL_HOVER);
+            backButton.color = k.rgb(...getUIColors().NEUTRAL_HOVER);
         });
         backButton.onHoverEnd(() => {
             k.setCursor('default');
-            backButton.color = k.rgb(...UI_COLORS.NEUTRAL);
+            backButton.color = k.rgb(...getUIColors().NEUTRAL);
         });
 
         k.onKeyPress('escape', () => {
-            if (fromGame) {
-                k.go('game');
-            } else {
-                k.go('menu');
+            // Escape is consumed by the key binding capture below
+            if (capturingBinding) return;
+            leaveSettings();
+        });
+
+        // Key binding capture - registered after the escape handler so a capture
+        // cancelled with Escape doesn't also leave the scene
+        k.onKeyPress((key) => {
+            if (!capturingBinding || capturingBinding.device !== 'keyboard') return;
+            // Escape cancels, except when rebinding Pause (so Escape can be restored)
+            if (key === 'escape' && capturingBinding.action !== 'pause') {
+                cancelCapture();
+                return;
             }
+            completeCapture(key, 'keyboard');
+        });
+        k.onGamepadButtonPress((button) => {
+            // Ignore the A press that started the capture from gamepad focus
+            if (capturingBinding?.startTime === k.time()) return;
+            completeCapture(button, 'gamepad');
+        });
+
+        // Clicking anywhere other than a key cap cancels a pending capture
+        k.onMousePress(() => {
+            if (!capturingBinding) return;
+            const hoveringKeyCap = settingsItems.some(item => item.isHovering && item.isHovering());
+            if (!hoveringKeyCap) cancelCapture();
         });
     });
 }
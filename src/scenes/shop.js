@@ -4,16 +4,17 @@ import { getUnlocksForCategory, getUnlockInfo, CHARACTER_UNLOCKS, WEAPON_UNLOCKS
 import { getAchievementById, getAchievementProgress } from '../data/achievements.js';
 import { showAchievementModal, isAchievementModalOpen } from '../components/achievementModal.js';
 import { playPurchaseSuccess, playPurchaseError, playMenuNav } from '../systems/sounds.js';
+import { createMenuNavigation } from '../systems/menuNavigation.js';
 import { Analytics } from '../utils/analytics.js';
 import {
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_Z_LAYERS,
     formatButtonText,
     createCreditIndicator,
     createMenuParticles,
     createAnimatedTitle
 } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
 
 export function setupShopScene(k) {
     k.scene('shop', () => {
@@ -34,13 +35,20 @@ export function setupShopScene(k) {
         
         // Current category tab
         let currentCategory = 'permanentUpgrades'; // Start with permanent upgrades since they're most useful
+
+        // Gamepad focus navigation: B leaves, LB/RB switch category
+        const nav = createMenuNavigation(k, {
+            onBack: () => k.go('menu'),
+            onPrevTab: () => switchCategory(-1),
+            onNextTab: () => switchCategory(1)
+        });
         
         // Background
         k.add([
             k.rect(k.width(), k.height()),
             k.pos(0, 0),
             k.anchor('topleft'),
-            k.color(...UI_COLORS.BG_DARK),
+            k.color(...getUIColors().BG_DARK),
             k.fixed(),
             k.z(UI_Z_LAYERS.BACKGROUND)
         ]);
@@ -81,31 +89,38 @@ export function setupShopScene(k) {
                 k.rect(tabWidth, tabHeight),
                 k.pos(tabX, tabY),
                 k.anchor('center'),
-                k.color(...(isActive ? UI_COLORS.SECONDARY : UI_COLORS.BG_MEDIUM)),
-                k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+                k.color(...(isActive ? getUIColors().SECONDARY : getUIColors().BG_MEDIUM)),
+                k.outline(2, k.rgb(...getUIColors().BORDER)),
                 k.area(),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS)
             ]);
 
             const tabLabel = k.add([
-                k.text(cat.label, { size: UI_TEXT_SIZES.BODY }),
+                k.text(cat.label, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(tabX, tabY),
                 k.anchor('center'),
-                k.color(...(isActive ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_TERTIARY)),
+                k.color(...(isActive ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_TERTIARY)),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
             
-            tabBg.onClick(() => {
-                playMenuNav();
-                currentCategory = cat.key;
-                currentPage = 0; // Reset to first page when switching tabs
-                refreshShop();
-            });
+            nav.onClick(tabBg, () => selectCategory(cat.key));
             
             tabButtons.push({ bg: tabBg, label: tabLabel, category: cat.key });
         });
+
+        function selectCategory(category) {
+            playMenuNav();
+            currentCategory = category;
+            currentPage = 0; // Reset to first page when switching tabs
+            refreshShop();
+        }
+
+        function switchCategory(step) {
+            const index = categories.findIndex(cat => cat.key === currentCategory);
+            selectCategory(categories[(index + step + categories.length) % categories.length].key);
+        }
         
         // Content area
         const contentY = 130;
@@ -136,7 +151,7 @@ export function setupShopScene(k) {
                 k.rect(toastWidth, toastHeight),
                 k.pos(toastX, toastY),
                 k.anchor('center'),
-                k.color(...UI_COLORS.BG_DARK),
+                k.color(...getUIColors().BG_DARK),
                 k.outline(2, k.rgb(...accentColor)),
                 k.opacity(0.95),
                 k.fixed(),
@@ -144,7 +159,7 @@ export function setupShopScene(k) {
             ]);
 
             const toastLabel = k.add([
-                k.text(message, { size: UI_TEXT_SIZES.SMALL }),
+                k.text(message, { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
                 k.pos(toastX, toastY),
                 k.anchor('center'),
                 k.color(...accentColor),
@@ -178,8 +193,8 @@ export function setupShopScene(k) {
             // strip doesn't shift colors on first refresh)
             tabButtons.forEach(tab => {
                 const isActive = currentCategory === tab.category;
-                tab.bg.color = k.rgb(...(isActive ? UI_COLORS.SECONDARY : UI_COLORS.BG_MEDIUM));
-                tab.label.color = k.rgb(...(isActive ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_TERTIARY));
+                tab.bg.color = k.rgb(...(isActive ? getUIColors().SECONDARY : getUIColors().BG_MEDIUM));
+                tab.label.color = k.rgb(...(isActive ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_TERTIARY));
             });
             
             // Update refund button visibility
@@ -657,10 +672,10 @@ export function setupShopScene(k) {
 
                     // Store achievement reference for closure
                     const achievementToShow = requiredAchievement;
-                    viewButtonBg.onClick(() => {
+                    nav.onClick(viewButtonBg, () => {
                         playMenuNav();
                         showAchievementModal(k, achievementToShow);
-                    });
+                    }, { id: `view-${key}` });
                     viewButtonBg.cursor = 'pointer';
 
                     unlockItems.push(viewButtonBg, viewButtonText);
@@ -680,10 +695,10 @@ export function setupShopScene(k) {
                     // Disabled gets a clearer dimmed treatment so it reads as inactive.
                     const enabledBgColor = [40, 120, 40];
                     const enabledOutlineColor = [80, 180, 80];
-                    const enabledTextColor = UI_COLORS.TEXT_PRIMARY; // [255,255,255]
-                    const disabledBgColor = UI_COLORS.BG_DISABLED; // [60,60,60]
-                    const disabledOutlineColor = UI_COLORS.NEUTRAL; // [100,100,120]
-                    const disabledTextColor = UI_COLORS.TEXT_DISABLED; // [100,100,100]
+                    const enabledTextColor = getUIColors().TEXT_PRIMARY; // [255,255,255]
+                    const disabledBgColor = getUIColors().BG_DISABLED; // [60,60,60]
+                    const disabledOutlineColor = getUIColors().NEUTRAL; // [100,100,120]
+                    const disabledTextColor = getUIColors().TEXT_DISABLED; // [100,100,100]
 
                     const baseBgColor = canPurchase ? enabledBgColor : disabledBgColor;
                     const baseOutlineColor = canPurchase ? enabledOutlineColor : disabledOutlineColor;
@@ -712,9 +727,9 @@ export function setupShopScene(k) {
                     // siblings) so it matches the rest of the card's interactive buttons.
                     if (canPurchase) {
                         buttonBg.onHover(() => {
-                            buttonBg.color = k.rgb(...UI_COLORS.PRIMARY_HOVER); // [120,220,120]
-                            buttonBg.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
-                            buttonText.color = k.rgb(...UI_COLORS.TEXT_PRIMARY);
+                            buttonBg.color = k.rgb(...getUIColors().PRIMARY_HOVER); // [120,220,120]
+                            buttonBg.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
+                            buttonText.color = k.rgb(...getUIColors().TEXT_PRIMARY);
                         });
                         buttonBg.onHoverEnd(() => {
                             buttonBg.color = k.rgb(...enabledBgColor);
@@ -732,10 +747,10 @@ export function setupShopScene(k) {
                             // refund. Tiny microtext near the price; does not change the
                             // refund logic itself.
                             const refundHint = k.add([
-                                k.text('↺ R-click: refund', { size: UI_TEXT_SIZES.MICRO }),
+                                k.text('↺ R-click: refund', { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
                                 k.pos(itemX + cardWidth - 10, bottomY - 12),
                                 k.anchor('topright'),
-                                k.color(...UI_COLORS.TEXT_TERTIARY),
+                                k.color(...getUIColors().TEXT_TERTIARY),
                                 k.fixed(),
                                 k.z(1001)
                             ]);
@@ -760,7 +775,7 @@ export function setupShopScene(k) {
                                         playPurchaseSuccess();
                                         
                                         // Refund successful (info/blue accent)
-                                        showToast(`Refunded $${result.refundAmount}!`, UI_COLORS.INFO);
+                                        showToast(`Refunded $${result.refundAmount}!`, getUIColors().INFO);
 
                                         // Refresh shop and reset flag
                                         refreshShop();
@@ -784,7 +799,7 @@ export function setupShopScene(k) {
                     }
                     
                     if (canPurchase) {
-                        buttonBg.onClick(() => {
+                        nav.onClick(buttonBg, () => {
                             // Prevent multiple simultaneous purchases
                             if (isPurchasing) return;
                             isPurchasing = true;
@@ -811,7 +826,7 @@ export function setupShopScene(k) {
 
                                     // Purchase successful - different message for boosters
                                     const msgText = currentCategory === 'boosters' ? 'Booster Ready!' : 'Purchased!';
-                                    showToast(msgText, UI_COLORS.SUCCESS);
+                                    showToast(msgText, getUIColors().SUCCESS);
 
                                     // Refresh shop and reset purchasing flag with delay to prevent double-purchase
                                     refreshShop();
@@ -823,7 +838,7 @@ export function setupShopScene(k) {
                                     playPurchaseError();
 
                                     // Not enough currency
-                                    showToast(`Not enough ${currencyName}!`, UI_COLORS.ERROR);
+                                    showToast(`Not enough ${currencyName}!`, getUIColors().ERROR);
 
                                     // Reset purchasing flag
                                     isPurchasing = false;
@@ -838,7 +853,7 @@ export function setupShopScene(k) {
                                     playPurchaseSuccess();
 
                                     // Purchase successful
-                                    showToast('Purchased!', UI_COLORS.SUCCESS);
+                                    showToast('Purchased!', getUIColors().SUCCESS);
 
                                     // Refresh shop and reset purchasing flag with delay to prevent double-purchase
                                     refreshShop();
@@ -850,13 +865,13 @@ export function setupShopScene(k) {
                                     playPurchaseError();
 
                                     // Not enough currency
-                                    showToast(`Not enough ${currencyName}!`, UI_COLORS.ERROR);
+                                    showToast(`Not enough ${currencyName}!`, getUIColors().ERROR);
 
                                     // Reset purchasing flag
                                     isPurchasing = false;
                                 }
                             }
-                        });
+                        }, { id: `buy-${key}` });
                     }
                     
                     unlockItems.push(buttonBg, buttonText);
@@ -894,14 +909,14 @@ export function setupShopScene(k) {
                         equipButtonText.color = k.rgb(200, 230, 255);
                     });
 
-                    equipButtonBg.onClick(() => {
+                    nav.onClick(equipButtonBg, () => {
                         if (isPurchasing) return;
                         isPurchasing = true;
                         playMenuNav();
                         setEquippedCosmetic(unlock.category, key);
                         isPurchasing = false;
                         refreshShop();
-                    });
+                    }, { id: `equip-${key}` });
                     equipButtonBg.cursor = 'pointer';
 
                     unlockItems.push(equipButtonBg, equipButtonText);
@@ -939,7 +954,7 @@ export function setupShopScene(k) {
                         unequipButtonText.color = k.rgb(255, 180, 180);
                     });
 
-                    unequipButtonBg.onClick(() => {
+                    nav.onClick(unequipButtonBg, () => {
                         if (isPurchasing) return;
                         isPurchasing = true;
                         playMenuNav();
@@ -948,7 +963,7 @@ export function setupShopScene(k) {
                         setEquippedCosmetic(unlock.category, noneKey);
                         isPurchasing = false;
                         refreshShop();
-                    });
+                    }, { id: `equip-${key}` });
                     unequipButtonBg.cursor = 'pointer';
 
                     unlockItems.push(unequipButtonBg, unequipButtonText);
@@ -998,14 +1013,14 @@ export function setupShopScene(k) {
                 ]);
 
                 if (currentPage > 0) {
-                    leftArrowBg.onClick(() => {
+                    nav.onClick(leftArrowBg, () => {
                         if (paginationClickHandled) return;
                         paginationClickHandled = true;
                         k.wait(0, () => { paginationClickHandled = false; });
                         playMenuNav();
                         currentPage--;
                         refreshShop();
-                    });
+                    }, { id: 'prevPage' });
                     leftArrowBg.cursor = 'pointer';
                 }
                 paginationItems.push(leftArrowBg, leftArrowText);
@@ -1032,14 +1047,14 @@ export function setupShopScene(k) {
                 ]);
 
                 if (currentPage < totalPages - 1) {
-                    rightArrowBg.onClick(() => {
+                    nav.onClick(rightArrowBg, () => {
                         if (paginationClickHandled) return;
                         paginationClickHandled = true;
                         k.wait(0, () => { paginationClickHandled = false; });
                         playMenuNav();
                         currentPage++;
                         refreshShop();
-                    });
+                    }, { id: 'nextPage' });
                     rightArrowBg.cursor = 'pointer';
                 }
                 paginationItems.push(rightArrowBg, rightArrowText);
@@ -1070,7 +1085,7 @@ export function setupShopScene(k) {
                     ]);
 
                     const pageIndex = i;
-                    pipBg.onClick(() => {
+                    nav.onClick(pipBg, () => {
                         if (paginationClickHandled) return;
                         paginationClickHandled = true;
                         k.wait(0, () => { paginationClickHandled = false; });
@@ -1079,7 +1094,7 @@ export function setupShopScene(k) {
                             currentPage = pageIndex;
                             refreshShop();
                         }
-                    });
+                    }, { id: `page-${pageIndex}` });
                     pipBg.cursor = 'pointer';
 
                     paginationItems.push(pipBg, pipText);
@@ -1118,7 +1133,7 @@ export function setupShopScene(k) {
                         k.z(UI_Z_LAYERS.UI_TEXT)
                     ]);
                     
-                    refundButton.onClick(() => {
+                    nav.onClick(refundButton, () => {
                         const result = refundAllPermanentUpgrades();
                         if (result.success) {
                             playPurchaseSuccess();
@@ -1150,23 +1165,23 @@ export function setupShopScene(k) {
             k.rect(120, 35),
             k.pos(k.width() / 2, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.NEUTRAL),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().NEUTRAL),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_ELEMENTS)
         ]);
         
         const backText = k.add([
-            k.text(formatButtonText('Back'), { size: UI_TEXT_SIZES.BODY }),
+            k.text(formatButtonText('Back'), { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
             k.pos(k.width() / 2, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
         
-        backButton.onClick(() => {
+        nav.onClick(backButton, () => {
             playMenuNav();
             k.go('menu');
         });
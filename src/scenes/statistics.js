@@ -1,16 +1,18 @@
 // Statistics and Achievements scene
-import { getSaveStats, getUnlockedAchievements, getCurrencyName, getRunHistory } from '../systems/metaProgression.js';
+import { getSaveStats, getUnlockedAchievements, getCurrencyName, getRunHistory, getRunReplay } from '../systems/metaProgression.js';
 import { ACHIEVEMENTS, getAchievementCategories, getAchievementsByCategory, ACHIEVEMENT_COLORS, getAchievementProgress } from '../data/achievements.js';
 import { playMenuNav } from '../systems/sounds.js';
+import { isReplayPlayable } from '../systems/replaySystem.js';
+import { WEAPON_DEFINITIONS } from '../data/weapons.js';
 import {
     UI_SIZES,
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_Z_LAYERS,
     formatButtonText,
     createMenuParticles,
     createAnimatedTitle
 } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
 
 // Helper function to convert HSL to RGB for rainbow gradient
 function hslToRgb(h, s, l) {
@@ -46,11 +48,11 @@ function hslToRgb(h, s, l) {
 }
 
 export function setupStatisticsScene(k) {
-    k.scene('statistics', () => {
+    k.scene('statistics', (args = {}) => {
         const stats = getSaveStats();
         const unlockedAchievements = getUnlockedAchievements();
         const currencyName = getCurrencyName();
-        let currentTab = 'achievements'; // achievements, stats, or history
+        let currentTab = args.tab || 'achievements'; // achievements, stats, or history
         let achievementCategory = 'all'; // all, or specific category
         let currentPage = 0;
         const ACHIEVEMENTS_PER_PAGE = 15; // 5x3 grid
@@ -63,7 +65,7 @@ export function setupStatisticsScene(k) {
             k.rect(k.width(), k.height()),
             k.pos(0, 0),
             k.anchor('topleft'),
-            k.color(...UI_COLORS.BG_DARK),
+            k.color(...getUIColors().BG_DARK),
             k.fixed(),
             k.z(UI_Z_LAYERS.BACKGROUND)
         ]);
@@ -98,18 +100,18 @@ export function setupStatisticsScene(k) {
                 k.rect(tabWidth, tabHeight),
                 k.pos(tabX, tabY),
                 k.anchor('center'),
-                k.color(...(isActive ? UI_COLORS.SECONDARY : UI_COLORS.BG_MEDIUM)),
-                k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+                k.color(...(isActive ? getUIColors().SECONDARY : getUIColors().BG_MEDIUM)),
+                k.outline(2, k.rgb(...getUIColors().BORDER)),
                 k.area(),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_ELEMENTS)
             ]);
 
             const tabLabel = k.add([
-                k.text(tab.label, { size: UI_TEXT_SIZES.BODY }),
+                k.text(tab.label, { size: scaleTextSize(UI_TEXT_SIZES.BODY) }),
                 k.pos(tabX, tabY),
                 k.anchor('center'),
-                k.color(...(isActive ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_TERTIARY)),
+                k.color(...(isActive ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_TERTIARY)),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.UI_TEXT)
             ]);
@@ -131,16 +133,16 @@ export function setupStatisticsScene(k) {
             tabBg.onHoverUpdate(() => {
                 k.setCursor('pointer');
                 if (currentTab !== tab.key) {
-                    tabBg.color = k.rgb(...UI_COLORS.BG_LIGHT);
-                    tabBg.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
+                    tabBg.color = k.rgb(...getUIColors().BG_LIGHT);
+                    tabBg.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
                 }
             });
 
             tabBg.onHoverEnd(() => {
                 k.setCursor('default');
                 if (currentTab !== tab.key) {
-                    tabBg.color = k.rgb(...UI_COLORS.BG_MEDIUM);
-                    tabBg.outline.color = k.rgb(...UI_COLORS.BORDER);
+                    tabBg.color = k.rgb(...getUIColors().BG_MEDIUM);
+                    tabBg.outline.color = k.rgb(...getUIColors().BORDER);
                 }
             });
 
@@ -168,9 +170,9 @@ export function setupStatisticsScene(k) {
             // Update tab visuals (route active/inactive through UI_COLORS for consistency)
             tabButtons.forEach(tab => {
                 const isActive = currentTab === tab.key;
-                tab.bg.color = k.rgb(...(isActive ? UI_COLORS.SECONDARY : UI_COLORS.BG_MEDIUM));
-                tab.bg.outline.color = k.rgb(...UI_COLORS.BORDER);
-                tab.label.color = k.rgb(...(isActive ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_TERTIARY));
+                tab.bg.color = k.rgb(...(isActive ? getUIColors().SECONDARY : getUIColors().BG_MEDIUM));
+                tab.bg.outline.color = k.rgb(...getUIColors().BORDER);
+                tab.label.color = k.rgb(...(isActive ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_TERTIARY));
             });
 
             // Clear existing items
@@ -231,7 +233,7 @@ export function setupStatisticsScene(k) {
                             k.rect(categoryTabWidth, categoryTabHeight),
                             k.pos(catX, categoryTabY),
                             k.anchor('center'),
-                            k.color(...(isActive ? UI_COLORS.SECONDARY : UI_COLORS.BG_MEDIUM)),
+                            k.color(...(isActive ? getUIColors().SECONDARY : getUIColors().BG_MEDIUM)),
                             k.outline(1, k.rgb(100, 100, 150)),
                             k.area(),
                             k.fixed(),
@@ -242,7 +244,7 @@ export function setupStatisticsScene(k) {
                             k.text(catName, { size: 11 }),
                             k.pos(catX, categoryTabY),
                             k.anchor('center'),
-                            k.color(...(isActive ? UI_COLORS.TEXT_PRIMARY : UI_COLORS.TEXT_TERTIARY)),
+                            k.color(...(isActive ? getUIColors().TEXT_PRIMARY : getUIColors().TEXT_TERTIARY)),
                             k.fixed(),
                             k.z(1001)
                         ]);
@@ -264,15 +266,15 @@ export function setupStatisticsScene(k) {
                         catBg.onHoverUpdate(() => {
                             k.setCursor('pointer');
                             if (!isActive) {
-                                catBg.color = k.rgb(...UI_COLORS.BG_LIGHT);
-                                catBg.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
+                                catBg.color = k.rgb(...getUIColors().BG_LIGHT);
+                                catBg.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
                             }
                         });
 
                         catBg.onHoverEnd(() => {
                             k.setCursor('default');
                             if (!isActive) {
-                                catBg.color = k.rgb(...UI_COLORS.BG_MEDIUM);
+                                catBg.color = k.rgb(...getUIColors().BG_MEDIUM);
                                 catBg.outline.color = k.rgb(100, 100, 150);
                             }
                         });
@@ -918,6 +920,49 @@ export function setupStatisticsScene(k) {
                             ]);
                             contentItems.push(cellText);
                         });
+
+                        // Evolved weapon's projectile glyph, in its color, after the run number
+                        const evolvedWeapon = WEAPON_DEFINITIONS[run.evolutions?.[0]];
+                        if (evolvedWeapon) {
+                            const evolutionText = k.add([
+                                k.text(evolvedWeapon.char, { size: 14 }),
+                                k.pos(headerLeftPositions[0] + 30, y),
+                                k.anchor('left'),
+                                k.color(...evolvedWeapon.color),
+                                k.fixed(),
+                                k.z(1000)
+                            ]);
+                            contentItems.push(evolutionText);
+                        }
+
+                        // Watch button for runs that kept their replay
+                        if (isReplayPlayable(getRunReplay(run.id))) {
+                            const replayButton = k.add([
+                                k.rect(60, 24),
+                                k.pos(690, y),
+                                k.anchor('center'),
+                                k.color(...getUIColors().SECONDARY),
+                                k.outline(1, k.rgb(...getUIColors().BORDER)),
+                                k.area(),
+                                k.fixed(),
+                                k.z(1000)
+                            ]);
+                            const replayText = k.add([
+                                k.text('▶ Watch', { size: 12 }),
+                                k.pos(690, y),
+                                k.anchor('center'),
+                                k.color(...getUIColors().TEXT_PRIMARY),
+                                k.fixed(),
+                                k.z(1001)
+                            ]);
+                            replayButton.onClick(() => {
+                                if (isNavigating) return;
+                                playMenuNav();
+                                k.go('replayViewer', { runId: run.id });
+                            });
+                            replayButton.cursor = 'pointer';
+                            contentItems.push(replayButton, replayText);
+                        }
                     });
 
                     // Pagination controls (if more than one page)
@@ -1064,18 +1109,18 @@ export function setupStatisticsScene(k) {
             k.rect(SM.width, SM.height),
             k.pos(k.width() / 2, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.NEUTRAL),
-            k.outline(2, k.rgb(...UI_COLORS.BORDER)),
+            k.color(...getUIColors().NEUTRAL),
+            k.outline(2, k.rgb(...getUIColors().BORDER)),
             k.area(),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_ELEMENTS)
         ]);
 
         const backText = k.add([
-            k.text('BACK', { size: UI_TEXT_SIZES.SMALL }),
+            k.text('BACK', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
             k.pos(k.width() / 2, k.height() - 40),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.UI_TEXT)
         ]);
@@ -1,28 +1,57 @@
 // Upgrade draft UI scene
-import { getRandomUpgrades, applyUpgrade, getUpgradeDescription } from '../systems/upgrades.js';
+import { UPGRADES, applyUpgrade, getUpgradeDescription } from '../systems/upgrades.js';
 import { trackUpgrade, checkAndApplySynergies } from '../systems/synergies.js';
 import { playUpgradeSelect, playMenuNav } from '../systems/sounds.js';
-import { isMultiplayerActive, getUpgradeRNG, broadcastUpgradeSelected, broadcastSynergyActivated } from '../systems/multiplayerGame.js';
+import { isMultiplayerActive, isLocalCoopSession, getUpgradeRNG } from '../systems/multiplayerGame.js';
 import { getPermanentUpgradeLevel } from '../systems/metaProgression.js';
+import { isReplayPlayback, isReplayPaused, takeReplayDraft, isReplayRecording, recordReplayDraft } from '../systems/replaySystem.js';
+import { emitGameEvent } from '../systems/eventBus.js';
+import { createMenuNavigation } from '../systems/menuNavigation.js';
+import { isKeyboardCaptured } from '../systems/keyBindings.js';
+import {
+    getStartingDraftCharges,
+    getDraftCharges,
+    spendDraftCharge,
+    refundDraftCharge,
+    takeLockedUpgrade,
+    drawDraftOptions,
+    drawReplacementOption,
+    banishUpgrade,
+    getDraftSkipReward
+} from '../systems/draftActions.js';
+import { getAvailableEvolution, createEvolutionCard, evolveWeapon } from '../systems/weaponEvolution.js';
+import { UPGRADE_RARITIES } from '../data/rarities.js';
 import {
     UI_TEXT_SIZES,
-    UI_COLORS,
     UI_Z_LAYERS
 } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from '../systems/accessibility.js';
 
 // Track if upgrade draft is currently showing
 let upgradeDraftActive = false;
 
-export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOverride = null, rerollsAvailable = null) {
+/**
+ * Show the upgrade draft for a player
+ * Rerolls, banishes, locks and skips spend the run's draft charges (see draftActions.js)
+ * A weapon evolution, when one is ready, is offered as an extra first card (see weaponEvolution.js)
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} player - Player choosing the upgrade
+ * @param {Function} onSelect - (selected) => void once the draft closes; selected is null when skipped
+ * @param {string} playerName - Name shown above the title in multiplayer
+ * @param {number} levelOverride - Level the draft is for (seeds multiplayer RNG)
+ */
+export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOverride = null) {
     // Don't show if already showing
     if (upgradeDraftActive) return;
 
     // Mark upgrade draft as active
     upgradeDraftActive = true;
+    emitGameEvent('upgradeDraftOpened', { player });
 
-    // Pause the game (but not in multiplayer mode)
+    // Pause the game (but not in online multiplayer - couch co-op shares one screen, so it pauses)
     const inMultiplayer = isMultiplayerActive();
-    if (!inMultiplayer) {
+    const pausesGame = !inMultiplayer || isLocalCoopSession();
+    if (pausesGame) {
         k.paused = true;
     }
 
@@ -44,32 +73,80 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
         }
     }
 
-    // Get permanent upgrade levels for Tough Choices and Mulligan
+    // Get permanent upgrade level for Tough Choices
     const toughChoicesLevel = getPermanentUpgradeLevel('toughChoices');
-    const mulliganLevel = getPermanentUpgradeLevel('mulligan');
 
     // Calculate number of upgrade options (base 3 + toughChoices level)
     const numUpgradeOptions = 3 + toughChoicesLevel;
 
-    // Track rerolls remaining for this draft
-    // Use passed rerollsAvailable if provided (per-run persistence), otherwise fallback to mulliganLevel
-    let rerollsRemaining = rerollsAvailable !== null ? rerollsAvailable : mulliganLevel;
+    // Draft actions the player has unlocked (charges themselves are per run)
+    const startingCharges = getStartingDraftCharges();
     let rerollSeed = 0; // Increment each reroll for different results
+    let replacementSeed = 0; // Increment each banish replacement for different results
+    let lockedKey = null; // Card locked in this draft, carried to the next one
+    let pendingAction = null; // 'banish' or 'lock' while waiting for a card choice
 
-    // Get random upgrades (weapon-aware)
     // In multiplayer, use seeded RNG for deterministic upgrade generation
     // Use levelOverride if provided to ensure different upgrades for sequential level ups
-    function generateUpgrades() {
-        let upgradeRng = null;
-        if (isMultiplayerActive()) {
-            const playerIndex = player.playerIndex !== undefined ? player.playerIndex : 0;
-            const playerLevel = levelOverride || player.level || 1;
-            upgradeRng = getUpgradeRNG(playerIndex, playerLevel + rerollSeed * 100);
+    function nextDraftRng() {
+        if (!isMultiplayerActive()) return null;
+        const playerIndex = player.playerIndex !== undefined ? player.playerIndex : 0;
+        const playerLevel = levelOverride || player.level || 1;
+        return getUpgradeRNG(playerIndex, playerLevel + rerollSeed * 100 + replacementSeed * 10000);
+    }
+
+    // Get random upgrades (weapon-aware, each with a rolled rarity), keeping a carried or locked card in place
+    // A ready evolution always leads the table, on top of the usual number of cards
+    function generateUpgrades(keptCard) {
+        const options = drawDraftOptions(player, numUpgradeOptions, nextDraftRng(), keptCard);
+        return evolutionCard ? [evolutionCard, ...options] : options;
+    }
+
+    // { key, rarity } of the locked card on the table
+    function getLockedCard() {
+        const locked = upgrades.find(upgrade => upgrade.key === lockedKey);
+        return locked ? { key: locked.key, rarity: locked.rarity } : null;
+    }
+
+    // Replays show the recorded options and pick automatically (player input is ignored)
+    const inReplay = isReplayPlayback();
+    const replayDraft = inReplay ? takeReplayDraft() : null;
+    const acceptsInput = () => upgradeDraftActive && !inReplay;
+    // Number and action keys are ignored while party chat has the keyboard
+    const acceptsKeys = () => acceptsInput() && !isKeyboardCaptured();
+
+    // Frames the draft has been open; while recording, a pick waits for the draft's next
+    // frame so the replay can make it on the same one (see the draft clock below)
+    let openFrames = 0;
+    let pendingChoice = null;
+    function queueChoice(choose) {
+        if (isReplayRecording()) {
+            pendingChoice = choose;
+        } else {
+            choose();
         }
-        return getRandomUpgrades(numUpgradeOptions, player, upgradeRng);
     }
 
-    let upgrades = generateUpgrades();
+    // Gamepad focus navigation over the cards and action buttons; B cancels a pending banish/lock
+    const nav = createMenuNavigation(k, {
+        onBack: () => {
+            if (acceptsInput() && pendingAction) togglePendingAction(pendingAction);
+        }
+    });
+
+    // The card locked in the previous draft comes back first
+    const carriedCard = takeLockedUpgrade(player);
+    const carriedKey = carriedCard?.key || null;
+    const evolutionCard = getAvailableEvolution(player);
+    let upgrades = replayDraft
+        ? replayDraft.options
+            .map((key, index) => createEvolutionCard(key)
+                || { key, ...UPGRADES[key], type: 'upgrade', rarity: replayDraft.rarities?.[index] || 'common' })
+            .filter(upgrade => upgrade.type === 'evolution' || UPGRADES[upgrade.key])
+        : [];
+    if (upgrades.length === 0) {
+        upgrades = generateUpgrades(carriedCard);
+    }
 
     // Create overlay background FIRST with full opacity to immediately cover everything
     // This prevents visual artifacts from minimap updates or other UI changes showing through
@@ -77,7 +154,7 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
         k.rect(k.width(), k.height()),
         k.pos(0, 0),
         k.anchor('topleft'),
-        k.color(...UI_COLORS.BG_DARK),
+        k.color(...getUIColors().BG_DARK),
         k.opacity(1.0), // Start fully opaque to hide any visual artifacts
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL),
@@ -101,20 +178,20 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
     // Player name on a separate line so the main title never clips at 800px
     if (inMultiplayer && playerName) {
         k.add([
-            k.text(playerName, { size: UI_TEXT_SIZES.H2, width: k.width() - 80 }),
+            k.text(playerName, { size: scaleTextSize(UI_TEXT_SIZES.H2), width: k.width() - 80 }),
             k.pos(k.width() / 2, 56),
             k.anchor('center'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 1),
             'upgradeUI'
         ]);
     }
     const title = k.add([
-        k.text('Level Up! Choose an Upgrade', { size: UI_TEXT_SIZES.H1, width: k.width() - 80 }),
+        k.text('Level Up! Choose an Upgrade', { size: scaleTextSize(UI_TEXT_SIZES.H1), width: k.width() - 80 }),
         k.pos(k.width() / 2, 80),
         k.anchor('center'),
-        k.color(...UI_COLORS.WARNING),
+        k.color(...getUIColors().WARNING),
         k.fixed(),
         k.z(UI_Z_LAYERS.MODAL + 1),
         'upgradeUI'
@@ -159,16 +236,20 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
             // Category color (passive=SUCCESS, weapon=WARNING, other=INFO)
             // Used for both the icon tint and the card outline so category is scannable
             const categoryColor = upgrade.category === 'passive'
-                ? UI_COLORS.SUCCESS
-                : (upgrade.weaponKey ? UI_COLORS.WARNING : UI_COLORS.INFO);
+                ? getUIColors().SUCCESS
+                : (upgrade.weaponKey ? getUIColors().WARNING : getUIColors().INFO);
+
+            // Rarity frame: commons keep the category color, higher tiers get a thicker tier-colored border
+            const rarity = UPGRADE_RARITIES[upgrade.rarity] || UPGRADE_RARITIES.common;
+            const frameColor = upgrade.rarity && upgrade.rarity !== 'common' ? rarity.color : categoryColor;
 
             // Card background
             const cardBg = k.add([
                 k.rect(cardWidth, cardHeight),
                 k.pos(cardX, cardY),
                 k.anchor('center'),
-                k.color(...UI_COLORS.BG_MEDIUM),
-                k.outline(2, k.rgb(...categoryColor)),
+                k.color(...getUIColors().BG_MEDIUM),
+                k.outline(rarity.frameWidth, k.rgb(...frameColor)),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 1),
                 k.area(),
@@ -185,14 +266,14 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
                     playMenuNav();
                 }
                 k.setCursor('pointer');
-                cardBg.color = k.rgb(...UI_COLORS.BG_LIGHT);
-                cardBg.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
+                cardBg.color = k.rgb(...getUIColors().BG_LIGHT);
+                cardBg.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
                 cardBg.scale = k.vec2(1.04, 1.04);
             });
             cardBg.onHoverEnd(() => {
                 cardBg.isHovered = false;
-                cardBg.color = k.rgb(...UI_COLORS.BG_MEDIUM);
-                cardBg.outline.color = k.rgb(...categoryColor);
+                cardBg.color = k.rgb(...getUIColors().BG_MEDIUM);
+                cardBg.outline.color = k.rgb(...frameColor);
                 cardBg.scale = k.vec2(1, 1);
             });
 
@@ -214,12 +295,12 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
             }
 
             // Upgrade name (scale text size based on card width)
-            const nameSize = cardWidth <= 140 ? UI_TEXT_SIZES.TINY : UI_TEXT_SIZES.BUTTON;
+            const nameSize = cardWidth <= 140 ? scaleTextSize(UI_TEXT_SIZES.TINY) : scaleTextSize(UI_TEXT_SIZES.BUTTON);
             k.add([
                 k.text(upgrade.name, { size: nameSize, width: cardWidth - 10 }),
                 k.pos(cardX, cardY - 5),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_PRIMARY),
+                k.color(...getUIColors().TEXT_PRIMARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 2),
                 'upgradeUI',
@@ -227,13 +308,13 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
             ]);
 
             // Upgrade description (scale text size based on card width)
-            const descSize = cardWidth <= 140 ? 10 : UI_TEXT_SIZES.BODY;
+            const descSize = cardWidth <= 140 ? 10 : scaleTextSize(UI_TEXT_SIZES.BODY);
             const description = getUpgradeDescription(upgrade, player);
             k.add([
                 k.text(description, { size: descSize, width: cardWidth - 10 }),
                 k.pos(cardX, cardY + 25),
                 k.anchor('center'),
-                k.color(...UI_COLORS.TEXT_SECONDARY),
+                k.color(...getUIColors().TEXT_SECONDARY),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 2),
                 'upgradeUI',
@@ -241,18 +322,49 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
             ]);
 
             // Selection number (top-right corner of card)
-            const numSize = cardWidth <= 140 ? UI_TEXT_SIZES.SMALL : UI_TEXT_SIZES.HEADER;
+            const numSize = cardWidth <= 140 ? scaleTextSize(UI_TEXT_SIZES.SMALL) : scaleTextSize(UI_TEXT_SIZES.HEADER);
             k.add([
                 k.text(`${index + 1}`, { size: numSize }),
                 k.pos(cardX + cardWidth / 2 - 15, cardY - cardHeight / 2 + 12),
                 k.anchor('center'),
-                k.color(...UI_COLORS.WARNING),
+                k.color(...getUIColors().WARNING),
+                k.fixed(),
+                k.z(UI_Z_LAYERS.MODAL + 2),
+                'upgradeUI',
+                'upgradeCard'
+            ]);
+
+            // Rarity label (bottom of card), with the number of stacks the pick adds
+            let rarityLabel = rarity.stacks > 1 ? `${rarity.name} x${rarity.stacks}` : rarity.name;
+            if (upgrade.type === 'evolution') {
+                rarityLabel = 'Evolution';
+            }
+            k.add([
+                k.text(rarityLabel.toUpperCase(), { size: 10 }),
+                k.pos(cardX, cardY + cardHeight / 2 - 10),
+                k.anchor('center'),
+                k.color(...rarity.color),
                 k.fixed(),
                 k.z(UI_Z_LAYERS.MODAL + 2),
                 'upgradeUI',
                 'upgradeCard'
             ]);
 
+            // Locked cards carry to the next draft; a held card was carried into this one
+            const cardTag = upgrade.key === lockedKey ? 'LOCKED' : (upgrade.key === carriedKey ? 'HELD' : null);
+            if (cardTag) {
+                k.add([
+                    k.text(cardTag, { size: 10 }),
+                    k.pos(cardX - cardWidth / 2 + 8, cardY - cardHeight / 2 + 10),
+                    k.anchor('left'),
+                    k.color(...(cardTag === 'LOCKED' ? getUIColors().INFO : getUIColors().TEXT_SECONDARY)),
+                    k.fixed(),
+                    k.z(UI_Z_LAYERS.MODAL + 2),
+                    'upgradeUI',
+                    'upgradeCard'
+                ]);
+            }
+
             cards.push({
                 card: cardBg,
                 upgrade: upgrade,
@@ -260,10 +372,10 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
             });
 
             // Make card clickable
-            cardBg.onClick(() => {
-                if (!upgradeDraftActive) return;
-                selectUpgrade(index);
-            });
+            nav.onClick(cardBg, () => {
+                if (!acceptsInput()) return;
+                chooseCard(index);
+            }, { id: `card-${index}`, initial: index === 0 });
         });
 
         return cards;
@@ -272,86 +384,217 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
     // Create initial cards
     let cards = createUpgradeCards();
 
-    // Create reroll button if player has rerolls
-    let rerollText = null;
-    let rerollBox = null;
-    if (mulliganLevel > 0) {
-        const rerollButton = k.add([
-            k.rect(120, 35),
-            k.pos(k.width() / 2, k.height() - 60),
+    // Bottom row of draft actions, only those unlocked by permanent upgrades
+    // Using parentheses instead of square brackets to avoid KAPLAY styled text tag parsing
+    const skipCredits = getDraftSkipReward(player, 'credits');
+    const skipXP = getDraftSkipReward(player, 'xp');
+    const actions = [
+        { key: 'r', charge: 'rerolls', label: count => `(R) Reroll (${count})`, press: performReroll },
+        { key: 'b', charge: 'banishes', label: count => `(B) Banish (${count})`, pending: 'banish', press: () => togglePendingAction('banish') },
+        { key: 'l', charge: 'locks', label: count => `(L) Lock (${count})`, pending: 'lock', press: () => togglePendingAction('lock') },
+        { key: 's', charge: 'skips', label: count => `(S) Skip +${skipCredits}cr (${count})`, press: () => queueChoice(() => skipDraft('credits')) },
+        { key: 'x', charge: 'skips', label: count => `(X) Skip +${skipXP}XP (${count})`, press: () => queueChoice(() => skipDraft('xp')) }
+    ].filter(action => startingCharges[action.charge] > 0);
+
+    // Moving or removing a lock needs no charge
+    function isActionEnabled(action) {
+        if (action.charge === 'locks' && lockedKey) return true;
+        if (action.charge === 'banishes' && upgrades.length <= 1) return false;
+        return getDraftCharges(player)[action.charge] > 0;
+    }
+
+    const buttonWidth = 140;
+    const buttonSpacing = 150;
+    const buttonsStartX = k.width() / 2 - (buttonSpacing * (actions.length - 1)) / 2;
+    actions.forEach((action, index) => {
+        const buttonX = buttonsStartX + index * buttonSpacing;
+        const box = k.add([
+            k.rect(buttonWidth, 35),
+            k.pos(buttonX, k.height() - 60),
             k.anchor('center'),
-            k.color(...UI_COLORS.BG_MEDIUM),
-            k.outline(2, k.rgb(...UI_COLORS.WARNING)),
+            k.color(...getUIColors().BG_MEDIUM),
+            k.outline(2, k.rgb(...getUIColors().WARNING)),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 1),
             k.area(),
             k.scale(1),
             'upgradeUI'
         ]);
-        rerollBox = rerollButton;
-
-        // Hover feedback (only while rerolls remain)
-        rerollButton.isHovered = false;
-        rerollButton.onHoverUpdate(() => {
-            if (rerollsRemaining <= 0) return;
-            if (!rerollButton.isHovered) {
-                rerollButton.isHovered = true;
+
+        // Hover feedback (only while the action is available)
+        box.isHovered = false;
+        box.onHoverUpdate(() => {
+            if (!isActionEnabled(action)) return;
+            if (!box.isHovered) {
+                box.isHovered = true;
                 playMenuNav();
             }
             k.setCursor('pointer');
-            rerollButton.color = k.rgb(...UI_COLORS.BG_LIGHT);
-            rerollButton.outline.color = k.rgb(...UI_COLORS.BORDER_HOVER);
-            rerollButton.scale = k.vec2(1.02, 1.02);
+            box.color = k.rgb(...getUIColors().BG_LIGHT);
+            box.outline.color = k.rgb(...getUIColors().BORDER_HOVER);
+            box.scale = k.vec2(1.02, 1.02);
         });
-        rerollButton.onHoverEnd(() => {
-            rerollButton.isHovered = false;
-            if (rerollsRemaining <= 0) return;
-            rerollButton.color = k.rgb(...UI_COLORS.BG_MEDIUM);
-            rerollButton.outline.color = k.rgb(...UI_COLORS.WARNING);
-            rerollButton.scale = k.vec2(1, 1);
+        box.onHoverEnd(() => {
+            box.isHovered = false;
+            refreshActionButtons();
         });
 
-        // Using parentheses instead of square brackets to avoid KAPLAY styled text tag parsing
-        rerollText = k.add([
-            k.text(`(R) Reroll (${rerollsRemaining})`, { size: UI_TEXT_SIZES.SMALL }),
-            k.pos(k.width() / 2, k.height() - 60),
+        const text = k.add([
+            k.text(action.label(getDraftCharges(player)[action.charge]), { size: scaleTextSize(UI_TEXT_SIZES.TINY) }),
+            k.pos(buttonX, k.height() - 60),
             k.anchor('center'),
-            k.color(...UI_COLORS.WARNING),
+            k.color(...getUIColors().WARNING),
             k.fixed(),
             k.z(UI_Z_LAYERS.MODAL + 2),
             'upgradeUI'
         ]);
 
-        rerollButton.onClick(() => {
-            if (upgradeDraftActive && rerollsRemaining > 0) {
-                performReroll();
-            }
+        nav.onClick(box, () => {
+            if (acceptsInput() && isActionEnabled(action)) action.press();
+        });
+        k.onKeyPress(action.key, () => {
+            if (acceptsKeys() && isActionEnabled(action)) action.press();
+        });
+
+        action.box = box;
+        action.text = text;
+    });
+
+    // Prompt shown while banish or lock waits for a card
+    const actionPrompt = k.add([
+        k.text('', { size: scaleTextSize(UI_TEXT_SIZES.SMALL) }),
+        k.pos(k.width() / 2, k.height() - 100),
+        k.anchor('center'),
+        k.color(...getUIColors().INFO),
+        k.fixed(),
+        k.z(UI_Z_LAYERS.MODAL + 2),
+        'upgradeUI'
+    ]);
+
+    // Update labels, and gray out actions with no charges left (mirrors disabled Confirm)
+    function refreshActionButtons() {
+        const charges = getDraftCharges(player);
+        actions.forEach(action => {
+            if (!action.box.exists()) return;
+            const enabled = isActionEnabled(action);
+            const selecting = pendingAction && action.pending === pendingAction;
+            action.text.text = action.label(charges[action.charge]);
+            action.text.color = k.rgb(...(enabled ? getUIColors().WARNING : getUIColors().TEXT_DISABLED));
+            action.box.color = k.rgb(...(enabled ? getUIColors().BG_MEDIUM : getUIColors().BG_DISABLED));
+            action.box.outline.color = k.rgb(...(selecting ? getUIColors().INFO : (enabled ? getUIColors().WARNING : getUIColors().BG_DARK)));
+            action.box.scale = k.vec2(1, 1);
         });
+
+        actionPrompt.text = pendingAction
+            ? `${pendingAction === 'banish' ? 'Banish' : 'Lock'} which card? Press 1-${upgrades.length} or click one`
+            : '';
     }
+    refreshActionButtons();
 
-    // Reroll function
+    // Redraw the cards after any change to the table
+    function redrawDraft() {
+        cards = createUpgradeCards();
+        refreshActionButtons();
+    }
+
+    // Reroll function (a locked card stays on the table)
     function performReroll() {
-        if (rerollsRemaining <= 0) return;
+        if (!spendDraftCharge(player, 'rerolls')) return;
 
-        rerollsRemaining--;
         rerollSeed++;
-        upgrades = generateUpgrades();
-        cards = createUpgradeCards();
+        pendingAction = null;
+        upgrades = generateUpgrades(getLockedCard());
+        redrawDraft();
+    }
 
-        // Update reroll button text
-        if (rerollText && rerollText.exists()) {
-            rerollText.text = `(R) Reroll (${rerollsRemaining})`;
-            if (rerollsRemaining === 0) {
-                rerollText.color = k.rgb(...UI_COLORS.TEXT_DISABLED);
-            }
+    // Banish and lock wait for the next card choice; pressing the key again cancels
+    function togglePendingAction(action) {
+        pendingAction = pendingAction === action ? null : action;
+        playMenuNav();
+        refreshActionButtons();
+    }
+
+    // Card clicks and number keys pick, or target the pending banish/lock
+    function chooseCard(index) {
+        if (index >= upgrades.length) return;
+        if (pendingAction === 'banish') {
+            performBanish(index);
+        } else if (pendingAction === 'lock') {
+            toggleLock(index);
+        } else {
+            queueChoice(() => selectUpgrade(index));
+        }
+    }
+
+    // Remove the card's upgrade from the pool for the rest of the run and deal a replacement
+    // (evolution cards can't be banished)
+    function performBanish(index) {
+        pendingAction = null;
+        if (upgrades.length <= 1 || upgrades[index].type === 'evolution' || !spendDraftCharge(player, 'banishes')) {
+            refreshActionButtons();
+            return;
+        }
+
+        const banished = upgrades[index];
+        if (lockedKey === banished.key) {
+            lockedKey = null;
+            refundDraftCharge(player, 'locks');
+        }
+        banishUpgrade(player, banished.key);
+        emitGameEvent('upgradeBanished', { player, upgradeKey: banished.key });
+
+        replacementSeed++;
+        const replacement = drawReplacementOption(player, upgrades.map(upgrade => upgrade.key), nextDraftRng());
+        upgrades = replacement
+            ? upgrades.map((upgrade, i) => (i === index ? replacement : upgrade))
+            : upgrades.filter((upgrade, i) => i !== index);
+        playMenuNav();
+        redrawDraft();
+    }
+
+    // Lock a card for the next draft; locking another card moves the lock, the same card unlocks it
+    // (evolution cards stay on offer anyway, so they can't be locked)
+    function toggleLock(index) {
+        pendingAction = null;
+        const upgradeKey = upgrades[index].key;
+        if (upgrades[index].type === 'evolution') {
+            refreshActionButtons();
+            return;
         }
+        if (lockedKey === upgradeKey) {
+            lockedKey = null;
+            refundDraftCharge(player, 'locks');
+        } else if (lockedKey) {
+            lockedKey = upgradeKey;
+        } else if (spendDraftCharge(player, 'locks')) {
+            lockedKey = upgradeKey;
+        }
+        playMenuNav();
+        redrawDraft();
+    }
+
+    // Trade the draft for credits or XP instead of an upgrade
+    function skipDraft(reward) {
+        if (!upgradeDraftActive) return;
+        // Replays repeat the recorded skip whatever charges the checkpoint holds
+        if (!inReplay && !spendDraftCharge(player, 'skips')) return;
+
+        playUpgradeSelect();
+        upgradeDraftActive = false;
 
-        // Gray out the button box once rerolls are exhausted (mirrors disabled Confirm)
-        if (rerollBox && rerollBox.exists() && rerollsRemaining === 0) {
-            rerollBox.color = k.rgb(...UI_COLORS.BG_DISABLED);
-            rerollBox.outline.color = k.rgb(...UI_COLORS.BG_DARK);
-            rerollBox.scale = k.vec2(1, 1);
+        const amount = reward === 'xp' ? skipXP : skipCredits;
+        if (isReplayRecording()) {
+            recordReplayDraft(upgrades.map(upgrade => upgrade.key), null, reward, upgrades.map(upgrade => upgrade.rarity), openFrames);
         }
+
+        // Credits go to the run wallet and persistent currency through this event;
+        // XP is banked toward the next level and counts on the next XP gain
+        emitGameEvent('upgradeDraftSkipped', { player, reward, amount });
+        if (reward === 'xp') {
+            player.xp = (player.xp || 0) + amount;
+        }
+
+        closeDraft(null);
     }
     
     // Selection function
@@ -369,27 +612,50 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
         // Note: Key handlers don't need to be removed - they check upgradeDraftActive flag
         // and will return early if the draft is not active
 
+        if (isReplayRecording()) {
+            recordReplayDraft(upgrades.map(upgrade => upgrade.key), selected.key, null, upgrades.map(upgrade => upgrade.rarity), openFrames);
+        }
+
+        if (selected.type === 'evolution') {
+            // Swap the weapon for its evolution (upgrades carry over)
+            const fromWeapon = evolveWeapon(player, selected.key);
+            if (fromWeapon) {
+                emitGameEvent('weaponEvolved', { player, weaponKey: selected.key, fromWeapon });
+            }
+            closeDraft(selected);
+            return;
+        }
+
         // Apply upgrade
-        applyUpgrade(player, selected.key);
+        // Rare and epic cards add several stacks at once
+        applyUpgrade(player, selected.key, selected.rarity);
 
         // Track upgrade for synergies
         trackUpgrade(player, selected.key);
 
+        // Announce the pick before any synergy it completes (multiplayer syncs both)
+        emitGameEvent('upgradeChosen', { player, upgradeKey: selected.key, rarity: selected.rarity });
+
         // Check and apply synergies
-        const activatedSynergies = checkAndApplySynergies(k, player);
+        checkAndApplySynergies(k, player);
 
-        // Broadcast upgrade selection in multiplayer
-        if (isMultiplayerActive() && player.slotIndex !== undefined) {
-            broadcastUpgradeSelected(player.slotIndex, selected.key);
+        closeDraft(selected);
+    }
 
-            // Broadcast synergy activation if any synergies were activated
-            if (activatedSynergies && activatedSynergies.length > 0) {
-                const synergyNames = activatedSynergies.map(s => s.name);
-                broadcastSynergyActivated(player.slotIndex, synergyNames);
-            }
+    // Carry the lock over, remove the UI and hand control back
+    function closeDraft(selected) {
+        // Picking the locked card itself gives the lock charge back
+        if (lockedKey && selected?.key === lockedKey) {
+            refundDraftCharge(player, 'locks');
+        } else if (lockedKey) {
+            const lockedCard = getLockedCard();
+            player.lockedUpgrade = lockedCard;
+            emitGameEvent('upgradeLocked', { player, upgradeKey: lockedCard.key, rarity: lockedCard.rarity });
         }
 
         // Remove UI
+        draftClock.cancel();
+        nav.destroy();
         k.get('upgradeUI').forEach(obj => k.destroy(obj));
         k.get('upgradeOverlay').forEach(obj => k.destroy(obj));
 
@@ -400,8 +666,8 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
             k.gameData.minimapSavedMode = undefined;
         }
 
-        // Unpause game (unless in multiplayer - game should stay unpaused)
-        if (!inMultiplayer) {
+        // Unpause game (unless in online multiplayer - game should stay unpaused)
+        if (pausesGame) {
             k.paused = false;
         }
 
@@ -412,52 +678,71 @@ export function showUpgradeDraft(k, player, onSelect, playerName = null, levelOv
         }
         
         // Callback (call after unpausing)
-        // Pass remaining rerolls so game state can be updated for per-run persistence
         k.wait(0.1, () => {
             if (onSelect) {
-                onSelect(selected, rerollsRemaining);
+                onSelect(selected);
             }
         });
     }
     
     // Keyboard selection (1-9, 0 for 10)
     k.onKeyPress('1', () => {
-        if (upgradeDraftActive && upgrades.length >= 1) selectUpgrade(0);
+        if (acceptsKeys() && upgrades.length >= 1) chooseCard(0);
     });
     k.onKeyPress('2', () => {
-        if (upgradeDraftActive && upgrades.length >= 2) selectUpgrade(1);
+        if (acceptsKeys() && upgrades.length >= 2) chooseCard(1);
     });
     k.onKeyPress('3', () => {
-        if (upgradeDraftActive && upgrades.length >= 3) selectUpgrade(2);
+        if (acceptsKeys() && upgrades.length >= 3) chooseCard(2);
     });
     k.onKeyPress('4', () => {
-        if (upgradeDraftActive && upgrades.length >= 4) selectUpgrade(3);
+        if (acceptsKeys() && upgrades.length >= 4) chooseCard(3);
     });
     k.onKeyPress('5', () => {
-        if (upgradeDraftActive && upgrades.length >= 5) selectUpgrade(4);
+        if (acceptsKeys() && upgrades.length >= 5) chooseCard(4);
     });
     k.onKeyPress('6', () => {
-        if (upgradeDraftActive && upgrades.length >= 6) selectUpgrade(5);
+        if (acceptsKeys() && upgrades.length >= 6) chooseCard(5);
     });
     k.onKeyPress('7', () => {
-        if (upgradeDraftActive && upgrades.length >= 7) selectUpgrade(6);
+        if (acceptsKeys() && upgrades.length >= 7) chooseCard(6);
     });
     k.onKeyPress('8', () => {
-        if (upgradeDraftActive && upgrades.length >= 8) selectUpgrade(7);
+        if (acceptsKeys() && upgrades.length >= 8) chooseCard(7);
     });
     k.onKeyPress('9', () => {
-        if (upgradeDraftActive && upgrades.length >= 9) selectUpgrade(8);
+        if (acceptsKeys() && upgrades.length >= 9) chooseCard(8);
     });
     k.onKeyPress('0', () => {
-        if (upgradeDraftActive && upgrades.length >= 10) selectUpgrade(9);
+        if (acceptsKeys() && upgrades.length >= 10) chooseCard(9);
     });
 
-    // Reroll key handler
-    k.onKeyPress('r', () => {
-        if (upgradeDraftActive && rerollsRemaining > 0) {
-            performReroll();
+    // Draft clock: applies a recorded pick on the frame it was made, or a queued pick while recording
+    const draftClock = k.onUpdate(() => {
+        if (inReplay) {
+            // The viewer's pause holds the draft open too
+            if (isReplayPaused()) return;
+            if (openFrames >= (replayDraft?.frames ?? 0)) {
+                makeReplayPick();
+                return;
+            }
+        } else if (pendingChoice) {
+            const choose = pendingChoice;
+            pendingChoice = null;
+            choose();
         }
+        openFrames++;
     });
+
+    // Replay: make the recorded pick (or skip)
+    function makeReplayPick() {
+        if (replayDraft?.skip) {
+            skipDraft(replayDraft.skip);
+            return;
+        }
+        const pickIndex = replayDraft ? upgrades.findIndex(upgrade => upgrade.key === replayDraft.pick) : 0;
+        selectUpgrade(Math.max(0, pickIndex));
+    }
 }
 
 // Export function to check if upgrade draft is active (for pause menu)
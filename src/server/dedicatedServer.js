@@ -0,0 +1,100 @@
+/**
+ * Dedicated Server
+ * Runs the host-authoritative multiplayer simulation headlessly under Node, so a
+ * run no longer depends on any one player's browser staying open.
+ *
+ * The server takes party slot 0 without playing (see initDedicatedParty) and
+ * browser clients join slots 1-3 over WebSocket from the Join Party screen.
+ * It waits in a lobby until every client is ready, runs the usual game scene on
+ * a headless KAPLAY, and returns to the lobby when the run ends or everyone leaves.
+ *
+ * Usage: npm run server -- --port 3020   (or PORT=3020 npm run server)
+ */
+
+import './headlessGlobals.js';
+import { createHeadlessKaplay } from './headlessKaplay.js';
+import { startWebSocketServer } from './webSocketServer.js';
+import { setupGameScene } from '../scenes/game.js';
+import {
+    initDedicatedParty,
+    getPartyPlayerCount,
+    getCountdownState,
+    broadcastGameStart,
+    resetAllReadyStates
+} from '../systems/partySystem.js';
+import { cleanupMultiplayer } from '../systems/multiplayerGame.js';
+import { setSoundEnabled, setMusicEnabled } from '../systems/sounds.js';
+
+const DEFAULT_PORT = 3020;
+
+/**
+ * Read the port from --port, then PORT, then the default
+ */
+function getPort() {
+    const flagIndex = process.argv.indexOf('--port');
+    const port = Number(flagIndex >= 0 ? process.argv[flagIndex + 1] : process.env.PORT);
+    return Number.isInteger(port) && port > 0 ? port : DEFAULT_PORT;
+}
+
+/**
+ * Headless stand-ins for the scenes the game scene leaves to
+ */
+function setupServerScenes(k) {
+    // Lobby: start a run once every connected client is ready
+    k.scene('menu', () => {
+        resetAllReadyStates();
+        console.log(`[Server] Lobby open - ${getPartyPlayerCount()} player(s) connected`);
+
+        k.onUpdate(() => {
+            const countdown = getCountdownState();
+            if (countdown.active && countdown.timeRemaining <= 0) {
+                console.log(`[Server] Starting run with ${getPartyPlayerCount()} player(s)`);
+                broadcastGameStart();
+                k.go('game', { resetState: true });
+            }
+        });
+    });
+
+    k.scene('gameOver', (args) => {
+        console.log(`[Server] Run over on floor ${args?.runStats?.floorsReached ?? '?'}`);
+        k.go('menu');
+    });
+
+    // Playtests and replays never start on the server, but the game scene can name them
+    ['roomEditor', 'replayViewer'].forEach(name => {
+        k.scene(name, () => k.go('menu'));
+    });
+}
+
+async function main() {
+    setSoundEnabled(false);
+    setMusicEnabled(false);
+
+    const k = createHeadlessKaplay();
+    setupGameScene(k);
+    setupServerScenes(k);
+
+    const port = getPort();
+    await startWebSocketServer({ port });
+    initDedicatedParty(k);
+    console.log(`[Server] Listening on ws://0.0.0.0:${port} - join with this machine's address and port`);
+
+    // A run with nobody left in it goes back to the lobby
+    // (a plain timer: scene update handlers end with each scene)
+    setInterval(() => {
+        if (k.getSceneName() === 'game' && getPartyPlayerCount() === 0) {
+            console.log('[Server] Every player left - ending run');
+            cleanupMultiplayer();
+            k.go('menu');
+        }
+    }, 1000);
+
+    k.go('menu');
+    // Fixed game frames, the same dt as every client and replay
+    k.run();
+}
+
+main().catch(err => {
+    console.error('[Server] Failed to start:', err);
+    process.exit(1);
+});
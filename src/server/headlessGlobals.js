@@ -0,0 +1,35 @@
+/**
+ * Headless Browser Globals
+ *
+ * The game modules expect a browser: focus/gamepad listeners on window,
+ * document.hasFocus(), navigator.getGamepads() and localStorage for settings
+ * and saves. This installs inert stand-ins so the dedicated server can import
+ * them under Node. Import it before any game module.
+ */
+
+const store = new Map();
+
+const headlessGlobals = {
+    window: globalThis,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    document: { hasFocus: () => true },
+    navigator: { getGamepads: () => [], maxTouchPoints: 0 },
+    // Server saves live for the life of the process (nothing to unlock or spend)
+    localStorage: {
+        getItem: (key) => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key),
+        clear: () => store.clear(),
+        key: (index) => [...store.keys()][index] ?? null,
+        get length() {
+            return store.size;
+        }
+    },
+    alert: (message) => console.log('[Alert]', message)
+};
+
+// defineProperty: newer Node versions ship a read-only navigator of their own
+Object.entries(headlessGlobals).forEach(([name, value]) => {
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+});
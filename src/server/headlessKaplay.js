@@ -0,0 +1,502 @@
+/**
+ * Headless KAPLAY
+ *
+ * Enough of the KAPLAY API to run the game simulation without a canvas: the
+ * dedicated server (dedicatedServer.js) and the node:test suite both use it.
+ * Components are plain objects merged into the game object; anything not
+ * implemented here resolves to a no-op component so rendering-only calls
+ * (k.setCursor(), k.play(), ...) don't throw.
+ *
+ * Time only advances on k.step(dt), which switches scene if k.go() was called,
+ * runs every onUpdate handler, checks k.onCollide() pairs and fires due k.wait()
+ * timers. Both step on the game's fixed timestep (FIXED_DT, see frameClock.js) by
+ * default, as browsers do: the server drives step() from a real-time loop with
+ * k.run(); tests call it directly. Gamepad input is driven with k.pressGamepadButton(),
+ * k.releaseGamepadButton() and k.setGamepadStick() (each takes an optional gamepad
+ * index, default 0), keyboard input with k.pressKey() and k.releaseKey().
+ * "Pressed this frame" state lasts until the next step.
+ *
+ * The camera (camPos, camScale) only feeds toScreen()/toWorld(); collisions stay
+ * in world space, as in KAPLAY.
+ *
+ * Collision shapes are axis-aligned boxes from area({ width, height }), rect(),
+ * circle() or an estimate of the text's size - close enough for authority, since
+ * clients render the result rather than re-simulate it.
+ */
+
+import { FIXED_DT } from '../systems/frameClock.js';
+
+class Vec2 {
+    constructor(x = 0, y = x) {
+        this.x = x;
+        this.y = y;
+    }
+
+    add(other, y) {
+        return typeof other === 'number' ? new Vec2(this.x + other, this.y + (y ?? other)) : new Vec2(this.x + other.x, this.y + other.y);
+    }
+
+    sub(other, y) {
+        return typeof other === 'number' ? new Vec2(this.x - other, this.y - (y ?? other)) : new Vec2(this.x - other.x, this.y - other.y);
+    }
+
+    scale(factor, y) {
+        return typeof factor === 'number' ? new Vec2(this.x * factor, this.y * (y ?? factor)) : new Vec2(this.x * factor.x, this.y * factor.y);
+    }
+
+    len() {
+        return Math.sqrt(this.x * this.x + this.y * this.y);
+    }
+
+    unit() {
+        const length = this.len();
+        return length === 0 ? new Vec2(0, 0) : new Vec2(this.x / length, this.y / length);
+    }
+
+    normal() {
+        return new Vec2(this.y, -this.x);
+    }
+
+    dist(other) {
+        return this.sub(other).len();
+    }
+
+    dot(other) {
+        return this.x * other.x + this.y * other.y;
+    }
+
+    angle(other) {
+        const target = other ? this.sub(other) : this;
+        return Math.atan2(target.y, target.x) * 180 / Math.PI;
+    }
+
+    clone() {
+        return new Vec2(this.x, this.y);
+    }
+
+    eq(other) {
+        return this.x === other.x && this.y === other.y;
+    }
+}
+
+// Monospace glyphs are roughly this wide relative to the font size
+const TEXT_WIDTH_RATIO = 0.6;
+
+// Most real time the loop catches up on at once (a stalled server slows down instead of teleporting everything)
+const MAX_CATCH_UP = 0.1;
+
+/**
+ * Create a handler list that returns KAPLAY-style { cancel } controllers
+ */
+function createEventList() {
+    const handlers = new Set();
+    return {
+        add(handler) {
+            handlers.add(handler);
+            return { cancel: () => handlers.delete(handler) };
+        },
+        trigger(...args) {
+            [...handlers].forEach(handler => handler(...args));
+        }
+    };
+}
+
+/**
+ * Get a game object's collision box (center and size), or null without an area
+ */
+function getCollisionBox(obj) {
+    if (!obj.area || !obj.pos) return null;
+
+    let width = obj.area.width ?? obj.width;
+    let height = obj.area.height ?? obj.height;
+    if (obj.radius) {
+        width = obj.radius * 2;
+        height = obj.radius * 2;
+    } else if (!width && typeof obj.text === 'string') {
+        const size = obj.textSize || 16;
+        const lines = obj.text.split('\n');
+        width = Math.max(...lines.map(line => line.length)) * size * TEXT_WIDTH_RATIO;
+        height = lines.length * size;
+    }
+    if (!width || !height) return null;
+
+    // Shift from the anchor point to the center
+    const anchor = obj.anchor || 'topleft';
+    const x = anchor.includes('left') ? obj.pos.x + width / 2 : (anchor.includes('right') ? obj.pos.x - width / 2 : obj.pos.x);
+    const y = anchor.includes('top') ? obj.pos.y + height / 2 : (anchor.includes('bot') ? obj.pos.y - height / 2 : obj.pos.y);
+    return { x, y, width, height };
+}
+
+function isOverlapping(a, b) {
+    const boxA = getCollisionBox(a);
+    const boxB = getCollisionBox(b);
+    if (!boxA || !boxB) return false;
+    return Math.abs(boxA.x - boxB.x) * 2 < boxA.width + boxB.width &&
+        Math.abs(boxA.y - boxB.y) * 2 < boxA.height + boxB.height;
+}
+
+/**
+ * Create a headless KAPLAY instance
+ * @param {Object} options
+ * @param {number} options.width - Canvas width (default 800)
+ * @param {number} options.height - Canvas height (default 600)
+ * @returns {Object} KAPLAY-like instance with extra step(dt) and run() helpers
+ */
+export function createHeadlessKaplay({ width = 800, height = 600 } = {}) {
+    const objects = new Set();
+    const scenes = new Map();
+    let updateEvents = createEventList();
+    let sceneLeaveEvents = createEventList();
+    let collisionPairs = [];
+    let gamepadPressEvents = createEventList();
+    const gamepads = new Map();
+    let keyPressEvents = createEventList();
+    const keysDown = new Set();
+    let keysPressed = new Set();
+    let timers = [];
+    let elapsed = 0;
+    let frameDt = FIXED_DT;
+    const camera = { pos: new Vec2(width / 2, height / 2), scale: new Vec2(1, 1) };
+    let nextObjectId = 0;
+    let currentScene = null;
+    let pendingScene = null;
+
+    function createGameObject(components) {
+        const tags = new Set();
+        const events = {
+            update: createEventList(),
+            destroy: createEventList(),
+            hurt: createEventList(),
+            heal: createEventList(),
+            death: createEventList()
+        };
+        let alive = true;
+
+        const obj = {
+            id: nextObjectId++,
+            hidden: false,
+            paused: false,
+            width: 0,
+            height: 0,
+            is: (tag) => tags.has(tag),
+            use: (comp) => applyComponent(comp),
+            unuse: () => {},
+            tag: (tag) => tags.add(tag),
+            untag: (tag) => tags.delete(tag),
+            exists: () => alive,
+            destroy: () => {
+                if (!alive) return;
+                alive = false;
+                objects.delete(obj);
+                events.update = createEventList();
+                events.destroy.trigger();
+            },
+            move: (x, y) => {
+                const velocity = typeof x === 'number' ? new Vec2(x, y) : x;
+                obj.pos = obj.pos.add(velocity.scale(frameDt));
+            },
+            onUpdate: (handler) => events.update.add(handler),
+            onDestroy: (handler) => events.destroy.add(handler),
+            onHurt: (handler) => events.hurt.add(handler),
+            onHeal: (handler) => events.heal.add(handler),
+            onDeath: (handler) => events.death.add(handler),
+            onCollide: (tag, handler) => addCollisionPair(null, tag, handler, obj),
+            trigger: (name, ...args) => events[name]?.trigger(...args),
+            add: (children) => createGameObject(children),
+            get: () => []
+        };
+
+        function applyComponent(comp) {
+            if (typeof comp === 'string') {
+                tags.add(comp);
+            } else if (typeof comp === 'function') {
+                comp(obj, events);
+            } else if (comp) {
+                Object.assign(obj, comp);
+            }
+        }
+
+        components.forEach(applyComponent);
+        obj._updateEvents = () => events.update;
+        objects.add(obj);
+        return obj;
+    }
+
+    // Health component needs access to the object's event lists
+    function health(maxHP) {
+        return (obj, events) => {
+            let hp = maxHP;
+            obj.maxHP = () => maxHP;
+            obj.setMaxHP = (value) => { maxHP = value; };
+            obj.hp = () => hp;
+            obj.setHP = (value) => {
+                hp = value;
+                if (hp <= 0) events.death.trigger();
+            };
+            obj.hurt = (amount = 1) => {
+                hp -= amount;
+                events.hurt.trigger(amount);
+                if (hp <= 0) events.death.trigger();
+            };
+            obj.heal = (amount = 1) => {
+                hp = Math.min(maxHP, hp + amount);
+                events.heal.trigger(amount);
+            };
+        };
+    }
+
+    /**
+     * Register a collision handler between two tags (or one object and a tag).
+     * Handlers fire once when a pair starts overlapping, like KAPLAY's onCollide.
+     */
+    function addCollisionPair(tagA, tagB, handler, owner = null) {
+        const pair = { tagA, tagB, handler, owner, touching: new Set() };
+        collisionPairs.push(pair);
+        return { cancel: () => { collisionPairs = collisionPairs.filter(other => other !== pair); } };
+    }
+
+    function checkCollisions() {
+        collisionPairs.forEach(pair => {
+            if (pair.owner && !pair.owner.exists()) return;
+            const firsts = pair.owner ? [pair.owner] : implemented.get(pair.tagA);
+            const seconds = implemented.get(pair.tagB);
+            const touching = new Set();
+            firsts.forEach(a => {
+                seconds.forEach(b => {
+                    if (a === b || !a.exists() || !b.exists() || !isOverlapping(a, b)) return;
+                    const key = `${a.id}:${b.id}`;
+                    touching.add(key);
+                    if (!pair.touching.has(key)) {
+                        pair.handler(...(pair.owner ? [b] : [a, b]));
+                    }
+                });
+            });
+            pair.touching = touching;
+        });
+    }
+
+    // Switching scene destroys every object and drops scene-scoped handlers, like k.go()
+    function enterScene(name, args) {
+        sceneLeaveEvents.trigger(name);
+        [...objects].forEach(obj => obj.destroy());
+        updateEvents = createEventList();
+        sceneLeaveEvents = createEventList();
+        gamepadPressEvents = createEventList();
+        keyPressEvents = createEventList();
+        collisionPairs = [];
+        timers = [];
+        currentScene = name;
+        scenes.get(name)(...args);
+    }
+
+    // KGamepad-like objects, created the first time a test touches an index
+    function getGamepad(index) {
+        if (!gamepads.has(index)) {
+            const down = new Set();
+            const sticks = {};
+            gamepads.set(index, {
+                index,
+                down,
+                sticks,
+                pressed: new Set(),
+                isDown: (button) => down.has(button),
+                isPressed: (button) => gamepads.get(index).pressed.has(button),
+                isReleased: () => false,
+                getStick: (stick) => sticks[stick] || new Vec2(0, 0)
+            });
+        }
+        return gamepads.get(index);
+    }
+
+    const vec2 = (x, y) => (x instanceof Vec2 ? x.clone() : new Vec2(x, y));
+
+    // Unimplemented calls become empty components / no-op controllers
+    const noop = () => ({ cancel: () => {}, onEnd: () => {} });
+
+    const implemented = {
+        Vec2,
+        vec2,
+        rgb: (r = 255, g = 255, b = 255) => ({ r, g, b }),
+        add: (components) => createGameObject(components),
+        destroy: (obj) => obj?.destroy(),
+        destroyAll: (tag) => [...objects].filter(obj => obj.is(tag)).forEach(obj => obj.destroy()),
+        get: (tag) => [...objects].filter(obj => tag === '*' || obj.is(tag)),
+        text: (text, options = {}) => ({ text, textSize: options.size }),
+        pos: (x = 0, y = 0) => ({ pos: vec2(x, y) }),
+        color: (r, g, b) => ({ color: typeof r === 'object' ? r : { r, g, b } }),
+        opacity: (opacity = 1) => ({ opacity }),
+        rect: (w, h) => ({ width: w, height: h }),
+        circle: (radius) => ({ radius }),
+        anchor: (anchor) => ({ anchor }),
+        fixed: () => ({ fixed: true }),
+        z: (z) => ({ z }),
+        rotate: (angle = 0) => ({ angle }),
+        outline: (width = 1, color = { r: 0, g: 0, b: 0 }) => ({ outline: { width, color } }),
+        scale: (x = 1, y = x) => ({ scale: vec2(x, y) }),
+        area: (options = {}) => ({
+            area: { width: options.width, height: options.height },
+            isColliding: function (other) {
+                return isOverlapping(this, other);
+            },
+            isHovering: () => false,
+            onClick: noop,
+            onHover: noop,
+            onHoverUpdate: noop,
+            onHoverEnd: noop
+        }),
+        lifespan: (seconds) => (obj) => {
+            implemented.wait(seconds, () => obj.destroy());
+        },
+        health,
+        width: () => width,
+        height: () => height,
+        center: () => new Vec2(width / 2, height / 2),
+        mousePos: () => new Vec2(width / 2, height / 2),
+        camPos: (x, y) => {
+            if (x !== undefined) camera.pos = vec2(x, y);
+            return camera.pos.clone();
+        },
+        camScale: (x, y) => {
+            if (x !== undefined) camera.scale = vec2(x, y);
+            return camera.scale.clone();
+        },
+        // Camera transform only (fixed objects are drawn at their own pos)
+        toScreen: (point) => point.sub(camera.pos).scale(camera.scale).add(width / 2, height / 2),
+        toWorld: (point) => point.sub(width / 2, height / 2).scale(1 / camera.scale.x, 1 / camera.scale.y).add(camera.pos),
+        dt: () => frameDt,
+        time: () => elapsed,
+        rand: (min = 1, max) => (max === undefined ? Math.random() * min : min + Math.random() * (max - min)),
+        randi: (min = 2, max) => Math.floor(implemented.rand(min, max)),
+        clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
+        lerp: (from, to, t) => from + (to - from) * t,
+        wait: (seconds, callback) => {
+            const timer = { at: elapsed + seconds, callback, cancelled: false };
+            timers.push(timer);
+            return { cancel: () => { timer.cancelled = true; } };
+        },
+        loop: (seconds, callback) => {
+            let controller = null;
+            const schedule = () => {
+                controller = implemented.wait(seconds, () => {
+                    callback();
+                    schedule();
+                });
+            };
+            schedule();
+            return { cancel: () => controller.cancel() };
+        },
+        scene: (name, sceneFn) => {
+            scenes.set(name, sceneFn);
+        },
+        go: (name, ...args) => {
+            if (!scenes.has(name)) throw new Error(`Scene not found: ${name}`);
+            pendingScene = { name, args };
+        },
+        getSceneName: () => currentScene,
+        onSceneLeave: (handler) => sceneLeaveEvents.add(handler),
+        onUpdate: (tagOrHandler, handler) => (typeof tagOrHandler === 'function' ? updateEvents.add(tagOrHandler) : updateEvents.add(() => implemented.get(tagOrHandler).forEach(handler))),
+        onCollide: (tagA, tagB, handler) => addCollisionPair(tagA, tagB, handler),
+        onGamepadButtonPress: (buttons, handler) => {
+            if (typeof buttons === 'function') return gamepadPressEvents.add(buttons);
+            const list = Array.isArray(buttons) ? buttons : [buttons];
+            return gamepadPressEvents.add((button, gamepad) => {
+                if (list.includes(button)) handler(button, gamepad);
+            });
+        },
+        isGamepadButtonDown: (buttons) => (Array.isArray(buttons) ? buttons : [buttons]).some(button =>
+            [...gamepads.values()].some(gamepad => gamepad.down.has(button))
+        ),
+        getGamepadStick: (stick) => gamepads.get(0)?.getStick(stick) || new Vec2(0, 0),
+        getGamepads: () => [...gamepads.values()],
+        onKeyPress: (keys, handler) => {
+            if (typeof keys === 'function') return keyPressEvents.add(keys);
+            const list = Array.isArray(keys) ? keys : [keys];
+            return keyPressEvents.add((key) => {
+                if (list.includes(key)) handler(key);
+            });
+        },
+        isKeyDown: (keys) => (Array.isArray(keys) ? keys : [keys]).some(key => keysDown.has(key)),
+        isKeyPressed: (keys) => (Array.isArray(keys) ? keys : [keys]).some(key => keysPressed.has(key)),
+        gameData: {},
+        paused: false,
+
+        // Test helpers: hold/release a gamepad button or key, tilt a stick
+        pressGamepadButton: (button, index = 0) => {
+            const gamepad = getGamepad(index);
+            gamepad.down.add(button);
+            gamepad.pressed.add(button);
+            gamepadPressEvents.trigger(button, gamepad);
+        },
+        releaseGamepadButton: (button, index = 0) => {
+            getGamepad(index).down.delete(button);
+        },
+        setGamepadStick: (stick, x, y, index = 0) => {
+            getGamepad(index).sticks[stick] = new Vec2(x, y);
+        },
+        pressKey: (key) => {
+            keysDown.add(key);
+            keysPressed.add(key);
+            keyPressEvents.trigger(key);
+        },
+        releaseKey: (key) => {
+            keysDown.delete(key);
+        },
+
+        /**
+         * Advance the simulation: enters a pending scene, runs global and per-object
+         * onUpdate handlers, checks collisions, then fires due timers
+         * @param {number} dt - Seconds to advance (default one fixed game frame)
+         */
+        step: (dt = FIXED_DT) => {
+            if (pendingScene) {
+                const { name, args } = pendingScene;
+                pendingScene = null;
+                enterScene(name, args);
+            }
+
+            frameDt = dt;
+            elapsed += dt;
+            updateEvents.trigger();
+            [...objects].forEach(obj => obj._updateEvents().trigger());
+            checkCollisions();
+
+            const due = timers.filter(timer => timer.at <= elapsed);
+            timers = timers.filter(timer => timer.at > elapsed);
+            due.forEach(timer => {
+                if (!timer.cancelled) timer.callback();
+            });
+
+            keysPressed = new Set();
+            gamepads.forEach(gamepad => { gamepad.pressed = new Set(); });
+        },
+
+        /**
+         * Step the simulation in real time until stopped, one fixed game frame per
+         * FIXED_DT of real time (timer jitter is caught up on the next tick)
+         * @returns {Function} Stop function
+         */
+        run: () => {
+            let last = performance.now();
+            let accumulated = 0;
+            const interval = setInterval(() => {
+                const now = performance.now();
+                accumulated = Math.min(accumulated + (now - last) / 1000, MAX_CATCH_UP);
+                last = now;
+                while (accumulated >= FIXED_DT) {
+                    accumulated -= FIXED_DT;
+                    try {
+                        implemented.step();
+                    } catch (err) {
+                        // One bad frame shouldn't take the whole server down
+                        console.error('[HeadlessKaplay] Frame error:', err);
+                    }
+                }
+            }, FIXED_DT * 1000);
+            return () => clearInterval(interval);
+        }
+    };
+
+    return new Proxy(implemented, {
+        get: (target, prop) => (prop in target ? target[prop] : noop)
+    });
+}
@@ -0,0 +1,35 @@
+/**
+ * WebSocket Server Transport
+ * Accepts browser clients over WebSocket and hands each one to networkSystem.js
+ * as a peer connection, so the party and game code see them like PeerJS peers.
+ */
+
+import { WebSocketServer } from 'ws';
+import { initHeadlessHost, acceptConnection } from '../systems/networkSystem.js';
+import { createWebSocketConnection } from '../systems/webSocketConnection.js';
+
+/**
+ * Start listening for clients
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.serverId - ID reported as the host's peer ID
+ * @returns {Promise<WebSocketServer>} Resolves once listening
+ */
+export function startWebSocketServer({ port, serverId = 'server' }) {
+    return new Promise((resolve, reject) => {
+        initHeadlessHost(serverId);
+
+        let nextClientId = 1;
+        const server = new WebSocketServer({ port });
+
+        server.on('connection', (socket, request) => {
+            const peerId = `ws-${nextClientId++}`;
+            console.log(`[Server] ${peerId} connected from ${request.socket.remoteAddress}`);
+            socket.on('close', () => console.log(`[Server] ${peerId} disconnected`));
+            acceptConnection(createWebSocketConnection(socket, peerId));
+        });
+
+        server.once('listening', () => resolve(server));
+        server.once('error', reject);
+    });
+}
@@ -0,0 +1,369 @@
+/**
+ * Active Abilities
+ *
+ * Every character has an active ability (data/abilities.js) used on the ability
+ * key or gamepad button, which then recharges on a cooldown shown in the HUD.
+ * Quick Recharge shortens the cooldown and Overcharge scales damage, healing and
+ * durations (player.abilityCooldownMultiplier / player.abilityPower, from the draft).
+ *
+ * In multiplayer the owner uses the ability and it is broadcast (abilityUsed event);
+ * every copy of the player then runs it with that machine's role:
+ * - owner: moves the player (dash) like any local movement
+ * - authority (host or single player): damage, healing and turret shots
+ * - everyone: cooldown, timers and visuals
+ */
+
+import { getActiveAbility } from '../data/abilities.js';
+import { PLAYER_CONFIG } from '../config/constants.js';
+import { resolveDamage, applySafeKnockback } from './damagePipeline.js';
+import { detonatePlayerExplosives } from './combat.js';
+import { createProjectile } from '../entities/projectile.js';
+import { isMultiplayerActive, isHost, registerProjectile, broadcastHealEvent } from './multiplayerGame.js';
+import { spawnParticleBurst } from './particleSystem.js';
+import { playAbilityUse, playAbilityReady } from './sounds.js';
+
+// Seconds a phase is extended while the player is still inside a wall
+const PHASE_EXIT_GRACE = 0.1;
+
+// Pixels per collision check along a dash
+const DASH_STEP = 4;
+
+// Extra push for War Cry on top of the hit knockback
+const WAR_CRY_KNOCKBACK = 40;
+
+function isAuthority() {
+    return !isMultiplayerActive() || isHost();
+}
+
+function getEnemyTargets(k) {
+    return [...k.get('enemy'), ...k.get('miniboss'), ...k.get('boss')]
+        .filter(target => target.exists() && !target.isDead);
+}
+
+function getTargetsInRadius(k, x, y, radius) {
+    return getEnemyTargets(k).filter(target => Math.hypot(target.pos.x - x, target.pos.y - y) <= radius);
+}
+
+// Same AABB test as player movement (walls and cover both block)
+function overlapsObstacle(k, x, y) {
+    const size = PLAYER_CONFIG.COLLISION_SIZE;
+    return k.get('obstacle').some(obstacle => obstacle.exists() &&
+        Math.abs(x - obstacle.pos.x) < obstacle.width / 2 + size &&
+        Math.abs(y - obstacle.pos.y) < obstacle.height / 2 + size);
+}
+
+function healPlayer(player, amount, source) {
+    if (amount <= 0 || player.isDead || player.hp() >= player.maxHealth) return;
+    const newHP = Math.min(player.maxHealth, player.hp() + amount);
+    player.setHP(newHP);
+
+    if (isMultiplayerActive() && isHost()) {
+        broadcastHealEvent({ slotIndex: player.slotIndex, healAmount: amount, newHP, source });
+    }
+}
+
+// Fading ring showing an ability's area
+function spawnAbilityRing(k, x, y, radius, color) {
+    const ring = k.add([
+        k.circle(radius),
+        k.pos(x, y),
+        k.anchor('center'),
+        k.color(...color),
+        k.opacity(0.35),
+        k.z(150)
+    ]);
+    ring.onUpdate(() => {
+        ring.opacity -= k.dt() * 1.2;
+        if (ring.opacity <= 0) k.destroy(ring);
+    });
+}
+
+// Area hit on every enemy in radius (clients only get the hit cosmetics)
+function hitEnemiesInRadius(k, player, radius, hit) {
+    return getTargetsInRadius(k, player.pos.x, player.pos.y, radius)
+        .map(target => resolveDamage(k, {
+            target,
+            tags: ['ability'],
+            ownerSlotIndex: player.slotIndex,
+            ...hit
+        }))
+        .filter(Boolean);
+}
+
+/**
+ * Ability effects: (k, player, ability, direction, context) => void
+ * context is { isOwner, isAuthority, power }
+ */
+const ABILITY_EFFECTS = {
+    secondWind(k, player, ability, direction, { isAuthority, power }) {
+        if (isAuthority) {
+            healPlayer(player, Math.floor(player.maxHealth * ability.healPercent * power), 'ability');
+        }
+        spawnParticleBurst(k, player.pos.x, player.pos.y, { count: 10, char: '+', color: ability.color, speed: 1.5 });
+    },
+
+    dash(k, player, ability, direction, { isOwner, isAuthority }) {
+        const from = player.pos.clone();
+
+        // The owner and the machine simulating them move the player; others follow position sync
+        if (isOwner || isAuthority) {
+            const margin = PLAYER_CONFIG.ROOM_MARGIN;
+            let { x, y } = player.pos;
+            for (let travelled = DASH_STEP; travelled <= ability.distance; travelled += DASH_STEP) {
+                const nextX = k.clamp(from.x + direction.x * travelled, margin, k.width() - margin);
+                const nextY = k.clamp(from.y + direction.y * travelled, margin, k.height() - margin);
+                if (overlapsObstacle(k, nextX, nextY)) break;
+                x = nextX;
+                y = nextY;
+            }
+            player.pos = k.vec2(x, y);
+        }
+
+        player.invulnerable = true;
+        player.invulnerableTime = Math.max(player.invulnerableTime || 0, ability.invulnerableTime);
+        spawnParticleBurst(k, from.x, from.y, { count: 6, char: '·', color: ability.color, speed: 1 });
+    },
+
+    shieldWall(k, player, ability, direction, { power }) {
+        const wall = k.add([
+            k.rect(ability.width, ability.thickness),
+            k.pos(player.pos.x + direction.x * ability.offset, player.pos.y + direction.y * ability.offset),
+            k.anchor('center'),
+            k.rotate(Math.atan2(direction.y, direction.x) * (180 / Math.PI) + 90),
+            k.color(...ability.color),
+            k.opacity(0.8),
+            'abilityWall',
+            {
+                remaining: ability.duration * power
+            }
+        ]);
+
+        wall.onUpdate(() => {
+            if (k.paused) return;
+            wall.remaining -= k.dt();
+            if (wall.remaining <= 0) {
+                k.destroy(wall);
+                return;
+            }
+            wall.opacity = wall.remaining < 1 ? 0.3 + wall.remaining * 0.5 : 0.8;
+
+            // Enemy projectiles stop at the wall (both sides), on every machine like player hits
+            k.get('projectile').forEach(projectile => {
+                if (!projectile.isEnemyProjectile && !projectile.isBossProjectile) return;
+                const dx = projectile.pos.x - wall.pos.x;
+                const dy = projectile.pos.y - wall.pos.y;
+                const along = dx * -direction.y + dy * direction.x;
+                const across = dx * direction.x + dy * direction.y;
+                if (Math.abs(along) <= ability.width / 2 && Math.abs(across) <= ability.thickness / 2 + 4) {
+                    k.destroy(projectile);
+                }
+            });
+        });
+    },
+
+    steadyAim(k, player, ability, direction, { power }) {
+        // Read by combat's crit roll
+        player.steadyAimTime = ability.duration * power;
+        spawnParticleBurst(k, player.pos.x, player.pos.y, { count: 8, char: '◎', color: ability.color, speed: 1 });
+    },
+
+    flameNova(k, player, ability, direction, { power }) {
+        hitEnemiesInRadius(k, player, ability.radius, {
+            amount: player.projectileDamage * ability.damageMultiplier * power,
+            statusEffects: [{
+                type: 'burn',
+                damage: Math.floor(ability.burnDamage * power * (player.fireDotMultiplier || 1)),
+                duration: ability.burnDuration,
+                stacks: 1,
+                chance: 1
+            }]
+        });
+        spawnAbilityRing(k, player.pos.x, player.pos.y, ability.radius, ability.color);
+    },
+
+    remoteDetonation(k, player, ability, direction, { isAuthority, power }) {
+        // Clients see the explosions through projectile sync and hit events
+        if (isAuthority) {
+            detonatePlayerExplosives(k, player.slotIndex, ability.damageMultiplier * power);
+        }
+    },
+
+    deployTurret(k, player, ability, direction, { isAuthority, power }) {
+        const turret = k.add([
+            k.text(ability.icon, { size: 20 }),
+            k.pos(player.pos.x, player.pos.y),
+            k.anchor('center'),
+            k.color(...ability.color),
+            'abilityTurret',
+            {
+                remaining: ability.duration * power,
+                fireCooldown: 0
+            }
+        ]);
+
+        turret.onUpdate(() => {
+            if (k.paused) return;
+            turret.remaining -= k.dt();
+            if (turret.remaining <= 0) {
+                k.destroy(turret);
+                return;
+            }
+
+            // The authority fires; clients get the shots as synced projectiles
+            turret.fireCooldown -= k.dt();
+            if (!isAuthority || turret.fireCooldown > 0) return;
+
+            const target = getTargetsInRadius(k, turret.pos.x, turret.pos.y, ability.range)
+                .sort((a, b) => turret.pos.dist(a.pos) - turret.pos.dist(b.pos))[0];
+            if (!target) return;
+
+            turret.fireCooldown = ability.fireInterval;
+            const aim = k.vec2(target.pos.x - turret.pos.x, target.pos.y - turret.pos.y).unit();
+            const projectile = createProjectile(k, turret.pos.x, turret.pos.y, aim, ability.projectileSpeed,
+                Math.floor(player.projectileDamage * ability.damageMultiplier * power), 0, 0, false, ability.range);
+            projectile.color = k.rgb(...ability.color);
+            projectile.ownerSlotIndex = player.slotIndex;
+
+            if (isMultiplayerActive()) {
+                registerProjectile(projectile, { weaponKey: player.weaponKey });
+            }
+        });
+    },
+
+    bloodDrain(k, player, ability, direction, { isAuthority, power }) {
+        const results = hitEnemiesInRadius(k, player, ability.radius, {
+            amount: player.projectileDamage * ability.damageMultiplier * power
+        });
+        if (isAuthority) {
+            const dealt = results.reduce((total, result) => total + result.healthDamage, 0);
+            healPlayer(player, Math.floor(dealt * ability.healRatio), 'ability');
+        }
+        spawnAbilityRing(k, player.pos.x, player.pos.y, ability.radius, ability.color);
+    },
+
+    warCry(k, player, ability, direction, { isAuthority, power }) {
+        const origin = { x: player.pos.x, y: player.pos.y };
+        const results = hitEnemiesInRadius(k, player, ability.radius, {
+            amount: player.projectileDamage * ability.damageMultiplier * power,
+            knockbackFrom: origin,
+            statusEffects: [{ type: 'freeze', damage: 0, duration: ability.freezeDuration * power, stacks: 1, chance: 1 }]
+        });
+        if (isAuthority) {
+            results.forEach(({ target }) => {
+                const away = k.vec2(target.pos.x - origin.x, target.pos.y - origin.y);
+                if (away.len() > 0) applySafeKnockback(k, target, away.unit(), WAR_CRY_KNOCKBACK);
+            });
+        }
+        spawnAbilityRing(k, origin.x, origin.y, ability.radius, ability.color);
+    },
+
+    phase(k, player, ability, direction, { power }) {
+        // Read by player movement, which skips obstacle collision while phasing
+        player.phaseTime = ability.duration * power;
+        player.invulnerable = true;
+        player.invulnerableTime = Math.max(player.invulnerableTime || 0, player.phaseTime);
+    }
+};
+
+/**
+ * Get a player's full cooldown after the Quick Recharge upgrade
+ * @param {Object} player - Player entity
+ * @returns {number} Seconds, or 0 if the player has no active ability
+ */
+export function getAbilityCooldown(player) {
+    const ability = getActiveAbility(player.activeAbility);
+    if (!ability) return 0;
+    return ability.cooldown * (player.abilityCooldownMultiplier ?? 1);
+}
+
+/**
+ * Check whether a player's ability can be used
+ * @param {Object} player - Player entity
+ * @returns {boolean}
+ */
+export function isAbilityReady(player) {
+    return !!getActiveAbility(player.activeAbility) && (player.abilityCooldown || 0) <= 0;
+}
+
+/**
+ * Get how far a player's ability has recharged (for the HUD)
+ * @param {Object} player - Player entity
+ * @returns {number} 0 (just used) to 1 (ready)
+ */
+export function getAbilityCharge(player) {
+    const cooldown = getAbilityCooldown(player);
+    if (cooldown <= 0) return 1;
+    return 1 - Math.min(1, Math.max(0, player.abilityCooldown || 0) / cooldown);
+}
+
+/**
+ * Get the direction a local player would use their ability in
+ * Dashes go the way the player is moving; everything else follows the aim.
+ * @param {Object} player - Player entity
+ * @returns {Object} Unit direction { x, y }
+ */
+export function getAbilityDirection(player) {
+    const ability = getActiveAbility(player.activeAbility);
+    const move = player.moveInput;
+    if (ability?.usesMoveDirection && move && (move.x !== 0 || move.y !== 0)) {
+        const length = Math.hypot(move.x, move.y);
+        return { x: move.x / length, y: move.y / length };
+    }
+    const rad = (player.angle || 0) * (Math.PI / 180);
+    return { x: Math.cos(rad), y: Math.sin(rad) };
+}
+
+/**
+ * Use a player's active ability and start its cooldown
+ * The owner is refused while on cooldown; other copies trust the owner's use.
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} player - Player entity
+ * @param {Object} direction - Unit direction { x, y }
+ * @param {Object} [options]
+ * @param {boolean} [options.isOwner=true] - This machine controls the player
+ * @param {boolean} [options.isAuthority] - This machine resolves damage (default: host or single player)
+ * @returns {boolean} True if the ability was used
+ */
+export function useAbility(k, player, direction, { isOwner = true, isAuthority: authority = isAuthority() } = {}) {
+    const ability = getActiveAbility(player.activeAbility);
+    if (!ability || player.isDead) return false;
+    if (isOwner && !isAbilityReady(player)) return false;
+
+    player.abilityCooldown = getAbilityCooldown(player);
+    ABILITY_EFFECTS[player.activeAbility](k, player, ability, direction, {
+        isOwner,
+        isAuthority: authority,
+        power: player.abilityPower ?? 1
+    });
+    playAbilityUse();
+    return true;
+}
+
+/**
+ * Tick a player's cooldown and ability timers (called from the player's update)
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} player - Player entity
+ */
+export function updateAbility(k, player) {
+    const dt = k.dt();
+
+    if (player.abilityCooldown > 0) {
+        player.abilityCooldown -= dt;
+        if (player.abilityCooldown <= 0) {
+            player.abilityCooldown = 0;
+            if (!player.isRemote) playAbilityReady();
+        }
+    }
+
+    if (player.steadyAimTime > 0) {
+        player.steadyAimTime = Math.max(0, player.steadyAimTime - dt);
+    }
+
+    if (player.phaseTime > 0) {
+        player.phaseTime -= dt;
+        // Never end a phase inside a wall: keep phasing until the player is clear
+        if (player.phaseTime <= 0) {
+            player.phaseTime = overlapsObstacle(k, player.pos.x, player.pos.y) ? PHASE_EXIT_GRACE : 0;
+        }
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Accessibility System
+ *
+ * Applies the accessibility settings to colors and text:
+ * - Colorblind modes: daltonizes colors so hues lost to the deficiency
+ *   are shifted into channels the player can still distinguish
+ * - High contrast: swaps in HIGH_CONTRAST_COLORS for the UI palette
+ * - Large text: scales every text size passed through scaleTextSize
+ *
+ * UI_COLORS and UI_TEXT_SIZES stay as authored. Scenes read the adjusted
+ * palette from getUIColors() and wrap text sizes in scaleTextSize(), so a
+ * settings change shows up the next time a scene is built.
+ */
+
+import { getSetting } from './settings.js';
+import { UI_COLORS, HIGH_CONTRAST_COLORS } from '../config/uiConfig.js';
+
+export const COLORBLIND_MODES = ['off', 'deuteranopia', 'protanopia', 'tritanopia'];
+
+// Text scale applied when Large Text is enabled
+export const LARGE_TEXT_SCALE = 1.25;
+
+// RGB <-> LMS conversion matrices (Viénot, Brettel & Mollon)
+const RGB_TO_LMS = [
+    [17.8824, 43.5161, 4.11935],
+    [3.45565, 27.1554, 3.86714],
+    [0.0299566, 0.184309, 1.46709]
+];
+const LMS_TO_RGB = [
+    [0.0809444479, -0.130504409, 0.116721066],
+    [-0.0102485335, 0.0540193266, -0.113614708],
+    [-0.000365296938, -0.00412161469, 0.693511405]
+];
+
+// How each deficiency collapses the LMS cone response
+const DEFICIENCY_SIMULATION = {
+    protanopia: [
+        [0, 2.02344, -2.52581],
+        [0, 1, 0],
+        [0, 0, 1]
+    ],
+    deuteranopia: [
+        [1, 0, 0],
+        [0.494207, 0, 1.24827],
+        [0, 0, 1]
+    ],
+    tritanopia: [
+        [1, 0, 0],
+        [0, 1, 0],
+        [-0.395913, 0.801109, 0]
+    ]
+};
+
+// Redistributes the lost color information into the remaining channels
+const ERROR_SHIFT = [
+    [0, 0, 0],
+    [0.7, 1, 0],
+    [0.7, 0, 1]
+];
+
+// Cached settings (colors are adjusted every time an entity spawns)
+let activeColorblindMode = 'off';
+let activeTextScale = 1;
+let activeUIColors = null;
+const colorCache = new Map();
+
+function multiply(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+function clampChannel(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+/**
+ * Daltonize a color for a specific colorblind mode
+ * @param {Array<number>} rgb - [r, g, b] in 0-255
+ * @param {string} mode - One of COLORBLIND_MODES
+ * @returns {Array<number>} Adjusted [r, g, b]
+ */
+export function daltonizeColor(rgb, mode) {
+    const simulation = DEFICIENCY_SIMULATION[mode];
+    if (!simulation) return [rgb[0], rgb[1], rgb[2]];
+
+    const lms = multiply(RGB_TO_LMS, rgb);
+    const simulated = multiply(LMS_TO_RGB, multiply(simulation, lms));
+    const error = [rgb[0] - simulated[0], rgb[1] - simulated[1], rgb[2] - simulated[2]];
+    const shift = multiply(ERROR_SHIFT, error);
+
+    return [
+        clampChannel(rgb[0] + shift[0]),
+        clampChannel(rgb[1] + shift[1]),
+        clampChannel(rgb[2] + shift[2])
+    ];
+}
+
+/**
+ * Run a color through the active colorblind transform
+ * Use this anywhere gameplay-relevant colors are applied (enemies, pickups, etc.)
+ * @param {Array<number>} rgb - [r, g, b] in 0-255
+ * @returns {Array<number>} Adjusted [r, g, b] (the input unchanged when mode is 'off')
+ */
+export function adjustColor(rgb) {
+    if (!rgb || activeColorblindMode === 'off') return rgb;
+
+    const cacheKey = `${rgb[0]},${rgb[1]},${rgb[2]}`;
+    let adjusted = colorCache.get(cacheKey);
+    if (!adjusted) {
+        adjusted = daltonizeColor(rgb, activeColorblindMode);
+        colorCache.set(cacheKey, adjusted);
+    }
+    return adjusted;
+}
+
+/**
+ * Check whether a colorblind mode is currently active
+ * @returns {boolean}
+ */
+export function isColorblindModeActive() {
+    return activeColorblindMode !== 'off';
+}
+
+/**
+ * Get the active text scale factor (1 unless Large Text is enabled)
+ * @returns {number}
+ */
+export function getTextScale() {
+    return activeTextScale;
+}
+
+/**
+ * Scale an authored text size (a UI_TEXT_SIZES entry or a literal) by the active text scale
+ * @param {number} size - Authored font size
+ * @returns {number} Scaled font size
+ */
+export function scaleTextSize(size) {
+    return Math.round(size * activeTextScale);
+}
+
+/**
+ * Get the UI palette with the colorblind and high-contrast settings applied
+ * @returns {Object} UI_COLORS keys mapped to adjusted [r, g, b] (do not modify)
+ */
+export function getUIColors() {
+    return activeUIColors || UI_COLORS;
+}
+
+/**
+ * Read the accessibility settings and rebuild the adjusted UI palette and text scale.
+ * Call on startup and whenever an accessibility setting changes.
+ */
+export function applyAccessibilitySettings() {
+    const mode = getSetting('accessibility', 'colorblindMode');
+    activeColorblindMode = COLORBLIND_MODES.includes(mode) ? mode : 'off';
+    activeTextScale = getSetting('accessibility', 'largeText') ? LARGE_TEXT_SCALE : 1;
+    colorCache.clear();
+
+    const highContrast = getSetting('accessibility', 'highContrast');
+    activeUIColors = Object.fromEntries(Object.entries(UI_COLORS).map(([key, color]) => {
+        const source = (highContrast && HIGH_CONTRAST_COLORS[key]) || color;
+        return [key, [...adjustColor(source)]];
+    }));
+}
@@ -1,12 +1,15 @@
 // Achievement checking system - checks and unlocks achievements based on stats
+// and listens to game events for the run-specific challenge achievements
 
-import { getSaveStats, unlockAchievement, isAchievementUnlocked, getUnlockedAchievements, getSaveData } from './metaProgression.js';
+import { getSaveStats, unlockAchievement, isAchievementUnlocked, getUnlockedAchievements, getSaveData, recordWeaponEvolution } from './metaProgression.js';
 import { ACHIEVEMENTS } from '../data/achievements.js';
 import { playAchievement } from './sounds.js';
 import { showAchievementToast, initToastSystem } from './toastNotifications.js';
 import { CHARACTER_UNLOCKS, PERMANENT_UPGRADE_UNLOCKS } from '../data/unlocks.js';
-import { isMultiplayerActive, getLocalPlayerSlot, broadcastAchievementUnlocked } from './multiplayerGame.js';
+import { WEAPON_DEFINITIONS } from '../data/weapons.js';
+import { onGameEvent, emitGameEvent } from './eventBus.js';
 import { Analytics } from '../utils/analytics.js';
+import { isReplayPlayback } from './replaySystem.js';
 
 // Track achievements unlocked during the current run
 let runUnlockedAchievements = [];
@@ -32,7 +35,8 @@ let kInstance = null;
  * @returns {boolean} True if newly unlocked
  */
 function unlockAndNotify(achievementId) {
-    if (isAchievementUnlocked(achievementId)) return false;
+    // Watching a replay never unlocks anything
+    if (isReplayPlayback() || isAchievementUnlocked(achievementId)) return false;
 
     if (unlockAchievement(achievementId)) {
         runUnlockedAchievements.push(achievementId);
@@ -44,10 +48,8 @@ function unlockAndNotify(achievementId) {
                 playAchievement();
                 showAchievementToast(achievement);
 
-                // Broadcast in multiplayer
-                if (isMultiplayerActive()) {
-                    broadcastAchievementUnlocked(achievementId, getLocalPlayerSlot());
-                }
+                // Lets the network layer tell the rest of the party
+                emitGameEvent('achievementUnlocked', { achievementId });
             }
         }
         return true;
@@ -55,8 +57,12 @@ function unlockAndNotify(achievementId) {
     return false;
 }
 
+// Unsubscribes the current run's game event listeners
+let stopListening = null;
+
 /**
  * Initialize achievement checker for a new run
+ * Subscribes the run-challenge checks to game events, replacing the previous run's
  * @param {Object} k - Kaplay instance for toast notifications
  */
 export function initAchievementChecker(k) {
@@ -79,6 +85,19 @@ export function initAchievementChecker(k) {
     if (k) {
         initToastSystem(k);
     }
+
+    if (stopListening) stopListening();
+    const unsubscribers = [
+        onGameEvent('playerDamaged', handlePlayerDamaged),
+        onGameEvent('bossFightStarted', handleBossFightStarted),
+        onGameEvent('enemyKilled', handleEnemyKilled),
+        onGameEvent('bossDefeated', handleBossDefeated),
+        onGameEvent('floorCompleted', handleFloorCompleted),
+        onGameEvent('synergyActivated', handleSynergyActivated),
+        onGameEvent('weaponEvolved', handleWeaponEvolved),
+        onGameEvent('pickupCollected', handlePickupCollected)
+    ];
+    stopListening = () => unsubscribers.forEach(unsubscribe => unsubscribe());
 }
 
 /**
@@ -96,29 +115,6 @@ export function clearRunUnlockedAchievements() {
     runUnlockedAchievements = [];
 }
 
-/**
- * Track damage taken on a floor (for perfectFloor achievement)
- * @param {number} floor - Current floor number
- * @param {number} damage - Damage taken
- */
-export function trackFloorDamage(floor, damage) {
-    if (!runChallengeData.floorDamageTaken[floor]) {
-        runChallengeData.floorDamageTaken[floor] = 0;
-    }
-    runChallengeData.floorDamageTaken[floor] += damage;
-}
-
-/**
- * Track damage taken by the local player this run (for the flawless_run achievement).
- * Hooked to the local player's health "hurt" event in game.js.
- * @param {number} damage - Amount of damage taken
- */
-export function trackPlayerDamage(damage = 0) {
-    if (damage > 0) {
-        runChallengeData.damageTakenThisRun += damage;
-    }
-}
-
 /**
  * Check if a floor was completed without taking damage
  * @param {number} floor - Floor number that was completed
@@ -128,28 +124,49 @@ export function wasFloorPerfect(floor) {
     return !runChallengeData.floorDamageTaken[floor] || runChallengeData.floorDamageTaken[floor] === 0;
 }
 
+/**
+ * Local player took a hit: feeds flawless_run, perfectFloor and noHitBoss,
+ * and awards closeCall when the hit left them at exactly 1 HP
+ * @param {Object} event - playerDamaged payload
+ */
+function handlePlayerDamaged({ player, amount, floor }) {
+    if (amount > 0) {
+        runChallengeData.damageTakenThisRun += amount;
+        runChallengeData.floorDamageTaken[floor] = (runChallengeData.floorDamageTaken[floor] || 0) + amount;
+        runChallengeData.currentBossNoDamage = false;
+    }
+    if (player.hp() === 1) {
+        unlockAndNotify('closeCall');
+    }
+}
+
 /**
  * Start tracking a boss fight (for noHitBoss achievement)
- * @param {number} playerHP - Player's HP at boss fight start
+ * @param {Object} event - bossFightStarted payload
  */
-export function startBossFight(playerHP) {
+function handleBossFightStarted({ playerHP }) {
     runChallengeData.currentBossNoDamage = true;
     runChallengeData.bossStartHP = playerHP;
 }
 
 /**
- * Track damage during boss fight
+ * Any enemy, miniboss or boss died (for killStreak10).
+ * Awards when 10 kills land within a 5-second window.
  */
-export function trackBossDamage() {
-    runChallengeData.currentBossNoDamage = false;
+function handleEnemyKilled() {
+    const now = Date.now();
+    runChallengeData.enemyKillTimes.push(now);
+    runChallengeData.enemyKillTimes = runChallengeData.enemyKillTimes.filter(t => now - t <= 5000);
+    if (runChallengeData.enemyKillTimes.length >= 10) {
+        unlockAndNotify('killStreak10');
+    }
 }
 
 /**
- * Called when a boss is defeated
- * @param {number} playerCurrentHP - Player's current HP when boss died
- * @param {number} playerMaxHP - Player's max HP
+ * A boss died: noHitBoss, glassCannonWin and bossRush
+ * @param {Object} event - bossDefeated payload
  */
-export function onBossDefeated(playerCurrentHP, playerMaxHP) {
+function handleBossDefeated({ playerHP, playerMaxHP }) {
     runChallengeData.bossesKilledThisRun++;
 
     // Check noHitBoss achievement
@@ -158,7 +175,7 @@ export function onBossDefeated(playerCurrentHP, playerMaxHP) {
     }
 
     // Check glassCannonWin achievement (below 25% HP)
-    const hpPercent = playerCurrentHP / playerMaxHP;
+    const hpPercent = playerHP / playerMaxHP;
     if (hpPercent < 0.25) {
         unlockAndNotify('glassCannonWin');
     }
@@ -170,14 +187,14 @@ export function onBossDefeated(playerCurrentHP, playerMaxHP) {
 
     // Reset boss tracking for next boss
     runChallengeData.currentBossNoDamage = true;
-    runChallengeData.bossStartHP = playerCurrentHP;
+    runChallengeData.bossStartHP = playerHP;
 }
 
 /**
- * Called when a floor is completed
- * @param {number} floor - Floor that was completed
+ * A floor was completed: perfectFloor and speedRunner
+ * @param {Object} event - floorCompleted payload
  */
-export function onFloorCompleted(floor) {
+function handleFloorCompleted({ floor }) {
     // Check perfectFloor achievement
     if (wasFloorPerfect(floor)) {
         unlockAndNotify('perfectFloor');
@@ -196,9 +213,9 @@ export function onFloorCompleted(floor) {
 }
 
 /**
- * Called when a synergy is activated (for firstSynergy achievement)
+ * A synergy was activated (for firstSynergy and synergyMaster)
  */
-export function onSynergyActivated() {
+function handleSynergyActivated() {
     runChallengeData.synergyCount = (runChallengeData.synergyCount || 0) + 1;
     unlockAndNotify('firstSynergy');
     if (runChallengeData.synergyCount >= 3) {
@@ -207,32 +224,29 @@ export function onSynergyActivated() {
 }
 
 /**
- * Called when any enemy/miniboss/boss is killed (for killStreak10).
- * Awards when 10 kills land within a 5-second window.
+ * The local player evolved their weapon: remember it across runs (for firstEvolution and fullArsenal)
+ * @param {Object} event - weaponEvolved payload
  */
-export function trackEnemyKill() {
-    const now = Date.now();
-    runChallengeData.enemyKillTimes.push(now);
-    runChallengeData.enemyKillTimes = runChallengeData.enemyKillTimes.filter(t => now - t <= 5000);
-    if (runChallengeData.enemyKillTimes.length >= 10) {
-        unlockAndNotify('killStreak10');
+function handleWeaponEvolved({ weaponKey }) {
+    if (isReplayPlayback()) return;
+    const evolvedWeapons = recordWeaponEvolution(weaponKey);
+    unlockAndNotify('firstEvolution');
+
+    // Every base weapon needs one of its evolutions reached
+    const baseWeapons = new Set(Object.values(WEAPON_DEFINITIONS).map(weapon => weapon.evolvesFrom).filter(Boolean));
+    const evolvedBases = new Set(evolvedWeapons.map(key => WEAPON_DEFINITIONS[key]?.evolvesFrom));
+    if ([...baseWeapons].every(base => evolvedBases.has(base))) {
+        unlockAndNotify('fullArsenal');
     }
 }
 
 /**
- * Called when the local player collects any pickup (for firstPickup).
+ * Any pickup was collected (for firstPickup)
  */
-export function trackPickup() {
+function handlePickupCollected() {
     unlockAndNotify('firstPickup');
 }
 
-/**
- * Called from the player onHurt hook when a hit leaves the player at exactly 1 HP (for closeCall).
- */
-export function trackCloseCall() {
-    unlockAndNotify('closeCall');
-}
-
 /**
  * Check if all characters are unlocked (for allCharacters achievement)
  */
@@ -270,6 +284,8 @@ export function checkMaxUpgrade() {
 // @param {Object} currentRunStats - Optional current run stats to augment saved stats
 //   { floor, enemiesKilled, bossesKilled, level, currencyEarned }
 export function checkAchievements(k, currentRunStats = null) {
+    if (isReplayPlayback()) return [];
+
     // Update kInstance if provided (for showing toasts)
     if (k) {
         kInstance = k;
@@ -0,0 +1,529 @@
+/**
+ * Boss Pattern Interpreter
+ *
+ * Runs the phase, movement and attack scripts declared in data/bosses.js
+ * (see the format notes at the top of that file). New bosses only need a
+ * definition - no engine changes.
+ *
+ * Movement runs on every machine. Attacks only run where the game is
+ * authoritative (single player or multiplayer host) and draw from the
+ * boss's seeded RNG, so a script plays out the same way in both modes;
+ * minions and projectiles reach clients through the normal entity sync.
+ */
+
+import { createEnemy } from '../entities/enemy.js';
+import { createProjectile } from '../entities/projectile.js';
+import { isMultiplayerActive, isHost, registerEnemy } from './multiplayerGame.js';
+import { emitGameEvent } from './eventBus.js';
+import { gameplayRandom } from '../utils/seededRandom.js';
+
+// Colors used by attacks that don't set their own
+const TELEGRAPH_COLOR = [255, 255, 0]; // Yellow flash before telegraphed attacks
+const DEFAULT_PROJECTILE_COLOR = [255, 100, 100]; // Red boss projectiles
+
+// Attack params that are plain lists, not per-phase values
+const UNPHASED_PARAMS = new Set(['type', 'minionTypes', 'color']);
+
+export const MOVEMENT_TYPES = ['chase', 'keepDistance', 'holdCenter'];
+
+/**
+ * Roll 0-1 from the boss's seeded RNG (the run's gameplay RNG without one)
+ */
+function roll(boss) {
+    return boss.rng ? boss.rng.next() : gameplayRandom();
+}
+
+/**
+ * Resolve a param that may be a per-phase array
+ * @param {*} value - Plain value or [phase1, phase2, ...] (last entry repeats)
+ * @param {number} phase - Current phase (1-based)
+ * @returns {*}
+ */
+export function resolvePhaseValue(value, phase) {
+    if (!Array.isArray(value)) return value;
+    return value[Math.min(Math.max(1, phase), value.length) - 1];
+}
+
+/**
+ * Resolve every per-phase param of an attack for the current phase
+ * @param {Object} attack - Attack definition
+ * @param {number} phase - Current phase (1-based)
+ * @returns {Object} Copy of the attack with plain values
+ */
+export function resolveAttackParams(attack, phase) {
+    const params = {};
+    Object.keys(attack).forEach(key => {
+        params[key] = UNPHASED_PARAMS.has(key) ? attack[key] : resolvePhaseValue(attack[key], phase);
+    });
+    return params;
+}
+
+/**
+ * Get the active phase for a health percentage
+ * @param {Array<Object>} phases - Phase list from the boss definition
+ * @param {number} healthPercent - Current hp / max hp
+ * @param {boolean} enraged - Whether the boss is enraged
+ * @returns {number} Phase number (1-based)
+ */
+export function getPhaseForHealth(phases, healthPercent, enraged = false) {
+    if (!phases || phases.length === 0) return 1;
+
+    if (enraged) {
+        const enragedIndex = phases.findIndex(phase => phase.enraged);
+        if (enragedIndex !== -1) return enragedIndex + 1;
+    }
+
+    let lastHealthPhase = 1;
+    for (let i = 0; i < phases.length; i++) {
+        if (phases[i].enraged) continue;
+        lastHealthPhase = i + 1;
+        if (healthPercent > phases[i].healthAbove) return i + 1;
+    }
+    return lastHealthPhase; // At 0 hp, stay in the final phase
+}
+
+/**
+ * Fire a single boss projectile
+ */
+function fireBossProjectile(k, boss, direction, speed, damage, color) {
+    const projectile = createProjectile(k, boss.pos.x, boss.pos.y, direction, speed, damage, 0, 0, false);
+    projectile.isBossProjectile = true;
+    projectile.color = k.rgb(...(color || DEFAULT_PROJECTILE_COLOR));
+    return projectile;
+}
+
+/**
+ * Get a unit vector for an angle in radians
+ */
+function directionFromAngle(k, angle) {
+    return k.vec2(Math.cos(angle), Math.sin(angle));
+}
+
+/**
+ * Angle from the boss to a target (radians)
+ */
+function angleToTarget(boss, target) {
+    return Math.atan2(target.pos.y - boss.pos.y, target.pos.x - boss.pos.x);
+}
+
+/**
+ * Attack kinds
+ *
+ * fire(k, boss, params, context) performs the attack. Telegraphed attacks
+ * fire after the flash, so fire() re-checks anything it needs.
+ * ready(boss, params, context), if present, must pass before the attack
+ * triggers; a failed check leaves the timer running.
+ * tick(k, boss, context) advances attacks that last over time.
+ * context: { target, floor, state } where state is per-attack scratch data.
+ */
+export const ATTACK_KINDS = {
+    // Projectiles in every direction
+    radialBurst: {
+        fire(k, boss, params) {
+            const directions = params.directions ?? 8;
+            const startAngle = params.angleOffset ?? -Math.PI / 2; // First shot points north
+            for (let i = 0; i < directions; i++) {
+                const angle = startAngle + (Math.PI * 2 / directions) * i;
+                fireBossProjectile(k, boss, directionFromAngle(k, angle), params.speed ?? 200, params.damage ?? 12, params.color);
+            }
+        }
+    },
+
+    // One or more shots fanned around the target
+    aimedVolley: {
+        ready(boss, params, context) {
+            return Boolean(context.target) && boss.pos.dist(context.target.pos) > 0;
+        },
+        fire(k, boss, params, context) {
+            if (!context.target) return;
+            const count = params.count ?? 1;
+            const spread = count > 1 ? (params.spread ?? 0.3) : 0;
+            const baseAngle = angleToTarget(boss, context.target);
+            const speed = params.speed ?? boss.projectileSpeed ?? 250;
+            const damage = (params.damage ?? boss.projectileDamage ?? 12) * (params.damageMultiplier ?? 1);
+            for (let i = 0; i < count; i++) {
+                const offset = count > 1 ? -spread / 2 + (spread / (count - 1)) * i : 0;
+                fireBossProjectile(k, boss, directionFromAngle(k, baseAngle + offset), speed, damage, params.color);
+            }
+        }
+    },
+
+    // Dash toward the target for a fixed time
+    charge: {
+        ready(boss, params, context) {
+            if (!context.target) return false;
+            return params.range === undefined || boss.pos.dist(context.target.pos) < params.range;
+        },
+        fire(k, boss, params, context) {
+            if (!context.target) return;
+            const dir = k.vec2(context.target.pos.x - boss.pos.x, context.target.pos.y - boss.pos.y);
+            if (dir.len() === 0) return;
+            boss.isCharging = true;
+            boss.chargeDirection = dir.unit();
+            boss.chargeSpeed = boss.speed * (params.speedMultiplier ?? 2.5);
+            boss.chargeDuration = params.duration ?? 1.0;
+            boss.chargeDurationTimer = 0;
+        }
+    },
+
+    // Minions in a ring around the boss
+    spawnMinions: {
+        ready(boss, params) {
+            if (params.maxActive === undefined) return true;
+            const activeMinions = boss.spawnedMinions.filter(m => m.exists() && m.hp() > 0);
+            return activeMinions.length < params.maxActive;
+        },
+        fire(k, boss, params, context) {
+            const types = params.minionTypes || ['basic'];
+            const count = (params.count ?? 1) + (params.extraCount ? Math.floor(roll(boss) * (params.extraCount + 1)) : 0);
+
+            for (let i = 0; i < count; i++) {
+                const angle = (Math.PI * 2 / count) * i + roll(boss) * (params.angleVariance ?? 0);
+                const spawnDistance = (params.distance ?? 40) + roll(boss) * (params.distanceVariance ?? 0);
+                const spawnX = boss.pos.x + Math.cos(angle) * spawnDistance;
+                const spawnY = boss.pos.y + Math.sin(angle) * spawnDistance;
+                const minionType = types[Math.floor(roll(boss) * types.length)];
+
+                const minion = createEnemy(k, spawnX, spawnY, minionType, context.floor);
+                minion.isBossMinion = true;
+                boss.spawnedMinions.push(minion);
+
+                if (isMultiplayerActive() && isHost()) {
+                    registerEnemy(minion, { type: minionType, floor: context.floor, isBossMinion: true });
+                }
+            }
+
+            // Stop tracking dead minions
+            boss.spawnedMinions = boss.spawnedMinions.filter(m => m.exists());
+        }
+    },
+
+    // Rotating arms of projectiles; each volley turns the pattern by 'step' radians
+    spiral: {
+        fire(k, boss, params, context) {
+            const arms = params.arms ?? 2;
+            const angle = context.state.angle ?? 0;
+            for (let i = 0; i < arms; i++) {
+                const armAngle = angle + (Math.PI * 2 / arms) * i;
+                fireBossProjectile(k, boss, directionFromAngle(k, armAngle), params.speed ?? 170, params.damage ?? 8, params.color);
+            }
+            context.state.angle = angle + (params.step ?? 0.35);
+        }
+    },
+
+    // A stream of shots that sweeps across an arc centered on the target
+    laserSweep: {
+        ready(boss, params, context) {
+            return Boolean(context.target) && !context.state.sweep;
+        },
+        fire(k, boss, params, context) {
+            if (!context.target) return;
+            const arc = params.arc ?? Math.PI / 2;
+            // Sweep direction alternates so the safe side isn't always the same
+            const direction = context.state.clockwise ? 1 : -1;
+            context.state.clockwise = !context.state.clockwise;
+            context.state.sweep = {
+                params,
+                elapsed: 0,
+                shotTimer: 0,
+                startAngle: angleToTarget(boss, context.target) - (arc / 2) * direction,
+                arc: arc * direction
+            };
+        },
+        tick(k, boss, context) {
+            const sweep = context.state.sweep;
+            const duration = sweep.params.duration ?? 1.5;
+            const shotInterval = sweep.params.shotInterval ?? 0.05;
+
+            sweep.elapsed += k.dt();
+            sweep.shotTimer += k.dt();
+            while (sweep.shotTimer >= shotInterval) {
+                sweep.shotTimer -= shotInterval;
+                const progress = Math.min(1, sweep.elapsed / duration);
+                const angle = sweep.startAngle + sweep.arc * progress;
+                fireBossProjectile(k, boss, directionFromAngle(k, angle), sweep.params.speed ?? 320, sweep.params.damage ?? 10, sweep.params.color);
+            }
+
+            if (sweep.elapsed >= duration) {
+                context.state.sweep = null;
+            }
+        }
+    }
+};
+
+/**
+ * List problems with a boss definition's script (empty when valid)
+ * @param {Object} definition - Boss definition from data/bosses.js
+ * @returns {Array<string>}
+ */
+export function getBossScriptErrors(definition) {
+    const errors = [];
+    const phaseCount = (definition.phases || []).length || 1;
+
+    (definition.phases || []).forEach((phase, index) => {
+        if (!phase.enraged && typeof phase.healthAbove !== 'number') {
+            errors.push(`phase ${index + 1} needs healthAbove or enraged`);
+        }
+    });
+
+    if (definition.movement && !MOVEMENT_TYPES.includes(definition.movement.type)) {
+        errors.push(`unknown movement type '${definition.movement.type}'`);
+    }
+
+    [...(definition.attacks || []), ...(definition.deathAttacks || [])].forEach(attack => {
+        if (!ATTACK_KINDS[attack.type]) {
+            errors.push(`unknown attack type '${attack.type}'`);
+            return;
+        }
+        Object.keys(attack).forEach(key => {
+            if (!UNPHASED_PARAMS.has(key) && Array.isArray(attack[key]) && attack[key].length > phaseCount) {
+                errors.push(`${attack.type}.${key} has more values than phases`);
+            }
+        });
+        if (attack.fromPhase !== undefined && attack.fromPhase > phaseCount) {
+            errors.push(`${attack.type} starts in phase ${attack.fromPhase} but there are only ${phaseCount}`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Move the boss, stopping on each axis that would overlap an obstacle
+ */
+function moveWithCollision(k, boss, moveAmount) {
+    const newX = boss.pos.x + moveAmount.x;
+    const newY = boss.pos.y + moveAmount.y;
+    const bossSize = boss.size || 14;
+
+    let canMoveX = true;
+    let canMoveY = true;
+
+    for (const obstacle of k.get('obstacle')) {
+        if (!obstacle.exists()) continue;
+
+        const obsLeft = obstacle.pos.x - obstacle.width / 2;
+        const obsRight = obstacle.pos.x + obstacle.width / 2;
+        const obsTop = obstacle.pos.y - obstacle.height / 2;
+        const obsBottom = obstacle.pos.y + obstacle.height / 2;
+
+        // X movement at the current Y
+        if (newX + bossSize > obsLeft && newX - bossSize < obsRight &&
+            boss.pos.y + bossSize > obsTop && boss.pos.y - bossSize < obsBottom) {
+            canMoveX = false;
+        }
+
+        // Y movement at the current X
+        if (boss.pos.x + bossSize > obsLeft && boss.pos.x - bossSize < obsRight &&
+            newY + bossSize > obsTop && newY - bossSize < obsBottom) {
+            canMoveY = false;
+        }
+    }
+
+    if (canMoveX) boss.pos.x = newX;
+    if (canMoveY) boss.pos.y = newY;
+}
+
+/**
+ * Movement styles
+ */
+const MOVEMENT = {
+    // Walk straight at the target
+    chase(k, boss, movement, target, phase) {
+        const dir = k.vec2(target.pos.x - boss.pos.x, target.pos.y - boss.pos.y);
+        if (dir.len() === 0) return;
+        const speed = boss.speed * resolvePhaseValue(movement.speedMultiplier ?? 1, phase);
+        moveWithCollision(k, boss, dir.unit().scale(speed * k.dt()));
+    },
+
+    // Back off when too close, close in when too far
+    keepDistance(k, boss, movement, target, phase) {
+        const dir = k.vec2(target.pos.x - boss.pos.x, target.pos.y - boss.pos.y);
+        const distance = dir.len();
+        if (distance === 0) return;
+
+        const preferredDistance = movement.preferredDistance ?? 200;
+        const speed = boss.speed * resolvePhaseValue(movement.speedMultiplier ?? 1, phase);
+        if (distance < preferredDistance) {
+            moveWithCollision(k, boss, dir.unit().scale(-speed * k.dt()));
+        } else if (distance > preferredDistance * (movement.maxDistanceFactor ?? 1.5)) {
+            moveWithCollision(k, boss, dir.unit().scale(speed * k.dt()));
+        }
+    },
+
+    // Drift to the room center while staying away from the target
+    holdCenter(k, boss, movement, target, phase) {
+        const toCenter = k.vec2(k.width() / 2 - boss.pos.x, k.height() / 2 - boss.pos.y);
+        const toTarget = k.vec2(target.pos.x - boss.pos.x, target.pos.y - boss.pos.y);
+
+        let moveDir = k.vec2(0, 0);
+        if (toCenter.len() > 30) {
+            moveDir = moveDir.add(toCenter.unit().scale(movement.centerPull ?? 0.5));
+        }
+        if (toTarget.len() < (movement.preferredDistance ?? 150)) {
+            moveDir = moveDir.add(toTarget.unit().scale(-1));
+        }
+        if (moveDir.len() === 0) return;
+
+        const speed = boss.speed * resolvePhaseValue(movement.speedMultiplier ?? 1, phase);
+        moveWithCollision(k, boss, moveDir.unit().scale(speed * k.dt()));
+    }
+};
+
+/**
+ * Find the nearest living player
+ */
+function findTarget(k, boss) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    k.get('player').forEach(player => {
+        if (!player.exists() || player.isDead) return;
+        const distance = boss.pos.dist(player.pos);
+        if (distance < nearestDistance) {
+            nearest = player;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Attacks only run where the game is authoritative
+ */
+function isAuthoritative() {
+    return !isMultiplayerActive() || isHost();
+}
+
+/**
+ * Create the script runner for a boss
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} boss - Boss entity
+ * @param {Object} definition - Boss definition from data/bosses.js
+ * @param {number} floor - Current floor (for minion scaling)
+ * @returns {Object} { update, triggerDeathAttacks, resetTimers }
+ */
+export function createBossPatternRunner(k, boss, definition, floor = 1) {
+    const attacks = definition.attacks || [];
+    const states = attacks.map(() => ({ timer: 0 }));
+    const movement = definition.movement || { type: 'chase' };
+    let currentPhase = null; // Last phase seen, for bossPhaseChanged
+
+    // Run an attack now, or after its telegraph flash
+    function trigger(attack, params, state) {
+        const kind = ATTACK_KINDS[attack.type];
+        if (!params.telegraph) {
+            kind.fire(k, boss, params, { target: findTarget(k, boss), floor, state });
+            return;
+        }
+
+        boss.color = k.rgb(...TELEGRAPH_COLOR);
+        k.wait(params.telegraph, () => {
+            if (!boss.exists() || boss.isDead) return;
+            boss.updateVisual();
+            kind.fire(k, boss, params, { target: findTarget(k, boss), floor, state });
+        });
+    }
+
+    function tickCharge() {
+        boss.pos.x += boss.chargeDirection.x * boss.chargeSpeed * k.dt();
+        boss.pos.y += boss.chargeDirection.y * boss.chargeSpeed * k.dt();
+
+        boss.chargeDurationTimer += k.dt();
+        if (boss.chargeDurationTimer >= boss.chargeDuration) {
+            boss.isCharging = false;
+            boss.chargeDurationTimer = 0;
+            runner.resetTimers('charge'); // Cooldown starts when the charge ends
+        }
+    }
+
+    function tickAttacks(target, phase) {
+        attacks.forEach((attack, index) => {
+            const state = states[index];
+            const kind = ATTACK_KINDS[attack.type];
+            const context = { target, floor, state };
+
+            if (kind.tick && state.sweep) {
+                kind.tick(k, boss, context);
+            }
+
+            if (attack.fromPhase && phase < attack.fromPhase) return;
+
+            const params = resolveAttackParams(attack, phase);
+            state.timer += k.dt();
+
+            // Charging locks out other attacks; their timers keep running
+            if (boss.isCharging) return;
+            if (state.timer < getAttackInterval(boss, params)) return;
+            if (kind.ready && !kind.ready(boss, params, context)) return;
+
+            state.timer = 0;
+            trigger(attack, params, state);
+        });
+    }
+
+    const runner = {
+        /**
+         * Advance movement and attacks by one frame
+         * Emits bossPhaseChanged when the boss crosses into a new phase
+         */
+        update() {
+            const phase = boss.getPhase();
+            if (phase !== currentPhase) {
+                if (currentPhase !== null) {
+                    emitGameEvent('bossPhaseChanged', { boss, bossType: boss.type, phase, previousPhase: currentPhase });
+                }
+                currentPhase = phase;
+            }
+
+            const target = findTarget(k, boss);
+            if (!target) return;
+
+            if (boss.isCharging) {
+                tickCharge();
+            } else {
+                (MOVEMENT[movement.type] || MOVEMENT.chase)(k, boss, movement, target, phase);
+            }
+
+            if (isAuthoritative()) {
+                tickAttacks(target, phase);
+            }
+        },
+
+        /**
+         * Fire the definition's death attacks (authoritative side only)
+         */
+        triggerDeathAttacks() {
+            if (!isAuthoritative()) return;
+            const phase = boss.getPhase();
+            (definition.deathAttacks || []).forEach(attack => {
+                const params = resolveAttackParams(attack, phase);
+                ATTACK_KINDS[attack.type]?.fire(k, boss, params, { target: findTarget(k, boss), floor, state: {} });
+            });
+        },
+
+        /**
+         * Restart the timers of every attack of a type
+         * @param {string} type - Attack type key
+         */
+        resetTimers(type) {
+            attacks.forEach((attack, index) => {
+                if (attack.type === type) states[index].timer = 0;
+            });
+        }
+    };
+
+    return runner;
+}
+
+/**
+ * Seconds between uses of an attack. Attacks without an interval fall back
+ * to the boss's fire rate.
+ * @param {Object} boss - Boss entity
+ * @param {Object} params - Resolved attack params
+ * @returns {number}
+ */
+export function getAttackInterval(boss, params) {
+    if (params.interval !== undefined) return params.interval;
+    if (boss.fireRate) return 1 / (boss.fireRate * (params.rateMultiplier ?? 1));
+    return Infinity;
+}
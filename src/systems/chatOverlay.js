@@ -0,0 +1,482 @@
+/**
+ * Chat Overlay
+ * On-screen party chat (lobby and runs) and the in-run quick-chat wheel.
+ * Messages come from chatSystem.js; this module only draws them and reads input.
+ *
+ * - The chat key (Enter by default) opens a text box that takes the keyboard
+ *   (keyBindings.js setKeyboardCaptured), Enter sends and Escape closes.
+ *   While closed, new messages show for a few seconds and then fade.
+ * - Holding the quick-chat key (Z / left bumper) opens a radial wheel; aim with
+ *   the mouse or right stick and let go to ping the spot for the party.
+ */
+
+import {
+    QUICK_PINGS,
+    describePing,
+    getDisplayText,
+    getChatHistory,
+    isChatAvailable,
+    onChatMessage,
+    onQuickPing,
+    sendChatMessage,
+    sendQuickPing
+} from './chatSystem.js';
+import { onActionPress, onActionRelease, setKeyboardCaptured, formatActionKeys } from './keyBindings.js';
+import { getAimInput } from './inputSystem.js';
+import { MULTIPLAYER_CONFIG } from '../config/constants.js';
+import { UI_TEXT_SIZES } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from './accessibility.js';
+
+const LINE_SPACING = 1.25; // Line height per unit of text size
+const CHAR_WIDTH_RATIO = 0.6; // Rough glyph width per unit of text size, for wrapping
+const INPUT_HEIGHT = 34; // Input line and hint under the messages while typing
+const SHOW_SECONDS = 10; // How long a message stays once the box is closed
+const FADE_SECONDS = 1;
+
+const WHEEL_OPTIONS = Object.keys(QUICK_PINGS); // Clockwise from the top
+const WHEEL_RADIUS = 80;
+const WHEEL_DEAD_ZONE = 20; // Pixels (or stick * 100) before an option is picked
+
+/**
+ * Escape player text so KAPLAY doesn't read it as [style] tags
+ * @param {string} text - Text to draw
+ * @returns {string}
+ */
+export function escapeStyledText(text) {
+    return text.replace(/[\\[]/g, '\\$&');
+}
+
+/**
+ * Split a line into chunks that fit the chat box, breaking at spaces when it can
+ * @param {string} text - Line to wrap
+ * @param {number} maxChars - Characters per line
+ * @returns {Array<string>} At least one line
+ */
+export function wrapChatLine(text, maxChars) {
+    const lines = [];
+    let line = '';
+    text.split(' ').forEach(word => {
+        while (word.length > maxChars) {
+            if (line) {
+                lines.push(line);
+                line = '';
+            }
+            lines.push(word.slice(0, maxChars));
+            word = word.slice(maxChars);
+        }
+        if (!line) {
+            line = word;
+        } else if (line.length + 1 + word.length <= maxChars) {
+            line += ` ${word}`;
+        } else {
+            lines.push(line);
+            line = word;
+        }
+    });
+    if (line || lines.length === 0) lines.push(line);
+    return lines;
+}
+
+/**
+ * Pick the wheel option an offset from the wheel's center points at
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset (down is positive)
+ * @param {number} count - Number of options, clockwise from the top
+ * @param {number} deadZone - Offsets shorter than this pick nothing
+ * @returns {number} Option index, or -1 inside the dead zone
+ */
+export function pickWheelOption(dx, dy, count, deadZone = WHEEL_DEAD_ZONE) {
+    if (Math.hypot(dx, dy) < deadZone) return -1;
+    const slice = (Math.PI * 2) / count;
+    const angle = Math.atan2(dx, -dy); // 0 at the top, growing clockwise
+    return ((Math.round(angle / slice) % count) + count) % count;
+}
+
+// One chat line as shown: who said it and in which color
+function formatMessage(message) {
+    const text = getDisplayText(message);
+    if (message.isSystem) {
+        return { text, color: getUIColors().TEXT_TERTIARY };
+    }
+    if (message.pingType) {
+        const ping = QUICK_PINGS[message.pingType];
+        return { text: `${ping.icon} ${message.playerName}: ${text}`, color: ping.color };
+    }
+    const name = message.isSpectator ? `👁 ${message.playerName}` : message.playerName;
+    return { text: `${name}: ${text}`, color: message.isSpectator ? [170, 190, 230] : getUIColors().TEXT_PRIMARY };
+}
+
+/**
+ * Chat box for a scene
+ * Register it after the scene's pause handler: Escape then closes the chat
+ * without also pausing (the pause action is skipped while the keyboard is captured)
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} options
+ * @param {number} options.x - Left edge
+ * @param {number} options.bottomY - Bottom edge
+ * @param {number} options.width - Box width
+ * @param {number} options.visibleLines - Lines of history shown
+ * @param {Function} options.canOpen - Extra check before opening (e.g. not while paused)
+ * @returns {Function} Cleanup (call on scene leave)
+ */
+export function initChatOverlay(k, { x, bottomY, width, visibleLines = 6, canOpen = () => true }) {
+    // Sized for the text scale in effect when the overlay is created
+    const textSize = scaleTextSize(UI_TEXT_SIZES.TINY);
+    const lineHeight = Math.round(textSize * LINE_SPACING);
+    const maxChars = Math.floor((width - 12) / (textSize * CHAR_WIDTH_RATIO));
+    let open = false;
+    let draft = '';
+    let toggledAt = -1; // k.time() of the last open/close, so one Enter press doesn't do both
+    let lineObjects = [];
+    let inputObjects = [];
+
+    function clearObjects(objects) {
+        objects.forEach(obj => {
+            if (obj.exists()) k.destroy(obj);
+        });
+    }
+
+    // Rebuild the message lines (newest at the bottom)
+    function renderMessages() {
+        clearObjects(lineObjects);
+        lineObjects = [];
+
+        const rows = [];
+        const history = getChatHistory();
+        for (let i = history.length - 1; i >= 0 && rows.length < visibleLines; i--) {
+            const { text, color } = formatMessage(history[i]);
+            const wrapped = wrapChatLine(text, maxChars);
+            for (let j = wrapped.length - 1; j >= 0 && rows.length < visibleLines; j--) {
+                rows.push({ text: wrapped[j], color, time: history[i].time });
+            }
+        }
+
+        const baseY = bottomY - (open ? INPUT_HEIGHT : 0);
+        rows.forEach((row, index) => {
+            lineObjects.push(k.add([
+                k.text(escapeStyledText(row.text), { size: textSize }),
+                k.pos(x + 6, baseY - (index + 1) * lineHeight),
+                k.color(...row.color),
+                k.opacity(1),
+                k.fixed(),
+                k.z(1001),
+                'chatOverlay',
+                { messageTime: row.time }
+            ]));
+        });
+    }
+
+    function renderInput() {
+        clearObjects(inputObjects);
+        inputObjects = [];
+        if (!open) return;
+
+        const boxHeight = visibleLines * lineHeight + INPUT_HEIGHT + 8;
+        inputObjects.push(
+            k.add([
+                k.rect(width, boxHeight, { radius: 4 }),
+                k.pos(x, bottomY - boxHeight),
+                k.color(...getUIColors().BG_DARK),
+                k.opacity(0.75),
+                k.fixed(),
+                k.z(1000),
+                'chatOverlay'
+            ]),
+            k.add([
+                k.text('', { size: textSize }),
+                k.pos(x + 6, bottomY - INPUT_HEIGHT + 4),
+                k.color(...getUIColors().TEXT_PRIMARY),
+                k.fixed(),
+                k.z(1001),
+                'chatOverlay'
+            ]),
+            k.add([
+                k.text(`${formatActionKeys('chat')} send · ESC close`, { size: scaleTextSize(UI_TEXT_SIZES.TINY - 2) }),
+                k.pos(x + 6, bottomY - 14),
+                k.color(...getUIColors().TEXT_TERTIARY),
+                k.fixed(),
+                k.z(1001),
+                'chatOverlay'
+            ])
+        );
+        updateDraft();
+    }
+
+    function updateDraft() {
+        if (!open) return;
+        // Show the end of a long draft
+        const shown = draft.length > maxChars - 3 ? `…${draft.slice(-(maxChars - 4))}` : draft;
+        inputObjects[1].text = escapeStyledText(`> ${shown}_`);
+    }
+
+    function setOpen(value) {
+        open = value;
+        toggledAt = k.time();
+        draft = '';
+        setKeyboardCaptured(value);
+        renderMessages();
+        renderInput();
+    }
+
+    const unsubscribe = onChatMessage(() => renderMessages());
+
+    const controllers = [
+        onActionPress(k, 'chat', () => {
+            if (open || toggledAt === k.time() || !isChatAvailable() || !canOpen()) return;
+            setOpen(true);
+        }),
+        k.onKeyPress('enter', () => {
+            if (!open || toggledAt === k.time()) return;
+            const text = draft;
+            setOpen(false);
+            sendChatMessage(text);
+        }),
+        k.onKeyPress('escape', () => {
+            if (open) setOpen(false);
+        }),
+        k.onKeyPress('backspace', () => {
+            if (!open || draft.length === 0) return;
+            draft = draft.slice(0, -1);
+            updateDraft();
+        }),
+        k.onCharInput((ch) => {
+            // Skip the character typed by the key that opened the box
+            if (!open || toggledAt === k.time()) return;
+            if (draft.length >= MULTIPLAYER_CONFIG.CHAT_MAX_LENGTH) return;
+            draft += ch;
+            updateDraft();
+        }),
+        k.onUpdate(() => {
+            // The party connection went away (left, kicked, host gone)
+            if (open && !isChatAvailable()) setOpen(false);
+
+            const now = Date.now();
+            lineObjects.forEach(obj => {
+                const age = (now - obj.messageTime) / 1000;
+                obj.opacity = open ? 1 : Math.max(0, Math.min(1, 1 - (age - SHOW_SECONDS) / FADE_SECONDS));
+            });
+        })
+    ];
+
+    renderMessages();
+
+    return () => {
+        unsubscribe();
+        controllers.forEach(controller => controller.cancel());
+        clearObjects(lineObjects);
+        clearObjects(inputObjects);
+        if (open) setKeyboardCaptured(false);
+    };
+}
+
+/**
+ * Quick-chat wheel and ping markers for the game scene
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} options
+ * @param {Function} options.getLocalPlayer - The local player
+ * @param {Function} options.canPing - Whether the wheel may open (e.g. not while paused)
+ * @returns {Function} Cleanup (call on scene leave)
+ */
+export function initQuickChatWheel(k, { getLocalPlayer, canPing = () => true }) {
+    let wheel = null; // { center, objects, selected }
+    const markers = [];
+
+    function nearest(tag, point, filter = () => true) {
+        let best = null;
+        let bestDist = Infinity;
+        k.get(tag).forEach(obj => {
+            if (!filter(obj)) return;
+            const dist = obj.pos.dist(point);
+            if (dist < bestDist) {
+                best = obj;
+                bestDist = dist;
+            }
+        });
+        return best;
+    }
+
+    // Where a ping lands: the player for revives, the closest door or boss for those
+    function resolvePing(pingType, point) {
+        const player = getLocalPlayer();
+        if (pingType === 'revive') {
+            return { x: player.pos.x, y: player.pos.y, doorDirection: null };
+        }
+        if (pingType === 'door') {
+            const door = nearest('door', point, obj => !obj.blocked);
+            if (door) return { x: door.pos.x, y: door.pos.y, doorDirection: door.direction };
+        }
+        if (pingType === 'boss') {
+            const boss = nearest('boss', point);
+            if (boss) return { x: boss.pos.x, y: boss.pos.y, doorDirection: null };
+        }
+        return { x: point.x, y: point.y, doorDirection: null };
+    }
+
+    // Wheel offset from the mouse, or the right stick when a gamepad is aiming
+    function getSelection() {
+        const aim = getAimInput();
+        if (aim.active) {
+            return pickWheelOption(aim.x * 100, aim.y * 100, WHEEL_OPTIONS.length);
+        }
+        const mouse = k.mousePos();
+        return pickWheelOption(mouse.x - wheel.center.x, mouse.y - wheel.center.y, WHEEL_OPTIONS.length);
+    }
+
+    function openWheel() {
+        const player = getLocalPlayer();
+        if (wheel || !player || player.isDead || k.paused || !isChatAvailable() || !canPing()) return;
+
+        const aim = getAimInput();
+        const mouse = k.mousePos();
+        const margin = WHEEL_RADIUS + 30;
+        const center = aim.active
+            ? k.vec2(k.width() / 2, k.height() / 2)
+            : k.vec2(
+                Math.max(margin, Math.min(k.width() - margin, mouse.x)),
+                Math.max(margin, Math.min(k.height() - margin, mouse.y))
+            );
+
+        const objects = [
+            k.add([
+                k.circle(WHEEL_RADIUS + 25),
+                k.pos(center),
+                k.color(...getUIColors().BG_DARK),
+                k.opacity(0.7),
+                k.fixed(),
+                k.z(950),
+                'quickChatWheel'
+            ]),
+            k.add([
+                k.text('QUICK CHAT', { size: scaleTextSize(UI_TEXT_SIZES.TINY - 2) }),
+                k.pos(center),
+                k.anchor('center'),
+                k.color(...getUIColors().TEXT_TERTIARY),
+                k.fixed(),
+                k.z(951),
+                'quickChatWheel'
+            ])
+        ];
+        const options = WHEEL_OPTIONS.map((pingType, index) => {
+            const angle = (index / WHEEL_OPTIONS.length) * Math.PI * 2;
+            const ping = QUICK_PINGS[pingType];
+            const option = k.add([
+                k.text(`${ping.icon}\n${ping.label}`, { size: scaleTextSize(UI_TEXT_SIZES.TINY), align: 'center' }),
+                k.pos(center.x + Math.sin(angle) * WHEEL_RADIUS, center.y - Math.cos(angle) * WHEEL_RADIUS),
+                k.anchor('center'),
+                k.color(...getUIColors().TEXT_SECONDARY),
+                k.scale(1),
+                k.fixed(),
+                k.z(951),
+                'quickChatWheel'
+            ]);
+            objects.push(option);
+            return option;
+        });
+
+        wheel = { center, objects, options, selected: -1 };
+    }
+
+    function closeWheel(send) {
+        if (!wheel) return;
+        const selected = wheel.selected;
+        wheel.objects.forEach(obj => {
+            if (obj.exists()) k.destroy(obj);
+        });
+        wheel = null;
+
+        const player = getLocalPlayer();
+        if (!send || selected === -1 || !player) return;
+
+        // Mouse players ping where they point; gamepad players where they stand
+        const aim = getAimInput();
+        const point = aim.active ? player.pos : k.toWorld(k.mousePos());
+        const pingType = WHEEL_OPTIONS[selected];
+        const target = resolvePing(pingType, point);
+        sendQuickPing(pingType, target.x, target.y, target.doorDirection);
+    }
+
+    function addMarker(ping) {
+        const { icon, color } = QUICK_PINGS[ping.pingType];
+        const label = escapeStyledText(`${ping.playerName}: ${describePing(ping.pingType, ping.doorDirection)}`);
+        const objects = [
+            k.add([
+                k.circle(16),
+                k.pos(ping.x, ping.y),
+                k.anchor('center'),
+                k.color(...color),
+                k.opacity(0.25),
+                k.outline(2, k.rgb(...color)),
+                k.z(850),
+                'pingMarker'
+            ]),
+            k.add([
+                k.text(icon, { size: scaleTextSize(UI_TEXT_SIZES.H2) }),
+                k.pos(ping.x, ping.y),
+                k.anchor('center'),
+                k.color(...color),
+                k.opacity(1),
+                k.z(851),
+                'pingMarker'
+            ]),
+            k.add([
+                k.text(label, { size: scaleTextSize(UI_TEXT_SIZES.MICRO) }),
+                k.pos(ping.x, ping.y - 28),
+                k.anchor('center'),
+                k.color(...color),
+                k.opacity(1),
+                k.z(851),
+                'pingMarker'
+            ])
+        ];
+        markers.push({ objects, expiresAt: k.time() + MULTIPLAYER_CONFIG.PING_DURATION });
+    }
+
+    const unsubscribe = onQuickPing(addMarker);
+
+    const controllers = [
+        onActionPress(k, 'quickChat', openWheel),
+        onActionRelease(k, 'quickChat', () => closeWheel(true)),
+        k.onUpdate(() => {
+            if (wheel) {
+                // Pausing or going down cancels the wheel
+                const player = getLocalPlayer();
+                if (k.paused || !player || player.isDead) {
+                    closeWheel(false);
+                } else {
+                    wheel.selected = getSelection();
+                    wheel.options.forEach((option, index) => {
+                        const active = index === wheel.selected;
+                        option.color = k.rgb(...(active ? QUICK_PINGS[WHEEL_OPTIONS[index]].color : getUIColors().TEXT_SECONDARY));
+                        option.scale = k.vec2(active ? 1.2 : 1);
+                    });
+                }
+            }
+
+            // Fade markers out over their last second
+            const now = k.time();
+            for (let i = markers.length - 1; i >= 0; i--) {
+                const remaining = markers[i].expiresAt - now;
+                if (remaining <= 0) {
+                    markers[i].objects.forEach(obj => {
+                        if (obj.exists()) k.destroy(obj);
+                    });
+                    markers.splice(i, 1);
+                } else if (remaining < 1) {
+                    markers[i].objects.forEach((obj, index) => {
+                        obj.opacity = index === 0 ? remaining * 0.25 : remaining;
+                    });
+                }
+            }
+        })
+    ];
+
+    return () => {
+        unsubscribe();
+        controllers.forEach(controller => controller.cancel());
+        closeWheel(false);
+        markers.forEach(marker => marker.objects.forEach(obj => {
+            if (obj.exists()) k.destroy(obj);
+        }));
+        markers.length = 0;
+    };
+}
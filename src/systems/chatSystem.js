@@ -0,0 +1,316 @@
+/**
+ * Chat System
+ * Party text chat and quick-chat pings, carried over the party's connection
+ * (networkSystem.js). Clients send to the host, which names the sender from
+ * its own party state, applies the rate limit and relays to everyone; nobody
+ * can speak for another player.
+ *
+ * - Text chat works in the lobby and in runs, observers included. The last
+ *   CHAT_HISTORY_SIZE messages are kept for the overlay (chatOverlay.js).
+ * - Quick-chat pings are canned callouts with a world position, sent from the
+ *   radial wheel during a run. Observers can't ping.
+ * - The profanity filter is a display setting: each player masks what they read.
+ */
+
+import { MessageType } from '../core/NetworkManager.js';
+import { MULTIPLAYER_CONFIG } from '../config/constants.js';
+import { onMessage, broadcast, sendToHost } from './networkSystem.js';
+import { getParty, getLocalPlayerSlot, getPeerIdentity, isSpectator, getPlayerName } from './partySystem.js';
+import { getSetting } from './settings.js';
+
+export const QUICK_PING_MESSAGE = 'quick_ping';
+
+// Quick-chat wheel options, clockwise from the top
+export const QUICK_PINGS = {
+    boss: { label: 'Boss here!', icon: '☠', color: [255, 90, 90] },
+    pickup: { label: 'Pickup here', icon: '◆', color: [120, 220, 255] },
+    revive: { label: 'Need revive!', icon: '✚', color: [120, 255, 140] },
+    door: { label: 'Taking this door', icon: '➜', color: [255, 210, 90] }
+};
+
+// Door directions as players see them on screen
+const DOOR_SIDES = { north: 'top', south: 'bottom', east: 'right', west: 'left' };
+
+// Masked when the filter is on. Whole words only, with each word's forms listed,
+// so "cocktail", "Dickens" or "prickly" come through untouched
+const PROFANITY = [
+    'fuck', 'fucks', 'fucked', 'fucker', 'fuckers', 'fucking', 'fuckin',
+    'motherfucker', 'motherfuckers', 'motherfucking',
+    'shit', 'shits', 'shitty', 'shitting', 'bullshit',
+    'bitch', 'bitches', 'bitching', 'bitchy',
+    'cunt', 'cunts', 'asshole', 'assholes', 'bastard', 'bastards',
+    'dick', 'dicks', 'dickhead', 'dickheads', 'cock', 'cocks', 'cocksucker',
+    'pussy', 'pussies', 'slut', 'sluts', 'slutty', 'whore', 'whores',
+    'twat', 'twats', 'wanker', 'wankers', 'bollocks', 'prick', 'pricks'
+];
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})\\b`, 'gi');
+
+const chat = {
+    history: [], // Newest last: { slotIndex, playerName, text, isSpectator, isSystem, pingType, time }
+    listeners: new Set(), // (message) => void, for new messages
+    pingListeners: new Set(), // (ping) => void, for pings to draw in the world
+    sent: [], // Times of our own recent messages (local rate limit)
+    lastPingTime: 0,
+    peerLimiters: new Map() // peerId (or ping:peerId) -> send times (host only)
+};
+
+/**
+ * Trim and shorten a message, collapsing whitespace
+ * @param {*} text - Raw text (anything a peer sent)
+ * @returns {string} Empty if there is nothing to send
+ */
+export function sanitizeChatText(text) {
+    if (typeof text !== 'string') return '';
+    return text.replace(/\s+/g, ' ').trim().slice(0, MULTIPLAYER_CONFIG.CHAT_MAX_LENGTH);
+}
+
+/**
+ * Mask profanity with asterisks, keeping each word's first letter
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+export function filterProfanity(text) {
+    return text.replace(PROFANITY_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+/**
+ * Sliding-window rate limit check; records the send when it's allowed
+ * @param {Array<number>} sendTimes - Recent send times (pruned in place)
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if another message may go out now
+ */
+export function consumeRateLimit(sendTimes, now) {
+    while (sendTimes.length > 0 && now - sendTimes[0] >= MULTIPLAYER_CONFIG.CHAT_RATE_WINDOW) {
+        sendTimes.shift();
+    }
+    if (sendTimes.length >= MULTIPLAYER_CONFIG.CHAT_RATE_LIMIT) return false;
+    sendTimes.push(now);
+    return true;
+}
+
+/**
+ * Text of a ping as it shows in chat and over its marker
+ * @param {string} pingType - Key of QUICK_PINGS
+ * @param {string|null} doorDirection - For door pings, the door's direction
+ * @returns {string}
+ */
+export function describePing(pingType, doorDirection = null) {
+    if (pingType === 'door' && DOOR_SIDES[doorDirection]) {
+        return `Taking the ${DOOR_SIDES[doorDirection]} door`;
+    }
+    return QUICK_PINGS[pingType]?.label || '';
+}
+
+/**
+ * Text to show for a message, filtered if the player wants it
+ * @param {Object} message - History entry
+ * @returns {string}
+ */
+export function getDisplayText(message) {
+    return getSetting('gameplay', 'chatProfanityFilter') && !message.isSystem
+        ? filterProfanity(message.text)
+        : message.text;
+}
+
+/**
+ * Check if there is a party connection to chat over
+ * @returns {boolean}
+ */
+export function isChatAvailable() {
+    return getParty().networkInitialized;
+}
+
+/**
+ * Get recent messages, oldest first
+ * @returns {Array<Object>}
+ */
+export function getChatHistory() {
+    return chat.history;
+}
+
+/**
+ * Forget the chat (leaving the party)
+ */
+export function clearChatHistory() {
+    chat.history = [];
+    chat.sent = [];
+    chat.peerLimiters.clear();
+}
+
+/**
+ * Subscribe to new chat messages (including pings and system notes)
+ * @param {Function} callback - (message) => void
+ * @returns {Function} Call to unsubscribe
+ */
+export function onChatMessage(callback) {
+    chat.listeners.add(callback);
+    return () => chat.listeners.delete(callback);
+}
+
+/**
+ * Subscribe to quick-chat pings
+ * @param {Function} callback - (ping) => void with { slotIndex, playerName, pingType, x, y, doorDirection }
+ * @returns {Function} Call to unsubscribe
+ */
+export function onQuickPing(callback) {
+    chat.pingListeners.add(callback);
+    return () => chat.pingListeners.delete(callback);
+}
+
+function addMessage(message) {
+    const entry = { ...message, time: Date.now() };
+    chat.history.push(entry);
+    if (chat.history.length > MULTIPLAYER_CONFIG.CHAT_HISTORY_SIZE) {
+        chat.history.shift();
+    }
+    chat.listeners.forEach(callback => {
+        try {
+            callback(entry);
+        } catch (err) {
+            console.error('[Chat] Listener error:', err);
+        }
+    });
+}
+
+/**
+ * Show a note only we can see (e.g. the rate limit)
+ * @param {string} text - Note text
+ */
+export function addSystemMessage(text) {
+    addMessage({ slotIndex: -1, playerName: '', text, isSpectator: false, isSystem: true });
+}
+
+function receivePing(ping) {
+    addMessage({
+        slotIndex: ping.slotIndex,
+        playerName: ping.playerName,
+        text: describePing(ping.pingType, ping.doorDirection),
+        isSpectator: false,
+        isSystem: false,
+        pingType: ping.pingType
+    });
+    chat.pingListeners.forEach(callback => {
+        try {
+            callback(ping);
+        } catch (err) {
+            console.error('[Chat] Ping listener error:', err);
+        }
+    });
+}
+
+function getLocalIdentity() {
+    const slotIndex = getLocalPlayerSlot();
+    return {
+        slotIndex: slotIndex ?? -1,
+        playerName: slotIndex !== null ? getParty().slots[slotIndex].playerName : getPlayerName(),
+        isSpectator: isSpectator()
+    };
+}
+
+/**
+ * Send a chat message to the party
+ * @param {string} text - Message typed by the local player
+ * @returns {boolean} False if there was nothing to send or we're sending too fast
+ */
+export function sendChatMessage(text) {
+    const clean = sanitizeChatText(text);
+    if (!clean || !isChatAvailable()) return false;
+
+    if (!consumeRateLimit(chat.sent, Date.now())) {
+        addSystemMessage('Slow down - wait a moment before sending more');
+        return false;
+    }
+
+    if (getParty().isHost) {
+        const message = { ...getLocalIdentity(), text: clean, isSystem: false };
+        addMessage(message);
+        broadcast(MessageType.CHAT_MESSAGE, message);
+    } else {
+        // Shown when the host relays it back, so everyone sees the same order
+        sendToHost(MessageType.CHAT_MESSAGE, { text: clean });
+    }
+    return true;
+}
+
+/**
+ * Ping a spot for the party (during a run)
+ * @param {string} pingType - Key of QUICK_PINGS
+ * @param {number} x - World position
+ * @param {number} y - World position
+ * @param {string|null} doorDirection - For door pings, the door's direction
+ * @returns {boolean} False while the ping cooldown runs or for observers
+ */
+export function sendQuickPing(pingType, x, y, doorDirection = null) {
+    if (!QUICK_PINGS[pingType] || !isChatAvailable() || isSpectator()) return false;
+
+    const now = Date.now();
+    if (now - chat.lastPingTime < MULTIPLAYER_CONFIG.PING_COOLDOWN) return false;
+    chat.lastPingTime = now;
+
+    const ping = { pingType, x: Math.round(x), y: Math.round(y), doorDirection };
+    if (getParty().isHost) {
+        const identity = getLocalIdentity();
+        const relayed = { ...ping, slotIndex: identity.slotIndex, playerName: identity.playerName };
+        receivePing(relayed);
+        broadcast(QUICK_PING_MESSAGE, relayed);
+    } else {
+        sendToHost(QUICK_PING_MESSAGE, ping);
+    }
+    return true;
+}
+
+// Host-side rate limit per peer (chat and pings are limited separately)
+function allowFromPeer(key) {
+    if (!chat.peerLimiters.has(key)) chat.peerLimiters.set(key, []);
+    return consumeRateLimit(chat.peerLimiters.get(key), Date.now());
+}
+
+/**
+ * Register chat message handlers (partySystem.js calls this when it sets up
+ * the host's or a client's party handlers)
+ * @param {boolean} asHost - Relay for the party instead of just receiving
+ */
+export function setupChatHandlers(asHost) {
+    if (!asHost) {
+        onMessage(MessageType.CHAT_MESSAGE, (payload) => {
+            addMessage({
+                slotIndex: payload.slotIndex,
+                playerName: payload.playerName,
+                text: sanitizeChatText(payload.text),
+                isSpectator: Boolean(payload.isSpectator),
+                isSystem: false
+            });
+        });
+        onMessage(QUICK_PING_MESSAGE, receivePing);
+        return;
+    }
+
+    onMessage(MessageType.CHAT_MESSAGE, (payload, fromPeerId) => {
+        const sender = getPeerIdentity(fromPeerId);
+        const text = sanitizeChatText(payload?.text);
+        if (!sender || !text) return;
+
+        if (!allowFromPeer(fromPeerId)) return;
+
+        const message = { ...sender, text, isSystem: false };
+        addMessage(message);
+        broadcast(MessageType.CHAT_MESSAGE, message);
+    });
+
+    onMessage(QUICK_PING_MESSAGE, (payload, fromPeerId) => {
+        const sender = getPeerIdentity(fromPeerId);
+        if (!sender || sender.isSpectator || !QUICK_PINGS[payload?.pingType]) return;
+        if (!allowFromPeer(`ping:${fromPeerId}`)) return;
+
+        const ping = {
+            pingType: payload.pingType,
+            x: Number(payload.x) || 0,
+            y: Number(payload.y) || 0,
+            doorDirection: DOOR_SIDES[payload.doorDirection] ? payload.doorDirection : null,
+            slotIndex: sender.slotIndex,
+            playerName: sender.playerName
+        };
+        receivePing(ping);
+        broadcast(QUICK_PING_MESSAGE, ping);
+    });
+}
@@ -5,6 +5,7 @@
  * - Autofire system for player weapons
  * - Projectile spawning with spread patterns
  * - Critical hit calculations
+ * - Routing player hits through the damage pipeline
  * - Damage calculations with defense
  * - Orbital weapon mechanics
  * - Enemy collision and knockback
@@ -16,13 +17,20 @@ import { createProjectile } from '../entities/projectile.js';
 
 // System imports
 import { decrementPowerupAmmo } from './powerupWeapons.js';
-import { broadcastDamageEvent, broadcastHealEvent, broadcastDodgeEvent, isMultiplayerActive, isHost, registerProjectile } from './multiplayerGame.js';
+import { broadcastDamageEvent, broadcastDodgeEvent, isMultiplayerActive, isHost, registerProjectile, recordPredictedProjectile } from './multiplayerGame.js';
 import { getAimInput } from './inputSystem.js';
+import { getLocalCoopAim } from './localCoop.js';
+import { getHitStatusEffects, applyHitStatusEffects } from './statusEffects.js';
+import { resolveDamage, applySafeKnockback } from './damagePipeline.js';
+import { getFirePatternShots } from './weaponEvolution.js';
+import { isReplayRecording, recordReplayAim, nextReplayAim } from './replaySystem.js';
+import { gameplayRandom } from '../utils/seededRandom.js';
 
 // Configuration imports
 import {
     COMBAT_CONFIG,
     WEAPON_CONFIG,
+    MULTIPLAYER_CONFIG,
     rollCriticalHit,
     calculateCriticalDamage,
     calculateDamageAfterDefense
@@ -31,7 +39,6 @@ import {
 // Sound system imports
 import {
     playWeaponFire,
-    playEnemyHit,
     playPlayerHit,
     playExplosion
 } from './sounds.js';
@@ -39,111 +46,59 @@ import {
 // Particle system imports
 import {
     spawnBloodSplatter,
-    spawnHitImpact,
     spawnDeathExplosion
 } from './particleSystem.js';
 
 // Visual effects imports
 import { screenShake, hitFreeze, EffectPresets } from './visualEffects.js';
 
-// Settings import
-import { getSetting } from './settings.js';
-
 /**
- * Spawn a floating damage number
+ * Apply on-hit status effects to a target and mirror them to clients
  * @param {Object} k - Kaplay instance
- * @param {number} x - X position
- * @param {number} y - Y position
- * @param {number} damage - Damage amount to display
- * @param {Object} options - Display options
+ * @param {Object} target - Entity being hit
+ * @param {Array<Object>} effects - On-hit effects from getHitStatusEffects
+ * @param {string} targetType - Damage event target type ('enemy', 'boss', 'player', ...)
+ * @param {number} targetId - Network ID (enemies/bosses) or slot index (players)
  */
-function spawnDamageNumber(k, x, y, damage, options = {}) {
-    // Check if damage numbers are enabled
-    if (getSetting('visual', 'showDamageNumbers') === false) return;
-
-    const {
-        isCrit = false,
-        color = isCrit ? [255, 200, 50] : [255, 255, 255]
-    } = options;
-
-    const size = isCrit ? 18 : 14;
-    const displayText = isCrit ? `${damage}!` : `${damage}`;
-
-    // Random offset to prevent overlap
-    const offsetX = (Math.random() - 0.5) * 20;
-    const offsetY = (Math.random() - 0.5) * 10;
-
-    const dmgText = k.add([
-        k.text(displayText, { size }),
-        k.pos(x + offsetX, y - 20 + offsetY),
-        k.anchor('center'),
-        k.color(...color),
-        k.z(500),
-        'damageNumber'
-    ]);
-
-    // Animate upward and fade out
-    let elapsed = 0;
-    const duration = 0.8;
-
-    dmgText.onUpdate(() => {
-        elapsed += k.dt();
-        dmgText.pos.y -= 40 * k.dt(); // Float upward
-        dmgText.opacity = Math.max(0, 1 - (elapsed / duration));
-
-        if (elapsed >= duration) {
-            k.destroy(dmgText);
-        }
-    });
+function applyStatusEffectsWithSync(k, target, effects, targetType, targetId = target.mpEntityId) {
+    const applied = applyHitStatusEffects(k, target, effects);
+    if (applied.length > 0 && targetId !== undefined && isMultiplayerActive() && isHost()) {
+        broadcastDamageEvent({
+            targetId,
+            targetType,
+            damage: 0, // Status-only event: no damage number on clients
+            x: target.pos.x,
+            y: target.pos.y,
+            statusEffects: applied
+        });
+    }
 }
 
-// Helper function to apply knockback while respecting collisions and room boundaries
-function applySafeKnockback(k, entity, knockbackDir, knockbackAmount) {
-    if (!entity || !entity.exists()) return;
-
-    const roomMargin = 20; // Keep entities away from room edges
-    const maxX = k.width() - roomMargin;
-    const maxY = k.height() - roomMargin;
-    const minX = roomMargin;
-    const minY = roomMargin;
-
-    // Calculate new position
-    const newX = entity.pos.x + knockbackDir.x * knockbackAmount;
-    const newY = entity.pos.y + knockbackDir.y * knockbackAmount;
-
-    // Constrain to room boundaries first
-    const boundedX = Math.max(minX, Math.min(maxX, newX));
-    const boundedY = Math.max(minY, Math.min(maxY, newY));
-
-    // Store original position
-    const originalX = entity.pos.x;
-    const originalY = entity.pos.y;
-
-    // Try to move to new position
-    entity.pos.x = boundedX;
-    entity.pos.y = boundedY;
-
-    // Check for collision with walls or obstacles
-    const walls = k.get('wall');
-    const obstacles = k.get('obstacle');
-    const allObstacles = [...walls, ...obstacles];
-
-    let colliding = false;
-    for (const obstacle of allObstacles) {
-        if (!obstacle.exists()) continue;
-
-        // Check if entity area overlaps with obstacle
-        if (entity.isColliding && entity.isColliding(obstacle)) {
-            colliding = true;
-            break;
-        }
+/**
+ * Resolve a local player's aim: couch co-op stick, then gamepad/touch, then mouse
+ * @param {Object} k - Kaplay instance
+ * @param {Object} player - Local player
+ * @returns {Object} { toTarget, distance } (distance 0 when there is nothing to aim at)
+ */
+function getLocalAim(k, player) {
+    if (player.inputDevice) {
+        // Couch co-op: own right stick, otherwise auto-aim at the nearest enemy
+        const coopAim = getLocalCoopAim(k, player);
+        return coopAim
+            ? { toTarget: k.vec2(coopAim.x, coopAim.y), distance: 1 }
+            : { toTarget: k.vec2(0, 0), distance: 0 };
     }
 
-    // If colliding, revert to original position
-    if (colliding) {
-        entity.pos.x = originalX;
-        entity.pos.y = originalY;
+    const aimInput = getAimInput();
+    if (aimInput.active && (aimInput.x !== 0 || aimInput.y !== 0)) {
+        // Gamepad/touch aim direction (already normalized by input system)
+        return { toTarget: k.vec2(aimInput.x, aimInput.y), distance: 1 };
     }
+
+    // Fall back to mouse position
+    const mousePos = k.mousePos();
+    const toTarget = k.vec2(mousePos.x - player.pos.x, mousePos.y - player.pos.y);
+    return { toTarget, distance: toTarget.len() };
 }
 
 export function setupCombatSystem(k, player) {
@@ -158,26 +113,26 @@ export function setupCombatSystem(k, player) {
     k.onUpdate(() => {
         if (k.paused) return;
 
-        // Update player rotation based on gamepad/touch/mouse aim (always, even when not shooting)
-        if (!player.isRemote) {
-            const aimInput = getAimInput();
-            let toTarget;
-            let distance;
-
-            if (aimInput.active && (aimInput.x !== 0 || aimInput.y !== 0)) {
-                // Use gamepad/touch aim direction
-                toTarget = k.vec2(aimInput.x, aimInput.y);
-                distance = 1;
-            } else {
-                // Fall back to mouse position
-                const mousePos = k.mousePos();
-                toTarget = k.vec2(
-                    mousePos.x - player.pos.x,
-                    mousePos.y - player.pos.y
-                );
-                distance = toTarget.len();
+        // Replays read the recorded aim back; recording fires along the rounded
+        // angle the replay will read, so both take the recorded-aim path below
+        let localAim = null;
+        if (player.isReplay) {
+            const aim = nextReplayAim();
+            player.aimAngle = aim.aimAngle;
+            player.isShooting = aim.firing;
+        } else if (!player.isRemote) {
+            localAim = getLocalAim(k, player);
+            if (isReplayRecording()) {
+                const { toTarget, distance } = localAim;
+                player.aimAngle = recordReplayAim(Math.atan2(toTarget.y, toTarget.x) * (180 / Math.PI), distance > 0);
+                player.isShooting = distance > 0;
+                localAim = null;
             }
+        }
 
+        // Update player rotation based on gamepad/touch/mouse aim (always, even when not shooting)
+        if (localAim) {
+            const { toTarget, distance } = localAim;
             if (distance > 0) {
                 // Convert to degrees for Kaplay's rotate component
                 const aimAngleDeg = Math.atan2(toTarget.y, toTarget.x) * (180 / Math.PI);
@@ -186,8 +141,8 @@ export function setupCombatSystem(k, player) {
                     player.outline.angle = aimAngleDeg;
                 }
             }
-        } else if (player.aimAngle !== undefined) {
-            // Remote player rotation from network (already in degrees)
+        } else if (player.aimAngle !== undefined && (player.isRemote || player.isShooting)) {
+            // Remote player rotation from network, or recorded aim rotation (already in degrees)
             player.angle = player.aimAngle;
             if (player.outline && player.outline.exists()) {
                 player.outline.angle = player.aimAngle;
@@ -223,10 +178,11 @@ export function setupCombatSystem(k, player) {
 
         let baseDirection;
         let shouldFire = false;
+        let predicted = false; // Client shot drawn ahead of the host's (see netPrediction.js)
 
-        // For remote players, use their aimAngle from network
+        // For remote players, use their aimAngle from network (replays and recordings use the recorded aimAngle)
         // For local players, use mouse position
-        if (player.isRemote) {
+        if (!localAim) {
             // Remote player: in multiplayer, projectiles are spawned on the host only
             // Remote players don't spawn projectiles on clients to avoid duplicates
             if (isMultiplayerActive() && !isHost()) {
@@ -244,36 +200,20 @@ export function setupCombatSystem(k, player) {
                 return; // No aim angle or not shooting
             }
         } else {
-            // Local player: check for gamepad/touch aim first, then fall back to mouse
-            const aimInput = getAimInput();
-
-            let toTarget;
-            let distance;
-
-            if (aimInput.active && (aimInput.x !== 0 || aimInput.y !== 0)) {
-                // Use gamepad/touch aim direction (already normalized by input system)
-                toTarget = k.vec2(aimInput.x, aimInput.y);
-                distance = 1; // Always has distance when active
-            } else {
-                // Fall back to mouse position
-                const mousePos = k.mousePos();
-                toTarget = k.vec2(
-                    mousePos.x - player.pos.x,
-                    mousePos.y - player.pos.y
-                );
-                distance = toTarget.len();
-            }
+            // Local player: gamepad/touch aim first, then mouse
+            const { toTarget, distance } = localAim;
 
             // Track aim angle for multiplayer (angle in degrees from player to target)
             if (distance > 0) {
                 player.aimAngle = Math.atan2(toTarget.y, toTarget.x) * (180 / Math.PI);
                 baseDirection = toTarget.unit();
 
-                // In multiplayer as client, don't spawn projectiles locally
-                // Only the host spawns projectiles for all players
+                // In multiplayer as client, only the host spawns real projectiles (from our input);
+                // with prediction on we fire cosmetic ones right away
                 if (isMultiplayerActive() && !isHost()) {
                     player.isShooting = distance > 0 && player.canShoot;
-                    return; // Host will spawn projectiles based on our input
+                    if (!MULTIPLAYER_CONFIG.CLIENT_PREDICTION) return;
+                    predicted = true;
                 }
 
                 shouldFire = true;
@@ -311,42 +251,62 @@ export function setupCombatSystem(k, player) {
                 const projectileCount = player.projectileCount || 1;
                 const spreadAngle = player.spreadAngle || 0;
                 
-                // Calculate spread directions
-                const directions = [];
+                // Calculate spread angles (degrees from the aim) and stagger delays
+                const shots = [];
                 if (projectileCount === 1) {
-                    directions.push(baseDirection);
+                    shots.push({ angle: 0, delay: 0 });
                 } else if (spreadAngle > 0) {
                     // Spread pattern (shotgun)
                     const angleStep = projectileCount > 1 ? spreadAngle / (projectileCount - 1) : 0;
                     const startAngle = -spreadAngle / 2;
                     for (let i = 0; i < projectileCount; i++) {
-                        const angle = startAngle + (angleStep * i);
-                        const rad = angle * (Math.PI / 180);
-                        const cos = Math.cos(rad);
-                        const sin = Math.sin(rad);
-                        const dir = k.vec2(
-                            baseDirection.x * cos - baseDirection.y * sin,
-                            baseDirection.x * sin + baseDirection.y * cos
-                        );
-                        directions.push(dir.unit());
+                        shots.push({ angle: startAngle + (angleStep * i), delay: 0 });
                     }
                 } else {
-                    // Multi-shot without spread (all same direction)
+                    // Multi-shot without spread (same direction, small stagger between shots)
                     for (let i = 0; i < projectileCount; i++) {
-                        directions.push(baseDirection);
+                        shots.push({ angle: 0, delay: i * COMBAT_CONFIG.MULTISHOT_STAGGER_DELAY });
                     }
                 }
-                
+
+                // Evolved weapons reshape the volley (bursts, twin barrels, fans, rings)
+                const volley = getFirePatternShots(player.weaponDef, shots);
+
+                // Evolutions fire through their base weapon's projectile type
+                const weaponType = player.weaponDef?.evolvesFrom || player.weaponKey;
+
                 // Fire all projectiles
-                directions.forEach((direction, index) => {
-                    // Small delay for multi-shot without spread (staggered)
-                    const delay = spreadAngle === 0 && projectileCount > 1
-                        ? index * COMBAT_CONFIG.MULTISHOT_STAGGER_DELAY
-                        : 0;
+                volley.forEach(({ angle, delay }) => {
+                    let direction = baseDirection;
+                    if (angle !== 0) {
+                        const rad = angle * (Math.PI / 180);
+                        const cos = Math.cos(rad);
+                        const sin = Math.sin(rad);
+                        direction = k.vec2(
+                            baseDirection.x * cos - baseDirection.y * sin,
+                            baseDirection.x * sin + baseDirection.y * cos
+                        ).unit();
+                    }
 
                     k.wait(delay, () => {
-                        // Check for critical hit
-                        const isCrit = rollCriticalHit(player.critChance || 0);
+                        if (predicted) {
+                            // No damage: hits only show feedback, the host's projectile does the damage
+                            playWeaponFire(player.weaponKey);
+                            const projectile = createProjectile(k, player.pos.x, player.pos.y, direction,
+                                player.projectileSpeed, 0,
+                                player.piercing || 0, player.obstaclePiercing || 0, false,
+                                player.weaponRange || WEAPON_CONFIG.DEFAULT_WEAPON_RANGE);
+                            if (player.weaponDef) {
+                                projectile.useWeaponVisual(player.weaponDef);
+                            }
+                            projectile.ownerSlotIndex = player.slotIndex;
+                            projectile.isPredicted = true;
+                            recordPredictedProjectile(projectile);
+                            return;
+                        }
+
+                        // Check for critical hit (Steady Aim makes every shot crit)
+                        const isCrit = player.steadyAimTime > 0 || rollCriticalHit(player.critChance || 0);
                         let finalDamage = isCrit
                             ? calculateCriticalDamage(player.projectileDamage, player.critDamage || 2.0)
                             : player.projectileDamage;
@@ -364,12 +324,15 @@ export function setupCombatSystem(k, player) {
                             weaponRange = weaponRange * (1 + player.deadeyeRangeBonus);
                         }
 
+                        // On-hit status effects from the weapon, upgrades and synergies
+                        const statusOnHit = getHitStatusEffects(player, finalDamage, isCrit);
+
                         // Play weapon firing sound
                         playWeaponFire(player.weaponKey);
 
                         // Handle special weapon types
-                        if (player.weaponKey === 'flamethrower') {
-                            // Flamethrower - create projectile with burn DoT effect
+                        if (weaponType === 'flamethrower') {
+                            // Flamethrower - burn comes from the weapon's statusEffect
                             const projectile = createProjectile(k, player.pos.x, player.pos.y, direction,
                                 player.projectileSpeed, finalDamage,
                                 player.piercing || 0, player.obstaclePiercing || 0, isCrit, weaponRange);
@@ -381,24 +344,15 @@ export function setupCombatSystem(k, player) {
 
                             // Track projectile owner for kill attribution
                             projectile.ownerSlotIndex = player.slotIndex;
-
-                            // Add burn DoT effect
-                            const burnDamagePerTick = Math.floor(finalDamage * 0.3); // 30% of hit damage per tick
-                            const burnDuration = 2.0; // 2 seconds of burn
-                            const dotMultiplier = player.fireDotMultiplier || 1.0;
-
-                            projectile.burnDamage = Math.floor(burnDamagePerTick * dotMultiplier);
-                            projectile.burnDuration = burnDuration;
+                            projectile.statusOnHit = statusOnHit;
 
                             // Register projectile for multiplayer sync
                             if (isMultiplayerActive() && isHost()) {
                                 registerProjectile(projectile, {
-                                    weaponKey: player.weaponKey,
-                                    burnDamage: projectile.burnDamage,
-                                    burnDuration: projectile.burnDuration
+                                    weaponKey: player.weaponKey
                                 });
                             }
-                        } else if (player.weaponKey === 'explosive') {
+                        } else if (weaponType === 'explosive') {
                             // Explosive launcher - create explosive projectile
                             const projectile = createExplosiveProjectile(k, player.pos.x, player.pos.y, direction,
                                 player.projectileSpeed, finalDamage,
@@ -407,8 +361,12 @@ export function setupCombatSystem(k, player) {
                                 projectile.useWeaponVisual(player.weaponDef);
                             }
 
+                            // Cluster Launcher explosions scatter bomblets
+                            projectile.clusterBomblets = player.weaponDef?.clusterBomblets || 0;
+
                             // Track projectile owner for kill attribution
                             projectile.ownerSlotIndex = player.slotIndex;
+                            projectile.statusOnHit = statusOnHit;
 
                             // Register projectile for multiplayer sync
                             if (isMultiplayerActive() && isHost()) {
@@ -418,7 +376,7 @@ export function setupCombatSystem(k, player) {
                                     explosionDamage: projectile.explosionDamage
                                 });
                             }
-                        } else if (player.weaponKey === 'chainLightning') {
+                        } else if (weaponType === 'chainLightning') {
                             // Chain lightning - create chaining projectile
                             const projectile = createChainProjectile(k, player.pos.x, player.pos.y, direction,
                                 player.projectileSpeed, finalDamage,
@@ -429,6 +387,7 @@ export function setupCombatSystem(k, player) {
 
                             // Track projectile owner for kill attribution
                             projectile.ownerSlotIndex = player.slotIndex;
+                            projectile.statusOnHit = statusOnHit;
 
                             // Register projectile for multiplayer sync
                             if (isMultiplayerActive() && isHost()) {
@@ -439,7 +398,7 @@ export function setupCombatSystem(k, player) {
                                     chainDamageReduction: projectile.chainDamageReduction
                                 });
                             }
-                        } else if (player.weaponKey === 'boomerang') {
+                        } else if (weaponType === 'boomerang') {
                             // Boomerang - create returning projectile
                             const projectile = createProjectile(k, player.pos.x, player.pos.y, direction,
                                 player.projectileSpeed, finalDamage,
@@ -456,6 +415,7 @@ export function setupCombatSystem(k, player) {
 
                             // Track projectile owner for kill attribution
                             projectile.ownerSlotIndex = player.slotIndex;
+                            projectile.statusOnHit = statusOnHit;
 
                             // Register projectile for multiplayer sync
                             if (isMultiplayerActive() && isHost()) {
@@ -477,6 +437,7 @@ export function setupCombatSystem(k, player) {
 
                             // Track projectile owner for kill attribution
                             projectile.ownerSlotIndex = player.slotIndex;
+                            projectile.statusOnHit = statusOnHit;
 
                             // Register projectile for multiplayer sync
                             if (isMultiplayerActive() && isHost()) {
@@ -490,8 +451,8 @@ export function setupCombatSystem(k, player) {
 
                 lastFireTime = time;
 
-                // Decrement powerup weapon ammo if applicable
-                decrementPowerupAmmo(player);
+                // Decrement powerup weapon ammo if applicable (the host counts predicted shots)
+                if (!predicted) decrementPowerupAmmo(player);
             }
         }
     });
@@ -591,10 +552,14 @@ export function setupCombatSystem(k, player) {
             return;
         }
 
-        // Damage the barrel
-        if (barrel.takeDamage) {
-            barrel.takeDamage(1);
-        }
+        // Every projectile hit knocks one point off a barrel
+        resolveDamage(k, {
+            target: barrel,
+            source: projectile,
+            amount: 1,
+            tags: ['projectile'],
+            ownerSlotIndex: projectile.ownerSlotIndex
+        });
 
         // Handle projectile destruction based on piercing
         if (projectile.piercing > 0 || projectile.obstaclePiercing > 0) {
@@ -608,7 +573,7 @@ export function setupCombatSystem(k, player) {
         }
     });
 
-    // Collision: Projectile hits Enemy (consolidated handler for all projectile types)
+    // Collision: Projectile hits Enemy
     k.onCollide('projectile', 'enemy', (projectile, enemy) => {
         if (k.paused) return;
 
@@ -622,7 +587,7 @@ export function setupCombatSystem(k, player) {
         const maxReflections = 2;
         const reflectionCount = projectile.reflectionCount || 0;
         if (enemy.reflectsProjectiles && !projectile.isReflected && reflectionCount < maxReflections) {
-            const reflectRoll = Math.random();
+            const reflectRoll = gameplayRandom();
             if (reflectRoll < (enemy.reflectChance || 0.4)) {
                 // Reflect the projectile back at the player
                 projectile.isReflected = true;
@@ -647,345 +612,19 @@ export function setupCombatSystem(k, player) {
             }
         }
 
-        // Handle explosive projectiles
-        if (projectile.isExplosive) {
-            explodeProjectile(k, projectile, enemy.pos.x, enemy.pos.y);
-            return;
-        }
-
-        // Handle chain lightning projectiles
-        if (projectile.isChainLightning) {
-            // Check if already hit this enemy
-            if (projectile.chainedEnemies && projectile.chainedEnemies.has(enemy)) {
-                return;
-            }
-
-            // Only host deals damage in multiplayer
-            if (!isMultiplayerActive() || isHost()) {
-                // Calculate damage (reduces per jump)
-                const jumpCount = projectile.chainJumps || 0;
-                const damageReduction = 1 - (projectile.chainDamageReduction || 0.15) * jumpCount;
-                const finalDamage = Math.floor(projectile.damage * Math.max(0.1, damageReduction));
-
-                // Deal damage
-                if (enemy.takeDamage) {
-                    enemy.takeDamage(finalDamage);
-                } else {
-                    enemy.hurt(finalDamage);
-                }
-            }
-
-            // Track this enemy (visual tracking on all clients)
-            if (projectile.chainedEnemies) {
-                projectile.chainedEnemies.add(enemy);
-            }
-
-            // Chain to next enemy if jumps remaining (visual chaining on all clients)
-            if (projectile.chainJumps < projectile.maxJumps) {
-                chainToNextEnemy(k, projectile, enemy);
-            } else {
-                // No more jumps, destroy projectile
-                k.destroy(projectile);
-            }
-            return;
-        }
-
-        // Check if this projectile has already hit this enemy (for piercing)
-        if (projectile.piercedEnemies && projectile.piercedEnemies.has(enemy)) {
-            return; // Already hit this enemy
-        }
-
-        // In multiplayer, only host deals damage
-        // Clients just show visual effects
-        if (isMultiplayerActive() && !isHost()) {
-            // Client: show visual feedback only
-            playEnemyHit();
-            spawnBloodSplatter(k, enemy.pos.x, enemy.pos.y, { isCrit: projectile.isCrit });
-
-            // Track for piercing and destroy projectile as needed
-            if (projectile.piercedEnemies) {
-                projectile.piercedEnemies.add(enemy);
-            }
-            // Boomerangs return instead of being destroyed on pierce-exhaustion.
-            if (!projectile.isBoomerang && projectile.piercedEnemies.size > (projectile.piercing || 0)) {
-                k.destroy(projectile);
-            }
-            return; // Skip damage dealing on client
-        }
-
-        // Host or singleplayer: deal damage
-        playEnemyHit();
-
-        // Calculate final damage with synergy bonuses
-        let finalDamage = projectile.damage;
-
-        // Executioner synergy: +100% damage to enemies below 25% HP
-        if (projectile.ownerSlotIndex !== undefined) {
-            const allPlayers = k.get('player');
-            const ownerPlayer = allPlayers.find(p => p.slotIndex === projectile.ownerSlotIndex);
-            if (ownerPlayer && ownerPlayer.executionerEnabled && ownerPlayer.executionerThreshold) {
-                const enemyHPPercent = enemy.hp() / (enemy.maxHealth || enemy.hp());
-                if (enemyHPPercent < ownerPlayer.executionerThreshold) {
-                    finalDamage = Math.floor(finalDamage * (1 + (ownerPlayer.executionerDamageBonus || 1.0)));
-                }
-            }
-        }
-
-        // Use takeDamage if available (handles armor/shields), otherwise use hurt
-        if (enemy.takeDamage) {
-            enemy.takeDamage(finalDamage);
-        } else {
-            enemy.hurt(finalDamage);
-        }
-
-        // Spawn damage number
-        spawnDamageNumber(k, enemy.pos.x, enemy.pos.y, finalDamage, { isCrit: projectile.isCrit });
-
-        // Vampiric Rounds synergy: heal player on crit damage
-        if (projectile.isCrit && projectile.ownerSlotIndex !== undefined) {
-            // Find the player who owns this projectile
-            const allPlayers = k.get('player');
-            const ownerPlayer = allPlayers.find(p => p.slotIndex === projectile.ownerSlotIndex);
-            if (ownerPlayer && ownerPlayer.vampiricCrits && ownerPlayer.vampiricHealPercent) {
-                const healAmount = Math.floor(finalDamage * ownerPlayer.vampiricHealPercent);
-                if (healAmount > 0 && ownerPlayer.hp() < ownerPlayer.maxHealth) {
-                    const newHP = Math.min(ownerPlayer.maxHealth, ownerPlayer.hp() + healAmount);
-                    ownerPlayer.setHP(newHP);
-                }
-            }
-        }
-
-        // Lifesteal upgrade: heal player on damage dealt
-        if (projectile.ownerSlotIndex !== undefined) {
-            const allPlayers = k.get('player');
-            const ownerPlayer = allPlayers.find(p => p.slotIndex === projectile.ownerSlotIndex);
-            if (ownerPlayer && ownerPlayer.lifestealPercent && ownerPlayer.lifestealPercent > 0) {
-                // Calculate lifesteal (Vampire Lord synergy multiplies on crits)
-                let lifestealMultiplier = ownerPlayer.lifestealPercent;
-                if (projectile.isCrit && ownerPlayer.vampireLordEnabled && ownerPlayer.vampireLordMultiplier) {
-                    lifestealMultiplier *= ownerPlayer.vampireLordMultiplier;
-                }
-                const healAmount = Math.floor(finalDamage * lifestealMultiplier);
-                if (healAmount > 0 && ownerPlayer.hp() < ownerPlayer.maxHealth) {
-                    const newHP = Math.min(ownerPlayer.maxHealth, ownerPlayer.hp() + healAmount);
-                    ownerPlayer.setHP(newHP);
-
-                    // Broadcast heal event for multiplayer
-                    if (isMultiplayerActive() && isHost()) {
-                        broadcastHealEvent({
-                            slotIndex: ownerPlayer.slotIndex,
-                            healAmount: healAmount,
-                            newHP: newHP,
-                            source: 'lifesteal'
-                        });
-                    }
-                }
-            }
-        }
-
-        // Track who last hit this enemy for kill attribution
-        if (projectile.ownerSlotIndex !== undefined) {
-            enemy.lastHitBySlot = projectile.ownerSlotIndex;
-
-            // Update survivalist combat time when dealing damage (not just taking damage)
-            const allPlayers = k.get('player');
-            const ownerPlayer = allPlayers.find(p => p.slotIndex === projectile.ownerSlotIndex);
-            if (ownerPlayer && ownerPlayer.survivalistEnabled) {
-                ownerPlayer.survivalistLastCombatTime = k.time();
-            }
-        }
-
-        // Broadcast damage event for multiplayer
-        if (isMultiplayerActive() && isHost()) {
-            broadcastDamageEvent({
-                targetId: enemy.mpEntityId,
-                targetType: 'enemy',
-                damage: finalDamage,
-                isCrit: projectile.isCrit || false,
-                x: enemy.pos.x,
-                y: enemy.pos.y
-            });
-        }
-
-        // Apply fire DoT if projectile has burn effect
-        if (projectile.burnDamage && projectile.burnDuration) {
-            enemy.burnDamage = projectile.burnDamage;
-            enemy.burnDuration = projectile.burnDuration;
-            enemy.burnTimer = 0;
-        }
-
-        // Spawn blood splatter particle effect
-        spawnBloodSplatter(k, enemy.pos.x, enemy.pos.y, { isCrit: projectile.isCrit });
-
-        // Track this enemy for piercing
-        if (projectile.piercedEnemies) {
-            projectile.piercedEnemies.add(enemy);
-        }
-
-        // Destroy projectile if it can't pierce anymore.
-        // If piercing = n, projectile can hit n+1 enemies total
-        // piercing = 0: hit 1 enemy, piercing = 1: hit 2 enemies, etc.
-        // Boomerangs are exempt: they fly to max range and return to the player
-        // (projectile.js handles the return), so a pierce-exhausted boomerang
-        // must NOT be destroyed here or it never returns.
-        if (!projectile.isBoomerang && projectile.piercedEnemies.size > (projectile.piercing || 0)) {
-            k.destroy(projectile);
-        }
-
-        // Knockback enemy away from projectile direction
-        const knockbackDir = k.vec2(
-            enemy.pos.x - projectile.pos.x,
-            enemy.pos.y - projectile.pos.y
-        );
-        const knockbackDist = knockbackDir.len();
-        if (knockbackDist > 0) {
-            const normalized = knockbackDir.unit();
-            const knockbackAmount = COMBAT_CONFIG.KNOCKBACK_ENEMY_FROM_PROJECTILE;
-            applySafeKnockback(k, enemy, normalized, knockbackAmount);
-        }
-
-        // Spawn hit impact particle effect
-        spawnHitImpact(k, enemy.pos.x, enemy.pos.y, knockbackDir, { isCrit: projectile.isCrit });
-
-        // Screen effects for crits
-        if (projectile.isCrit) {
-            EffectPresets.criticalHit();
-        }
-
-        // Visual feedback (different color for crits)
-        enemy.color = projectile.isCrit
-            ? k.rgb(...COMBAT_CONFIG.CRIT_COLOR)
-            : k.rgb(...COMBAT_CONFIG.HIT_COLOR);
-        k.wait(COMBAT_CONFIG.HIT_FLASH_DURATION, () => {
-            if (enemy.exists()) {
-                enemy.color = k.rgb(255, 100, 100);
-            }
-        });
+        handlePlayerProjectileHit(k, projectile, enemy);
     });
-    
-    // Collision: Projectile hits Boss (consolidated handler for all projectile types)
+
+    // Collision: Projectile hits Boss
     k.onCollide('projectile', 'boss', (projectile, boss) => {
         if (k.paused) return;
 
-        // Handle explosive projectiles
-        if (projectile.isExplosive) {
-            explodeProjectile(k, projectile, boss.pos.x, boss.pos.y);
-            return;
-        }
-
-        // Handle chain lightning projectiles
-        if (projectile.isChainLightning) {
-            // Check if already hit this boss
-            if (projectile.chainedEnemies && projectile.chainedEnemies.has(boss)) {
-                return;
-            }
-
-            // Only host deals damage in multiplayer
-            if (!isMultiplayerActive() || isHost()) {
-                // Calculate damage (reduces per jump)
-                const jumpCount = projectile.chainJumps || 0;
-                const damageReduction = 1 - (projectile.chainDamageReduction || 0.15) * jumpCount;
-                const finalDamage = Math.floor(projectile.damage * Math.max(0.1, damageReduction));
-
-                // Deal damage
-                if (boss.takeDamage) {
-                    boss.takeDamage(finalDamage);
-                } else {
-                    boss.hurt(finalDamage);
-                }
-            }
-
-            // Track this boss (visual tracking on all clients)
-            if (projectile.chainedEnemies) {
-                projectile.chainedEnemies.add(boss);
-            }
-
-            // Chain to next enemy if jumps remaining
-            k.wait(0.01, () => {
-                if (!projectile.exists()) return;
-                if (projectile.chainJumps < projectile.maxJumps) {
-                    chainToNextEnemy(k, projectile, boss);
-                } else {
-                    k.destroy(projectile);
-                }
-            });
-            return;
-        }
-
-        // Handle regular projectiles
-        // Check if this projectile has already hit this boss (for piercing)
-        if (projectile.piercedEnemies && projectile.piercedEnemies.has(boss)) {
-            return;
-        }
-
-        // In multiplayer, only host deals damage
-        if (isMultiplayerActive() && !isHost()) {
-            spawnBloodSplatter(k, boss.pos.x, boss.pos.y, { isCrit: projectile.isCrit });
-            const knockbackDir = k.vec2(boss.pos.x - projectile.pos.x, boss.pos.y - projectile.pos.y);
-            spawnHitImpact(k, boss.pos.x, boss.pos.y, knockbackDir, { isCrit: projectile.isCrit });
-
-            if (projectile.piercedEnemies) {
-                projectile.piercedEnemies.add(boss);
-            }
-            // Boomerangs return instead of being destroyed on pierce-exhaustion.
-            if (!projectile.isBoomerang && projectile.piercedEnemies.size > (projectile.piercing || 0)) {
-                k.destroy(projectile);
-            }
+        // Only player projectiles can hit bosses
+        if (projectile.isEnemyProjectile || projectile.isBossProjectile) {
             return;
         }
 
-        // Host or singleplayer: deal damage
-        if (boss.takeDamage) {
-            boss.takeDamage(projectile.damage);
-        } else {
-            boss.hurt(projectile.damage);
-        }
-
-        // Spawn damage number
-        spawnDamageNumber(k, boss.pos.x, boss.pos.y, projectile.damage, { isCrit: projectile.isCrit });
-
-        // Track who last hit this boss for kill attribution
-        if (projectile.ownerSlotIndex !== undefined) {
-            boss.lastHitBySlot = projectile.ownerSlotIndex;
-        }
-
-        // Apply fire DoT
-        if (projectile.burnDamage && projectile.burnDuration) {
-            boss.burnDamage = projectile.burnDamage;
-            boss.burnDuration = projectile.burnDuration;
-            boss.burnTimer = 0;
-        }
-
-        spawnBloodSplatter(k, boss.pos.x, boss.pos.y, { isCrit: projectile.isCrit });
-
-        if (projectile.piercedEnemies) {
-            projectile.piercedEnemies.add(boss);
-        }
-
-        // Boomerangs return instead of being destroyed on pierce-exhaustion.
-        if (!projectile.isBoomerang && projectile.piercedEnemies.size > (projectile.piercing || 0)) {
-            k.destroy(projectile);
-        }
-
-        // Knockback
-        const knockbackDir = k.vec2(boss.pos.x - projectile.pos.x, boss.pos.y - projectile.pos.y);
-        if (knockbackDir.len() > 0) {
-            applySafeKnockback(k, boss, knockbackDir.unit(), COMBAT_CONFIG.KNOCKBACK_BOSS_FROM_PROJECTILE);
-        }
-
-        spawnHitImpact(k, boss.pos.x, boss.pos.y, knockbackDir, { isCrit: projectile.isCrit });
-
-        // Screen effects for boss hits and crits
-        if (projectile.isCrit) {
-            EffectPresets.criticalHit();
-        } else {
-            EffectPresets.bossHit();
-        }
-
-        boss.color = projectile.isCrit ? k.rgb(255, 200, 0) : k.rgb(255, 255, 255);
-        k.wait(0.1, () => {
-            if (boss.exists()) boss.updateVisual();
-        });
+        handlePlayerProjectileHit(k, projectile, boss);
     });
 
     // Collision: Projectile hits Miniboss
@@ -997,90 +636,7 @@ export function setupCombatSystem(k, player) {
             return;
         }
 
-        // Check if this projectile has already hit this miniboss (for piercing)
-        if (projectile.piercedEnemies && projectile.piercedEnemies.has(miniboss)) {
-            return; // Already hit this miniboss
-        }
-
-        // In multiplayer, only host deals damage
-        // Clients just show visual effects
-        if (isMultiplayerActive() && !isHost()) {
-            // Client: show visual feedback only
-            spawnBloodSplatter(k, miniboss.pos.x, miniboss.pos.y, { isCrit: projectile.isCrit });
-            const impactDir = k.vec2(miniboss.pos.x - projectile.pos.x, miniboss.pos.y - projectile.pos.y);
-            spawnHitImpact(k, miniboss.pos.x, miniboss.pos.y, impactDir, { isCrit: projectile.isCrit });
-
-            // Track for piercing and destroy projectile as needed
-            if (projectile.piercedEnemies) {
-                projectile.piercedEnemies.add(miniboss);
-            }
-            // Boomerangs return instead of being destroyed on pierce-exhaustion.
-            if (!projectile.isBoomerang && projectile.piercedEnemies.size > (projectile.piercing || 0)) {
-                k.destroy(projectile);
-            }
-            return; // Skip damage dealing on client
-        }
-
-        // Host or singleplayer: deal damage
-        // Calculate final damage (with crit)
-        let finalDamage = projectile.damage;
-        if (projectile.isCrit) {
-            finalDamage = Math.floor(finalDamage * 1.5); // 50% crit bonus
-        }
-
-        // Use takeDamage to handle armor/shields
-        if (miniboss.takeDamage) {
-            miniboss.takeDamage(finalDamage);
-        } else {
-            miniboss.hurt(finalDamage);
-        }
-
-        // Spawn damage number
-        spawnDamageNumber(k, miniboss.pos.x, miniboss.pos.y, finalDamage, { isCrit: projectile.isCrit });
-
-        // Track who last hit this miniboss for kill attribution
-        if (projectile.ownerSlotIndex !== undefined) {
-            miniboss.lastHitBySlot = projectile.ownerSlotIndex;
-        }
-
-        // Apply fire DoT if projectile has burn effect
-        if (projectile.burnDamage && projectile.burnDuration) {
-            miniboss.burnDamage = projectile.burnDamage;
-            miniboss.burnDuration = projectile.burnDuration;
-            miniboss.burnTimer = 0;
-        }
-
-        // Spawn blood splatter particle effect
-        spawnBloodSplatter(k, miniboss.pos.x, miniboss.pos.y, { isCrit: projectile.isCrit });
-
-        // Spawn hit impact particle effect
-        const impactDir = k.vec2(miniboss.pos.x - projectile.pos.x, miniboss.pos.y - projectile.pos.y);
-        spawnHitImpact(k, miniboss.pos.x, miniboss.pos.y, impactDir, { isCrit: projectile.isCrit });
-
-        // Screen effects for crits
-        if (projectile.isCrit) {
-            EffectPresets.criticalHit();
-        }
-
-        // Track this miniboss for piercing
-        if (projectile.piercedEnemies) {
-            projectile.piercedEnemies.add(miniboss);
-        }
-
-        // Destroy projectile if it can't pierce anymore.
-        // Boomerangs return instead of being destroyed on pierce-exhaustion.
-        if (!projectile.isBoomerang && projectile.piercedEnemies.size > (projectile.piercing || 0)) {
-            k.destroy(projectile);
-        }
-        
-        // Visual feedback (different color for crits)
-        miniboss.color = projectile.isCrit ? k.rgb(255, 200, 0) : k.rgb(255, 255, 255);
-        k.wait(0.1, () => {
-            if (miniboss.exists()) {
-                // Restore miniboss color (will be updated by updateVisual if armor/shield changed)
-                miniboss.updateVisual();
-            }
-        });
+        handlePlayerProjectileHit(k, projectile, miniboss);
     });
 
     // Collision: Enemy hits Player
@@ -1104,7 +660,7 @@ export function setupCombatSystem(k, player) {
 
         // Host or singleplayer: process damage
         // Check for dodge chance (The Scout ability)
-        if (player.dodgeChance && Math.random() < player.dodgeChance) {
+        if (player.dodgeChance && gameplayRandom() < player.dodgeChance) {
             // Dodged! No damage taken
             // Broadcast dodge event for multiplayer
             if (isMultiplayerActive() && isHost()) {
@@ -1126,6 +682,9 @@ export function setupCombatSystem(k, player) {
         const finalDamage = calculateDamageAfterDefense(baseDamage, player.defense || 0, player.damageReduction || 0);
         player.hurt(finalDamage);
 
+        // Elite on-hit effects (e.g. Toxic elites poison on contact)
+        applyStatusEffectsWithSync(k, player, getHitStatusEffects(enemy, baseDamage), 'player', player.slotIndex);
+
         // Update survivalist combat time (for out-of-combat regen)
         if (player.survivalistEnabled) {
             player.survivalistLastCombatTime = k.time();
@@ -1212,7 +771,7 @@ export function setupCombatSystem(k, player) {
 
         // Host or singleplayer: process damage
         // Check for dodge chance (The Scout ability)
-        if (player.dodgeChance && Math.random() < player.dodgeChance) {
+        if (player.dodgeChance && gameplayRandom() < player.dodgeChance) {
             // Dodged! No damage taken
             // Broadcast dodge event for multiplayer
             if (isMultiplayerActive() && isHost()) {
@@ -1314,7 +873,7 @@ export function setupCombatSystem(k, player) {
 
         // Host or singleplayer: process damage
         // Check for dodge chance (The Scout ability)
-        if (player.dodgeChance && Math.random() < player.dodgeChance) {
+        if (player.dodgeChance && gameplayRandom() < player.dodgeChance) {
             // Dodged! No damage taken
             // Broadcast dodge event for multiplayer
             if (isMultiplayerActive() && isHost()) {
@@ -1420,7 +979,7 @@ export function setupCombatSystem(k, player) {
 
         // Host or singleplayer: process damage
         // Check for dodge chance (The Scout ability)
-        if (player.dodgeChance && Math.random() < player.dodgeChance) {
+        if (player.dodgeChance && gameplayRandom() < player.dodgeChance) {
             // Dodged! No damage taken
             k.destroy(projectile);
             return;
@@ -1451,54 +1010,112 @@ export function setupCombatSystem(k, player) {
         player.color = k.rgb(255, 100, 100);
     });
     
-    // Collision: Orbital hits Enemy
-    k.onCollide('orbital', 'enemy', (orb, enemy) => {
-        if (k.paused) return;
-        if (!enemy.exists()) return;
+    // Collision: Orbital hits Enemy, Miniboss or Boss
+    k.onCollide('orbital', 'enemy', (orb, enemy) => handleOrbitalHit(k, orb, enemy));
+    k.onCollide('orbital', 'miniboss', (orb, miniboss) => handleOrbitalHit(k, orb, miniboss));
+    k.onCollide('orbital', 'boss', (orb, boss) => handleOrbitalHit(k, orb, boss));
+}
 
-        // Check contact cooldown
-        if (orb.contactCooldown > 0) return;
+/**
+ * Resolve a player projectile hitting an enemy, boss or miniboss
+ * Explosive, chain lightning and regular projectiles behave the same against every target type.
+ * @param {Object} k - Kaplay instance
+ * @param {Object} projectile - Player projectile
+ * @param {Object} target - Entity that was hit
+ */
+function handlePlayerProjectileHit(k, projectile, target) {
+    // Handle explosive projectiles
+    if (projectile.isExplosive) {
+        explodeProjectile(k, projectile, target.pos.x, target.pos.y);
+        return;
+    }
 
-        // In multiplayer, only host deals damage
-        if (isMultiplayerActive() && !isHost()) {
-            // Client: visual feedback only, skip damage
-            orb.contactCooldown = orb.contactCooldownDuration || 0.2;
+    // Handle chain lightning projectiles
+    if (projectile.isChainLightning) {
+        // Check if already hit this target
+        if (projectile.chainedEnemies && projectile.chainedEnemies.has(target)) {
             return;
         }
 
-        // Host or singleplayer: deal damage
-        enemy.hurt(orb.damage);
-
-        // Set contact cooldown
-        orb.contactCooldown = orb.contactCooldownDuration || 0.2;
-    });
-    
-    // Collision: Orbital hits Boss
-    k.onCollide('orbital', 'boss', (orb, boss) => {
-        if (k.paused) return;
-        if (!boss.exists()) return;
-
-        // Check contact cooldown
-        if (orb.contactCooldown > 0) return;
+        // Calculate damage (reduces per jump)
+        const jumpCount = projectile.chainJumps || 0;
+        const damageReduction = 1 - (projectile.chainDamageReduction || 0.15) * jumpCount;
+        const finalDamage = Math.floor(projectile.damage * Math.max(0.1, damageReduction));
+        resolveDamage(k, {
+            target,
+            source: projectile,
+            amount: finalDamage,
+            tags: ['projectile', 'chain'],
+            isCrit: projectile.isCrit || false,
+            ownerSlotIndex: projectile.ownerSlotIndex,
+            statusEffects: projectile.statusOnHit
+        });
 
-        // In multiplayer, only host deals damage
-        if (isMultiplayerActive() && !isHost()) {
-            // Client: visual feedback only, skip damage
-            orb.contactCooldown = orb.contactCooldownDuration || 0.2;
-            return;
+        // Track this target (visual tracking on all clients)
+        if (projectile.chainedEnemies) {
+            projectile.chainedEnemies.add(target);
         }
 
-        // Host or singleplayer: deal damage
-        // Deal damage using boss's takeDamage method
-        if (boss.takeDamage) {
-            boss.takeDamage(orb.damage);
+        // Chain to next target right away, while the targets in range are the ones just hit around
+        if (projectile.chainJumps < projectile.maxJumps) {
+            chainToNextEnemy(k, projectile, target);
         } else {
-            boss.hurt(orb.damage);
+            k.destroy(projectile);
         }
+        return;
+    }
+
+    // Check if this projectile has already hit this target (for piercing)
+    if (projectile.piercedEnemies && projectile.piercedEnemies.has(target)) {
+        return;
+    }
 
-        // Set contact cooldown
-        orb.contactCooldown = orb.contactCooldownDuration || 0.2;
+    resolveDamage(k, {
+        target,
+        source: projectile,
+        amount: projectile.damage,
+        tags: ['projectile'],
+        isCrit: projectile.isCrit || false,
+        ownerSlotIndex: projectile.ownerSlotIndex,
+        statusEffects: projectile.statusOnHit,
+        knockbackFrom: projectile.pos
     });
+
+    // Track this target for piercing
+    if (projectile.piercedEnemies) {
+        projectile.piercedEnemies.add(target);
+    }
+
+    // Destroy projectile if it can't pierce anymore.
+    // If piercing = n, projectile can hit n+1 targets total
+    // piercing = 0: hit 1 target, piercing = 1: hit 2 targets, etc.
+    // Boomerangs are exempt: they fly to max range and return to the player
+    // (projectile.js handles the return), so a pierce-exhausted boomerang
+    // must NOT be destroyed here or it never returns.
+    if (!projectile.isBoomerang && projectile.piercedEnemies.size > (projectile.piercing || 0)) {
+        k.destroy(projectile);
+    }
+}
+
+// Orbital contact damage, throttled per orb
+function handleOrbitalHit(k, orb, target) {
+    if (k.paused) return;
+    if (!target.exists()) return;
+
+    // Check contact cooldown
+    if (orb.contactCooldown > 0) return;
+
+    resolveDamage(k, {
+        target,
+        source: orb,
+        amount: orb.damage,
+        tags: ['orbital'],
+        ownerSlotIndex: orb.owner?.slotIndex,
+        statusEffects: orb.owner ? getHitStatusEffects(orb.owner, orb.damage) : []
+    });
+
+    // Set contact cooldown
+    orb.contactCooldown = orb.contactCooldownDuration || 0.2;
 }
 
 // Initialize orbital weapons
@@ -1535,6 +1152,7 @@ function initializeOrbitalWeapons(k, player) {
         ]);
         
         orb.damage = player.projectileDamage || 12;
+        orb.owner = player; // Kill credit, lifesteal and on-hit effects
         orb.contactCooldown = 0; // Cooldown to prevent multiple hits per frame
         orb.contactCooldownDuration = WEAPON_CONFIG.ORBITAL_CONTACT_COOLDOWN;
         
@@ -1630,33 +1248,32 @@ function explodeProjectile(k, projectile, x, y) {
     const explosionRadius = projectile.explosionRadius || 50;
     const explosionDamage = projectile.explosionDamage || 15;
 
-    // Only host deals damage in multiplayer
-    if (!isMultiplayerActive() || isHost()) {
-        // Damage all enemies in radius
-        const enemies = k.get('enemy');
-        const bosses = k.get('boss');
-        const allTargets = [...enemies, ...bosses];
-
-        for (const target of allTargets) {
-            if (!target.exists()) continue;
+    // Damage everything in radius (clients only get the hit cosmetics)
+    const allTargets = [...k.get('enemy'), ...k.get('miniboss'), ...k.get('boss')];
+    for (const target of allTargets) {
+        if (!target.exists()) continue;
 
-            const dist = k.vec2(
-                target.pos.x - x,
-                target.pos.y - y
-            ).len();
+        const dist = k.vec2(
+            target.pos.x - x,
+            target.pos.y - y
+        ).len();
 
-            if (dist <= explosionRadius) {
-                if (target.takeDamage) {
-                    // Boss with armor system
-                    target.takeDamage(explosionDamage);
-                } else {
-                    // Regular enemy
-                    target.hurt(explosionDamage);
-                }
-            }
+        if (dist <= explosionRadius) {
+            resolveDamage(k, {
+                target,
+                source: projectile,
+                amount: explosionDamage,
+                tags: ['projectile', 'explosion'],
+                ownerSlotIndex: projectile.ownerSlotIndex,
+                statusEffects: projectile.statusOnHit
+            });
         }
     }
-    
+
+    if (projectile.clusterBomblets > 0 && (!isMultiplayerActive() || isHost())) {
+        scatterBomblets(k, projectile, x, y);
+    }
+
     // Visual explosion effect
     const explosionText = k.add([
         k.text('*', { size: 24 }),
@@ -1673,14 +1290,59 @@ function explodeProjectile(k, projectile, x, y) {
     k.destroy(projectile);
 }
 
+/**
+ * Detonate a player's explosives in flight (The Bomber's Remote Detonation, host only)
+ * @param {Object} k - KAPLAY instance
+ * @param {number} ownerSlotIndex - Slot of the player whose explosives detonate
+ * @param {number} damageMultiplier - Multiplier on each explosion's damage
+ * @returns {number} How many explosives went off
+ */
+export function detonatePlayerExplosives(k, ownerSlotIndex, damageMultiplier = 1) {
+    const explosives = k.get('projectile').filter(projectile =>
+        projectile.isExplosive && projectile.ownerSlotIndex === ownerSlotIndex &&
+        !projectile.isEnemyProjectile && !projectile.isBossProjectile);
+
+    explosives.forEach(projectile => {
+        projectile.explosionDamage = Math.floor((projectile.explosionDamage || 15) * damageMultiplier);
+        explodeProjectile(k, projectile, projectile.pos.x, projectile.pos.y);
+    });
+    return explosives.length;
+}
+
+// Scatter a cluster explosion's bomblets evenly around it (host only; clients get them synced)
+// Bomblets are smaller explosives that burst on contact or when their fuse runs out, and never cluster again
+function scatterBomblets(k, projectile, x, y) {
+    const count = projectile.clusterBomblets;
+    for (let i = 0; i < count; i++) {
+        const rad = (Math.PI * 2 * i) / count;
+        const bomblet = createExplosiveProjectile(k, x, y, k.vec2(Math.cos(rad), Math.sin(rad)),
+            WEAPON_CONFIG.CLUSTER_BOMBLET_SPEED, 0,
+            Math.floor(projectile.explosionRadius * WEAPON_CONFIG.CLUSTER_BOMBLET_RATIO),
+            Math.floor(projectile.explosionDamage * WEAPON_CONFIG.CLUSTER_BOMBLET_RATIO),
+            WEAPON_CONFIG.DEFAULT_WEAPON_RANGE);
+        bomblet.text = '•';
+        bomblet.color = projectile.color;
+        bomblet.ownerSlotIndex = projectile.ownerSlotIndex;
+        bomblet.statusOnHit = projectile.statusOnHit;
+
+        if (isMultiplayerActive()) {
+            registerProjectile(bomblet, {
+                weaponKey: 'clusterLauncher',
+                explosionRadius: bomblet.explosionRadius,
+                explosionDamage: bomblet.explosionDamage
+            });
+        }
+
+        k.wait(WEAPON_CONFIG.CLUSTER_BOMBLET_FUSE, () => explodeProjectile(k, bomblet, bomblet.pos.x, bomblet.pos.y));
+    }
+}
+
 // Chain lightning to next enemy
 function chainToNextEnemy(k, projectile, currentEnemy) {
     if (!projectile.exists()) return;
     
     const chainRange = projectile.chainRange || 70;
-    const enemies = k.get('enemy');
-    const bosses = k.get('boss');
-    const allTargets = [...enemies, ...bosses];
+    const allTargets = [...k.get('enemy'), ...k.get('miniboss'), ...k.get('boss')];
     
     // Find nearest enemy within chain range that hasn't been hit
     let nearestEnemy = null;
@@ -3,9 +3,10 @@
  *
  * Measures and displays latency/ping for multiplayer connections.
  * Provides visual feedback on connection quality.
+ * Also meters bandwidth from networkSystem.js's traffic totals.
  */
 
-import { onMessage, sendToPeer, sendToHost, getNetworkInfo } from './networkSystem.js';
+import { onMessage, sendToPeer, sendToHost, getNetworkInfo, getTrafficTotals } from './networkSystem.js';
 import { isHost, isMultiplayerActive } from './multiplayerGame.js';
 
 // Connection quality state
@@ -17,9 +18,14 @@ const connectionState = {
     pingTimeout: 5000, // Consider disconnected after 5s without response
     lastPingId: 0,
     lastPingSentTime: 0,
-    handlersRegistered: false
+    handlersRegistered: false,
+    // Bytes per second over the last completed window
+    bandwidth: { down: 0, up: 0, windowStart: 0, receivedAtStart: 0, sentAtStart: 0 }
 };
 
+// Bandwidth is averaged over windows this long (ms)
+const BANDWIDTH_WINDOW = 1000;
+
 // Quality thresholds (in ms)
 const QUALITY_THRESHOLDS = {
     GOOD: 100,      // < 100ms = green
@@ -39,6 +45,7 @@ export function initConnectionQuality() {
     // ping/pong, leaving latency stuck. Clear stale per-peer state too.
     connectionState.handlersRegistered = true;
     connectionState.peers.clear();
+    resetBandwidth();
 
     // Handle ping requests (respond with pong)
     onMessage('ping', (payload, fromPeerId) => {
@@ -187,6 +194,52 @@ export function resetConnectionQuality() {
     connectionState.localLatency = 0;
     connectionState.lastPingId = 0;
     connectionState.lastPingSentTime = 0;
+    resetBandwidth();
+}
+
+/**
+ * Start bandwidth metering over from zero
+ */
+function resetBandwidth() {
+    connectionState.bandwidth = { down: 0, up: 0, windowStart: 0, receivedAtStart: 0, sentAtStart: 0 };
+}
+
+/**
+ * Update the bandwidth meter (call every frame; it measures once per window)
+ * @param {number} now - Current time in ms
+ */
+export function updateBandwidth(now = Date.now()) {
+    const bandwidth = connectionState.bandwidth;
+    const totals = getTrafficTotals();
+
+    const elapsed = now - bandwidth.windowStart;
+    if (bandwidth.windowStart > 0 && elapsed < BANDWIDTH_WINDOW) return;
+
+    if (bandwidth.windowStart > 0) {
+        bandwidth.down = (totals.receivedBytes - bandwidth.receivedAtStart) * 1000 / elapsed;
+        bandwidth.up = (totals.sentBytes - bandwidth.sentAtStart) * 1000 / elapsed;
+    }
+    bandwidth.windowStart = now;
+    bandwidth.receivedAtStart = totals.receivedBytes;
+    bandwidth.sentAtStart = totals.sentBytes;
+}
+
+/**
+ * Get the measured bandwidth
+ * @returns {Object} - { down, up } in bytes per second
+ */
+export function getBandwidth() {
+    return { down: connectionState.bandwidth.down, up: connectionState.bandwidth.up };
+}
+
+/**
+ * Get formatted bandwidth string
+ * @param {number} bytesPerSecond - Bandwidth in bytes per second
+ * @returns {string} - Formatted bandwidth (e.g., "3.2KB/s")
+ */
+export function formatBandwidth(bytesPerSecond) {
+    const kilobytes = bytesPerSecond / 1024;
+    return kilobytes >= 10 ? `${Math.round(kilobytes)}KB/s` : `${kilobytes.toFixed(1)}KB/s`;
 }
 
 /**
@@ -0,0 +1,444 @@
+/**
+ * Damage Pipeline
+ *
+ * The one place a hit on an enemy, boss, miniboss or barrel (and a damage
+ * tick on a player) is resolved:
+ * - Source, target, raw damage and tags go in
+ * - Synergy bonuses (Executioner), shields, armor and damage-taken effects apply
+ *   the same way to every target type
+ * - Owner rewards (lifesteal, Vampiric Rounds, kill credit, Survivalist) and
+ *   on-hit status effects follow
+ * - Legendary on-kill upgrades (Fission Rounds shards, Chain Reaction blasts)
+ *   trigger from the kill, after the result is emitted
+ * - Hit feedback (damage numbers, knockback, flashes, particles) plays last
+ * - A structured result comes out and is emitted as a 'damageResolved' game
+ *   event, so stats and multiplayer listen there instead of at every collision
+ *
+ * Tags describe how the hit was delivered: 'projectile', 'explosion', 'chain',
+ * 'orbital', 'barrel' and 'dot'. Damage-over-time ticks ('dot') skip owner
+ * rewards and hit feedback. Players' immunity frames, defense and damage
+ * reduction apply as they do to contact and projectile hits.
+ *
+ * Only the host (or single player) resolves damage. On clients resolveDamage
+ * plays the cosmetic part of a hit and returns null; the host's results arrive
+ * through the damage_dealt message.
+ */
+
+import { isMultiplayerActive, isHost, broadcastHealEvent, registerProjectile } from './multiplayerGame.js';
+import { createProjectile } from '../entities/projectile.js';
+import { getStatusDamageTakenMultiplier, applyHitStatusEffects } from './statusEffects.js';
+import { COMBAT_CONFIG, calculateDamageAfterDefense } from '../config/constants.js';
+import { playEnemyHit, playExplosion } from './sounds.js';
+import { spawnBloodSplatter, spawnHitImpact, spawnDeathExplosion } from './particleSystem.js';
+import { EffectPresets } from './visualEffects.js';
+import { getSetting } from './settings.js';
+import { emitGameEvent } from './eventBus.js';
+
+// Seconds a shield waits after a hit before it starts regenerating
+const SHIELD_REGEN_COOLDOWN = 3.0;
+
+// Knockback (pixels) from a directional hit, by target type
+const HIT_KNOCKBACK = {
+    enemy: COMBAT_CONFIG.KNOCKBACK_ENEMY_FROM_PROJECTILE,
+    miniboss: COMBAT_CONFIG.KNOCKBACK_BOSS_FROM_PROJECTILE,
+    boss: COMBAT_CONFIG.KNOCKBACK_BOSS_FROM_PROJECTILE
+};
+
+// Only the host (or single player) resolves damage
+function isAuthority() {
+    return !isMultiplayerActive() || isHost();
+}
+
+/**
+ * Classify a damage target
+ * @param {Object} target - Entity being hit
+ * @returns {string} 'boss', 'miniboss', 'barrel', 'player' or 'enemy'
+ */
+export function getTargetType(target) {
+    if (target.is?.('boss')) return 'boss';
+    if (target.is?.('miniboss')) return 'miniboss';
+    if (target.is?.('barrel')) return 'barrel';
+    if (target.is?.('player')) return 'player';
+    return 'enemy';
+}
+
+/**
+ * Run damage through an entity's shields, then armor, then health
+ *
+ * Shields soak damage 1:1. Armor takes the share left after damageReduction and
+ * the rest reaches health, still reduced while any armor is left. Damage-taken
+ * effects (Vulnerable) scale the incoming amount first.
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} entity - Enemy, boss, miniboss or player
+ * @param {number} damage - Incoming damage
+ * @returns {Object} { damage, absorbedByShield, absorbedByArmor, healthDamage }
+ */
+export function absorbDamage(k, entity, damage) {
+    damage = Math.floor(damage * getStatusDamageTakenMultiplier(entity));
+
+    const previousShieldHealth = entity.shieldHealth || 0;
+    const previousArmorHealth = entity.armorHealth || 0;
+
+    // Any hit delays shield regeneration
+    entity.lastDamageTime = k.time();
+    entity.shieldRegenCooldown = SHIELD_REGEN_COOLDOWN;
+
+    // Shields take normal damage (no reduction)
+    const absorbedByShield = Math.min(damage, previousShieldHealth);
+    if (absorbedByShield > 0) {
+        entity.shieldHealth = previousShieldHealth - absorbedByShield;
+    }
+    const remaining = damage - absorbedByShield;
+
+    let absorbedByArmor = 0;
+    let healthDamage = remaining;
+    if (remaining > 0 && previousArmorHealth > 0) {
+        const reduction = entity.damageReduction || 0;
+        const reducedDamage = Math.floor(remaining * (1 - reduction));
+        absorbedByArmor = Math.min(reducedDamage, previousArmorHealth);
+        entity.armorHealth = previousArmorHealth - absorbedByArmor;
+
+        // If armor still exists the rest stays reduced, otherwise it goes through at full
+        const damageMultiplier = entity.armorHealth > 0 ? (1 - reduction) : 1;
+        healthDamage = Math.floor((remaining - reducedDamage) * damageMultiplier);
+    }
+
+    if (healthDamage > 0) {
+        entity.hurt(healthDamage);
+    }
+
+    // Update visual when shields or armor change
+    if ((entity.shieldHealth || 0) !== previousShieldHealth || (entity.armorHealth || 0) !== previousArmorHealth) {
+        entity.updateVisual?.();
+    }
+
+    return { damage, absorbedByShield, absorbedByArmor, healthDamage };
+}
+
+/**
+ * Resolve one hit on an enemy, boss, miniboss or barrel, or a damage tick on a player
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} hit - Hit description
+ * @param {Object} hit.target - Entity being hit
+ * @param {number} hit.amount - Raw damage (crits are already rolled into it)
+ * @param {Object} [hit.source] - Projectile, orbital, barrel or effect dealing the hit
+ * @param {Array<string>} [hit.tags] - How the hit was delivered ('projectile', 'dot', ...)
+ * @param {boolean} [hit.isCrit] - Whether the hit was a critical hit
+ * @param {number} [hit.ownerSlotIndex] - Slot of the player who dealt the hit
+ * @param {Array<Object>} [hit.statusEffects] - On-hit effects from getHitStatusEffects
+ * @param {Object} [hit.knockbackFrom] - Position the hit came from; pushes the target away
+ * @returns {Object|null} { target, targetType, source, tags, ownerSlotIndex, rawDamage,
+ *   damage, isCrit, absorbedByShield, absorbedByArmor, healthDamage, overkill, killed,
+ *   statusEffects }, or null when nothing was resolved (client, or target already gone)
+ */
+export function resolveDamage(k, hit) {
+    const { target, source = null, tags = [], isCrit = false, ownerSlotIndex } = hit;
+    if (!target?.exists() || target.isDead || target.isExploding) return null;
+
+    const targetType = getTargetType(target);
+    const isTick = tags.includes('dot');
+
+    if (!isAuthority()) {
+        if (!isTick) playHitFeedback(k, target, targetType, hit, null);
+        return null;
+    }
+
+    // Immunity frames block every hit on a player, ticks included
+    if (targetType === 'player' && target.invulnerable) return null;
+
+    const owner = ownerSlotIndex !== undefined
+        ? k.get('player').find(p => p.slotIndex === ownerSlotIndex)
+        : null;
+
+    let amount = Math.max(0, Math.floor(hit.amount));
+
+    // Executioner synergy: bonus damage to targets below the HP threshold
+    if (owner?.executionerEnabled && owner.executionerThreshold && targetType !== 'barrel') {
+        const hpPercent = target.hp() / (target.maxHealth || target.maxHP?.() || target.hp());
+        if (hpPercent < owner.executionerThreshold) {
+            amount = Math.floor(amount * (1 + (owner.executionerDamageBonus || 1.0)));
+        }
+    }
+
+    const result = {
+        target,
+        targetType,
+        source,
+        tags,
+        ownerSlotIndex,
+        rawDamage: amount,
+        damage: amount,
+        isCrit,
+        absorbedByShield: 0,
+        absorbedByArmor: 0,
+        healthDamage: 0,
+        overkill: 0,
+        killed: false,
+        statusEffects: []
+    };
+
+    if (targetType === 'barrel') {
+        // Barrels count hits, not damage
+        target.takeDamage(amount);
+        result.healthDamage = amount;
+        result.killed = target.isExploding;
+    } else {
+        if (targetType === 'player') {
+            amount = calculateDamageAfterDefense(amount, target.defense || 0, target.damageReduction || 0);
+        }
+        const hpBefore = target.hp();
+        Object.assign(result, absorbDamage(k, target, amount));
+        result.overkill = Math.max(0, result.healthDamage - hpBefore);
+        result.killed = hpBefore > 0 && result.healthDamage >= hpBefore;
+    }
+
+    if (!isTick && targetType !== 'barrel') {
+        if (owner) rewardOwner(k, owner, target, result);
+        result.statusEffects = applyHitStatusEffects(k, target, hit.statusEffects);
+    }
+
+    if (!isTick) playHitFeedback(k, target, targetType, hit, result);
+
+    emitGameEvent('damageResolved', result);
+
+    if (owner && result.killed && targetType !== 'barrel') {
+        triggerKillEffects(k, owner, target, result);
+    }
+    return result;
+}
+
+// Legendary on-kill upgrades for the player who landed the killing hit
+function triggerKillEffects(k, owner, target, result) {
+    const { source, tags } = result;
+    const x = target.pos.x;
+    const y = target.pos.y;
+
+    // Fission Rounds: a plain projectile kill splits into shards fanning out ahead of it
+    const isPlainProjectile = tags.includes('projectile') && !tags.includes('explosion') && !tags.includes('chain');
+    if (owner.fissionShards > 0 && isPlainProjectile && source?.direction && !source.isFissionShard) {
+        const baseAngle = Math.atan2(source.direction.y, source.direction.x);
+        const shardDamage = Math.max(1, Math.floor((source.damage || result.rawDamage) * (owner.fissionDamageRatio || 0.5)));
+        for (let i = 0; i < owner.fissionShards; i++) {
+            const angle = baseAngle + (i - (owner.fissionShards - 1) / 2) * (Math.PI / 6);
+            const shard = createProjectile(k, x, y, k.vec2(Math.cos(angle), Math.sin(angle)),
+                source.speed, shardDamage, 0, 0, false, (source.maxRange || 300) / 2);
+            shard.isFissionShard = true;
+            shard.ownerSlotIndex = owner.slotIndex;
+            shard.statusOnHit = source.statusOnHit;
+            shard.piercedEnemies.add(target);
+            shard.color = k.rgb(255, 170, 0);
+
+            if (isMultiplayerActive() && isHost()) {
+                registerProjectile(shard, { weaponKey: owner.weaponKey || 'pistol' });
+            }
+        }
+    }
+
+    // Chain Reaction: the dead target explodes a moment later (blast kills can chain again)
+    if (owner.chainReactionRatio > 0) {
+        const maxHealth = target.maxHealth || target.maxHP?.() || 0;
+        const blastDamage = Math.floor(maxHealth * owner.chainReactionRatio);
+        const radius = owner.chainReactionRadius || 60;
+        if (blastDamage <= 0) return;
+
+        k.wait(0.15, () => {
+            playExplosion();
+            spawnDeathExplosion(k, x, y, { color: [255, 170, 0] });
+            const nearby = [...k.get('enemy'), ...k.get('miniboss'), ...k.get('boss')]
+                .filter(other => other !== target && other.exists() && other.pos.dist(k.vec2(x, y)) <= radius);
+            nearby.forEach(other => resolveDamage(k, {
+                target: other,
+                amount: blastDamage,
+                tags: ['explosion', 'chainReaction'],
+                ownerSlotIndex: owner.slotIndex,
+                knockbackFrom: { x, y }
+            }));
+        });
+    }
+}
+
+// Lifesteal, Vampiric Rounds, kill credit and Survivalist for the player who dealt the hit
+function rewardOwner(k, owner, target, result) {
+    let healAmount = 0;
+
+    // Vampiric Rounds synergy: heal on crit damage
+    if (result.isCrit && owner.vampiricCrits && owner.vampiricHealPercent) {
+        healAmount += Math.floor(result.damage * owner.vampiricHealPercent);
+    }
+
+    // Lifesteal upgrade (Vampire Lord synergy multiplies it on crits)
+    if (owner.lifestealPercent > 0) {
+        let lifestealMultiplier = owner.lifestealPercent;
+        if (result.isCrit && owner.vampireLordEnabled && owner.vampireLordMultiplier) {
+            lifestealMultiplier *= owner.vampireLordMultiplier;
+        }
+        healAmount += Math.floor(result.damage * lifestealMultiplier);
+    }
+
+    if (healAmount > 0 && !owner.isDead && owner.hp() < owner.maxHealth) {
+        const newHP = Math.min(owner.maxHealth, owner.hp() + healAmount);
+        owner.setHP(newHP);
+
+        if (isMultiplayerActive() && isHost()) {
+            broadcastHealEvent({
+                slotIndex: owner.slotIndex,
+                healAmount,
+                newHP,
+                source: 'lifesteal'
+            });
+        }
+    }
+
+    // Track who last hit the target for kill attribution
+    target.lastHitBySlot = owner.slotIndex;
+
+    // Dealing damage keeps Survivalist in combat too
+    if (owner.survivalistEnabled) {
+        owner.survivalistLastCombatTime = k.time();
+    }
+}
+
+// Numbers, sound, particles, knockback and flash. result is null on clients (cosmetics only).
+function playHitFeedback(k, target, targetType, hit, result) {
+    const isCrit = Boolean(hit.isCrit);
+
+    if (targetType === 'barrel') {
+        return; // Barrels flash and shake themselves
+    }
+
+    if (result) {
+        spawnDamageNumber(k, target.pos.x, target.pos.y, result.damage, { isCrit });
+    }
+    if (targetType === 'enemy') {
+        playEnemyHit();
+    }
+    spawnBloodSplatter(k, target.pos.x, target.pos.y, { isCrit });
+
+    // Directional hits push the target away and kick up an impact
+    if (hit.knockbackFrom) {
+        const knockbackDir = k.vec2(target.pos.x - hit.knockbackFrom.x, target.pos.y - hit.knockbackFrom.y);
+        if (result && knockbackDir.len() > 0) {
+            applySafeKnockback(k, target, knockbackDir.unit(), HIT_KNOCKBACK[targetType] || 0);
+        }
+        spawnHitImpact(k, target.pos.x, target.pos.y, knockbackDir, { isCrit });
+
+        if (result) {
+            if (isCrit) {
+                EffectPresets.criticalHit();
+            } else if (targetType === 'boss') {
+                EffectPresets.bossHit();
+            }
+        }
+    }
+
+    if (!result) return;
+
+    // Flash, then let the entity redraw its own shield/armor color
+    target.color = isCrit ? k.rgb(...COMBAT_CONFIG.CRIT_COLOR) : k.rgb(...COMBAT_CONFIG.HIT_COLOR);
+    k.wait(COMBAT_CONFIG.HIT_FLASH_DURATION, () => {
+        if (target.exists()) target.updateVisual?.();
+    });
+}
+
+/**
+ * Spawn a floating damage number
+ * @param {Object} k - Kaplay instance
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} damage - Damage amount to display
+ * @param {Object} options - Display options
+ */
+export function spawnDamageNumber(k, x, y, damage, options = {}) {
+    // Check if damage numbers are enabled
+    if (getSetting('visual', 'showDamageNumbers') === false) return;
+
+    const {
+        isCrit = false,
+        color = isCrit ? [255, 200, 50] : [255, 255, 255]
+    } = options;
+
+    const size = isCrit ? 18 : 14;
+    const displayText = isCrit ? `${damage}!` : `${damage}`;
+
+    // Random offset to prevent overlap
+    const offsetX = (Math.random() - 0.5) * 20;
+    const offsetY = (Math.random() - 0.5) * 10;
+
+    const dmgText = k.add([
+        k.text(displayText, { size }),
+        k.pos(x + offsetX, y - 20 + offsetY),
+        k.anchor('center'),
+        k.color(...color),
+        k.z(500),
+        'damageNumber'
+    ]);
+
+    // Animate upward and fade out
+    let elapsed = 0;
+    const duration = 0.8;
+
+    dmgText.onUpdate(() => {
+        elapsed += k.dt();
+        dmgText.pos.y -= 40 * k.dt(); // Float upward
+        dmgText.opacity = Math.max(0, 1 - (elapsed / duration));
+
+        if (elapsed >= duration) {
+            k.destroy(dmgText);
+        }
+    });
+}
+
+/**
+ * Push an entity, respecting walls, obstacles and room boundaries
+ * @param {Object} k - Kaplay instance
+ * @param {Object} entity - Entity to push
+ * @param {Object} knockbackDir - Unit direction
+ * @param {number} knockbackAmount - Distance in pixels
+ */
+export function applySafeKnockback(k, entity, knockbackDir, knockbackAmount) {
+    if (!entity || !entity.exists()) return;
+
+    const roomMargin = 20; // Keep entities away from room edges
+    const maxX = k.width() - roomMargin;
+    const maxY = k.height() - roomMargin;
+    const minX = roomMargin;
+    const minY = roomMargin;
+
+    // Calculate new position
+    const newX = entity.pos.x + knockbackDir.x * knockbackAmount;
+    const newY = entity.pos.y + knockbackDir.y * knockbackAmount;
+
+    // Constrain to room boundaries first
+    const boundedX = Math.max(minX, Math.min(maxX, newX));
+    const boundedY = Math.max(minY, Math.min(maxY, newY));
+
+    // Store original position
+    const originalX = entity.pos.x;
+    const originalY = entity.pos.y;
+
+    // Try to move to new position
+    entity.pos.x = boundedX;
+    entity.pos.y = boundedY;
+
+    // Check for collision with walls or obstacles
+    const walls = k.get('wall');
+    const obstacles = k.get('obstacle');
+    const allObstacles = [...walls, ...obstacles];
+
+    let colliding = false;
+    for (const obstacle of allObstacles) {
+        if (!obstacle.exists()) continue;
+
+        // Check if entity area overlaps with obstacle
+        if (entity.isColliding && entity.isColliding(obstacle)) {
+            colliding = true;
+            break;
+        }
+    }
+
+    // If colliding, revert to original position
+    if (colliding) {
+        entity.pos.x = originalX;
+        entity.pos.y = originalY;
+    }
+}
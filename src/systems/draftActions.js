@@ -0,0 +1,176 @@
+/**
+ * Draft Actions
+ *
+ * Run-level controls over the upgrade draft beyond picking a card:
+ * - Reroll: redraw every card (Mulligan charges)
+ * - Banish: remove an upgrade from the pool for the rest of the run (Blacklist charges)
+ * - Lock: carry one card over to the next draft (Holdover charges)
+ * - Skip: close the draft for credits or XP instead of an upgrade (Rain Check charges)
+ *
+ * Charges are per run and funded by permanent upgrades. Each player has their
+ * own, kept here by party slot: couch co-op players share a save but not a
+ * charge pool, and online the machine a player drafts on holds their charges
+ * (the host's room snapshots don't overwrite them). Banished upgrades and the
+ * locked card live on the player (saved between rooms and synced to the
+ * party), so every machine draws the same cards from getUpgradeRNG.
+ */
+
+import { UPGRADES, getRandomUpgrades, isUpgradeOffered, fitUpgradeRarity } from './upgrades.js';
+import { getPermanentUpgradeLevel } from './metaProgression.js';
+import { PROGRESSION_CONFIG } from '../config/constants.js';
+
+// Charges left this run by player slot: { slotIndex: { rerolls, banishes, locks, skips } }
+let runCharges = {};
+
+/**
+ * Charges a run starts with, from permanent upgrade levels
+ * @returns {Object} { rerolls, banishes, locks, skips }
+ */
+export function getStartingDraftCharges() {
+    return {
+        rerolls: getPermanentUpgradeLevel('mulligan'),
+        banishes: getPermanentUpgradeLevel('blacklist'),
+        locks: getPermanentUpgradeLevel('holdover'),
+        skips: getPermanentUpgradeLevel('rainCheck')
+    };
+}
+
+/**
+ * A player's charges, starting them on their first draft of the run
+ */
+function getPlayerCharges(player) {
+    const slot = player.slotIndex ?? 0;
+    if (!runCharges[slot]) {
+        runCharges[slot] = { rerolls: 0, banishes: 0, locks: 0, skips: 0, ...getStartingDraftCharges() };
+    }
+    return runCharges[slot];
+}
+
+/**
+ * Reset every player's charges (new run), or restore a replay room checkpoint
+ * @param {Object} charges - Charges by slot from getDraftChargeState(); empty for a new run
+ */
+export function resetDraftCharges(charges = {}) {
+    runCharges = {};
+    Object.entries(charges).forEach(([slot, slotCharges]) => {
+        runCharges[slot] = { rerolls: 0, banishes: 0, locks: 0, skips: 0, ...slotCharges };
+    });
+}
+
+/**
+ * Get a copy of every player's charges (replay room checkpoints)
+ * @returns {Object} { slotIndex: { rerolls, banishes, locks, skips } }
+ */
+export function getDraftChargeState() {
+    return JSON.parse(JSON.stringify(runCharges));
+}
+
+/**
+ * Get a copy of the charges a player has left this run
+ * @param {Object} player - Player entity
+ * @returns {Object} { rerolls, banishes, locks, skips }
+ */
+export function getDraftCharges(player) {
+    return { ...getPlayerCharges(player) };
+}
+
+/**
+ * Spend one of a player's charges
+ * @param {Object} player - Player entity
+ * @param {string} type - 'rerolls', 'banishes', 'locks' or 'skips'
+ * @returns {boolean} False if none were left
+ */
+export function spendDraftCharge(player, type) {
+    const charges = getPlayerCharges(player);
+    if (!(charges[type] > 0)) return false;
+    charges[type]--;
+    return true;
+}
+
+/**
+ * Give a player back a charge (unlocking a card, or picking the card that was locked)
+ * @param {Object} player - Player entity
+ * @param {string} type - 'rerolls', 'banishes', 'locks' or 'skips'
+ */
+export function refundDraftCharge(player, type) {
+    const charges = getPlayerCharges(player);
+    charges[type] = (charges[type] || 0) + 1;
+}
+
+/**
+ * Take the card locked in the previous draft, clearing the lock
+ * @param {Object} player - Player being drafted for
+ * @returns {Object|null} { key, rarity } of the card carried into this draft
+ */
+export function takeLockedUpgrade(player) {
+    const locked = player.lockedUpgrade || null;
+    player.lockedUpgrade = null;
+    return locked;
+}
+
+/**
+ * Draw the cards for a draft, keeping one card in place if it can still be offered
+ * @param {Object} player - Player being drafted for
+ * @param {number} count - Number of cards
+ * @param {SeededRandom} rng - Optional seeded RNG (multiplayer)
+ * @param {Object|null} keptCard - { key, rarity } that stays on the table (carried over or locked)
+ * @returns {Array<Object>} Upgrade options, the kept card first
+ */
+export function drawDraftOptions(player, count, rng = null, keptCard = null) {
+    if (!keptCard || !isUpgradeOffered(player, keptCard.key)) {
+        return getRandomUpgrades(count, player, rng);
+    }
+    // A kept card keeps its tier unless its extra stacks no longer fit
+    const kept = {
+        key: keptCard.key,
+        ...UPGRADES[keptCard.key],
+        type: 'upgrade',
+        rarity: fitUpgradeRarity(player, keptCard.key, keptCard.rarity || 'common')
+    };
+    // The kept card already keeps the draft from being empty, so skip the maxed-out fallback
+    const others = getRandomUpgrades(count - 1, player, rng, [keptCard.key]).filter(option => isUpgradeOffered(player, option.key));
+    return [kept, ...others];
+}
+
+/**
+ * Draw one card to replace a banished one
+ * @param {Object} player - Player being drafted for (banish already applied)
+ * @param {Array<string>} tableKeys - Keys of the cards still on the table
+ * @param {SeededRandom} rng - Optional seeded RNG (multiplayer)
+ * @returns {Object|null} Replacement option, or null when the pool is empty
+ */
+export function drawReplacementOption(player, tableKeys, rng = null) {
+    const option = getRandomUpgrades(1, player, rng, tableKeys)[0];
+    // Never replace with a maxed-out fallback card; the table just loses a card
+    return option && isUpgradeOffered(player, option.key) ? option : null;
+}
+
+/**
+ * Remove an upgrade from the player's draft pool for the rest of the run
+ * @param {Object} player - Player entity
+ * @param {string} upgradeKey - Upgrade to banish
+ */
+export function banishUpgrade(player, upgradeKey) {
+    if (!player.banishedUpgrades) {
+        player.banishedUpgrades = [];
+    }
+    if (!player.banishedUpgrades.includes(upgradeKey)) {
+        player.banishedUpgrades.push(upgradeKey);
+    }
+    if (player.lockedUpgrade?.key === upgradeKey) {
+        player.lockedUpgrade = null;
+    }
+}
+
+/**
+ * Get the reward for skipping a draft
+ * @param {Object} player - Player skipping the draft
+ * @param {string} reward - 'credits' or 'xp'
+ * @returns {number} Credits or XP granted
+ */
+export function getDraftSkipReward(player, reward) {
+    if (reward === 'xp') {
+        return Math.max(1, Math.floor((player.xpToNext || 0) * PROGRESSION_CONFIG.DRAFT_SKIP_XP_FRACTION));
+    }
+    return PROGRESSION_CONFIG.DRAFT_SKIP_CREDITS_BASE + PROGRESSION_CONFIG.DRAFT_SKIP_CREDITS_PER_LEVEL * (player.level || 1);
+}
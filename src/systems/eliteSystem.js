@@ -5,16 +5,25 @@
  * - Swift: Yellow tint, +50% speed
  * - Armored: Blue tint, +100% HP, 25% damage reduction
  * - Vampiric: Red tint, heals 10 HP on hitting player
+ * - Toxic: Green tint, poisons the player on contact, immune to poison
  *
- * Elite spawn chance: 10-15% on floor 2+
+ * Elite spawn chance: 10-15% on floor 2+, climbing further on endless floors
+ *
+ * In colorblind modes the tints switch to the Okabe-Ito palette, which stays
+ * distinguishable under deuteranopia, protanopia and tritanopia.
  */
 
+import { isColorblindModeActive } from './accessibility.js';
+import { getEndlessEliteBonus } from './endlessMode.js';
+import { gameplayRandom } from '../utils/seededRandom.js';
+
 // Elite modifier definitions
 export const ELITE_MODIFIERS = {
     swift: {
         name: 'Swift',
         prefix: '⚡',
         color: [255, 255, 100], // Yellow tint
+        colorblindColor: [240, 228, 66], // Okabe-Ito yellow
         apply: (enemy) => {
             enemy.speed = Math.floor(enemy.speed * 1.5); // +50% speed
         }
@@ -23,6 +32,7 @@ export const ELITE_MODIFIERS = {
         name: 'Armored',
         prefix: '◆',
         color: [100, 150, 255], // Blue tint
+        colorblindColor: [0, 114, 178], // Okabe-Ito blue
         apply: (enemy) => {
             // +100% HP
             enemy.maxHealth = Math.floor(enemy.maxHealth * 2);
@@ -35,11 +45,23 @@ export const ELITE_MODIFIERS = {
         name: 'Vampiric',
         prefix: '♦',
         color: [255, 100, 100], // Red tint
+        colorblindColor: [213, 94, 0], // Okabe-Ito vermillion
         apply: (enemy) => {
             // Mark as vampiric - heals on hit
             enemy.isVampiric = true;
             enemy.vampiricHealAmount = 10;
         }
+    },
+    toxic: {
+        name: 'Toxic',
+        prefix: '☣',
+        color: [120, 220, 80], // Green tint
+        colorblindColor: [0, 158, 115], // Okabe-Ito bluish green
+        apply: (enemy) => {
+            // Contact hits poison (see systems/statusEffects.js)
+            enemy.statusOnHit = { toxic: { type: 'poison', damage: 2 } };
+            enemy.statusImmunities = ['poison'];
+        }
     }
 };
 
@@ -50,6 +72,18 @@ const ELITE_CONFIG = {
     4: { spawnChance: 0.15 }  // 15% chance on floor 4+
 };
 
+/**
+ * Get the elite spawn chance for a floor
+ * @param {number} floor - Current floor number
+ * @returns {number} Chance from 0 to 1
+ */
+export function getEliteSpawnChance(floor) {
+    if (floor < 2) return 0; // No elites on floor 1
+
+    const config = ELITE_CONFIG[floor] || ELITE_CONFIG[4]; // Default to floor 4+ config
+    return config.spawnChance + getEndlessEliteBonus(floor);
+}
+
 /**
  * Check if an enemy should be elite based on floor
  * @param {number} floor - Current floor number
@@ -59,10 +93,8 @@ const ELITE_CONFIG = {
 export function shouldSpawnElite(floor, rng = null) {
     if (floor < 2) return false; // No elites on floor 1
 
-    const config = ELITE_CONFIG[floor] || ELITE_CONFIG[4]; // Default to floor 4+ config
-    const roll = rng ? rng.next() : Math.random();
-
-    return roll < config.spawnChance;
+    const roll = rng ? rng.next() : gameplayRandom();
+    return roll < getEliteSpawnChance(floor);
 }
 
 /**
@@ -72,12 +104,23 @@ export function shouldSpawnElite(floor, rng = null) {
  */
 export function getRandomEliteModifier(rng = null) {
     const modifiers = Object.keys(ELITE_MODIFIERS);
-    const roll = rng ? rng.next() : Math.random();
+    const roll = rng ? rng.next() : gameplayRandom();
     const index = Math.floor(roll * modifiers.length);
 
     return modifiers[index];
 }
 
+/**
+ * Get the tint for an elite modifier, honoring the colorblind setting
+ * @param {string} modifierKey - Elite modifier key
+ * @returns {Array<number>|null} RGB color
+ */
+export function getEliteColor(modifierKey) {
+    const modifier = ELITE_MODIFIERS[modifierKey];
+    if (!modifier) return null;
+    return isColorblindModeActive() ? modifier.colorblindColor : modifier.color;
+}
+
 /**
  * Apply elite modifier to an enemy
  * @param {object} k - KAPLAY instance
@@ -104,8 +147,9 @@ export function applyEliteModifier(k, enemy, modifierKey) {
     enemy.elitePrefix = modifier.prefix;
 
     // Update color
-    enemy.originalColor = modifier.color;
-    enemy.color = k.rgb(...modifier.color);
+    const tint = getEliteColor(modifierKey);
+    enemy.originalColor = tint;
+    enemy.color = k.rgb(...tint);
 
     // Increase XP value for elites (+50%)
     enemy.xpValue = Math.floor(enemy.xpValue * 1.5);
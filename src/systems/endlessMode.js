@@ -0,0 +1,112 @@
+/**
+ * Endless Mode System
+ *
+ * Floors past the last authored boss loop back through the boss set:
+ * - Bosses cycle in their authored order, one loop per pass
+ * - Each loop stacks another boss modifier on top of normal floor scaling
+ * - Elites spawn more often the deeper the run goes (see eliteSystem.js)
+ * - Floor themes rotate (see floorTheming.js)
+ *
+ * Loop 0 is the authored run; loop 1 starts on the first floor after it.
+ */
+
+// Bosses in authored floor order (floor 1, 2, 3)
+export const BOSS_ROTATION = ['gatekeeper', 'swarmQueen', 'twinGuardian'];
+
+// Last floor with an authored boss - endless mode starts on the floor after
+export const FINAL_AUTHORED_FLOOR = BOSS_ROTATION.length;
+
+// Extra boss health per loop, on top of the 20%-per-floor scaling
+const LOOP_HEALTH_BONUS = 0.25;
+
+// Boss modifiers unlocked by loop (each loop keeps the previous ones)
+export const ENDLESS_BOSS_MODIFIERS = {
+    fortified: {
+        name: 'Fortified',
+        minLoop: 1,
+        armorMultiplier: 1.5 // +50% armor
+    },
+    shielded: {
+        name: 'Shielded',
+        minLoop: 2,
+        shieldFraction: 0.25, // Shields worth 25% of max health
+        shieldRegenPerLoop: 10 // HP per second, per loop
+    },
+    frenzied: {
+        name: 'Frenzied',
+        minLoop: 3,
+        speedMultiplier: 1.3 // +30% speed
+    }
+};
+
+// Elite chance bonus per endless floor, and the most it can add
+const ENDLESS_ELITE_BONUS_PER_FLOOR = 0.03;
+const ENDLESS_ELITE_MAX_BONUS = 0.45;
+
+/**
+ * Check if a floor is past the authored content
+ * @param {number} floor - Floor number
+ * @returns {boolean}
+ */
+export function isEndlessFloor(floor) {
+    return floor > FINAL_AUTHORED_FLOOR;
+}
+
+/**
+ * Get which loop a floor belongs to (0 for the authored floors)
+ * @param {number} floor - Floor number
+ * @returns {number}
+ */
+export function getLoopNumber(floor) {
+    return Math.floor((Math.max(1, floor) - 1) / BOSS_ROTATION.length);
+}
+
+/**
+ * Get the boss for a floor, cycling through the authored bosses
+ * @param {number} floor - Floor number
+ * @returns {string} Boss type key ('twinGuardian' spawns the pair)
+ */
+export function getBossTypeForFloor(floor) {
+    return BOSS_ROTATION[(Math.max(1, floor) - 1) % BOSS_ROTATION.length];
+}
+
+/**
+ * Get the extra boss scaling for a floor's loop
+ * @param {number} floor - Floor number
+ * @returns {Object} { loop, modifiers, healthMultiplier, armorMultiplier, speedMultiplier, shieldFraction, shieldRegenRate }
+ */
+export function getBossLoopScaling(floor) {
+    const loop = getLoopNumber(floor);
+    const modifiers = Object.keys(ENDLESS_BOSS_MODIFIERS).filter(key => loop >= ENDLESS_BOSS_MODIFIERS[key].minLoop);
+    const has = key => modifiers.includes(key);
+
+    return {
+        loop,
+        modifiers,
+        healthMultiplier: 1 + loop * LOOP_HEALTH_BONUS,
+        armorMultiplier: has('fortified') ? ENDLESS_BOSS_MODIFIERS.fortified.armorMultiplier : 1,
+        speedMultiplier: has('frenzied') ? ENDLESS_BOSS_MODIFIERS.frenzied.speedMultiplier : 1,
+        shieldFraction: has('shielded') ? ENDLESS_BOSS_MODIFIERS.shielded.shieldFraction : 0,
+        shieldRegenRate: has('shielded') ? ENDLESS_BOSS_MODIFIERS.shielded.shieldRegenPerLoop * loop : 0
+    };
+}
+
+/**
+ * Get the extra elite spawn chance for a floor (0 on authored floors)
+ * @param {number} floor - Floor number
+ * @returns {number}
+ */
+export function getEndlessEliteBonus(floor) {
+    if (!isEndlessFloor(floor)) return 0;
+    return Math.min(ENDLESS_ELITE_MAX_BONUS, (floor - FINAL_AUTHORED_FLOOR) * ENDLESS_ELITE_BONUS_PER_FLOOR);
+}
+
+/**
+ * Format a floor with its loop, e.g. "Floor 5 · Loop 1"
+ * @param {number} floor - Floor number
+ * @returns {string}
+ */
+export function formatFloorDepth(floor) {
+    const loop = getLoopNumber(floor);
+    return loop > 0 ? `Floor ${floor} · Loop ${loop}` : `Floor ${floor}`;
+}
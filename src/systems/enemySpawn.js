@@ -7,8 +7,11 @@
  * - Progressive difficulty (enemies get harder each floor)
  * - Balanced variety within each floor
  * - Mix of different enemy types and behaviors
+ * - Health drop tables by enemy type and floor
  */
 
+import { gameplayRandom } from '../utils/seededRandom.js';
+
 // Enemy spawn weights by floor
 // Each floor has 5 enemy types with different weights
 const ENEMY_SPAWN_WEIGHTS = {
@@ -61,8 +64,8 @@ function getDefaultWeights() {
 // Weighted random selection
 function weightedRandom(weights, rng = null) {
     const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
-    // Use seeded RNG if provided (for multiplayer sync), otherwise Math.random
-    let random = (rng ? rng.next() : Math.random()) * total;
+    // Use seeded RNG if provided (for multiplayer sync), otherwise the run's gameplay RNG
+    let random = (rng ? rng.next() : gameplayRandom()) * total;
 
     for (const [type, weight] of Object.entries(weights)) {
         random -= weight;
@@ -82,4 +85,62 @@ export function getRandomEnemyType(floor = 1, rng = null) {
     return weightedRandom(weights, rng);
 }
 
+// Health drop chance by enemy type (anything not listed uses HEALTH_DROP_DEFAULT_CHANCE)
+// Tanky and sustain-themed enemies are the reliable sources of healing
+const HEALTH_DROP_CHANCES = {
+    heavyTank: 0.12,
+    golem: 0.12,
+    shieldBearer: 0.1,
+    healer: 0.18,
+    leech: 0.12,
+    spawner: 0.08,
+    buffer: 0.08,
+    splitter: 0.02, // Splits into copies that can drop too
+    slime: 0.02
+};
+const HEALTH_DROP_DEFAULT_CHANCE = 0.04;
+
+// Chance scales up 20% per floor so deeper runs aren't decided by the first few hits
+const HEALTH_DROP_FLOOR_SCALING = 0.2;
+
+// Which health pickup drops, by floor (floors beyond the table use the last entry)
+// Large hearts get more common deeper in, overheal shards start on floor 3
+const HEALTH_DROP_WEIGHTS = {
+    1: { smallHeart: 90, largeHeart: 10 },
+    2: { smallHeart: 80, largeHeart: 20 },
+    3: { smallHeart: 65, largeHeart: 25, overhealShard: 10 },
+    4: { smallHeart: 55, largeHeart: 30, overhealShard: 15 }
+};
+
+// Guaranteed drops from minibosses and bosses
+const HEALTH_DROPS_MINIBOSS = ['largeHeart'];
+const HEALTH_DROPS_BOSS = ['largeHeart', 'largeHeart', 'overhealShard'];
+
+// Get the health pickup weights for a floor
+function getHealthDropWeights(floor) {
+    const floors = Object.keys(HEALTH_DROP_WEIGHTS).map(Number);
+    const lastFloor = Math.max(...floors);
+    return HEALTH_DROP_WEIGHTS[Math.min(Math.max(1, floor), lastFloor)];
+}
+
+// Get the chance that an enemy drops a health pickup on a given floor
+export function getHealthDropChance(enemyType, floor = 1) {
+    const baseChance = HEALTH_DROP_CHANCES[enemyType] ?? HEALTH_DROP_DEFAULT_CHANCE;
+    return Math.min(1, baseChance * (1 + (Math.max(1, floor) - 1) * HEALTH_DROP_FLOOR_SCALING));
+}
 
+// Roll a health drop for a killed enemy
+// Pass rng parameter for multiplayer to ensure consistent drops across clients
+// Returns a HEALTH_PICKUPS key or null
+export function rollHealthDrop(enemyType, floor = 1, rng = null) {
+    const roll = rng ? rng.next() : gameplayRandom();
+    if (roll >= getHealthDropChance(enemyType, floor)) {
+        return null;
+    }
+    return weightedRandom(getHealthDropWeights(floor), rng);
+}
+
+// Get the guaranteed health drops for a miniboss or boss kill
+export function getBossHealthDrops(isBoss) {
+    return [...(isBoss ? HEALTH_DROPS_BOSS : HEALTH_DROPS_MINIBOSS)];
+}
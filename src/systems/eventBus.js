@@ -0,0 +1,132 @@
+/**
+ * Game Event Bus
+ *
+ * In-process publish/subscribe for things that happen during a run. Gameplay
+ * code emits one event where something happens; achievements, run statistics,
+ * tutorial hints and the network layer subscribe instead of being called from
+ * every site. A new achievement or analytics hook is one more listener.
+ *
+ * Every event is declared in GAME_EVENTS with the payload fields it carries.
+ * Emitting or subscribing to an undeclared event throws, and in dev builds a
+ * payload missing a declared field logs a warning.
+ *
+ * Listeners run synchronously in subscription order. A listener that throws is
+ * logged and does not stop the others.
+ */
+
+import { GAME_CONFIG } from '../config/constants.js';
+
+/**
+ * Event catalogue: event name -> payload fields
+ * Entity fields (player, entity, boss) are live game objects, not ids
+ */
+export const GAME_EVENTS = {
+    // A run (or a replay of one) starts its first room
+    runStarted: ['isReplay'],
+    // A local player lost health
+    playerDamaged: ['player', 'amount', 'floor'],
+    // A player gained a level (the upgrade draft may open later in multiplayer)
+    playerLeveledUp: ['player', 'level'],
+    // The upgrade draft is on screen for a player
+    upgradeDraftOpened: ['player'],
+    // A player picked an upgrade from the draft (rarity is the card's tier)
+    upgradeChosen: ['player', 'upgradeKey', 'rarity'],
+    // A player banished an upgrade from their pool for the rest of the run
+    upgradeBanished: ['player', 'upgradeKey'],
+    // A player closed a draft with a card locked for their next draft
+    upgradeLocked: ['player', 'upgradeKey', 'rarity'],
+    // A player skipped a draft for a reward ('credits' or 'xp'; amount is credits or XP)
+    upgradeDraftSkipped: ['player', 'reward', 'amount'],
+    // A player took a weapon evolution from the draft (fromWeapon is the base weapon)
+    weaponEvolved: ['player', 'weaponKey', 'fromWeapon'],
+    // A local player used their active ability (direction is a unit { x, y })
+    abilityUsed: ['player', 'abilityKey', 'direction'],
+    // A player's upgrades completed a synergy
+    synergyActivated: ['player', 'synergyKey', 'synergy'],
+    // An enemy, miniboss or boss died ('kind' says which)
+    enemyKilled: ['entity', 'kind', 'enemyType', 'killerSlot', 'x', 'y'],
+    // A boss fight starts
+    bossFightStarted: ['bossType', 'playerHP'],
+    // A boss crossed an HP threshold into a new pattern phase
+    bossPhaseChanged: ['boss', 'bossType', 'phase', 'previousPhase'],
+    // A boss died (emitted after its enemyKilled)
+    bossDefeated: ['bossType', 'killerSlot', 'playerHP', 'playerMaxHP'],
+    // A pickup was collected ('xp', 'credits' or 'health'; value is XP, credits or HP healed)
+    pickupCollected: ['player', 'pickupType', 'value'],
+    // All enemies in the current room are dead
+    roomCleared: ['floor', 'room'],
+    // The player left a floor through its exit door
+    floorCompleted: ['floor'],
+    // A hit was resolved by the damage pipeline (payload is its result)
+    damageResolved: ['target', 'targetType', 'tags', 'damage', 'killed'],
+    // The local player unlocked an achievement
+    achievementUnlocked: ['achievementId']
+};
+
+// Event name -> Set of handlers
+const listeners = new Map();
+
+function assertKnownEvent(type) {
+    if (!Object.prototype.hasOwnProperty.call(GAME_EVENTS, type)) {
+        throw new Error(`Unknown game event: ${type}`);
+    }
+}
+
+/**
+ * Subscribe to a game event
+ * @param {string} type - Event name from GAME_EVENTS
+ * @param {Function} handler - (payload) => void
+ * @returns {Function} Call to unsubscribe
+ */
+export function onGameEvent(type, handler) {
+    assertKnownEvent(type);
+    if (!listeners.has(type)) {
+        listeners.set(type, new Set());
+    }
+    listeners.get(type).add(handler);
+    return () => offGameEvent(type, handler);
+}
+
+/**
+ * Unsubscribe from a game event
+ * @param {string} type - Event name from GAME_EVENTS
+ * @param {Function} handler - Handler passed to onGameEvent
+ */
+export function offGameEvent(type, handler) {
+    listeners.get(type)?.delete(handler);
+}
+
+/**
+ * Emit a game event to its subscribers
+ * @param {string} type - Event name from GAME_EVENTS
+ * @param {Object} payload - Event payload with the fields declared in GAME_EVENTS
+ */
+export function emitGameEvent(type, payload = {}) {
+    assertKnownEvent(type);
+
+    if (GAME_CONFIG.DEV_TOOLS) {
+        const missing = GAME_EVENTS[type].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            console.warn(`[EventBus] ${type} emitted without: ${missing.join(', ')}`);
+        }
+    }
+
+    const handlers = listeners.get(type);
+    if (!handlers || handlers.size === 0) return;
+
+    // Copy so handlers can unsubscribe while the event is being delivered
+    [...handlers].forEach(handler => {
+        try {
+            handler(payload);
+        } catch (error) {
+            console.error(`[EventBus] ${type} listener failed:`, error);
+        }
+    });
+}
+
+/**
+ * Remove every listener (tests and full resets)
+ */
+export function clearGameEventListeners() {
+    listeners.clear();
+}
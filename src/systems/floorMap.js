@@ -7,18 +7,25 @@
  * - Procedurally connected rooms in between
  * - Guaranteed path from start to boss
  * - No backtracking (can only go right, up, down)
+ * - Special branch rooms (treasure, shop, challenge) that reward taking a detour
  */
 
-import { getWeightedRoomTemplate } from './roomGeneration.js';
+import { getWeightedRoomTemplate, getRoomTemplateByKey } from './roomGeneration.js';
 import { getRandomEnemyType } from './enemySpawn.js';
 
+/**
+ * Special room types placed on branch rooms, in placement priority order
+ * (small floors with few branches get a treasure room first)
+ */
+export const SPECIAL_ROOM_TYPES = ['treasure', 'shop', 'challenge'];
+
 /**
  * Room node in the grid
  */
 class RoomNode {
     constructor(x, y, type = 'combat') {
         this.position = { x, y };
-        this.type = type; // 'start', 'combat', 'boss'
+        this.type = type; // 'start', 'combat', 'boss', 'treasure', 'shop', 'challenge'
         this.template = null; // Room template (assigned later)
         this.connections = {
             up: false,
@@ -67,6 +74,7 @@ export class FloorMap {
         this.bossPosition = null;
         this.currentPosition = null;
         this.visitedRooms = new Set();
+        this.branchPositions = []; // Rooms added off the main path
         this.rng = rng; // Seeded RNG for multiplayer synchronization
 
         this.generate();
@@ -119,13 +127,16 @@ export class FloorMap {
         // Step 3: Add branch rooms for choices (20-40% additional rooms)
         this.addBranchRooms();
 
-        // Step 4: Establish connections between adjacent rooms
+        // Step 4: Turn some branch rooms into treasure, shop and challenge rooms
+        this.assignSpecialRooms();
+
+        // Step 5: Establish connections between adjacent rooms
         this.establishConnections();
 
-        // Step 5: Assign room templates and enemy types
+        // Step 6: Assign room templates and enemy types
         this.assignRoomProperties();
 
-        // Step 6: Validate the map
+        // Step 7: Validate the map
         this.validate();
 
         // Set current position to start
@@ -197,12 +208,33 @@ export class FloorMap {
                 if (hasLeftNeighbor && this.random() < 0.5) {
                     const room = new RoomNode(x, y, 'combat');
                     this.setRoom(x, y, room);
+                    this.branchPositions.push({ x, y });
                     branchesAdded++;
                 }
             }
         }
     }
 
+    /**
+     * Turn branch rooms into special rooms (at most one of each type per floor)
+     * Uses the seeded RNG so every multiplayer client places them identically
+     */
+    assignSpecialRooms() {
+        // Shuffle branch positions (Fisher-Yates)
+        const candidates = [...this.branchPositions];
+        for (let i = candidates.length - 1; i > 0; i--) {
+            const j = this.randomRange(0, i + 1);
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+
+        SPECIAL_ROOM_TYPES.forEach((type, i) => {
+            const pos = candidates[i];
+            if (pos) {
+                this.getRoom(pos.x, pos.y).type = type;
+            }
+        });
+    }
+
     /**
      * Establish connections between adjacent rooms
      */
@@ -244,8 +276,8 @@ export class FloorMap {
                     room.template = getWeightedRoomTemplate(this.floor, this.rng);
                 }
 
-                // Assign enemy types for combat rooms
-                if (room.type === 'combat') {
+                // Assign enemy types for combat and challenge rooms
+                if (room.type === 'combat' || room.type === 'challenge') {
                     const enemyCount = this.randomRange(3, 6); // 3-5 enemy types
                     room.enemyTypes = [];
                     for (let i = 0; i < enemyCount; i++) {
@@ -400,6 +432,69 @@ export class FloorMap {
         return true;
     }
 
+    /**
+     * Get the player's progress through this floor (JSON-safe, for replay checkpoints)
+     * @returns {Object} { currentPosition, visited, cleared }
+     */
+    getProgressState() {
+        return {
+            currentPosition: { ...this.currentPosition },
+            visited: Array.from(this.visitedRooms),
+            cleared: Array.from(this.rooms.values()).filter(room => room.cleared).map(room => room.getKey())
+        };
+    }
+
+    /**
+     * Restore progress saved by getProgressState()
+     * @param {Object} state - { currentPosition, visited, cleared }
+     */
+    restoreProgressState(state) {
+        this.rooms.forEach(room => {
+            room.visited = false;
+            room.cleared = false;
+        });
+        this.visitedRooms.clear();
+
+        state.visited.forEach(key => {
+            const room = this.rooms.get(key);
+            if (room) this.markRoomVisited(room.position.x, room.position.y);
+        });
+        state.cleared.forEach(key => {
+            const room = this.rooms.get(key);
+            if (room) room.cleared = true;
+        });
+        this.currentPosition = { ...state.currentPosition };
+    }
+
+    /**
+     * Get each room's type, template and enemy types (JSON-safe). Templates depend on
+     * template history as well as the seed, so replays store them per floor.
+     * @returns {Object} { types: { key: type }, templates: { key: templateKey }, enemyTypes: { key: [types] } }
+     */
+    getLayoutState() {
+        const types = {};
+        const templates = {};
+        const enemyTypes = {};
+        this.rooms.forEach((room, key) => {
+            types[key] = room.type;
+            if (room.template) templates[key] = room.template.key;
+            if (room.enemyTypes.length > 0) enemyTypes[key] = [...room.enemyTypes];
+        });
+        return { types, templates, enemyTypes };
+    }
+
+    /**
+     * Restore room types, templates and enemy types saved by getLayoutState()
+     * @param {Object} layout - { types, templates, enemyTypes }
+     */
+    restoreLayoutState(layout) {
+        this.rooms.forEach((room, key) => {
+            room.type = layout.types[key];
+            if (layout.templates[key]) room.template = getRoomTemplateByKey(layout.templates[key]);
+            if (layout.enemyTypes[key]) room.enemyTypes = [...layout.enemyTypes[key]];
+        });
+    }
+
     /**
      * Get total number of rooms
      */
@@ -489,6 +584,12 @@ export class FloorMap {
                     row += '[S]';
                 } else if (room.type === 'boss') {
                     row += '[B]';
+                } else if (room.type === 'treasure') {
+                    row += '[T]';
+                } else if (room.type === 'shop') {
+                    row += '[$]';
+                } else if (room.type === 'challenge') {
+                    row += '[!]';
                 } else if (x === this.currentPosition.x && y === this.currentPosition.y) {
                     row += '[★]';
                 } else if (room.visited) {
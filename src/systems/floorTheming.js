@@ -7,6 +7,7 @@
  * - Color schemes
  * - Environmental storytelling
  * Decorations are purely visual and don't impact gameplay clarity.
+ * Floors past the last themed floor rotate through every theme (endless mode).
  */
 
 // Floor theme definitions - Each floor tells a story
@@ -106,11 +107,11 @@ const FLOOR_THEMES = {
         baseColor: [60, 45, 70], // Deep purple organic
         ambientColor: [80, 60, 100] // Bioluminescent purple glow
     },
-    // Future floors (5+) - extend the theming
+    // Floor 5 - after this, themes rotate from the top of this list
     void: {
         name: 'The Void',
         description: 'Reality breaks down at the edge of existence',
-        floors: [5, 6, 7, 8],
+        floors: [5],
         decorations: [
             // Static and glitches
             { char: '░', pattern: 'random', count: 25, opacity: 0.15 },
@@ -141,8 +142,10 @@ export function getFloorTheme(floor) {
             return { key, ...theme };
         }
     }
-    // Default to first available theme or city theme
-    return { key: 'city', ...FLOOR_THEMES.city };
+    // Endless floors rotate through the themes in order
+    const themeKeys = Object.keys(FLOOR_THEMES);
+    const key = themeKeys[(Math.max(1, floor) - 1) % themeKeys.length];
+    return { key, ...FLOOR_THEMES[key] };
 }
 
 /**
@@ -0,0 +1,94 @@
+/**
+ * Frame Clock
+ *
+ * Runs the game on a fixed timestep. KAPLAY times its frames from the
+ * requestAnimationFrame timestamp, so the clock hands it timestamps that
+ * advance by exactly FIXED_DT per frame: k.dt() is the same on every machine
+ * and display, and a replay steps through its run frame for frame.
+ * Fast displays skip animation frames until a step is due; slow ones run
+ * several steps in one animation frame.
+ *
+ * Trade-off: there is no render interpolation. KAPLAY processes input,
+ * updates and draws in one frame callback, so a frame can't be drawn without
+ * also stepping the game (and the input it read would be lost). As a result:
+ * - a 60 Hz display shows 64 steps a second, so about every 15th animation frame
+ *   runs two steps and motion judders slightly
+ * - 120/144 Hz displays draw at most 64 frames a second (the others are skipped)
+ * - after a stall of more than MAX_STEPS_PER_FRAME steps the game slows down
+ * Exact replays are worth that; tests/frameClock.test.js pins the pattern.
+ *
+ * Install once, before kaplay() starts its loop.
+ */
+
+// Seconds per game frame (a power of two, so frame times add up exactly)
+export const FIXED_DT = 1 / 64;
+const FRAME_MS = FIXED_DT * 1000;
+
+// Most steps run in one animation frame (after a stall the game slows down instead of spiralling)
+const MAX_STEPS_PER_FRAME = 8;
+
+// Most real time counted between two animation frames (ms), e.g. after the tab was hidden
+const MAX_FRAME_GAP = 250;
+
+// Game frames run per frame of real time (replay fast-forward)
+let speed = 1;
+
+/**
+ * Replace window.requestAnimationFrame with the fixed-step clock
+ * @param {Window} win - Browser window
+ */
+export function installFixedTimestep(win = window) {
+    const requestNative = win.requestAnimationFrame.bind(win);
+    const cancelNative = win.cancelAnimationFrame.bind(win);
+    let pending = null; // Callback waiting for the next step
+    let nativeId = null;
+    let lastRealTime = null;
+    let accumulated = 0;
+    let stepTime = 0; // Timestamp handed to KAPLAY (ms)
+
+    const tick = (now) => {
+        nativeId = null;
+        if (lastRealTime !== null) {
+            accumulated += Math.min(now - lastRealTime, MAX_FRAME_GAP) * speed;
+        }
+        lastRealTime = now;
+
+        let steps = 0;
+        while (pending && accumulated >= FRAME_MS && steps < MAX_STEPS_PER_FRAME) {
+            const callback = pending;
+            pending = null;
+            accumulated -= FRAME_MS;
+            stepTime += FRAME_MS;
+            steps++;
+            callback(stepTime);
+        }
+        // Drop time the steps couldn't keep up with
+        if (steps === MAX_STEPS_PER_FRAME) {
+            accumulated = Math.min(accumulated, FRAME_MS);
+        }
+
+        if (pending) nativeId = requestNative(tick);
+    };
+
+    win.requestAnimationFrame = (callback) => {
+        pending = callback;
+        if (nativeId === null) nativeId = requestNative(tick);
+        return 1;
+    };
+
+    win.cancelAnimationFrame = () => {
+        pending = null;
+        if (nativeId !== null) {
+            cancelNative(nativeId);
+            nativeId = null;
+        }
+    };
+}
+
+/**
+ * Run the game faster than real time (the frame time itself never changes)
+ * @param {number} multiplier - Game frames per frame of real time (1 = normal)
+ */
+export function setFrameClockSpeed(multiplier) {
+    speed = multiplier;
+}
@@ -0,0 +1,171 @@
+/**
+ * Host Migration
+ * Keeps an online run going when its host leaves. Every client elects the same
+ * successor from the party slots; the successor promotes its peer to host and
+ * resumes the current room from a handover (seed, floor/room position, every
+ * player's stats and upgrade stacks, and the latest game state snapshot), while
+ * the other clients rejoin it within the party's reconnection window.
+ *
+ * A host that quits sends its own handover (host_migrate). One that drops
+ * without a word leaves the successor to build the handover from its copy of the run.
+ */
+
+import { MULTIPLAYER_CONFIG } from '../config/constants.js';
+import {
+    getParty,
+    promoteLocalToHost,
+    followNewHost,
+    leavePartyAfterHandoff,
+    sendJoinRequest,
+    returnToMenuAfterHostLoss,
+    isSpectator
+} from './partySystem.js';
+import { promoteToHost, leaveHost, connectToPeer, hasPeer } from './networkSystem.js';
+import {
+    isMultiplayerActive,
+    isLocalCoopSession,
+    getLocalPlayerSlot,
+    collectHostHandover,
+    broadcastHostMigration,
+    setHostHandover,
+    resetForNewHost
+} from './multiplayerGame.js';
+import { getPlayerName, getInviteCode, getSelectedCharacter } from './metaProgression.js';
+import { initToastSystem, showToast } from './toastNotifications.js';
+
+/**
+ * Pick the party's next host: the first connected player after the host's slot
+ * (wrapping around) that the others can reach by peer ID
+ * Every client sees the same slots, so they all elect the same player
+ * @param {Array} slots - Party slots
+ * @param {number} hostSlot - Slot of the host that's leaving
+ * @returns {number} Slot index, or -1 when nobody can take over
+ */
+export function electNextHost(slots, hostSlot) {
+    for (let step = 1; step < slots.length; step++) {
+        const slotIndex = (hostSlot + step) % slots.length;
+        const slot = slots[slotIndex];
+        if (slot.playerId !== null && slot.peerId && !slot.isDisconnected && !slot.isServer) {
+            return slotIndex;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Check whether this session can move to a new host
+ * (online runs over PeerJS; a dedicated server's clients have no peer to host on)
+ * @returns {boolean}
+ */
+function canMigrate() {
+    return MULTIPLAYER_CONFIG.HOST_MIGRATION && isMultiplayerActive() && !isLocalCoopSession() && hasPeer();
+}
+
+/**
+ * Hand the run to the next player instead of ending it (host quitting mid-run)
+ * @returns {boolean} True if a new host takes over; false to end the run for everyone
+ */
+export function handOffHost() {
+    if (!canMigrate()) return false;
+
+    const party = getParty();
+    const newHostSlot = electNextHost(party.slots, party.hostSlot);
+    if (newHostSlot === -1) return false;
+
+    console.log('[HostMigration] Handing the run to slot', newHostSlot);
+    broadcastHostMigration(newHostSlot);
+    leavePartyAfterHandoff();
+    return true;
+}
+
+/**
+ * The host is quitting and named its successor (clients, on host_migrate)
+ * @param {number} newHostSlot - Slot elected by the host
+ * @param {Object} handover - The host's handover (see collectHostHandover)
+ */
+export function handleHostMigrate(newHostSlot, handover) {
+    if (!canMigrate()) return;
+    migrate(newHostSlot, handover);
+}
+
+/**
+ * Our connection to the host closed (clients)
+ * @returns {boolean} True if the party is moving to a new host
+ */
+export function handleHostLoss() {
+    if (!canMigrate()) return false;
+
+    const party = getParty();
+    const newHostSlot = electNextHost(party.slots, party.hostSlot);
+    if (newHostSlot === -1) return false;
+
+    migrate(newHostSlot, null);
+    return true;
+}
+
+/**
+ * Move this client over to the new host: take over if we were elected, otherwise rejoin
+ * @param {number} newHostSlot - Elected slot
+ * @param {Object|null} handover - The old host's handover (null if it dropped)
+ */
+function migrate(newHostSlot, handover) {
+    const party = getParty();
+    const k = party.kaplayInstance;
+    const oldHostSlot = party.hostSlot;
+    const newHost = party.slots[newHostSlot];
+
+    if (newHostSlot === getLocalPlayerSlot()) {
+        console.log('[HostMigration] Taking over as host from slot', oldHostSlot);
+        setHostHandover(handover || collectHostHandover());
+        promoteToHost();
+        promoteLocalToHost(oldHostSlot);
+        notify(k, 'You are the host now', 'The other players are reconnecting');
+
+        // Resume the room as host (the game scene picks up the handover)
+        k.go('game');
+        return;
+    }
+
+    console.log('[HostMigration] Following the new host in slot', newHostSlot);
+    leaveHost();
+    followNewHost(newHostSlot, oldHostSlot);
+    resetForNewHost(oldHostSlot);
+    notify(k, 'Host left', `Reconnecting to ${newHost.playerName}...`);
+    rejoin(newHost.peerId);
+}
+
+/**
+ * Connect to the new host and rejoin the party in our slot (or as an observer again)
+ * Retries while the new host starts listening; gives up to the main menu
+ * @param {string} hostPeerId - New host's peer ID
+ */
+async function rejoin(hostPeerId) {
+    const { MIGRATION_CONNECT_ATTEMPTS, MIGRATION_CONNECT_TIMEOUT, MIGRATION_RETRY_DELAY } = MULTIPLAYER_CONFIG;
+
+    for (let attempt = 1; attempt <= MIGRATION_CONNECT_ATTEMPTS; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, MIGRATION_RETRY_DELAY));
+        try {
+            await connectToPeer(hostPeerId, MIGRATION_CONNECT_TIMEOUT);
+            sendJoinRequest({
+                playerName: getPlayerName(),
+                inviteCode: getInviteCode(),
+                selectedCharacter: getSelectedCharacter(),
+                spectate: isSpectator()
+            });
+            return;
+        } catch (err) {
+            console.warn(`[HostMigration] Could not reach the new host (attempt ${attempt}):`, err.message);
+        }
+    }
+
+    returnToMenuAfterHostLoss();
+}
+
+/**
+ * Tell the local player what's happening
+ */
+function notify(k, title, message) {
+    if (!k) return;
+    initToastSystem(k);
+    showToast({ title, message, icon: '⇄', type: 'info', duration: 4 });
+}
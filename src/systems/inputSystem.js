@@ -55,9 +55,9 @@ const inputState = {
 };
 
 /**
- * Apply deadzone to a value
+ * Apply deadzone to a value (also used by localCoop.js for per-pad sticks)
  */
-function applyDeadzone(value, deadzone = STICK_DEADZONE) {
+export function applyDeadzone(value, deadzone = STICK_DEADZONE) {
     if (Math.abs(value) < deadzone) return 0;
     // Scale the value to go from 0 at deadzone edge to 1 at full tilt
     const sign = value > 0 ? 1 : -1;
@@ -0,0 +1,269 @@
+/**
+ * Key Bindings (Action Mapping)
+ *
+ * Maps named actions (moveUp, pause, ...) to one or more keyboard keys and
+ * gamepad buttons. Scenes register handlers per action instead of per key,
+ * so rebinding in the settings scene applies everywhere.
+ *
+ * - Keyboard bindings are stored in settings.controls (arrays of KAPLAY key names)
+ * - Gamepad bindings are stored in settings.gamepad (arrays of KAPLAY gamepad button names)
+ * - Analog stick movement/aim is still handled by inputSystem.js
+ */
+
+import { getSettings, updateSetting } from './settings.js';
+
+// Rebindable actions, in the order they appear on the Controls tab
+export const INPUT_ACTIONS = {
+    moveUp: { label: 'Move Up' },
+    moveDown: { label: 'Move Down' },
+    moveLeft: { label: 'Move Left' },
+    moveRight: { label: 'Move Right' },
+    pause: { label: 'Pause' },
+    interact: { label: 'Interact' },
+    ability: { label: 'Ability' },
+    emoteExclaim: { label: 'Emote (!)' },
+    emoteHeart: { label: 'Emote (♥)' },
+    toggleMinimap: { label: 'Minimap' },
+    chat: { label: 'Chat' },
+    quickChat: { label: 'Quick Chat (hold)' }
+};
+
+// Keys that can never be bound (reserved for browser refresh/fullscreen/devtools)
+const RESERVED_KEYS = ['f5', 'f11', 'f12'];
+
+// Display names for keys whose KAPLAY name isn't readable as-is
+const KEY_DISPLAY_NAMES = {
+    up: '↑',
+    down: '↓',
+    left: '←',
+    right: '→',
+    escape: 'ESC',
+    space: 'SPACE',
+    enter: 'ENTER',
+    shift: 'SHIFT',
+    control: 'CTRL',
+    alt: 'ALT',
+    tab: 'TAB',
+    backspace: 'BKSP',
+    'dpad-up': 'D-↑',
+    'dpad-down': 'D-↓',
+    'dpad-left': 'D-←',
+    'dpad-right': 'D-→',
+    south: 'A',
+    east: 'B',
+    west: 'X',
+    north: 'Y',
+    lshoulder: 'LB',
+    rshoulder: 'RB',
+    ltrigger: 'LT',
+    rtrigger: 'RT',
+    select: 'SELECT',
+    start: 'START'
+};
+
+// Cached bindings - reading settings parses localStorage, too slow for per-frame checks
+let cachedBindings = null;
+
+// While a text field (the chat input) has the keyboard, keyboard bindings don't
+// fire - releases still do, so held movement stops
+let keyboardCaptured = false;
+
+/**
+ * Normalize a stored binding to an array (v1 settings stored single key strings)
+ */
+function toArray(binding) {
+    if (Array.isArray(binding)) return binding;
+    return binding ? [binding] : [];
+}
+
+function getBindings() {
+    if (!cachedBindings) {
+        const settings = getSettings();
+        cachedBindings = { keyboard: {}, gamepad: {} };
+        Object.keys(INPUT_ACTIONS).forEach(action => {
+            cachedBindings.keyboard[action] = toArray(settings.controls?.[action]);
+            cachedBindings.gamepad[action] = toArray(settings.gamepad?.[action]);
+        });
+    }
+    return cachedBindings;
+}
+
+/**
+ * Drop cached bindings so the next lookup re-reads settings
+ * (call after settings are reset or imported)
+ */
+export function reloadBindings() {
+    cachedBindings = null;
+}
+
+/**
+ * Get keyboard keys bound to an action
+ * @param {string} action - Action name from INPUT_ACTIONS
+ * @returns {Array<string>} KAPLAY key names
+ */
+export function getActionKeys(action) {
+    return getBindings().keyboard[action] || [];
+}
+
+/**
+ * Get gamepad buttons bound to an action
+ * @param {string} action - Action name from INPUT_ACTIONS
+ * @returns {Array<string>} KAPLAY gamepad button names
+ */
+export function getActionButtons(action) {
+    return getBindings().gamepad[action] || [];
+}
+
+/**
+ * Give the keyboard to a text field, or hand it back to the key bindings
+ * @param {boolean} captured - True while typing
+ */
+export function setKeyboardCaptured(captured) {
+    keyboardCaptured = captured;
+}
+
+/**
+ * Check if a text field has the keyboard (scenes with their own key handlers skip them)
+ * @returns {boolean}
+ */
+export function isKeyboardCaptured() {
+    return keyboardCaptured;
+}
+
+/**
+ * Run a key handler only while the keyboard isn't captured
+ */
+function unlessCaptured(callback) {
+    return (...args) => {
+        if (!keyboardCaptured) callback(...args);
+    };
+}
+
+/**
+ * Check if any key or gamepad button bound to an action is held
+ * @param {Object} k - KAPLAY instance
+ * @param {string} action - Action name
+ * @returns {boolean}
+ */
+export function isActionDown(k, action) {
+    if (!keyboardCaptured && getActionKeys(action).some(key => k.isKeyDown(key))) return true;
+    const buttons = getActionButtons(action);
+    return buttons.length > 0 && k.isGamepadButtonDown(buttons);
+}
+
+/**
+ * Combine key and gamepad controllers into one cancellable handle
+ */
+function joinControllers(controllers) {
+    return {
+        cancel: () => controllers.forEach(controller => controller.cancel())
+    };
+}
+
+/**
+ * Register a handler for when an action is pressed (keyboard or gamepad)
+ * @param {Object} k - KAPLAY instance
+ * @param {string} action - Action name
+ * @param {Function} callback - Handler
+ * @returns {{ cancel: Function }} Event controller
+ */
+export function onActionPress(k, action, callback) {
+    const controllers = [];
+    const keys = getActionKeys(action);
+    const buttons = getActionButtons(action);
+    if (keys.length > 0) controllers.push(k.onKeyPress(keys, unlessCaptured(callback)));
+    if (buttons.length > 0) controllers.push(k.onGamepadButtonPress(buttons, callback));
+    return joinControllers(controllers);
+}
+
+/**
+ * Register a handler that runs every frame while an action is held
+ * @param {Object} k - KAPLAY instance
+ * @param {string} action - Action name
+ * @param {Function} callback - Handler
+ * @returns {{ cancel: Function }} Event controller
+ */
+export function onActionDown(k, action, callback) {
+    const controllers = [];
+    const keys = getActionKeys(action);
+    const buttons = getActionButtons(action);
+    if (keys.length > 0) controllers.push(k.onKeyDown(keys, unlessCaptured(callback)));
+    if (buttons.length > 0) controllers.push(k.onGamepadButtonDown(buttons, callback));
+    return joinControllers(controllers);
+}
+
+/**
+ * Register a handler for when an action is released
+ * @param {Object} k - KAPLAY instance
+ * @param {string} action - Action name
+ * @param {Function} callback - Handler
+ * @returns {{ cancel: Function }} Event controller
+ */
+export function onActionRelease(k, action, callback) {
+    const controllers = [];
+    const keys = getActionKeys(action);
+    const buttons = getActionButtons(action);
+    if (keys.length > 0) controllers.push(k.onKeyRelease(keys, callback));
+    if (buttons.length > 0) controllers.push(k.onGamepadButtonRelease(buttons, callback));
+    return joinControllers(controllers);
+}
+
+/**
+ * Check whether a key can be bound at all
+ * @param {string} key - KAPLAY key name
+ * @returns {boolean}
+ */
+export function isBindableKey(key) {
+    return !!key && !RESERVED_KEYS.includes(key);
+}
+
+/**
+ * Find another action already using a key or gamepad button
+ * @param {string} action - Action being rebound
+ * @param {string} input - Key or gamepad button name
+ * @param {string} device - 'keyboard' or 'gamepad'
+ * @returns {string|null} Conflicting action name, or null
+ */
+export function findBindingConflict(action, input, device = 'keyboard') {
+    const bindings = getBindings()[device];
+    return Object.keys(bindings).find(other => other !== action && bindings[other].includes(input)) || null;
+}
+
+/**
+ * Set the primary key or gamepad button for an action. Secondary bindings
+ * (e.g. arrow keys alongside WASD) are kept. Persists through saveSettings (via updateSetting).
+ * @param {string} action - Action name
+ * @param {string} input - Key or gamepad button name
+ * @param {string} device - 'keyboard' or 'gamepad'
+ * @returns {boolean} True if the binding was applied
+ */
+export function setActionBinding(action, input, device = 'keyboard') {
+    if (!INPUT_ACTIONS[action]) return false;
+    if (device === 'keyboard' && !isBindableKey(input)) return false;
+    if (findBindingConflict(action, input, device)) return false;
+
+    const current = getBindings()[device][action] || [];
+    const updated = [input, ...current.slice(1).filter(existing => existing !== input)];
+    updateSetting(device === 'gamepad' ? 'gamepad' : 'controls', action, updated);
+    reloadBindings();
+    return true;
+}
+
+/**
+ * Format a key or gamepad button for display on key caps and hints
+ * @param {string} input - Key or gamepad button name
+ * @returns {string}
+ */
+export function formatBindingName(input) {
+    return KEY_DISPLAY_NAMES[input] || input.toUpperCase();
+}
+
+/**
+ * Format all keyboard bindings for an action (e.g. "W / ↑")
+ * @param {string} action - Action name
+ * @returns {string}
+ */
+export function formatActionKeys(action) {
+    const keys = getActionKeys(action);
+    return keys.length > 0 ? keys.map(formatBindingName).join(' / ') : '—';
+}
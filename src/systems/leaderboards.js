@@ -29,8 +29,8 @@ export function getLeaderboards() {
         // Ensure proper structure
         return {
             daily: parsed?.daily || {},      // { "2026-01-18": [{ name, score, floor, character, time }] }
-            allTime: parsed?.allTime || [],  // [{ name, score, floor, character, date }]
-            personal: parsed?.personal || {} // { character: { bestFloor, bestScore, bestTime } }
+            allTime: parsed?.allTime || [],  // [{ name, score, floor, loop, character, date }]
+            personal: parsed?.personal || {} // { character: { bestFloor, deepestLoop, bestScore, bestTime } }
         };
     } catch (e) {
         console.warn('[Leaderboards] Failed to load leaderboards:', e);
@@ -76,6 +76,7 @@ export function calculateScore(stats) {
  * @param {Object} runData - Run data to submit
  * @param {number} runData.score - Final score
  * @param {number} runData.floor - Floor reached
+ * @param {number} runData.loop - Endless mode loop reached (0 if none)
  * @param {string} runData.character - Character used
  * @param {number} runData.time - Run duration in seconds
  * @param {boolean} runData.isDaily - Whether this is a daily run
@@ -91,6 +92,7 @@ export function submitScore(runData) {
         name: playerName,
         score: runData.score || 0,
         floor: runData.floor || 1,
+        loop: runData.loop || 0,
         character: runData.character || 'survivor',
         time: runData.time || 0,
         date: date,
@@ -152,6 +154,7 @@ export function submitScore(runData) {
         data.personal[char] = {
             bestScore: 0,
             bestFloor: 0,
+            deepestLoop: 0,
             bestTime: Infinity
         };
     }
@@ -169,6 +172,12 @@ export function submitScore(runData) {
         result.isNewPersonalBest = true;
     }
 
+    // Deepest loop is tracked separately (records saved before endless mode have none)
+    if (entry.loop > (personal.deepestLoop || 0)) {
+        personal.deepestLoop = entry.loop;
+        result.isNewPersonalBest = true;
+    }
+
     // Best time only counts if they reached a minimum floor.
     // Guard against a missing/non-finite bestTime: JSON.stringify turns the
     // initial Infinity into null, so a freshly-created record reads back as null
@@ -294,6 +303,16 @@ export function formatScore(score) {
     return (score || 0).toLocaleString();
 }
 
+/**
+ * Format floor reached for display, with the endless loop when there is one
+ * @param {number} floor - Floor reached
+ * @param {number} loop - Endless mode loop reached
+ * @returns {string} - e.g. "7" or "7 (L2)"
+ */
+export function formatFloorReached(floor, loop = 0) {
+    return loop > 0 ? `${floor} (L${loop})` : `${floor}`;
+}
+
 /**
  * Clean up old daily leaderboards (keep last 30 days)
  */
@@ -0,0 +1,261 @@
+/**
+ * Local Co-op System
+ * Couch co-op: 2-4 players sharing one screen, each on their own gamepad or keyboard half
+ *
+ * Players join into the party slots (partySystem.js) without a network peer, and the
+ * game runs a host-only multiplayer session (multiplayerGame.js) with every player
+ * local, so per-slot drafts, shared XP and revives use the same code paths as online play.
+ *
+ * Input devices are plain objects stored on the party slot and the player entity:
+ * - { type: 'gamepad', index } - a browser gamepad index
+ * - { type: 'keyboard', half: 'left' | 'right' } - one half of the keyboard
+ */
+
+import { applyDeadzone } from './inputSystem.js';
+import { getActionButtons, getActionKeys, formatBindingName } from './keyBindings.js';
+
+// Keyboard halves (KAPLAY key names). Movement comes from the rebindable move actions
+// (keyBindings.js): the left half takes each action's primary key, the right half its
+// second key, so a key only ever moves one player. Action joins in the lobby and uses
+// the ability in game.
+const KEYBOARD_HALF_KEYS = {
+    left: { bindingIndex: 0, action: 'f', back: 'g' },
+    right: { bindingIndex: 1, action: 'enter', back: 'backspace' }
+};
+const ARROW_KEYS = { up: 'up', down: 'down', left: 'left', right: 'right' };
+
+// Gamepad buttons for the lobby (in game, gamepads use the rebindable actions from keyBindings.js)
+export const GAMEPAD_LOBBY_BUTTONS = {
+    action: 'south',
+    back: 'east',
+    left: 'dpad-left',
+    right: 'dpad-right'
+};
+
+// Lobby buttons, named as in GAMEPAD_LOBBY_BUTTONS and getKeyboardHalf()
+const LOBBY_BUTTONS = ['action', 'back', 'left', 'right'];
+
+// Enemy tags keyboard players (and gamepads without the right stick) auto-aim at
+const AUTO_AIM_TAGS = ['enemy', 'boss', 'miniboss'];
+
+// Directions, the keyboard half key and the gamepad action that move that way
+const DIRECTIONS = [
+    { key: 'up', action: 'moveUp', x: 0, y: -1 },
+    { key: 'down', action: 'moveDown', x: 0, y: 1 },
+    { key: 'left', action: 'moveLeft', x: -1, y: 0 },
+    { key: 'right', action: 'moveRight', x: 1, y: 0 }
+];
+
+/**
+ * Get the keys of a keyboard half, from the current move bindings
+ * @param {string} half - 'left' or 'right'
+ * @returns {Object|null} { label, up, down, left, right, action, back }; a direction
+ *   is null when its action has no key for this half
+ */
+export function getKeyboardHalf(half) {
+    const config = KEYBOARD_HALF_KEYS[half];
+    if (!config) return null;
+
+    const keys = { action: config.action, back: config.back };
+    DIRECTIONS.forEach(({ key, action }) => {
+        keys[key] = getActionKeys(action)[config.bindingIndex] || null;
+    });
+
+    const moveKeys = [keys.up, keys.left, keys.down, keys.right];
+    keys.label = DIRECTIONS.every(({ key }) => keys[key] === ARROW_KEYS[key])
+        ? 'Keyboard (Arrows)'
+        : `Keyboard (${moveKeys.map(key => (key ? formatBindingName(key) : '-')).join('')})`;
+    return keys;
+}
+
+/**
+ * Get both keyboard halves, keyed by half
+ * @returns {{ left: Object, right: Object }}
+ */
+export function getKeyboardHalves() {
+    return { left: getKeyboardHalf('left'), right: getKeyboardHalf('right') };
+}
+
+/**
+ * Create a gamepad input device
+ * @param {number} index - Browser gamepad index
+ * @returns {Object} Input device
+ */
+export function gamepadDevice(index) {
+    return { type: 'gamepad', index };
+}
+
+/**
+ * Create a keyboard half input device
+ * @param {string} half - 'left' or 'right'
+ * @returns {Object} Input device
+ */
+export function keyboardDevice(half) {
+    return { type: 'keyboard', half };
+}
+
+/**
+ * Check whether two input devices are the same
+ * @param {Object|null} a - Input device
+ * @param {Object|null} b - Input device
+ * @returns {boolean}
+ */
+export function isSameDevice(a, b) {
+    if (!a || !b || a.type !== b.type) return false;
+    return a.type === 'gamepad' ? a.index === b.index : a.half === b.half;
+}
+
+/**
+ * Get a display label for an input device (e.g. "Gamepad 2")
+ * @param {Object} device - Input device
+ * @returns {string}
+ */
+export function getDeviceLabel(device) {
+    if (!device) return '—';
+    if (device.type === 'gamepad') return `Gamepad ${device.index + 1}`;
+    return getKeyboardHalf(device.half)?.label || 'Keyboard';
+}
+
+/**
+ * Translate a gamepad button press into a lobby button
+ * @param {string} button - KAPLAY gamepad button name
+ * @returns {string|null} 'action', 'back', 'left', 'right' or null
+ */
+export function getGamepadLobbyButton(button) {
+    return LOBBY_BUTTONS.find(lobbyButton => GAMEPAD_LOBBY_BUTTONS[lobbyButton] === button) || null;
+}
+
+/**
+ * Translate a key press into the keyboard half that pressed it and its lobby button
+ * @param {string} key - KAPLAY key name
+ * @returns {{ device: Object, button: string }|null}
+ */
+export function getKeyboardLobbyInput(key) {
+    for (const [half, keys] of Object.entries(getKeyboardHalves())) {
+        const button = LOBBY_BUTTONS.find(lobbyButton => keys[lobbyButton] === key);
+        if (button) return { device: keyboardDevice(half), button };
+    }
+    return null;
+}
+
+/**
+ * Get the KAPLAY gamepad for a device (null if it is a keyboard half or unplugged)
+ */
+function getGamepad(k, device) {
+    if (device?.type !== 'gamepad') return null;
+    return k.getGamepads().find(gamepad => gamepad.index === device.index) || null;
+}
+
+/**
+ * Read a device's movement direction
+ * @param {Object} k - Kaplay instance
+ * @param {Object} device - Input device
+ * @returns {{ x: number, y: number }} Movement direction (-1 to 1)
+ */
+export function getDeviceMovement(k, device) {
+    const move = { x: 0, y: 0 };
+
+    if (device?.type === 'keyboard') {
+        const keys = getKeyboardHalf(device.half);
+        if (!keys) return move;
+        DIRECTIONS.forEach(({ key, x, y }) => {
+            if (keys[key] && k.isKeyDown(keys[key])) {
+                move.x += x;
+                move.y += y;
+            }
+        });
+        return move;
+    }
+
+    const gamepad = getGamepad(k, device);
+    if (!gamepad) return move;
+
+    // Left stick, with the D-pad (or whatever moves are bound to) taking over when held
+    const stick = gamepad.getStick('left');
+    move.x = applyDeadzone(stick.x);
+    move.y = applyDeadzone(stick.y);
+    DIRECTIONS.forEach(({ action, x, y }) => {
+        if (getActionButtons(action).some(button => gamepad.isDown(button))) {
+            if (x !== 0) move.x = x;
+            if (y !== 0) move.y = y;
+        }
+    });
+    return move;
+}
+
+/**
+ * Read a device's aim stick (keyboard halves never aim manually)
+ * @param {Object} k - Kaplay instance
+ * @param {Object} device - Input device
+ * @returns {{ x: number, y: number, active: boolean }}
+ */
+export function getDeviceAim(k, device) {
+    const gamepad = getGamepad(k, device);
+    if (!gamepad) return { x: 0, y: 0, active: false };
+
+    const stick = gamepad.getStick('right');
+    const x = applyDeadzone(stick.x);
+    const y = applyDeadzone(stick.y);
+    return { x, y, active: x !== 0 || y !== 0 };
+}
+
+/**
+ * Check whether a device pressed its ability button this frame
+ * (the keyboard half's action key, or the gamepad's bound ability buttons)
+ * @param {Object} k - Kaplay instance
+ * @param {Object} device - Input device
+ * @returns {boolean}
+ */
+export function isDeviceAbilityPressed(k, device) {
+    if (device?.type === 'keyboard') {
+        const key = getKeyboardHalf(device.half)?.action;
+        return !!key && k.isKeyPressed(key);
+    }
+
+    const gamepad = getGamepad(k, device);
+    return !!gamepad && getActionButtons('ability').some(button => gamepad.isPressed(button));
+}
+
+/**
+ * Find the nearest enemy, boss or miniboss to a player
+ * @param {Object} k - Kaplay instance
+ * @param {Object} player - Player entity
+ * @returns {Object|null} Target entity
+ */
+export function findAutoAimTarget(k, player) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    AUTO_AIM_TAGS.forEach(tag => {
+        k.get(tag).forEach(target => {
+            if (!target.exists() || target.isDead) return;
+            const distance = Math.hypot(target.pos.x - player.pos.x, target.pos.y - player.pos.y);
+            if (distance < nearestDistance) {
+                nearest = target;
+                nearestDistance = distance;
+            }
+        });
+    });
+    return nearest;
+}
+
+/**
+ * Get the aim direction for a local co-op player: their right stick when tilted,
+ * otherwise the nearest enemy
+ * @param {Object} k - Kaplay instance
+ * @param {Object} player - Player entity with an inputDevice
+ * @returns {{ x: number, y: number }|null} Unit aim direction, or null with nothing to aim at
+ */
+export function getLocalCoopAim(k, player) {
+    const aim = getDeviceAim(k, player.inputDevice);
+    if (aim.active) {
+        const length = Math.hypot(aim.x, aim.y);
+        return { x: aim.x / length, y: aim.y / length };
+    }
+
+    const target = findAutoAimTarget(k, player);
+    if (!target) return null;
+    const dx = target.pos.x - player.pos.x;
+    const dy = target.pos.y - player.pos.y;
+    const length = Math.hypot(dx, dy);
+    return length > 0 ? { x: dx / length, y: dy / length } : null;
+}
@@ -0,0 +1,420 @@
+/**
+ * Menu Navigation (gamepad focus)
+ *
+ * Lets a controller drive the menu scenes without the mouse. A scene creates
+ * one navigation, registers its clickable entities with the same handler their
+ * onClick runs, and the gamepad does the rest:
+ * - D-pad / left stick moves focus to the nearest item in that direction
+ * - A (south) confirms the focused item, B (east) goes back
+ * - LB / RB switch tabs
+ * - Left / right adjust a focused slider or option selector instead of moving
+ *
+ * The focused item gets a pulsing focus ring. The ring only shows once the
+ * gamepad is used and hides again when the mouse moves.
+ *
+ * Dialogs push a layer: while it is open only the dialog's items take focus
+ * and B runs the dialog's back handler. Popping it restores the scene's focus.
+ *
+ * createButton/createCard/createTabs (config/uiComponents.js) register with
+ * the active navigation on their own.
+ */
+
+import { UI_Z_LAYERS } from '../config/uiConfig.js';
+import { getUIColors } from './accessibility.js';
+import { playMenuNav } from './sounds.js';
+
+// Stick tilt that counts as a direction press
+const STICK_THRESHOLD = 0.5;
+// Seconds a held stick/D-pad waits before repeating, then between repeats
+const REPEAT_DELAY = 0.4;
+const REPEAT_INTERVAL = 0.12;
+// Sideways offset counts this much more than distance when picking the next item
+const CROSS_AXIS_WEIGHT = 2;
+// Focus ring padding around the item, and outline width
+const RING_PADDING = 6;
+const RING_WIDTH = 3;
+
+const DIRECTIONS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+const DPAD_BUTTONS = {
+    up: 'dpad-up',
+    down: 'dpad-down',
+    left: 'dpad-left',
+    right: 'dpad-right'
+};
+
+// KAPLAY anchor names -> offset of the anchor point from the centre, in half-sizes
+const ANCHOR_OFFSETS = {
+    topleft: { x: -1, y: -1 },
+    top: { x: 0, y: -1 },
+    topright: { x: 1, y: -1 },
+    left: { x: -1, y: 0 },
+    center: { x: 0, y: 0 },
+    right: { x: 1, y: 0 },
+    botleft: { x: -1, y: 1 },
+    bot: { x: 0, y: 1 },
+    botright: { x: 1, y: 1 }
+};
+
+// Navigation of the current scene (or overlay), used by dialogs and UI components
+let activeNavigation = null;
+
+/**
+ * Get the navigation of the current scene, if it has one
+ * @returns {Object|null}
+ */
+export function getMenuNavigation() {
+    return activeNavigation;
+}
+
+/**
+ * Get the on-screen bounds of a focusable entity
+ * @param {Object} target - Game object with pos and rect/circle
+ * @returns {{ x: number, y: number, width: number, height: number }} Centre and size
+ */
+export function getFocusBounds(target) {
+    const pos = typeof target.worldPos === 'function' ? target.worldPos() : target.pos;
+    const scale = target.scale?.x ?? 1;
+
+    if (target.radius !== undefined) {
+        const size = target.radius * 2 * scale;
+        return { x: pos.x, y: pos.y, width: size, height: size };
+    }
+
+    const width = (target.width || 0) * scale;
+    const height = (target.height || 0) * scale;
+    const anchor = typeof target.anchor === 'string'
+        ? ANCHOR_OFFSETS[target.anchor]
+        : target.anchor;
+    // KAPLAY's default anchor is topleft
+    const offset = anchor || ANCHOR_OFFSETS.topleft;
+
+    return {
+        x: pos.x - offset.x * width / 2,
+        y: pos.y - offset.y * height / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Pick the item to move focus to
+ * Only items ahead in the direction count; the nearest wins, with sideways
+ * offset weighted so a column stays a column.
+ * @param {Object} from - Bounds to move from ({ x, y })
+ * @param {Array} candidates - Items with bounds
+ * @param {string} direction - 'up', 'down', 'left' or 'right'
+ * @returns {Object|null} Best candidate
+ */
+export function findNextFocus(from, candidates, direction) {
+    const dir = DIRECTIONS[direction];
+    if (!dir) return null;
+
+    let best = null;
+    let bestScore = Infinity;
+    for (const candidate of candidates) {
+        const dx = candidate.bounds.x - from.x;
+        const dy = candidate.bounds.y - from.y;
+        const along = dx * dir.x + dy * dir.y;
+        if (along <= 1) continue;
+
+        const across = Math.abs(dx * dir.y - dy * dir.x);
+        const score = along + across * CROSS_AXIS_WEIGHT;
+        if (score < bestScore) {
+            bestScore = score;
+            best = candidate;
+        }
+    }
+    return best;
+}
+
+/**
+ * Create a gamepad focus navigation for a menu scene or overlay
+ * Becomes the active navigation until destroyed (scenes destroy it on leave).
+ * @param {Object} k - Kaplay instance
+ * @param {Object} options
+ * @param {Function} options.onBack - B button handler
+ * @param {Function} options.onPrevTab - LB handler
+ * @param {Function} options.onNextTab - RB handler
+ * @returns {Object} Navigation with add/onClick/focus/pushLayer/... methods
+ */
+export function createMenuNavigation(k, options = {}) {
+    const createLayer = (handlers = {}) => ({
+        items: [],
+        focused: null,
+        focusedId: null,
+        lastBounds: null,
+        onBack: handlers.onBack || null,
+        onPrevTab: handlers.onPrevTab || null,
+        onNextTab: handlers.onNextTab || null
+    });
+
+    const layers = [createLayer(options)];
+    const controllers = [];
+    let ringVisible = false;
+    let destroyed = false;
+    let heldDirection = null;
+    let repeatTimer = 0;
+
+    const currentLayer = () => layers[layers.length - 1];
+
+    const isFocusable = (item) => item.target.exists() && !item.target.hidden;
+
+    const ring = k.add([
+        k.rect(1, 1, { fill: false }),
+        k.pos(0, 0),
+        k.anchor('center'),
+        k.outline(RING_WIDTH, k.rgb(...getUIColors().GOLD)),
+        k.opacity(1),
+        k.fixed(),
+        k.z(UI_Z_LAYERS.TOOLTIP),
+        'menuFocusRing'
+    ]);
+    ring.hidden = true;
+
+    function setFocus(layer, item, silent = false) {
+        if (layer.focused === item) return;
+        layer.focused = item;
+        layer.focusedId = item?.id ?? null;
+        if (!item) return;
+
+        layer.lastBounds = getFocusBounds(item.target);
+        if (!silent) playMenuNav();
+        if (item.onFocus) item.onFocus(item.target);
+    }
+
+    // Focused item of the top layer, recovering if it was destroyed by a rebuild
+    function getFocusedItem() {
+        const layer = currentLayer();
+        if (layer.focused && isFocusable(layer.focused)) return layer.focused;
+        layer.focused = null;
+        return null;
+    }
+
+    function focusInitial(layer) {
+        const candidates = layer.items.filter(isFocusable);
+        if (candidates.length === 0) return;
+
+        let item = candidates.find(candidate => candidate.initial) || candidates[0];
+        if (layer.lastBounds) {
+            // Focused item was rebuilt away: take whatever now sits closest to it
+            const { x, y } = layer.lastBounds;
+            item = candidates.reduce((closest, candidate) => {
+                const bounds = getFocusBounds(candidate.target);
+                const closestBounds = getFocusBounds(closest.target);
+                return Math.hypot(bounds.x - x, bounds.y - y) < Math.hypot(closestBounds.x - x, closestBounds.y - y)
+                    ? candidate
+                    : closest;
+            });
+        }
+        setFocus(layer, item);
+    }
+
+    const nav = {
+        /**
+         * Register a focusable entity
+         * @param {Object} target - Game object (usually the button background)
+         * @param {Function} onConfirm - Run when A is pressed on it
+         * @param {Object} itemOptions
+         * @param {string} itemOptions.id - Stable id, keeps focus across scene rebuilds
+         * @param {boolean} itemOptions.initial - Focus this first
+         * @param {Function} itemOptions.onFocus - Run when it gains focus (e.g. to scroll it into view)
+         * @param {Function} itemOptions.onAdjust - Left/right change its value instead of moving focus;
+         *   called with -1 or 1 (sliders, option selectors)
+         * @returns {Object} The target
+         */
+        add(target, onConfirm, itemOptions = {}) {
+            if (!target || destroyed) return target;
+            const layer = currentLayer();
+            // Drop items whose entities a rebuild destroyed
+            layer.items = layer.items.filter(item => item.target.exists());
+            const item = {
+                target,
+                onConfirm,
+                id: itemOptions.id ?? null,
+                initial: !!itemOptions.initial,
+                onFocus: itemOptions.onFocus || null,
+                onAdjust: itemOptions.onAdjust || null
+            };
+            layer.items.push(item);
+            if (item.id !== null && item.id === layer.focusedId) {
+                setFocus(layer, item, true);
+            }
+            return target;
+        },
+
+        /**
+         * Register a click handler that also runs when A is pressed on the target
+         * @param {Object} target - Game object with area()
+         * @param {Function} handler - Click/confirm handler
+         * @param {Object} itemOptions - See add()
+         * @returns {Object} The target
+         */
+        onClick(target, handler, itemOptions = {}) {
+            target.onClick(handler);
+            return nav.add(target, handler, itemOptions);
+        },
+
+        remove(target) {
+            layers.forEach(layer => {
+                layer.items = layer.items.filter(item => item.target !== target);
+                if (layer.focused?.target === target) layer.focused = null;
+            });
+        },
+
+        // Forget every item of the top layer (before a scene rebuilds its buttons)
+        clear() {
+            const layer = currentLayer();
+            layer.items = [];
+            layer.focused = null;
+        },
+
+        focus(target) {
+            const layer = currentLayer();
+            const item = layer.items.find(candidate => candidate.target === target);
+            if (item) setFocus(layer, item, true);
+        },
+
+        getFocused() {
+            return getFocusedItem()?.target || null;
+        },
+
+        /**
+         * Move focus one step
+         * @param {string} direction - 'up', 'down', 'left' or 'right'
+         */
+        move(direction) {
+            ringVisible = true;
+            const layer = currentLayer();
+            const current = getFocusedItem();
+            if (!current) {
+                focusInitial(layer);
+                return;
+            }
+
+            if (current.onAdjust && (direction === 'left' || direction === 'right')) {
+                current.onAdjust(direction === 'left' ? -1 : 1);
+                return;
+            }
+
+            const from = getFocusBounds(current.target);
+            const candidates = layer.items
+                .filter(item => item !== current && isFocusable(item))
+                .map(item => ({ item, bounds: getFocusBounds(item.target) }));
+            const next = findNextFocus(from, candidates, direction);
+            if (next) setFocus(layer, next.item);
+        },
+
+        confirm() {
+            ringVisible = true;
+            const current = getFocusedItem();
+            if (!current) {
+                focusInitial(currentLayer());
+                return;
+            }
+            if (current.onConfirm) current.onConfirm();
+        },
+
+        back() {
+            const { onBack } = currentLayer();
+            if (onBack) onBack();
+        },
+
+        /**
+         * Switch tabs
+         * @param {number} step - -1 for the previous tab, 1 for the next
+         */
+        switchTab(step) {
+            const layer = currentLayer();
+            const handler = step < 0 ? layer.onPrevTab : layer.onNextTab;
+            if (handler) handler();
+        },
+
+        setTabHandlers(onPrevTab, onNextTab) {
+            const layer = currentLayer();
+            layer.onPrevTab = onPrevTab;
+            layer.onNextTab = onNextTab;
+        },
+
+        setBackHandler(onBack) {
+            currentLayer().onBack = onBack;
+        },
+
+        /**
+         * Start a dialog layer; only items added after this take focus until it is popped
+         * @param {Object} handlers - { onBack, onPrevTab, onNextTab } for the dialog
+         * @returns {Function} Pops the layer
+         */
+        pushLayer(handlers = {}) {
+            const layer = createLayer(handlers);
+            layers.push(layer);
+            return () => {
+                const index = layers.indexOf(layer);
+                if (index > 0) layers.splice(index, 1);
+            };
+        },
+
+        destroy() {
+            if (destroyed) return;
+            destroyed = true;
+            controllers.forEach(controller => controller.cancel());
+            if (ring.exists()) k.destroy(ring);
+            if (activeNavigation === nav) activeNavigation = null;
+        }
+    };
+
+    controllers.push(k.onGamepadButtonPress('south', () => nav.confirm()));
+    controllers.push(k.onGamepadButtonPress('east', () => nav.back()));
+    controllers.push(k.onGamepadButtonPress('lshoulder', () => nav.switchTab(-1)));
+    controllers.push(k.onGamepadButtonPress('rshoulder', () => nav.switchTab(1)));
+    controllers.push(k.onMouseMove(() => { ringVisible = false; }));
+
+    controllers.push(k.onUpdate(() => {
+        // D-pad and left stick move focus; a held direction repeats
+        const stick = k.getGamepadStick('left');
+        let stickDirection = null;
+        if (stick && Math.max(Math.abs(stick.x), Math.abs(stick.y)) >= STICK_THRESHOLD) {
+            stickDirection = Math.abs(stick.x) > Math.abs(stick.y)
+                ? (stick.x > 0 ? 'right' : 'left')
+                : (stick.y > 0 ? 'down' : 'up');
+        }
+        const dpadDirection = Object.keys(DPAD_BUTTONS).find(direction => k.isGamepadButtonDown(DPAD_BUTTONS[direction]));
+        const direction = stickDirection || dpadDirection || null;
+
+        if (!direction) {
+            heldDirection = null;
+        } else if (direction !== heldDirection) {
+            heldDirection = direction;
+            repeatTimer = REPEAT_DELAY;
+            nav.move(direction);
+        } else {
+            repeatTimer -= k.dt();
+            if (repeatTimer <= 0) {
+                repeatTimer = REPEAT_INTERVAL;
+                nav.move(direction);
+            }
+        }
+
+        // Focus ring follows the focused item (buttons scale on hover, cards move on scroll)
+        const focused = getFocusedItem();
+        ring.hidden = !ringVisible || !focused;
+        if (ring.hidden) return;
+
+        const bounds = getFocusBounds(focused.target);
+        ring.pos = k.vec2(bounds.x, bounds.y);
+        ring.width = bounds.width + RING_PADDING * 2;
+        ring.height = bounds.height + RING_PADDING * 2;
+        ring.opacity = 0.6 + Math.sin(k.time() * 6) * 0.4;
+    }));
+
+    controllers.push(k.onSceneLeave(() => nav.destroy()));
+
+    if (activeNavigation) activeNavigation.destroy();
+    activeNavigation = nav;
+    return nav;
+}
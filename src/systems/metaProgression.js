@@ -6,12 +6,18 @@ import { CHARACTER_UNLOCKS, getUnlockInfo } from '../data/unlocks.js';
 import { Analytics } from '../utils/analytics.js';
 
 const STORAGE_KEY = 'superSmashTexty_save';
+// Replays are kept apart from the save, keyed by run id: they are much larger than run
+// records, and the save is loaded all the time (and exported with a checksum)
+const REPLAY_STORAGE_KEY = 'superSmashTexty_replays';
 const CURRENCY_NAME = 'Credits'; // Full name (rarely used)
 const CURRENCY_ICON = '$'; // Icon used for display
 
+// Current save schema version. Bump it and add a SAVE_MIGRATIONS step whenever the schema changes.
+export const SAVE_VERSION = 3;
+
 // Default save data structure
 const DEFAULT_SAVE = {
-    version: 1,
+    version: SAVE_VERSION,
     currency: 0,
     playerName: null, // Will be generated on first load
     inviteCode: null, // Will be generated on first load
@@ -34,6 +40,7 @@ const DEFAULT_SAVE = {
         totalEnemiesKilled: 0,
         totalBossesKilled: 0,
         bestFloor: 1,
+        deepestLoop: 0, // Deepest endless mode loop reached
         bestRoom: 1,
         bestLevel: 1,
         totalCurrencyEarned: 0,
@@ -41,18 +48,72 @@ const DEFAULT_SAVE = {
         fastestRunTime: 0 // Fastest run completion time in seconds
     },
     achievements: [], // Array of unlocked achievement IDs
-    runHistory: [] // Array of last 20 run records
+    runHistory: [], // Array of last 20 run records
+    evolvedWeapons: [], // Evolved weapon keys ever reached (for the evolution achievements)
+    selectedCharacter: 'survivor',
+    activeBoosters: [], // Run boosters bought in the shop, consumed at the next run start
+    equippedCosmetics: {
+        trail: 'trailNone',
+        death: 'deathNone',
+        glow: 'glowNone'
+    }
+};
+
+// Save migrations, keyed on the version they upgrade FROM (each returns the next version's data).
+// Migrations only add or reshape fields - unknown fields are always carried over untouched.
+const SAVE_MIGRATIONS = {
+    // v1 -> v2: selected character, boosters and cosmetics became part of the schema
+    // (v1 created them lazily), and playerLevel is derived from totalXP
+    1: (data) => ({
+        ...data,
+        selectedCharacter: data.selectedCharacter || 'survivor',
+        activeBoosters: Array.isArray(data.activeBoosters) ? data.activeBoosters : [],
+        equippedCosmetics: { ...DEFAULT_SAVE.equippedCosmetics, ...(data.equippedCosmetics || {}) },
+        playerLevel: calculateLevelFromXP(data.totalXP || 0)
+    }),
+    // v2 -> v3: weapon evolutions reached are kept across runs
+    2: (data) => ({
+        ...data,
+        evolvedWeapons: Array.isArray(data.evolvedWeapons) ? data.evolvedWeapons : []
+    })
 };
 
 // Maximum number of runs to store in history
 const MAX_RUN_HISTORY = 20;
 
+// Only the most recent runs keep their replay (replays are much larger than run records)
+const MAX_REPLAY_HISTORY = 3;
+
+// Permanent upgrade levels that stand in for the save's while a replay plays back
+let permanentUpgradeLevelOverride = null;
+
+/**
+ * Upgrade save data from any older version to SAVE_VERSION, one step at a time.
+ * Saves from a newer version are returned unchanged.
+ * @param {Object} data - Parsed save data
+ * @returns {Object} Migrated save data
+ */
+export function migrateSave(data) {
+    let migrated = { ...data };
+    let version = migrated.version || 1;
+    while (version < SAVE_VERSION) {
+        const migrate = SAVE_MIGRATIONS[version];
+        if (migrate) {
+            migrated = migrate(migrated);
+        }
+        version++;
+        migrated.version = version;
+    }
+    return migrated;
+}
+
 // Load save data from localStorage
 export function loadSave() {
     try {
         const saved = localStorage.getItem(STORAGE_KEY);
         if (saved) {
-            const data = JSON.parse(saved);
+            const parsed = JSON.parse(saved);
+            const data = migrateSave(parsed);
             // Merge with default to handle missing fields. The object-valued
             // fields need a nested merge: an older save whose nested object
             // predates newly-added keys would otherwise replace the defaults
@@ -64,9 +125,15 @@ export function loadSave() {
                 unlocks: { ...DEFAULT_SAVE.unlocks, ...(data.unlocks || {}) },
                 stats: { ...DEFAULT_SAVE.stats, ...(data.stats || {}) },
                 permanentUpgradeLevels: { ...DEFAULT_SAVE.permanentUpgradeLevels, ...(data.permanentUpgradeLevels || {}) },
-                permanentUpgradePurchaseHistory: { ...DEFAULT_SAVE.permanentUpgradePurchaseHistory, ...(data.permanentUpgradePurchaseHistory || {}) }
+                permanentUpgradePurchaseHistory: { ...DEFAULT_SAVE.permanentUpgradePurchaseHistory, ...(data.permanentUpgradePurchaseHistory || {}) },
+                equippedCosmetics: { ...DEFAULT_SAVE.equippedCosmetics, ...(data.equippedCosmetics || {}) }
             };
 
+            // Persist migrations so they only run once
+            if (data.version !== parsed.version) {
+                saveGame(mergedData);
+            }
+
             // Generate player name if not set
             if (!mergedData.playerName) {
                 mergedData.playerName = generateRandomName();
@@ -86,7 +153,7 @@ export function loadSave() {
     }
 
     // First time load - generate name and code
-    const newSave = { ...DEFAULT_SAVE };
+    const newSave = JSON.parse(JSON.stringify(DEFAULT_SAVE)); // Deep copy so nested defaults are never mutated
     newSave.playerName = generateRandomName();
     newSave.inviteCode = generateInviteCode();
     saveGame(newSave);
@@ -210,6 +277,9 @@ export function setSelectedCharacter(characterKey) {
 
 // Get permanent upgrade level
 export function getPermanentUpgradeLevel(upgradeKey) {
+    if (permanentUpgradeLevelOverride) {
+        return permanentUpgradeLevelOverride[upgradeKey] || 0;
+    }
     const save = loadSave();
     if (!save.permanentUpgradeLevels) {
         save.permanentUpgradeLevels = {};
@@ -217,6 +287,14 @@ export function getPermanentUpgradeLevel(upgradeKey) {
     return save.permanentUpgradeLevels[upgradeKey] || 0;
 }
 
+/**
+ * Override permanent upgrade levels (replay playback uses the recorded levels)
+ * @param {Object|null} levels - { upgradeKey: level }, or null to use the save again
+ */
+export function setPermanentUpgradeLevelOverride(levels) {
+    permanentUpgradeLevelOverride = levels ? { ...levels } : null;
+}
+
 // Purchase an unlock with currency
 export function purchaseUnlock(category, item, cost) {
     const save = loadSave();
@@ -500,6 +578,9 @@ export function updateRunStats(runStats) {
     if (runStats.floorsReached > save.stats.bestFloor) {
         save.stats.bestFloor = runStats.floorsReached;
     }
+    if ((runStats.deepestLoop || 0) > (save.stats.deepestLoop || 0)) {
+        save.stats.deepestLoop = runStats.deepestLoop;
+    }
     if (runStats.roomsCleared > save.stats.bestRoom) {
         save.stats.bestRoom = runStats.roomsCleared;
     }
@@ -652,6 +733,7 @@ export function setInviteCode(code) {
 // Reset save (for testing/debugging)
 export function resetSave() {
     localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(REPLAY_STORAGE_KEY);
     return { ...DEFAULT_SAVE };
 }
 
@@ -670,6 +752,8 @@ export function resetSave() {
  * @param {string} runData.deathCause - What killed the player
  * @param {Array} runData.upgrades - Upgrades collected
  * @param {Array} runData.synergies - Synergies activated
+ * @param {Object} runData.replay - Recorded replay (see replaySystem.js), optional,
+ * stored apart from the save (see getRunReplay)
  */
 export function recordRun(runData) {
     const save = loadSave();
@@ -681,6 +765,7 @@ export function recordRun(runData) {
 
     // Create run record
     const runRecord = {
+        id: createRunId(),
         timestamp: Date.now(),
         character: runData.character || 'survivor',
         weapon: runData.weapon || 'pistol',
@@ -693,7 +778,8 @@ export function recordRun(runData) {
         duration: runData.duration || 0,
         deathCause: runData.deathCause || 'Unknown',
         upgrades: runData.upgrades || [],
-        synergies: runData.synergies || []
+        synergies: runData.synergies || [],
+        evolutions: runData.evolutions || []
     };
 
     // Add to history (most recent first)
@@ -703,11 +789,75 @@ export function recordRun(runData) {
     if (save.runHistory.length > MAX_RUN_HISTORY) {
         save.runHistory = save.runHistory.slice(0, MAX_RUN_HISTORY);
     }
-
     saveGame(save);
+
+    if (runData.replay) {
+        // Keep only the most recent runs' replays. If the new one doesn't fit in
+        // the storage quota, the run is kept without it.
+        const replays = { ...loadReplays(), [runRecord.id]: runData.replay };
+        const kept = {};
+        save.runHistory.slice(0, MAX_REPLAY_HISTORY).forEach(run => {
+            if (replays[run.id]) kept[run.id] = replays[run.id];
+        });
+        if (!saveReplays(kept)) {
+            delete kept[runRecord.id];
+            saveReplays(kept);
+        }
+    }
     return runRecord;
 }
 
+/**
+ * Get the replay recorded for a run
+ * @param {string} runId - Run record id
+ * @returns {Object|null} Replay, or null if the run kept none
+ */
+export function getRunReplay(runId) {
+    return loadReplays()[runId] || null;
+}
+
+// Unique id for a run record (replays are stored under it)
+function createRunId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Load stored replays ({ runId: replay }) from localStorage
+function loadReplays() {
+    try {
+        const saved = localStorage.getItem(REPLAY_STORAGE_KEY);
+        return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+        console.error('Error loading replays:', e);
+        return {};
+    }
+}
+
+// Save stored replays to localStorage
+function saveReplays(replays) {
+    try {
+        localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replays));
+        return true;
+    } catch (e) {
+        console.error('Error saving replays:', e);
+        return false;
+    }
+}
+
+/**
+ * Remember that a weapon evolution was reached (kept across runs)
+ * @param {string} weaponKey - Evolved weapon key
+ * @returns {Array<string>} Every evolved weapon key reached so far
+ */
+export function recordWeaponEvolution(weaponKey) {
+    const save = loadSave();
+    const evolvedWeapons = save.evolvedWeapons || [];
+    if (!evolvedWeapons.includes(weaponKey)) {
+        save.evolvedWeapons = [...evolvedWeapons, weaponKey];
+        saveGame(save);
+    }
+    return save.evolvedWeapons;
+}
+
 /**
  * Get run history
  * @returns {Array} Array of run records (most recent first)
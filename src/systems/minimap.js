@@ -8,6 +8,7 @@
  */
 
 import { playMenuNav } from './sounds.js';
+import { scaleTextSize } from './accessibility.js';
 
 /**
  * Minimap display modes
@@ -54,11 +55,24 @@ const COLORS = {
     VISITED: [80, 220, 100],
     AVAILABLE: [120, 120, 140],
     BOSS: [255, 90, 90],
+    TREASURE: [255, 215, 80],
+    SHOP: [120, 230, 160],
+    CHALLENGE: [255, 150, 60],
     HIDDEN: [50, 50, 70],
     CELL_BG: [30, 30, 45],
     CELL_BORDER: [45, 45, 60],
 };
 
+/**
+ * Icons for rooms with a type of their own (everything else is a plain combat room)
+ */
+const ROOM_TYPE_ICONS = {
+    boss: { char: 'B', color: COLORS.BOSS, label: 'Boss' },
+    treasure: { char: 'T', color: COLORS.TREASURE, label: 'Treasure' },
+    shop: { char: '$', color: COLORS.SHOP, label: 'Shop' },
+    challenge: { char: '!', color: COLORS.CHALLENGE, label: 'Challenge' }
+};
+
 /**
  * Minimap UI Manager
  */
@@ -203,7 +217,7 @@ export class Minimap {
 
         // Map icon
         const icon = this.k.add([
-            this.k.text('◧', { size: 22 }),
+            this.k.text('◧', { size: scaleTextSize(22) }),
             this.k.pos(centerX, centerY),
             this.k.anchor('center'),
             this.k.color(...COLORS.ICON_MAP),
@@ -215,7 +229,7 @@ export class Minimap {
 
         // Floor number badge (top-left corner of button)
         const badge = this.k.add([
-            this.k.text(`F${this.floorMap.floor}`, { size: 9 }),
+            this.k.text(`F${this.floorMap.floor}`, { size: scaleTextSize(9) }),
             this.k.pos(x - size + 4, y + 4),
             this.k.anchor('topleft'),
             this.k.color(...COLORS.BADGE_FLOOR),
@@ -261,7 +275,7 @@ export class Minimap {
 
         // Title
         const title = this.k.add([
-            this.k.text(`Floor ${this.floorMap.floor}`, { size: 10 }),
+            this.k.text(`Floor ${this.floorMap.floor}`, { size: scaleTextSize(10) }),
             this.k.pos(x - width / 2, y + 2 + headerHeight / 2),
             this.k.anchor('center'),
             this.k.color(...COLORS.TEXT_TITLE),
@@ -281,7 +295,7 @@ export class Minimap {
 
         // Room counter at bottom
         const counter = this.k.add([
-            this.k.text(`${this.floorMap.getVisitedCount()}/${this.floorMap.getTotalRooms()} rooms`, { size: 8 }),
+            this.k.text(`${this.floorMap.getVisitedCount()}/${this.floorMap.getTotalRooms()} rooms`, { size: scaleTextSize(8) }),
             this.k.pos(x - width / 2, y + height - 8),
             this.k.anchor('center'),
             this.k.color(...COLORS.TEXT_MUTED),
@@ -310,7 +324,7 @@ export class Minimap {
         // Calculate dimensions based on grid
         const gridWidth = grid[0].length * cellSize;
         const gridHeight = grid.length * cellSize;
-        const legendHeight = 70;
+        const legendHeight = 4 * 14 + 14; // 4 rows of legend entries plus padding
         const headerHeight = 26;
         const padding = 16;
 
@@ -337,7 +351,7 @@ export class Minimap {
 
         // Title with room count
         const title = this.k.add([
-            this.k.text(`FLOOR ${this.floorMap.floor}  ·  ${this.floorMap.getVisitedCount()}/${this.floorMap.getTotalRooms()}`, { size: 11 }),
+            this.k.text(`FLOOR ${this.floorMap.floor}  ·  ${this.floorMap.getVisitedCount()}/${this.floorMap.getTotalRooms()}`, { size: scaleTextSize(11) }),
             this.k.pos(x - safeWidth / 2, y + 2 + headerHeight / 2),
             this.k.anchor('center'),
             this.k.color(...COLORS.TEXT_TITLE),
@@ -409,16 +423,17 @@ export class Minimap {
      * Get display character and color for a cell
      */
     getCellDisplay(cell) {
+        const typeIcon = cell.room ? ROOM_TYPE_ICONS[cell.room.type] : null;
         switch (cell.type) {
             case 'current':
                 return { char: '★', color: COLORS.CURRENT };
             case 'visited':
-                return cell.room.isBossRoom
-                    ? { char: 'B', color: COLORS.BOSS }
+                return typeIcon
+                    ? { char: typeIcon.char, color: typeIcon.color }
                     : { char: '●', color: COLORS.VISITED };
             case 'revealed':
-                return cell.room.isBossRoom
-                    ? { char: 'B', color: [...COLORS.BOSS.map(c => Math.min(255, c + 50))] }
+                return typeIcon
+                    ? { char: typeIcon.char, color: [...typeIcon.color.map(c => Math.min(255, c + 50))] }
                     : { char: '◦', color: COLORS.AVAILABLE };
             case 'hidden':
                 return { char: '·', color: COLORS.HIDDEN };
@@ -435,10 +450,10 @@ export class Minimap {
             { char: '★', label: 'Current', color: COLORS.CURRENT },
             { char: '●', label: 'Cleared', color: COLORS.VISITED },
             { char: '◦', label: 'Available', color: COLORS.AVAILABLE },
-            { char: 'B', label: 'Boss', color: COLORS.BOSS }
+            ...Object.values(ROOM_TYPE_ICONS)
         ];
 
-        // Arrange in 2x2 grid for compact layout
+        // Arrange in a 2-column grid for compact layout
         const colWidth = 80;
         const rowHeight = 14;
 
@@ -449,7 +464,7 @@ export class Minimap {
             const itemY = startY + row * rowHeight;
 
             const symbol = this.k.add([
-                this.k.text(legend.char, { size: 10 }),
+                this.k.text(legend.char, { size: scaleTextSize(10) }),
                 this.k.pos(itemX, itemY),
                 this.k.anchor('topleft'),
                 this.k.color(...legend.color),
@@ -460,7 +475,7 @@ export class Minimap {
             this.elements.push(symbol);
 
             const label = this.k.add([
-                this.k.text(legend.label, { size: 8 }),
+                this.k.text(legend.label, { size: scaleTextSize(8) }),
                 this.k.pos(itemX + 14, itemY + 1),
                 this.k.anchor('topleft'),
                 this.k.color(...COLORS.TEXT_MUTED),
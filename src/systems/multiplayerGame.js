@@ -3,22 +3,68 @@
  * Handles game state synchronization for multiplayer
  */
 
-import { getParty, getPartySize, getLocalPlayer, clearPartyCallbacks } from './partySystem.js';
-import { broadcast, sendToHost, sendToPeer, onMessage, offMessage, getNetworkInfo } from './networkSystem.js';
+import { getParty, getPartySize, getLocalPlayer, clearPartyCallbacks, isSpectatorPeer } from './partySystem.js';
+import {
+    broadcast,
+    sendToHost,
+    sendToPeer,
+    sendBinaryToPeer,
+    onMessage,
+    offMessage,
+    getNetworkInfo,
+    getConnectedPeers,
+    BINARY_MESSAGE
+} from './networkSystem.js';
 import { createEnemy } from '../entities/enemy.js';
 import { createBoss } from '../entities/boss.js';
-import { createXPPickup, createCurrencyPickup, getRandomCurrencyIcon } from '../entities/pickup.js';
+import { createXPPickup, createCurrencyPickup, createHealthPickup, getRandomCurrencyIcon } from '../entities/pickup.js';
 import { SeededRandom, createSeed } from '../utils/seededRandom.js';
 import { initConnectionQuality } from './connectionQuality.js';
 import { applyUpgrade, recalculateAllUpgrades } from './upgrades.js';
+import { banishUpgrade } from './draftActions.js';
+import { evolveWeapon } from './weaponEvolution.js';
+import { useAbility } from './abilities.js';
 import { createProjectile } from '../entities/projectile.js';
+import { syncStatusEffect } from './statusEffects.js';
+import { onGameEvent } from './eventBus.js';
 import { getPermanentUpgradeLevel, addCurrency } from './metaProgression.js';
 import { ACHIEVEMENTS } from '../data/achievements.js';
 import { showMultiplayerAchievementToast, initToastSystem } from './toastNotifications.js';
+import { MULTIPLAYER_CONFIG } from '../config/constants.js';
+import { handleHostMigrate } from './hostMigration.js';
+import { scaleTextSize } from './accessibility.js';
+import {
+    createPredictionState,
+    recordInput,
+    reconcile,
+    applyCorrection,
+    resetPrediction,
+    recordPredictedShot,
+    matchPredictedShot,
+    syncClock,
+    getRenderTime,
+    pushSnapshot,
+    sampleSnapshots
+} from './netPrediction.js';
+import {
+    createSnapshot,
+    encodeSnapshot,
+    decodeSnapshot,
+    readSnapshotHeader,
+    isSnapshotMessage,
+    snapshotToState
+} from './snapshotCodec.js';
 
 // Debug flag - set to true to enable verbose multiplayer logging
 const MP_DEBUG = false;
 
+// Clients send input as soon as it changes, at most this often (seconds);
+// unchanged input is still resent every syncInterval
+const INPUT_SEND_INTERVAL = 1 / 30;
+
+// Snapshots kept to delta against (host) or as baselines (clients), ~2s at 15/s
+const SNAPSHOT_HISTORY = 32;
+
 // Multiplayer game state
 const mpGame = {
     isActive: false,
@@ -29,7 +75,16 @@ const mpGame = {
     lastResyncTime: 0,
     resyncInterval: 5.0, // Re-sync check every 5 seconds (desync detection)
     inputBuffer: [], // Store inputs to send to host
+    lastSentInput: null, // Last input sent to the host (clients only, to send on change)
+    prediction: createPredictionState(), // Client-side prediction and interpolation (see netPrediction.js)
+    // Delta snapshots (see snapshotCodec.js)
+    snapshotSeq: 0, // Last snapshot sequence sent (host only; keeps counting across rooms)
+    sentSnapshots: new Map(), // seq -> snapshot, baselines for deltas (host only)
+    snapshotAcks: new Map(), // peerId -> last snapshot seq that client applied (host only)
+    receivedSnapshots: new Map(), // seq -> snapshot, baselines to decode deltas (clients only)
+    lastSnapshotAck: 0, // Last snapshot seq applied, acked with each input (clients only)
     isHost: false,
+    isLocalOnly: false, // Couch co-op: every player is on this machine (see localCoop.js)
     // Entity tracking (host only)
     enemies: new Map(), // Map of entityId -> enemy entity
     projectiles: new Map(), // Map of entityId -> projectile entity
@@ -46,7 +101,10 @@ const mpGame = {
     pendingXP: 0, // XP accumulated while player was in upgrade draft screen
     onGameSeedCallback: null, // Callback for when game_seed is received (clients only)
     firstRoomTemplateKey: null, // First room template from host (clients only, consumed on first room load)
-    hostFirstRoomTemplateKey: null // Last first-room template we broadcast (host only, for answering seed_request)
+    hostFirstRoomTemplateKey: null, // Last first-room template we broadcast (host only, for answering seed_request)
+    roomEnemiesSpawned: 0, // Regular enemies the host has spawned this room (clients track it too, for host migration)
+    hostHandover: null, // Run handed to us as the new host, consumed by the next game scene (see hostMigration.js)
+    stopGameEvents: null // Unsubscribes the session from the game event bus
 };
 
 /**
@@ -55,18 +113,29 @@ const mpGame = {
  * @param {number} localSlot - Local player's slot index
  * @param {Object} kaplayInstance - Kaplay instance for creating entities
  * @param {number} gameSeed - Optional seed for deterministic generation (host generates, broadcasts to clients)
+ * @param {boolean} localOnly - Couch co-op session with no network peers (skips state broadcasts and pings)
  */
-export function initMultiplayerGame(isHost, localSlot = 0, kaplayInstance = null, gameSeed = null) {
+export function initMultiplayerGame(isHost, localSlot = 0, kaplayInstance = null, gameSeed = null, localOnly = false) {
     mpGame.isActive = true;
     mpGame.isHost = isHost;
+    mpGame.isLocalOnly = localOnly;
     mpGame.localPlayerSlot = localSlot;
     mpGame.players.clear();
     mpGame.inputBuffer = [];
+    mpGame.lastSentInput = null;
+    mpGame.prediction = createPredictionState();
+    mpGame.sentSnapshots.clear();
+    mpGame.snapshotAcks.clear();
+    mpGame.receivedSnapshots.clear();
+    mpGame.lastSnapshotAck = 0;
     mpGame.lastSyncTime = 0;
+    mpGame.roomEnemiesSpawned = 0;
     mpGame.k = kaplayInstance;
 
     // Initialize connection quality monitoring (registers ping/pong handlers)
-    initConnectionQuality();
+    if (!localOnly) {
+        initConnectionQuality();
+    }
 
     // Clear entity tracking
     mpGame.enemies.clear();
@@ -88,6 +157,9 @@ export function initMultiplayerGame(isHost, localSlot = 0, kaplayInstance = null
     mpGame.currentFloor = 1;
     mpGame.currentRoom = { x: 0, y: 0 };
 
+    // Forward game events the rest of the party needs to see
+    subscribeToGameEvents();
+
     // Set up message handlers
     if (isHost) {
         setupHostHandlers();
@@ -98,6 +170,100 @@ export function initMultiplayerGame(isHost, localSlot = 0, kaplayInstance = null
     }
 }
 
+/**
+ * Subscribe the session to game events that are synced over the network
+ * (replaces any previous session's subscriptions)
+ */
+function subscribeToGameEvents() {
+    if (mpGame.stopGameEvents) mpGame.stopGameEvents();
+
+    const unsubscribers = [
+        // Mirror every resolved hit to clients (damage numbers, flashes, status markers)
+        onGameEvent('damageResolved', broadcastResolvedDamage),
+        onGameEvent('enemyKilled', forwardEnemyDeath),
+        onGameEvent('playerLeveledUp', ({ player, level }) => {
+            if (player.slotIndex !== undefined) broadcastLevelUpQueued(player.slotIndex, level);
+        }),
+        onGameEvent('upgradeChosen', ({ player, upgradeKey, rarity }) => {
+            if (player.slotIndex !== undefined) broadcastUpgradeSelected(player.slotIndex, upgradeKey, rarity);
+        }),
+        onGameEvent('synergyActivated', ({ player, synergy }) => {
+            if (player.slotIndex !== undefined) broadcastSynergyActivated(player.slotIndex, [synergy.name]);
+        }),
+        // Banished pools and locked cards feed getUpgradeRNG draws, so every machine keeps them
+        onGameEvent('upgradeBanished', ({ player, upgradeKey }) => {
+            if (player.slotIndex !== undefined) broadcastDraftAction(player.slotIndex, 'banish', upgradeKey);
+        }),
+        onGameEvent('upgradeLocked', ({ player, upgradeKey, rarity }) => {
+            if (player.slotIndex !== undefined) broadcastDraftAction(player.slotIndex, 'lock', upgradeKey, rarity);
+        }),
+        onGameEvent('weaponEvolved', ({ player, weaponKey }) => {
+            if (player.slotIndex !== undefined) broadcastWeaponEvolved(player.slotIndex, weaponKey);
+        }),
+        onGameEvent('abilityUsed', ({ player, direction }) => {
+            if (player.slotIndex !== undefined) broadcastAbilityUsed(player.slotIndex, direction);
+        }),
+        onGameEvent('achievementUnlocked', ({ achievementId }) => {
+            broadcastAchievementUnlocked(achievementId, mpGame.localPlayerSlot);
+        })
+    ];
+    mpGame.stopGameEvents = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+/**
+ * Apply another player's banish or lock to their entity
+ * @param {number} slotIndex - Player slot index
+ * @param {string} action - 'banish' or 'lock'
+ * @param {string} upgradeKey - Upgrade banished or locked
+ * @param {string} rarity - Tier of the locked card
+ */
+function applyDraftAction(slotIndex, action, upgradeKey, rarity) {
+    const player = mpGame.players.get(slotIndex);
+    if (!player || !player.exists()) return;
+
+    if (action === 'banish') {
+        banishUpgrade(player, upgradeKey);
+    } else if (action === 'lock') {
+        player.lockedUpgrade = { key: upgradeKey, rarity: rarity || 'common' };
+    }
+}
+
+/**
+ * Apply another player's weapon evolution to their entity
+ * @param {number} slotIndex - Player slot index
+ * @param {string} weaponKey - Evolved weapon key
+ */
+function applyWeaponEvolution(slotIndex, weaponKey) {
+    const player = mpGame.players.get(slotIndex);
+    if (!player || !player.exists()) return;
+    evolveWeapon(player, weaponKey);
+}
+
+/**
+ * Run another player's active ability on their entity
+ * The owner already checked the cooldown; the host resolves damage and heals
+ * @param {number} slotIndex - Player slot index
+ * @param {Object} direction - Unit direction { x, y }
+ */
+function applyAbilityUsed(slotIndex, direction) {
+    const player = mpGame.players.get(slotIndex);
+    if (!player || !player.exists() || !mpGame.k) return;
+    useAbility(mpGame.k, player, direction, { isOwner: false, isAuthority: mpGame.isHost });
+}
+
+/**
+ * Register a host handler for gameplay messages only players may send
+ * (read-only observers' messages are dropped, see partySystem.js)
+ * @param {string} type - Message type
+ * @param {Function} handler - Handler (payload, fromPeerId)
+ */
+function onPlayerMessage(type, handler) {
+    onMessage(type, (payload, fromPeerId) => {
+        if (isSpectatorPeer(fromPeerId)) return;
+        handler(payload, fromPeerId);
+    });
+}
+
 /**
  * Set up message handlers for host
  */
@@ -120,11 +286,23 @@ function setupHostHandlers() {
         });
     });
 
+    // Observers ack snapshots without sending input, so they get deltas too
+    onMessage('snapshot_ack', (payload, fromPeerId) => {
+        if (Number.isInteger(payload?.snapshotAck)) {
+            mpGame.snapshotAcks.set(fromPeerId, payload.snapshotAck);
+        }
+    });
+
     // Handle player input from clients
-    onMessage('player_input', (payload, fromPeerId) => {
+    onPlayerMessage('player_input', (payload, fromPeerId) => {
         // Validate payload structure
         if (!payload || typeof payload !== 'object') return;
 
+        // Inputs carry the client's snapshot ack (0 asks for a full snapshot)
+        if (Number.isInteger(payload.snapshotAck)) {
+            mpGame.snapshotAcks.set(fromPeerId, payload.snapshotAck);
+        }
+
         // Store input to be processed in game loop
         // Find which player slot this peer belongs to
         const party = getParty();
@@ -156,6 +334,11 @@ function setupHostHandlers() {
                 const aimAngle = Number(payload.aimAngle) || 0;
                 player.aimAngle = Math.max(-360, Math.min(360, aimAngle));
             }
+            // Ack the input with where the player was when it took effect (client reconciliation)
+            if (Number.isInteger(payload.seq)) {
+                player.lastInputSeq = payload.seq;
+                player.inputAckPos = { x: player.pos.x, y: player.pos.y };
+            }
             if (MP_DEBUG) console.log('[Multiplayer] Applied input to player at slot', slotIndex);
         } else {
             console.warn('[Multiplayer] Could not find player for peer:', fromPeerId, 'slot:', slotIndex);
@@ -165,7 +348,7 @@ function setupHostHandlers() {
     });
 
     // Handle pause requests from clients
-    onMessage('pause_request', (payload, fromPeerId) => {
+    onPlayerMessage('pause_request', (payload, fromPeerId) => {
         if (MP_DEBUG) console.log('[Multiplayer] Pause request from peer:', fromPeerId, 'paused:', payload.paused);
 
         // Host applies the pause state and broadcasts to all clients
@@ -185,7 +368,7 @@ function setupHostHandlers() {
     });
 
     // Handle player death notifications from clients
-    onMessage('player_death', (payload, fromPeerId) => {
+    onPlayerMessage('player_death', (payload, fromPeerId) => {
         if (MP_DEBUG) console.log('[Multiplayer] Received player death from client:', fromPeerId, 'slot:', payload.slotIndex);
 
         // Mark player as dead on host
@@ -210,7 +393,7 @@ function setupHostHandlers() {
     });
 
     // Handle enemy death notifications from clients
-    onMessage('enemy_death', (payload, fromPeerId) => {
+    onPlayerMessage('enemy_death', (payload, fromPeerId) => {
         if (MP_DEBUG) console.log('[Multiplayer] Received enemy death from client:', fromPeerId, 'entity:', payload.entityId);
 
         // Broadcast the death to all clients (including back to the sender for confirmation)
@@ -230,7 +413,7 @@ function setupHostHandlers() {
     });
 
     // Handle level up queued from clients
-    onMessage('level_up_queued', (payload, fromPeerId) => {
+    onPlayerMessage('level_up_queued', (payload, fromPeerId) => {
         if (MP_DEBUG) console.log('[Multiplayer] Received level up queued from client:', fromPeerId, 'slot:', payload.slotIndex, 'level:', payload.level);
 
         // Broadcast to ALL clients so everyone knows about the level up
@@ -244,13 +427,13 @@ function setupHostHandlers() {
     });
 
     // Handle emote from clients - rebroadcast to all
-    onMessage('player_emote', (payload, fromPeerId) => {
+    onPlayerMessage('player_emote', (payload, fromPeerId) => {
         // Rebroadcast emote to all clients (including sender for consistency)
         broadcast('player_emote', payload);
     });
 
     // Handle upgrade selection from clients
-    onMessage('upgrade_selected', (payload, fromPeerId) => {
+    onPlayerMessage('upgrade_selected', (payload, fromPeerId) => {
         if (MP_DEBUG) console.log('[Multiplayer] Received upgrade selection from client:', fromPeerId, 'slot:', payload.slotIndex, 'upgrade:', payload.upgradeKey);
 
         // Apply upgrade to the player on host side
@@ -259,7 +442,7 @@ function setupHostHandlers() {
             // applyUpgrade() already increments player.upgradeStacks (clamped to the
             // upgrade's max) and recalculates. Do NOT increment again here, or the host
             // double-counts every stack and blows past the cap.
-            applyUpgrade(player, payload.upgradeKey);
+            applyUpgrade(player, payload.upgradeKey, payload.rarity);
             // Track in selectedUpgrades for synergy detection (applyUpgrade does not)
             if (!player.selectedUpgrades) player.selectedUpgrades = new Set();
             player.selectedUpgrades.add(payload.upgradeKey);
@@ -271,6 +454,7 @@ function setupHostHandlers() {
         broadcast('upgrade_selected', {
             slotIndex: payload.slotIndex,
             upgradeKey: payload.upgradeKey,
+            rarity: payload.rarity,
             timestamp: Date.now()
         });
 
@@ -278,7 +462,7 @@ function setupHostHandlers() {
     });
 
     // Handle synergy activation from clients
-    onMessage('synergy_activated', (payload, fromPeerId) => {
+    onPlayerMessage('synergy_activated', (payload, fromPeerId) => {
         if (MP_DEBUG) console.log('[Multiplayer] Received synergy activation from client:', fromPeerId, 'slot:', payload.slotIndex);
 
         // Broadcast to ALL clients so everyone can apply the synergies
@@ -291,8 +475,53 @@ function setupHostHandlers() {
         if (MP_DEBUG) console.log('[Multiplayer] Host broadcasted synergy activation for slot:', payload.slotIndex);
     });
 
+    // Handle banish/lock from clients
+    onPlayerMessage('draft_action', (payload, fromPeerId) => {
+        if (MP_DEBUG) console.log('[Multiplayer] Received draft action from client:', fromPeerId, 'slot:', payload.slotIndex, payload.action, payload.upgradeKey);
+
+        applyDraftAction(payload.slotIndex, payload.action, payload.upgradeKey, payload.rarity);
+
+        // Broadcast to ALL clients so every copy of the player draws from the same pool
+        broadcast('draft_action', {
+            slotIndex: payload.slotIndex,
+            action: payload.action,
+            upgradeKey: payload.upgradeKey,
+            rarity: payload.rarity
+        });
+    });
+
+    // Handle weapon evolution from clients
+    onPlayerMessage('weapon_evolved', (payload, fromPeerId) => {
+        if (MP_DEBUG) console.log('[Multiplayer] Received weapon evolution from client:', fromPeerId, 'slot:', payload.slotIndex, payload.weaponKey);
+
+        // The host fires for every player, so its copy needs the evolved weapon
+        applyWeaponEvolution(payload.slotIndex, payload.weaponKey);
+
+        // Broadcast to ALL clients so every copy of the player shows the evolved weapon
+        broadcast('weapon_evolved', {
+            slotIndex: payload.slotIndex,
+            weaponKey: payload.weaponKey
+        });
+    });
+
+    // Handle active ability use from clients
+    onPlayerMessage('ability_used', (payload, fromPeerId) => {
+        if (MP_DEBUG) console.log('[Multiplayer] Received ability use from client:', fromPeerId, 'slot:', payload.slotIndex);
+
+        // The host simulates every player, so damage and movement happen on its copy
+        const direction = { x: Number(payload.dirX) || 0, y: Number(payload.dirY) || 0 };
+        applyAbilityUsed(payload.slotIndex, direction);
+
+        // Broadcast to ALL clients so every copy of the player shows the ability
+        broadcast('ability_used', {
+            slotIndex: payload.slotIndex,
+            dirX: direction.x,
+            dirY: direction.y
+        });
+    });
+
     // Handle achievement unlock from clients (rebroadcast to all)
-    onMessage('achievement_unlocked', (payload, fromPeerId) => {
+    onPlayerMessage('achievement_unlocked', (payload, fromPeerId) => {
         if (MP_DEBUG) console.log('[Multiplayer] Received achievement unlock from client:', fromPeerId, 'achievement:', payload.achievementId);
 
         // Broadcast to ALL clients so everyone can show the toast
@@ -318,23 +547,23 @@ function setupClientHandlers() {
     }
     multiplayerClientHandlersRegistered = true;
 
-    // Receive game state updates from host
-    onMessage('game_state', (payload) => {
+    // Apply a game state from the host (JSON on join and resync, binary snapshots otherwise)
+    const applyGameState = (payload) => {
         if (!mpGame.k) return; // Need kaplay instance
 
+        // Snapshots are buffered by host time and drawn INTERPOLATION_DELAY behind it
+        const snapshotTime = Number(payload.timestamp) || Date.now();
+        syncClock(mpGame.prediction, snapshotTime, Date.now());
+
         // Update all remote player positions
         if (payload.players) {
             payload.players.forEach(playerState => {
                 if (playerState.slotIndex !== mpGame.localPlayerSlot) {
                     const player = mpGame.players.get(playerState.slotIndex);
                     if (player && player.exists()) {
-                        // Store target position for smooth interpolation
-                        if (!player.netTarget) {
-                            player.netTarget = { x: playerState.x, y: playerState.y };
-                        } else {
-                            player.netTarget.x = playerState.x;
-                            player.netTarget.y = playerState.y;
-                        }
+                        // Buffer the position for snapshot interpolation
+                        if (!player.netSnapshots) player.netSnapshots = [];
+                        pushSnapshot(player.netSnapshots, snapshotTime, playerState.x, playerState.y);
                         player.angle = playerState.angle || 0;
                         // Also rotate the outline
                         if (player.outline && player.outline.exists()) {
@@ -412,6 +641,10 @@ function setupClientHandlers() {
                     // Update local player's HP from host (damage is host-authoritative)
                     const localPlayer = mpGame.players.get(mpGame.localPlayerSlot);
                     if (localPlayer && localPlayer.exists()) {
+                        // Correct our predicted position against the host's for the last acked input
+                        if (MULTIPLAYER_CONFIG.CLIENT_PREDICTION && playerState.inputSeq !== undefined && !localPlayer.isDead) {
+                            reconcile(mpGame.prediction, playerState.inputSeq, playerState.ackX, playerState.ackY);
+                        }
                         // Sync HP (host is authoritative for damage)
                         if (playerState.hp !== undefined && localPlayer.setHP) {
                             localPlayer.setHP(playerState.hp);
@@ -474,14 +707,9 @@ function setupClientHandlers() {
 
                 const existingEnemy = mpGame.enemies.get(enemyState.id);
                 if (existingEnemy && existingEnemy.exists()) {
-                    // Update existing enemy with interpolation for smooth movement
-                    // Store target position for interpolation
-                    if (!existingEnemy.netTarget) {
-                        existingEnemy.netTarget = { x: enemyState.x, y: enemyState.y };
-                    } else {
-                        existingEnemy.netTarget.x = enemyState.x;
-                        existingEnemy.netTarget.y = enemyState.y;
-                    }
+                    // Buffer the position for snapshot interpolation
+                    if (!existingEnemy.netSnapshots) existingEnemy.netSnapshots = [];
+                    pushSnapshot(existingEnemy.netSnapshots, snapshotTime, enemyState.x, enemyState.y);
 
                     // Update health immediately (no interpolation for discrete values)
                     if (enemyState.maxHealth !== undefined) {
@@ -581,6 +809,26 @@ function setupClientHandlers() {
                 }
             });
         }
+    };
+    onMessage('game_state', applyGameState);
+
+    // Binary delta snapshots (see snapshotCodec.js), acked with our next input
+    onMessage(BINARY_MESSAGE, (bytes) => {
+        if (!isSnapshotMessage(bytes)) return;
+
+        const { seq, baselineSeq } = readSnapshotHeader(bytes);
+        const baseline = baselineSeq ? mpGame.receivedSnapshots.get(baselineSeq) : null;
+        if (baselineSeq && !baseline) {
+            // Baseline is gone (we rejoined or fell far behind): ack nothing to get a full snapshot
+            mpGame.lastSnapshotAck = 0;
+            return;
+        }
+
+        const { timestamp, snapshot } = decodeSnapshot(bytes, baseline);
+        mpGame.receivedSnapshots.set(seq, snapshot);
+        mpGame.receivedSnapshots.delete(seq - SNAPSHOT_HISTORY);
+        mpGame.lastSnapshotAck = seq;
+        applyGameState(snapshotToState(snapshot, timestamp));
     });
 
     // Handle entity spawn events
@@ -613,6 +861,9 @@ function setupClientHandlers() {
             if (payload.isBossMinion) {
                 enemy.isBossMinion = true;
             }
+            if (payload.spawnIndex) {
+                mpGame.roomEnemiesSpawned = Math.max(mpGame.roomEnemiesSpawned, payload.spawnIndex);
+            }
             mpGame.enemies.set(payload.id, enemy);
             // Removed console.log for performance
         } else if (payload.entityType === 'xpPickup') {
@@ -638,6 +889,17 @@ function setupClientHandlers() {
             pickup.pickupType = 'currency';
             mpGame.pickups.set(payload.id, pickup);
             // Removed console.log for performance
+        } else if (payload.entityType === 'healthPickup') {
+            const pickup = createHealthPickup(
+                mpGame.k,
+                payload.x,
+                payload.y,
+                payload.healthType
+            );
+            if (pickup) {
+                pickup.mpEntityId = payload.id;
+                mpGame.pickups.set(payload.id, pickup);
+            }
         }
     });
 
@@ -645,6 +907,12 @@ function setupClientHandlers() {
     onMessage('spawn_projectile', (payload) => {
         if (!mpGame.k) return; // Need kaplay instance
 
+        // Our own shots were already fired locally (predicted), don't draw them twice
+        if (MULTIPLAYER_CONFIG.CLIENT_PREDICTION && payload.ownerSlot === mpGame.localPlayerSlot &&
+            matchPredictedShot(mpGame.prediction, Date.now(), payload.x, payload.y, payload.directionX, payload.directionY)) {
+            return;
+        }
+
         // Reconstruct direction vector
         const direction = mpGame.k.vec2(payload.directionX, payload.directionY);
 
@@ -679,6 +947,20 @@ function setupClientHandlers() {
     onMessage('damage_dealt', (payload) => {
         if (!mpGame.k) return; // Need kaplay instance
 
+        // Mirror status effects so markers and tints match the host (ticks stay host-side)
+        const statusEffects = payload.statusEffects || [];
+        if (statusEffects.length > 0) {
+            const statusTarget = payload.targetType === 'player'
+                ? mpGame.players.get(payload.targetId)
+                : mpGame.enemies.get(payload.targetId);
+            if (statusTarget && statusTarget.exists()) {
+                statusEffects.forEach(effect => syncStatusEffect(mpGame.k, statusTarget, effect.type, effect));
+            }
+        }
+
+        // Status-only events carry no damage to show
+        if (payload.damage === 0 && statusEffects.length > 0) return;
+
         // Show damage number at the hit location
         const damageText = mpGame.k.add([
             mpGame.k.text(payload.damage.toString(), {
@@ -737,7 +1019,7 @@ function setupClientHandlers() {
             mpGame.k.destroy(entity);
 
             // Remove from appropriate tracking map
-            if (payload.entityType === 'pickup' || payload.entityType === 'xpPickup' || payload.entityType === 'currencyPickup') {
+            if (payload.entityType === 'pickup' || payload.entityType === 'xpPickup' || payload.entityType === 'currencyPickup' || payload.entityType === 'healthPickup') {
                 mpGame.pickups.delete(payload.entityId);
             }
         }
@@ -785,7 +1067,7 @@ function setupClientHandlers() {
                 // Show revival effect with HP percentage
                 const reviveHealthPercent = Math.round(revivePercent * 100);
                 const reviveEffect = mpGame.k.add([
-                    mpGame.k.text(`★ REVIVED (${reviveHealthPercent}% HP) ★`, { size: 16 }),
+                    mpGame.k.text(`★ REVIVED (${reviveHealthPercent}% HP) ★`, { size: scaleTextSize(16) }),
                     mpGame.k.pos(player.pos.x, player.pos.y - 40),
                     mpGame.k.anchor('center'),
                     mpGame.k.color(100, 255, 100),
@@ -937,6 +1219,12 @@ function setupClientHandlers() {
         }
     });
 
+    // Host is quitting and hands the run to the next slot
+    onMessage('host_migrate', (payload) => {
+        if (MP_DEBUG) console.log('[Multiplayer] Host migrating to slot', payload.newHostSlot);
+        handleHostMigrate(payload.newHostSlot, payload.handover);
+    });
+
     // Receive achievement unlock notification from other players
     onMessage('achievement_unlocked', (payload) => {
         // Only show toast if it's not from the local player
@@ -951,6 +1239,24 @@ function setupClientHandlers() {
             }
         }
     });
+
+    // Another player's banish or lock (the local player's own is already applied)
+    onMessage('draft_action', (payload) => {
+        if (payload.slotIndex === mpGame.localPlayerSlot) return;
+        applyDraftAction(payload.slotIndex, payload.action, payload.upgradeKey, payload.rarity);
+    });
+
+    // Another player's weapon evolution (the local player's own is already applied)
+    onMessage('weapon_evolved', (payload) => {
+        if (payload.slotIndex === mpGame.localPlayerSlot) return;
+        applyWeaponEvolution(payload.slotIndex, payload.weaponKey);
+    });
+
+    // Another player's active ability (the local player's own is already applied)
+    onMessage('ability_used', (payload) => {
+        if (payload.slotIndex === mpGame.localPlayerSlot) return;
+        applyAbilityUsed(payload.slotIndex, { x: Number(payload.dirX) || 0, y: Number(payload.dirY) || 0 });
+    });
 }
 
 /**
@@ -961,6 +1267,11 @@ function setupClientHandlers() {
 export function registerPlayer(slotIndex, playerEntity) {
     mpGame.players.set(slotIndex, playerEntity);
     playerEntity.mpSlotIndex = slotIndex; // Store slot index on entity
+
+    // A new local player entity (new room) starts without pending predictions
+    if (!mpGame.isHost && slotIndex === mpGame.localPlayerSlot) {
+        resetPrediction(mpGame.prediction);
+    }
 }
 
 /**
@@ -1017,9 +1328,9 @@ export function updateMultiplayer(dt) {
     mpGame.lastResyncTime += dt;
 
     if (mpGame.isHost) {
-        // Host: broadcast game state periodically
+        // Host: broadcast game state periodically (nobody to send it to in couch co-op)
         if (mpGame.lastSyncTime >= mpGame.syncInterval) {
-            broadcastGameState();
+            if (!mpGame.isLocalOnly) broadcastGameState();
             mpGame.lastSyncTime = 0;
         }
 
@@ -1044,10 +1355,13 @@ export function updateMultiplayer(dt) {
             mpGame.lastResyncTime = 0;
         }
     } else {
-        // Client: send input state periodically
-        if (mpGame.lastSyncTime >= mpGame.syncInterval) {
-            sendInputState();
-            mpGame.lastSyncTime = 0;
+        // Client: send input when it changes, and periodically
+        sendInputState();
+
+        // Client: blend host corrections into the predicted local player
+        const localPlayer = mpGame.players.get(mpGame.localPlayerSlot);
+        if (MULTIPLAYER_CONFIG.CLIENT_PREDICTION && localPlayer && localPlayer.exists()) {
+            applyCorrection(mpGame.prediction, localPlayer.pos, dt);
         }
 
         // Client: periodic desync check and auto-resync request
@@ -1076,24 +1390,22 @@ export function updateMultiplayer(dt) {
             mpGame.lastResyncTime = 0;
         }
 
-        // Client: interpolate entity positions for smooth movement
-        const lerpFactor = Math.min(dt * 10, 1); // Lerp 10x per second, cap at 1
-
-        // Interpolate remote players
-        mpGame.players.forEach(player => {
-            if (player.exists() && player.isRemote && player.netTarget) {
-                player.pos.x += (player.netTarget.x - player.pos.x) * lerpFactor;
-                player.pos.y += (player.netTarget.y - player.pos.y) * lerpFactor;
-            }
-        });
-
-        // Interpolate enemies
-        mpGame.enemies.forEach(enemy => {
-            if (enemy.exists() && enemy.netTarget) {
-                enemy.pos.x += (enemy.netTarget.x - enemy.pos.x) * lerpFactor;
-                enemy.pos.y += (enemy.netTarget.y - enemy.pos.y) * lerpFactor;
-            }
-        });
+        // Client: draw remote players and enemies between buffered snapshots
+        const renderTime = getRenderTime(mpGame.prediction, Date.now());
+        if (renderTime !== null) {
+            const interpolate = entity => {
+                if (!entity.exists() || !entity.netSnapshots) return;
+                const position = sampleSnapshots(entity.netSnapshots, renderTime);
+                if (position) {
+                    entity.pos.x = position.x;
+                    entity.pos.y = position.y;
+                }
+            };
+            mpGame.players.forEach(player => {
+                if (player.isRemote) interpolate(player);
+            });
+            mpGame.enemies.forEach(interpolate);
+        }
     }
 }
 
@@ -1160,6 +1472,12 @@ function collectGameState() {
                 // Visual state for color sync
                 invulnerable: Boolean(player.invulnerable || false),
                 invulnerableTime: Number(player.invulnerableTime || 0),
+                // Last input applied from this player's client, for its reconciliation
+                ...(player.lastInputSeq !== undefined ? {
+                    inputSeq: Number(player.lastInputSeq),
+                    ackX: Number(player.inputAckPos.x),
+                    ackY: Number(player.inputAckPos.y)
+                } : {}),
                 // Per-player run stats for game over screen
                 runStats: player.runStats ? {
                     kills: Number(player.runStats.kills || 0),
@@ -1187,7 +1505,10 @@ function collectGameState() {
                 y: Number(enemy.pos.y),
                 hp: Number(currentHP),
                 maxHealth: Number(enemy.maxHealth || 0),
-                type: String(enemy.enemyType || 'basic'),
+                // Clients' copies (from spawn_entity) only know their type as type
+                type: String(enemy.enemyType || enemy.type || 'basic'),
+                isBoss: enemy.is('boss'),
+                isBossMinion: Boolean(enemy.isBossMinion),
                 // Shield and armor state for visual sync
                 shieldHealth: Number(enemy.shieldHealth || 0),
                 armorHealth: Number(enemy.armorHealth || 0)
@@ -1233,6 +1554,7 @@ function collectGameState() {
     });
 
     return {
+        timestamp: Date.now(), // Host time, for client snapshot interpolation
         players: playerStates,
         enemies: enemyStates,
         projectiles: projectileStates,
@@ -1242,10 +1564,28 @@ function collectGameState() {
 
 /**
  * Broadcast current game state to all clients (host only)
+ * Sent as binary snapshots, each client's delta-encoded against the last one it acked
  */
 function broadcastGameState() {
     if (!mpGame.isHost) return;
-    broadcast('game_state', collectGameState());
+
+    const state = collectGameState();
+    const snapshot = createSnapshot(state);
+    const seq = ++mpGame.snapshotSeq;
+    mpGame.sentSnapshots.set(seq, snapshot);
+    mpGame.sentSnapshots.delete(seq - SNAPSHOT_HISTORY);
+
+    // Clients acking the same baseline share one encoding
+    const encoded = new Map();
+    getConnectedPeers().forEach(peerId => {
+        const ack = mpGame.snapshotAcks.get(peerId);
+        const baselineSeq = mpGame.sentSnapshots.has(ack) ? ack : 0;
+        if (!encoded.has(baselineSeq)) {
+            const baseline = baselineSeq ? mpGame.sentSnapshots.get(baselineSeq) : null;
+            encoded.set(baselineSeq, encodeSnapshot(seq, state.timestamp, snapshot, baseline, baselineSeq));
+        }
+        sendBinaryToPeer(peerId, encoded.get(baselineSeq));
+    });
 }
 
 /**
@@ -1291,10 +1631,20 @@ export function sendAllExistingEntities(peerId) {
         }
     });
 
-    // Send all pickups (mirror registerPickup; the handler only recreates xp/currency pickups)
+    // Send all pickups (mirror registerPickup; the handler only recreates xp/currency/health pickups)
     mpGame.pickups.forEach((pickup, entityId) => {
         if (pickup && pickup.exists()) {
             const pickupType = pickup.pickupType || (pickup.is('xpPickup') ? 'xp' : pickup.is('currencyPickup') ? 'currency' : 'powerup');
+            if (pickupType === 'health') {
+                sendToPeer(peerId, 'spawn_entity', {
+                    id: entityId,
+                    entityType: 'healthPickup',
+                    x: pickup.pos.x,
+                    y: pickup.pos.y,
+                    healthType: pickup.healthType
+                });
+                return;
+            }
             if (pickupType !== 'xp' && pickupType !== 'currency') return;
 
             const entityData = {
@@ -1316,27 +1666,59 @@ export function sendAllExistingEntities(peerId) {
 
 /**
  * Send local player input to host (client only)
+ * Sent as soon as movement or shooting changes (throttled to INPUT_SEND_INTERVAL)
+ * so the host moves the player the way the client predicted, and every
+ * syncInterval otherwise. Each input is numbered for reconciliation.
  */
 function sendInputState() {
     if (mpGame.isHost) return;
 
+    // Observers (no slot) only ack snapshots
+    if (mpGame.localPlayerSlot < 0) {
+        if (mpGame.lastSyncTime < mpGame.syncInterval) return;
+        mpGame.lastSyncTime = 0;
+        sendToHost('snapshot_ack', { snapshotAck: mpGame.lastSnapshotAck });
+        return;
+    }
+
     const localPlayer = mpGame.players.get(mpGame.localPlayerSlot);
     if (!localPlayer || !localPlayer.exists()) return;
 
     // Extract move as plain object (Vec2 has functions that can't be serialized)
-    // Read from moveDir (local keyboard input) not move (remote network input)
-    const move = localPlayer.moveDir
-        ? { x: Number(localPlayer.moveDir.x || 0), y: Number(localPlayer.moveDir.y || 0) }
+    // Read the resolved input (keyboard, gamepad or touch), not move (remote network input)
+    const moveInput = localPlayer.moveInput || localPlayer.moveDir;
+    const move = moveInput
+        ? { x: Number(moveInput.x || 0), y: Number(moveInput.y || 0) }
         : { x: 0, y: 0 };
+    const shoot = Boolean(localPlayer.isShooting || false);
+
+    const last = mpGame.lastSentInput;
+    const changed = !last || last.move.x !== move.x || last.move.y !== move.y || last.shoot !== shoot;
+    if (mpGame.lastSyncTime < (changed ? INPUT_SEND_INTERVAL : mpGame.syncInterval)) return;
+    mpGame.lastSyncTime = 0;
+    mpGame.lastSentInput = { move, shoot };
 
     sendToHost('player_input', {
         slotIndex: Number(mpGame.localPlayerSlot),
+        seq: recordInput(mpGame.prediction, localPlayer.pos.x, localPlayer.pos.y),
+        snapshotAck: mpGame.lastSnapshotAck,
         move: move,
-        shoot: Boolean(localPlayer.isShooting || false),
+        shoot: shoot,
         aimAngle: Number(localPlayer.aimAngle || 0)
     });
 }
 
+/**
+ * Remember a shot the local player fired ahead of the host (client only), so
+ * the host's copy of it isn't drawn as well
+ * @param {Object} projectile - Predicted (cosmetic) projectile
+ */
+export function recordPredictedProjectile(projectile) {
+    if (!mpGame.isActive || mpGame.isHost) return;
+    recordPredictedShot(mpGame.prediction, Date.now(), projectile.pos.x, projectile.pos.y,
+        projectile.direction.x, projectile.direction.y);
+}
+
 /**
  * Get local player entity
  * @returns {Object|null} Local player entity
@@ -1353,6 +1735,14 @@ export function isMultiplayerActive() {
     return mpGame.isActive;
 }
 
+/**
+ * Check if this is a couch co-op session (all players local, no network peers)
+ * @returns {boolean}
+ */
+export function isLocalCoopSession() {
+    return mpGame.isActive && mpGame.isLocalOnly;
+}
+
 /**
  * Get multiplayer player count
  * @returns {number}
@@ -1366,6 +1756,7 @@ export function getPlayerCount() {
  */
 export function cleanupMultiplayer() {
     mpGame.isActive = false;
+    mpGame.isLocalOnly = false;
     mpGame.players.clear();
     mpGame.inputBuffer = [];
 
@@ -1373,12 +1764,16 @@ export function cleanupMultiplayer() {
     mpGame.enemies.clear();
     mpGame.projectiles.clear();
     mpGame.pickups.clear();
+    mpGame.sentSnapshots.clear();
+    mpGame.snapshotAcks.clear();
+    mpGame.receivedSnapshots.clear();
 
     // Reset entity ID counter
     mpGame.nextEntityId = 1;
 
     // Actually remove message handlers to prevent memory leaks
     // Host handlers
+    offMessage('snapshot_ack');
     offMessage('player_input');
     offMessage('pause_request');
     offMessage('player_death');
@@ -1388,10 +1783,14 @@ export function cleanupMultiplayer() {
     offMessage('player_emote');
     offMessage('upgrade_selected');
     offMessage('synergy_activated');
+    offMessage('draft_action');
+    offMessage('weapon_evolved');
+    offMessage('ability_used');
     offMessage('achievement_unlocked');
 
     // Client handlers
     offMessage('game_state');
+    offMessage(BINARY_MESSAGE);
     offMessage('spawn_entity');
     offMessage('spawn_projectile');
     offMessage('damage_dealt');
@@ -1405,10 +1804,17 @@ export function cleanupMultiplayer() {
     offMessage('enemy_split');
     offMessage('player_disconnected');
     offMessage('host_quit');
+    offMessage('host_migrate');
 
     // Clear party callbacks to prevent memory leaks
     clearPartyCallbacks();
 
+    // Stop forwarding game events
+    if (mpGame.stopGameEvents) {
+        mpGame.stopGameEvents();
+        mpGame.stopGameEvents = null;
+    }
+
     // Reset handler registration flags (allows re-registration on reconnect)
     multiplayerClientHandlersRegistered = false;
     multiplayerHostHandlersRegistered = false;
@@ -1445,8 +1851,12 @@ export function registerEnemy(enemy, creationParams = {}) {
         type: creationParams.type || 'basic',
         floor: creationParams.floor || 1,
         isBoss: creationParams.isBoss || false,
-        isBossMinion: creationParams.isBossMinion || false
+        isBossMinion: creationParams.isBossMinion || false,
+        spawnIndex: creationParams.spawnIndex || 0
     });
+    if (creationParams.spawnIndex) {
+        mpGame.roomEnemiesSpawned = creationParams.spawnIndex;
+    }
 
     return entityId;
 }
@@ -1460,6 +1870,9 @@ export function registerEnemy(enemy, creationParams = {}) {
 export function registerProjectile(projectile, creationParams = {}) {
     if (!mpGame.isHost) return null;
 
+    // Weapons register their projectiles themselves; createProjectile's fallback comes after
+    if (projectile.mpEntityId !== undefined) return projectile.mpEntityId;
+
     const entityId = mpGame.nextEntityId++;
     projectile.mpEntityId = entityId;
     mpGame.projectiles.set(entityId, projectile);
@@ -1490,7 +1903,9 @@ export function registerProjectile(projectile, creationParams = {}) {
         angle: Number(projectile.angle || 0),
         // Visual properties from projectile entity
         char: projectile.text || creationParams.char || '*',
-        color: colorArray
+        color: colorArray,
+        // Firing player (their client predicted the shot and skips this copy)
+        ownerSlot: projectile.ownerSlotIndex ?? null
     });
 
     return entityId;
@@ -1513,7 +1928,7 @@ export function unregisterProjectile(projectile) {
 /**
  * Register a pickup for multiplayer sync (host only)
  * @param {Object} pickup - Pickup entity
- * @param {Object} creationParams - Parameters used to create this pickup { type, value, icon }
+ * @param {Object} creationParams - Parameters used to create this pickup { type, value, icon, healthType }
  * @returns {number} Entity ID assigned to this pickup
  */
 export function registerPickup(pickup, creationParams = {}) {
@@ -1537,6 +1952,11 @@ export function registerPickup(pickup, creationParams = {}) {
         spawnData.icon = creationParams.icon;
     }
 
+    // Add heart/shard kind for health pickups
+    if (creationParams.type === 'healthPickup') {
+        spawnData.healthType = creationParams.healthType;
+    }
+
     broadcast('spawn_entity', spawnData);
 
     return entityId;
@@ -1574,6 +1994,7 @@ export function isHost() {
  * @param {number} params.attackerId - Attacker player slot index (optional)
  * @param {number} params.x - X position for visual effects
  * @param {number} params.y - Y position for visual effects
+ * @param {Array<Object>} params.statusEffects - Status effects applied by the hit (optional, { type, damage, remaining, stacks })
  */
 export function broadcastDamageEvent(params) {
     if (!mpGame.isHost || !mpGame.isActive) return;
@@ -1585,10 +2006,54 @@ export function broadcastDamageEvent(params) {
         isCrit: Boolean(params.isCrit || false),
         attackerId: params.attackerId !== undefined ? Number(params.attackerId) : null,
         x: Number(params.x),
-        y: Number(params.y)
+        y: Number(params.y),
+        statusEffects: (params.statusEffects || []).map(effect => ({
+            type: String(effect.type),
+            damage: Number(effect.damage),
+            remaining: Number(effect.remaining),
+            stacks: Number(effect.stacks)
+        }))
+    });
+}
+
+/**
+ * Forward a damage pipeline result to clients as a damage event (host only)
+ * Damage-over-time ticks and barrels sync through their own state, and targets
+ * without a network ID (minibosses) have nothing to address on clients.
+ * @param {Object} result - Result from resolveDamage
+ */
+function broadcastResolvedDamage(result) {
+    if (result.tags.includes('dot') || result.target.mpEntityId === undefined) return;
+
+    broadcastDamageEvent({
+        targetId: result.target.mpEntityId,
+        targetType: result.targetType,
+        damage: result.damage,
+        isCrit: result.isCrit,
+        attackerId: result.ownerSlotIndex,
+        x: result.target.pos.x,
+        y: result.target.pos.y,
+        statusEffects: result.statusEffects
     });
 }
 
+/**
+ * Sync a regular enemy's death: the host broadcasts it to clients, a client
+ * reports it to the host (which then broadcasts it). Minibosses and bosses
+ * are synced by the host's game state.
+ * @param {Object} event - enemyKilled payload
+ */
+function forwardEnemyDeath({ entity, kind, x, y }) {
+    if (!mpGame.isActive || kind !== 'enemy' || !entity.mpEntityId) return;
+
+    const deathData = { entityId: entity.mpEntityId, entityType: 'enemy', x, y };
+    if (mpGame.isHost) {
+        broadcastDeathEvent(deathData);
+    } else {
+        sendEnemyDeath(deathData);
+    }
+}
+
 /**
  * Broadcast a heal event to all clients (host only)
  * @param {Object} params - Heal event parameters
@@ -1702,6 +2167,86 @@ export function broadcastHostQuit() {
     });
 }
 
+/**
+ * Hand the run to the next host before quitting (host only)
+ * @param {number} newHostSlot - Slot elected to take over
+ */
+export function broadcastHostMigration(newHostSlot) {
+    if (!mpGame.isHost || !mpGame.isActive) return;
+
+    broadcast('host_migrate', {
+        newHostSlot: newHostSlot,
+        handover: collectHostHandover()
+    });
+}
+
+/**
+ * Collect everything a new host needs to carry on the run: the seed, the room
+ * (floor/room position, progress and every player's stats and upgrade stacks,
+ * from the game scene) and the latest game state snapshot
+ * Works on clients too, from their own copy of the run
+ * @returns {Object} Handover for setHostHandover
+ */
+export function collectHostHandover() {
+    const getRoomHandover = mpGame.k?.gameData?.getRoomHandover;
+    return {
+        seed: mpGame.gameSeed,
+        room: getRoomHandover ? getRoomHandover() : null,
+        state: collectGameState()
+    };
+}
+
+/**
+ * Keep a handover for the game scene to resume from as the new host
+ * @param {Object} handover - From collectHostHandover
+ */
+export function setHostHandover(handover) {
+    mpGame.hostHandover = handover;
+}
+
+/**
+ * Take the pending host handover, if any (once per migration)
+ * @returns {Object|null}
+ */
+export function takeHostHandover() {
+    const handover = mpGame.hostHandover;
+    mpGame.hostHandover = null;
+    return handover;
+}
+
+/**
+ * Get how many regular enemies the host has spawned this room
+ * @returns {number}
+ */
+export function getRoomEnemiesSpawned() {
+    return mpGame.roomEnemiesSpawned;
+}
+
+/**
+ * Drop the old host's copy of the room before rejoining a new host (client only)
+ * The new host resends every entity and a full snapshot once we're back in
+ * @param {number} oldHostSlot - Slot of the host that left
+ */
+export function resetForNewHost(oldHostSlot) {
+    if (!mpGame.isActive || mpGame.isHost) return;
+
+    handlePlayerDisconnect(oldHostSlot);
+    [mpGame.enemies, mpGame.pickups, mpGame.projectiles].forEach(entities => {
+        entities.forEach(entity => {
+            if (!entity.exists()) return;
+            if (entity.cleanupHealthBars) entity.cleanupHealthBars();
+            mpGame.k.destroy(entity);
+        });
+        entities.clear();
+    });
+
+    // Snapshot sequences and host clock start over with the new host
+    mpGame.receivedSnapshots.clear();
+    mpGame.lastSnapshotAck = 0;
+    mpGame.prediction = createPredictionState();
+    mpGame.lastSentInput = null;
+}
+
 /**
  * Broadcast powerup weapon application to all clients (host only)
  * Called when a powerup weapon is picked up
@@ -1721,24 +2266,75 @@ export function broadcastPowerupWeaponApplied(powerupKey) {
  * Called when a player selects an upgrade
  * @param {number} slotIndex - Player slot index
  * @param {string} upgradeKey - Selected upgrade key
+ * @param {string} rarity - Tier of the picked card
  */
-export function broadcastUpgradeSelected(slotIndex, upgradeKey) {
+export function broadcastUpgradeSelected(slotIndex, upgradeKey, rarity = 'common') {
     if (!mpGame.isActive) return;
 
     if (mpGame.isHost) {
         broadcast('upgrade_selected', {
             slotIndex: slotIndex,
             upgradeKey: upgradeKey,
+            rarity: rarity,
             timestamp: Date.now()
         });
     } else {
         sendToHost('upgrade_selected', {
             slotIndex: slotIndex,
-            upgradeKey: upgradeKey
+            upgradeKey: upgradeKey,
+            rarity: rarity
         });
     }
 }
 
+/**
+ * Broadcast a draft banish or lock (both host and client)
+ * @param {number} slotIndex - Player slot index
+ * @param {string} action - 'banish' or 'lock'
+ * @param {string} upgradeKey - Upgrade banished or locked
+ * @param {string} rarity - Tier of the locked card (locks only)
+ */
+export function broadcastDraftAction(slotIndex, action, upgradeKey, rarity = null) {
+    if (!mpGame.isActive) return;
+
+    if (mpGame.isHost) {
+        broadcast('draft_action', { slotIndex, action, upgradeKey, rarity });
+    } else {
+        sendToHost('draft_action', { slotIndex, action, upgradeKey, rarity });
+    }
+}
+
+/**
+ * Broadcast a weapon evolution (both host and client)
+ * @param {number} slotIndex - Player slot index
+ * @param {string} weaponKey - Evolved weapon key
+ */
+export function broadcastWeaponEvolved(slotIndex, weaponKey) {
+    if (!mpGame.isActive) return;
+
+    if (mpGame.isHost) {
+        broadcast('weapon_evolved', { slotIndex, weaponKey });
+    } else {
+        sendToHost('weapon_evolved', { slotIndex, weaponKey });
+    }
+}
+
+/**
+ * Broadcast an active ability use (both host and client)
+ * @param {number} slotIndex - Player slot index
+ * @param {Object} direction - Unit direction { x, y }
+ */
+export function broadcastAbilityUsed(slotIndex, direction) {
+    if (!mpGame.isActive) return;
+
+    const payload = { slotIndex, dirX: direction.x, dirY: direction.y };
+    if (mpGame.isHost) {
+        broadcast('ability_used', payload);
+    } else {
+        sendToHost('ability_used', payload);
+    }
+}
+
 /**
  * Broadcast level up queued event (both host and client)
  * Called when a player levels up during combat
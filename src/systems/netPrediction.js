@@ -0,0 +1,251 @@
+/**
+ * Network Prediction System
+ * Client-side smoothing for online co-op (see multiplayerGame.js)
+ *
+ * - Prediction: the local player moves and fires immediately. Each input sent to
+ *   the host gets a sequence number and the predicted position it was sent from;
+ *   the host acks the last input it applied along with where the player was when
+ *   it applied it, and the client blends out any difference (reconciliation).
+ * - Predicted shots are cosmetic; the host's copies of them are matched and skipped.
+ * - Interpolation: remote players and enemies keep a buffer of timestamped host
+ *   snapshots and render MULTIPLAYER_CONFIG.INTERPOLATION_DELAY ms in the past,
+ *   always between two known positions.
+ *
+ * Times are milliseconds. Snapshot times are the host's clock; the client maps
+ * them onto its own with a running offset estimate.
+ */
+
+import { MULTIPLAYER_CONFIG } from '../config/constants.js';
+
+// Inputs kept while waiting for the host to ack them (~4s at 30 inputs/s)
+const MAX_INPUT_HISTORY = 120;
+
+// Errors up to this many pixels are left alone (send/arrival jitter)
+const RECONCILE_TOLERANCE = 4;
+
+// Errors this large (room changes, knockback, respawns) snap instead of blending
+const SNAP_DISTANCE = 96;
+
+// Fraction of the outstanding correction applied per second
+const CORRECTION_RATE = 10;
+
+// How long, how far apart and how closely aimed a host projectile can be to
+// match a predicted shot
+const SHOT_MATCH_WINDOW = 1000;
+const SHOT_MATCH_DISTANCE = 96;
+const SHOT_MATCH_DOT = 0.9;
+
+// Snapshots kept per entity (~1s at 15 snapshots/s)
+const MAX_SNAPSHOTS = 16;
+
+// How quickly the clock offset estimate follows a slower network
+const CLOCK_DRIFT_RATE = 0.02;
+
+/**
+ * Create the client's prediction state (one per session)
+ * @returns {Object} Prediction state
+ */
+export function createPredictionState() {
+    return {
+        nextSeq: 1,
+        history: [], // { seq, x, y } - predicted position each input was sent from
+        correction: { x: 0, y: 0 }, // Reconciliation offset still to be blended in
+        predictedShots: [], // { time, x, y, dirX, dirY } - awaiting the host's copy
+        clockOffset: null // Local time minus host time, at the fastest observed delivery
+    };
+}
+
+// ==========================================
+// Local player prediction and reconciliation
+// ==========================================
+
+/**
+ * Number an input about to be sent and remember where it was sent from
+ * @param {Object} state - Prediction state
+ * @param {number} x - Local player x
+ * @param {number} y - Local player y
+ * @returns {number} Input sequence number
+ */
+export function recordInput(state, x, y) {
+    const seq = state.nextSeq++;
+    // Record where the player will be once pending corrections land
+    state.history.push({ seq, x: x + state.correction.x, y: y + state.correction.y });
+    if (state.history.length > MAX_INPUT_HISTORY) {
+        state.history.shift();
+    }
+    return seq;
+}
+
+/**
+ * Compare the host's position for an acked input with the prediction
+ * Later inputs were predicted from the wrong spot too, so they move by the same error
+ * @param {Object} state - Prediction state
+ * @param {number} ackSeq - Last input sequence the host applied
+ * @param {number} ackX - Host's player x when it applied that input
+ * @param {number} ackY - Host's player y when it applied that input
+ * @returns {Object|null} { x, y } error being corrected, or null if none
+ */
+export function reconcile(state, ackSeq, ackX, ackY) {
+    const index = state.history.findIndex(entry => entry.seq === ackSeq);
+    if (index === -1) return null; // Already reconciled, or from before a reset
+
+    const entry = state.history[index];
+    state.history.splice(0, index + 1);
+
+    const error = { x: ackX - entry.x, y: ackY - entry.y };
+    if (Math.hypot(error.x, error.y) <= RECONCILE_TOLERANCE) return null;
+
+    state.history.forEach(later => {
+        later.x += error.x;
+        later.y += error.y;
+    });
+    state.correction.x += error.x;
+    state.correction.y += error.y;
+    return error;
+}
+
+/**
+ * Blend part of the outstanding correction into the local player's position
+ * @param {Object} state - Prediction state
+ * @param {Object} pos - Position to correct (mutated)
+ * @param {number} dt - Seconds since the last frame
+ */
+export function applyCorrection(state, pos, dt) {
+    const { correction } = state;
+    if (correction.x === 0 && correction.y === 0) return;
+
+    const distance = Math.hypot(correction.x, correction.y);
+    const fraction = distance >= SNAP_DISTANCE || distance < 0.5 ? 1 : Math.min(1, dt * CORRECTION_RATE);
+    pos.x += correction.x * fraction;
+    pos.y += correction.y * fraction;
+    correction.x -= correction.x * fraction;
+    correction.y -= correction.y * fraction;
+}
+
+/**
+ * Forget inputs and corrections (the local player entity was replaced)
+ * Sequence numbers keep counting so late acks for old inputs are ignored
+ * @param {Object} state - Prediction state
+ */
+export function resetPrediction(state) {
+    state.history = [];
+    state.correction = { x: 0, y: 0 };
+    state.predictedShots = [];
+}
+
+// ==========================================
+// Predicted shots
+// ==========================================
+
+/**
+ * Remember a shot fired locally ahead of the host
+ * @param {Object} state - Prediction state
+ * @param {number} time - Local time fired
+ * @param {number} x - Spawn x
+ * @param {number} y - Spawn y
+ * @param {number} dirX - Direction x (unit)
+ * @param {number} dirY - Direction y (unit)
+ */
+export function recordPredictedShot(state, time, x, y, dirX, dirY) {
+    state.predictedShots.push({ time, x, y, dirX, dirY });
+}
+
+/**
+ * Check whether a host projectile is one the client already predicted
+ * (consumes the matching prediction)
+ * @param {Object} state - Prediction state
+ * @param {number} time - Local time the host projectile arrived
+ * @param {number} x - Spawn x
+ * @param {number} y - Spawn y
+ * @param {number} dirX - Direction x (unit)
+ * @param {number} dirY - Direction y (unit)
+ * @returns {boolean} True if it was predicted (don't spawn it again)
+ */
+export function matchPredictedShot(state, time, x, y, dirX, dirY) {
+    state.predictedShots = state.predictedShots.filter(shot => time - shot.time <= SHOT_MATCH_WINDOW);
+
+    const index = state.predictedShots.findIndex(shot =>
+        shot.dirX * dirX + shot.dirY * dirY >= SHOT_MATCH_DOT &&
+        Math.hypot(shot.x - x, shot.y - y) <= SHOT_MATCH_DISTANCE
+    );
+    if (index === -1) return false;
+
+    state.predictedShots.splice(index, 1);
+    return true;
+}
+
+// ==========================================
+// Snapshot interpolation
+// ==========================================
+
+/**
+ * Update the host clock offset from a snapshot's timestamp
+ * Tracks the fastest delivery seen, drifting slowly if the network gets slower
+ * @param {Object} state - Prediction state
+ * @param {number} hostTime - Snapshot timestamp (host clock)
+ * @param {number} localTime - Local time it arrived
+ */
+export function syncClock(state, hostTime, localTime) {
+    const offset = localTime - hostTime;
+    if (state.clockOffset === null || offset < state.clockOffset) {
+        state.clockOffset = offset;
+    } else {
+        state.clockOffset += (offset - state.clockOffset) * CLOCK_DRIFT_RATE;
+    }
+}
+
+/**
+ * Get the host time remote entities should be drawn at
+ * @param {Object} state - Prediction state
+ * @param {number} localTime - Current local time
+ * @returns {number|null} Host time, or null before the first snapshot
+ */
+export function getRenderTime(state, localTime) {
+    if (state.clockOffset === null) return null;
+    return localTime - state.clockOffset - MULTIPLAYER_CONFIG.INTERPOLATION_DELAY;
+}
+
+/**
+ * Add a snapshot to an entity's buffer (out-of-order snapshots are dropped)
+ * @param {Array} snapshots - Entity's snapshot buffer (mutated)
+ * @param {number} time - Host time of the snapshot
+ * @param {number} x - Position x
+ * @param {number} y - Position y
+ */
+export function pushSnapshot(snapshots, time, x, y) {
+    const last = snapshots[snapshots.length - 1];
+    if (last && time <= last.time) return;
+
+    snapshots.push({ time, x, y });
+    if (snapshots.length > MAX_SNAPSHOTS) {
+        snapshots.shift();
+    }
+}
+
+/**
+ * Get an entity's position at a host time, between the snapshots around it
+ * Holds at the oldest/newest snapshot outside the buffer (no extrapolation)
+ * and drops snapshots that are no longer needed
+ * @param {Array} snapshots - Entity's snapshot buffer (mutated)
+ * @param {number} renderTime - Host time to draw at
+ * @returns {Object|null} { x, y }, or null if the buffer is empty
+ */
+export function sampleSnapshots(snapshots, renderTime) {
+    if (snapshots.length === 0) return null;
+
+    // Keep one snapshot at or before the render time
+    while (snapshots.length > 1 && snapshots[1].time <= renderTime) {
+        snapshots.shift();
+    }
+
+    const [from, to] = snapshots;
+    if (!to || renderTime <= from.time) {
+        return { x: from.x, y: from.y };
+    }
+
+    const t = (renderTime - from.time) / (to.time - from.time);
+    return {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t
+    };
+}
@@ -1,6 +1,10 @@
 /**
  * Network System - P2P Multiplayer using PeerJS
  * Handles connections, message passing, and state synchronization
+ *
+ * Messages go over the wire as JSON text ({ type, payload }); binary messages
+ * (ArrayBuffers, such as state snapshots from snapshotCodec.js) go as-is and are
+ * handed to the BINARY_MESSAGE handler.
  */
 
 import { generateInviteCode } from './nameGenerator.js';
@@ -8,6 +12,9 @@ import { generateInviteCode } from './nameGenerator.js';
 // Debug flag - set to true to enable verbose network logging
 const NET_DEBUG = false;
 
+// Message type whose handler receives binary messages (as a Uint8Array)
+export const BINARY_MESSAGE = 'binary';
+
 // Network state
 const network = {
     peer: null,              // Our Peer instance
@@ -18,7 +25,9 @@ const network = {
     messageHandlers: new Map(), // Message type -> handler function
     connectionCallbacks: [], // Callbacks for when someone joins/leaves
     isInitialized: false,
-    peerId: null            // Our peer ID (same as invite code for host)
+    peerId: null,           // Our peer ID (same as invite code for host)
+    acceptsConnections: false, // Peer 'connection' listener attached (hosts, and clients promoted to host)
+    traffic: { sentBytes: 0, receivedBytes: 0 } // Running totals (see connectionQuality.js)
 };
 
 // Registered once for the app lifetime (initNetwork can run multiple times).
@@ -161,6 +170,7 @@ export function initNetwork(inviteCode, isHost = true) {
             });
 
             // Host listens for incoming connections
+            network.acceptsConnections = isHost;
             if (isHost) {
                 network.peer.on('connection', (conn) => {
                     handleIncomingConnection(conn);
@@ -211,6 +221,16 @@ function handleIncomingConnection(conn) {
  * @returns {Promise} Resolves when connected
  */
 export function connectToHost(hostInviteCode) {
+    return connectToPeer(`smash-${hostInviteCode}`);
+}
+
+/**
+ * Connect to a host by its peer ID as a client (also used to follow a migrated host)
+ * @param {string} hostPeerId - The host's PeerJS peer ID
+ * @param {number} timeoutMs - Give up if the connection hasn't opened by then
+ * @returns {Promise} Resolves when connected
+ */
+export function connectToPeer(hostPeerId, timeoutMs = 30000) {
     return new Promise((resolve, reject) => {
         if (network.isHost) {
             reject(new Error('Host cannot connect to another host'));
@@ -222,19 +242,14 @@ export function connectToHost(hostInviteCode) {
             return;
         }
 
-        const hostPeerId = `smash-${hostInviteCode}`;
         if (NET_DEBUG) {
             console.log('[NetworkSystem] Attempting to connect to host:', hostPeerId);
             console.log('[NetworkSystem] Using STUN/TURN servers for NAT traversal...');
         }
 
-        // Add connection timeout
-        let connectionTimeout;
-        let isResolved = false;
-
         const conn = network.peer.connect(hostPeerId, {
             reliable: true,
-            serialization: 'json'
+            serialization: 'raw' // We frame messages ourselves (see sendMessage)
         });
 
         // Log ICE connection state changes for debugging
@@ -252,73 +267,209 @@ export function connectToHost(hostInviteCode) {
             };
         }
 
-        // Set timeout for connection attempt (30 seconds)
-        connectionTimeout = setTimeout(() => {
-            if (!isResolved) {
-                console.error('[NetworkSystem] Connection timeout - host may be offline or unreachable');
-                console.error('[NetworkSystem] This could be due to:');
-                console.error('  - Host not found (wrong code or host offline)');
-                console.error('  - Firewall blocking connection');
-                console.error('  - NAT traversal failure (TURN servers may be overloaded)');
-                conn.close();
-                reject(new Error('Connection timeout - could not reach host'));
-            }
-        }, 30000);
+        watchHostConnection(conn, hostPeerId, resolve, reject, timeoutMs);
+    });
+}
 
-        conn.on('open', () => {
-            isResolved = true;
-            clearTimeout(connectionTimeout);
-            connectionTimeout = null; // Clear reference
-            network.hostConnection = conn;
-            network.hostId = hostPeerId;
+/**
+ * Connect to a dedicated server over WebSocket as a client
+ * @param {string} url - Server address (ws://host:port)
+ * @returns {Promise} Resolves when connected
+ */
+export function connectToServer(url) {
+    return new Promise((resolve, reject) => {
+        if (network.hostConnection) {
+            reject(new Error('Already connected to a host'));
+            return;
+        }
 
-            // Don't send join_request here - partySystem.js will send it with full player info
-            resolve();
-        });
+        // No PeerJS peer: the socket is the whole connection
+        network.isHost = false;
+        network.isInitialized = true;
+        network.peerId = null;
 
-        conn.on('data', (data) => {
-            handleMessage(data, hostPeerId);
-        });
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (err) {
+            reject(err);
+            return;
+        }
 
-        conn.on('close', () => {
-            // Clear timeout to prevent race conditions
-            if (connectionTimeout) {
-                clearTimeout(connectionTimeout);
-                connectionTimeout = null;
-            }
+        watchHostConnection(createWebSocketConnection(socket, url), url, resolve, reject);
+    });
+}
 
-            network.hostConnection = null;
-            network.hostId = null;
+/**
+ * Track a client's connection to its host: resolve once open, route its messages
+ * and report the host going away (shared by PeerJS and WebSocket connections)
+ */
+function watchHostConnection(conn, hostPeerId, resolve, reject, timeoutMs = 30000) {
+    let isResolved = false;
+
+    // Set timeout for connection attempt
+    let connectionTimeout = setTimeout(() => {
+        if (!isResolved) {
+            console.error('[NetworkSystem] Connection timeout - host may be offline or unreachable');
+            console.error('[NetworkSystem] This could be due to:');
+            console.error('  - Host not found (wrong code or host offline)');
+            console.error('  - Firewall blocking connection');
+            console.error('  - NAT traversal failure (TURN servers may be overloaded)');
+            conn.close();
+            reject(new Error('Connection timeout - could not reach host'));
+        }
+    }, timeoutMs);
 
-            // Notify callbacks
-            network.connectionCallbacks.forEach(cb => cb('host_disconnect'));
-        });
+    conn.on('open', () => {
+        isResolved = true;
+        clearTimeout(connectionTimeout);
+        connectionTimeout = null; // Clear reference
+        network.hostConnection = conn;
+        network.hostId = hostPeerId;
+
+        // Don't send join_request here - partySystem.js will send it with full player info
+        resolve();
+    });
 
-        conn.on('error', (err) => {
-            isResolved = true;
+    conn.on('data', (data) => {
+        handleMessage(data, hostPeerId);
+    });
+
+    conn.on('close', () => {
+        // Clear timeout to prevent race conditions
+        if (connectionTimeout) {
             clearTimeout(connectionTimeout);
-            connectionTimeout = null; // Clear reference
-            console.error('[NetworkSystem] Connection error:', err);
-            console.error('[NetworkSystem] Error type:', err.type || 'unknown');
-            reject(err);
-        });
+            connectionTimeout = null;
+        }
+
+        // Only the current host going away counts (not a failed attempt or one we left)
+        if (network.hostConnection !== conn) return;
+
+        network.hostConnection = null;
+        network.hostId = null;
+
+        // Notify callbacks
+        network.connectionCallbacks.forEach(cb => cb('host_disconnect'));
     });
+
+    conn.on('error', (err) => {
+        isResolved = true;
+        clearTimeout(connectionTimeout);
+        connectionTimeout = null; // Clear reference
+        console.error('[NetworkSystem] Connection error:', err);
+        console.error('[NetworkSystem] Error type:', err.type || 'unknown');
+        reject(err);
+    });
+}
+
+/**
+ * Initialize as a host without PeerJS (dedicated server)
+ * Peers arrive through acceptConnection() instead of a Peer's 'connection' event
+ * @param {string} serverId - ID reported as our peer ID
+ */
+export function initHeadlessHost(serverId = 'server') {
+    network.isHost = true;
+    network.peerId = serverId;
+    network.isInitialized = true;
+}
+
+/**
+ * Accept a peer connection from another transport (host only)
+ * @param {Object} conn - DataConnection-shaped connection (see webSocketConnection.js)
+ */
+export function acceptConnection(conn) {
+    handleIncomingConnection(conn);
+}
+
+/**
+ * Take over as host on our existing peer (host migration)
+ * Other party members connect to our peer ID through the usual incoming-connection
+ * path, so the old host's connection is dropped and we start listening instead
+ * @returns {boolean} False without a PeerJS peer (dedicated server clients)
+ */
+export function promoteToHost() {
+    if (!network.peer) return false;
+
+    leaveHost();
+    network.isHost = true;
+    if (!network.acceptsConnections) {
+        network.peer.on('connection', (conn) => {
+            handleIncomingConnection(conn);
+        });
+        network.acceptsConnections = true;
+    }
+    return true;
+}
+
+/**
+ * Close our connection to the host without reporting it as a host disconnect (client only)
+ */
+export function leaveHost() {
+    const conn = network.hostConnection;
+    network.hostConnection = null;
+    network.hostId = null;
+    if (conn) conn.close();
+}
+
+/**
+ * Check whether we have a PeerJS peer (other players can connect to us)
+ * @returns {boolean}
+ */
+export function hasPeer() {
+    return network.peer !== null;
+}
+
+/**
+ * Check whether wire data is a binary message
+ */
+function isBinaryData(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+/**
+ * Send a message over a connection: objects as JSON text, binary as-is
+ */
+function sendMessage(conn, message) {
+    const data = isBinaryData(message) ? message : JSON.stringify(message);
+    // Text length stands in for its byte size (messages are almost all ASCII)
+    network.traffic.sentBytes += isBinaryData(data) ? data.byteLength : data.length;
+    conn.send(data);
 }
 
 /**
  * Handle incoming message
  */
 function handleMessage(data, fromPeerId) {
-    if (!data || !data.type) {
+    if (isBinaryData(data)) {
+        network.traffic.receivedBytes += data.byteLength;
+        const bytes = data instanceof ArrayBuffer
+            ? new Uint8Array(data)
+            : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        const binaryHandler = network.messageHandlers.get(BINARY_MESSAGE);
+        if (binaryHandler) binaryHandler(bytes, fromPeerId);
+        return;
+    }
+
+    let message = data;
+    if (typeof data === 'string') {
+        network.traffic.receivedBytes += data.length;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            message = null;
+        }
+    }
+
+    if (!message || !message.type) {
         console.warn('Invalid message:', data);
         return;
     }
 
-    const handler = network.messageHandlers.get(data.type);
+    const handler = network.messageHandlers.get(message.type);
     if (handler) {
-        handler(data.payload, fromPeerId);
+        handler(message.payload, fromPeerId);
     } else {
-        console.warn('No handler for message type:', data.type);
+        console.warn('No handler for message type:', message.type);
     }
 }
 
@@ -374,7 +525,7 @@ export function sendToHost(type, payload) {
         return;
     }
 
-    network.hostConnection.send({ type, payload });
+    sendMessage(network.hostConnection, { type, payload });
 }
 
 /**
@@ -391,7 +542,26 @@ export function sendToPeer(peerId, type, payload) {
 
     const conn = network.connections.get(peerId);
     if (conn) {
-        conn.send({ type, payload });
+        sendMessage(conn, { type, payload });
+    } else {
+        console.warn('No connection to peer:', peerId);
+    }
+}
+
+/**
+ * Send a binary message to a specific peer (host only)
+ * @param {string} peerId - Target peer ID
+ * @param {ArrayBuffer|Uint8Array} data - Message bytes
+ */
+export function sendBinaryToPeer(peerId, data) {
+    if (!network.isHost) {
+        console.warn('Only host can send to specific peers');
+        return;
+    }
+
+    const conn = network.connections.get(peerId);
+    if (conn) {
+        sendMessage(conn, data);
     } else {
         console.warn('No connection to peer:', peerId);
     }
@@ -411,7 +581,7 @@ export function broadcast(type, payload, excludePeerIds = []) {
 
     network.connections.forEach((conn, peerId) => {
         if (!excludePeerIds.includes(peerId)) {
-            conn.send({ type, payload });
+            sendMessage(conn, { type, payload });
         }
     });
 }
@@ -442,6 +612,7 @@ export function disconnect() {
 
     network.isInitialized = false;
     network.peerId = null;
+    network.acceptsConnections = false;
 }
 
 /**
@@ -481,3 +652,11 @@ export function getConnectedPeers() {
     if (!network.isHost) return [];
     return Array.from(network.connections.keys());
 }
+
+/**
+ * Get the bytes sent and received since the page loaded
+ * @returns {Object} { sentBytes, receivedBytes }
+ */
+export function getTrafficTotals() {
+    return { ...network.traffic };
+}
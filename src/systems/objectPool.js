@@ -207,8 +207,7 @@ export function initObjectPools(k) {
             proj.chainedEnemies = null;
             proj.chainJumps = 0;
             proj.ownerSlotIndex = undefined;
-            proj.burnDamage = null;
-            proj.burnDuration = null;
+            proj.statusOnHit = null;
 
             // Reset visuals
             proj.text = '*';
@@ -131,8 +131,8 @@ export async function submitOnlineScore(entry, boardType = 'allTime') {
         const score = Math.floor(entry.score);
         const seconds = Math.floor(entry.time || 0);
 
-        // Extra data: floor|character|date (pipe-delimited)
-        const text = `${entry.floor || 1}|${entry.character || 'unknown'}|${entry.date || ''}`;
+        // Extra data: floor|character|date|loop (pipe-delimited)
+        const text = `${entry.floor || 1}|${entry.character || 'unknown'}|${entry.date || ''}|${entry.loop || 0}`;
 
         // Dreamlo add URL format: /lb/{privateKey}/add/{name}/{score}/{seconds}/{text}
         const path = `/${board.privateKey}/add/${encodeURIComponent(name)}/${score}/${seconds}/${encodeURIComponent(text)}`;
@@ -177,7 +177,7 @@ export async function submitDailyScore(entry) {
  * @returns {Object} - Parsed entry
  */
 function parseEntry(entry) {
-    // Parse text field: "floor|character|date"
+    // Parse text field: "floor|character|date|loop" (older entries have no loop)
     const textParts = (entry.text || '').split('|');
 
     return {
@@ -186,7 +186,8 @@ function parseEntry(entry) {
         time: parseInt(entry.seconds, 10) || 0,
         floor: parseInt(textParts[0], 10) || 1,
         character: textParts[1] || 'survivor',
-        date: textParts[2] || ''
+        date: textParts[2] || '',
+        loop: parseInt(textParts[3], 10) || 0
     };
 }
 
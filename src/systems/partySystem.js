@@ -14,10 +14,14 @@ import {
     sendToPeer,
     getConnectedPeers,
     getNetworkInfo,
-    disconnect
+    disconnect,
+    connectToServer
 } from './networkSystem.js';
-import { sendInitialGameState, handlePlayerDisconnect as cleanupDisconnectedPlayer } from './multiplayerGame.js';
+import { sendInitialGameState, isMultiplayerActive, handlePlayerDisconnect as cleanupDisconnectedPlayer } from './multiplayerGame.js';
 import { onPlayerJoinedParty } from './matchmakingSystem.js';
+import { handleHostLoss } from './hostMigration.js';
+import { setupChatHandlers, clearChatHistory } from './chatSystem.js';
+import { MULTIPLAYER_CONFIG } from '../config/constants.js';
 
 // Party state
 const party = {
@@ -34,6 +38,11 @@ const party = {
     networkInitializing: false, // In-flight guard: initParty runs per menu entry, initNetwork is async
     kaplayInstance: null, // Reference to kaplay instance for client game start
     hostInviteCode: null, // The host's invite code (null if we are the host, or the code we joined if we're a client)
+    hostSlot: 0, // Slot of the party's host (changes when the host migrates, see hostMigration.js)
+    // Spectators: read-only observers without a slot (see spectatorSystem.js)
+    spectators: new Map(), // Map peerId -> { playerName, waitingForRoom } (host only)
+    spectatorCount: 0, // Observers watching the party (synced to clients)
+    isSpectator: false, // We joined as an observer
     // Disconnect handling
     disconnectedPlayers: new Map(), // Map slotIndex -> { disconnectTime, playerData }
     reconnectWindow: 15000, // 15 seconds to reconnect
@@ -152,6 +161,20 @@ export function setupNetworkHandlers() {
             console.warn('[PartySystem] Join request missing playerName, using default');
         }
 
+        // Couch co-op guests have no peer to sync with, so online players can't mix in
+        if (hasLocalCoopPlayers()) {
+            sendToPeer(fromPeerId, 'join_rejected', { reason: 'Party is playing couch co-op' });
+            return;
+        }
+
+        // Observers watch without taking a slot
+        if (payload.spectate) {
+            if (!addSpectator(fromPeerId, payload.playerName || 'Spectator')) {
+                sendToPeer(fromPeerId, 'join_rejected', { reason: 'No room for more spectators' });
+            }
+            return;
+        }
+
         // Try to reconnect this peer to a slot they recently dropped from (within
         // the reconnect window) before assigning a brand-new slot. Without this a
         // reconnecting player double-occupies the party and their disconnected slot
@@ -172,27 +195,8 @@ export function setupNetworkHandlers() {
 
         if (slotIndex !== null) {
             // Send party sync to the new player
-            const partySyncData = {
-                slots: party.slots.map(slot => ({
-                    playerId: slot.playerId,
-                    playerName: slot.playerName,
-                    inviteCode: slot.inviteCode,
-                    selectedCharacter: slot.selectedCharacter,
-                    selectedPortrait: slot.selectedPortrait,
-                    playerLevel: slot.playerLevel,
-                    permanentUpgradeLevels: slot.permanentUpgradeLevels,
-                    isLocal: false // All remote for the client
-                })),
-                yourSlotIndex: slotIndex
-            };
-
-            console.log('[PartySystem] Sending party_sync to new player:', {
-                hostName: partySyncData.slots[0].playerName,
-                hostCharacter: partySyncData.slots[0].selectedCharacter,
-                newPlayerSlot: slotIndex
-            });
-
-            sendToPeer(fromPeerId, 'party_sync', partySyncData);
+            console.log('[PartySystem] Sending party_sync to new player in slot', slotIndex);
+            sendPartySync(fromPeerId, { yourSlotIndex: slotIndex });
 
             // Send immediate game state if in-game (don't wait for next broadcast cycle)
             // This helps clients joining mid-game see entities immediately
@@ -207,8 +211,8 @@ export function setupNetworkHandlers() {
 
             // Notify matchmaking system that a player joined (host removes self from queue)
             onPlayerJoinedParty();
-        } else {
-            // Party full - send rejection
+        } else if (!addSpectator(fromPeerId, payload.playerName || 'Spectator')) {
+            // Party full (spectators too) - send rejection
             sendToPeer(fromPeerId, 'join_rejected', { reason: 'Party full' });
         }
     });
@@ -246,6 +250,9 @@ export function setupNetworkHandlers() {
         }
     });
 
+    // Chat and quick-chat pings - the host names the sender and relays them
+    setupChatHandlers(true);
+
     // Handle party emotes from clients - rebroadcast to all
     onMessage('party_emote', (payload, fromPeerId) => {
         const slotIndex = party.peerIdToSlot.get(fromPeerId);
@@ -395,12 +402,152 @@ function addPlayerToPartyFromNetwork(playerName, inviteCode, selectedCharacter,
     return null; // Party full
 }
 
+/**
+ * Send the party's slots to a peer that just joined (host only)
+ * @param {string} peerId - Peer to sync
+ * @param {Object} extra - Their place in the party ({yourSlotIndex} or {isSpectator})
+ */
+function sendPartySync(peerId, extra) {
+    sendToPeer(peerId, 'party_sync', {
+        slots: party.slots.map(slot => ({
+            playerId: slot.playerId,
+            playerName: slot.playerName,
+            inviteCode: slot.inviteCode,
+            selectedCharacter: slot.selectedCharacter,
+            selectedPortrait: slot.selectedPortrait,
+            playerLevel: slot.playerLevel,
+            permanentUpgradeLevels: slot.permanentUpgradeLevels,
+            isServer: slot.isServer || false,
+            peerId: slot.peerId || null, // Lets clients reach the next host if this one leaves
+            isLocal: false // All remote for the client
+        })),
+        hostSlot: party.hostSlot,
+        spectatorCount: party.spectators.size,
+        ...extra
+    });
+}
+
+/**
+ * Let a peer watch the party without a slot (host only)
+ * They get every broadcast but their gameplay messages are ignored. Mid-run they
+ * start watching when the party enters the next room (see releaseWaitingSpectators).
+ * @param {string} peerId - Observer's peer ID
+ * @param {string} playerName - Observer's name
+ * @returns {boolean} False if the party has no room for more spectators
+ */
+function addSpectator(peerId, playerName) {
+    if (!party.spectators.has(peerId) && party.spectators.size >= MULTIPLAYER_CONFIG.MAX_SPECTATORS) {
+        return false;
+    }
+
+    const waitingForRoom = isMultiplayerActive();
+    party.spectators.set(peerId, { playerName, waitingForRoom });
+    console.log('[PartySystem]', playerName, 'is spectating', waitingForRoom ? '(from the next room)' : '');
+
+    sendPartySync(peerId, { isSpectator: true, waitingForRoom });
+    broadcastPartyUpdate();
+    return true;
+}
+
+/**
+ * Bring observers who joined mid-run into the room the party just entered (host only)
+ * @param {Object} room - {floor, room, entryDirection, roomTemplateKey, allPlayerStats, progress}
+ */
+export function releaseWaitingSpectators(room) {
+    party.spectators.forEach((spectator, peerId) => {
+        if (!spectator.waitingForRoom) return;
+        spectator.waitingForRoom = false;
+        sendToPeer(peerId, 'game_start', { joinRun: room });
+    });
+}
+
+/**
+ * Check if a peer is a read-only observer (host only)
+ * @param {string} peerId - Peer ID
+ * @returns {boolean}
+ */
+export function isSpectatorPeer(peerId) {
+    return party.spectators.has(peerId);
+}
+
+/**
+ * Who a peer is, for messages the host relays on their behalf (host only)
+ * @param {string} peerId - Peer ID
+ * @returns {{slotIndex: number, playerName: string, isSpectator: boolean}|null} Null for unknown peers
+ */
+export function getPeerIdentity(peerId) {
+    const slotIndex = party.peerIdToSlot.get(peerId);
+    if (slotIndex !== undefined && party.slots[slotIndex]?.playerId) {
+        return { slotIndex, playerName: party.slots[slotIndex].playerName, isSpectator: false };
+    }
+    const spectator = party.spectators.get(peerId);
+    return spectator ? { slotIndex: -1, playerName: spectator.playerName, isSpectator: true } : null;
+}
+
+/**
+ * Check if we joined the party as an observer
+ * @returns {boolean}
+ */
+export function isSpectator() {
+    return party.isSpectator;
+}
+
+/**
+ * Get how many observers are watching the party
+ * @returns {number}
+ */
+export function getSpectatorCount() {
+    return party.isHost ? party.spectators.size : party.spectatorCount;
+}
+
 /**
  * Join a party as a client
  * @param {string} hostInviteCode - Host's 6-digit invite code
+ * @param {Object} options - {spectate} to watch without taking a slot
+ * @returns {Promise<boolean>} True if successfully joined
+ */
+export function joinPartyAsClient(hostInviteCode, options = {}) {
+    return joinHost(hostInviteCode, options, async () => {
+        // Initialize network as client
+        if (!party.networkInitialized) {
+            await initNetwork('client', false);
+            party.networkInitialized = true;
+            party.isHost = false;
+        }
+
+        // Set up client message handlers
+        setupClientHandlers();
+
+        // Connect to host
+        await connectToHost(hostInviteCode);
+    });
+}
+
+/**
+ * Join a dedicated server (src/server/dedicatedServer.js) as a client
+ * @param {string} serverUrl - Server address (ws://host:port)
+ * @param {Object} options - {spectate} to watch without taking a slot
  * @returns {Promise<boolean>} True if successfully joined
  */
-export async function joinPartyAsClient(hostInviteCode) {
+export function joinDedicatedServer(serverUrl, options = {}) {
+    // Shown where the host's invite code would be, so it's worth keeping short
+    return joinHost(serverUrl.replace(/^wss?:\/\//, ''), options, async () => {
+        // The WebSocket is the whole connection - no PeerJS peer to initialize
+        party.networkInitialized = true;
+        party.isHost = false;
+        setupClientHandlers();
+        await connectToServer(serverUrl);
+    });
+}
+
+/**
+ * Leave our own party and join a host, then send our player info
+ * @param {string} hostLabel - Invite code or server address (shown in the party panel)
+ * @param {Object} options - {spectate} to watch without taking a slot
+ * @param {Function} connect - Async function that connects to the host
+ * @returns {Promise<boolean>} True if successfully joined
+ */
+async function joinHost(hostLabel, options, connect) {
     // Save local player info before clearing (for restoration on failure)
     const savedLocalPlayer = {
         playerName: getPlayerName(),
@@ -436,37 +583,11 @@ export async function joinPartyAsClient(hostInviteCode) {
             partyClientHandlersRegistered = false;
         }
 
-        // Initialize network as client
-        if (!party.networkInitialized) {
-            await initNetwork('client', false);
-            party.networkInitialized = true;
-            party.isHost = false;
-        }
-
         // Store the host's invite code so we can display it
-        party.hostInviteCode = hostInviteCode;
-
-        // Set up client message handlers
-        setupClientHandlers();
-
-        // Connect to host
-        await connectToHost(hostInviteCode);
+        party.hostInviteCode = hostLabel;
 
-        // Send our player info including selected character, portrait, and permanent upgrades
-        sendToHost('join_request', {
-            playerName: savedLocalPlayer.playerName,
-            inviteCode: savedLocalPlayer.inviteCode,
-            selectedCharacter: savedLocalPlayer.selectedCharacter,
-            selectedPortrait: getSelectedPortrait() || 'default',
-            playerLevel: getPlayerLevel(),
-            permanentUpgradeLevels: {
-                startingHealth: getPermanentUpgradeLevel('startingHealth'),
-                startingDamage: getPermanentUpgradeLevel('startingDamage'),
-                startingSpeed: getPermanentUpgradeLevel('startingSpeed'),
-                propDurability: getPermanentUpgradeLevel('propDurability'),
-                propDropChance: getPermanentUpgradeLevel('propDropChance')
-            }
-        });
+        await connect();
+        sendJoinRequest({ ...savedLocalPlayer, spectate: Boolean(options.spectate) });
 
         return true;
     } catch (err) {
@@ -480,6 +601,28 @@ export async function joinPartyAsClient(hostInviteCode) {
     }
 }
 
+/**
+ * Send our player info to the host, including selected character, portrait, and permanent upgrades
+ * @param {Object} playerInfo - {playerName, inviteCode, selectedCharacter, spectate}
+ */
+export function sendJoinRequest(playerInfo) {
+    sendToHost('join_request', {
+        spectate: playerInfo.spectate || false,
+        playerName: playerInfo.playerName,
+        inviteCode: playerInfo.inviteCode,
+        selectedCharacter: playerInfo.selectedCharacter,
+        selectedPortrait: getSelectedPortrait() || 'default',
+        playerLevel: getPlayerLevel(),
+        permanentUpgradeLevels: {
+            startingHealth: getPermanentUpgradeLevel('startingHealth'),
+            startingDamage: getPermanentUpgradeLevel('startingDamage'),
+            startingSpeed: getPermanentUpgradeLevel('startingSpeed'),
+            propDurability: getPermanentUpgradeLevel('propDurability'),
+            propDropChance: getPermanentUpgradeLevel('propDropChance')
+        }
+    });
+}
+
 /**
  * Restore local player to solo party state (after failed/cancelled join)
  * @param {Object} playerInfo - Saved player info {playerName, inviteCode, selectedCharacter}
@@ -493,7 +636,12 @@ export function restoreLocalPlayerToSoloParty(playerInfo) {
     // Reset to host state
     party.isHost = true;
     party.hostInviteCode = null;
+    party.hostSlot = 0;
+    party.isSpectator = false;
+    party.spectatorCount = 0;
+    party.spectators.clear();
     party.networkInitialized = false;
+    clearChatHistory();
 
     // Reset handler registration flags to allow re-registration
     partyHostHandlersRegistered = false;
@@ -553,15 +701,18 @@ function setupClientHandlers() {
 
         // Update our party state
         party.slots = payload.slots;
+        party.hostSlot = payload.hostSlot ?? 0;
+        party.spectatorCount = payload.spectatorCount || 0;
+        party.isSpectator = Boolean(payload.isSpectator);
 
-        // Mark our own slot as local
+        // Mark our own slot as local (observers have none)
         if (payload.yourSlotIndex !== undefined) {
             party.slots[payload.yourSlotIndex].isLocal = true;
             console.log(`[PartySystem] Marked slot ${payload.yourSlotIndex} as local`);
         }
 
-        // Mark host's slot (slot 0) as remote
-        party.slots[0].isLocal = false;
+        // Mark host's slot as remote
+        party.slots[party.hostSlot].isLocal = false;
 
         // Debug: log party size and host info after sync
         const partySize = party.slots.filter(s => s.playerId !== null).length;
@@ -593,8 +744,9 @@ function setupClientHandlers() {
     onMessage('game_start', (payload) => {
         console.log('Host started game - joining...');
         // Automatically join the game when host starts
+        // (observers who joined mid-run get the room the party is in as joinRun)
         if (party.kaplayInstance) {
-            party.kaplayInstance.go('game', { resetState: true });
+            party.kaplayInstance.go('game', { resetState: true, joinRun: payload?.joinRun || null });
         } else {
             console.error('Cannot join game: Kaplay instance not available');
         }
@@ -622,6 +774,8 @@ function setupClientHandlers() {
 
         // Update slots (includes ready states)
         party.slots = payload.slots;
+        party.hostSlot = payload.hostSlot ?? 0;
+        party.spectatorCount = payload.spectatorCount || 0;
 
         // Re-mark local slot (preserve isLocal flag)
         if (localSlotIndex !== -1) {
@@ -634,6 +788,9 @@ function setupClientHandlers() {
         handlePartyEmote(payload);
     });
 
+    // Chat and quick-chat pings relayed by the host
+    setupChatHandlers(false);
+
     // Handle profile request (forwarded from host or direct from host)
     onMessage('profile_request', (payload) => {
         handleProfileRequest(payload);
@@ -644,28 +801,35 @@ function setupClientHandlers() {
         handleProfileResponse(payload);
     });
 
-    // Handle host disconnect
+    // Handle host disconnect: mid-run the party moves to a new host instead
     onConnectionChange((event) => {
-        if (event === 'host_disconnect') {
-            console.log('[PartySystem] Host disconnected - returning to solo party');
-            alert('Host disconnected - returning to main menu');
-
-            // Restore local player to solo party state
-            const savedLocalPlayer = {
-                playerName: getPlayerName(),
-                inviteCode: getInviteCode(),
-                selectedCharacter: getSelectedCharacter()
-            };
-            restoreLocalPlayerToSoloParty(savedLocalPlayer);
-
-            // Return to main menu
-            if (party.kaplayInstance) {
-                party.kaplayInstance.go('menu');
-            }
+        if (event === 'host_disconnect' && !handleHostLoss()) {
+            returnToMenuAfterHostLoss();
         }
     });
 }
 
+/**
+ * Leave a host that went away: back to a solo party in the main menu
+ */
+export function returnToMenuAfterHostLoss() {
+    console.log('[PartySystem] Host disconnected - returning to solo party');
+    alert('Host disconnected - returning to main menu');
+
+    // Restore local player to solo party state
+    const savedLocalPlayer = {
+        playerName: getPlayerName(),
+        inviteCode: getInviteCode(),
+        selectedCharacter: getSelectedCharacter()
+    };
+    restoreLocalPlayerToSoloParty(savedLocalPlayer);
+
+    // Return to main menu
+    if (party.kaplayInstance) {
+        party.kaplayInstance.go('menu');
+    }
+}
+
 /**
  * Broadcast party update to all clients (host only)
  */
@@ -681,10 +845,14 @@ function broadcastPartyUpdate() {
             selectedPortrait: slot.selectedPortrait,
             playerLevel: slot.playerLevel, // Without this, remote members render as level 1 after any update
             permanentUpgradeLevels: slot.permanentUpgradeLevels,
+            isServer: slot.isServer || false,
+            peerId: slot.peerId || null,
             isLocal: false, // Always false for remote players
             isReady: slot.isReady || false,
             isDisconnected: slot.isDisconnected || false
-        }))
+        })),
+        hostSlot: party.hostSlot,
+        spectatorCount: party.spectators.size
     });
 }
 
@@ -704,6 +872,12 @@ export function broadcastGameStart() {
  * @param {string} peerId - Peer ID of disconnected player
  */
 function handlePlayerDisconnect(peerId) {
+    // Observers hold no slot to keep
+    if (party.spectators.delete(peerId)) {
+        broadcastPartyUpdate();
+        return;
+    }
+
     const slotIndex = party.peerIdToSlot.get(peerId);
     if (slotIndex !== undefined) {
         console.log('[PartySystem] Player disconnected from slot', slotIndex, '- starting reconnection window');
@@ -908,6 +1082,215 @@ export function clearRemotePlayers() {
     }
 }
 
+// ==========================================
+// Host Migration (see hostMigration.js)
+// ==========================================
+
+/**
+ * Take over as the party's host after the host left mid-run
+ * Everyone else gets the usual reconnection window to rejoin us in their own slot
+ * @param {number} oldHostSlot - Slot of the host that left
+ */
+export function promoteLocalToHost(oldHostSlot) {
+    const localSlot = party.slots.findIndex(slot => slot.isLocal);
+    party.isHost = true;
+    party.hostSlot = localSlot;
+    party.hostInviteCode = null;
+    party.peerIdToSlot.clear();
+
+    party.slots[oldHostSlot] = {
+        playerId: null,
+        playerName: null,
+        inviteCode: null,
+        selectedCharacter: null,
+        selectedPortrait: null,
+        playerLevel: 1,
+        isLocal: false,
+        peerId: null,
+        isReady: false
+    };
+
+    party.slots.forEach((slot, slotIndex) => {
+        if (slotIndex === localSlot || slot.playerId === null) return;
+
+        party.disconnectedPlayers.set(slotIndex, {
+            disconnectTime: Date.now(),
+            playerData: { ...slot },
+            peerId: slot.peerId
+        });
+        slot.isDisconnected = true;
+        setTimeout(() => {
+            finalizeDisconnect(slotIndex);
+        }, party.reconnectWindow);
+    });
+
+    setupNetworkHandlers();
+}
+
+/**
+ * Follow the party to its new host (clients that weren't elected)
+ * @param {number} newHostSlot - Slot of the new host
+ * @param {number} oldHostSlot - Slot of the host that left
+ */
+export function followNewHost(newHostSlot, oldHostSlot) {
+    party.hostSlot = newHostSlot;
+    party.hostInviteCode = party.slots[newHostSlot].inviteCode;
+    party.slots[oldHostSlot] = {
+        playerId: null,
+        playerName: null,
+        inviteCode: null,
+        selectedCharacter: null,
+        selectedPortrait: null,
+        playerLevel: 1,
+        isLocal: false,
+        peerId: null,
+        isReady: false
+    };
+}
+
+/**
+ * Leave the party after handing the run to a new host (the old host, quitting)
+ * The clients close their connections to us once they have the handover
+ */
+export function leavePartyAfterHandoff() {
+    // Their disconnects are expected now, not players to hold slots for
+    party.peerIdToSlot.clear();
+    party.disconnectedPlayers.clear();
+
+    restoreLocalPlayerToSoloParty({
+        playerName: getPlayerName(),
+        inviteCode: getInviteCode(),
+        selectedCharacter: getSelectedCharacter()
+    });
+}
+
+/**
+ * Get the slot of the party's host
+ * @returns {number}
+ */
+export function getHostSlot() {
+    return party.hostSlot;
+}
+
+// ==========================================
+// Dedicated Server (see src/server/dedicatedServer.js)
+// ==========================================
+
+/**
+ * Set up the party for a dedicated server: slot 0 is the server itself (always
+ * ready, never spawned as a player) and clients fill slots 1-3
+ * The network must already be listening (see webSocketServer.js)
+ * @param {Object} k - Kaplay instance
+ */
+export function initDedicatedParty(k) {
+    party.kaplayInstance = k;
+    party.isHost = true;
+    party.networkInitialized = true;
+    party.slots[0] = {
+        playerId: 'server',
+        playerName: 'Server',
+        inviteCode: null,
+        selectedCharacter: 'survivor',
+        selectedPortrait: 'default',
+        playerLevel: 1,
+        isLocal: true,
+        isServer: true,
+        peerId: null,
+        isReady: true,
+        permanentUpgradeLevels: {}
+    };
+    setupNetworkHandlers();
+}
+
+/**
+ * Check if this process is a dedicated server (hosting without a player of its own)
+ * @returns {boolean}
+ */
+export function isDedicatedServer() {
+    return party.isHost && !!party.slots[0].isServer;
+}
+
+/**
+ * Get the number of players in the party, not counting a dedicated server
+ * @returns {number}
+ */
+export function getPartyPlayerCount() {
+    return party.slots.filter(slot => slot.playerId !== null && !slot.isServer).length;
+}
+
+// ==========================================
+// Local Co-op (see localCoop.js)
+// ==========================================
+
+/**
+ * Add a couch co-op guest to the first empty slot. Guests have no peer and are
+ * always ready; they share the local player's permanent upgrades.
+ * @param {string} selectedCharacter - Character key
+ * @param {Object} inputDevice - Input device from localCoop.js
+ * @returns {number|null} Slot index if successful, null if party full
+ */
+export function addLocalCoopPlayer(selectedCharacter, inputDevice) {
+    for (let i = 1; i < party.slots.length; i++) {
+        if (party.slots[i].playerId === null) {
+            party.slots[i] = {
+                playerId: `local_coop_${i}`,
+                playerName: `Player ${i + 1}`,
+                inviteCode: null,
+                selectedCharacter,
+                selectedPortrait: 'default',
+                playerLevel: party.slots[0].playerLevel,
+                isLocal: false,
+                isLocalCoop: true,
+                inputDevice,
+                peerId: null,
+                isReady: true,
+                permanentUpgradeLevels: party.slots[0].permanentUpgradeLevels
+            };
+            return i;
+        }
+    }
+    return null; // Party full
+}
+
+/**
+ * Change a couch co-op guest's character
+ * @param {number} slotIndex - Guest slot
+ * @param {string} characterKey - Character key
+ */
+export function setLocalCoopCharacter(slotIndex, characterKey) {
+    if (party.slots[slotIndex]?.isLocalCoop) {
+        party.slots[slotIndex].selectedCharacter = characterKey;
+    }
+}
+
+/**
+ * Set (or clear with null) the input device of the local player in slot 0
+ * @param {Object|null} inputDevice - Input device from localCoop.js
+ */
+export function setLocalInputDevice(inputDevice) {
+    party.slots[0].inputDevice = inputDevice;
+}
+
+/**
+ * Check if any couch co-op guests are in the party
+ * @returns {boolean}
+ */
+export function hasLocalCoopPlayers() {
+    return party.slots.some(slot => slot.isLocalCoop);
+}
+
+/**
+ * Remove all couch co-op guests and the local player's input device
+ */
+export function clearLocalCoopPlayers() {
+    for (let i = 1; i < party.slots.length; i++) {
+        if (party.slots[i].isLocalCoop) {
+            removePlayerFromParty(i);
+        }
+    }
+    setLocalInputDevice(null);
+}
+
 /**
  * Get formatted party info for display
  * @returns {Array} Array of slot info for UI
@@ -923,7 +1306,9 @@ export function getPartyDisplayInfo() {
         selectedPortrait: slot.selectedPortrait || 'default',
         playerLevel: slot.playerLevel || 1,
         isReady: slot.isReady || false,
-        isDisconnected: slot.isDisconnected || false
+        isDisconnected: slot.isDisconnected || false,
+        isLocalCoop: slot.isLocalCoop || false,
+        isServer: slot.isServer || false
     }));
 }
 
@@ -1085,10 +1470,11 @@ export function getCountdownState() {
  */
 export function resetAllReadyStates() {
     party.slots.forEach(slot => {
-        slot.isReady = false;
+        slot.isReady = !!slot.isServer; // A dedicated server is always ready
     });
     party.countdownActive = false;
     party.countdownStartTime = 0;
+    broadcastPartyUpdate();
 }
 
 // ==========================================
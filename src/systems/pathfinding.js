@@ -52,6 +52,26 @@ function gridToWorld(gx, gy) {
     };
 }
 
+/**
+ * Check if a grid cell overlaps an obstacle rectangle (centered x/y)
+ */
+function cellOverlapsRect(gx, gy, rect) {
+    const worldPos = gridToWorld(gx, gy);
+    const halfSize = GRID_SIZE / 2;
+    const cellLeft = worldPos.x - halfSize;
+    const cellRight = worldPos.x + halfSize;
+    const cellTop = worldPos.y - halfSize;
+    const cellBottom = worldPos.y + halfSize;
+
+    const obstacleLeft = rect.x - rect.width / 2;
+    const obstacleRight = rect.x + rect.width / 2;
+    const obstacleTop = rect.y - rect.height / 2;
+    const obstacleBottom = rect.y + rect.height / 2;
+
+    return cellRight > obstacleLeft && cellLeft < obstacleRight &&
+        cellBottom > obstacleTop && cellTop < obstacleBottom;
+}
+
 /**
  * Check if a grid cell is walkable
  */
@@ -62,27 +82,13 @@ function isCellWalkable(k, gx, gy, gridWidth, gridHeight) {
     }
 
     // Check if there's an obstacle at this grid cell
-    const worldPos = gridToWorld(gx, gy);
     const obstacles = k.get('obstacle');
 
     for (const obstacle of obstacles) {
         if (!obstacle.exists()) continue;
 
-        // Check if cell overlaps with obstacle
-        const halfSize = GRID_SIZE / 2;
-        const cellLeft = worldPos.x - halfSize;
-        const cellRight = worldPos.x + halfSize;
-        const cellTop = worldPos.y - halfSize;
-        const cellBottom = worldPos.y + halfSize;
-
-        const obstacleLeft = obstacle.pos.x - obstacle.width / 2;
-        const obstacleRight = obstacle.pos.x + obstacle.width / 2;
-        const obstacleTop = obstacle.pos.y - obstacle.height / 2;
-        const obstacleBottom = obstacle.pos.y + obstacle.height / 2;
-
-        // Check overlap
-        if (cellRight > obstacleLeft && cellLeft < obstacleRight &&
-            cellBottom > obstacleTop && cellTop < obstacleBottom) {
+        const rect = { x: obstacle.pos.x, y: obstacle.pos.y, width: obstacle.width, height: obstacle.height };
+        if (cellOverlapsRect(gx, gy, rect)) {
             return false; // Cell overlaps obstacle
         }
     }
@@ -90,6 +96,62 @@ function isCellWalkable(k, gx, gy, gridWidth, gridHeight) {
     return true;
 }
 
+/**
+ * Flood-fill the pathfinding grid from a point, using the same cells and
+ * 8-way moves as findPath(). Works on plain rectangles, so layouts can be
+ * checked without spawning obstacles (room editor).
+ * @param {Array<Object>} rects - Obstacles as {x, y, width, height} (centered)
+ * @param {number} roomWidth - Room width in pixels
+ * @param {number} roomHeight - Room height in pixels
+ * @param {number} startX - Flood start X
+ * @param {number} startY - Flood start Y
+ * @returns {Object} { walkable, reached, gridWidth, gridHeight, isReachable(x, y) }
+ */
+export function getReachableArea(rects, roomWidth, roomHeight, startX, startY) {
+    const gridWidth = Math.ceil(roomWidth / GRID_SIZE);
+    const gridHeight = Math.ceil(roomHeight / GRID_SIZE);
+    const blocked = new Set();
+
+    for (let gx = 0; gx < gridWidth; gx++) {
+        for (let gy = 0; gy < gridHeight; gy++) {
+            if (rects.some(rect => cellOverlapsRect(gx, gy, rect))) {
+                blocked.add(`${gx},${gy}`);
+            }
+        }
+    }
+
+    const reachedCells = new Set();
+    const start = worldToGrid(startX, startY);
+    const queue = blocked.has(`${start.gx},${start.gy}`) ? [] : [start];
+    if (queue.length > 0) reachedCells.add(`${start.gx},${start.gy}`);
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const gx = current.gx + dx;
+                const gy = current.gy + dy;
+                const key = `${gx},${gy}`;
+                if (gx < 0 || gy < 0 || gx >= gridWidth || gy >= gridHeight) continue;
+                if (blocked.has(key) || reachedCells.has(key)) continue;
+                reachedCells.add(key);
+                queue.push({ gx, gy });
+            }
+        }
+    }
+
+    return {
+        gridWidth,
+        gridHeight,
+        walkable: gridWidth * gridHeight - blocked.size,
+        reached: reachedCells.size,
+        isReachable: (x, y) => {
+            const cell = worldToGrid(x, y);
+            return reachedCells.has(`${cell.gx},${cell.gy}`);
+        }
+    };
+}
+
 /**
  * Manhattan distance heuristic for A*
  */
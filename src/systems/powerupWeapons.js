@@ -10,6 +10,7 @@
 import { WEAPON_DEFINITIONS } from '../data/weapons.js';
 import { isMultiplayerActive, isHost, broadcastPowerupExpired } from './multiplayerGame.js';
 import { getPermanentUpgradeLevel } from './metaProgression.js';
+import { gameplayRandom } from '../utils/seededRandom.js';
 
 // Powerup weapon definitions
 export const POWERUP_WEAPONS = {
@@ -67,7 +68,7 @@ export function rollPowerupDrop(enemyType, floor = 1) {
         const adjustedChance = powerup.dropChance * floorMultiplier + dropChanceBonus;
         // Cap at 100% chance
         const finalChance = Math.min(adjustedChance, 1.0);
-        if (Math.random() < finalChance) {
+        if (gameplayRandom() < finalChance) {
             return key;
         }
     }
@@ -19,10 +19,14 @@ import { PROGRESSION_CONFIG } from '../config/constants.js';
 import { playLevelUp } from './sounds.js';
 
 // Multiplayer imports
-import { broadcastLevelUpQueued, isHost } from './multiplayerGame.js';
+import { isHost } from './multiplayerGame.js';
+
+// Event imports
+import { emitGameEvent } from './eventBus.js';
 
 // Settings import
 import { getSetting } from './settings.js';
+import { scaleTextSize } from './accessibility.js';
 
 export function setupProgressionSystem(k, player, reviveAllPlayersCallback = null, isMultiplayer = false) {
     let levelUpInProgress = false;
@@ -69,7 +73,7 @@ export function setupProgressionSystem(k, player, reviveAllPlayersCallback = nul
 
         // Show level up notification
         const notification = k.add([
-            k.text(`Level ${level}!`, { size: 24 }),
+            k.text(`Level ${level}!`, { size: scaleTextSize(24) }),
             k.pos(k.width() / 2, PROGRESSION_CONFIG.LEVEL_UP_NOTIFICATION_Y),
             k.anchor('center'),
             k.color(255, 255, 100),
@@ -77,11 +81,11 @@ export function setupProgressionSystem(k, player, reviveAllPlayersCallback = nul
             k.z(1000) // High z-index to show above other UI
         ]);
 
-        // In multiplayer: queue locally and broadcast to sync with others
-        if (isMultiplayer && player.slotIndex !== undefined) {
-            // Broadcast to notify everyone
-            broadcastLevelUpQueued(player.slotIndex, level);
+        // Multiplayer syncs the level up to the party from this event
+        emitGameEvent('playerLeveledUp', { player, level });
 
+        // In multiplayer: queue locally (drafts open after the room is cleared)
+        if (isMultiplayer && player.slotIndex !== undefined) {
             // Both host and client queue locally for their own player
             player.pendingLevelUps.push(level);
         } else {
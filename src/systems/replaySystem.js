@@ -0,0 +1,474 @@
+/**
+ * Replay System
+ *
+ * Records single-player runs as seed + starting loadout + player inputs,
+ * and plays them back by re-running the game scene with those inputs.
+ *
+ * Playback is exact: the game steps on a fixed timestep (frameClock.js), every
+ * gameplay roll comes from the run's seeded RNG (gameplayRandom), and each input
+ * is read back at the same point of the same frame it was used at when recorded.
+ *
+ * A replay is split into rooms (one per game scene load). Each room stores:
+ * - checkpoint: the persistent game state on entry (floor, room, player stats, floor map progress)
+ * - frames: how many frames the room ran for, paused frames included
+ * - moves: run-length encoded move input [frames, moveX, moveY], one per frame the player moved
+ * - aims: run-length encoded aim [frames, aimAngle, firing], one per frame the autofire ran
+ * - events: player actions [frame, type, value] (ability use, pause, level-up draft opened)
+ * - drafts: upgrade draft choices [{ options, pick, frames }] in the order they were made
+ * - keyframes: player position/HP samples [frame, x, y, hp], only used to detect a desync
+ *
+ * Room templates/enemy types are snapshotted once per floor so scrubbing to any
+ * room boundary restores the exact layout, regardless of room template history.
+ */
+
+import { setPermanentUpgradeLevelOverride } from './metaProgression.js';
+import { getSetting, setSettingOverrides } from './settings.js';
+import { FIXED_DT } from './frameClock.js';
+
+// Bumped when the replay format changes (older replays are not playable)
+export const REPLAY_VERSION = 2;
+
+// Frames between player position/HP keyframes
+const KEYFRAME_INTERVAL = 16;
+
+// Gameplay settings that change how a run plays out (playback uses the recorded values)
+const RECORDED_GAMEPLAY_SETTINGS = ['autoPickupHealth', 'autoPickupXP', 'autoPickupCurrency'];
+
+// Playback speeds available in the replay viewer
+export const REPLAY_SPEEDS = [1, 2, 4];
+
+// Active recording (null when not recording)
+let recording = null;
+
+// Active playback (null when not playing back)
+let playback = null;
+
+// ==========================================
+// RECORDING
+// ==========================================
+
+/**
+ * Start recording a new run
+ * @param {Object} header - Run setup
+ * @param {number} header.seed - Run seed (drives floor/room generation and gameplay rolls)
+ * @param {string} header.character - Character key
+ * @param {Object} header.permanentUpgrades - Permanent upgrade levels { upgradeKey: level }
+ * @param {Array} header.boosters - Run boosters consumed at start
+ * @param {boolean} header.isDailyRun - Whether this is a daily run
+ */
+export function startReplayRecording(header) {
+    recording = {
+        version: REPLAY_VERSION,
+        seed: header.seed,
+        character: header.character,
+        permanentUpgrades: { ...(header.permanentUpgrades || {}) },
+        boosters: header.boosters ? [...header.boosters] : [],
+        isDailyRun: !!header.isDailyRun,
+        settings: {
+            gameplay: Object.fromEntries(RECORDED_GAMEPLAY_SETTINGS.map(key => [key, getSetting('gameplay', key)])),
+            // Hit freeze pauses the game for a moment (reduced motion turns it off)
+            visual: { showHitFreeze: !!getSetting('visual', 'showHitFreeze') && !getSetting('accessibility', 'reducedMotion') }
+        },
+        floors: {},
+        rooms: [],
+        totalFrames: 0
+    };
+}
+
+/**
+ * Discard the current recording (run abandoned or not recordable)
+ */
+export function cancelReplayRecording() {
+    recording = null;
+}
+
+/**
+ * Check if a run is being recorded
+ * @returns {boolean}
+ */
+export function isReplayRecording() {
+    return recording !== null;
+}
+
+/**
+ * Mark a room boundary. Call once per game scene load, before any frames are recorded.
+ * @param {Object} checkpoint - Persistent game state on room entry (must be JSON-safe)
+ * @param {Object} floorLayout - Floor map layout snapshot (stored once per floor)
+ */
+export function beginReplayRoom(checkpoint, floorLayout = null) {
+    if (!recording) return;
+
+    if (floorLayout && !recording.floors[checkpoint.floor]) {
+        recording.floors[checkpoint.floor] = floorLayout;
+    }
+
+    recording.rooms.push({
+        floor: checkpoint.floor,
+        room: checkpoint.room,
+        checkpoint: JSON.parse(JSON.stringify(checkpoint)),
+        frames: 0,
+        moves: [],
+        aims: [],
+        events: [],
+        drafts: [],
+        keyframes: []
+    });
+}
+
+/**
+ * Get the room being recorded
+ */
+function getRecordingRoom() {
+    return recording ? recording.rooms[recording.rooms.length - 1] || null : null;
+}
+
+/**
+ * Append a value to a run-length encoded stream ([frames, ...values] segments)
+ */
+function appendSegment(segments, values) {
+    const last = segments[segments.length - 1];
+    if (last && values.every((value, i) => value === last[i + 1])) {
+        last[0]++;
+    } else {
+        segments.push([1, ...values]);
+    }
+}
+
+/**
+ * Turn a recorded angle (degrees) back into a unit direction
+ */
+function angleToDirection(angle) {
+    const rad = angle * (Math.PI / 180);
+    return { x: Math.cos(rad), y: Math.sin(rad) };
+}
+
+/**
+ * Record the move input the player uses this frame
+ * Input is rounded so identical frames compress; the caller moves by the
+ * returned value, which is exactly what playback will hand back.
+ * @param {Object} move - Move direction { x, y }
+ * @returns {Object} Rounded move direction { x, y }
+ */
+export function recordReplayMove(move) {
+    const x = Math.round((move.x || 0) * 100) / 100;
+    const y = Math.round((move.y || 0) * 100) / 100;
+    const room = getRecordingRoom();
+    if (room) appendSegment(room.moves, [x, y]);
+    return { x, y };
+}
+
+/**
+ * Record the aim the autofire uses this frame
+ * @param {number} aimAngle - Aim angle (degrees)
+ * @param {boolean} firing - Whether the player is aiming (and so firing)
+ * @returns {number} Rounded aim angle, the one playback will hand back
+ */
+export function recordReplayAim(aimAngle, firing) {
+    const angle = Math.round(aimAngle || 0);
+    const room = getRecordingRoom();
+    if (room) appendSegment(room.aims, [angle, firing ? 1 : 0]);
+    return angle;
+}
+
+/**
+ * Record a player action applied this frame
+ * @param {string} type - 'pause' (value 1/0), 'levelUp' or 'ability' (see recordReplayAbility)
+ * @param {number} value - Action value
+ */
+export function recordReplayEvent(type, value = 1) {
+    const room = getRecordingRoom();
+    if (room) room.events.push([room.frames, type, value]);
+}
+
+/**
+ * Record an active ability use this frame
+ * @param {Object} direction - Direction the ability is used in ({ x, y })
+ * @returns {Object} Direction rebuilt from the recorded angle, the one playback will use
+ */
+export function recordReplayAbility(direction) {
+    const angle = Math.round(Math.atan2(direction.y, direction.x) * (180 / Math.PI));
+    recordReplayEvent('ability', angle);
+    return angleToDirection(angle);
+}
+
+/**
+ * Record an upgrade draft choice in the current room
+ * @param {Array<string>} options - Upgrade keys shown on the cards
+ * @param {string|null} pick - Upgrade key chosen (null when the draft was skipped)
+ * @param {string|null} skip - Skip reward taken instead of a pick ('credits' or 'xp')
+ * @param {Array<string>|null} rarities - Rarity of each card, in the same order as options
+ * @param {number} frames - Frames the draft was open before the choice was made
+ */
+export function recordReplayDraft(options, pick, skip = null, rarities = null, frames = 0) {
+    const room = getRecordingRoom();
+    if (!room) return;
+    const draft = { options: [...options], pick, frames };
+    if (skip) draft.skip = skip;
+    if (rarities) draft.rarities = [...rarities];
+    room.drafts.push(draft);
+}
+
+/**
+ * End the current frame (call once per frame, after this frame's actions)
+ * @param {Object} player - Local player (sampled for keyframes)
+ */
+export function recordReplayFrame(player) {
+    const room = getRecordingRoom();
+    if (!room) return;
+
+    if (room.frames % KEYFRAME_INTERVAL === 0) {
+        room.keyframes.push([
+            room.frames,
+            Math.round(player.pos.x * 10) / 10,
+            Math.round(player.pos.y * 10) / 10,
+            Math.round(player.hp())
+        ]);
+    }
+
+    room.frames++;
+    recording.totalFrames++;
+}
+
+/**
+ * Stop recording and return the finished replay (compact, JSON-safe)
+ * @returns {Object|null} Replay data, or null if nothing was recorded
+ */
+export function finishReplayRecording() {
+    if (!recording || recording.rooms.length === 0) {
+        recording = null;
+        return null;
+    }
+
+    const replay = {
+        ...recording,
+        rooms: recording.rooms.map(room => ({
+            ...room,
+            duration: Math.round(room.frames * FIXED_DT * 1000)
+        }))
+    };
+    replay.duration = replay.rooms.reduce((total, room) => total + room.duration, 0);
+
+    recording = null;
+    return replay;
+}
+
+// ==========================================
+// PLAYBACK
+// ==========================================
+
+/**
+ * Check whether a replay can be played in this version of the game
+ * @param {Object} replay - Replay data
+ * @returns {boolean}
+ */
+export function isReplayPlayable(replay) {
+    return !!replay && replay.version === REPLAY_VERSION && Array.isArray(replay.rooms) && replay.rooms.length > 0;
+}
+
+/**
+ * Start playing a replay. Recorded permanent upgrade levels and gameplay
+ * settings stand in for the viewer's own until playback stops.
+ * @param {Object} replay - Replay data
+ * @param {number} roomIndex - Room to start from (0 = start of run)
+ */
+export function startReplayPlayback(replay, roomIndex = 0) {
+    recording = null;
+    playback = {
+        replay,
+        roomIndex: 0,
+        speedIndex: playback?.speedIndex || 0,
+        paused: false
+    };
+    setPermanentUpgradeLevelOverride(replay.permanentUpgrades);
+    setSettingOverrides(replay.settings || null);
+    seekReplayRoom(roomIndex);
+}
+
+/**
+ * Stop playback and restore the viewer's own permanent upgrades and settings
+ */
+export function stopReplayPlayback() {
+    playback = null;
+    setPermanentUpgradeLevelOverride(null);
+    setSettingOverrides(null);
+}
+
+/**
+ * Check if a replay is currently playing
+ * @returns {boolean}
+ */
+export function isReplayPlayback() {
+    return playback !== null;
+}
+
+/**
+ * Get the replay being played
+ * @returns {Object|null}
+ */
+export function getPlaybackReplay() {
+    return playback ? playback.replay : null;
+}
+
+/**
+ * Get the index of the room being played
+ * @returns {number}
+ */
+export function getPlaybackRoomIndex() {
+    return playback ? playback.roomIndex : -1;
+}
+
+/**
+ * Get the recorded room being played
+ * @returns {Object|null}
+ */
+export function getPlaybackRoom() {
+    return playback ? playback.replay.rooms[playback.roomIndex] || null : null;
+}
+
+/**
+ * Jump playback to the start of a room (call before reloading the game scene)
+ * @param {number} roomIndex - Room index in the replay
+ * @returns {boolean} True if the room exists
+ */
+export function seekReplayRoom(roomIndex) {
+    if (!playback || roomIndex < 0 || roomIndex >= playback.replay.rooms.length) return false;
+
+    playback.roomIndex = roomIndex;
+    playback.frame = 0;
+    playback.moves = { index: 0, used: 0 };
+    playback.aims = { index: 0, used: 0 };
+    playback.eventIndex = 0;
+    playback.keyframeIndex = 0;
+    playback.draftIndex = 0;
+    return true;
+}
+
+/**
+ * Advance to the next recorded room (the player walked through a door)
+ * @returns {boolean} False if the replay has no more rooms
+ */
+export function advanceReplayRoom() {
+    return playback ? seekReplayRoom(playback.roomIndex + 1) : false;
+}
+
+/**
+ * Read the next value of a run-length encoded stream (null past its end)
+ */
+function readSegment(segments, cursor) {
+    const segment = segments[cursor.index];
+    if (!segment) return null;
+    cursor.used++;
+    if (cursor.used >= segment[0]) {
+        cursor.index++;
+        cursor.used = 0;
+    }
+    return segment;
+}
+
+/**
+ * Get the move input for this frame (read where recordReplayMove was called)
+ * @returns {Object} Move direction { x, y }
+ */
+export function nextReplayMove() {
+    const room = getPlaybackRoom();
+    const segment = room ? readSegment(room.moves, playback.moves) : null;
+    return segment ? { x: segment[1], y: segment[2] } : { x: 0, y: 0 };
+}
+
+/**
+ * Get the aim for this frame (read where recordReplayAim was called)
+ * @returns {Object} { aimAngle, firing }
+ */
+export function nextReplayAim() {
+    const room = getPlaybackRoom();
+    const segment = room ? readSegment(room.aims, playback.aims) : null;
+    return segment ? { aimAngle: segment[1], firing: segment[2] === 1 } : { aimAngle: 0, firing: false };
+}
+
+/**
+ * Advance playback by one frame and get the actions applied on it
+ * (call once per frame, where recordReplayFrame was called)
+ * @returns {Object|null} { events, keyframe, ended }
+ *   events are { type, value } in recorded order; an ability's value is its direction { x, y }
+ *   keyframe is the recorded { x, y, hp } to check the player against, or null
+ */
+export function advanceReplayPlayback() {
+    const room = getPlaybackRoom();
+    if (!room) return null;
+
+    const frame = playback.frame;
+    const events = [];
+    while (playback.eventIndex < room.events.length && room.events[playback.eventIndex][0] <= frame) {
+        const [, type, value] = room.events[playback.eventIndex++];
+        events.push({ type, value: type === 'ability' ? angleToDirection(value) : value });
+    }
+
+    let keyframe = null;
+    const recorded = room.keyframes[playback.keyframeIndex];
+    if (recorded && recorded[0] === frame) {
+        keyframe = { x: recorded[1], y: recorded[2], hp: recorded[3] };
+        playback.keyframeIndex++;
+    }
+
+    const ended = frame >= room.frames;
+    if (!ended) playback.frame++;
+    return { events, keyframe, ended };
+}
+
+/**
+ * Take the next recorded upgrade draft for the current room
+ * @returns {Object|null} { options, pick, frames, skip?, rarities? }
+ */
+export function takeReplayDraft() {
+    const room = getPlaybackRoom();
+    if (!room || playback.draftIndex >= room.drafts.length) return null;
+    return room.drafts[playback.draftIndex++];
+}
+
+/**
+ * Get playback progress through the whole run
+ * @returns {Object} { elapsed, duration } in seconds
+ */
+export function getReplayProgress() {
+    if (!playback) return { elapsed: 0, duration: 0 };
+    const rooms = playback.replay.rooms;
+    const before = rooms.slice(0, playback.roomIndex).reduce((total, room) => total + room.frames, 0);
+    return {
+        elapsed: (before + playback.frame) * FIXED_DT,
+        duration: (playback.replay.duration || 0) / 1000
+    };
+}
+
+/**
+ * Get the current playback speed multiplier
+ * @returns {number}
+ */
+export function getReplaySpeed() {
+    return playback ? REPLAY_SPEEDS[playback.speedIndex] : 1;
+}
+
+/**
+ * Cycle to the next playback speed (1x -> 2x -> 4x -> 1x)
+ * @returns {number} New speed
+ */
+export function cycleReplaySpeed() {
+    if (!playback) return 1;
+    playback.speedIndex = (playback.speedIndex + 1) % REPLAY_SPEEDS.length;
+    return getReplaySpeed();
+}
+
+/**
+ * Check if playback is paused
+ * @returns {boolean}
+ */
+export function isReplayPaused() {
+    return playback ? playback.paused : false;
+}
+
+/**
+ * Pause or resume playback
+ * @param {boolean} paused
+ */
+export function setReplayPaused(paused) {
+    if (playback) playback.paused = paused;
+}
@@ -0,0 +1,389 @@
+/**
+ * Room Editor System
+ *
+ * Dev-only helpers behind the room editor scene (scenes/roomEditor.js):
+ * - Draft layouts that survive a trip into a playtest and back
+ * - Grid snapping and piece hit-testing
+ * - Validation against the room bounds, spawn safe zones and pathfinding walkability
+ * - Export as a ROOM_TEMPLATES entry to paste into roomGeneration.js
+ * - Playtest handoff to the game scene
+ */
+
+import { ROOM_TEMPLATES, constrainObstacleToRoom } from './roomGeneration.js';
+import { getReachableArea } from './pathfinding.js';
+import { ENEMY_TYPES } from '../data/enemies.js';
+
+// Room configuration (matches roomGeneration.js and the game scene)
+const ROOM_WIDTH = 800;
+const ROOM_HEIGHT = 600;
+const ROOM_MARGIN = 20;
+const SAFE_ZONE_RADIUS = 80; // Obstacles this close to the spawn or entrance door are skipped in game
+const BARREL_RADIUS = 10;
+
+// Placement snaps to this many pixels
+export const EDITOR_GRID_SIZE = 10;
+
+// Smallest obstacle side the editor allows
+const MIN_OBSTACLE_SIZE = 10;
+
+// Placeable pieces, with the size new obstacles start at
+export const EDITOR_PIECES = {
+    wall: { name: 'Wall', type: 'wall', char: '█', width: 30, height: 120 },
+    cover: { name: 'Cover', type: 'cover', char: '▣', width: 50, height: 50 },
+    barrel: { name: 'Barrel' }
+};
+
+// Where players spawn when entering through each door (game scene doorMargin = 30)
+export const EDITOR_DOORS = {
+    north: { x: ROOM_WIDTH / 2, y: 30 },
+    south: { x: ROOM_WIDTH / 2, y: ROOM_HEIGHT - 30 },
+    west: { x: 30, y: ROOM_HEIGHT / 2 },
+    east: { x: ROOM_WIDTH - 30, y: ROOM_HEIGHT / 2 }
+};
+
+// Default playtest settings
+const DEFAULT_PLAYTEST_ENEMIES = ['basic'];
+const DEFAULT_PLAYTEST_ENEMY_COUNT = 12;
+
+// Draft being edited (kept across scene changes) and the playtest in progress
+let editorDraft = null;
+let roomPlaytest = null;
+
+/**
+ * Create an empty draft
+ * @param {string} name - Display name
+ * @returns {Object} Draft in ROOM_TEMPLATES shape, plus its key
+ */
+export function createEmptyDraft(name = 'New Room') {
+    return {
+        key: toTemplateKey(name),
+        name,
+        obstacles: [],
+        barrels: [],
+        spawnDoors: null,
+        floorAffinity: null,
+        playtestEnemies: [...DEFAULT_PLAYTEST_ENEMIES],
+        playtestEnemyCount: DEFAULT_PLAYTEST_ENEMY_COUNT
+    };
+}
+
+/**
+ * Create a draft from an existing template (deep copy)
+ * @param {string} key - ROOM_TEMPLATES key
+ * @returns {Object|null}
+ */
+export function createDraftFromTemplate(key) {
+    const template = ROOM_TEMPLATES[key];
+    if (!template) return null;
+    return {
+        ...createEmptyDraft(template.name),
+        key,
+        obstacles: template.obstacles.map(obs => ({ ...obs })),
+        barrels: (template.barrels || []).map(barrel => ({ ...barrel })),
+        spawnDoors: template.spawnDoors ?? null,
+        floorAffinity: template.floorAffinity ? [...template.floorAffinity] : null
+    };
+}
+
+/**
+ * Get the draft being edited (starts an empty one if needed)
+ * @returns {Object}
+ */
+export function getEditorDraft() {
+    if (!editorDraft) editorDraft = createEmptyDraft();
+    return editorDraft;
+}
+
+/**
+ * Replace the draft being edited
+ * @param {Object} draft
+ */
+export function setEditorDraft(draft) {
+    editorDraft = draft;
+}
+
+/**
+ * Turn a display name into a template key ("Twin Pillars" -> "twinPillars")
+ * @param {string} name
+ * @returns {string}
+ */
+export function toTemplateKey(name) {
+    const words = String(name).replace(/[^a-zA-Z0-9 ]/g, ' ').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return 'customRoom';
+    const key = words.map((word, index) => index === 0
+        ? word[0].toLowerCase() + word.slice(1)
+        : word[0].toUpperCase() + word.slice(1)).join('');
+    return /^[0-9]/.test(key) ? `room${key}` : key;
+}
+
+/**
+ * Snap a coordinate to the editor grid
+ * @param {number} value
+ * @returns {number}
+ */
+export function snapToGrid(value) {
+    return Math.round(value / EDITOR_GRID_SIZE) * EDITOR_GRID_SIZE;
+}
+
+/**
+ * Add a piece at a position (snapped)
+ * @param {Object} draft
+ * @param {string} pieceKey - EDITOR_PIECES key
+ * @param {number} x
+ * @param {number} y
+ * @returns {Object|null} { kind, index } of the new piece
+ */
+export function addPiece(draft, pieceKey, x, y) {
+    const piece = EDITOR_PIECES[pieceKey];
+    if (!piece) return null;
+
+    if (pieceKey === 'barrel') {
+        draft.barrels.push({ x: snapToGrid(x), y: snapToGrid(y) });
+        return { kind: 'barrel', index: draft.barrels.length - 1 };
+    }
+
+    draft.obstacles.push({
+        x: snapToGrid(x),
+        y: snapToGrid(y),
+        width: piece.width,
+        height: piece.height,
+        type: piece.type,
+        char: piece.char
+    });
+    return { kind: 'obstacle', index: draft.obstacles.length - 1 };
+}
+
+/**
+ * Find the piece under a point (barrels first, they draw on top)
+ * @param {Object} draft
+ * @param {number} x
+ * @param {number} y
+ * @returns {Object|null} { kind, index }
+ */
+export function findPieceAt(draft, x, y) {
+    for (let i = draft.barrels.length - 1; i >= 0; i--) {
+        const barrel = draft.barrels[i];
+        if (Math.hypot(barrel.x - x, barrel.y - y) <= BARREL_RADIUS) {
+            return { kind: 'barrel', index: i };
+        }
+    }
+    for (let i = draft.obstacles.length - 1; i >= 0; i--) {
+        const obs = draft.obstacles[i];
+        if (Math.abs(obs.x - x) <= obs.width / 2 && Math.abs(obs.y - y) <= obs.height / 2) {
+            return { kind: 'obstacle', index: i };
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the draft entry for a selection
+ * @param {Object} draft
+ * @param {Object} selection - { kind, index }
+ * @returns {Object|null}
+ */
+export function getPiece(draft, selection) {
+    if (!selection) return null;
+    const list = selection.kind === 'barrel' ? draft.barrels : draft.obstacles;
+    return list[selection.index] || null;
+}
+
+/**
+ * Move a piece (snapped)
+ */
+export function movePiece(draft, selection, x, y) {
+    const piece = getPiece(draft, selection);
+    if (!piece) return;
+    piece.x = snapToGrid(x);
+    piece.y = snapToGrid(y);
+}
+
+/**
+ * Remove a piece
+ */
+export function removePiece(draft, selection) {
+    if (!getPiece(draft, selection)) return;
+    const list = selection.kind === 'barrel' ? draft.barrels : draft.obstacles;
+    list.splice(selection.index, 1);
+}
+
+/**
+ * Grow or shrink an obstacle by grid steps
+ * @param {Object} draft
+ * @param {Object} selection
+ * @param {number} widthSteps
+ * @param {number} heightSteps
+ */
+export function resizeObstacle(draft, selection, widthSteps, heightSteps) {
+    if (selection?.kind !== 'obstacle') return;
+    const obs = getPiece(draft, selection);
+    if (!obs) return;
+    obs.width = Math.max(MIN_OBSTACLE_SIZE, obs.width + widthSteps * EDITOR_GRID_SIZE);
+    obs.height = Math.max(MIN_OBSTACLE_SIZE, obs.height + heightSteps * EDITOR_GRID_SIZE);
+}
+
+/**
+ * Describe a piece for validation messages ("Wall #2")
+ */
+function describeObstacle(obs, index) {
+    return `${obs.type === 'wall' ? 'Wall' : 'Cover'} #${index + 1}`;
+}
+
+/**
+ * Check a draft the way the game will build it
+ * @param {Object} draft
+ * @returns {Array<Object>} Issues as { level: 'error' | 'warning', message }
+ */
+export function validateDraft(draft) {
+    const issues = [];
+
+    // Bounds: the game clamps obstacles inside the walls with constrainObstacleToRoom
+    const placed = draft.obstacles.map((obs, index) => {
+        const constrained = constrainObstacleToRoom(obs.x, obs.y, obs.width, obs.height);
+        if (constrained.x !== obs.x || constrained.y !== obs.y) {
+            issues.push({
+                level: 'error',
+                message: `${describeObstacle(obs, index)} pokes outside the room (game moves it to ${constrained.x}, ${constrained.y})`
+            });
+        }
+        return { x: constrained.x, y: constrained.y, width: obs.width, height: obs.height };
+    });
+
+    // Safe zones: obstacles near the spawn point or entrance door are skipped
+    draft.obstacles.forEach((obs, index) => {
+        const radius = SAFE_ZONE_RADIUS + Math.max(obs.width, obs.height) / 2;
+        if (Math.hypot(obs.x - ROOM_WIDTH / 2, obs.y - ROOM_HEIGHT / 2) < radius) {
+            issues.push({ level: 'warning', message: `${describeObstacle(obs, index)} is skipped when a run starts here (center spawn)` });
+        }
+        Object.entries(EDITOR_DOORS).forEach(([direction, door]) => {
+            if (Math.hypot(obs.x - door.x, obs.y - door.y) < radius) {
+                issues.push({ level: 'warning', message: `${describeObstacle(obs, index)} is skipped when entering from the ${direction} door` });
+            }
+        });
+    });
+
+    // Walkability: enemies enter from every door, so the doors must connect on the pathfinding grid
+    const doors = Object.entries(EDITOR_DOORS);
+    // Measure from the door with the most open floor so one boxed-in door doesn't flag the rest
+    const area = doors
+        .map(([, door]) => getReachableArea(placed, ROOM_WIDTH, ROOM_HEIGHT, door.x, door.y))
+        .reduce((best, reachable) => (reachable.reached > best.reached ? reachable : best));
+    if (area.reached > 0) {
+        const [anchorDirection] = doors.find(([, door]) => area.isReachable(door.x, door.y));
+        doors.forEach(([direction, door]) => {
+            if (!area.isReachable(door.x, door.y)) {
+                issues.push({ level: 'error', message: `The ${direction} door can't path to the ${anchorDirection} door` });
+            }
+        });
+        const sealedCells = area.walkable - area.reached;
+        if (sealedCells > 0) {
+            issues.push({ level: 'warning', message: `${sealedCells} walkable grid cell(s) are sealed off from the doors` });
+        }
+    } else {
+        issues.push({ level: 'error', message: 'Every door is blocked' });
+    }
+
+    // Barrels: inside the room and not buried in an obstacle
+    draft.barrels.forEach((barrel, index) => {
+        if (barrel.x < ROOM_MARGIN + BARREL_RADIUS || barrel.x > ROOM_WIDTH - ROOM_MARGIN - BARREL_RADIUS ||
+            barrel.y < ROOM_MARGIN + BARREL_RADIUS || barrel.y > ROOM_HEIGHT - ROOM_MARGIN - BARREL_RADIUS) {
+            issues.push({ level: 'error', message: `Barrel #${index + 1} is outside the room` });
+        } else if (placed.some(rect => Math.abs(rect.x - barrel.x) < rect.width / 2 + BARREL_RADIUS &&
+            Math.abs(rect.y - barrel.y) < rect.height / 2 + BARREL_RADIUS)) {
+            issues.push({ level: 'warning', message: `Barrel #${index + 1} overlaps an obstacle` });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Build the ROOM_TEMPLATES-shaped object for a draft
+ * @param {Object} draft
+ * @returns {Object}
+ */
+export function draftToTemplate(draft) {
+    return {
+        name: draft.name,
+        obstacles: draft.obstacles.map(({ x, y, width, height, type, char }) => ({ x, y, width, height, type, char })),
+        barrels: draft.barrels.map(({ x, y }) => ({ x, y })),
+        spawnDoors: draft.spawnDoors ?? null,
+        floorAffinity: draft.floorAffinity ? [...draft.floorAffinity] : null
+    };
+}
+
+/**
+ * Export a draft as source for ROOM_TEMPLATES, formatted like the hand-written entries
+ * @param {Object} draft
+ * @returns {string}
+ */
+export function exportTemplate(draft) {
+    const template = draftToTemplate(draft);
+    const indent = '    ';
+    const list = (items, format) => items.length === 0
+        ? '[]'
+        : `[\n${items.map(item => `${indent.repeat(3)}${format(item)}`).join(',\n')}\n${indent.repeat(2)}]`;
+
+    const obstacles = list(template.obstacles, obs =>
+        `{ x: ${obs.x}, y: ${obs.y}, width: ${obs.width}, height: ${obs.height}, type: '${obs.type}', char: '${obs.char}' }`);
+    const barrels = list(template.barrels, barrel => `{ x: ${barrel.x}, y: ${barrel.y} }`);
+    const affinity = template.floorAffinity ? `[${template.floorAffinity.join(', ')}]` : 'null';
+
+    return [
+        `${indent}${toTemplateKey(draft.key || draft.name)}: {`,
+        `${indent.repeat(2)}name: '${template.name.replace(/'/g, "\\'")}',`,
+        `${indent.repeat(2)}obstacles: ${obstacles},`,
+        `${indent.repeat(2)}barrels: ${barrels},`,
+        `${indent.repeat(2)}spawnDoors: ${template.spawnDoors ? JSON.stringify(template.spawnDoors) : 'null'},`,
+        `${indent.repeat(2)}floorAffinity: ${affinity}`,
+        `${indent}},`
+    ].join('\n');
+}
+
+/**
+ * Enemy types offered for playtests
+ * @returns {Array<string>}
+ */
+export function getEditorEnemyTypes() {
+    return Object.keys(ENEMY_TYPES);
+}
+
+/**
+ * Hand a draft to the game scene as a one-room playtest
+ * @param {Object} draft
+ */
+export function startRoomPlaytest(draft) {
+    const enemyTypes = draft.playtestEnemies.length > 0 ? [...draft.playtestEnemies] : [...DEFAULT_PLAYTEST_ENEMIES];
+    roomPlaytest = {
+        template: { key: draft.key, ...draftToTemplate(draft) },
+        enemyTypes,
+        enemyCount: draft.playtestEnemyCount,
+        floor: draft.floorAffinity?.[0] ?? 1
+    };
+}
+
+/**
+ * Get the playtest in progress (null in normal runs)
+ * @returns {Object|null}
+ */
+export function getRoomPlaytest() {
+    return roomPlaytest;
+}
+
+/**
+ * End the playtest (the editor calls this when it reopens)
+ */
+export function stopRoomPlaytest() {
+    roomPlaytest = null;
+}
+
+/**
+ * Pick the next playtest enemy type
+ * @param {Object} rng - Optional seeded RNG
+ * @returns {string}
+ */
+export function getPlaytestEnemyType(rng = null) {
+    const types = roomPlaytest?.enemyTypes || DEFAULT_PLAYTEST_ENEMIES;
+    const roll = rng ? rng.next() : Math.random();
+    return types[Math.floor(roll * types.length)];
+}
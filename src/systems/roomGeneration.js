@@ -383,8 +383,9 @@ export function getFloorColors(k, floor) {
         }
     };
 
-    // Get palette for current floor (default to void for floor 5+)
-    const palette = floorPalettes[Math.min(floor, 5)] || floorPalettes[5];
+    // Get palette for current floor (floors past 5 rotate, like the floor themes)
+    const paletteCount = Object.keys(floorPalettes).length;
+    const palette = floorPalettes[((Math.max(1, floor) - 1) % paletteCount) + 1];
 
     return {
         wallColor: k.rgb(...palette.wall),
@@ -458,13 +459,13 @@ export function getWeightedRoomTemplate(floor, rng = null) {
 
 /**
  * Get barrel spawn positions for a room template
- * @param {string} templateKey - Template key
+ * @param {string|Object} templateKey - Template key, or a template object (room editor playtests)
  * @param {SeededRandom} rng - Optional seeded RNG
  * @param {number} floor - Floor number (affects barrel count)
  * @returns {Array} - Array of {x, y} barrel positions
  */
 export function getBarrelPositions(templateKey, rng = null, floor = 1) {
-    const template = ROOM_TEMPLATES[templateKey];
+    const template = typeof templateKey === 'object' ? templateKey : ROOM_TEMPLATES[templateKey];
     if (!template || !template.barrels || template.barrels.length === 0) {
         return [];
     }
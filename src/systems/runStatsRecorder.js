@@ -0,0 +1,93 @@
+/**
+ * Run Statistics Recorder
+ *
+ * Fills the run's statistics from game events instead of from each call site:
+ * - Kills, kills by type, miniboss and boss counts (enemyKilled)
+ * - Per-player kills, boss kills, damage dealt and damage taken
+ * - Rooms cleared, XP orbs collected and credits picked up (or taken for a draft skip)
+ *
+ * The shared run stats feed the results screen, the leaderboards and the
+ * shop room wallet (creditsCollected); per-player stats feed the party
+ * breakdown on game over.
+ */
+
+import { onGameEvent } from './eventBus.js';
+
+/**
+ * Start recording run statistics for the current game scene
+ * @param {Object} options - Where the stats live
+ * @param {Function} options.getRunStats - Returns the shared run stats object
+ * @param {Array<Object>} options.players - Players by slot index
+ * @param {Object} options.localPlayer - Credited when a kill has no known killer
+ * @returns {Function} Call to stop recording
+ */
+export function startRunStatsRecorder({ getRunStats, players, localPlayer }) {
+    // Player in the given slot, or the local player when the slot is unknown
+    const creditedPlayer = (slotIndex) => {
+        const slotPlayer = slotIndex !== undefined ? players[slotIndex] : null;
+        return slotPlayer?.runStats ? slotPlayer : localPlayer;
+    };
+
+    const unsubscribers = [
+        onGameEvent('enemyKilled', ({ kind, enemyType, killerSlot }) => {
+            const runStats = getRunStats();
+            runStats.enemiesKilled++;
+            runStats.killsByType[enemyType] = (runStats.killsByType[enemyType] || 0) + 1;
+            if (kind === 'miniboss') {
+                runStats.minibossesKilled = (runStats.minibossesKilled || 0) + 1;
+            } else if (kind === 'boss') {
+                runStats.bossesKilled++;
+            }
+
+            const killer = creditedPlayer(killerSlot);
+            if (killer?.runStats) {
+                killer.runStats.kills++;
+                if (kind === 'boss') killer.runStats.bossesKilled++;
+            }
+        }),
+
+        // Credit every resolved hit to the player who dealt it
+        onGameEvent('damageResolved', (result) => {
+            const dealer = players[result.ownerSlotIndex];
+            if (result.targetType !== 'barrel' && dealer?.runStats) {
+                dealer.runStats.damageDealt += result.damage;
+            }
+        }),
+
+        onGameEvent('playerDamaged', ({ player, amount }) => {
+            if (amount > 0 && player.runStats) {
+                player.runStats.damageTaken = (player.runStats.damageTaken || 0) + amount;
+            }
+        }),
+
+        onGameEvent('roomCleared', () => {
+            getRunStats().roomsCleared++;
+        }),
+
+        onGameEvent('pickupCollected', ({ player, pickupType, value }) => {
+            const runStats = getRunStats();
+            if (pickupType === 'xp') {
+                // Counted for the xpHoarder achievement
+                runStats.xpOrbsCollected = (runStats.xpOrbsCollected || 0) + 1;
+            } else if (pickupType === 'credits') {
+                if (player?.runStats) {
+                    player.runStats.creditsPickedUp += value;
+                }
+                // Fill the shared run wallet spent in shop rooms
+                runStats.creditsCollected = (runStats.creditsCollected || 0) + value;
+            }
+        }),
+
+        // Skipping a draft for credits counts like picking them up
+        onGameEvent('upgradeDraftSkipped', ({ player, reward, amount }) => {
+            if (reward !== 'credits') return;
+            if (player?.runStats) {
+                player.runStats.creditsPickedUp += amount;
+            }
+            const runStats = getRunStats();
+            runStats.creditsCollected = (runStats.creditsCollected || 0) + amount;
+        })
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
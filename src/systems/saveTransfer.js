@@ -0,0 +1,186 @@
+/**
+ * Save Transfer
+ *
+ * Moves progress between machines. The save, settings and tutorial progress
+ * are exported together as one bundle:
+ *   { format, saveVersion, exportedAt, data: { save, settings, tutorial }, checksum }
+ *
+ * - Export as a downloadable .json file, or as a base64 string of the same JSON
+ * - Import accepts either form, rejects bundles whose checksum doesn't match,
+ *   and runs the save through migrateSave() so older exports keep working
+ * - Raw save JSON copied by older versions of the game (no bundle) is still accepted
+ */
+
+import { loadSave, saveGame, migrateSave, SAVE_VERSION } from './metaProgression.js';
+import { getSettings, saveSettings } from './settings.js';
+import { loadTutorialProgress, saveTutorialProgress } from './tutorial.js';
+import { reloadBindings } from './keyBindings.js';
+import { applyAccessibilitySettings } from './accessibility.js';
+
+const BUNDLE_FORMAT = 'superSmashTexty-save';
+
+// Player-facing messages for import failure reasons
+export const IMPORT_ERROR_MESSAGES = {
+    invalidFormat: 'Not a SuperSmashTexty save',
+    checksumMismatch: 'Save data is corrupted (checksum mismatch)',
+    newerVersion: 'Save is from a newer version of the game'
+};
+
+/**
+ * Checksum for detecting corrupted or hand-edited exports (FNV-1a, 32-bit)
+ * @param {string} text - Text to hash
+ * @returns {string} 8-digit hex checksum
+ */
+export function computeChecksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// UTF-8 safe base64 (player names and currency symbols aren't ASCII)
+function toBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    // Chunked so large saves don't overflow the argument limit
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text.replace(/\s+/g, ''));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Build an export bundle from the current save, settings and tutorial progress
+ * @returns {Object} Save bundle
+ */
+export function createSaveBundle() {
+    const data = {
+        save: loadSave(),
+        settings: getSettings(),
+        tutorial: loadTutorialProgress()
+    };
+    return {
+        format: BUNDLE_FORMAT,
+        saveVersion: SAVE_VERSION,
+        exportedAt: Date.now(),
+        data,
+        checksum: computeChecksum(JSON.stringify(data))
+    };
+}
+
+/**
+ * Export as JSON text (for the downloadable file)
+ * @returns {string}
+ */
+export function exportSaveJSON() {
+    return JSON.stringify(createSaveBundle(), null, 2);
+}
+
+/**
+ * Export as a single base64 string (for copy/paste)
+ * @returns {string}
+ */
+export function exportSaveString() {
+    return toBase64(JSON.stringify(createSaveBundle()));
+}
+
+/**
+ * Parse and validate exported save text without applying it
+ * @param {string} text - Bundle JSON, base64 string, or legacy raw save JSON
+ * @returns {Object} { success, data } or { success: false, reason }
+ */
+export function parseSaveExport(text) {
+    let parsed;
+    try {
+        const trimmed = (text || '').trim();
+        parsed = JSON.parse(trimmed.startsWith('{') ? trimmed : fromBase64(trimmed));
+    } catch (e) {
+        return { success: false, reason: 'invalidFormat' };
+    }
+    if (!parsed || typeof parsed !== 'object') {
+        return { success: false, reason: 'invalidFormat' };
+    }
+
+    // Raw save copied by older versions (no settings, tutorial or checksum)
+    if (parsed.format === undefined && parsed.unlocks && parsed.stats) {
+        parsed = { format: BUNDLE_FORMAT, saveVersion: parsed.version || 1, data: { save: parsed } };
+    } else if (parsed.format !== BUNDLE_FORMAT || !parsed.data?.save) {
+        return { success: false, reason: 'invalidFormat' };
+    } else if (computeChecksum(JSON.stringify(parsed.data)) !== parsed.checksum) {
+        return { success: false, reason: 'checksumMismatch' };
+    }
+
+    if ((parsed.data.save.version || 1) > SAVE_VERSION) {
+        return { success: false, reason: 'newerVersion' };
+    }
+
+    return { success: true, data: parsed.data };
+}
+
+/**
+ * Import exported save text, replacing the current save, settings and tutorial progress
+ * @param {string} text - Bundle JSON, base64 string, or legacy raw save JSON
+ * @returns {Object} { success } or { success: false, reason } (see IMPORT_ERROR_MESSAGES)
+ */
+export function importSaveData(text) {
+    const result = parseSaveExport(text);
+    if (!result.success) return result;
+
+    const { save, settings, tutorial } = result.data;
+    saveGame(migrateSave(save));
+    if (settings) {
+        saveSettings(settings);
+        reloadBindings();
+        applyAccessibilitySettings();
+    }
+    if (tutorial) {
+        saveTutorialProgress(tutorial);
+    }
+    return { success: true };
+}
+
+/**
+ * Download the save bundle as a .json file (browser only)
+ * @returns {boolean} True if the download was started
+ */
+export function downloadSaveFile() {
+    try {
+        const blob = new Blob([exportSaveJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `supersmashtexty-save-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return true;
+    } catch (e) {
+        console.error('Save download failed:', e);
+        return false;
+    }
+}
+
+/**
+ * Let the player pick an exported save file (browser only)
+ * @param {Function} onLoad - Called with the file's text
+ */
+export function pickSaveFile(onLoad) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.txt,application/json,text/plain';
+    input.addEventListener('change', () => {
+        const file = input.files?.[0];
+        if (file) {
+            file.text().then(onLoad).catch(e => console.error('Save file read failed:', e));
+        }
+    });
+    input.click();
+}
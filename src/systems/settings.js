@@ -3,8 +3,10 @@
 const SETTINGS_KEY = 'superSmashTexty_settings';
 
 // Default settings
+const SETTINGS_VERSION = 2;
+
 const DEFAULT_SETTINGS = {
-    version: 1,
+    version: SETTINGS_VERSION,
     audio: {
         masterVolume: 1.0, // 0.0 to 1.0
         sfxVolume: 1.0,
@@ -13,13 +15,35 @@ const DEFAULT_SETTINGS = {
         combatSounds: true
     },
     controls: {
-        // Key bindings (stored as key codes/names)
-        moveUp: 'w',
-        moveDown: 's',
-        moveLeft: 'a',
-        moveRight: 'd',
-        pause: 'escape',
-        interact: 'space'
+        // Keyboard bindings per action (KAPLAY key names, first entry is the primary key)
+        // See systems/keyBindings.js
+        moveUp: ['w', 'up'],
+        moveDown: ['s', 'down'],
+        moveLeft: ['a', 'left'],
+        moveRight: ['d', 'right'],
+        pause: ['escape'],
+        interact: ['space'],
+        ability: ['shift'],
+        emoteExclaim: ['q'],
+        emoteHeart: ['e'],
+        toggleMinimap: ['m'],
+        chat: ['enter'],
+        quickChat: ['z']
+    },
+    gamepad: {
+        // Gamepad bindings per action (KAPLAY gamepad button names)
+        moveUp: ['dpad-up'],
+        moveDown: ['dpad-down'],
+        moveLeft: ['dpad-left'],
+        moveRight: ['dpad-right'],
+        pause: ['start'],
+        interact: ['south'],
+        ability: ['rshoulder'],
+        emoteExclaim: ['west'],
+        emoteHeart: ['north'],
+        toggleMinimap: ['select'],
+        chat: [],
+        quickChat: ['lshoulder']
     },
     visual: {
         showParticles: true,
@@ -34,8 +58,10 @@ const DEFAULT_SETTINGS = {
         autoPause: false, // Auto-pause on level up
         autoPickupCurrency: false,
         autoPickupXP: false,
+        autoPickupHealth: false, // Only pulls hearts toward players who can use them
         confirmBeforeQuit: true,
-        skipIntroAnimation: false
+        skipIntroAnimation: false,
+        chatProfanityFilter: true // Mask profanity in party chat
     },
     accessibility: {
         colorblindMode: 'off', // 'off', 'deuteranopia', 'protanopia', 'tritanopia'
@@ -50,14 +76,30 @@ export function loadSettings() {
     try {
         const saved = localStorage.getItem(SETTINGS_KEY);
         if (saved) {
-            const data = JSON.parse(saved);
+            const data = migrateSettings(JSON.parse(saved));
             // Merge with defaults to handle missing fields
-            return mergeDeep(DEFAULT_SETTINGS, data);
+            return mergeDeep(getDefaultSettings(), data);
         }
     } catch (e) {
         console.error('Error loading settings:', e);
     }
-    return { ...DEFAULT_SETTINGS };
+    return getDefaultSettings();
+}
+
+// Fresh copy of the defaults (callers edit the nested binding arrays and category objects)
+function getDefaultSettings() {
+    return structuredClone(DEFAULT_SETTINGS);
+}
+
+// Upgrade settings saved by older versions
+function migrateSettings(data) {
+    if ((data.version || 1) < 2) {
+        // v1 controls were display-only single keys and could never be changed,
+        // so drop them and let the v2 binding arrays come from the defaults
+        delete data.controls;
+        data.version = 2;
+    }
+    return data;
 }
 
 // Deep merge helper
@@ -110,16 +152,27 @@ export function updateSetting(category, key, value) {
     return settings;
 }
 
+// Settings that stand in for the player's own while a replay plays ({ category: { key: value } })
+let settingOverrides = null;
+
+// Use a replay's recorded gameplay settings until cleared with null (see replaySystem.js)
+export function setSettingOverrides(overrides) {
+    settingOverrides = overrides;
+}
+
 // Get a specific setting value
 export function getSetting(category, key) {
+    const override = settingOverrides?.[category]?.[key];
+    if (override !== undefined) return override;
     const settings = loadSettings();
-    return settings[category]?.[key] ?? DEFAULT_SETTINGS[category]?.[key];
+    return settings[category]?.[key] ?? structuredClone(DEFAULT_SETTINGS[category]?.[key]);
 }
 
 // Reset settings to defaults
 export function resetSettings() {
-    saveSettings({ ...DEFAULT_SETTINGS });
-    return { ...DEFAULT_SETTINGS };
+    const defaults = getDefaultSettings();
+    saveSettings(defaults);
+    return defaults;
 }
 
 
@@ -0,0 +1,400 @@
+/**
+ * Snapshot Codec
+ * Binary, delta-compressed game state snapshots for online co-op
+ *
+ * The host turns each game_state (see collectGameState in multiplayerGame.js) into
+ * a snapshot: per section, a map of entity id -> record of quantized field values
+ * laid out by SNAPSHOT_SCHEMA, which host and client share. Each client acks the
+ * last snapshot it applied, and the host encodes the next one against that
+ * baseline: only new or changed entities (with a bitmask of changed fields) and
+ * the ids of removed ones. Without a usable baseline the snapshot is sent in full.
+ *
+ * Message layout (little-endian):
+ *   u8 SNAPSHOT_MESSAGE, u32 sequence, u32 baseline sequence (0 = full), f64 timestamp
+ *   per section: u16 changed count, then [id, field mask, changed values...]
+ *                u16 removed count, then [id...]
+ */
+
+// First byte of a snapshot message
+export const SNAPSHOT_MESSAGE = 1;
+
+// Positions are sent as int16 quarter pixels (±8191px, well beyond any room)
+const POSITION_SCALE = 4;
+
+// Angles are sent as uint16 fractions of a turn
+const ANGLE_SCALE = 65536 / 360;
+
+/**
+ * Field types:
+ * - position: quantized int16, angle: quantized uint16
+ * - u8 / u16 / u32: unsigned integers, f32: 32-bit float, bool: one byte
+ * - string: short UTF-8 string, json: any JSON value (sent as a string)
+ * Optional fields may be missing (sent with a presence byte)
+ */
+export const SNAPSHOT_SCHEMA = {
+    players: {
+        id: { key: 'slotIndex', type: 'u8' },
+        fields: [
+            { key: 'x', type: 'position' },
+            { key: 'y', type: 'position' },
+            { key: 'angle', type: 'angle' },
+            { key: 'hp', type: 'f32' },
+            { key: 'maxHealth', type: 'f32' },
+            { key: 'level', type: 'u16' },
+            { key: 'xp', type: 'f32' },
+            { key: 'isDead', type: 'bool' },
+            { key: 'weapons', type: 'json' },
+            { key: 'passiveUpgrades', type: 'json' },
+            { key: 'upgradeStacks', type: 'json' },
+            { key: 'speed', type: 'f32' },
+            { key: 'damage', type: 'f32' },
+            { key: 'pickupRadius', type: 'f32' },
+            { key: 'invulnerable', type: 'bool' },
+            { key: 'invulnerableTime', type: 'f32' },
+            { key: 'inputSeq', type: 'u32', optional: true },
+            { key: 'ackX', type: 'position', optional: true },
+            { key: 'ackY', type: 'position', optional: true },
+            { key: 'runStats', type: 'json' }
+        ]
+    },
+    enemies: {
+        id: { key: 'id', type: 'u32' },
+        fields: [
+            { key: 'x', type: 'position' },
+            { key: 'y', type: 'position' },
+            { key: 'hp', type: 'f32' },
+            { key: 'maxHealth', type: 'f32' },
+            { key: 'type', type: 'string' },
+            { key: 'shieldHealth', type: 'f32' },
+            { key: 'armorHealth', type: 'f32' }
+        ]
+    },
+    pickups: {
+        id: { key: 'id', type: 'u32' },
+        fields: [
+            { key: 'x', type: 'position' },
+            { key: 'y', type: 'position' },
+            { key: 'type', type: 'string' },
+            { key: 'magnetizing', type: 'bool' },
+            { key: 'isFlyingToUI', type: 'bool' },
+            { key: 'targetPlayerSlot', type: 'u8', optional: true }
+        ]
+    }
+};
+
+const SECTIONS = Object.keys(SNAPSHOT_SCHEMA);
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// ==========================================
+// Quantization
+// ==========================================
+
+function clampInt(value, min, max) {
+    return Math.max(min, Math.min(max, Math.round(Number(value) || 0)));
+}
+
+/**
+ * Quantize a field value into what goes over the wire (null = missing)
+ */
+function quantize(value, field) {
+    if (field.optional && (value === undefined || value === null)) return null;
+
+    switch (field.type) {
+        case 'position': return clampInt(value * POSITION_SCALE, -32768, 32767);
+        case 'angle': return clampInt((((Number(value) || 0) % 360) + 360) % 360 * ANGLE_SCALE, 0, 65536) & 0xFFFF;
+        case 'u8': return clampInt(value, 0, 0xFF);
+        case 'u16': return clampInt(value, 0, 0xFFFF);
+        case 'u32': return clampInt(value, 0, 0xFFFFFFFF);
+        case 'f32': return Math.fround(Number(value) || 0);
+        case 'bool': return value ? 1 : 0;
+        case 'string': return String(value ?? '');
+        case 'json': return JSON.stringify(value ?? null);
+        default: throw new Error(`Unknown snapshot field type: ${field.type}`);
+    }
+}
+
+/**
+ * Turn a wire value back into a game value
+ */
+function dequantize(value, field) {
+    switch (field.type) {
+        case 'position': return value / POSITION_SCALE;
+        case 'angle': return value / ANGLE_SCALE;
+        case 'bool': return value === 1;
+        case 'json': return JSON.parse(value);
+        default: return value;
+    }
+}
+
+// ==========================================
+// Byte reading and writing
+// ==========================================
+
+/**
+ * Growable little-endian byte writer
+ */
+class ByteWriter {
+    constructor(size = 1024) {
+        this.buffer = new ArrayBuffer(size);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    reserve(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + bytes) size *= 2;
+        const grown = new ArrayBuffer(size);
+        new Uint8Array(grown).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = grown;
+        this.view = new DataView(grown);
+    }
+
+    u8(value) { this.reserve(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    u16(value) { this.reserve(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+    i16(value) { this.reserve(2); this.view.setInt16(this.offset, value, true); this.offset += 2; }
+    u32(value) { this.reserve(4); this.view.setUint32(this.offset, value, true); this.offset += 4; }
+    f32(value) { this.reserve(4); this.view.setFloat32(this.offset, value, true); this.offset += 4; }
+    f64(value) { this.reserve(8); this.view.setFloat64(this.offset, value, true); this.offset += 8; }
+
+    bytes(data) {
+        this.reserve(data.length);
+        new Uint8Array(this.buffer, this.offset, data.length).set(data);
+        this.offset += data.length;
+    }
+
+    // Strings: u16 byte length, then UTF-8 (json fields can run past 255 bytes)
+    string(value) {
+        const data = textEncoder.encode(value);
+        this.u16(data.length);
+        this.bytes(data);
+    }
+
+    finish() {
+        return this.buffer.slice(0, this.offset);
+    }
+}
+
+/**
+ * Little-endian byte reader
+ */
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    u8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+    u16() { const value = this.view.getUint16(this.offset, true); this.offset += 2; return value; }
+    i16() { const value = this.view.getInt16(this.offset, true); this.offset += 2; return value; }
+    u32() { const value = this.view.getUint32(this.offset, true); this.offset += 4; return value; }
+    f32() { const value = this.view.getFloat32(this.offset, true); this.offset += 4; return value; }
+    f64() { const value = this.view.getFloat64(this.offset, true); this.offset += 8; return value; }
+
+    string() {
+        const length = this.u16();
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
+
+const WRITE = {
+    position: (writer, value) => writer.i16(value),
+    angle: (writer, value) => writer.u16(value),
+    u8: (writer, value) => writer.u8(value),
+    u16: (writer, value) => writer.u16(value),
+    u32: (writer, value) => writer.u32(value),
+    f32: (writer, value) => writer.f32(value),
+    bool: (writer, value) => writer.u8(value),
+    string: (writer, value) => writer.string(value),
+    json: (writer, value) => writer.string(value)
+};
+
+const READ = {
+    position: reader => reader.i16(),
+    angle: reader => reader.u16(),
+    u8: reader => reader.u8(),
+    u16: reader => reader.u16(),
+    u32: reader => reader.u32(),
+    f32: reader => reader.f32(),
+    bool: reader => reader.u8(),
+    string: reader => reader.string(),
+    json: reader => reader.string()
+};
+
+function writeField(writer, field, value) {
+    if (field.optional) {
+        writer.u8(value === null ? 0 : 1);
+        if (value === null) return;
+    }
+    WRITE[field.type](writer, value);
+}
+
+function readField(reader, field) {
+    if (field.optional && reader.u8() === 0) return null;
+    return READ[field.type](reader);
+}
+
+// ==========================================
+// Snapshots
+// ==========================================
+
+/**
+ * Quantize a game_state into a snapshot (what deltas are computed against)
+ * @param {Object} state - { players, enemies, pickups } arrays from collectGameState
+ * @returns {Object} Snapshot: section -> Map of entity id -> record (array of wire values)
+ */
+export function createSnapshot(state) {
+    const snapshot = {};
+    SECTIONS.forEach(section => {
+        const { id, fields } = SNAPSHOT_SCHEMA[section];
+        const records = new Map();
+        (state[section] || []).forEach(entity => {
+            records.set(quantize(entity[id.key], id), fields.map(field => quantize(entity[field.key], field)));
+        });
+        snapshot[section] = records;
+    });
+    return snapshot;
+}
+
+/**
+ * Encode a snapshot, as a delta against a baseline the receiver already has
+ * @param {number} seq - Snapshot sequence number (from 1)
+ * @param {number} timestamp - Host time (ms)
+ * @param {Object} snapshot - Snapshot to send
+ * @param {Object|null} baseline - Snapshot the receiver acked (null = send in full)
+ * @param {number} baselineSeq - Sequence number of the baseline (0 when none)
+ * @returns {ArrayBuffer} Message bytes
+ */
+export function encodeSnapshot(seq, timestamp, snapshot, baseline = null, baselineSeq = 0) {
+    const writer = new ByteWriter();
+    writer.u8(SNAPSHOT_MESSAGE);
+    writer.u32(seq);
+    writer.u32(baseline ? baselineSeq : 0);
+    writer.f64(timestamp);
+
+    SECTIONS.forEach(section => {
+        const { id, fields } = SNAPSHOT_SCHEMA[section];
+        const maskBytes = Math.ceil(fields.length / 8);
+        const records = snapshot[section];
+        const previous = baseline ? baseline[section] : new Map();
+
+        const changed = [];
+        records.forEach((record, entityId) => {
+            const before = previous.get(entityId);
+            const mask = new Uint8Array(maskBytes);
+            let anyChanged = false;
+            record.forEach((value, index) => {
+                if (!before || before[index] !== value) {
+                    mask[index >> 3] |= 1 << (index & 7);
+                    anyChanged = true;
+                }
+            });
+            if (anyChanged) changed.push({ entityId, record, mask });
+        });
+
+        writer.u16(changed.length);
+        changed.forEach(({ entityId, record, mask }) => {
+            WRITE[id.type](writer, entityId);
+            writer.bytes(mask);
+            record.forEach((value, index) => {
+                if (mask[index >> 3] & (1 << (index & 7))) writeField(writer, fields[index], value);
+            });
+        });
+
+        const removed = [...previous.keys()].filter(entityId => !records.has(entityId));
+        writer.u16(removed.length);
+        removed.forEach(entityId => WRITE[id.type](writer, entityId));
+    });
+
+    return writer.finish();
+}
+
+/**
+ * Check whether binary message bytes are a snapshot
+ * @param {Uint8Array} bytes - Message bytes
+ * @returns {boolean}
+ */
+export function isSnapshotMessage(bytes) {
+    return bytes.length > 0 && bytes[0] === SNAPSHOT_MESSAGE;
+}
+
+/**
+ * Read a snapshot's sequence numbers (to find its baseline before decoding)
+ * @param {Uint8Array} bytes - Message bytes
+ * @returns {Object} { seq, baselineSeq }
+ */
+export function readSnapshotHeader(bytes) {
+    const reader = new ByteReader(bytes);
+    reader.u8();
+    return { seq: reader.u32(), baselineSeq: reader.u32() };
+}
+
+/**
+ * Decode a snapshot message
+ * @param {Uint8Array} bytes - Message bytes
+ * @param {Object|null} baseline - The snapshot named by its baselineSeq (null for full snapshots)
+ * @returns {Object} { seq, timestamp, snapshot } - the complete snapshot, baseline applied
+ */
+export function decodeSnapshot(bytes, baseline = null) {
+    const reader = new ByteReader(bytes);
+    reader.u8();
+    const seq = reader.u32();
+    const baselineSeq = reader.u32();
+    const timestamp = reader.f64();
+    if (baselineSeq !== 0 && !baseline) {
+        throw new Error(`Snapshot ${seq} needs baseline ${baselineSeq}`);
+    }
+
+    const snapshot = {};
+    SECTIONS.forEach(section => {
+        const { id, fields } = SNAPSHOT_SCHEMA[section];
+        const maskBytes = Math.ceil(fields.length / 8);
+        const records = new Map(baselineSeq !== 0 ? baseline[section] : []);
+
+        const changedCount = reader.u16();
+        for (let i = 0; i < changedCount; i++) {
+            const entityId = READ[id.type](reader);
+            const mask = [];
+            for (let b = 0; b < maskBytes; b++) mask.push(reader.u8());
+            const record = [...(records.get(entityId) || new Array(fields.length).fill(null))];
+            fields.forEach((field, index) => {
+                if (mask[index >> 3] & (1 << (index & 7))) record[index] = readField(reader, field);
+            });
+            records.set(entityId, record);
+        }
+
+        const removedCount = reader.u16();
+        for (let i = 0; i < removedCount; i++) {
+            records.delete(READ[id.type](reader));
+        }
+        snapshot[section] = records;
+    });
+
+    return { seq, timestamp, snapshot };
+}
+
+/**
+ * Turn a snapshot back into a game_state payload for the client handlers
+ * @param {Object} snapshot - Decoded snapshot
+ * @param {number} timestamp - Host time (ms)
+ * @returns {Object} { timestamp, players, enemies, projectiles, pickups }
+ */
+export function snapshotToState(snapshot, timestamp) {
+    const state = { timestamp, projectiles: [] };
+    SECTIONS.forEach(section => {
+        const { id, fields } = SNAPSHOT_SCHEMA[section];
+        state[section] = [...snapshot[section]].map(([entityId, record]) => {
+            const entity = { [id.key]: entityId };
+            fields.forEach((field, index) => {
+                if (record[index] !== null) entity[field.key] = dequantize(record[index], field);
+            });
+            return entity;
+        });
+    });
+    return state;
+}
@@ -415,6 +415,89 @@ export function playOrbitalFire() {
   });
 }
 
+/**
+ * Penetrator fire sound (pistol evolution - tight, metallic crack per burst round)
+ */
+export function playPenetratorFire() {
+  playTone(vary(420, 0.1), 0.05, 'square', 0.07, {
+    attack: 0.001,
+    decay: 0.03,
+    pitchBend: 0.55
+  });
+}
+
+/**
+ * Bullet Hose fire sound (SMG evolution - buzzy, very short)
+ */
+export function playBulletHoseFire() {
+  playTone(vary(180, 0.35), 0.03, 'sawtooth', 0.05, {
+    attack: 0.001,
+    decay: 0.02,
+    pitchBend: 0.5
+  });
+}
+
+/**
+ * Flak Cannon fire sound (shotgun evolution - heavy boom with a bright burst)
+ */
+export function playFlakCannonFire() {
+  playTone(vary(45, 0.15), 0.14, 'sine', 0.13, {
+    attack: 0.002,
+    decay: 0.11,
+    pitchBend: 0.35
+  });
+
+  playNoise(vary(0.05, 0.2), vary(0.1, 0.2), {
+    attack: 0.002,
+    decay: 0.05,
+    filterType: 'bandpass',
+    filterFreq: vary(1400, 0.3)
+  });
+}
+
+/**
+ * Gauss Rifle fire sound (sniper evolution - rising electric whine into a crack)
+ */
+export function playGaussRifleFire() {
+  playTone(vary(600, 0.1), 0.08, 'triangle', 0.1, {
+    attack: 0.001,
+    decay: 0.06,
+    pitchBend: 1.8
+  });
+
+  playTone(vary(70, 0.15), 0.12, 'sine', 0.1, {
+    attack: 0.001,
+    decay: 0.09,
+    pitchBend: 0.4
+  });
+}
+
+/**
+ * Inferno fire sound (flamethrower evolution - deeper roar - call repeatedly)
+ */
+export function playInfernoFire() {
+  playNoise(0.1, vary(0.12, 0.4), {
+    attack: 0.005,
+    decay: 0.05,
+    filterType: 'lowpass',
+    filterFreq: vary(600, 0.4)
+  });
+}
+
+/**
+ * Cluster Launcher fire sound (explosive evolution - thump with a rattle)
+ */
+export function playClusterLauncherFire() {
+  playExplosiveFire();
+
+  playNoise(vary(0.03, 0.3), 0.06, {
+    attack: 0.01,
+    decay: 0.04,
+    filterType: 'highpass',
+    filterFreq: vary(2500, 0.3)
+  });
+}
+
 /**
  * Generic weapon fire (fallback)
  */
@@ -643,6 +726,23 @@ export function playCurrencyPickup() {
   }
 }
 
+/**
+ * Health pickup sound - soft rising two-note chime
+ */
+export function playHealthPickup() {
+  playTone(vary(520, 0.1), 0.1, 'sine', 0.16, {
+    attack: 0.01,
+    decay: 0.08
+  });
+  setTimeout(() => {
+    playTone(vary(780, 0.1), 0.14, 'sine', 0.14, {
+      attack: 0.01,
+      decay: 0.1,
+      pitchBend: 1.05
+    });
+  }, 70);
+}
+
 /**
  * Level up sound
  */
@@ -664,6 +764,34 @@ export function playLevelUp() {
   });
 }
 
+/**
+ * Active ability sound (quick rising whoosh)
+ */
+export function playAbilityUse() {
+  playTone(vary(300, 0.1), 0.12, 'triangle', 0.15, {
+    attack: 0.005,
+    decay: 0.1,
+    pitchBend: 2.0
+  });
+
+  playNoise(0.08, 0.06, {
+    attack: 0.01,
+    decay: 0.06,
+    filterType: 'bandpass',
+    filterFreq: vary(1800, 0.2)
+  });
+}
+
+/**
+ * Active ability ready sound (short soft ping)
+ */
+export function playAbilityReady() {
+  playTone(880, 0.08, 'sine', 0.1, {
+    attack: 0.005,
+    decay: 0.07
+  });
+}
+
 /**
  * Door open/room transition sound
  */
@@ -834,11 +962,28 @@ export function playUnpause() {
 
 // ==================== WEAPON TYPE MAPPING ====================
 
+// Evolved weapon keys -> fire sound
+const EVOLVED_WEAPON_FIRE_SOUNDS = {
+  penetrator: playPenetratorFire,
+  bulletHose: playBulletHoseFire,
+  flakCannon: playFlakCannonFire,
+  gaussRifle: playGaussRifleFire,
+  inferno: playInfernoFire,
+  clusterLauncher: playClusterLauncherFire
+};
+
 /**
  * Play weapon fire sound based on weapon type
  * @param {string} weaponType - The weapon type identifier
  */
 export function playWeaponFire(weaponType) {
+  // Evolved weapons have their own sounds (matched exactly, before the name patterns)
+  const evolvedFire = EVOLVED_WEAPON_FIRE_SOUNDS[weaponType];
+  if (evolvedFire) {
+    evolvedFire();
+    return;
+  }
+
   const weaponName = weaponType?.toLowerCase() || '';
 
   if (weaponName.includes('pistol')) {
@@ -0,0 +1,150 @@
+/**
+ * Special Room System
+ *
+ * Rules for the branch rooms placed by the floor map:
+ * - Treasure rooms: a chest with a guaranteed powerup weapon or bonus upgrade
+ * - Shop rooms: a vendor selling items for credits collected this run
+ * - Challenge rooms: a timed or no-hit objective that rewards a chest
+ *
+ * Every roll takes an optional seeded RNG so multiplayer clients and replays
+ * agree on stock, rewards and challenge type.
+ */
+
+import { POWERUP_WEAPONS } from './powerupWeapons.js';
+import { gameplayRandom } from '../utils/seededRandom.js';
+
+// Items the shop can stock (prices scale with floor)
+export const SHOP_ITEMS = {
+    largeHeart: {
+        name: 'Large Heart',
+        icon: '♥',
+        color: [255, 80, 100],
+        basePrice: 8,
+        pricePerFloor: 2
+    },
+    overhealShard: {
+        name: 'Overheal Shard',
+        icon: '♦',
+        color: [120, 255, 220],
+        basePrice: 12,
+        pricePerFloor: 3
+    },
+    powerup: {
+        name: 'Powerup Weapon',
+        icon: '⚡',
+        color: [255, 200, 80],
+        basePrice: 15,
+        pricePerFloor: 3
+    },
+    upgrade: {
+        name: 'Upgrade Draft',
+        icon: '★',
+        color: [200, 150, 255],
+        basePrice: 25,
+        pricePerFloor: 5
+    }
+};
+
+// Number of items on sale in each shop
+export const SHOP_SLOTS = 3;
+
+// Seconds a player must stand on a pedestal to buy it (avoids buying by walking past)
+export const SHOP_BUY_TIME = 0.75;
+
+// Chance that a treasure chest holds an upgrade draft instead of a powerup weapon
+const TREASURE_UPGRADE_CHANCE = 0.4;
+
+// Challenge definitions
+export const CHALLENGE_TYPES = {
+    survive: {
+        name: 'SURVIVE',
+        description: 'Survive 30 seconds of nonstop enemies',
+        duration: 30, // seconds
+        spawnInterval: 0.5 // Spawns stop when the timer runs out
+    },
+    noHit: {
+        name: 'NO-HIT',
+        description: 'Clear the room without taking damage',
+        enemyMultiplier: 0.6 // Fewer enemies - one hit fails the challenge
+    }
+};
+
+// Roll a value in [0, 1) from a seeded RNG, or the run's gameplay RNG when there is none
+function roll(rng) {
+    return rng ? rng.next() : gameplayRandom();
+}
+
+// Pick a random powerup weapon key
+function rollPowerupKey(rng) {
+    const keys = Object.keys(POWERUP_WEAPONS);
+    return keys[Math.floor(roll(rng) * keys.length)];
+}
+
+// Get the price of a shop item on a given floor
+export function getShopPrice(itemKey, floor = 1) {
+    const item = SHOP_ITEMS[itemKey];
+    if (!item) return 0;
+    return item.basePrice + (Math.max(1, floor) - 1) * item.pricePerFloor;
+}
+
+// Roll the stock for a shop room
+// Returns [{ itemKey, price, powerupKey? }] - SHOP_SLOTS distinct items
+export function rollShopStock(floor = 1, rng = null) {
+    const itemKeys = Object.keys(SHOP_ITEMS);
+    for (let i = itemKeys.length - 1; i > 0; i--) {
+        const j = Math.floor(roll(rng) * (i + 1));
+        [itemKeys[i], itemKeys[j]] = [itemKeys[j], itemKeys[i]];
+    }
+
+    return itemKeys.slice(0, SHOP_SLOTS).map(itemKey => {
+        const entry = { itemKey, price: getShopPrice(itemKey, floor) };
+        if (itemKey === 'powerup') {
+            entry.powerupKey = rollPowerupKey(rng);
+        }
+        return entry;
+    });
+}
+
+// Roll the contents of a treasure chest
+// Returns { kind: 'powerup', powerupKey } or { kind: 'upgrade' }
+export function rollTreasureReward(rng = null) {
+    if (roll(rng) < TREASURE_UPGRADE_CHANCE) {
+        return { kind: 'upgrade' };
+    }
+    return { kind: 'powerup', powerupKey: rollPowerupKey(rng) };
+}
+
+// Roll which challenge a challenge room runs
+export function rollChallengeType(rng = null) {
+    const keys = Object.keys(CHALLENGE_TYPES);
+    return keys[Math.floor(roll(rng) * keys.length)];
+}
+
+// Credits available to spend in shops: collected this run minus already spent
+export function getRunWallet(runStats) {
+    return Math.max(0, (runStats.creditsCollected || 0) - (runStats.creditsSpent || 0));
+}
+
+// Spend credits from the run wallet
+// Returns true if the purchase went through
+export function spendRunCredits(runStats, price) {
+    if (getRunWallet(runStats) < price) {
+        return false;
+    }
+    runStats.creditsSpent = (runStats.creditsSpent || 0) + price;
+    return true;
+}
+
+// Completion message for a cleared room of the given type
+export function getRoomClearedText(roomType) {
+    switch (roomType) {
+        case 'treasure':
+            return 'Treasure Room! Open the chest, then enter a door to continue';
+        case 'shop':
+            return 'Shop! Stand on an item to buy it with run credits';
+        case 'challenge':
+            return 'Challenge Room Cleared! Enter a door to continue';
+        default:
+            return 'Room Cleared! Enter a door to continue';
+    }
+}
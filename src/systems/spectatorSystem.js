@@ -0,0 +1,215 @@
+/**
+ * Spectator System
+ * Lets players who can't play watch the run: a downed player until they're
+ * revived, and read-only observers (peers that joined without a party slot, see
+ * partySystem.js). The camera follows one living teammate at a time, zoomed in
+ * and kept inside the room, with a mini HUD of that player's stats.
+ * Move left/right (keyboard, D-pad) or a click cycles through teammates.
+ */
+
+import { onActionPress, formatActionKeys } from './keyBindings.js';
+import { scaleTextSize } from './accessibility.js';
+
+const FOLLOW_ZOOM = 1.4; // Camera scale while following a teammate
+const FOLLOW_SPEED = 6; // How quickly the camera catches up (per second)
+const HUD_WIDTH = 300;
+const HUD_HEIGHT = 58;
+
+/**
+ * Get the teammates a spectator can follow
+ * @param {Array} players - Party players by slot (may contain null)
+ * @param {Object|null} localPlayer - The spectating player (never followed)
+ * @returns {Array} Living players, in slot order
+ */
+export function getSpectateTargets(players, localPlayer = null) {
+    return players.filter(p => p && p !== localPlayer && p.exists() && !p.isDead);
+}
+
+/**
+ * Step to the previous or next teammate, wrapping around
+ * @param {Array} targets - From getSpectateTargets
+ * @param {Object|null} current - Teammate being followed
+ * @param {number} step - -1 for previous, 1 for next
+ * @returns {Object|null} Teammate to follow, or null if nobody is left
+ */
+export function cycleSpectateTarget(targets, current, step) {
+    if (targets.length === 0) return null;
+    const index = targets.indexOf(current);
+    if (index === -1) return targets[0];
+    return targets[(index + step + targets.length) % targets.length];
+}
+
+/**
+ * Camera position centered on a target, clamped so the zoomed view stays inside
+ * the room (the room fills the screen at zoom 1)
+ * @param {{x: number, y: number}} target - Position to follow
+ * @param {number} width - Screen width
+ * @param {number} height - Screen height
+ * @param {number} zoom - Camera scale
+ * @returns {{x: number, y: number}}
+ */
+export function getFollowCamPos(target, width, height, zoom = FOLLOW_ZOOM) {
+    const halfWidth = width / (2 * zoom);
+    const halfHeight = height / (2 * zoom);
+    return {
+        x: Math.max(halfWidth, Math.min(width - halfWidth, target.x)),
+        y: Math.max(halfHeight, Math.min(height - halfHeight, target.y))
+    };
+}
+
+/**
+ * Follow-cam and mini HUD for the game scene
+ * Watches while isWatching() is true and hands the camera back when it stops
+ * (a downed player being revived)
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} options
+ * @param {Function} options.getPlayers - Party players by slot
+ * @param {Object} options.localPlayer - The local player (never followed)
+ * @param {Function} options.isWatching - Whether the local player is spectating right now
+ * @param {boolean} options.isObserver - Read-only observer (no player of our own)
+ * @returns {Function} Cleanup (call on scene leave)
+ */
+export function initSpectatorView(k, { getPlayers, localPlayer, isWatching, isObserver = false }) {
+    const center = { x: k.width() / 2, y: k.height() / 2 };
+    const cam = { x: center.x, y: center.y, scale: 1 };
+    let target = null;
+    let hud = null;
+
+    function cycle(step) {
+        if (!hud || k.paused) return;
+        target = cycleSpectateTarget(getSpectateTargets(getPlayers(), localPlayer), target, step);
+    }
+
+    function showHud() {
+        const x = k.width() / 2;
+        const y = k.height() - 110;
+        const cycleKeys = `${formatActionKeys('moveLeft')}/${formatActionKeys('moveRight')}`;
+        hud = {
+            bg: k.add([
+                k.rect(HUD_WIDTH, HUD_HEIGHT, { radius: 6 }),
+                k.pos(x, y),
+                k.anchor('center'),
+                k.color(20, 20, 30),
+                k.opacity(0.8),
+                k.outline(2, k.rgb(120, 160, 255)),
+                k.area(),
+                k.fixed(),
+                k.z(900),
+                'spectatorHUD'
+            ]),
+            title: k.add([
+                k.text('', { size: scaleTextSize(14) }),
+                k.pos(x, y - 17),
+                k.anchor('center'),
+                k.color(150, 190, 255),
+                k.fixed(),
+                k.z(901),
+                'spectatorHUD'
+            ]),
+            stats: k.add([
+                k.text('', { size: scaleTextSize(12) }),
+                k.pos(x, y + 2),
+                k.anchor('center'),
+                k.color(230, 230, 230),
+                k.fixed(),
+                k.z(901),
+                'spectatorHUD'
+            ]),
+            hpBar: k.add([
+                k.rect(HUD_WIDTH - 40, 6),
+                k.pos(x - (HUD_WIDTH - 40) / 2, y + 19),
+                k.color(100, 220, 100),
+                k.fixed(),
+                k.z(901),
+                'spectatorHUD'
+            ]),
+            hint: k.add([
+                k.text(isObserver ? `Spectating · ${cycleKeys} switch · ESC leave` : `Down · ${cycleKeys} switch · revived when the room is cleared`, { size: scaleTextSize(10) }),
+                k.pos(x, y + HUD_HEIGHT / 2 + 10),
+                k.anchor('center'),
+                k.color(170, 170, 170),
+                k.fixed(),
+                k.z(901),
+                'spectatorHUD'
+            ])
+        };
+        hud.bg.onClick(() => cycle(1));
+    }
+
+    function hideHud() {
+        if (!hud) return;
+        Object.values(hud).forEach(obj => {
+            if (obj.exists()) k.destroy(obj);
+        });
+        hud = null;
+    }
+
+    function updateHud() {
+        if (!target) {
+            hud.title.text = isObserver ? 'SPECTATING' : 'NO ONE LEFT STANDING';
+            hud.stats.text = isObserver ? 'Waiting for the party...' : '';
+            hud.hpBar.width = 0;
+            return;
+        }
+        const maxHealth = target.maxHealth || 1;
+        const hp = Math.max(0, target.hp());
+        const kills = target.runStats?.kills || 0;
+        const weapons = target.weapons?.length || 1;
+        hud.title.text = `◀ ${target.playerName || 'Player'} ▶`;
+        hud.stats.text = `HP ${Math.ceil(hp)}/${maxHealth} · Lv ${target.level || 1} · ${kills} kills · ${weapons} weapon${weapons === 1 ? '' : 's'}`;
+        hud.hpBar.width = (HUD_WIDTH - 40) * Math.min(1, hp / maxHealth);
+    }
+
+    function moveCamera(goal, scale) {
+        const t = Math.min(1, k.dt() * FOLLOW_SPEED);
+        cam.x += (goal.x - cam.x) * t;
+        cam.y += (goal.y - cam.y) * t;
+        cam.scale += (scale - cam.scale) * t;
+        k.camPos(cam.x, cam.y);
+        k.camScale(cam.scale);
+    }
+
+    function resetCamera() {
+        cam.x = center.x;
+        cam.y = center.y;
+        cam.scale = 1;
+        k.camPos(center.x, center.y);
+        k.camScale(1);
+    }
+
+    const controllers = [
+        onActionPress(k, 'moveLeft', () => cycle(-1)),
+        onActionPress(k, 'moveRight', () => cycle(1)),
+        k.onUpdate(() => {
+            if (!isWatching()) {
+                if (hud) {
+                    hideHud();
+                    target = null;
+                    resetCamera();
+                }
+                return;
+            }
+
+            if (!hud) showHud();
+
+            // Follow someone else once our teammate goes down or leaves
+            const targets = getSpectateTargets(getPlayers(), localPlayer);
+            if (!targets.includes(target)) {
+                target = targets[0] || null;
+            }
+
+            updateHud();
+            if (target) {
+                moveCamera(getFollowCamPos(target.pos, k.width(), k.height()), FOLLOW_ZOOM);
+            } else {
+                moveCamera(center, 1);
+            }
+        })
+    ];
+
+    return () => {
+        controllers.forEach(controller => controller.cancel());
+        hideHud();
+        resetCamera();
+    };
+}
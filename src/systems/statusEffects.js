@@ -0,0 +1,329 @@
+/**
+ * Status Effect System
+ *
+ * One set of damage-over-time and crowd-control effects that any entity can carry
+ * (enemies, bosses, minibosses and players):
+ * - Burn: steady fire ticks, a fresh hit refreshes the duration
+ * - Poison: stacks up to 5 times, every stack adds tick damage
+ * - Freeze: roots the target in place, then leaves it briefly immune
+ * - Shock: fast, short lightning ticks
+ * - Vulnerable: the target takes extra damage from every source
+ *
+ * Attackers grant effects through on-hit specs (weapon definitions, upgrades,
+ * synergies and elite modifiers all write to the same shape). The host or single
+ * player owns tick damage, which reaches enemies, minibosses and bosses through
+ * the damage pipeline; applications are mirrored to clients through
+ * broadcastDamageEvent so markers and tints show on every screen.
+ */
+
+import { isMultiplayerActive, isHost } from './multiplayerGame.js';
+import { resolveDamage } from './damagePipeline.js';
+import { gameplayRandom } from '../utils/seededRandom.js';
+
+// Effect definitions
+// stacking: 'refresh' keeps the strongest tick damage and the longest duration,
+//           'stack' adds stacks (up to maxStacks) and restarts the duration
+export const STATUS_EFFECTS = {
+    burn: {
+        name: 'Burn',
+        marker: '^',
+        color: [255, 150, 50],
+        duration: 2.0,
+        tickInterval: 0.5,
+        stacking: 'refresh',
+        damageStat: 'fireDotMultiplier' // Attacker stat that scales burn damage (Burn Damage upgrade, Pyro)
+    },
+    poison: {
+        name: 'Poison',
+        marker: '%',
+        color: [120, 220, 80],
+        duration: 4.0,
+        tickInterval: 1.0,
+        stacking: 'stack',
+        maxStacks: 5
+    },
+    freeze: {
+        name: 'Freeze',
+        marker: '*',
+        color: [150, 220, 255],
+        duration: 1.0,
+        stacking: 'refresh',
+        immobilize: true,
+        reapplyCooldown: 2.0, // Can't be re-frozen right away, so freeze can't lock a target forever
+        bossImmune: true
+    },
+    shock: {
+        name: 'Shock',
+        marker: '~',
+        color: [255, 255, 120],
+        duration: 1.0,
+        tickInterval: 0.25,
+        stacking: 'refresh'
+    },
+    vulnerable: {
+        name: 'Vulnerable',
+        marker: '!',
+        color: [255, 120, 200],
+        duration: 3.0,
+        stacking: 'refresh',
+        damageTakenMultiplier: 1.25
+    }
+};
+
+// Only the host (or single player) deals tick damage
+function isAuthority() {
+    return !isMultiplayerActive() || isHost();
+}
+
+/**
+ * Check whether an entity shrugs off an effect
+ * @param {Object} entity - Target entity
+ * @param {string} type - Effect key
+ * @returns {boolean}
+ */
+export function isStatusImmune(entity, type) {
+    const definition = STATUS_EFFECTS[type];
+    if (!definition) return true;
+    if (entity.statusImmunities?.includes(type)) return true;
+    if (definition.bossImmune && (entity.is?.('boss') || entity.is?.('miniboss'))) return true;
+    return (entity.statusCooldowns?.[type] || 0) > 0;
+}
+
+/**
+ * Apply a status effect to an entity, following the effect's stacking rule
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} entity - Target entity
+ * @param {string} type - Effect key
+ * @param {Object} options - { damage, duration, stacks }
+ * @returns {Object|null} The effect state after applying, or null if it was resisted
+ */
+export function applyStatusEffect(k, entity, type, options = {}) {
+    const definition = STATUS_EFFECTS[type];
+    if (!definition || entity.isDead || isStatusImmune(entity, type)) return null;
+
+    if (!entity.statusEffects) entity.statusEffects = {};
+    const duration = options.duration ?? definition.duration;
+    const damage = Math.max(0, Math.floor(options.damage || 0));
+    const current = entity.statusEffects[type];
+
+    if (!current) {
+        entity.statusEffects[type] = {
+            damage,
+            remaining: duration,
+            stacks: Math.min(definition.maxStacks || 1, options.stacks || 1),
+            tickTimer: 0
+        };
+        refreshStatusVisual(entity);
+    } else if (definition.stacking === 'stack') {
+        current.stacks = Math.min(definition.maxStacks || 1, current.stacks + (options.stacks || 1));
+        current.damage = Math.max(current.damage, damage);
+        current.remaining = duration;
+    } else {
+        current.damage = Math.max(current.damage, damage);
+        current.remaining = Math.max(current.remaining, duration);
+    }
+
+    return entity.statusEffects[type];
+}
+
+/**
+ * Overwrite an effect with the host's state (client side of the damage event)
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} entity - Target entity
+ * @param {string} type - Effect key
+ * @param {Object} state - { damage, remaining, stacks }
+ */
+export function syncStatusEffect(k, entity, type, state) {
+    if (!STATUS_EFFECTS[type] || entity.isDead) return;
+    if (!entity.statusEffects) entity.statusEffects = {};
+
+    const isNew = !entity.statusEffects[type];
+    entity.statusEffects[type] = {
+        damage: state.damage,
+        remaining: state.remaining,
+        stacks: state.stacks,
+        tickTimer: entity.statusEffects[type]?.tickTimer || 0
+    };
+    if (isNew) refreshStatusVisual(entity);
+}
+
+/**
+ * Advance an entity's effects by one frame: tick damage, tints and expiry
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} entity - Entity carrying the effects
+ */
+export function updateStatusEffects(k, entity) {
+    const dt = k.dt();
+
+    if (entity.statusCooldowns) {
+        for (const type of Object.keys(entity.statusCooldowns)) {
+            entity.statusCooldowns[type] -= dt;
+            if (entity.statusCooldowns[type] <= 0) delete entity.statusCooldowns[type];
+        }
+    }
+
+    if (!entity.statusEffects) return;
+
+    // Effects end with the carrier, so a revived player starts clean
+    if (entity.isDead || entity.hp() <= 0) {
+        entity.statusEffects = null;
+        return;
+    }
+
+    let expired = false;
+    for (const [type, effect] of Object.entries(entity.statusEffects)) {
+        const definition = STATUS_EFFECTS[type];
+
+        if (definition.tickInterval) {
+            effect.tickTimer += dt;
+            if (effect.tickTimer >= definition.tickInterval) {
+                effect.tickTimer -= definition.tickInterval;
+                const tickDamage = effect.damage * effect.stacks;
+                if (tickDamage > 0 && isAuthority()) {
+                    resolveDamage(k, { target: entity, amount: tickDamage, tags: ['dot', type] });
+                }
+                flashStatusColor(k, entity, definition.color);
+            }
+        }
+
+        effect.remaining -= dt;
+        if (effect.remaining <= 0) {
+            delete entity.statusEffects[type];
+            if (definition.reapplyCooldown) {
+                if (!entity.statusCooldowns) entity.statusCooldowns = {};
+                entity.statusCooldowns[type] = definition.reapplyCooldown;
+            }
+            expired = true;
+        }
+    }
+
+    if (expired) refreshStatusVisual(entity);
+}
+
+/**
+ * Check whether an entity currently has an effect
+ * @param {Object} entity
+ * @param {string} type - Effect key
+ * @returns {boolean}
+ */
+export function hasStatusEffect(entity, type) {
+    return Boolean(entity.statusEffects?.[type]);
+}
+
+/**
+ * Check whether an effect is rooting the entity (skip movement and attacks)
+ * @param {Object} entity
+ * @returns {boolean}
+ */
+export function isStatusImmobilized(entity) {
+    if (!entity.statusEffects) return false;
+    return Object.keys(entity.statusEffects).some(type => STATUS_EFFECTS[type].immobilize);
+}
+
+/**
+ * Get the multiplier applied to damage the entity takes
+ * @param {Object} entity
+ * @returns {number}
+ */
+export function getStatusDamageTakenMultiplier(entity) {
+    if (!entity.statusEffects) return 1;
+    return Object.keys(entity.statusEffects).reduce(
+        (multiplier, type) => multiplier * (STATUS_EFFECTS[type].damageTakenMultiplier || 1), 1);
+}
+
+/**
+ * Get the marker glyphs drawn after the entity's ASCII character
+ * @param {Object} entity
+ * @returns {string}
+ */
+export function getStatusMarkers(entity) {
+    if (!entity.statusEffects) return '';
+    return Object.keys(STATUS_EFFECTS)
+        .filter(type => entity.statusEffects[type])
+        .map(type => STATUS_EFFECTS[type].marker)
+        .join('');
+}
+
+/**
+ * Remove every effect from an entity (e.g. on revive)
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} entity
+ */
+export function clearStatusEffects(k, entity) {
+    if (!entity.statusEffects) return;
+    entity.statusEffects = {};
+    entity.statusCooldowns = {};
+    refreshStatusVisual(entity);
+}
+
+/**
+ * Turn an attacker's on-hit specs into the effects one hit applies
+ *
+ * Specs come from the attacker's weapon definition (weaponDef.statusEffect) and
+ * from attacker.statusOnHit, keyed by source so upgrades and synergies can be
+ * re-applied without piling up duplicates. A spec is
+ * { type, damage?, damageRatio?, duration?, stacks?, chance?, critOnly? }.
+ * @param {Object} attacker - Player or enemy dealing the hit
+ * @param {number} hitDamage - Damage of the hit (damageRatio is a share of it)
+ * @param {boolean} isCrit - Whether the hit was a critical hit
+ * @returns {Array<Object>} Effects as { type, damage, duration, stacks, chance }
+ */
+export function getHitStatusEffects(attacker, hitDamage, isCrit = false) {
+    const specs = Object.values(attacker.statusOnHit || {});
+    if (attacker.weaponDef?.statusEffect) specs.unshift(attacker.weaponDef.statusEffect);
+
+    return specs
+        .filter(spec => STATUS_EFFECTS[spec.type] && (!spec.critOnly || isCrit))
+        .map(spec => {
+            const definition = STATUS_EFFECTS[spec.type];
+            const baseDamage = spec.damage ?? Math.floor(hitDamage * (spec.damageRatio || 0));
+            const scale = definition.damageStat ? (attacker[definition.damageStat] || 1) : 1;
+            return {
+                type: spec.type,
+                damage: Math.floor(baseDamage * scale),
+                duration: spec.duration ?? definition.duration,
+                stacks: spec.stacks || 1,
+                chance: spec.chance ?? 1
+            };
+        });
+}
+
+/**
+ * Roll and apply a list of on-hit effects
+ * @param {Object} k - KAPLAY instance
+ * @param {Object} entity - Target entity
+ * @param {Array<Object>} effects - Output of getHitStatusEffects
+ * @returns {Array<Object>} Applied effects as { type, damage, remaining, stacks } for syncing
+ */
+export function applyHitStatusEffects(k, entity, effects) {
+    const applied = [];
+    for (const effect of effects || []) {
+        if (effect.chance < 1 && gameplayRandom() >= effect.chance) continue;
+        const state = applyStatusEffect(k, entity, effect.type, effect);
+        if (state) {
+            applied.push({ type: effect.type, damage: state.damage, remaining: state.remaining, stacks: state.stacks });
+        }
+    }
+    return applied;
+}
+
+// Redraw markers after the set of active effects changes
+function refreshStatusVisual(entity) {
+    if (entity.updateVisual && entity.exists?.()) {
+        entity.updateVisual();
+    }
+}
+
+// Brief tint on each tick; entities with updateVisual restore their own color
+function flashStatusColor(k, entity, color) {
+    const previousColor = entity.color;
+    entity.color = k.rgb(...color);
+    k.wait(0.1, () => {
+        if (!entity.exists()) return;
+        if (entity.updateVisual) {
+            entity.updateVisual();
+        } else {
+            entity.color = previousColor;
+        }
+    });
+}
@@ -1,6 +1,6 @@
 // Synergy system - handles upgrade combinations and special effects
-import { showSynergyHint } from './tutorial.js';
-import { onSynergyActivated } from './achievementChecker.js';
+import { emitGameEvent } from './eventBus.js';
+import { scaleTextSize } from './accessibility.js';
 
 // Synergy definitions
 // Each synergy requires specific upgrades and applies a special effect
@@ -245,6 +245,16 @@ export const SYNERGIES = {
         }
     },
 
+    // Corrosion: Crits expose enemies to more damage
+    corrosion: {
+        name: 'Corrosion',
+        description: 'Toxic Rounds + Critical Power: Crits make enemies Vulnerable (+25% damage taken)',
+        required: ['toxicRounds', 'critDamage'],
+        apply: (player) => {
+            player.statusOnHit = { ...player.statusOnHit, corrosion: { type: 'vulnerable', critOnly: true } };
+        }
+    },
+
     // Fortress: Complete immunity during invulnerability
     fortress: {
         name: 'Fortress',
@@ -307,11 +317,8 @@ export function checkAndApplySynergies(k, player) {
                 player.activeSynergies.add(synergyKey);
                 activeSynergies.push(synergy);
 
-                // Notify achievement system (firstSynergy / synergyMaster)
-                onSynergyActivated();
-
-                // Show tutorial hint for synergies
-                showSynergyHint(k);
+                // Achievements, the tutorial and the network layer listen for this
+                emitGameEvent('synergyActivated', { player, synergyKey, synergy });
 
                 // Show synergy notification
                 showSynergyNotification(k, synergy);
@@ -325,7 +332,7 @@ export function checkAndApplySynergies(k, player) {
 // Show synergy notification
 function showSynergyNotification(k, synergy) {
     const notification = k.add([
-        k.text(`SYNERGY: ${synergy.name}`, { size: 20 }),
+        k.text(`SYNERGY: ${synergy.name}`, { size: scaleTextSize(20) }),
         k.pos(k.width() / 2, 150),
         k.anchor('center'),
         k.color(255, 200, 0), // Gold color for synergies
@@ -334,7 +341,7 @@ function showSynergyNotification(k, synergy) {
     ]);
     
     const desc = k.add([
-        k.text(synergy.description, { size: 14 }),
+        k.text(synergy.description, { size: scaleTextSize(14) }),
         k.pos(k.width() / 2, 175),
         k.anchor('center'),
         k.color(200, 200, 100),
@@ -3,7 +3,8 @@
  * Displays non-blocking notifications in the top-right corner of the screen
  */
 
-import { UI_Z_LAYERS, UI_COLORS } from '../config/uiConfig.js';
+import { UI_Z_LAYERS } from '../config/uiConfig.js';
+import { getUIColors, scaleTextSize } from './accessibility.js';
 import { ACHIEVEMENT_COLORS } from '../data/achievements.js';
 
 // Toast queue and state
@@ -50,7 +51,7 @@ export function showToast(options) {
         title: options.title || 'Notification',
         message: options.message || '',
         icon: options.icon || '!',
-        iconColor: options.iconColor || UI_COLORS.TEXT_PRIMARY,
+        iconColor: options.iconColor || getUIColors().TEXT_PRIMARY,
         type: options.type || 'info',
         duration: options.duration || toastState.displayDuration
     };
@@ -131,17 +132,17 @@ function createToastUI(toastData) {
     const y = toastState.toastMargin + toastIndex * (toastState.toastHeight + toastState.toastMargin) + toastState.toastHeight / 2 + 20;
 
     // Get border color based on type
-    let borderColor = UI_COLORS.BORDER;
-    let bgColor = [...UI_COLORS.BG_MEDIUM];
+    let borderColor = getUIColors().BORDER;
+    let bgColor = [...getUIColors().BG_MEDIUM];
     let borderWidth = 2;
     if (toastData.type === 'achievement') {
         borderColor = toastData.iconColor;
         bgColor = [35, 30, 45];
         borderWidth = 3; // Thicker border for achievements
     } else if (toastData.type === 'success') {
-        borderColor = UI_COLORS.SUCCESS;
+        borderColor = getUIColors().SUCCESS;
     } else if (toastData.type === 'error') {
-        borderColor = UI_COLORS.ERROR;
+        borderColor = getUIColors().ERROR;
     }
 
     // Toast container
@@ -209,10 +210,10 @@ function createToastUI(toastData) {
 
     // Title
     const title = k.add([
-        k.text(toastData.title, { size: 14 }),
+        k.text(toastData.title, { size: scaleTextSize(14) }),
         k.pos(startX - toastState.toastWidth / 2 + 65, y - 20),
         k.anchor('left'),
-        k.color(...(toastData.type === 'achievement' ? [255, 220, 100] : UI_COLORS.TEXT_PRIMARY)),
+        k.color(...(toastData.type === 'achievement' ? [255, 220, 100] : getUIColors().TEXT_PRIMARY)),
         k.fixed(),
         k.z(UI_Z_LAYERS.TOOLTIP + 2),
         'toast'
@@ -223,10 +224,10 @@ function createToastUI(toastData) {
     const messageElements = [];
     messageLines.forEach((line, index) => {
         const msg = k.add([
-            k.text(line, { size: 12, width: toastState.toastWidth - 80 }),
+            k.text(line, { size: scaleTextSize(12), width: toastState.toastWidth - 80 }),
             k.pos(startX - toastState.toastWidth / 2 + 65, y - 5 + index * 16),
             k.anchor('left'),
-            k.color(...UI_COLORS.TEXT_SECONDARY),
+            k.color(...getUIColors().TEXT_SECONDARY),
             k.fixed(),
             k.z(UI_Z_LAYERS.TOOLTIP + 2),
             'toast'
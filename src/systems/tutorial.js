@@ -5,11 +5,24 @@
  * Hints are stored in localStorage and only shown once.
  */
 
+import { getActionKeys, formatBindingName } from './keyBindings.js';
+import { onGameEvent } from './eventBus.js';
+import { scaleTextSize } from './accessibility.js';
+
+/**
+ * Primary movement keys as one label (e.g. "WASD", or "ZQSD" on AZERTY bindings)
+ */
+function getMovementKeysLabel() {
+    return ['moveUp', 'moveLeft', 'moveDown', 'moveRight']
+        .map(action => formatBindingName(getActionKeys(action)[0] || '?'))
+        .join('');
+}
+
 // Tutorial hint definitions
 const TUTORIAL_HINTS = {
     movement: {
         id: 'movement',
-        message: 'Use WASD to move',
+        message: () => `Use ${getMovementKeysLabel()} to move`, // Reflects rebound keys
         duration: 3,
         trigger: 'firstMove' // Triggered on game start
     },
@@ -63,10 +76,10 @@ export function loadTutorialProgress() {
 }
 
 /**
- * Save tutorial progress to localStorage
+ * Save tutorial progress to localStorage (also used when importing a save)
  * @param {Object} progress - Tutorial progress to save
  */
-function saveTutorialProgress(progress) {
+export function saveTutorialProgress(progress) {
     try {
         localStorage.setItem(TUTORIAL_STORAGE_KEY, JSON.stringify(progress));
     } catch (e) {
@@ -127,8 +140,9 @@ export function showHint(k, hintId) {
         'tutorialHint'
     ]);
 
+    const message = typeof hint.message === 'function' ? hint.message() : hint.message;
     const hintText = k.add([
-        k.text(hint.message, { size: 16 }),
+        k.text(message, { size: scaleTextSize(16) }),
         k.pos(k.width() / 2, 50),
         k.anchor('center'),
         k.color(255, 255, 200),
@@ -189,6 +203,23 @@ export function showShopHint(k) {
     showHint(k, 'shop');
 }
 
+/**
+ * Show hints from game events for the current game scene:
+ * movement at run start, level up when the first draft opens, synergy on activation
+ * @param {object} k - KAPLAY instance
+ * @returns {Function} Call to stop listening (on scene leave)
+ */
+export function initTutorialHints(k) {
+    const unsubscribers = [
+        onGameEvent('runStarted', ({ isReplay }) => {
+            if (!isReplay) k.wait(1.0, () => showMovementHint(k));
+        }),
+        onGameEvent('upgradeDraftOpened', () => showLevelUpHint(k)),
+        onGameEvent('synergyActivated', () => showSynergyHint(k))
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
 /**
  * Reset tutorial progress (for testing)
  */
@@ -1,5 +1,6 @@
 // Upgrade system - handles upgrade definitions and application
 import { isUpgradeValidForWeapon, getWeaponDefinition, WEAPON_DEFINITIONS } from '../data/weapons.js';
+import { UPGRADE_RARITIES, RARITY_ORDER } from '../data/rarities.js';
 
 // Upgrade stack limits
 export const UPGRADE_STACK_LIMITS = {
@@ -38,7 +39,15 @@ export const UPGRADE_STACK_LIMITS = {
     invulnTime: 5, // 5 stacks = +0.75s invuln total (0.15s per stack)
     moveDamage: 5, // 5 stacks = +10% damage per speed stack (2% per stack)
     lowHealthDmg: 5, // 5 stacks = +25% damage per 10% missing HP (5% per stack)
-    killSpeed: 5 // 5 stacks = +15% speed on kill for 3s (3% per stack)
+    killSpeed: 5, // 5 stacks = +15% speed on kill for 3s (3% per stack)
+    toxicRounds: 5, // 5 stacks = poison for 50% of hit damage per second (10% per stack)
+    cryoRounds: 5, // 5 stacks = 25% freeze chance (5% per stack)
+    luck: 5, // 5 stacks = +5 luck (rarer draft cards)
+    abilityCooldown: 5, // 5 stacks = ~47% ability cooldown (12% less per stack, multiplicative)
+    abilityPower: 5, // 5 stacks = +100% ability damage, healing and duration (20% per stack)
+    // Legendary uniques (one copy each)
+    fissionRounds: 1,
+    chainReaction: 1
 };
 
 // Basic upgrade definitions
@@ -578,9 +587,170 @@ export const UPGRADES = {
             player.killSpeedStacks = 0; // Active kill stacks (managed in combat)
             player.killSpeedTimer = 0; // Timer for speed buff decay
         }
+    },
+    toxicRounds: {
+        name: 'Toxic Rounds',
+        icon: '☣',
+        description: 'Hits poison for 10% of their damage per second',
+        category: 'passive',
+        maxStacks: 5,
+        getDescription: (stacks) => `Hits poison for ${(stacks || 1) * 10}% of their damage per second${stacks > 0 ? ` (${stacks}/${UPGRADE_STACK_LIMITS.toxicRounds})` : ''}`,
+        apply: (player) => {
+            const stacks = player.upgradeStacks?.toxicRounds || 0;
+            // Applied on hit by the status effect system; poison itself stacks up to 5 times per target
+            player.statusOnHit = { ...player.statusOnHit, toxicRounds: { type: 'poison', damageRatio: stacks * 0.1 } };
+        }
+    },
+    cryoRounds: {
+        name: 'Cryo Rounds',
+        icon: '❄',
+        description: '5% chance for hits to freeze',
+        category: 'passive',
+        maxStacks: 5,
+        getDescription: (stacks) => `${(stacks || 1) * 5}% chance for hits to freeze${stacks > 0 ? ` (${stacks}/${UPGRADE_STACK_LIMITS.cryoRounds})` : ''}`,
+        apply: (player) => {
+            const stacks = player.upgradeStacks?.cryoRounds || 0;
+            // Bosses and minibosses are immune to freeze
+            player.statusOnHit = { ...player.statusOnHit, cryoRounds: { type: 'freeze', chance: stacks * 0.05 } };
+        }
+    },
+    luck: {
+        name: 'Four-Leaf Clover',
+        icon: '♣',
+        description: '+1 luck (rarer upgrade cards)',
+        category: 'passive',
+        maxStacks: 5,
+        getDescription: (stacks) => `+1 luck (rarer upgrade cards)${stacks > 0 ? ` (${stacks}/${UPGRADE_STACK_LIMITS.luck})` : ''}`,
+        apply: (player) => {
+            // Read by the draft's rarity roll (see data/rarities.js)
+            player.luck = player.upgradeStacks?.luck || 0;
+        }
+    },
+    abilityCooldown: {
+        name: 'Quick Recharge',
+        icon: '↻',
+        description: '-12% ability cooldown',
+        category: 'passive',
+        maxStacks: 5,
+        getDescription: (stacks) => `-12% ability cooldown${stacks > 0 ? ` (${stacks}/${UPGRADE_STACK_LIMITS.abilityCooldown})` : ''}`,
+        apply: (player) => {
+            const stacks = player.upgradeStacks?.abilityCooldown || 0;
+            player.abilityCooldownMultiplier = Math.pow(0.88, stacks);
+        }
+    },
+    abilityPower: {
+        name: 'Overcharge',
+        icon: '↯',
+        description: '+20% ability damage, healing and duration',
+        category: 'passive',
+        maxStacks: 5,
+        getDescription: (stacks) => `+${(stacks || 1) * 20}% ability damage, healing and duration${stacks > 0 ? ` (${stacks}/${UPGRADE_STACK_LIMITS.abilityPower})` : ''}`,
+        apply: (player) => {
+            const stacks = player.upgradeStacks?.abilityPower || 0;
+            player.abilityPower = 1 + stacks * 0.2;
+        }
+    },
+
+    // ========================================
+    // LEGENDARY UPGRADES (only offered on legendary rolls)
+    // ========================================
+
+    fissionRounds: {
+        name: 'Fission Rounds',
+        icon: '✸',
+        description: 'Projectiles split into 3 shards on kill',
+        category: 'weapon',
+        rarity: 'legendary',
+        validWeapons: ['pistol', 'smg', 'shotgun', 'sniper', 'flamethrower', 'boomerang'],
+        maxStacks: 1,
+        getDescription: () => 'Projectiles that kill split into 3 shards (50% damage)',
+        apply: (player) => {
+            // Shards are spawned by the damage pipeline; shards never split again
+            player.fissionShards = 3;
+            player.fissionDamageRatio = 0.5;
+        }
+    },
+    chainReaction: {
+        name: 'Chain Reaction',
+        icon: '✹',
+        description: 'Enemies you kill explode',
+        category: 'passive',
+        rarity: 'legendary',
+        maxStacks: 1,
+        getDescription: () => 'Enemies you kill explode for 25% of their max HP',
+        apply: (player) => {
+            // Blasts are resolved by the damage pipeline and can kill (and chain) again
+            player.chainReactionRatio = 0.25;
+            player.chainReactionRadius = 60;
+        }
     }
 };
 
+// Floor the next drafts are rolled for (deeper floors shift rarity weights)
+let draftFloor = 1;
+
+/**
+ * Set the floor used for draft rarity weights (called on entering a room)
+ * @param {number} floor - Current floor
+ */
+export function setUpgradeDraftFloor(floor) {
+    draftFloor = Math.max(1, floor || 1);
+}
+
+/**
+ * Rarity weights for a floor and luck value
+ * @param {number} floor - Current floor
+ * @param {number} luck - Player luck
+ * @returns {Object} { rarityKey: weight }
+ */
+export function getRarityWeights(floor = draftFloor, luck = 0) {
+    const weights = {};
+    RARITY_ORDER.forEach(rarity => {
+        const tier = UPGRADE_RARITIES[rarity];
+        const weight = tier.weight + tier.weightPerFloor * (floor - 1) + tier.weightPerLuck * luck;
+        weights[rarity] = Math.max(tier.minWeight || 0, weight);
+    });
+    return weights;
+}
+
+/**
+ * Roll a rarity tier
+ * @param {SeededRandom} rng - Optional seeded RNG for multiplayer synchronization
+ * @param {number} floor - Current floor
+ * @param {number} luck - Player luck
+ * @returns {string} Rarity key
+ */
+export function rollUpgradeRarity(rng = null, floor = draftFloor, luck = 0) {
+    const weights = getRarityWeights(floor, luck);
+    const total = RARITY_ORDER.reduce((sum, rarity) => sum + weights[rarity], 0);
+    let roll = (rng ? rng.next() : Math.random()) * total;
+    for (const rarity of RARITY_ORDER) {
+        roll -= weights[rarity];
+        if (roll < 0) return rarity;
+    }
+    return 'common';
+}
+
+/**
+ * Highest rarity up to the rolled one whose extra stacks still fit under the stack limit
+ * @param {Object} player - Player object
+ * @param {string} upgradeKey - Upgrade key
+ * @param {string} rarity - Rolled rarity
+ * @returns {string} Rarity the card is offered at
+ */
+export function fitUpgradeRarity(player, upgradeKey, rarity) {
+    const upgrade = UPGRADES[upgradeKey];
+    if (upgrade?.rarity) return upgrade.rarity;
+
+    const maxStacks = upgrade?.maxStacks || UPGRADE_STACK_LIMITS[upgradeKey] || 10;
+    const remaining = Math.max(1, maxStacks - (player?.upgradeStacks?.[upgradeKey] || 0));
+    let index = Math.min(RARITY_ORDER.indexOf(rarity), RARITY_ORDER.indexOf('epic'));
+    while (index > 0 && UPGRADE_RARITIES[RARITY_ORDER[index]].stacks > remaining) {
+        index--;
+    }
+    return RARITY_ORDER[Math.max(0, index)];
+}
+
 // Check if upgrade is valid for player
 function isUpgradeValidForPlayer(upgrade, player) {
     // Passive upgrades
@@ -622,12 +792,23 @@ function isUpgradeValidForPlayer(upgrade, player) {
     return true;
 }
 
+// Check whether an upgrade can still be offered to a player (not maxed, banished or for another weapon)
+// @param {Object} player - Player object
+// @param {string} upgradeKey - Upgrade key
+export function isUpgradeOffered(player, upgradeKey) {
+    if (!UPGRADES[upgradeKey] || player.banishedUpgrades?.includes(upgradeKey)) return false;
+    return isUpgradeValidForPlayer({ key: upgradeKey, ...UPGRADES[upgradeKey] }, player);
+}
+
 // Get random upgrades for draft (weapon-aware)
 // @param {number} count - Number of upgrades to return
 // @param {Object} player - Player object to filter valid upgrades
 // @param {SeededRandom} rng - Optional seeded RNG for multiplayer synchronization
-export function getRandomUpgrades(count = 3, player = null, rng = null) {
-    const upgradeKeys = Object.keys(UPGRADES);
+// @param {Array<string>} excludeKeys - Upgrades to leave out (cards already on the table)
+export function getRandomUpgrades(count = 3, player = null, rng = null, excludeKeys = []) {
+    // Banished upgrades never come back this run, not even in the fallback pool
+    const excluded = new Set([...excludeKeys, ...(player?.banishedUpgrades || [])]);
+    const upgradeKeys = Object.keys(UPGRADES).filter(key => !excluded.has(key));
 
     // Map upgrade keys to full upgrade objects
     let allOptions = upgradeKeys.map(key => ({ key, ...UPGRADES[key], type: 'upgrade' }));
@@ -646,26 +827,38 @@ export function getRandomUpgrades(count = 3, player = null, rng = null) {
         validOptions = allOptions;
     }
 
+    // Legendary uniques only come from legendary rolls
+    const regularOptions = validOptions.filter(option => option.rarity !== 'legendary');
+    const legendaryOptions = validOptions.filter(option => option.rarity === 'legendary');
+    const luck = player?.luck || 0;
+
     const selected = [];
     const used = new Set();
 
-    while (selected.length < count && selected.length < validOptions.length) {
+    while (selected.length < count && used.size < validOptions.length) {
+        // Each card rolls its tier first (seeded RNG keeps multiplayer drafts in sync)
+        const rolledRarity = rollUpgradeRarity(rng, draftFloor, luck);
+        const regularLeft = regularOptions.filter(option => !used.has(option.key));
+        const legendaryLeft = legendaryOptions.filter(option => !used.has(option.key));
+        const pool = (rolledRarity === 'legendary' && legendaryLeft.length > 0) || regularLeft.length === 0
+            ? legendaryLeft
+            : regularLeft;
+
         // Use seeded RNG if provided (for multiplayer sync), otherwise Math.random()
         const randomIndex = rng
-            ? rng.range(0, validOptions.length)
-            : Math.floor(Math.random() * validOptions.length);
-        const option = validOptions[randomIndex];
-        if (!used.has(option.key)) {
-            used.add(option.key);
-            selected.push(option);
-        }
+            ? rng.range(0, pool.length)
+            : Math.floor(Math.random() * pool.length);
+        const option = pool[randomIndex];
+        used.add(option.key);
+        selected.push({ ...option, rarity: fitUpgradeRarity(player, option.key, rolledRarity) });
     }
 
     return selected;
 }
 
 // Apply upgrade to player
-export function applyUpgrade(player, upgradeKey) {
+// @param {string} rarity - Tier the card was picked at (rare and epic add several stacks at once)
+export function applyUpgrade(player, upgradeKey, rarity = 'common') {
     // Get the upgrade
     const upgrade = UPGRADES[upgradeKey];
     if (!upgrade) return;
@@ -687,7 +880,8 @@ export function applyUpgrade(player, upgradeKey) {
     if (currentStacks >= maxStacks) {
         return; // already at max stacks; nothing to apply
     }
-    player.upgradeStacks[upgradeKey] = currentStacks + 1;
+    const addedStacks = UPGRADE_RARITIES[rarity]?.stacks || 1;
+    player.upgradeStacks[upgradeKey] = Math.min(maxStacks, currentStacks + addedStacks);
     
     // Apply upgrade (will recalculate from base values)
     recalculateAllUpgrades(player);
@@ -1,5 +1,6 @@
 // Visual Effects System - screen shake, hit freeze, and other juice effects
 import { getSetting } from './settings.js';
+import { isReplayPlayback } from './replaySystem.js';
 
 let kInstance = null;
 let originalCamPos = null;
@@ -11,9 +12,9 @@ let inHitFreeze = false;
 let lastShakeTime = 0;
 const MIN_SHAKE_INTERVAL = 0.05; // Minimum 50ms between shake calls
 
-// Rate limiting for hit freeze
+// Rate limiting for hit freeze (game time, so a replay freezes on the same frames)
 let lastFreezeTime = 0;
-const MIN_FREEZE_INTERVAL = 100; // Minimum 100ms between freeze calls
+const MIN_FREEZE_INTERVAL = 0.1; // Minimum 100ms between freeze calls
 
 /**
  * Initialize the visual effects system
@@ -92,14 +93,15 @@ export function hitFreeze(duration = 50) {
     if (!kInstance) return;
 
     // Check if hit freeze is enabled in settings (or if reduced motion is enabled)
+    // Replays use the recorded setting, which already folds in reduced motion
     if (!getSetting('visual', 'showHitFreeze')) return;
-    if (getSetting('accessibility', 'reducedMotion')) return;
+    if (getSetting('accessibility', 'reducedMotion') && !isReplayPlayback()) return;
 
     // Don't freeze if already paused or in freeze
     if (kInstance.paused || inHitFreeze) return;
 
     // Rate limit hit freeze to prevent performance issues
-    const currentTime = Date.now();
+    const currentTime = kInstance.time();
     if (currentTime - lastFreezeTime < MIN_FREEZE_INTERVAL) {
         return;
     }
@@ -110,11 +112,11 @@ export function hitFreeze(duration = 50) {
     inHitFreeze = true;
 
     // Resume after duration
-    setTimeout(() => {
+    kInstance.wait(duration / 1000, () => {
         // Only unpause if we were the ones who paused it
         kInstance.paused = false;
         inHitFreeze = false;
-    }, duration);
+    });
 }
 
 /**
@@ -0,0 +1,157 @@
+/**
+ * Weapon Evolution
+ *
+ * Maxing a starting weapon's evolution upgrade (pistol + Piercing, SMG + Fire Rate,
+ * ...) puts a special card in the next upgrade draft. Picking it swaps the weapon
+ * for its evolved definition in data/weapons.js, which has its own firing pattern,
+ * fire sound and projectile glyph. Upgrades already taken carry over, since the
+ * evolved weapon keeps the base weapon's upgrade categories.
+ *
+ * A player evolves at most once per run. Evolutions are recorded in run history
+ * and in the save (for the evolution achievements).
+ */
+
+import { WEAPON_DEFINITIONS } from '../data/weapons.js';
+import { UPGRADES, UPGRADE_STACK_LIMITS, recalculateAllUpgrades } from './upgrades.js';
+
+/**
+ * Get the evolutions of a weapon
+ * @param {string} weaponKey - Base weapon key
+ * @returns {Array<Object>} Evolved weapon definitions with their key
+ */
+export function getWeaponEvolutions(weaponKey) {
+    return Object.entries(WEAPON_DEFINITIONS)
+        .filter(([, weapon]) => weapon.evolvesFrom === weaponKey)
+        .map(([key, weapon]) => ({ key, ...weapon }));
+}
+
+/**
+ * Check whether a weapon definition is an evolution
+ * @param {string} weaponKey - Weapon key
+ * @returns {boolean} True for evolved weapons
+ */
+export function isEvolvedWeapon(weaponKey) {
+    return !!WEAPON_DEFINITIONS[weaponKey]?.evolvesFrom;
+}
+
+/**
+ * Get the evolution a player can take in their next draft
+ * Not offered after evolving once, or while a powerup weapon is out
+ * @param {Object} player - Player entity
+ * @returns {Object|null} Draft card ({ key, type: 'evolution', ... }) or null
+ */
+export function getAvailableEvolution(player) {
+    if (!player || player.evolvedWeapon || player.powerupWeapon) return null;
+
+    const evolution = getWeaponEvolutions(player.weaponKey).find(weapon => {
+        const upgradeKey = weapon.evolutionUpgrade;
+        const maxStacks = UPGRADES[upgradeKey]?.maxStacks || UPGRADE_STACK_LIMITS[upgradeKey] || 10;
+        return (player.upgradeStacks?.[upgradeKey] || 0) >= maxStacks;
+    });
+    return evolution ? createEvolutionCard(evolution.key) : null;
+}
+
+/**
+ * Build the draft card for an evolution (also used to rebuild replayed drafts)
+ * @param {string} weaponKey - Evolved weapon key
+ * @returns {Object|null} Draft card, or null if the key is not an evolution
+ */
+export function createEvolutionCard(weaponKey) {
+    const weapon = WEAPON_DEFINITIONS[weaponKey];
+    if (!weapon?.evolvesFrom) return null;
+    return {
+        key: weaponKey,
+        name: `Evolve: ${weapon.name}`,
+        icon: weapon.icon,
+        description: weapon.description,
+        category: 'weapon',
+        weaponKey,
+        type: 'evolution',
+        rarity: 'legendary'
+    };
+}
+
+/**
+ * Swap a player's weapon for its evolution
+ * Stats are reset from the evolved definition, then upgrades are re-applied on top.
+ * @param {Object} player - Player entity
+ * @param {string} weaponKey - Evolved weapon key
+ * @returns {string|null} Key of the weapon that evolved, or null if nothing changed
+ */
+export function evolveWeapon(player, weaponKey) {
+    const weaponDef = WEAPON_DEFINITIONS[weaponKey];
+    if (!weaponDef?.evolvesFrom || player.evolvedWeapon) return null;
+
+    const fromWeapon = player.weaponKey;
+    player.weaponKey = weaponKey;
+    player.weaponDef = weaponDef;
+    player.evolvedWeapon = weaponKey;
+    player.weapons = (player.weapons || [fromWeapon]).map(key => (key === fromWeapon ? weaponKey : key));
+
+    // Base stats (upgrade recalculation scales from these)
+    player.baseFireRate = weaponDef.fireRate;
+    player.baseProjectileSpeed = weaponDef.projectileSpeed;
+    player.baseProjectileDamage = weaponDef.baseDamage;
+
+    // Stats with no upgrade stacks keep the definition's value
+    player.fireRate = weaponDef.fireRate;
+    player.projectileSpeed = weaponDef.projectileSpeed;
+    player.projectileCount = weaponDef.projectileCount;
+    player.piercing = weaponDef.piercing;
+    player.obstaclePiercing = weaponDef.obstaclePiercing;
+    player.critChance = weaponDef.critChance;
+    player.critDamage = weaponDef.critDamage;
+    player.spreadAngle = weaponDef.spreadAngle;
+    player.weaponRange = weaponDef.range;
+    player.weaponCategory = weaponDef.category;
+    if (weaponDef.explosionRadius) {
+        player.explosionRadius = weaponDef.explosionRadius;
+        player.explosionDamage = weaponDef.explosionDamage;
+    }
+
+    recalculateAllUpgrades(player);
+    return fromWeapon;
+}
+
+/**
+ * Expand one trigger pull into the shots of the weapon's firing pattern
+ * @param {Object} weaponDef - Weapon definition (patterns come from evolutions)
+ * @param {Array<Object>} shots - { angle, delay } per projectile; angle in degrees from the aim
+ * @returns {Array<Object>} { angle, delay } for every projectile to fire
+ */
+export function getFirePatternShots(weaponDef, shots) {
+    const pattern = weaponDef?.firePattern;
+    if (!pattern) return shots;
+
+    switch (pattern.type) {
+        case 'burst':
+            // Every shot repeats, one burst interval apart
+            return shots.flatMap(shot => Array.from({ length: pattern.count }, (_, i) => ({
+                angle: shot.angle,
+                delay: shot.delay + i * pattern.interval
+            })));
+        case 'twin':
+            // Every shot splits into two, half the twin angle either side
+            return shots.flatMap(shot => [-1, 1].map(side => ({
+                angle: shot.angle + side * pattern.angle / 2,
+                delay: shot.delay
+            })));
+        case 'fan':
+            // Every shot fans out evenly across the pattern angle
+            return shots.flatMap(shot => Array.from({ length: pattern.count }, (_, i) => ({
+                angle: shot.angle - pattern.angle / 2 + i * pattern.angle / (pattern.count - 1),
+                delay: shot.delay
+            })));
+        case 'ring': {
+            // The normal shots plus an even ring around the shooter
+            const ring = Array.from({ length: pattern.count }, (_, i) => ({
+                angle: (360 / pattern.count) * i + 180 / pattern.count,
+                delay: 0
+            }));
+            return [...shots, ...ring];
+        }
+        default:
+            // 'cluster' changes the explosion, not the shots
+            return shots;
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * WebSocket Connection
+ * Wraps a WebSocket (the browser's, or the `ws` package's on the dedicated server)
+ * in the PeerJS DataConnection shape networkSystem.js already handles:
+ * conn.peer, conn.on('open' | 'data' | 'close' | 'error'), conn.send(data), conn.close()
+ *
+ * Like a PeerJS 'raw' connection, data passes through untouched: networkSystem.js
+ * sends JSON text and ArrayBuffers, and receives strings and ArrayBuffers.
+ */
+
+const OPEN = 1; // WebSocket.OPEN (the same in browsers and `ws`)
+
+/**
+ * Create a DataConnection-like wrapper around a WebSocket
+ * @param {WebSocket} socket - Connecting or open WebSocket
+ * @param {string} peerId - ID the other side is known by
+ * @returns {Object} Connection
+ */
+export function createWebSocketConnection(socket, peerId) {
+    const handlers = { open: [], data: [], close: [], error: [] };
+    const emit = (event, value) => handlers[event].forEach(handler => handler(value));
+
+    socket.binaryType = 'arraybuffer';
+    socket.addEventListener('open', () => emit('open'));
+    socket.addEventListener('close', () => emit('close'));
+    socket.addEventListener('error', (event) => emit('error', event.error || new Error('WebSocket error')));
+    socket.addEventListener('message', (event) => emit('data', event.data));
+
+    return {
+        peer: peerId,
+        get open() {
+            return socket.readyState === OPEN;
+        },
+        on(event, handler) {
+            if (!handlers[event]) return;
+            handlers[event].push(handler);
+            // Server-side sockets are already open when they're accepted
+            if (event === 'open' && socket.readyState === OPEN) {
+                queueMicrotask(handler);
+            }
+        },
+        send(data) {
+            if (socket.readyState === OPEN) {
+                socket.send(data);
+            }
+        },
+        close() {
+            socket.close();
+        }
+    };
+}
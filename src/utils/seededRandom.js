@@ -142,3 +142,25 @@ export function seedFromString(str) {
     }
     return hash >>> 0;
 }
+
+// RNG for in-run gameplay rolls (crits, dodges, reflects, drop chances) in seeded runs;
+// null in unseeded games, where gameplayRandom() falls back to Math.random
+let gameplayRNG = null;
+
+/**
+ * Set the RNG that gameplay rolls draw from (the game scene sets one per room)
+ * @param {SeededRandom|null} rng - Seeded RNG, or null to use Math.random
+ */
+export function setGameplayRNG(rng) {
+    gameplayRNG = rng;
+}
+
+/**
+ * Roll a gameplay random number (0 to 1, exclusive)
+ * Anything that changes the outcome of a run rolls here, so a seeded run
+ * replays the same; cosmetic randomness (particles, shake) keeps Math.random
+ * @returns {number} Random number between 0 and 1
+ */
+export function gameplayRandom() {
+    return gameplayRNG ? gameplayRNG.next() : Math.random();
+}
@@ -0,0 +1,154 @@
+import './helpers/localStorage.js';
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { addPlayer } from './helpers/players.js';
+import { createEnemy } from '../src/entities/enemy.js';
+import { CHARACTER_UNLOCKS } from '../src/data/unlocks.js';
+import { ACTIVE_ABILITIES } from '../src/data/abilities.js';
+import { UPGRADES } from '../src/systems/upgrades.js';
+import { hasStatusEffect } from '../src/systems/statusEffects.js';
+import { setSoundEnabled } from '../src/systems/sounds.js';
+import {
+    useAbility,
+    updateAbility,
+    isAbilityReady,
+    getAbilityCooldown,
+    getAbilityCharge,
+    getAbilityDirection
+} from '../src/systems/abilities.js';
+
+const RIGHT = { x: 1, y: 0 };
+
+function addAbilityPlayer(k, activeAbility, x = 400, y = 300, stats = {}) {
+    return addPlayer(k, x, y, {
+        activeAbility,
+        abilityCooldown: 0,
+        projectileDamage: 10,
+        invulnerableTime: 0,
+        ...stats
+    });
+}
+
+function addObstacle(k, x, y, width, height) {
+    return k.add([k.pos(x, y), k.rect(width, height), 'obstacle']);
+}
+
+function stepAbility(k, player, seconds) {
+    for (let t = 0; t < seconds; t += 0.1) {
+        k.step(0.1);
+        updateAbility(k, player);
+    }
+}
+
+describe('active abilities', () => {
+    let k;
+
+    // Abilities play sounds, and Node has no AudioContext
+    before(() => setSoundEnabled(false));
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    it('exist for every character and can all be used', () => {
+        for (const [key, character] of Object.entries(CHARACTER_UNLOCKS)) {
+            assert.ok(ACTIVE_ABILITIES[character.activeAbility], `${key} has no active ability`);
+            const player = addAbilityPlayer(k, character.activeAbility);
+            assert.equal(useAbility(k, player, RIGHT), true, `${character.activeAbility} could not be used`);
+        }
+    });
+
+    it('go on cooldown, refuse the owner until recharged, and charge up for the HUD', () => {
+        const player = addAbilityPlayer(k, 'secondWind');
+        assert.equal(useAbility(k, player, RIGHT), true);
+        assert.equal(useAbility(k, player, RIGHT), false);
+        assert.equal(getAbilityCharge(player), 0);
+
+        stepAbility(k, player, ACTIVE_ABILITIES.secondWind.cooldown / 2);
+        assert.ok(Math.abs(getAbilityCharge(player) - 0.5) < 0.02);
+
+        stepAbility(k, player, ACTIVE_ABILITIES.secondWind.cooldown / 2 + 0.1);
+        assert.equal(isAbilityReady(player), true);
+    });
+
+    it('run on other players\' copies without a cooldown check', () => {
+        const player = addAbilityPlayer(k, 'steadyAim', 400, 300, { abilityCooldown: 5 });
+        assert.equal(useAbility(k, player, RIGHT, { isOwner: false, isAuthority: false }), true);
+        assert.equal(player.steadyAimTime, ACTIVE_ABILITIES.steadyAim.duration);
+    });
+
+    it('are upgraded by Quick Recharge and Overcharge', () => {
+        const player = addAbilityPlayer(k, 'phase', 400, 300, { upgradeStacks: { abilityCooldown: 2, abilityPower: 3 } });
+        UPGRADES.abilityCooldown.apply(player);
+        UPGRADES.abilityPower.apply(player);
+
+        assert.ok(Math.abs(getAbilityCooldown(player) - ACTIVE_ABILITIES.phase.cooldown * 0.88 * 0.88) < 1e-9);
+        useAbility(k, player, RIGHT);
+        assert.ok(Math.abs(player.phaseTime - ACTIVE_ABILITIES.phase.duration * 1.6) < 1e-9);
+    });
+
+    it('dash the way the player moves and stop short of cover', () => {
+        const player = addAbilityPlayer(k, 'dash', 100, 300, { moveInput: { x: 1, y: 0 }, angle: 90 });
+        assert.deepEqual(getAbilityDirection(player), RIGHT);
+
+        addObstacle(k, 180, 300, 20, 60);
+        useAbility(k, player, RIGHT);
+        assert.ok(player.pos.x > 100 && player.pos.x + 12 <= 170, `dashed to ${player.pos.x}`);
+        assert.equal(player.invulnerable, true);
+    });
+
+    it('keep a phasing player phasing until they are out of the wall', () => {
+        const player = addAbilityPlayer(k, 'phase', 400, 300);
+        useAbility(k, player, RIGHT);
+        addObstacle(k, 400, 300, 40, 40);
+
+        stepAbility(k, player, ACTIVE_ABILITIES.phase.duration + 0.5);
+        assert.ok(player.phaseTime > 0);
+
+        player.pos = k.vec2(500, 300);
+        stepAbility(k, player, 0.2);
+        assert.equal(player.phaseTime, 0);
+    });
+
+    it('burn enemies in range with Flame Nova, leaving the rest alone', () => {
+        const player = addAbilityPlayer(k, 'flameNova');
+        const near = createEnemy(k, 450, 300, 'basic', 1);
+        const far = createEnemy(k, 700, 300, 'basic', 1);
+        const nearHP = near.hp();
+        const farHP = far.hp();
+
+        useAbility(k, player, RIGHT);
+        assert.ok(near.hp() < nearHP);
+        assert.equal(hasStatusEffect(near, 'burn'), true);
+        assert.equal(far.hp(), farHP);
+    });
+
+    it('heal the Vampire for part of Blood Drain\'s damage', () => {
+        const player = addAbilityPlayer(k, 'bloodDrain');
+        player.setHP(50);
+        const enemy = createEnemy(k, 430, 300, 'tank', 1);
+        Object.assign(enemy, { shieldHealth: 0, armorHealth: 0 });
+        const enemyHP = enemy.hp();
+
+        useAbility(k, player, RIGHT);
+        const dealt = enemyHP - enemy.hp();
+        assert.ok(dealt > 0);
+        assert.equal(player.hp(), 50 + Math.floor(dealt * ACTIVE_ABILITIES.bloodDrain.healRatio));
+    });
+
+    it('block enemy projectiles along a Shield Wall', () => {
+        const player = addAbilityPlayer(k, 'shieldWall');
+        const blocked = k.add([k.pos(440, 320), 'projectile']);
+        blocked.isEnemyProjectile = true;
+        const missed = k.add([k.pos(440, 400), 'projectile']);
+        missed.isEnemyProjectile = true;
+        const own = k.add([k.pos(440, 300), 'projectile']);
+
+        useAbility(k, player, RIGHT);
+        k.step();
+        assert.equal(blocked.exists(), false);
+        assert.equal(missed.exists(), true);
+        assert.equal(own.exists(), true);
+    });
+});
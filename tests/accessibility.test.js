@@ -0,0 +1,51 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { updateSetting, resetSettings } from '../src/systems/settings.js';
+import {
+    applyAccessibilitySettings,
+    getUIColors,
+    scaleTextSize,
+    adjustColor,
+    LARGE_TEXT_SCALE
+} from '../src/systems/accessibility.js';
+import { UI_COLORS, UI_TEXT_SIZES, HIGH_CONTRAST_COLORS } from '../src/config/uiConfig.js';
+
+describe('accessibility settings', () => {
+    beforeEach(() => resetSettings());
+
+    afterEach(() => {
+        resetSettings();
+        applyAccessibilitySettings();
+    });
+
+    it('scales text and swaps the palette without touching the authored config', () => {
+        const authoredColors = structuredClone(UI_COLORS);
+        const authoredSizes = { ...UI_TEXT_SIZES };
+
+        updateSetting('accessibility', 'largeText', true);
+        updateSetting('accessibility', 'highContrast', true);
+        applyAccessibilitySettings();
+
+        assert.equal(scaleTextSize(UI_TEXT_SIZES.HUD), Math.round(UI_TEXT_SIZES.HUD * LARGE_TEXT_SCALE));
+        assert.equal(scaleTextSize(10), Math.round(10 * LARGE_TEXT_SCALE));
+        assert.deepEqual(getUIColors().BG_DARK, HIGH_CONTRAST_COLORS.BG_DARK);
+        assert.deepEqual(getUIColors().TEXT_PRIMARY, UI_COLORS.TEXT_PRIMARY, 'keys without an override keep the authored color');
+
+        assert.deepEqual(UI_COLORS, authoredColors);
+        assert.deepEqual(UI_TEXT_SIZES, authoredSizes);
+    });
+
+    it('goes back to the authored values when the settings are turned off', () => {
+        updateSetting('accessibility', 'largeText', true);
+        updateSetting('accessibility', 'colorblindMode', 'deuteranopia');
+        applyAccessibilitySettings();
+        assert.deepEqual(getUIColors().SUCCESS, adjustColor(UI_COLORS.SUCCESS));
+        assert.notDeepEqual(getUIColors().SUCCESS, UI_COLORS.SUCCESS);
+
+        resetSettings();
+        applyAccessibilitySettings();
+        assert.equal(scaleTextSize(UI_TEXT_SIZES.BODY), UI_TEXT_SIZES.BODY);
+        assert.deepEqual(getUIColors(), UI_COLORS);
+    });
+});
@@ -0,0 +1,252 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { FIXED_DT } from '../src/systems/frameClock.js';
+import { addPlayer } from './helpers/players.js';
+import { createBoss, createTwinGuardians } from '../src/entities/boss.js';
+import { BOSS_TYPES } from '../src/data/bosses.js';
+import { resolvePhaseValue, getPhaseForHealth, getBossScriptErrors, createBossPatternRunner } from '../src/systems/bossPatterns.js';
+import { onGameEvent } from '../src/systems/eventBus.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+
+function stepSeconds(k, seconds) {
+    for (let t = 0; t < seconds; t += FIXED_DT) k.step();
+}
+
+function bossProjectiles(k) {
+    return k.get('projectile').filter(projectile => projectile.isBossProjectile);
+}
+
+// Direction of travel (radians)
+function shotAngle(projectile) {
+    return Math.atan2(projectile.direction.y, projectile.direction.x);
+}
+
+function assertAngles(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((angle, i) => {
+        const difference = Math.atan2(Math.sin(angle - expected[i]), Math.cos(angle - expected[i]));
+        assert.ok(Math.abs(difference) < 1e-9, `shot ${i}: ${angle} is not ${expected[i]}`);
+    });
+}
+
+/**
+ * A bare boss at (400, 300) running a test-only script: one phase, standing
+ * still, with slow shots that stay on screen while the test counts them
+ */
+function addScriptedBoss(k, attacks) {
+    const boss = k.add([k.pos(400, 300), k.color(255, 0, 0), 'testBoss']);
+    Object.assign(boss, {
+        speed: 64,
+        isDead: false,
+        isCharging: false,
+        spawnedMinions: [],
+        rng: new SeededRandom(1),
+        getPhase: () => 1,
+        updateVisual() {}
+    });
+    const definition = { phases: [{ healthAbove: 0 }], movement: { type: 'chase', speedMultiplier: 0 }, attacks };
+    assert.deepEqual(getBossScriptErrors(definition), []);
+    const runner = createBossPatternRunner(k, boss, definition);
+    k.onUpdate(() => runner.update());
+    return boss;
+}
+
+describe('boss pattern data', () => {
+    it('resolves per-phase values, repeating the last entry', () => {
+        assert.equal(resolvePhaseValue(4, 3), 4);
+        assert.equal(resolvePhaseValue([8, 6, 5], 1), 8);
+        assert.equal(resolvePhaseValue([8, 6, 5], 3), 5);
+        assert.equal(resolvePhaseValue([2.5, 3.5], 3), 3.5);
+    });
+
+    it('picks phases by health threshold, with an enraged override', () => {
+        const phases = BOSS_TYPES.gatekeeper.phases;
+        assert.equal(getPhaseForHealth(phases, 1), 1);
+        assert.equal(getPhaseForHealth(phases, 0.6), 2);
+        assert.equal(getPhaseForHealth(phases, 0.2), 3);
+        assert.equal(getPhaseForHealth(phases, 0), 3);
+
+        const twinPhases = BOSS_TYPES.twinGuardianMelee.phases;
+        assert.equal(getPhaseForHealth(twinPhases, 0.1), 1);
+        assert.equal(getPhaseForHealth(twinPhases, 0.9, true), 2);
+    });
+
+    it('ships only valid boss scripts', () => {
+        for (const [type, definition] of Object.entries(BOSS_TYPES)) {
+            assert.deepEqual(getBossScriptErrors(definition), [], type);
+        }
+        const broken = { phases: [{ healthAbove: 0.5 }, { healthAbove: 0 }], attacks: [{ type: 'meteor' }, { type: 'spiral', interval: [1, 2, 3] }] };
+        assert.equal(getBossScriptErrors(broken).length, 2);
+    });
+});
+
+describe('boss pattern interpreter', () => {
+    let k;
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    it('runs the Gatekeeper radial burst on its phase timer', () => {
+        addPlayer(k, 700, 500);
+        const boss = createBoss(k, 100, 100, 'gatekeeper', 1, new SeededRandom(3));
+        stepSeconds(k, 7.9);
+        assert.equal(bossProjectiles(k).length, 0);
+        stepSeconds(k, 0.2);
+        assert.equal(bossProjectiles(k).length, 8);
+        assert.equal(boss.spawnedMinions.length, 2);
+    });
+
+    it('adds no early attacks in the Gatekeeper\'s final phase', () => {
+        addPlayer(k, 700, 500);
+        const boss = createBoss(k, 400, 300, 'gatekeeper', 1, new SeededRandom(3));
+        boss.setHP(Math.floor(boss.maxHealth * 0.4));
+        assert.equal(boss.getPhase(), 3);
+        stepSeconds(k, 1);
+        assert.equal(bossProjectiles(k).length, 0);
+        assert.equal(boss.spawnedMinions.length, 0);
+    });
+
+    it('fires the ranged guardian\'s shots at the player', () => {
+        const player = addPlayer(k, 400, 100);
+        const [, ranged] = createTwinGuardians(k, { pos: k.vec2(100, 500) }, { pos: k.vec2(400, 300) }, 1, new SeededRandom(5));
+        ranged.speed = 0;
+        stepSeconds(k, 3);
+        const shots = bossProjectiles(k);
+        assert.ok(shots.length > 0);
+        const toPlayer = Math.atan2(player.pos.y - ranged.pos.y, player.pos.x - ranged.pos.x);
+        assertAngles([shotAngle(shots[0])], [toPlayer]);
+    });
+
+    it('emits bossPhaseChanged once per phase crossed', () => {
+        addPlayer(k, 700, 500);
+        const boss = createBoss(k, 400, 300, 'gatekeeper', 1, new SeededRandom(3));
+        const changes = [];
+        const unsubscribe = onGameEvent('bossPhaseChanged', ({ phase, previousPhase }) => changes.push([previousPhase, phase]));
+
+        stepSeconds(k, 0.5);
+        boss.setHP(Math.floor(boss.maxHealth * 0.6));
+        stepSeconds(k, 0.5);
+        boss.setHP(Math.floor(boss.maxHealth * 0.2));
+        stepSeconds(k, 0.5);
+        unsubscribe();
+
+        assert.deepEqual(changes, [[1, 2], [2, 3]]);
+    });
+
+    it('charges the melee guardian only when the target is in range', () => {
+        const player = addPlayer(k, 700, 100);
+        const [melee] = createTwinGuardians(k, { pos: k.vec2(100, 100) }, { pos: k.vec2(700, 500) }, 1, new SeededRandom(5));
+        melee.speed = 0; // Hold position so range is the only gate
+        stepSeconds(k, 9);
+        assert.equal(melee.isCharging, false);
+
+        player.pos = k.vec2(melee.pos.x + 100, melee.pos.y);
+        stepSeconds(k, 0.4); // Past the telegraph
+        assert.equal(melee.isCharging, true);
+    });
+
+    it('caps Swarm Queen minions and bursts on death', () => {
+        addPlayer(k, 700, 500);
+        const boss = createBoss(k, 400, 300, 'swarmQueen', 1, new SeededRandom(9));
+        stepSeconds(k, 60);
+        assert.equal(boss.spawnedMinions.filter(m => m.exists()).length, 8);
+
+        const before = k.get('enemy').length;
+        boss.hurt(boss.hp());
+        const burst = k.get('enemy').length - before;
+        assert.ok(burst >= 8 && burst <= 12);
+    });
+
+    it('plays the same script for the same seed', () => {
+        const runMinionPositions = () => {
+            const world = createKaplayStub();
+            addPlayer(world, 700, 500);
+            const boss = createBoss(world, 400, 300, 'swarmQueen', 2, new SeededRandom(42));
+            stepSeconds(world, 12);
+            return boss.spawnedMinions.map(m => [Math.round(m.pos.x), Math.round(m.pos.y), m.type]);
+        };
+        assert.deepEqual(runMinionPositions(), runMinionPositions());
+    });
+});
+
+describe('attack kinds', () => {
+    let k;
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    it('radialBurst: evenly spaced shots from north, once per interval', () => {
+        addPlayer(k, 700, 500);
+        addScriptedBoss(k, [{ type: 'radialBurst', interval: 1, directions: 6, speed: 10 }]);
+        stepSeconds(k, 0.95);
+        assert.equal(bossProjectiles(k).length, 0);
+        stepSeconds(k, 0.1);
+        assertAngles(bossProjectiles(k).map(shotAngle), [0, 1, 2, 3, 4, 5].map(i => -Math.PI / 2 + i * Math.PI / 3));
+        stepSeconds(k, 1);
+        assert.equal(bossProjectiles(k).length, 12);
+    });
+
+    it('aimedVolley: a fan centered on the target', () => {
+        addPlayer(k, 400, 100);
+        addScriptedBoss(k, [{ type: 'aimedVolley', interval: 1, count: 3, spread: 0.4, speed: 10, damage: 5 }]);
+        stepSeconds(k, 1.05);
+        const shots = bossProjectiles(k);
+        assertAngles(shots.map(shotAngle), [-Math.PI / 2 - 0.2, -Math.PI / 2, -Math.PI / 2 + 0.2]);
+        assert.ok(shots.every(shot => shot.damage === 5));
+    });
+
+    it('charge: telegraphs, then dashes at the target for its duration', () => {
+        addPlayer(k, 700, 300);
+        const boss = addScriptedBoss(k, [{ type: 'charge', interval: 1, telegraph: 0.25, duration: 0.5, speedMultiplier: 2 }]);
+        stepSeconds(k, 1.05);
+        assert.equal(boss.isCharging, false, 'still telegraphing');
+        stepSeconds(k, 0.25);
+        assert.equal(boss.isCharging, true);
+        assert.deepEqual([boss.chargeDirection.x, boss.chargeDirection.y], [1, 0]);
+        stepSeconds(k, 0.5);
+        assert.equal(boss.isCharging, false);
+        // 0.5s at twice the boss's speed (64)
+        assert.ok(Math.abs(boss.pos.x - 464) <= 2, `ended at ${boss.pos.x}`);
+        assert.equal(boss.pos.y, 300);
+    });
+
+    it('spawnMinions: a ring of minions until maxActive is reached', () => {
+        addPlayer(k, 700, 500);
+        const boss = addScriptedBoss(k, [{ type: 'spawnMinions', interval: 1, count: 2, maxActive: 3, distance: 40 }]);
+        stepSeconds(k, 1.05);
+        assert.equal(boss.spawnedMinions.length, 2);
+        assert.ok(boss.spawnedMinions.every(minion => Math.abs(minion.pos.dist(boss.pos) - 40) < 5));
+        stepSeconds(k, 3);
+        assert.equal(boss.spawnedMinions.length, 4, 'only the volley under the cap spawns');
+    });
+
+    it('spiral: each volley turns the arms by the step', () => {
+        addPlayer(k, 700, 500);
+        addScriptedBoss(k, [{ type: 'spiral', interval: 0.25, arms: 3, step: 0.5, speed: 10 }]);
+        const arms = [0, 1, 2].map(i => i * Math.PI * 2 / 3);
+        stepSeconds(k, 0.3);
+        assertAngles(bossProjectiles(k).map(shotAngle), arms);
+        stepSeconds(k, 0.25);
+        assertAngles(bossProjectiles(k).slice(3).map(shotAngle), arms.map(angle => angle + 0.5));
+    });
+
+    it('laserSweep: a shot stream across the arc, alternating sides', () => {
+        addPlayer(k, 700, 300);
+        addScriptedBoss(k, [{ type: 'laserSweep', interval: 1, arc: Math.PI / 2, duration: 0.5, shotInterval: 0.125, speed: 10 }]);
+        stepSeconds(k, 1);
+        assert.equal(bossProjectiles(k).length, 0);
+
+        // The first sweep runs from one edge of the arc to the other...
+        stepSeconds(k, 0.55);
+        const quarter = Math.PI / 8;
+        assertAngles(bossProjectiles(k).map(shotAngle), [quarter, 0, -quarter, -2 * quarter]);
+
+        // ...and the next one (an interval after it started) comes back
+        stepSeconds(k, 1);
+        assertAngles(bossProjectiles(k).slice(4).map(shotAngle), [-quarter, 0, quarter, 2 * quarter]);
+    });
+});
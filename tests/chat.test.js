@@ -0,0 +1,139 @@
+import './helpers/localStorage.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { createWebSocketConnection } from '../src/systems/webSocketConnection.js';
+import { initHeadlessHost, acceptConnection } from '../src/systems/networkSystem.js';
+import { initDedicatedParty } from '../src/systems/partySystem.js';
+import {
+    sanitizeChatText,
+    filterProfanity,
+    consumeRateLimit,
+    describePing,
+    getChatHistory,
+    onQuickPing
+} from '../src/systems/chatSystem.js';
+import { escapeStyledText, wrapChatLine, pickWheelOption } from '../src/systems/chatOverlay.js';
+import { MULTIPLAYER_CONFIG } from '../src/config/constants.js';
+
+// Minimal open socket with the addEventListener/send surface of WebSocket
+function createFakeSocket() {
+    const listeners = {};
+    return {
+        readyState: 1,
+        sent: [],
+        addEventListener(event, handler) {
+            (listeners[event] ||= []).push(handler);
+        },
+        dispatch(event, payload = {}) {
+            (listeners[event] || []).forEach(handler => handler(payload));
+        },
+        send(data) {
+            this.sent.push(data);
+        },
+        close() {}
+    };
+}
+
+function sendFrom(socket, type, payload) {
+    socket.dispatch('message', { data: JSON.stringify({ type, payload }) });
+}
+
+function sentOfType(socket, type) {
+    return socket.sent.filter(data => typeof data === 'string')
+        .map(data => JSON.parse(data))
+        .filter(message => message.type === type)
+        .map(message => message.payload);
+}
+
+describe('chat text', () => {
+    it('collapses whitespace, trims and caps the length', () => {
+        assert.equal(sanitizeChatText('  hello \n  there  '), 'hello there');
+        assert.equal(sanitizeChatText('x'.repeat(500)).length, MULTIPLAYER_CONFIG.CHAT_MAX_LENGTH);
+        assert.equal(sanitizeChatText('   '), '');
+        assert.equal(sanitizeChatText({ text: 'hi' }), '', 'non-strings from peers are dropped');
+    });
+
+    it('masks whole profane words and their forms', () => {
+        assert.equal(filterProfanity('well SHIT that was shitty'), 'well S*** that was s*****');
+        assert.equal(filterProfanity('what a dick, fucking pricks'), 'what a d***, f****** p*****');
+    });
+
+    it('leaves normal words that contain a profane word alone', () => {
+        const clean = 'class assassin scunthorpe cocktail cockpit Dickens prickly shitake';
+        assert.equal(filterProfanity(clean), clean);
+    });
+
+    it('escapes styled-text tags and wraps long lines', () => {
+        assert.equal(escapeStyledText('[red]hi\\'), '\\[red]hi\\\\');
+        assert.deepEqual(wrapChatLine('one two three four', 9), ['one two', 'three', 'four']);
+        assert.deepEqual(wrapChatLine('abcdefghij', 4), ['abcd', 'efgh', 'ij']);
+        assert.deepEqual(wrapChatLine('', 10), ['']);
+    });
+
+    it('allows a burst per window, then waits for it to slide', () => {
+        const times = [];
+        const limit = MULTIPLAYER_CONFIG.CHAT_RATE_LIMIT;
+        for (let i = 0; i < limit; i++) {
+            assert.ok(consumeRateLimit(times, 1000 + i));
+        }
+        assert.equal(consumeRateLimit(times, 1500), false);
+        assert.ok(consumeRateLimit(times, 1000 + MULTIPLAYER_CONFIG.CHAT_RATE_WINDOW));
+    });
+});
+
+describe('quick-chat pings', () => {
+    it('names the door side players see', () => {
+        assert.equal(describePing('door', 'north'), 'Taking the top door');
+        assert.equal(describePing('door', 'west'), 'Taking the left door');
+        assert.equal(describePing('door', null), 'Taking this door');
+        assert.equal(describePing('revive'), 'Need revive!');
+    });
+
+    it('picks wheel options clockwise from the top', () => {
+        assert.equal(pickWheelOption(0, -50, 4), 0);
+        assert.equal(pickWheelOption(50, 0, 4), 1);
+        assert.equal(pickWheelOption(0, 50, 4), 2);
+        assert.equal(pickWheelOption(-50, 0, 4), 3);
+        assert.equal(pickWheelOption(-40, -45, 4), 0, 'closest to straight up');
+        assert.equal(pickWheelOption(5, 5, 4), -1, 'inside the dead zone');
+    });
+});
+
+describe('host relay', () => {
+    it('names the sender, relays to everyone and drops spam', async () => {
+        const k = createKaplayStub();
+        initDedicatedParty(k);
+        initHeadlessHost('server');
+
+        const socket = createFakeSocket();
+        acceptConnection(createWebSocketConnection(socket, 'ws-chat'));
+        await Promise.resolve();
+        sendFrom(socket, 'join_request', { playerName: 'Ana', selectedCharacter: 'survivor' });
+
+        // A client can't pick its own name
+        sendFrom(socket, 'chat_message', { text: '  gg  ', playerName: 'Server' });
+        const relayed = sentOfType(socket, 'chat_message');
+        assert.equal(relayed.length, 1);
+        assert.equal(relayed[0].playerName, 'Ana');
+        assert.equal(relayed[0].text, 'gg');
+        assert.equal(relayed[0].isSpectator, false);
+        assert.equal(getChatHistory().at(-1).text, 'gg');
+
+        for (let i = 0; i < MULTIPLAYER_CONFIG.CHAT_RATE_LIMIT + 2; i++) {
+            sendFrom(socket, 'chat_message', { text: `spam ${i}` });
+        }
+        assert.equal(sentOfType(socket, 'chat_message').length, MULTIPLAYER_CONFIG.CHAT_RATE_LIMIT);
+
+        // Pings are checked and carry the sender too
+        const pings = [];
+        const unsubscribe = onQuickPing(ping => pings.push(ping));
+        sendFrom(socket, 'quick_ping', { pingType: 'nuke', x: 1, y: 2 });
+        sendFrom(socket, 'quick_ping', { pingType: 'door', x: 400, y: 20, doorDirection: 'north' });
+        unsubscribe();
+        assert.equal(pings.length, 1);
+        assert.equal(pings[0].playerName, 'Ana');
+        assert.deepEqual(sentOfType(socket, 'quick_ping'), pings);
+        assert.equal(getChatHistory().at(-1).text, 'Taking the top door');
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDamageAfterDefense, COMBAT_CONFIG } from '../src/config/constants.js';
+
+describe('calculateDamageAfterDefense', () => {
+    it('passes damage through with no defense', () => {
+        assert.equal(calculateDamageAfterDefense(25), 25);
+    });
+
+    it('subtracts flat defense', () => {
+        assert.equal(calculateDamageAfterDefense(25, 10), 15);
+    });
+
+    it('applies percentage reduction before flat defense', () => {
+        // 40 * 0.5 = 20, then -5
+        assert.equal(calculateDamageAfterDefense(40, 5, 0.5), 15);
+    });
+
+    it('never drops below the minimum damage', () => {
+        assert.equal(calculateDamageAfterDefense(5, 50), COMBAT_CONFIG.MIN_DAMAGE);
+        assert.equal(calculateDamageAfterDefense(10, 0, 1), COMBAT_CONFIG.MIN_DAMAGE);
+    });
+
+    it('reduces damage monotonically as defense grows', () => {
+        let previous = Infinity;
+        for (let defense = 0; defense <= 20; defense += 2) {
+            const damage = calculateDamageAfterDefense(30, defense, 0.2);
+            assert.ok(damage <= previous);
+            previous = damage;
+        }
+    });
+});
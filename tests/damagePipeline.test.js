@@ -0,0 +1,148 @@
+import './helpers/localStorage.js';
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { addPlayer } from './helpers/players.js';
+import { createEnemy } from '../src/entities/enemy.js';
+import { createBoss } from '../src/entities/boss.js';
+import { createMiniboss } from '../src/entities/miniboss.js';
+import { createBarrel, clearAllBarrels } from '../src/entities/barrel.js';
+import { createProjectile } from '../src/entities/projectile.js';
+import { setupCombatSystem } from '../src/systems/combat.js';
+import { absorbDamage, resolveDamage } from '../src/systems/damagePipeline.js';
+import { onGameEvent } from '../src/systems/eventBus.js';
+import { applyStatusEffect, hasStatusEffect } from '../src/systems/statusEffects.js';
+import { setSoundEnabled } from '../src/systems/sounds.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+
+function stripDefenses(entity) {
+    entity.shieldHealth = 0;
+    entity.armorHealth = 0;
+    return entity;
+}
+
+describe('damage pipeline', () => {
+    let k;
+
+    // Hits play sounds, and Node has no AudioContext
+    before(() => setSoundEnabled(false));
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    it('runs damage through shields, then armor, then health', () => {
+        const enemy = createEnemy(k, 400, 300, 'basic', 1);
+        Object.assign(enemy, { shieldHealth: 5, armorHealth: 10, damageReduction: 0.5 });
+        const startHP = enemy.hp();
+
+        assert.deepEqual(absorbDamage(k, enemy, 20), { damage: 20, absorbedByShield: 5, absorbedByArmor: 7, healthDamage: 4 });
+        assert.equal(enemy.shieldHealth, 0);
+        assert.equal(enemy.armorHealth, 3);
+        assert.equal(enemy.hp(), startHP - 4);
+    });
+
+    it('resolves a modded projectile the same way against every target type', () => {
+        const owner = addPlayer(k, 50, 50, { lifestealPercent: 0.5 });
+        const targets = [
+            createEnemy(k, 400, 300, 'tank', 1),
+            createMiniboss(k, 400, 300, 'brute', 1),
+            createBoss(k, 400, 300, 'gatekeeper', 1, new SeededRandom(1))
+        ].map(stripDefenses);
+        const targetTypes = [];
+
+        for (const target of targets) {
+            owner.setHP(50);
+            const result = resolveDamage(k, {
+                target,
+                amount: 20,
+                tags: ['projectile'],
+                isCrit: true,
+                ownerSlotIndex: 0,
+                statusEffects: [{ type: 'poison', damage: 2, duration: 4, stacks: 1, chance: 1 }]
+            });
+
+            assert.equal(result.damage, 20, result.targetType);
+            assert.equal(result.healthDamage, 20, result.targetType);
+            assert.equal(result.isCrit, true);
+            assert.equal(target.lastHitBySlot, 0, result.targetType);
+            assert.equal(hasStatusEffect(target, 'poison'), true, result.targetType);
+            assert.equal(owner.hp(), 60, result.targetType);
+            targetTypes.push(result.targetType);
+        }
+        assert.deepEqual(targetTypes, ['enemy', 'miniboss', 'boss']);
+    });
+
+    it('reports overkill and kills, with damage-taken effects applied first', () => {
+        const enemy = stripDefenses(createEnemy(k, 400, 300, 'basic', 1));
+        applyStatusEffect(k, enemy, 'vulnerable');
+        const startHP = enemy.hp();
+
+        const result = resolveDamage(k, { target: enemy, amount: startHP, tags: ['projectile'] });
+        assert.equal(result.rawDamage, startHP);
+        assert.equal(result.damage, Math.floor(startHP * 1.25));
+        assert.equal(result.overkill, result.damage - startHP);
+        assert.equal(result.killed, true);
+    });
+
+    it('emits results to subscribers until they unsubscribe', () => {
+        addPlayer(k, 700, 500);
+        const enemy = stripDefenses(createEnemy(k, 100, 100, 'tank', 1));
+        const seen = [];
+        const unsubscribe = onGameEvent('damageResolved', result => seen.push(result.tags));
+
+        applyStatusEffect(k, enemy, 'burn', { damage: 3, duration: 0.6 });
+        for (let i = 0; i < 40; i++) k.step();
+        resolveDamage(k, { target: enemy, amount: 5, tags: ['orbital'] });
+        unsubscribe();
+        resolveDamage(k, { target: enemy, amount: 5, tags: ['orbital'] });
+
+        assert.deepEqual(seen, [['dot', 'burn'], ['orbital']]);
+        assert.equal(enemy.lastHitBySlot, undefined);
+    });
+
+    it('routes barrel explosions through the pipeline', () => {
+        const enemy = stripDefenses(createEnemy(k, 430, 300, 'tank', 1));
+        const barrel = createBarrel(k, 400, 300);
+        const seen = [];
+        const unsubscribe = onGameEvent('damageResolved', result => seen.push(result));
+
+        resolveDamage(k, { target: barrel, amount: barrel.maxHealth, tags: ['projectile'] });
+        unsubscribe();
+        clearAllBarrels();
+
+        assert.deepEqual(seen.map(result => [result.targetType, result.tags]), [
+            ['enemy', ['barrel', 'explosion']],
+            ['barrel', ['projectile']]
+        ]);
+        assert.equal(seen[1].killed, true);
+        assert.ok(seen[0].damage > 0 && seen[0].target === enemy);
+    });
+
+    it('jumps chain lightning to the next target on the same hit', () => {
+        // A remote shooter that can't fire: only the collision handlers run
+        setupCombatSystem(k, addPlayer(k, 50, 50, { canShoot: false, isRemote: true }));
+        const first = stripDefenses(createEnemy(k, 400, 300, 'tank', 1));
+        const second = stripDefenses(createEnemy(k, 450, 300, 'tank', 1));
+        const startHP = second.hp();
+
+        const bolt = createProjectile(k, 400, 300, k.vec2(1, 0), 0, 20);
+        Object.assign(bolt, {
+            isChainLightning: true,
+            chainRange: 70,
+            maxJumps: 1,
+            chainJumps: 0,
+            chainDamageReduction: 0.15,
+            chainedEnemies: new Set()
+        });
+
+        k.step();
+        assert.ok(first.hp() < first.maxHealth);
+        assert.equal(bolt.chainJumps, 1);
+        assert.deepEqual([bolt.pos.x, bolt.pos.y], [second.pos.x, second.pos.y], 'no delay before the jump');
+
+        k.step();
+        assert.equal(second.hp(), startHP - 17, 'second hit loses 15%');
+        assert.equal(bolt.exists(), false, 'out of jumps');
+    });
+});
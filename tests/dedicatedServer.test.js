@@ -0,0 +1,174 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { FIXED_DT } from '../src/systems/frameClock.js';
+import { createWebSocketConnection } from '../src/systems/webSocketConnection.js';
+import {
+    initDedicatedParty,
+    isDedicatedServer,
+    getPartyPlayerCount,
+    getParty,
+    resetAllReadyStates
+} from '../src/systems/partySystem.js';
+
+// Minimal socket with the addEventListener/readyState/send/close surface of WebSocket
+function createFakeSocket(readyState = 1) {
+    const listeners = {};
+    return {
+        readyState,
+        sent: [],
+        closed: false,
+        addEventListener(event, handler) {
+            (listeners[event] ||= []).push(handler);
+        },
+        dispatch(event, payload = {}) {
+            (listeners[event] || []).forEach(handler => handler(payload));
+        },
+        send(data) {
+            this.sent.push(data);
+        },
+        close() {
+            this.closed = true;
+        }
+    };
+}
+
+describe('headless KAPLAY', () => {
+    let k;
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    it('enters scenes on the next step and clears the previous scene', () => {
+        const left = [];
+        k.scene('lobby', () => {
+            k.add([k.pos(0, 0), 'marker']);
+            k.onSceneLeave(() => left.push('lobby'));
+        });
+        k.scene('game', (args) => {
+            k.add([k.pos(0, 0), 'marker', { round: args.round }]);
+        });
+
+        k.go('lobby');
+        assert.equal(k.getSceneName(), null);
+        k.step();
+        assert.equal(k.getSceneName(), 'lobby');
+        assert.equal(k.get('marker').length, 1);
+
+        k.go('game', { round: 2 });
+        k.step();
+        assert.equal(k.getSceneName(), 'game');
+        assert.deepEqual(left, ['lobby']);
+        const markers = k.get('marker');
+        assert.equal(markers.length, 1);
+        assert.equal(markers[0].round, 2);
+    });
+
+    it('fires collisions once when objects start overlapping', () => {
+        const hits = [];
+        const bullet = k.add([k.pos(0, 0), k.rect(4, 4), k.anchor('center'), k.area(), 'projectile']);
+        k.add([k.pos(100, 0), k.rect(20, 20), k.anchor('center'), k.area(), 'enemy']);
+        k.onCollide('projectile', 'enemy', (a, b) => hits.push([a.is('projectile'), b.is('enemy')]));
+
+        k.step();
+        assert.equal(hits.length, 0);
+
+        bullet.pos.x = 95;
+        k.step();
+        k.step();
+        assert.deepEqual(hits, [[true, true]]);
+
+        bullet.pos.x = 200;
+        k.step();
+        bullet.pos.x = 100;
+        k.step();
+        assert.equal(hits.length, 2);
+    });
+
+    it('steps real time in fixed game frames, like the browser clock', async () => {
+        k.step();
+        assert.equal(k.dt(), FIXED_DT);
+
+        const frames = [];
+        k.onUpdate(() => frames.push(k.dt()));
+        const stop = k.run();
+        await new Promise(resolve => setTimeout(resolve, 120));
+        stop();
+        assert.ok(frames.length > 0);
+        assert.ok(frames.every(dt => dt === FIXED_DT));
+    });
+
+    it('destroys objects when their lifespan runs out', () => {
+        const effect = k.add([k.pos(0, 0), k.lifespan(0.5), 'effect']);
+        k.step(0.25);
+        assert.ok(effect.exists());
+        k.step(0.3);
+        assert.equal(k.get('effect').length, 0);
+    });
+});
+
+describe('WebSocket connections', () => {
+    it('wraps a socket in the peer connection shape', async () => {
+        const socket = createFakeSocket();
+        const conn = createWebSocketConnection(socket, 'ws-1');
+        const received = [];
+        let opened = false;
+
+        conn.on('open', () => { opened = true; });
+        conn.on('data', data => received.push(data));
+        await Promise.resolve();
+        assert.equal(conn.peer, 'ws-1');
+        assert.ok(opened, 'an already-open socket reports open');
+
+        // Data passes through untouched (networkSystem.js frames messages)
+        const binary = new Uint8Array([1, 2, 3]).buffer;
+        socket.dispatch('message', { data: '{"type":"ping"}' });
+        socket.dispatch('message', { data: binary });
+        assert.deepEqual(received, ['{"type":"ping"}', binary]);
+        assert.equal(socket.binaryType, 'arraybuffer');
+
+        conn.send('{"type":"pong"}');
+        assert.deepEqual(socket.sent, ['{"type":"pong"}']);
+    });
+
+    it('holds sends until the socket opens and reports close', () => {
+        const socket = createFakeSocket(0);
+        const conn = createWebSocketConnection(socket, 'server');
+        const events = [];
+        conn.on('open', () => events.push('open'));
+        conn.on('close', () => events.push('close'));
+
+        conn.send('{"type":"join_request"}');
+        assert.equal(socket.sent.length, 0);
+        assert.equal(conn.open, false);
+
+        socket.readyState = 1;
+        socket.dispatch('open');
+        socket.dispatch('close');
+        assert.deepEqual(events, ['open', 'close']);
+
+        conn.close();
+        assert.ok(socket.closed);
+    });
+});
+
+describe('dedicated server party', () => {
+    it('takes slot 0 without counting as a player', () => {
+        initDedicatedParty(createKaplayStub());
+
+        assert.ok(isDedicatedServer());
+        assert.equal(getPartyPlayerCount(), 0);
+
+        const party = getParty();
+        assert.ok(party.slots[0].isServer);
+        party.slots[1] = { ...party.slots[1], playerId: 'p1', playerName: 'Ana', peerId: 'ws-1', isReady: true };
+        assert.equal(getPartyPlayerCount(), 1);
+
+        // Back in the lobby, clients ready up again but the server stays ready
+        resetAllReadyStates();
+        assert.equal(party.slots[0].isReady, true);
+        assert.equal(party.slots[1].isReady, false);
+    });
+});
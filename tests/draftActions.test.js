@@ -0,0 +1,136 @@
+import './helpers/localStorage.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRandomUpgrades, UPGRADES, UPGRADE_STACK_LIMITS } from '../src/systems/upgrades.js';
+import { setPermanentUpgradeLevelOverride } from '../src/systems/metaProgression.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+import {
+    resetDraftCharges,
+    getDraftCharges,
+    getDraftChargeState,
+    spendDraftCharge,
+    refundDraftCharge,
+    takeLockedUpgrade,
+    drawDraftOptions,
+    drawReplacementOption,
+    banishUpgrade,
+    getDraftSkipReward
+} from '../src/systems/draftActions.js';
+
+function createPlayer(upgradeStacks = {}) {
+    return { characterData: { weapon: 'pistol' }, upgradeStacks, level: 4, xpToNext: 30 };
+}
+
+function maxStacksFor(key) {
+    return UPGRADES[key].maxStacks || UPGRADE_STACK_LIMITS[key] || 10;
+}
+
+describe('draft charges', () => {
+    afterEach(() => setPermanentUpgradeLevelOverride(null));
+
+    it('start each run from permanent upgrade levels', () => {
+        setPermanentUpgradeLevelOverride({ mulligan: 2, blacklist: 1, holdover: 3 });
+        resetDraftCharges();
+        assert.deepEqual(getDraftCharges(createPlayer()), { rerolls: 2, banishes: 1, locks: 3, skips: 0 });
+    });
+
+    it('are spent until none are left and can be refunded', () => {
+        const player = createPlayer();
+        resetDraftCharges({ 0: { banishes: 1 } });
+        assert.equal(spendDraftCharge(player, 'banishes'), true);
+        assert.equal(spendDraftCharge(player, 'banishes'), false);
+        assert.equal(spendDraftCharge(player, 'skips'), false);
+
+        refundDraftCharge(player, 'banishes');
+        assert.equal(getDraftCharges(player).banishes, 1);
+    });
+
+    it('are kept per player, so couch co-op players don\'t share a pool', () => {
+        setPermanentUpgradeLevelOverride({ mulligan: 1 });
+        resetDraftCharges();
+        const first = { ...createPlayer(), slotIndex: 0 };
+        const second = { ...createPlayer(), slotIndex: 1 };
+
+        assert.equal(spendDraftCharge(first, 'rerolls'), true);
+        assert.equal(spendDraftCharge(first, 'rerolls'), false);
+        assert.equal(spendDraftCharge(second, 'rerolls'), true);
+
+        // A replay room checkpoint restores every player's charges
+        const state = getDraftChargeState();
+        resetDraftCharges();
+        assert.equal(getDraftCharges(second).rerolls, 1);
+        resetDraftCharges(state);
+        assert.deepEqual([getDraftCharges(first).rerolls, getDraftCharges(second).rerolls], [0, 0]);
+    });
+});
+
+describe('banished upgrades', () => {
+    it('are never drawn again, even by the maxed-out fallback', () => {
+        const player = createPlayer();
+        banishUpgrade(player, 'damage');
+        const rng = new SeededRandom(7);
+        for (let i = 0; i < 200; i++) {
+            assert.ok(!getRandomUpgrades(3, player, rng).some(option => option.key === 'damage'));
+        }
+
+        const maxed = createPlayer(Object.fromEntries(Object.keys(UPGRADES).map(key => [key, maxStacksFor(key)])));
+        banishUpgrade(maxed, 'damage');
+        for (let i = 0; i < 50; i++) {
+            assert.ok(!getRandomUpgrades(3, maxed, rng).some(option => option.key === 'damage'));
+        }
+    });
+
+    it('clear a lock on the same card', () => {
+        const player = createPlayer();
+        player.lockedUpgrade = { key: 'damage', rarity: 'rare' };
+        banishUpgrade(player, 'damage');
+        banishUpgrade(player, 'damage');
+        assert.equal(player.lockedUpgrade, null);
+        assert.deepEqual(player.banishedUpgrades, ['damage']);
+    });
+});
+
+describe('draft options', () => {
+    it('keep a locked card first, at its tier, and draw the rest around it', () => {
+        const player = createPlayer();
+        player.lockedUpgrade = { key: 'damage', rarity: 'epic' };
+        const options = drawDraftOptions(player, 3, new SeededRandom(3), takeLockedUpgrade(player));
+
+        assert.equal(player.lockedUpgrade, null);
+        assert.equal(options[0].key, 'damage');
+        assert.equal(options[0].rarity, 'epic');
+        assert.equal(options.length, 3);
+        assert.equal(new Set(options.map(option => option.key)).size, 3);
+    });
+
+    it('drop a locked card that has since maxed out', () => {
+        const player = createPlayer({ damage: maxStacksFor('damage') });
+        const options = drawDraftOptions(player, 3, new SeededRandom(3), { key: 'damage', rarity: 'common' });
+        assert.ok(!options.some(option => option.key === 'damage'));
+    });
+
+    it('replace a banished card with one that is not already on the table', () => {
+        const rng = new SeededRandom(11);
+        for (let i = 0; i < 50; i++) {
+            const player = createPlayer();
+            const table = getRandomUpgrades(3, player, rng).map(option => option.key);
+            banishUpgrade(player, table[0]);
+            const replacement = drawReplacementOption(player, table, rng);
+            assert.ok(replacement && !table.includes(replacement.key));
+        }
+    });
+
+    it('draw the same cards from the same seed', () => {
+        const draw = () => drawDraftOptions(createPlayer(), 4, new SeededRandom(99), { key: 'damage', rarity: 'rare' })
+            .map(option => `${option.key}:${option.rarity}`);
+        assert.deepEqual(draw(), draw());
+    });
+});
+
+describe('draft skip rewards', () => {
+    it('pay credits by level or half the XP to the next level', () => {
+        assert.equal(getDraftSkipReward(createPlayer(), 'credits'), 12);
+        assert.equal(getDraftSkipReward(createPlayer(), 'xp'), 15);
+        assert.equal(getDraftSkipReward({ level: 1, xpToNext: 1 }, 'xp'), 1);
+    });
+});
@@ -0,0 +1,89 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetLocalStorage } from './helpers/localStorage.js';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { createBoss } from '../src/entities/boss.js';
+import { BOSS_ROTATION, FINAL_AUTHORED_FLOOR, getLoopNumber, getBossTypeForFloor, getBossLoopScaling, isEndlessFloor, formatFloorDepth } from '../src/systems/endlessMode.js';
+import { getEliteSpawnChance } from '../src/systems/eliteSystem.js';
+import { getFloorTheme } from '../src/systems/floorTheming.js';
+import { loadSave, updateRunStats } from '../src/systems/metaProgression.js';
+import { submitScore, getCharacterPersonalBest, formatFloorReached } from '../src/systems/leaderboards.js';
+
+describe('endless mode loops', () => {
+    it('starts looping after the last authored boss', () => {
+        assert.equal(isEndlessFloor(FINAL_AUTHORED_FLOOR), false);
+        assert.equal(isEndlessFloor(FINAL_AUTHORED_FLOOR + 1), true);
+        assert.equal(getLoopNumber(1), 0);
+        assert.equal(getLoopNumber(FINAL_AUTHORED_FLOOR), 0);
+        assert.equal(getLoopNumber(FINAL_AUTHORED_FLOOR + 1), 1);
+        assert.equal(formatFloorDepth(2), 'Floor 2');
+        assert.equal(formatFloorDepth(FINAL_AUTHORED_FLOOR + 1), `Floor ${FINAL_AUTHORED_FLOOR + 1} · Loop 1`);
+    });
+
+    it('cycles the bosses in authored order', () => {
+        for (let floor = 1; floor <= 12; floor++) {
+            assert.equal(getBossTypeForFloor(floor), BOSS_ROTATION[(floor - 1) % BOSS_ROTATION.length]);
+        }
+    });
+
+    it('stacks more boss modifiers every loop', () => {
+        assert.deepEqual(getBossLoopScaling(1).modifiers, []);
+        let previous = getBossLoopScaling(1);
+        for (let loop = 1; loop <= 4; loop++) {
+            const scaling = getBossLoopScaling(loop * BOSS_ROTATION.length + 1);
+            assert.equal(scaling.loop, loop);
+            assert.ok(scaling.modifiers.length >= previous.modifiers.length);
+            assert.ok(scaling.healthMultiplier > previous.healthMultiplier);
+            previous = scaling;
+        }
+        assert.deepEqual(previous.modifiers, ['fortified', 'shielded', 'frenzied']);
+    });
+
+    it('makes looped bosses tougher than the same boss on its authored floor', () => {
+        const k = createKaplayStub();
+        const authored = createBoss(k, 0, 0, 'gatekeeper', 1);
+        const looped = createBoss(k, 0, 0, 'gatekeeper', 1 + BOSS_ROTATION.length * 2);
+        const floorOnly = 1 + (BOSS_ROTATION.length * 2) * 0.2;
+        assert.ok(looped.maxHealth > Math.floor(authored.maxHealth * floorOnly));
+        assert.ok(looped.maxShieldHealth > 0);
+        assert.deepEqual(authored.loopModifiers, []);
+        assert.deepEqual(looped.loopModifiers, ['fortified', 'shielded']);
+    });
+
+    it('raises the elite rate steadily on endless floors, capped below certainty', () => {
+        const authoredMax = getEliteSpawnChance(FINAL_AUTHORED_FLOOR);
+        let previous = authoredMax;
+        for (let floor = FINAL_AUTHORED_FLOOR + 1; floor <= FINAL_AUTHORED_FLOOR + 10; floor++) {
+            const chance = getEliteSpawnChance(floor);
+            assert.ok(chance > previous);
+            previous = chance;
+        }
+        assert.ok(getEliteSpawnChance(500) < 1);
+        assert.equal(getEliteSpawnChance(1), 0);
+    });
+
+    it('rotates floor themes past the themed floors', () => {
+        const themed = [1, 2, 3, 4, 5].map(floor => getFloorTheme(floor).key);
+        assert.equal(new Set(themed).size, 5);
+        assert.deepEqual([6, 7, 8, 9, 10].map(floor => getFloorTheme(floor).key), themed);
+    });
+});
+
+describe('deepest loop stat', () => {
+    beforeEach(() => resetLocalStorage());
+
+    it('keeps the deepest loop across runs', () => {
+        updateRunStats({ floorsReached: 8, deepestLoop: 2 });
+        updateRunStats({ floorsReached: 4, deepestLoop: 1 });
+        assert.equal(loadSave().stats.deepestLoop, 2);
+    });
+
+    it('records loops on leaderboard entries and personal bests', () => {
+        const result = submitScore({ score: 100, floor: 8, loop: 2, character: 'survivor', time: 60 });
+        assert.equal(result.isNewPersonalBest, true);
+        assert.equal(getCharacterPersonalBest('survivor').deepestLoop, 2);
+        assert.equal(formatFloorReached(8, 2), '8 (L2)');
+        assert.equal(formatFloorReached(3), '3');
+    });
+});
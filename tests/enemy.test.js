@@ -0,0 +1,69 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { addPlayer } from './helpers/players.js';
+import { createEnemy } from '../src/entities/enemy.js';
+import { ENEMY_TYPES } from '../src/data/enemies.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+
+describe('createEnemy (smoke)', () => {
+    let k;
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    it('creates every enemy type and survives a few frames', () => {
+        addPlayer(k, 400, 300);
+        for (const type of Object.keys(ENEMY_TYPES)) {
+            const enemy = createEnemy(k, 100, 100, type, 3, new SeededRandom(1));
+            assert.equal(enemy.type, type);
+            assert.ok(enemy.is('enemy'));
+            assert.equal(enemy.hp(), enemy.maxHealth);
+        }
+        for (let frame = 0; frame < 30; frame++) k.step();
+    });
+
+    it('scales health and XP with floor', () => {
+        const floor1 = createEnemy(k, 0, 0, 'basic', 1);
+        const floor4 = createEnemy(k, 0, 0, 'basic', 4, new SeededRandom(1));
+        assert.equal(floor1.maxHealth, ENEMY_TYPES.basic.baseHealth);
+        assert.equal(floor4.maxHealth, Math.floor(ENEMY_TYPES.basic.baseHealth * 1.9));
+        assert.ok(floor4.xpValue > floor1.xpValue);
+    });
+
+    it('rolls the same armor and shields for the same seed', () => {
+        const first = createEnemy(k, 0, 0, 'basic', 5, new SeededRandom(9));
+        const second = createEnemy(k, 0, 0, 'basic', 5, new SeededRandom(9));
+        assert.equal(first.armorHealth, second.armorHealth);
+        assert.equal(first.shieldHealth, second.shieldHealth);
+    });
+
+    it('moves toward the player', () => {
+        addPlayer(k, 400, 100);
+        const enemy = createEnemy(k, 100, 100, 'basic', 1);
+        for (let frame = 0; frame < 30; frame++) k.step();
+        assert.ok(enemy.pos.x > 100, `enemy stayed at x=${enemy.pos.x}`);
+    });
+
+    it('drains shields before health', () => {
+        const enemy = createEnemy(k, 0, 0, 'basic', 1);
+        enemy.shieldHealth = 10;
+        enemy.maxShieldHealth = 10;
+        enemy.takeDamage(6);
+        assert.equal(enemy.shieldHealth, 4);
+        assert.equal(enemy.hp(), enemy.maxHealth);
+
+        enemy.takeDamage(10);
+        assert.equal(enemy.shieldHealth, 0);
+        assert.equal(enemy.hp(), enemy.maxHealth - 6);
+    });
+
+    it('splits into smaller enemies on death', () => {
+        const slime = createEnemy(k, 200, 200, 'slime', 1);
+        const before = k.get('enemy').length;
+        slime.hurt(slime.hp());
+        assert.equal(k.get('enemy').length, before + slime.splitCount);
+    });
+});
@@ -0,0 +1,162 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetLocalStorage } from './helpers/localStorage.js';
+import { onGameEvent, emitGameEvent, clearGameEventListeners } from '../src/systems/eventBus.js';
+import { startRunStatsRecorder } from '../src/systems/runStatsRecorder.js';
+import { initAchievementChecker, getRunUnlockedAchievements } from '../src/systems/achievementChecker.js';
+
+function createRunStats() {
+    return { roomsCleared: 0, enemiesKilled: 0, bossesKilled: 0, killsByType: {}, creditsCollected: 0 };
+}
+
+function createPlayer(slotIndex, hp = 100) {
+    return {
+        slotIndex,
+        hp: () => hp,
+        runStats: { kills: 0, bossesKilled: 0, damageTaken: 0, damageDealt: 0, creditsPickedUp: 0 }
+    };
+}
+
+function kill(kind, enemyType, killerSlot) {
+    emitGameEvent('enemyKilled', { entity: {}, kind, enemyType, killerSlot, x: 0, y: 0 });
+}
+
+describe('game event bus', () => {
+    afterEach(() => clearGameEventListeners());
+
+    it('delivers payloads in subscription order until unsubscribed', () => {
+        const seen = [];
+        const stopFirst = onGameEvent('roomCleared', ({ room }) => seen.push(`first ${room}`));
+        onGameEvent('roomCleared', ({ room }) => seen.push(`second ${room}`));
+
+        emitGameEvent('roomCleared', { floor: 1, room: 1 });
+        stopFirst();
+        emitGameEvent('roomCleared', { floor: 1, room: 2 });
+
+        assert.deepEqual(seen, ['first 1', 'second 1', 'second 2']);
+    });
+
+    it('rejects events that are not in the catalogue', () => {
+        assert.throws(() => emitGameEvent('enemyKiled', {}), /Unknown game event: enemyKiled/);
+        assert.throws(() => onGameEvent('roomClear', () => {}), /Unknown game event/);
+    });
+
+    it('keeps delivering when a listener throws', () => {
+        const logged = mock.method(console, 'error', () => {});
+        let delivered = false;
+        onGameEvent('floorCompleted', () => {
+            throw new Error('broken listener');
+        });
+        onGameEvent('floorCompleted', () => {
+            delivered = true;
+        });
+
+        emitGameEvent('floorCompleted', { floor: 2 });
+        logged.mock.restore();
+
+        assert.equal(delivered, true);
+        assert.equal(logged.mock.callCount(), 1);
+    });
+});
+
+describe('run stats recorder', () => {
+    let runStats;
+    let players;
+    let stopRecording;
+
+    beforeEach(() => {
+        runStats = createRunStats();
+        players = [createPlayer(0), createPlayer(1)];
+        stopRecording = startRunStatsRecorder({ getRunStats: () => runStats, players, localPlayer: players[0] });
+    });
+
+    afterEach(() => stopRecording());
+
+    it('counts kills by kind and credits the killer, falling back to the local player', () => {
+        kill('enemy', 'basic', 1);
+        kill('enemy', 'basic', undefined);
+        kill('miniboss', 'brute', 1);
+        kill('boss', 'gatekeeper', 0);
+
+        assert.equal(runStats.enemiesKilled, 4);
+        assert.deepEqual(runStats.killsByType, { basic: 2, brute: 1, gatekeeper: 1 });
+        assert.equal(runStats.minibossesKilled, 1);
+        assert.equal(runStats.bossesKilled, 1);
+        assert.deepEqual([players[0].runStats.kills, players[1].runStats.kills], [2, 2]);
+        assert.equal(players[0].runStats.bossesKilled, 1);
+    });
+
+    it('records pickups, damage and rooms cleared', () => {
+        emitGameEvent('pickupCollected', { player: players[1], pickupType: 'credits', value: 3 });
+        emitGameEvent('pickupCollected', { player: players[0], pickupType: 'xp', value: 5 });
+        emitGameEvent('pickupCollected', { player: players[0], pickupType: 'health', value: 10 });
+        emitGameEvent('playerDamaged', { player: players[0], amount: 7, floor: 1 });
+        emitGameEvent('damageResolved', { target: {}, targetType: 'enemy', tags: [], damage: 12, killed: false, ownerSlotIndex: 1 });
+        emitGameEvent('damageResolved', { target: {}, targetType: 'barrel', tags: [], damage: 1, killed: true, ownerSlotIndex: 1 });
+        emitGameEvent('roomCleared', { floor: 1, room: 1 });
+
+        assert.equal(runStats.creditsCollected, 3);
+        assert.equal(players[1].runStats.creditsPickedUp, 3);
+        assert.equal(runStats.xpOrbsCollected, 1);
+        assert.equal(players[0].runStats.damageTaken, 7);
+        assert.equal(players[1].runStats.damageDealt, 12);
+        assert.equal(runStats.roomsCleared, 1);
+    });
+
+    it('stops recording once stopped', () => {
+        stopRecording();
+        kill('enemy', 'basic', 0);
+        assert.equal(runStats.enemiesKilled, 0);
+    });
+});
+
+describe('achievement checker listeners', () => {
+    beforeEach(() => {
+        resetLocalStorage();
+        initAchievementChecker(null);
+    });
+
+    afterEach(() => clearGameEventListeners());
+
+    it('awards closeCall for a hit that leaves the local player at 1 HP', () => {
+        emitGameEvent('playerDamaged', { player: createPlayer(0, 2), amount: 3, floor: 1 });
+        assert.deepEqual(getRunUnlockedAchievements(), []);
+
+        emitGameEvent('playerDamaged', { player: createPlayer(0, 1), amount: 1, floor: 1 });
+        assert.deepEqual(getRunUnlockedAchievements(), ['closeCall']);
+    });
+
+    it('awards noHitBoss only when the fight started after the last hit', () => {
+        const bossDefeated = { bossType: 'gatekeeper', killerSlot: 0, playerHP: 80, playerMaxHP: 100 };
+        emitGameEvent('bossFightStarted', { bossType: 'gatekeeper', playerHP: 90 });
+        emitGameEvent('playerDamaged', { player: createPlayer(0, 80), amount: 10, floor: 1 });
+        emitGameEvent('bossDefeated', bossDefeated);
+        assert.ok(!getRunUnlockedAchievements().includes('noHitBoss'));
+
+        emitGameEvent('bossFightStarted', { bossType: 'gatekeeper', playerHP: 80 });
+        emitGameEvent('bossDefeated', bossDefeated);
+        assert.ok(getRunUnlockedAchievements().includes('noHitBoss'));
+    });
+
+    it('remembers evolutions across runs and awards fullArsenal once every starting weapon evolved', () => {
+        const evolutions = { pistol: 'penetrator', smg: 'bulletHose', shotgun: 'flakCannon', sniper: 'gaussRifle', flamethrower: 'inferno' };
+        for (const [fromWeapon, weaponKey] of Object.entries(evolutions)) {
+            emitGameEvent('weaponEvolved', { player: createPlayer(0), weaponKey, fromWeapon });
+        }
+        assert.deepEqual(getRunUnlockedAchievements(), ['firstEvolution']);
+
+        initAchievementChecker(null);
+        emitGameEvent('weaponEvolved', { player: createPlayer(0), weaponKey: 'clusterLauncher', fromWeapon: 'explosive' });
+        assert.deepEqual(getRunUnlockedAchievements(), ['fullArsenal']);
+    });
+
+    it('replaces the previous run\'s listeners on a new run', () => {
+        initAchievementChecker(null);
+        for (let i = 0; i < 2; i++) {
+            emitGameEvent('synergyActivated', { player: createPlayer(0), synergyKey: 'shotgun', synergy: {} });
+        }
+        // Doubled listeners would have counted 4 synergies and awarded synergyMaster
+        assert.deepEqual(getRunUnlockedAchievements(), ['firstSynergy']);
+    });
+});
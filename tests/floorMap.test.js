@@ -0,0 +1,140 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { FloorMap, generateFloorMap, SPECIAL_ROOM_TYPES } from '../src/systems/floorMap.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+
+const DIRECTION_OFFSETS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    right: { x: 1, y: 0 }
+};
+
+/**
+ * Walk the map's connections from the start room and collect reachable room keys
+ */
+function reachableRooms(map) {
+    const start = map.startPosition;
+    const visited = new Set([`${start.x},${start.y}`]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+        const pos = queue.shift();
+        const room = map.getRoom(pos.x, pos.y);
+        for (const [direction, offset] of Object.entries(DIRECTION_OFFSETS)) {
+            if (!room.connections[direction]) continue;
+            const next = { x: pos.x + offset.x, y: pos.y + offset.y };
+            const key = `${next.x},${next.y}`;
+            if (!visited.has(key)) {
+                assert.ok(map.getRoom(next.x, next.y), `connection ${direction} from ${pos.x},${pos.y} leads nowhere`);
+                visited.add(key);
+                queue.push(next);
+            }
+        }
+    }
+    return visited;
+}
+
+// Generate a spread of floors and seeds so invariants are checked on many layouts
+function sampleMaps() {
+    const maps = [];
+    for (let floor = 1; floor <= 8; floor++) {
+        for (let seed = 1; seed <= 25; seed++) {
+            maps.push(generateFloorMap(floor, new SeededRandom(floor * 1000 + seed)));
+        }
+    }
+    return maps;
+}
+
+describe('FloorMap generation', () => {
+    let maps;
+
+    before(() => {
+        // Generation logs a debug print of every map
+        mock.method(console, 'log', () => {});
+        maps = sampleMaps();
+    });
+
+    after(() => mock.restoreAll());
+
+    it('places the start room in the first column', () => {
+        for (const map of maps) {
+            assert.equal(map.startPosition.x, 0);
+            assert.equal(map.getRoom(map.startPosition.x, map.startPosition.y).type, 'start');
+        }
+    });
+
+    it('places the boss room in the last column', () => {
+        for (const map of maps) {
+            assert.equal(map.bossPosition.x, map.width - 1);
+            assert.equal(map.getRoom(map.bossPosition.x, map.bossPosition.y).type, 'boss');
+        }
+    });
+
+    it('always has a path from start to boss', () => {
+        for (const map of maps) {
+            const reachable = reachableRooms(map);
+            assert.ok(reachable.has(`${map.bossPosition.x},${map.bossPosition.y}`), `boss unreachable on floor ${map.floor}`);
+            assert.equal(map.validate(), true);
+        }
+    });
+
+    it('never connects rooms to the left', () => {
+        for (const map of maps) {
+            for (const room of map.rooms.values()) {
+                assert.equal(room.connections.left, undefined);
+                assert.equal(room.getAdjacentPosition('left'), null);
+            }
+        }
+    });
+
+    it('keeps every room inside the grid', () => {
+        for (const map of maps) {
+            for (const room of map.rooms.values()) {
+                const { x, y } = room.position;
+                assert.ok(x >= 0 && x < map.width && y >= 0 && y < map.height);
+            }
+        }
+    });
+
+    it('generates the same layout for the same seed', () => {
+        const describeMap = (map) => [...map.rooms.values()].map(room => ({
+            key: room.getKey(),
+            type: room.type,
+            connections: room.connections,
+            enemyTypes: room.enemyTypes
+        }));
+
+        const first = new FloorMap(3, 6, 4, new SeededRandom(2024));
+        const second = new FloorMap(3, 6, 4, new SeededRandom(2024));
+        assert.deepEqual(describeMap(first), describeMap(second));
+    });
+
+    it('places at most one of each special room, only on branches', () => {
+        let placed = 0;
+        for (const map of maps) {
+            const branchKeys = new Set(map.branchPositions.map(pos => `${pos.x},${pos.y}`));
+            for (const type of SPECIAL_ROOM_TYPES) {
+                const rooms = [...map.rooms.values()].filter(room => room.type === type);
+                assert.ok(rooms.length <= 1, `${rooms.length} ${type} rooms on floor ${map.floor}`);
+                for (const room of rooms) {
+                    assert.ok(branchKeys.has(room.getKey()), `${type} room off the branches`);
+                    assert.ok(room.enemyTypes.length === 0 || type === 'challenge');
+                    placed++;
+                }
+            }
+        }
+        assert.ok(placed > 0, 'no special rooms generated');
+    });
+
+    it('round-trips room types through the layout state', () => {
+        const map = new FloorMap(2, 6, 4, new SeededRandom(77));
+        const layout = JSON.parse(JSON.stringify(map.getLayoutState()));
+        const types = [...map.rooms.values()].map(room => room.type);
+
+        map.rooms.forEach(room => {
+            if (SPECIAL_ROOM_TYPES.includes(room.type)) room.type = 'combat';
+        });
+        map.restoreLayoutState(layout);
+        assert.deepEqual([...map.rooms.values()].map(room => room.type), types);
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXED_DT, installFixedTimestep, setFrameClockSpeed } from '../src/systems/frameClock.js';
+
+/**
+ * A window whose animation frames fire when the test says so, running a
+ * KAPLAY-style loop (each frame asks for the next) on the fixed clock
+ */
+function createDisplay() {
+    let nativeCallback = null;
+    const win = {
+        requestAnimationFrame(callback) {
+            nativeCallback = callback;
+            return 1;
+        },
+        cancelAnimationFrame() {
+            nativeCallback = null;
+        }
+    };
+    installFixedTimestep(win);
+
+    const stepTimes = [];
+    const loop = (time) => {
+        stepTimes.push(time);
+        win.requestAnimationFrame(loop);
+    };
+    win.requestAnimationFrame(loop);
+
+    let now = 0;
+    return {
+        stepTimes,
+        /** Fire one animation frame ms after the last, returning the game steps it ran */
+        frame(ms) {
+            now += ms;
+            const before = stepTimes.length;
+            const callback = nativeCallback;
+            nativeCallback = null;
+            callback(now);
+            return stepTimes.length - before;
+        }
+    };
+}
+
+/** Steps run by each animation frame over the given seconds at the given refresh rate */
+function runSeconds(display, hz, seconds = 1) {
+    return Array.from({ length: hz * seconds }, () => display.frame(1000 / hz));
+}
+
+describe('frame clock', () => {
+    afterEach(() => setFrameClockSpeed(1));
+
+    it('hands the game timestamps exactly one fixed step apart', () => {
+        const display = createDisplay();
+        display.frame(0);
+        runSeconds(display, 60);
+        const gaps = display.stepTimes.slice(1).map((time, i) => time - display.stepTimes[i]);
+        assert.ok(gaps.every(gap => gap === FIXED_DT * 1000));
+    });
+
+    it('runs a double step about every 15th frame on a 60 Hz display', () => {
+        const display = createDisplay();
+        display.frame(0);
+        const steps = runSeconds(display, 60, 2);
+        const doubles = steps.flatMap((n, i) => (n === 2 ? [i] : []));
+
+        assert.ok(steps.every(n => n === 1 || n === 2));
+        // 64 steps on 60 frames: the judder the missing interpolation leaves
+        assert.ok(doubles.length >= 7);
+        assert.ok(doubles.slice(1).every((frame, i) => Math.abs(frame - doubles[i] - 15) <= 1));
+    });
+
+    it('draws at most 64 frames a second on a 144 Hz display', () => {
+        const display = createDisplay();
+        display.frame(0);
+        const steps = runSeconds(display, 144, 2);
+        const drawn = steps.filter(n => n > 0).length;
+
+        assert.ok(steps.every(n => n <= 1));
+        assert.ok(drawn >= 127 && drawn <= 128, `${drawn} frames drawn in two seconds`);
+    });
+
+    it('slows down after a stall instead of catching it all up', () => {
+        const display = createDisplay();
+        display.frame(0);
+        // A quarter of a second is 16 steps; one frame runs 8 and drops the rest
+        assert.equal(display.frame(250), 8);
+        assert.equal(display.frame(FIXED_DT * 1000), 2);
+    });
+
+    it('runs several steps per frame when fast-forwarding', () => {
+        const display = createDisplay();
+        display.frame(0);
+        setFrameClockSpeed(4);
+        const steps = runSeconds(display, 64);
+        assert.ok(steps.every(n => n === 4));
+    });
+});
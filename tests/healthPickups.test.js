@@ -0,0 +1,103 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { FIXED_DT } from '../src/systems/frameClock.js';
+import { addPlayer } from './helpers/players.js';
+import { createHealthPickup, applyHealthPickup, canUseHealthPickup } from '../src/entities/pickup.js';
+import { rollHealthDrop, getHealthDropChance, getBossHealthDrops } from '../src/systems/enemySpawn.js';
+import { HEALTH_PICKUPS, PICKUP_CONFIG } from '../src/config/constants.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+
+describe('health drop tables', () => {
+    it('favors tanky enemies over fodder', () => {
+        assert.ok(getHealthDropChance('heavyTank', 1) > getHealthDropChance('rusher', 1));
+    });
+
+    it('drops more often on deeper floors', () => {
+        assert.ok(getHealthDropChance('rusher', 5) > getHealthDropChance('rusher', 1));
+        assert.ok(getHealthDropChance('healer', 99) <= 1);
+    });
+
+    it('only rolls pickups that exist, and no overheal shards before floor 3', () => {
+        const rng = new SeededRandom(42);
+        const floor1 = new Set();
+        const floor4 = new Set();
+        for (let i = 0; i < 2000; i++) {
+            floor1.add(rollHealthDrop('healer', 1, rng));
+            floor4.add(rollHealthDrop('healer', 4, rng));
+        }
+        floor1.delete(null);
+        floor4.delete(null);
+        assert.ok(!floor1.has('overhealShard'));
+        assert.ok(floor4.has('overhealShard'));
+        for (const key of [...floor1, ...floor4]) assert.ok(HEALTH_PICKUPS[key], key);
+    });
+
+    it('is deterministic for the same seed', () => {
+        const rollAll = seed => {
+            const rng = new SeededRandom(seed);
+            return Array.from({ length: 50 }, () => rollHealthDrop('golem', 3, rng));
+        };
+        assert.deepEqual(rollAll(7), rollAll(7));
+    });
+
+    it('always gives bosses more healing than minibosses', () => {
+        assert.deepEqual(getBossHealthDrops(false), ['largeHeart']);
+        assert.ok(getBossHealthDrops(true).length > getBossHealthDrops(false).length);
+    });
+});
+
+describe('health pickups', () => {
+    let k;
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    it('heals a percentage of max health with a flat minimum', () => {
+        const player = addPlayer(k, 0, 0, { hp: 10, maxHealth: 200 });
+        assert.equal(applyHealthPickup(player, 'smallHeart'), 20);
+        assert.equal(player.hp(), 30);
+
+        const small = addPlayer(k, 0, 0, { hp: 10, maxHealth: 20 });
+        assert.equal(applyHealthPickup(small, 'smallHeart'), HEALTH_PICKUPS.smallHeart.minHeal);
+    });
+
+    it('hearts stop at max health and are ignored by full-health players', () => {
+        const player = addPlayer(k, 0, 0, { hp: 95 });
+        assert.equal(applyHealthPickup(player, 'largeHeart'), 5);
+        assert.equal(player.hp(), 100);
+        assert.equal(canUseHealthPickup(player, 'largeHeart'), false);
+        assert.equal(applyHealthPickup(player, 'largeHeart'), 0);
+    });
+
+    it('overheal shards go past max health up to the overheal cap', () => {
+        const cap = 100 * (1 + PICKUP_CONFIG.OVERHEAL_CAP);
+        const player = addPlayer(k, 0, 0, { hp: 100 });
+        assert.equal(canUseHealthPickup(player, 'overhealShard'), true);
+        for (let i = 0; i < 10; i++) applyHealthPickup(player, 'overhealShard');
+        assert.equal(player.hp(), cap);
+        assert.equal(canUseHealthPickup(player, 'overhealShard'), false);
+    });
+
+    it('hearts never take away overheal', () => {
+        const player = addPlayer(k, 0, 0, { hp: 120 });
+        assert.equal(applyHealthPickup(player, 'smallHeart'), 0);
+        assert.equal(player.hp(), 120);
+    });
+
+    it('creates a pickup for every health type and despawns after its lifetime', () => {
+        for (const key of Object.keys(HEALTH_PICKUPS)) {
+            const pickup = createHealthPickup(k, 50, 50, key);
+            assert.ok(pickup.is('healthPickup'));
+            assert.equal(pickup.healthType, key);
+            assert.equal(pickup.pickupType, 'health');
+        }
+        assert.equal(createHealthPickup(k, 0, 0, 'notAHeart'), null);
+
+        const frames = Math.ceil(PICKUP_CONFIG.HEALTH_LIFETIME / FIXED_DT) + 1;
+        for (let frame = 0; frame < frames; frame++) k.step();
+        assert.equal(k.get('healthPickup').length, 0);
+    });
+});
@@ -0,0 +1,9 @@
+/**
+ * KAPLAY Stub
+ *
+ * Tests run entity factories and systems on the dedicated server's headless
+ * KAPLAY (see src/server/headlessKaplay.js for what it implements and the
+ * input helpers it adds).
+ */
+
+export { createHeadlessKaplay as createKaplayStub } from '../../src/server/headlessKaplay.js';
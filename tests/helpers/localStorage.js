@@ -0,0 +1,26 @@
+/**
+ * In-memory localStorage for tests
+ *
+ * Settings, saves and tutorial progress all persist through localStorage,
+ * which Node doesn't provide. Import this before any game module.
+ */
+
+const store = new Map();
+
+globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+    clear: () => store.clear(),
+    key: (index) => [...store.keys()][index] ?? null,
+    get length() {
+        return store.size;
+    }
+};
+
+/**
+ * Wipe all stored data (call in beforeEach for a fresh save)
+ */
+export function resetLocalStorage() {
+    store.clear();
+}
@@ -0,0 +1,84 @@
+/**
+ * Player Fixtures
+ *
+ * Players as the tests need them: an entity in a headless KAPLAY world, a
+ * party slot, or a player in a network snapshot. Tests pass only the fields
+ * they care about as overrides.
+ */
+
+/**
+ * Add a living player entity to a KAPLAY world
+ * @param {Object} k - KAPLAY instance (see kaplayStub.js)
+ * @param {number} x - Position
+ * @param {number} y - Position
+ * @param {Object} stats - Extra fields; hp sets the starting health
+ * @returns {Object} Player entity
+ */
+export function addPlayer(k, x = 400, y = 300, { hp = 100, ...stats } = {}) {
+    const player = k.add([k.pos(x, y), k.area(), k.health(hp), 'player']);
+    Object.assign(player, { isDead: false, slotIndex: 0, maxHealth: 100 }, stats);
+    return player;
+}
+
+/**
+ * An empty party slot (partySystem.js shape)
+ * @param {Object} overrides - Fields to set
+ * @returns {Object}
+ */
+export function makePartySlot(overrides = {}) {
+    return {
+        playerId: null,
+        playerName: null,
+        inviteCode: null,
+        selectedCharacter: null,
+        isLocal: false,
+        peerId: null,
+        isReady: false,
+        ...overrides
+    };
+}
+
+/**
+ * A connected player's party slot
+ * @param {number} index - Slot index, used to make the IDs unique
+ * @param {Object} overrides - Fields to set
+ * @returns {Object}
+ */
+export function makePartyPlayer(index, overrides = {}) {
+    return makePartySlot({
+        playerId: `p${index}`,
+        playerName: `Player ${index}`,
+        inviteCode: `00000${index}`,
+        peerId: `peer-${index}`,
+        ...overrides
+    });
+}
+
+/**
+ * A player as the host sends it in game state (snapshotCodec.js input)
+ * @param {Object} overrides - Fields to set
+ * @returns {Object}
+ */
+export function makeSnapshotPlayer(overrides = {}) {
+    return {
+        slotIndex: 1,
+        x: 100.3,
+        y: 200.6,
+        angle: -90,
+        hp: 80,
+        maxHealth: 100,
+        level: 3,
+        xp: 12.5,
+        isDead: false,
+        weapons: [{ key: 'pistol', level: 1 }],
+        passiveUpgrades: [],
+        upgradeStacks: { speed: 2 },
+        speed: 150,
+        damage: 10,
+        pickupRadius: 60,
+        invulnerable: false,
+        invulnerableTime: 0,
+        runStats: { kills: 4, creditsPickedUp: 2, bossesKilled: 0 },
+        ...overrides
+    };
+}
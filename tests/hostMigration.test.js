@@ -0,0 +1,61 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { makePartySlot, makePartyPlayer } from './helpers/players.js';
+import { electNextHost, handOffHost, handleHostLoss } from '../src/systems/hostMigration.js';
+import { getParty, followNewHost, getHostSlot } from '../src/systems/partySystem.js';
+
+describe('host election', () => {
+    it('picks the next connected slot after the host', () => {
+        const slots = [makePartyPlayer(0), makePartyPlayer(1), makePartyPlayer(2), makePartySlot()];
+        assert.equal(electNextHost(slots, 0), 1);
+        assert.equal(electNextHost(slots, 1), 2);
+    });
+
+    it('wraps around past the last slot', () => {
+        const slots = [makePartyPlayer(0), makePartySlot(), makePartyPlayer(2), makePartyPlayer(3)];
+        assert.equal(electNextHost(slots, 3), 0);
+    });
+
+    it('skips disconnected players, dedicated servers and players without a peer ID', () => {
+        const slots = [
+            makePartyPlayer(0, { isServer: true }),
+            makePartyPlayer(1),
+            makePartyPlayer(2, { isDisconnected: true }),
+            makePartyPlayer(3, { peerId: null })
+        ];
+        assert.equal(electNextHost(slots, 1), -1);
+
+        slots[3].peerId = 'peer-3';
+        assert.equal(electNextHost(slots, 1), 3);
+    });
+
+    it('elects nobody when the host was alone', () => {
+        assert.equal(electNextHost([makePartyPlayer(0), makePartySlot(), makePartySlot(), makePartySlot()], 0), -1);
+    });
+});
+
+describe('following a new host', () => {
+    beforeEach(() => {
+        const party = getParty();
+        party.slots = [makePartyPlayer(0), makePartyPlayer(1), makePartyPlayer(2, { isLocal: true }), makePartySlot()];
+        party.hostSlot = 0;
+        party.hostInviteCode = '000000';
+    });
+
+    it('points the party at the new host and frees the old host slot', () => {
+        followNewHost(1, 0);
+
+        const party = getParty();
+        assert.equal(getHostSlot(), 1);
+        assert.equal(party.hostInviteCode, '000001');
+        assert.equal(party.slots[0].playerId, null);
+        assert.ok(party.slots[2].isLocal, 'our own slot is kept');
+    });
+
+    it('only migrates during an online run', () => {
+        assert.equal(handOffHost(), false);
+        assert.equal(handleHostLoss(), false);
+        assert.equal(getHostSlot(), 0);
+    });
+});
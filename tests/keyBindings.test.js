@@ -0,0 +1,66 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetLocalStorage } from './helpers/localStorage.js';
+import { getSetting, updateSetting, resetSettings } from '../src/systems/settings.js';
+import {
+    getActionKeys,
+    getActionButtons,
+    setActionBinding,
+    findBindingConflict,
+    reloadBindings
+} from '../src/systems/keyBindings.js';
+
+describe('key bindings', () => {
+    beforeEach(() => {
+        resetLocalStorage();
+        reloadBindings();
+    });
+
+    it('replaces the primary key and keeps the secondary ones', () => {
+        assert.equal(setActionBinding('moveUp', 'i'), true);
+        assert.deepEqual(getActionKeys('moveUp'), ['i', 'up']);
+        assert.deepEqual(getSetting('controls', 'moveUp'), ['i', 'up']);
+    });
+
+    it('rebinds gamepad buttons separately from keys', () => {
+        assert.equal(setActionBinding('ability', 'east', 'gamepad'), true);
+        assert.deepEqual(getActionButtons('ability'), ['east']);
+        assert.deepEqual(getActionKeys('ability'), ['shift']);
+    });
+
+    it('refuses reserved keys, unknown actions and inputs another action uses', () => {
+        assert.equal(setActionBinding('moveUp', 'f5'), false);
+        assert.equal(setActionBinding('fly', 'i'), false);
+        assert.equal(setActionBinding('moveUp', 'd'), false);
+        assert.deepEqual(getActionKeys('moveUp'), ['w', 'up']);
+    });
+
+    it('finds the action an input is already bound to', () => {
+        assert.equal(findBindingConflict('moveUp', 'd'), 'moveRight');
+        assert.equal(findBindingConflict('moveUp', 'w'), null, 'the action\'s own key is no conflict');
+        assert.equal(findBindingConflict('pause', 'south', 'gamepad'), 'interact');
+        assert.equal(findBindingConflict('pause', 'i'), null);
+    });
+
+    it('goes back to the default bindings on reset', () => {
+        setActionBinding('moveUp', 'i');
+        setActionBinding('interact', 'east', 'gamepad');
+        updateSetting('controls', 'pause', ['p']);
+
+        resetSettings();
+        reloadBindings();
+        assert.deepEqual(getActionKeys('moveUp'), ['w', 'up']);
+        assert.deepEqual(getActionButtons('interact'), ['south']);
+        assert.deepEqual(getSetting('controls', 'pause'), ['escape']);
+    });
+
+    it('never writes into the defaults', () => {
+        // No saved settings yet: the first write starts from the defaults
+        updateSetting('controls', 'moveUp', ['i']);
+        getSetting('gamepad', 'pause').push('north');
+        resetSettings();
+        assert.deepEqual(getSetting('controls', 'moveUp'), ['w', 'up']);
+        assert.deepEqual(getSetting('gamepad', 'pause'), ['start']);
+    });
+});
@@ -0,0 +1,186 @@
+import './helpers/localStorage.js';
+// createPlayer() reads window focus and gamepads
+import '../src/server/headlessGlobals.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import {
+    gamepadDevice,
+    keyboardDevice,
+    isSameDevice,
+    getDeviceLabel,
+    getGamepadLobbyButton,
+    getKeyboardLobbyInput,
+    getDeviceMovement,
+    getDeviceAim,
+    isDeviceAbilityPressed,
+    getLocalCoopAim,
+    getKeyboardHalf
+} from '../src/systems/localCoop.js';
+import { setActionBinding, reloadBindings } from '../src/systems/keyBindings.js';
+import { resetSettings } from '../src/systems/settings.js';
+import { createPlayer } from '../src/entities/player.js';
+import {
+    getParty,
+    getPartySize,
+    addLocalCoopPlayer,
+    setLocalCoopCharacter,
+    setLocalInputDevice,
+    hasLocalCoopPlayers,
+    clearLocalCoopPlayers
+} from '../src/systems/partySystem.js';
+
+function addEnemy(k, x, y, tag = 'enemy') {
+    return k.add([k.pos(x, y), k.area(), tag, { isDead: false }]);
+}
+
+describe('local co-op input devices', () => {
+    let k;
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    it('tells devices apart and labels them', () => {
+        assert.ok(isSameDevice(gamepadDevice(1), gamepadDevice(1)));
+        assert.ok(!isSameDevice(gamepadDevice(1), gamepadDevice(2)));
+        assert.ok(!isSameDevice(keyboardDevice('left'), keyboardDevice('right')));
+        assert.ok(!isSameDevice(keyboardDevice('left'), null));
+        assert.equal(getDeviceLabel(gamepadDevice(0)), 'Gamepad 1');
+        assert.equal(getDeviceLabel(keyboardDevice('right')), 'Keyboard (Arrows)');
+    });
+
+    it('maps lobby buttons per gamepad and per keyboard half', () => {
+        assert.equal(getGamepadLobbyButton('south'), 'action');
+        assert.equal(getGamepadLobbyButton('dpad-left'), 'left');
+        assert.equal(getGamepadLobbyButton('start'), null);
+        assert.deepEqual(getKeyboardLobbyInput('f'), { device: keyboardDevice('left'), button: 'action' });
+        assert.deepEqual(getKeyboardLobbyInput('right'), { device: keyboardDevice('right'), button: 'right' });
+        assert.equal(getKeyboardLobbyInput('x'), null);
+    });
+
+    it('reads each keyboard half separately', () => {
+        k.pressKey('w');
+        k.pressKey('right');
+        assert.deepEqual(getDeviceMovement(k, keyboardDevice('left')), { x: 0, y: -1 });
+        assert.deepEqual(getDeviceMovement(k, keyboardDevice('right')), { x: 1, y: 0 });
+    });
+
+    it('reads each gamepad separately, with the D-pad overriding the stick', () => {
+        k.setGamepadStick('left', 1, 0, 0);
+        k.setGamepadStick('left', 0, 0.05, 1);
+        k.pressGamepadButton('dpad-up', 1);
+        assert.deepEqual(getDeviceMovement(k, gamepadDevice(0)), { x: 1, y: 0 });
+        assert.deepEqual(getDeviceMovement(k, gamepadDevice(1)), { x: 0, y: -1 });
+        assert.deepEqual(getDeviceMovement(k, gamepadDevice(2)), { x: 0, y: 0 });
+    });
+
+    it('only counts ability presses from the pressing device, for one frame', () => {
+        k.pressGamepadButton('rshoulder', 1);
+        k.pressKey('enter');
+        assert.ok(isDeviceAbilityPressed(k, gamepadDevice(1)));
+        assert.ok(!isDeviceAbilityPressed(k, gamepadDevice(0)));
+        assert.ok(isDeviceAbilityPressed(k, keyboardDevice('right')));
+        assert.ok(!isDeviceAbilityPressed(k, keyboardDevice('left')));
+
+        k.step();
+        assert.ok(!isDeviceAbilityPressed(k, gamepadDevice(1)));
+        assert.ok(!isDeviceAbilityPressed(k, keyboardDevice('right')));
+    });
+
+    it('aims with the right stick, falling back to the nearest enemy', () => {
+        const player = k.add([k.pos(100, 100), { inputDevice: gamepadDevice(0) }]);
+        assert.equal(getLocalCoopAim(k, player), null);
+
+        addEnemy(k, 100, 400);
+        const boss = addEnemy(k, 100, 40, 'boss');
+        assert.deepEqual(getLocalCoopAim(k, player), { x: 0, y: -1 });
+        boss.isDead = true;
+        assert.deepEqual(getLocalCoopAim(k, player), { x: 0, y: 1 });
+
+        k.setGamepadStick('right', 1, 0);
+        assert.deepEqual(getDeviceAim(k, player.inputDevice), { x: 1, y: 0, active: true });
+        assert.deepEqual(getLocalCoopAim(k, player), { x: 1, y: 0 });
+
+        // Keyboard halves have no aim stick
+        player.inputDevice = keyboardDevice('left');
+        assert.deepEqual(getLocalCoopAim(k, player), { x: 0, y: 1 });
+    });
+});
+
+describe('local co-op keyboard halves', () => {
+    let k;
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    afterEach(() => {
+        resetSettings();
+        reloadBindings();
+    });
+
+    it('moves only the player on the half that owns the key', () => {
+        const left = createPlayer(k, 200, 300, 'survivor');
+        const right = createPlayer(k, 600, 300, 'survivor');
+        left.inputDevice = keyboardDevice('left');
+        right.inputDevice = keyboardDevice('right');
+
+        k.pressKey('w');
+        for (let i = 0; i < 10; i++) k.step();
+        assert.ok(left.pos.y < 300, 'W moves the left player');
+        assert.equal(right.pos.y, 300);
+        k.releaseKey('w');
+
+        k.pressKey('down');
+        for (let i = 0; i < 10; i++) k.step();
+        assert.ok(right.pos.y > 300, 'the down arrow moves the right player');
+        assert.ok(left.pos.y < 300, 'and leaves the left player where it was');
+    });
+
+    it('follows the rebindable move keys', () => {
+        assert.equal(getKeyboardHalf('left').label, 'Keyboard (WASD)');
+        assert.ok(setActionBinding('moveUp', 'i'));
+
+        const left = getKeyboardHalf('left');
+        assert.equal(left.up, 'i');
+        assert.equal(left.label, 'Keyboard (IASD)');
+        assert.equal(getKeyboardHalf('right').up, 'up');
+
+        k.pressKey('w');
+        assert.deepEqual(getDeviceMovement(k, keyboardDevice('left')), { x: 0, y: 0 }, 'W no longer moves anyone');
+        assert.deepEqual(getDeviceMovement(k, keyboardDevice('right')), { x: 0, y: 0 });
+        k.pressKey('i');
+        assert.deepEqual(getDeviceMovement(k, keyboardDevice('left')), { x: 0, y: -1 });
+    });
+});
+
+describe('local co-op party slots', () => {
+    afterEach(() => clearLocalCoopPlayers());
+
+    it('fills empty slots with guests that have no peer', () => {
+        setLocalInputDevice(keyboardDevice('left'));
+        assert.equal(addLocalCoopPlayer('survivor', gamepadDevice(0)), 1);
+        assert.equal(addLocalCoopPlayer('survivor', gamepadDevice(1)), 2);
+        setLocalCoopCharacter(2, 'scout');
+
+        const party = getParty();
+        assert.equal(getPartySize(), 3);
+        assert.ok(hasLocalCoopPlayers());
+        assert.equal(party.slots[2].selectedCharacter, 'scout');
+        assert.equal(party.slots[2].peerId, null);
+        assert.equal(party.slots[2].playerName, 'Player 3');
+        assert.deepEqual(party.slots[1].inputDevice, gamepadDevice(0));
+    });
+
+    it('refuses a fifth player and clears guests and the local device', () => {
+        setLocalInputDevice(gamepadDevice(0));
+        [1, 2, 3].forEach(index => addLocalCoopPlayer('survivor', gamepadDevice(index)));
+        assert.equal(addLocalCoopPlayer('survivor', gamepadDevice(4)), null);
+
+        clearLocalCoopPlayers();
+        assert.equal(getPartySize(), 1);
+        assert.ok(!hasLocalCoopPlayers());
+        assert.equal(getParty().slots[0].inputDevice, null);
+    });
+});
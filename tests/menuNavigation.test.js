@@ -0,0 +1,167 @@
+import './helpers/localStorage.js';
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { setSoundEnabled } from '../src/systems/sounds.js';
+import { createTabs } from '../src/config/uiComponents.js';
+import {
+    createMenuNavigation,
+    getMenuNavigation,
+    getFocusBounds,
+    findNextFocus
+} from '../src/systems/menuNavigation.js';
+
+function addButton(k, x, y, width = 100, height = 40) {
+    return k.add([k.rect(width, height), k.pos(x, y), k.anchor('center'), k.area()]);
+}
+
+// Press and release a D-pad button over two frames (the D-pad is polled)
+function tapDpad(k, direction) {
+    k.pressGamepadButton(`dpad-${direction}`);
+    k.step();
+    k.releaseGamepadButton(`dpad-${direction}`);
+    k.step();
+}
+
+describe('menu navigation', () => {
+    let k;
+
+    // Focus changes play sounds, and Node has no AudioContext
+    before(() => setSoundEnabled(false));
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    it('measures entities from their anchor', () => {
+        const centered = addButton(k, 200, 100, 80, 40);
+        const topLeft = k.add([k.rect(80, 40), k.pos(200, 100), k.anchor('topleft')]);
+        assert.deepEqual(getFocusBounds(centered), { x: 200, y: 100, width: 80, height: 40 });
+        assert.deepEqual(getFocusBounds(topLeft), { x: 240, y: 120, width: 80, height: 40 });
+    });
+
+    it('moves to the nearest item ahead, preferring the same column', () => {
+        const candidates = [
+            { name: 'below', bounds: { x: 100, y: 200 } },
+            { name: 'diagonal', bounds: { x: 180, y: 160 } },
+            { name: 'above', bounds: { x: 100, y: 0 } }
+        ];
+        assert.equal(findNextFocus({ x: 100, y: 100 }, candidates, 'down').name, 'below');
+        assert.equal(findNextFocus({ x: 100, y: 100 }, candidates, 'right').name, 'diagonal');
+        assert.equal(findNextFocus({ x: 100, y: 100 }, candidates, 'left'), null);
+    });
+
+    it('focuses the initial item first, then follows the D-pad around a grid', () => {
+        const nav = createMenuNavigation(k);
+        const topLeft = nav.add(addButton(k, 100, 100), null);
+        const topRight = nav.add(addButton(k, 300, 100), null, { initial: true });
+        const bottomLeft = nav.add(addButton(k, 100, 200), null);
+
+        assert.equal(nav.getFocused(), null);
+        tapDpad(k, 'down');
+        assert.equal(nav.getFocused(), topRight);
+        tapDpad(k, 'left');
+        assert.equal(nav.getFocused(), topLeft);
+        tapDpad(k, 'down');
+        assert.equal(nav.getFocused(), bottomLeft);
+        tapDpad(k, 'down');
+        assert.equal(nav.getFocused(), bottomLeft);
+    });
+
+    it('confirms with A, goes back with B and switches tabs with the shoulders', () => {
+        const calls = [];
+        const nav = createMenuNavigation(k, {
+            onBack: () => calls.push('back'),
+            onPrevTab: () => calls.push('prevTab'),
+            onNextTab: () => calls.push('nextTab')
+        });
+        nav.add(addButton(k, 100, 100), () => calls.push('play'));
+
+        // The first A only shows the focus, so a stray press can't start a run
+        k.pressGamepadButton('south');
+        k.pressGamepadButton('south');
+        k.pressGamepadButton('east');
+        k.pressGamepadButton('lshoulder');
+        k.pressGamepadButton('rshoulder');
+        assert.deepEqual(calls, ['play', 'back', 'prevTab', 'nextTab']);
+    });
+
+    it('repeats a held stick direction after a delay', () => {
+        const nav = createMenuNavigation(k);
+        const buttons = [0, 1, 2, 3].map(row => nav.add(addButton(k, 100, 100 + row * 60), null));
+        nav.focus(buttons[0]);
+
+        k.setGamepadStick('left', 0, 1);
+        k.step(0.1);
+        assert.equal(nav.getFocused(), buttons[1]);
+        k.step(0.1);
+        assert.equal(nav.getFocused(), buttons[1]);
+        k.step(0.35);
+        assert.equal(nav.getFocused(), buttons[2]);
+    });
+
+    it('lets left/right adjust a focused slider instead of moving', () => {
+        const nav = createMenuNavigation(k);
+        let volume = 5;
+        const slider = nav.add(addButton(k, 100, 100), null, { onAdjust: step => { volume += step; } });
+        nav.add(addButton(k, 300, 100), null);
+        nav.focus(slider);
+
+        tapDpad(k, 'right');
+        tapDpad(k, 'right');
+        tapDpad(k, 'left');
+        assert.equal(volume, 6);
+        assert.equal(nav.getFocused(), slider);
+    });
+
+    it('keeps focus on a rebuilt item with the same id', () => {
+        const nav = createMenuNavigation(k);
+        nav.add(addButton(k, 100, 100), null, { id: 'buy' });
+        const old = nav.add(addButton(k, 100, 200), null, { id: 'equip' });
+        nav.focus(old);
+
+        old.destroy();
+        const rebuilt = nav.add(addButton(k, 100, 200), null, { id: 'equip' });
+        assert.equal(nav.getFocused(), rebuilt);
+    });
+
+    it('confines focus and B to a dialog layer until it is popped', () => {
+        const calls = [];
+        const nav = createMenuNavigation(k, { onBack: () => calls.push('leave') });
+        const sceneButton = nav.add(addButton(k, 100, 100), null);
+        nav.focus(sceneButton);
+
+        const popLayer = nav.pushLayer({ onBack: () => calls.push('cancel') });
+        const cancel = nav.add(addButton(k, 350, 300), null, { initial: true });
+        assert.equal(nav.getFocused(), null);
+        tapDpad(k, 'up');
+        assert.equal(nav.getFocused(), cancel);
+        k.pressGamepadButton('east');
+
+        popLayer();
+        assert.equal(nav.getFocused(), sceneButton);
+        k.pressGamepadButton('east');
+        assert.deepEqual(calls, ['cancel', 'leave']);
+    });
+
+    it('drives createTabs: tabs take focus and the shoulders step through them', () => {
+        const nav = createMenuNavigation(k);
+        const selected = [];
+        const tabs = createTabs(k, {
+            tabs: [{ key: 'audio', label: 'Audio' }, { key: 'video', label: 'Video' }, { key: 'data', label: 'Data' }],
+            activeTab: 'audio',
+            onSelect: key => selected.push(key)
+        });
+
+        k.pressGamepadButton('lshoulder');
+        tabs.setActiveTab('video');
+        k.pressGamepadButton('rshoulder');
+        tapDpad(k, 'right');
+        k.pressGamepadButton('south');
+        assert.deepEqual(selected, ['data', 'data', 'audio']);
+        assert.equal(getMenuNavigation(), nav);
+
+        nav.destroy();
+        assert.equal(getMenuNavigation(), null);
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MULTIPLAYER_CONFIG } from '../src/config/constants.js';
+import {
+    createPredictionState,
+    recordInput,
+    reconcile,
+    applyCorrection,
+    resetPrediction,
+    recordPredictedShot,
+    matchPredictedShot,
+    syncClock,
+    getRenderTime,
+    pushSnapshot,
+    sampleSnapshots
+} from '../src/systems/netPrediction.js';
+
+describe('client prediction', () => {
+    it('leaves a correct prediction alone', () => {
+        const state = createPredictionState();
+        const seq = recordInput(state, 100, 100);
+        recordInput(state, 110, 100);
+
+        assert.equal(reconcile(state, seq, 101, 100), null);
+        assert.deepEqual(state.correction, { x: 0, y: 0 });
+        assert.equal(state.history.length, 1, 'acked inputs are dropped');
+    });
+
+    it('corrects by the error at the acked input, shifting later inputs with it', () => {
+        const state = createPredictionState();
+        const first = recordInput(state, 100, 100);
+        const second = recordInput(state, 120, 100);
+
+        assert.deepEqual(reconcile(state, first, 100, 130), { x: 0, y: 30 });
+        assert.deepEqual(state.correction, { x: 0, y: 30 });
+
+        // The next ack agrees with the corrected prediction
+        assert.equal(reconcile(state, second, 120, 130), null);
+    });
+
+    it('ignores acks for inputs it no longer has', () => {
+        const state = createPredictionState();
+        const seq = recordInput(state, 0, 0);
+        resetPrediction(state);
+
+        assert.equal(reconcile(state, seq, 500, 500), null);
+        assert.ok(recordInput(state, 0, 0) > seq, 'sequence numbers keep counting');
+    });
+
+    it('blends small corrections in and snaps large ones', () => {
+        const state = createPredictionState();
+        const pos = { x: 0, y: 0 };
+
+        state.correction = { x: 20, y: 0 };
+        applyCorrection(state, pos, 0.05);
+        assert.ok(pos.x > 0 && pos.x < 20);
+        for (let i = 0; i < 60; i++) applyCorrection(state, pos, 1 / 60);
+        assert.ok(Math.abs(pos.x - 20) < 1e-9);
+        assert.deepEqual(state.correction, { x: 0, y: 0 });
+
+        state.correction = { x: 0, y: 300 };
+        applyCorrection(state, pos, 1 / 60);
+        assert.equal(pos.y, 300);
+    });
+
+    it('records predicted inputs where pending corrections will put the player', () => {
+        const state = createPredictionState();
+        state.correction = { x: 10, y: -10 };
+        recordInput(state, 50, 50);
+        assert.deepEqual(state.history[0], { seq: 1, x: 60, y: 40 });
+    });
+});
+
+describe('predicted shots', () => {
+    it('matches the host copy of a predicted shot once', () => {
+        const state = createPredictionState();
+        recordPredictedShot(state, 1000, 100, 100, 1, 0);
+
+        assert.ok(matchPredictedShot(state, 1080, 110, 104, 0.99, 0.14));
+        assert.ok(!matchPredictedShot(state, 1090, 110, 104, 0.99, 0.14), 'each prediction matches one shot');
+    });
+
+    it('does not match shots aimed elsewhere, fired elsewhere or too late', () => {
+        const state = createPredictionState();
+        recordPredictedShot(state, 1000, 100, 100, 1, 0);
+
+        assert.ok(!matchPredictedShot(state, 1050, 100, 100, 0, 1));
+        assert.ok(!matchPredictedShot(state, 1050, 400, 100, 1, 0));
+        assert.ok(!matchPredictedShot(state, 3000, 100, 100, 1, 0));
+        assert.equal(state.predictedShots.length, 0, 'stale predictions are dropped');
+    });
+});
+
+describe('snapshot interpolation', () => {
+    it('draws entities between the snapshots around the render time', () => {
+        const snapshots = [];
+        pushSnapshot(snapshots, 1000, 0, 0);
+        pushSnapshot(snapshots, 1100, 100, 50);
+        pushSnapshot(snapshots, 1050, 999, 999); // Out of order: dropped
+
+        assert.deepEqual(sampleSnapshots(snapshots, 1050), { x: 50, y: 25 });
+        assert.deepEqual(sampleSnapshots(snapshots, 900), { x: 0, y: 0 }, 'holds at the oldest');
+        assert.deepEqual(sampleSnapshots(snapshots, 1500), { x: 100, y: 50 }, 'no extrapolation');
+        assert.equal(snapshots.length, 1, 'snapshots behind the render time are dropped');
+    });
+
+    it('renders INTERPOLATION_DELAY behind the host clock', () => {
+        const state = createPredictionState();
+        assert.equal(getRenderTime(state, 5000), null);
+
+        // Host clock is 2000ms behind ours; a late snapshot doesn't move the estimate much
+        syncClock(state, 1000, 3000);
+        syncClock(state, 1066, 3266);
+        assert.ok(state.clockOffset >= 2000 && state.clockOffset < 2010);
+
+        syncClock(state, 1133, 3133);
+        assert.equal(state.clockOffset, 2000);
+        assert.equal(getRenderTime(state, 3200), 1200 - MULTIPLAYER_CONFIG.INTERPOLATION_DELAY);
+    });
+});
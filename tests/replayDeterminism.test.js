@@ -0,0 +1,86 @@
+import './helpers/localStorage.js';
+// The game scene reads window focus and gamepads
+import '../src/server/headlessGlobals.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { setupGameScene } from '../src/scenes/game.js';
+import { FIXED_DT } from '../src/systems/frameClock.js';
+import { setSoundEnabled, setMusicEnabled } from '../src/systems/sounds.js';
+import { setGameplayRNG } from '../src/utils/seededRandom.js';
+import {
+    finishReplayRecording,
+    startReplayPlayback,
+    stopReplayPlayback
+} from '../src/systems/replaySystem.js';
+
+const FRAMES = 900;
+
+// A daily run, so the seed (and the room the test plays) is the same every time
+const RUN_ARGS = { resetState: true, isDailyRun: true, dailySeed: 20261019, dailyCharacter: 'survivor' };
+
+/**
+ * Everything the run's outcome depends on, rounded only where floats print noisily
+ */
+function captureState(k) {
+    const [player] = k.get('player');
+    return {
+        scene: k.getSceneName(),
+        player: [player.pos.x, player.pos.y, player.hp(), player.level, player.xp, player.abilityCooldown || 0],
+        enemies: k.get('enemy').map(enemy => [enemy.pos.x, enemy.pos.y, enemy.hp()]),
+        projectiles: k.get('projectile').length
+    };
+}
+
+describe('replay determinism', () => {
+    let k;
+    let getGamepads;
+    // Standard mapping: left stick moves, right stick aims
+    const axes = [0, 0, 0, 0];
+
+    before(() => {
+        setSoundEnabled(false);
+        setMusicEnabled(false);
+        getGamepads = navigator.getGamepads;
+        navigator.getGamepads = () => [{ index: 0, id: 'test pad', axes, buttons: [] }];
+
+        k = createKaplayStub();
+        setupGameScene(k);
+        ['menu', 'gameOver', 'replayViewer', 'roomEditor'].forEach(name => k.scene(name, () => {}));
+    });
+
+    after(() => {
+        stopReplayPlayback();
+        setGameplayRNG(null);
+        navigator.getGamepads = getGamepads;
+    });
+
+    it('replays a recorded run to the same final state', () => {
+        k.go('game', RUN_ARGS);
+        for (let frame = 0; frame < FRAMES; frame++) {
+            // Sweep both sticks so the player moves, turns and fires all run long
+            axes[0] = Math.sin(frame / 37);
+            axes[1] = Math.cos(frame / 53);
+            axes[2] = Math.cos(frame / 11);
+            axes[3] = Math.sin(frame / 17);
+            if (frame === 300 || frame === 360) k.pressKey('escape');
+            if (frame === 500) k.pressKey('shift');
+            k.step(FIXED_DT);
+        }
+        const recorded = captureState(k);
+        const replay = JSON.parse(JSON.stringify(finishReplayRecording()));
+
+        assert.equal(replay.totalFrames, FRAMES);
+        assert.deepEqual(replay.rooms[0].events.map(([frame, type]) => [frame, type]),
+            [[300, 'pause'], [360, 'pause'], [500, 'ability']]);
+        assert.ok(recorded.enemies.length > 0 && recorded.player[2] > 0, 'the run is still going');
+
+        // Live input is ignored during playback
+        axes.fill(0.9);
+        startReplayPlayback(replay);
+        k.go('game', { resetState: true });
+        for (let frame = 0; frame < FRAMES; frame++) k.step(FIXED_DT);
+
+        assert.deepEqual(captureState(k), recorded);
+    });
+});
@@ -0,0 +1,243 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetLocalStorage } from './helpers/localStorage.js';
+import {
+    startReplayRecording,
+    beginReplayRoom,
+    recordReplayFrame,
+    recordReplayMove,
+    recordReplayAim,
+    recordReplayEvent,
+    recordReplayDraft,
+    recordReplayAbility,
+    finishReplayRecording,
+    isReplayRecording,
+    isReplayPlayable,
+    startReplayPlayback,
+    stopReplayPlayback,
+    nextReplayMove,
+    nextReplayAim,
+    advanceReplayPlayback,
+    advanceReplayRoom,
+    takeReplayDraft,
+    getReplayProgress,
+    cycleReplaySpeed
+} from '../src/systems/replaySystem.js';
+import { getPermanentUpgradeLevel, loadSave, saveGame, recordRun, getRunHistory, getRunReplay, resetSave } from '../src/systems/metaProgression.js';
+import { getSetting, updateSetting, resetSettings } from '../src/systems/settings.js';
+import { FIXED_DT } from '../src/systems/frameClock.js';
+
+function fakePlayer(x = 100, y = 200, hp = 50) {
+    return { pos: { x, y }, hp: () => hp };
+}
+
+/**
+ * Record one frame the way the game does: move (player update), aim (autofire), then end the frame
+ */
+function recordFrame(move, aim, player) {
+    recordReplayMove(move);
+    recordReplayAim(aim.angle, aim.firing);
+    recordReplayFrame(player);
+}
+
+/**
+ * Record a two-room run: room 1 walks right then fires up, room 2 stands still
+ */
+function recordSampleRun() {
+    startReplayRecording({ seed: 1234, character: 'survivor', permanentUpgrades: { startingHealth: 2 }, boosters: [], isDailyRun: false });
+
+    beginReplayRoom({ floor: 1, room: 1, playerStats: null }, { templates: { '0,1': 'open' }, enemyTypes: {} });
+    for (let i = 0; i < 30; i++) recordFrame({ x: 1, y: 0 }, { angle: 0, firing: false }, fakePlayer(100 + i, 200));
+    recordReplayDraft(['speed', 'damage', 'health'], 'damage', null, null, 12);
+    recordReplayAbility({ x: 0, y: -1 });
+    recordReplayEvent('pause', 1);
+    for (let i = 0; i < 30; i++) recordFrame({ x: 0, y: -1 }, { angle: -90, firing: true }, fakePlayer(130, 200 - i));
+
+    beginReplayRoom({ floor: 1, room: 2, playerStats: { level: 2 } }, { templates: { '0,1': 'pillars' }, enemyTypes: {} });
+    for (let i = 0; i < 64; i++) recordFrame({ x: 0, y: 0 }, { angle: 45, firing: true }, fakePlayer(400, 300, 40));
+
+    return finishReplayRecording();
+}
+
+describe('replay recording', () => {
+    afterEach(() => resetSettings());
+
+    it('run-length encodes identical frames', () => {
+        const replay = recordSampleRun();
+        assert.equal(isReplayRecording(), false);
+        assert.equal(replay.rooms.length, 2);
+        assert.equal(replay.totalFrames, 124);
+        assert.deepEqual(replay.rooms[0].moves, [[30, 1, 0], [30, 0, -1]]);
+        assert.deepEqual(replay.rooms[0].aims, [[30, 0, 0], [30, -90, 1]]);
+        assert.deepEqual(replay.rooms[1].moves, [[64, 0, 0]]);
+    });
+
+    it('hands back the rounded input it stores, so the live run plays what the replay will', () => {
+        startReplayRecording({ seed: 1, character: 'survivor' });
+        beginReplayRoom({ floor: 1, room: 1 });
+        assert.deepEqual(recordReplayMove({ x: 0.70711, y: -0.70711 }), { x: 0.71, y: -0.71 });
+        assert.equal(recordReplayAim(-89.6, true), -90);
+        const direction = recordReplayAbility({ x: 0.7, y: 0.7 });
+        assert.ok(Math.abs(direction.x - Math.cos(Math.PI / 4)) < 1e-12);
+        finishReplayRecording();
+    });
+
+    it('stamps actions with the frame they were applied on', () => {
+        const replay = recordSampleRun();
+        assert.deepEqual(replay.rooms[0].events, [[30, 'ability', -90], [30, 'pause', 1]]);
+        assert.deepEqual(replay.rooms[0].drafts, [{ options: ['speed', 'damage', 'health'], pick: 'damage', frames: 12 }]);
+    });
+
+    it('samples keyframes every 16 frames', () => {
+        const replay = recordSampleRun();
+        const frames = replay.rooms[1].keyframes.map(keyframe => keyframe[0]);
+        assert.deepEqual(frames, [0, 16, 32, 48]);
+        assert.deepEqual(replay.rooms[1].keyframes[0].slice(1), [400, 300, 40]);
+        assert.equal(replay.rooms[1].duration, 1000);
+    });
+
+    it('keeps the floor layout from the first room of each floor', () => {
+        const replay = recordSampleRun();
+        assert.deepEqual(replay.floors[1].templates, { '0,1': 'open' });
+        assert.deepEqual(replay.rooms[1].checkpoint.playerStats, { level: 2 });
+    });
+
+    it('stores the settings that change how the run plays', () => {
+        updateSetting('gameplay', 'autoPickupXP', true);
+        updateSetting('accessibility', 'reducedMotion', true);
+        const replay = recordSampleRun();
+        assert.equal(replay.settings.gameplay.autoPickupXP, true);
+        assert.equal(replay.settings.visual.showHitFreeze, false, 'reduced motion turns hit freeze off');
+    });
+
+    it('returns null when nothing was recorded', () => {
+        startReplayRecording({ seed: 1, character: 'survivor' });
+        assert.equal(finishReplayRecording(), null);
+    });
+
+    it('is JSON-safe and playable after a round trip', () => {
+        const replay = JSON.parse(JSON.stringify(recordSampleRun()));
+        assert.equal(isReplayPlayable(replay), true);
+        assert.equal(isReplayPlayable({ ...replay, version: 1 }), false);
+        assert.equal(isReplayPlayable(null), false);
+    });
+});
+
+describe('replay playback', () => {
+    beforeEach(() => resetLocalStorage());
+    afterEach(() => {
+        stopReplayPlayback();
+        resetSettings();
+    });
+
+    it('reads the recorded inputs back in order', () => {
+        startReplayPlayback(recordSampleRun());
+
+        const moves = [];
+        const aims = [];
+        for (let i = 0; i < 60; i++) {
+            moves.push(nextReplayMove());
+            aims.push(nextReplayAim());
+        }
+
+        assert.deepEqual(moves[0], { x: 1, y: 0 });
+        assert.deepEqual(moves[45], { x: 0, y: -1 });
+        assert.deepEqual(aims[0], { aimAngle: 0, firing: false });
+        assert.deepEqual(aims[45], { aimAngle: -90, firing: true });
+        assert.deepEqual(nextReplayMove(), { x: 0, y: 0 }, 'no input past the end of the room');
+    });
+
+    it('applies recorded actions on the frame they were recorded on', () => {
+        startReplayPlayback(recordSampleRun());
+        const actions = [];
+        let frame;
+        for (let i = 0; i <= 60; i++) {
+            frame = advanceReplayPlayback();
+            frame.events.forEach(event => actions.push([i, event.type]));
+        }
+        assert.deepEqual(actions, [[30, 'ability'], [30, 'pause']]);
+        assert.equal(frame.ended, true);
+    });
+
+    it('turns a recorded ability back into its direction', () => {
+        startReplayPlayback(recordSampleRun());
+        for (let i = 0; i < 30; i++) advanceReplayPlayback();
+        const [ability] = advanceReplayPlayback().events;
+        assert.ok(Math.abs(ability.value.x) < 1e-12);
+        assert.equal(ability.value.y, -1);
+    });
+
+    it('reports keyframes as they are reached', () => {
+        startReplayPlayback(recordSampleRun(), 1);
+        const first = advanceReplayPlayback();
+        assert.deepEqual(first.keyframe, { x: 400, y: 300, hp: 40 });
+        assert.equal(advanceReplayPlayback().keyframe, null);
+    });
+
+    it('hands out recorded drafts in order for the current room', () => {
+        startReplayPlayback(recordSampleRun());
+        assert.deepEqual(takeReplayDraft(), { options: ['speed', 'damage', 'health'], pick: 'damage', frames: 12 });
+        assert.equal(takeReplayDraft(), null);
+        assert.equal(advanceReplayRoom(), true);
+        assert.equal(takeReplayDraft(), null);
+        assert.equal(advanceReplayRoom(), false);
+    });
+
+    it('tracks progress across room boundaries', () => {
+        const replay = recordSampleRun();
+        startReplayPlayback(replay, 1);
+        for (let i = 0; i < 32; i++) advanceReplayPlayback();
+        const progress = getReplayProgress();
+        assert.equal(progress.elapsed, (60 + 32) * FIXED_DT);
+        assert.equal(progress.duration, replay.duration / 1000);
+    });
+
+    it('cycles through 1x, 2x and 4x', () => {
+        startReplayPlayback(recordSampleRun());
+        assert.deepEqual([cycleReplaySpeed(), cycleReplaySpeed(), cycleReplaySpeed()], [2, 4, 1]);
+    });
+
+    it('uses the recorded permanent upgrades until playback stops', () => {
+        saveGame({ ...loadSave(), permanentUpgradeLevels: { startingHealth: 5 } });
+        startReplayPlayback(recordSampleRun());
+        assert.equal(getPermanentUpgradeLevel('startingHealth'), 2);
+        stopReplayPlayback();
+        assert.equal(getPermanentUpgradeLevel('startingHealth'), 5);
+    });
+
+    it('uses the recorded gameplay settings until playback stops', () => {
+        updateSetting('gameplay', 'autoPickupXP', true);
+        const replay = recordSampleRun();
+        updateSetting('gameplay', 'autoPickupXP', false);
+
+        startReplayPlayback(replay);
+        assert.equal(getSetting('gameplay', 'autoPickupXP'), true);
+        stopReplayPlayback();
+        assert.equal(getSetting('gameplay', 'autoPickupXP'), false);
+    });
+});
+
+describe('recordRun replays', () => {
+    beforeEach(() => resetLocalStorage());
+
+    it('keeps replays only for the most recent runs', () => {
+        const replay = recordSampleRun();
+        for (let i = 0; i < 5; i++) recordRun({ floorsReached: i + 1, replay });
+
+        const history = getRunHistory();
+        assert.equal(history.length, 5);
+        assert.deepEqual(history.map(run => !!getRunReplay(run.id)), [true, true, true, false, false]);
+        assert.deepEqual(getRunReplay(history[0].id), JSON.parse(JSON.stringify(replay)));
+    });
+
+    it('stores replays apart from the save', () => {
+        const { id } = recordRun({ replay: recordSampleRun() });
+        assert.equal(loadSave().runHistory[0].replay, undefined);
+        assert.ok(!localStorage.getItem('superSmashTexty_save').includes('"rooms"'));
+        assert.ok(getRunReplay(id));
+
+        resetSave();
+        assert.equal(getRunReplay(id), null);
+    });
+});
@@ -0,0 +1,129 @@
+import './helpers/localStorage.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROOM_TEMPLATES, getBarrelPositions } from '../src/systems/roomGeneration.js';
+import { getReachableArea } from '../src/systems/pathfinding.js';
+import {
+    createEmptyDraft,
+    createDraftFromTemplate,
+    addPiece,
+    findPieceAt,
+    movePiece,
+    removePiece,
+    resizeObstacle,
+    getPiece,
+    validateDraft,
+    draftToTemplate,
+    exportTemplate,
+    toTemplateKey,
+    startRoomPlaytest,
+    getRoomPlaytest,
+    stopRoomPlaytest,
+    getPlaytestEnemyType
+} from '../src/systems/roomEditor.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+
+const errorsOf = draft => validateDraft(draft).filter(issue => issue.level === 'error');
+
+describe('room editor drafts', () => {
+    it('places snapped pieces and edits them', () => {
+        const draft = createEmptyDraft('Test Room');
+        const wall = addPiece(draft, 'wall', 203, 297);
+        const barrel = addPiece(draft, 'barrel', 504, 96);
+        assert.deepEqual(getPiece(draft, wall), { x: 200, y: 300, width: 30, height: 120, type: 'wall', char: '█' });
+        assert.deepEqual(findPieceAt(draft, 505, 100), barrel);
+        assert.deepEqual(findPieceAt(draft, 210, 340), wall);
+        assert.equal(findPieceAt(draft, 400, 500), null);
+
+        movePiece(draft, wall, 251, 249);
+        resizeObstacle(draft, wall, 2, -20);
+        assert.deepEqual(getPiece(draft, wall), { x: 250, y: 250, width: 50, height: 10, type: 'wall', char: '█' });
+
+        removePiece(draft, barrel);
+        assert.equal(draft.barrels.length, 0);
+    });
+
+    it('turns names into template keys', () => {
+        assert.equal(toTemplateKey('Twin Pillars'), 'twinPillars');
+        assert.equal(toTemplateKey("Boss's   Lair!"), 'bossSLair');
+        assert.equal(toTemplateKey(''), 'customRoom');
+    });
+
+    it('flags obstacles the room bounds would move', () => {
+        const draft = createEmptyDraft();
+        addPiece(draft, 'cover', 20, 200);
+        assert.match(errorsOf(draft)[0].message, /pokes outside the room/);
+    });
+
+    it('flags doors that are cut off from the others', () => {
+        const draft = createEmptyDraft();
+        // Box in the north door
+        draft.obstacles.push(
+            { x: 400, y: 90, width: 300, height: 40, type: 'wall', char: '█' },
+            { x: 270, y: 50, width: 40, height: 60, type: 'wall', char: '█' },
+            { x: 530, y: 50, width: 40, height: 60, type: 'wall', char: '█' }
+        );
+        const messages = errorsOf(draft).map(issue => issue.message);
+        assert.deepEqual(messages, ["The north door can't path to the south door"]);
+    });
+
+    it('keeps every shipped template connected door to door', () => {
+        for (const key of Object.keys(ROOM_TEMPLATES)) {
+            const doorErrors = errorsOf(createDraftFromTemplate(key)).filter(issue => issue.message.includes('door'));
+            assert.deepEqual(doorErrors, [], key);
+        }
+    });
+
+    it('exports source that evaluates back to the same template', () => {
+        const draft = createDraftFromTemplate('streetCorners');
+        draft.floorAffinity = [2];
+        const source = exportTemplate(draft);
+        assert.match(source, /^ {4}streetCorners: \{/);
+        const parsed = new Function(`return {\n${source}\n};`)();
+        assert.deepEqual(parsed.streetCorners, draftToTemplate(draft));
+    });
+});
+
+describe('room editor playtests', () => {
+    afterEach(() => stopRoomPlaytest());
+
+    it('hands the draft and enemy picks to the game scene', () => {
+        const draft = createEmptyDraft('Arena');
+        draft.barrels.push({ x: 300, y: 200 });
+        draft.playtestEnemies = ['tank', 'rusher'];
+        draft.floorAffinity = [3];
+        startRoomPlaytest(draft);
+
+        const playtest = getRoomPlaytest();
+        assert.equal(playtest.floor, 3);
+        assert.equal(playtest.template.key, 'arena');
+        const rng = new SeededRandom(7);
+        for (let i = 0; i < 20; i++) {
+            assert.ok(['tank', 'rusher'].includes(getPlaytestEnemyType(rng)));
+        }
+        // Barrels come straight from the draft template, not ROOM_TEMPLATES
+        assert.deepEqual(getBarrelPositions(playtest.template, new SeededRandom(1), 3).slice(0, 1), [{ x: 300, y: 200 }]);
+
+        stopRoomPlaytest();
+        assert.equal(getRoomPlaytest(), null);
+    });
+});
+
+describe('pathfinding reachability', () => {
+    it('matches the grid walkability used by findPath', () => {
+        const open = getReachableArea([], 800, 600, 400, 300);
+        assert.equal(open.reached, open.walkable);
+
+        // A ring of walls seals off its inside
+        const ring = [
+            { x: 400, y: 200, width: 200, height: 20 },
+            { x: 400, y: 400, width: 200, height: 20 },
+            { x: 300, y: 300, width: 20, height: 220 },
+            { x: 500, y: 300, width: 20, height: 220 }
+        ];
+        const area = getReachableArea(ring, 800, 600, 50, 50);
+        assert.equal(area.isReachable(400, 300), false);
+        assert.equal(area.isReachable(700, 500), true);
+        assert.ok(area.reached < area.walkable);
+    });
+});
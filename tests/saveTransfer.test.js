@@ -0,0 +1,110 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetLocalStorage } from './helpers/localStorage.js';
+import { loadSave, saveGame, migrateSave, SAVE_VERSION, setPlayerName } from '../src/systems/metaProgression.js';
+import { getSettings, updateSetting } from '../src/systems/settings.js';
+import { loadTutorialProgress, saveTutorialProgress } from '../src/systems/tutorial.js';
+import { exportSaveJSON, exportSaveString, importSaveData, parseSaveExport, computeChecksum } from '../src/systems/saveTransfer.js';
+
+const V1_SAVE = {
+    version: 1,
+    currency: 250,
+    playerName: 'OldTimer',
+    inviteCode: 'ABC123',
+    totalXP: 1600,
+    playerLevel: 1,
+    unlocks: { characters: ['survivor', 'scout'], weapons: ['default'], permanentUpgrades: [] },
+    stats: { totalRuns: 4, bestFloor: 3 },
+    equippedCosmetics: { trail: 'trailFire' },
+    futureField: { keep: true }
+};
+
+describe('save migrations', () => {
+    beforeEach(() => resetLocalStorage());
+
+    it('upgrades a v1 save to the current version', () => {
+        const migrated = migrateSave(V1_SAVE);
+        assert.equal(migrated.version, SAVE_VERSION);
+        assert.equal(migrated.selectedCharacter, 'survivor');
+        assert.deepEqual(migrated.activeBoosters, []);
+        assert.deepEqual(migrated.equippedCosmetics, { trail: 'trailFire', death: 'deathNone', glow: 'glowNone' });
+        assert.equal(migrated.playerLevel, 5);
+        assert.deepEqual(migrated.evolvedWeapons, []);
+    });
+
+    it('never drops fields it does not know about', () => {
+        assert.deepEqual(migrateSave(V1_SAVE).futureField, { keep: true });
+    });
+
+    it('leaves saves from a newer version untouched', () => {
+        const newer = { ...V1_SAVE, version: SAVE_VERSION + 1 };
+        assert.deepEqual(migrateSave(newer), newer);
+    });
+
+    it('persists the migrated save on load', () => {
+        localStorage.setItem('superSmashTexty_save', JSON.stringify(V1_SAVE));
+        const save = loadSave();
+        assert.equal(save.version, SAVE_VERSION);
+        assert.deepEqual(save.unlocks.characters, ['survivor', 'scout']);
+        assert.equal(JSON.parse(localStorage.getItem('superSmashTexty_save')).version, SAVE_VERSION);
+    });
+});
+
+describe('save export/import', () => {
+    beforeEach(() => resetLocalStorage());
+
+    /**
+     * Build some progress, export it, then wipe everything
+     */
+    function exportAndWipe(exporter) {
+        saveGame({ ...loadSave(), currency: 777 });
+        setPlayerName('Zoë ★');
+        updateSetting('audio', 'musicVolume', 0.1);
+        saveTutorialProgress({ hintsShown: ['movement', 'levelUp'] });
+        const exported = exporter();
+        resetLocalStorage();
+        return exported;
+    }
+
+    for (const [name, exporter] of [['JSON file', exportSaveJSON], ['base64 string', exportSaveString]]) {
+        it(`round-trips save, settings and tutorial progress as a ${name}`, () => {
+            const exported = exportAndWipe(exporter);
+            assert.deepEqual(importSaveData(exported), { success: true });
+
+            const save = loadSave();
+            assert.equal(save.currency, 777);
+            assert.equal(save.playerName, 'Zoë ★');
+            assert.equal(getSettings().audio.musicVolume, 0.1);
+            assert.deepEqual(loadTutorialProgress().hintsShown, ['movement', 'levelUp']);
+        });
+    }
+
+    it('rejects bundles whose checksum does not match', () => {
+        const bundle = JSON.parse(exportAndWipe(exportSaveJSON));
+        bundle.data.save.currency = 999999;
+        assert.deepEqual(importSaveData(JSON.stringify(bundle)), { success: false, reason: 'checksumMismatch' });
+        assert.equal(loadSave().currency, 0);
+    });
+
+    it('rejects saves from a newer version', () => {
+        const bundle = JSON.parse(exportSaveJSON());
+        bundle.data.save.version = SAVE_VERSION + 1;
+        bundle.checksum = computeChecksum(JSON.stringify(bundle.data));
+        assert.equal(parseSaveExport(JSON.stringify(bundle)).reason, 'newerVersion');
+    });
+
+    it('rejects text that is not a save', () => {
+        assert.equal(parseSaveExport('hello').reason, 'invalidFormat');
+        assert.equal(parseSaveExport('{"format":"other"}').reason, 'invalidFormat');
+        assert.equal(parseSaveExport('').reason, 'invalidFormat');
+    });
+
+    it('accepts raw save JSON exported by older versions and migrates it', () => {
+        assert.deepEqual(importSaveData(JSON.stringify(V1_SAVE)), { success: true });
+        const save = loadSave();
+        assert.equal(save.version, SAVE_VERSION);
+        assert.equal(save.currency, 250);
+        assert.equal(save.playerName, 'OldTimer');
+    });
+});
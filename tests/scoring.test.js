@@ -0,0 +1,82 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetLocalStorage } from './helpers/localStorage.js';
+import { calculateScore } from '../src/systems/leaderboards.js';
+import { calculateCurrencyEarned, calculateRunXP, loadSave, saveGame } from '../src/systems/metaProgression.js';
+
+function setPermanentUpgradeLevels(levels) {
+    const save = loadSave();
+    saveGame({ ...save, permanentUpgradeLevels: levels });
+}
+
+describe('calculateScore', () => {
+    it('combines floor, enemy, boss and time components', () => {
+        const score = calculateScore({ floorsReached: 3, enemiesKilled: 120, bossesKilled: 2, duration: 300 });
+        // 3000 floors + 1200 enemies + 1000 bosses + (30000 - 15000) time bonus
+        assert.equal(score, 20200);
+    });
+
+    it('treats missing stats as floor 1 with no kills', () => {
+        assert.equal(calculateScore({}), 1000 + 30000);
+    });
+
+    it('never gives a negative time bonus for long runs', () => {
+        assert.equal(calculateScore({ floorsReached: 1, duration: 10000 }), 1000);
+    });
+
+    it('rewards a faster run over a slower one with the same progress', () => {
+        const stats = { floorsReached: 4, enemiesKilled: 200, bossesKilled: 3 };
+        assert.ok(calculateScore({ ...stats, duration: 200 }) > calculateScore({ ...stats, duration: 400 }));
+    });
+});
+
+describe('calculateCurrencyEarned', () => {
+    beforeEach(() => resetLocalStorage());
+
+    it('pays per floor, room and kill with no bonuses on a short run', () => {
+        // 10 floor + 15 rooms + 5 kills
+        assert.equal(calculateCurrencyEarned({ floorsReached: 1, roomsCleared: 3, enemiesKilled: 10, bossesKilled: 0 }), 30);
+    });
+
+    it('adds floor and kill milestone bonuses', () => {
+        const currency = calculateCurrencyEarned({ floorsReached: 4, roomsCleared: 20, enemiesKilled: 200, bossesKilled: 3 });
+        // 40 floors + 100 rooms + 100 kills + (10 + 20 + 30) floor bonuses + (10 + 20 + 30) kill bonuses
+        assert.equal(currency, 360);
+    });
+
+    it('applies Boss Bounty and Credit Bonus permanent upgrades', () => {
+        const run = { floorsReached: 1, roomsCleared: 3, enemiesKilled: 10, bossesKilled: 2 };
+        setPermanentUpgradeLevels({ bossBounty: 3 });
+        // 30 base + 2 bosses * 3 levels * 15
+        assert.equal(calculateCurrencyEarned(run), 120);
+
+        setPermanentUpgradeLevels({ bossBounty: 3, creditBonus: 5 });
+        // 120 * 1.4
+        assert.equal(calculateCurrencyEarned(run), 168);
+    });
+
+    it('always returns a whole number', () => {
+        const currency = calculateCurrencyEarned({ floorsReached: 2, roomsCleared: 7, enemiesKilled: 33, bossesKilled: 1 });
+        assert.ok(Number.isInteger(currency));
+    });
+});
+
+describe('calculateRunXP', () => {
+    it('pays per floor, kill and boss', () => {
+        assert.equal(calculateRunXP({ floorsReached: 3, enemiesKilled: 40, bossesKilled: 2 }), 150 + 80 + 200);
+    });
+
+    it('adds the completion bonus from floor 5', () => {
+        assert.equal(calculateRunXP({ floorsReached: 4 }), 200);
+        assert.equal(calculateRunXP({ floorsReached: 5 }), 250 + 200);
+    });
+
+    it('adds the daily run bonus', () => {
+        assert.equal(calculateRunXP({ floorsReached: 1, isDailyRun: true }), 50 + 500);
+    });
+
+    it('treats missing stats as zero', () => {
+        assert.equal(calculateRunXP({}), 0);
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom, createSeed, seedFromString, setGameplayRNG, gameplayRandom } from '../src/utils/seededRandom.js';
+
+function sequence(rng, length = 20) {
+    return Array.from({ length }, () => rng.next());
+}
+
+describe('SeededRandom', () => {
+    it('produces the same sequence for the same seed', () => {
+        assert.deepEqual(sequence(new SeededRandom(12345)), sequence(new SeededRandom(12345)));
+    });
+
+    it('produces different sequences for different seeds', () => {
+        assert.notDeepEqual(sequence(new SeededRandom(1)), sequence(new SeededRandom(2)));
+    });
+
+    it('keeps next() within [0, 1)', () => {
+        const rng = new SeededRandom(99);
+        for (let i = 0; i < 1000; i++) {
+            const value = rng.next();
+            assert.ok(value >= 0 && value < 1, `out of range: ${value}`);
+        }
+    });
+
+    it('keeps range() within [min, max) and returns integers', () => {
+        const rng = new SeededRandom(7);
+        for (let i = 0; i < 1000; i++) {
+            const value = rng.range(3, 9);
+            assert.ok(Number.isInteger(value) && value >= 3 && value < 9, `out of range: ${value}`);
+        }
+    });
+
+    it('replays from reset() and setState()', () => {
+        const rng = new SeededRandom(555);
+        const first = sequence(rng, 5);
+        rng.reset();
+        assert.deepEqual(sequence(rng, 5), first);
+
+        const state = rng.getState();
+        const after = sequence(rng, 5);
+        rng.setState(state);
+        assert.deepEqual(sequence(rng, 5), after);
+    });
+
+    it('shuffles without mutating the input and keeps every element', () => {
+        const input = [1, 2, 3, 4, 5, 6, 7, 8];
+        const shuffled = new SeededRandom(42).shuffle(input);
+        assert.deepEqual(input, [1, 2, 3, 4, 5, 6, 7, 8]);
+        assert.deepEqual([...shuffled].sort((a, b) => a - b), input);
+        assert.deepEqual(new SeededRandom(42).shuffle(input), shuffled);
+    });
+
+    it('derives stable seeds from components and strings', () => {
+        assert.equal(createSeed(1, 2, 3), createSeed(1, 2, 3));
+        assert.notEqual(createSeed(1, 2, 3), createSeed(3, 2, 1));
+        assert.equal(seedFromString('daily-2025-01-01'), seedFromString('daily-2025-01-01'));
+    });
+});
+
+describe('gameplayRandom', () => {
+    it('follows the run RNG while one is set', () => {
+        setGameplayRNG(new SeededRandom(2024));
+        const rolls = Array.from({ length: 20 }, () => gameplayRandom());
+        setGameplayRNG(null);
+        assert.deepEqual(rolls, sequence(new SeededRandom(2024)));
+
+        const value = gameplayRandom();
+        assert.ok(value >= 0 && value < 1);
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeSnapshotPlayer } from './helpers/players.js';
+import {
+    SNAPSHOT_MESSAGE,
+    createSnapshot,
+    encodeSnapshot,
+    decodeSnapshot,
+    readSnapshotHeader,
+    isSnapshotMessage,
+    snapshotToState
+} from '../src/systems/snapshotCodec.js';
+
+function makeEnemies(count, offset = 0) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        x: 50 + i + offset,
+        y: 80 + i,
+        hp: 20,
+        maxHealth: 20,
+        type: 'basic',
+        shieldHealth: 0,
+        armorHealth: 0
+    }));
+}
+
+function makeState(overrides = {}) {
+    return {
+        timestamp: 1700000000123,
+        players: [makeSnapshotPlayer()],
+        enemies: makeEnemies(3),
+        projectiles: [],
+        pickups: [{ id: 40, x: 10, y: 20, type: 'xp', magnetizing: true, isFlyingToUI: false, targetPlayerSlot: 1 }],
+        ...overrides
+    };
+}
+
+function toBytes(buffer) {
+    return new Uint8Array(buffer);
+}
+
+describe('snapshot codec', () => {
+    it('round-trips a full snapshot with quantized positions', () => {
+        const state = makeState();
+        const bytes = toBytes(encodeSnapshot(7, state.timestamp, createSnapshot(state)));
+
+        assert.ok(isSnapshotMessage(bytes));
+        assert.equal(bytes[0], SNAPSHOT_MESSAGE);
+        assert.deepEqual(readSnapshotHeader(bytes), { seq: 7, baselineSeq: 0 });
+
+        const { seq, timestamp, snapshot } = decodeSnapshot(bytes);
+        const decoded = snapshotToState(snapshot, timestamp);
+        assert.equal(seq, 7);
+        assert.equal(decoded.timestamp, state.timestamp);
+        assert.deepEqual(decoded.projectiles, []);
+
+        const [player] = decoded.players;
+        assert.equal(player.slotIndex, 1);
+        assert.equal(player.x, 100.25, 'quarter-pixel positions');
+        assert.equal(player.y, 200.5);
+        assert.ok(Math.abs(player.angle - 270) < 0.01, 'angles wrap into 0-360');
+        assert.equal(player.isDead, false);
+        assert.deepEqual(player.weapons, state.players[0].weapons);
+        assert.deepEqual(player.runStats, state.players[0].runStats);
+        assert.equal(player.inputSeq, undefined, 'missing optional fields stay missing');
+
+        assert.equal(decoded.enemies.length, 3);
+        assert.equal(decoded.enemies[2].type, 'basic');
+        assert.equal(decoded.pickups[0].targetPlayerSlot, 1);
+        assert.equal(decoded.pickups[0].magnetizing, true);
+    });
+
+    it('sends only changes and removals against a baseline', () => {
+        const first = makeState({ enemies: makeEnemies(200) });
+        const baseline = createSnapshot(first);
+        const fullBytes = encodeSnapshot(1, first.timestamp, baseline).byteLength;
+
+        // One enemy moves, one dies, one spawns; the player acks an input
+        const enemies = makeEnemies(200).filter(enemy => enemy.id !== 5);
+        enemies[0].x += 3;
+        enemies.push({ ...enemies[1], id: 300 });
+        const second = makeState({
+            timestamp: first.timestamp + 66,
+            enemies,
+            players: [makeSnapshotPlayer({ inputSeq: 12, ackX: 99, ackY: 201 })]
+        });
+        const deltaBuffer = encodeSnapshot(2, second.timestamp, createSnapshot(second), baseline, 1);
+        assert.ok(deltaBuffer.byteLength < fullBytes / 20, `delta ${deltaBuffer.byteLength}B vs full ${fullBytes}B`);
+
+        const bytes = toBytes(deltaBuffer);
+        assert.deepEqual(readSnapshotHeader(bytes), { seq: 2, baselineSeq: 1 });
+        const { snapshot, timestamp } = decodeSnapshot(bytes, baseline);
+        const decoded = snapshotToState(snapshot, timestamp);
+
+        assert.equal(decoded.enemies.length, 200);
+        assert.ok(!decoded.enemies.some(enemy => enemy.id === 5));
+        assert.equal(decoded.enemies.find(enemy => enemy.id === 1).x, 53);
+        assert.equal(decoded.enemies.find(enemy => enemy.id === 300).y, 81);
+        assert.equal(decoded.players[0].inputSeq, 12);
+        assert.equal(decoded.players[0].ackX, 99);
+        assert.equal(decoded.players[0].hp, 80, 'unchanged fields come from the baseline');
+    });
+
+    it('refuses a delta without its baseline', () => {
+        const state = makeState();
+        const baseline = createSnapshot(state);
+        const bytes = toBytes(encodeSnapshot(2, state.timestamp, createSnapshot(makeState({ enemies: [] })), baseline, 1));
+
+        assert.throws(() => decodeSnapshot(bytes, null), /needs baseline 1/);
+    });
+
+    it('grows past its initial buffer for large states', () => {
+        const state = makeState({ enemies: makeEnemies(1000) });
+        const { snapshot } = decodeSnapshot(toBytes(encodeSnapshot(1, state.timestamp, createSnapshot(state))));
+        assert.equal(snapshot.enemies.size, 1000);
+    });
+});
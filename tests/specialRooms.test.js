@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SHOP_ITEMS, SHOP_SLOTS, CHALLENGE_TYPES, getShopPrice, rollShopStock, rollTreasureReward, rollChallengeType, getRunWallet, spendRunCredits } from '../src/systems/specialRooms.js';
+import { POWERUP_WEAPONS } from '../src/systems/powerupWeapons.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+
+describe('shop rooms', () => {
+    it('raises prices on deeper floors', () => {
+        for (const key of Object.keys(SHOP_ITEMS)) {
+            assert.equal(getShopPrice(key, 1), SHOP_ITEMS[key].basePrice);
+            assert.ok(getShopPrice(key, 4) > getShopPrice(key, 1));
+        }
+        assert.equal(getShopPrice('notAnItem', 1), 0);
+    });
+
+    it('stocks distinct items with a real powerup when one is on sale', () => {
+        const rng = new SeededRandom(3);
+        for (let i = 0; i < 50; i++) {
+            const stock = rollShopStock(2, rng);
+            assert.equal(stock.length, SHOP_SLOTS);
+            assert.equal(new Set(stock.map(entry => entry.itemKey)).size, SHOP_SLOTS);
+            for (const entry of stock) {
+                assert.equal(entry.price, getShopPrice(entry.itemKey, 2));
+                if (entry.itemKey === 'powerup') assert.ok(POWERUP_WEAPONS[entry.powerupKey]);
+            }
+        }
+    });
+
+    it('rolls the same stock for the same seed', () => {
+        assert.deepEqual(rollShopStock(3, new SeededRandom(11)), rollShopStock(3, new SeededRandom(11)));
+    });
+
+    it('only spends credits collected this run', () => {
+        const runStats = { creditsCollected: 20, creditsSpent: 0 };
+        assert.equal(spendRunCredits(runStats, 15), true);
+        assert.equal(getRunWallet(runStats), 5);
+        assert.equal(spendRunCredits(runStats, 10), false);
+        assert.equal(runStats.creditsSpent, 15);
+        assert.equal(getRunWallet({}), 0);
+    });
+});
+
+describe('treasure and challenge rooms', () => {
+    it('always rewards a powerup weapon or an upgrade', () => {
+        const rng = new SeededRandom(5);
+        const kinds = new Set();
+        for (let i = 0; i < 200; i++) {
+            const reward = rollTreasureReward(rng);
+            kinds.add(reward.kind);
+            if (reward.kind === 'powerup') assert.ok(POWERUP_WEAPONS[reward.powerupKey]);
+        }
+        assert.deepEqual([...kinds].sort(), ['powerup', 'upgrade']);
+    });
+
+    it('picks a known challenge deterministically', () => {
+        for (let seed = 1; seed <= 20; seed++) {
+            const type = rollChallengeType(new SeededRandom(seed));
+            assert.ok(CHALLENGE_TYPES[type]);
+            assert.equal(rollChallengeType(new SeededRandom(seed)), type);
+        }
+    });
+});
@@ -0,0 +1,141 @@
+import './helpers/localStorage.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { addPlayer } from './helpers/players.js';
+import { getActionKeys } from '../src/systems/keyBindings.js';
+import { createDoor } from '../src/entities/door.js';
+import { createObstacle } from '../src/entities/obstacle.js';
+import {
+    getSpectateTargets,
+    cycleSpectateTarget,
+    getFollowCamPos,
+    initSpectatorView
+} from '../src/systems/spectatorSystem.js';
+
+function addTeammate(k, name, x, overrides = {}) {
+    return addPlayer(k, x, 300, {
+        playerName: name,
+        level: 3,
+        runStats: { kills: 7 },
+        weapons: [{ key: 'pistol' }, { key: 'shotgun' }],
+        ...overrides
+    });
+}
+
+function hudText(k) {
+    return k.get('spectatorHUD').map(obj => obj.text).filter(Boolean).join(' | ');
+}
+
+describe('spectator targets', () => {
+    it('follows living teammates only', () => {
+        const k = createKaplayStub();
+        const local = addTeammate(k, 'Me', 100, { isDead: true });
+        const ana = addTeammate(k, 'Ana', 200);
+        const downed = addTeammate(k, 'Bo', 300, { isDead: true });
+        const cy = addTeammate(k, 'Cy', 400);
+
+        assert.deepEqual(getSpectateTargets([local, null, ana, downed, cy], local), [ana, cy]);
+    });
+
+    it('cycles both ways and wraps around', () => {
+        const targets = ['a', 'b', 'c'];
+        assert.equal(cycleSpectateTarget(targets, 'a', 1), 'b');
+        assert.equal(cycleSpectateTarget(targets, 'c', 1), 'a');
+        assert.equal(cycleSpectateTarget(targets, 'a', -1), 'c');
+        assert.equal(cycleSpectateTarget(targets, 'gone', 1), 'a', 'a lost target falls back to the first');
+        assert.equal(cycleSpectateTarget([], 'a', 1), null);
+    });
+
+    it('keeps the zoomed view inside the room', () => {
+        // 800x600 at zoom 2 shows 400x300, so the center stays 200/150 from the edges
+        assert.deepEqual(getFollowCamPos({ x: 400, y: 300 }, 800, 600, 2), { x: 400, y: 300 });
+        assert.deepEqual(getFollowCamPos({ x: 10, y: 590 }, 800, 600, 2), { x: 200, y: 450 });
+        assert.deepEqual(getFollowCamPos({ x: 790, y: 5 }, 800, 600, 2), { x: 600, y: 150 });
+    });
+});
+
+describe('spectator view', () => {
+    it('shows the followed teammate while the local player is down', () => {
+        const k = createKaplayStub();
+        const local = addTeammate(k, 'Me', 100);
+        const ana = addTeammate(k, 'Ana', 200, { runStats: { kills: 12 } });
+        const bo = addTeammate(k, 'Bo', 300, { level: 5 });
+        const players = [local, ana, bo];
+        const cleanup = initSpectatorView(k, { getPlayers: () => players, localPlayer: local, isWatching: () => local.isDead });
+
+        k.step();
+        assert.equal(k.get('spectatorHUD').length, 0, 'no HUD while alive');
+
+        local.isDead = true;
+        k.step();
+        assert.match(hudText(k), /Ana/);
+        assert.match(hudText(k), /12 kills/);
+        assert.match(hudText(k), /2 weapons/);
+        assert.match(hudText(k), /revived/);
+
+        k.pressKey(getActionKeys('moveRight')[0]);
+        k.step();
+        assert.match(hudText(k), /Bo/);
+        assert.match(hudText(k), /Lv 5/);
+
+        // The followed teammate goes down: switch to someone still standing
+        bo.isDead = true;
+        k.step();
+        assert.match(hudText(k), /Ana/);
+
+        // Revived: the HUD goes away
+        local.isDead = false;
+        k.step();
+        assert.equal(k.get('spectatorHUD').length, 0);
+
+        cleanup();
+    });
+
+    it('waits for the party as an observer and cleans up', () => {
+        const k = createKaplayStub();
+        const local = addTeammate(k, 'Observer', 0, { isDead: true });
+        const players = [];
+        const cleanup = initSpectatorView(k, { getPlayers: () => players, localPlayer: local, isWatching: () => true, isObserver: true });
+
+        k.step();
+        assert.match(hudText(k), /Waiting for the party/);
+        assert.match(hudText(k), /ESC leave/);
+
+        players.push(addTeammate(k, 'Ana', 200));
+        k.step();
+        assert.match(hudText(k), /Ana/);
+
+        cleanup();
+        assert.equal(k.get('spectatorHUD').length, 0);
+    });
+});
+
+describe('room geometry under a moved camera', () => {
+    // Where an object ends up on screen: fixed objects ignore the camera
+    function drawnPos(k, obj) {
+        return obj.fixed ? obj.pos : k.toScreen(obj.pos);
+    }
+
+    it('draws doors and obstacles where players collide with them', () => {
+        const k = createKaplayStub();
+        const door = createDoor(k, 400, 20, 'north');
+        const wall = createObstacle(k, 300, 300, 40, 40, 'wall');
+        const player = k.add([k.pos(315, 300), k.rect(20, 20), k.anchor('center'), k.area(), 'player']);
+        const hits = [];
+        k.onCollide('player', 'obstacle', (_, obstacle) => hits.push(obstacle));
+
+        // Follow-cam zoom plus a screen-shake offset
+        k.camPos(310, 290);
+        k.camScale(1.4);
+        k.step();
+        assert.deepEqual(hits, [wall], 'collisions stay in world space');
+
+        for (const obj of [door, ...door.parts, wall]) {
+            const offset = drawnPos(k, obj).sub(drawnPos(k, player));
+            const expected = obj.pos.sub(player.pos).scale(1.4);
+            assert.ok(Math.abs(offset.x - expected.x) < 1e-9 && Math.abs(offset.y - expected.y) < 1e-9, 'moves with the camera');
+        }
+    });
+});
+
@@ -0,0 +1,129 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { FIXED_DT } from '../src/systems/frameClock.js';
+import { addPlayer } from './helpers/players.js';
+import { createEnemy } from '../src/entities/enemy.js';
+import { createBoss } from '../src/entities/boss.js';
+import { applyEliteModifier } from '../src/systems/eliteSystem.js';
+import { applyUpgrade } from '../src/systems/upgrades.js';
+import { SYNERGIES } from '../src/systems/synergies.js';
+import { getWeaponDefinition } from '../src/data/weapons.js';
+import {
+    applyStatusEffect,
+    getHitStatusEffects,
+    applyHitStatusEffects,
+    hasStatusEffect,
+    isStatusImmobilized,
+    updateStatusEffects
+} from '../src/systems/statusEffects.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+
+function stepSeconds(k, seconds) {
+    for (let t = 0; t < seconds - 1e-9; t += FIXED_DT) k.step();
+}
+
+describe('status effects', () => {
+    let k;
+
+    beforeEach(() => {
+        k = createKaplayStub();
+    });
+
+    it('refreshes burn to the strongest hit and stacks poison up to its cap', () => {
+        const enemy = createEnemy(k, 400, 300, 'tank', 1);
+        applyStatusEffect(k, enemy, 'burn', { damage: 4, duration: 1 });
+        applyStatusEffect(k, enemy, 'burn', { damage: 2, duration: 2 });
+        assert.deepEqual({ ...enemy.statusEffects.burn }, { damage: 4, remaining: 2, stacks: 1, tickTimer: 0 });
+
+        for (let i = 0; i < 7; i++) applyStatusEffect(k, enemy, 'poison', { damage: 1 });
+        assert.equal(enemy.statusEffects.poison.stacks, 5);
+    });
+
+    it('ticks damage on its interval, shows a marker and expires', () => {
+        addPlayer(k, 700, 500);
+        const enemy = createEnemy(k, 100, 100, 'tank', 1);
+        const startHP = enemy.hp();
+        applyStatusEffect(k, enemy, 'burn', { damage: 3, duration: 1.8 });
+        assert.ok(enemy.text.endsWith('^'));
+
+        stepSeconds(k, 1.1);
+        assert.equal(enemy.hp(), startHP - 6);
+        stepSeconds(k, 0.8);
+        assert.equal(enemy.hp(), startHP - 9);
+        assert.equal(hasStatusEffect(enemy, 'burn'), false);
+        assert.ok(!enemy.text.endsWith('^'));
+    });
+
+    it('roots frozen enemies, then blocks an instant re-freeze', () => {
+        addPlayer(k, 700, 500);
+        const enemy = createEnemy(k, 100, 100, 'basic', 1);
+        applyStatusEffect(k, enemy, 'freeze');
+        assert.equal(isStatusImmobilized(enemy), true);
+        const frozenAt = enemy.pos.clone();
+        stepSeconds(k, 0.5);
+        assert.ok(enemy.pos.eq(frozenAt));
+
+        stepSeconds(k, 0.6);
+        assert.equal(applyStatusEffect(k, enemy, 'freeze'), null);
+        stepSeconds(k, 2.1);
+        assert.ok(applyStatusEffect(k, enemy, 'freeze'));
+    });
+
+    it('keeps bosses immune to freeze but not to damage over time', () => {
+        addPlayer(k, 700, 500);
+        const boss = createBoss(k, 400, 300, 'gatekeeper', 1, new SeededRandom(1));
+        assert.equal(applyStatusEffect(k, boss, 'freeze'), null);
+        assert.ok(applyStatusEffect(k, boss, 'poison', { damage: 5 }));
+    });
+
+    it('runs player ticks through immunity frames and defense', () => {
+        const player = addPlayer(k, 100, 100, { invulnerable: true, defense: 2 });
+        k.onUpdate(() => updateStatusEffects(k, player));
+        applyStatusEffect(k, player, 'poison', { damage: 5, duration: 3 });
+
+        stepSeconds(k, 1.1);
+        assert.equal(player.hp(), 100, 'no tick lands during immunity frames');
+
+        player.invulnerable = false;
+        stepSeconds(k, 1);
+        assert.equal(player.hp(), 97);
+    });
+
+    it('makes vulnerable targets take extra damage from every source', () => {
+        const enemy = createEnemy(k, 400, 300, 'tank', 1);
+        const startHP = enemy.hp();
+        applyStatusEffect(k, enemy, 'vulnerable');
+        enemy.takeDamage(20);
+        assert.equal(enemy.hp(), startHP - 25);
+    });
+});
+
+describe('status effect sources', () => {
+    it('builds flamethrower burn from the weapon and the burn damage stat', () => {
+        const player = { weaponDef: getWeaponDefinition('flamethrower'), fireDotMultiplier: 1.5 };
+        assert.deepEqual(getHitStatusEffects(player, 20), [{ type: 'burn', damage: 9, duration: 2, stacks: 1, chance: 1 }]);
+    });
+
+    it('adds upgrade and synergy effects, with crit-only specs gated on crits', () => {
+        const player = { upgradeStacks: {}, passiveUpgrades: [] };
+        applyUpgrade(player, 'toxicRounds');
+        applyUpgrade(player, 'toxicRounds');
+        SYNERGIES.corrosion.apply(player);
+
+        assert.deepEqual(getHitStatusEffects(player, 10).map(effect => [effect.type, effect.damage]), [['poison', 2]]);
+        assert.deepEqual(getHitStatusEffects(player, 10, true).map(effect => effect.type), ['poison', 'vulnerable']);
+    });
+
+    it('lets Toxic elites poison on contact while shrugging off poison', () => {
+        const k = createKaplayStub();
+        const enemy = createEnemy(k, 400, 300, 'basic', 2);
+        applyEliteModifier(k, enemy, 'toxic');
+        assert.equal(applyStatusEffect(k, enemy, 'poison', { damage: 3 }), null);
+
+        const player = addPlayer(k, 100, 100);
+        const applied = applyHitStatusEffects(k, player, getHitStatusEffects(enemy, enemy.damage || 10));
+        assert.deepEqual(applied, [{ type: 'poison', damage: 2, remaining: 4, stacks: 1 }]);
+    });
+});
@@ -0,0 +1,64 @@
+import './helpers/localStorage.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetLocalStorage } from './helpers/localStorage.js';
+import { createKaplayStub } from './helpers/kaplayStub.js';
+import { checkAndApplySynergies, trackUpgrade, getActiveSynergies } from '../src/systems/synergies.js';
+
+function createPlayer(upgrades = [], upgradeStacks = {}) {
+    const player = { upgradeStacks, spreadAngle: 30, projectileCount: 3, piercing: 1 };
+    upgrades.forEach(key => trackUpgrade(player, key));
+    return player;
+}
+
+describe('checkAndApplySynergies', () => {
+    let k;
+
+    beforeEach(() => {
+        resetLocalStorage();
+        k = createKaplayStub();
+    });
+
+    it('does nothing with fewer than two upgrades', () => {
+        const player = createPlayer(['multiShot']);
+        assert.equal(checkAndApplySynergies(k, player), undefined);
+        assert.deepEqual(getActiveSynergies(player), []);
+    });
+
+    it('activates a synergy once all required upgrades are taken', () => {
+        const player = createPlayer(['multiShot', 'spreadShot']);
+        const activated = checkAndApplySynergies(k, player);
+
+        assert.deepEqual(activated.map(synergy => synergy.name), ['Shotgun Blast']);
+        assert.equal(player.spreadAngle, 45);
+        assert.ok(player.activeSynergies.has('shotgun'));
+    });
+
+    it('never applies the same synergy twice', () => {
+        const player = createPlayer(['multiShot', 'spreadShot']);
+        checkAndApplySynergies(k, player);
+        trackUpgrade(player, 'speed');
+
+        assert.deepEqual(checkAndApplySynergies(k, player), []);
+        assert.equal(player.spreadAngle, 45);
+    });
+
+    it('requires the stack counts for count-based synergies', () => {
+        const player = createPlayer(['damage', 'speed'], { damage: 2, speed: 2 });
+        checkAndApplySynergies(k, player);
+        assert.equal(player.berserkerEnabled, undefined);
+
+        player.upgradeStacks.damage = 3;
+        checkAndApplySynergies(k, player);
+        assert.equal(player.berserkerEnabled, true);
+    });
+
+    it('shows a notification that clears itself', () => {
+        checkAndApplySynergies(k, createPlayer(['piercing', 'multiShot']));
+        const notification = k.get('*').find(obj => obj.text === 'SYNERGY: Piercing Volley');
+        assert.ok(notification);
+
+        k.step(3.1);
+        assert.equal(notification.exists(), false);
+    });
+});
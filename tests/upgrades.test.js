@@ -0,0 +1,128 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getRandomUpgrades,
+    applyUpgrade,
+    getRarityWeights,
+    rollUpgradeRarity,
+    fitUpgradeRarity,
+    setUpgradeDraftFloor,
+    UPGRADES,
+    UPGRADE_STACK_LIMITS
+} from '../src/systems/upgrades.js';
+import { SeededRandom } from '../src/utils/seededRandom.js';
+
+function createPlayer(weapon = 'pistol', upgradeStacks = {}) {
+    return { characterData: { weapon }, upgradeStacks };
+}
+
+function maxStacksFor(key) {
+    return UPGRADES[key].maxStacks || UPGRADE_STACK_LIMITS[key] || 10;
+}
+
+// Draft many times so rare picks show up
+function draftMany(player, drafts = 200, count = 3) {
+    const rng = new SeededRandom(31337);
+    return Array.from({ length: drafts }, () => getRandomUpgrades(count, player, rng));
+}
+
+describe('getRandomUpgrades', () => {
+    it('returns the requested number of distinct upgrades', () => {
+        for (const draft of draftMany(createPlayer())) {
+            assert.equal(draft.length, 3);
+            assert.equal(new Set(draft.map(option => option.key)).size, 3);
+        }
+    });
+
+    it('never offers an upgrade at its stack limit', () => {
+        const upgradeStacks = { damage: maxStacksFor('damage'), multiShot: maxStacksFor('multiShot'), lifesteal: maxStacksFor('lifesteal') };
+        for (const draft of draftMany(createPlayer('pistol', upgradeStacks))) {
+            for (const option of draft) {
+                assert.ok(!(option.key in upgradeStacks), `${option.key} offered past its limit`);
+            }
+        }
+    });
+
+    it('still offers upgrades one stack below the limit', () => {
+        const upgradeStacks = { damage: maxStacksFor('damage') - 1 };
+        const offered = draftMany(createPlayer('pistol', upgradeStacks)).flat().map(option => option.key);
+        assert.ok(offered.includes('damage'));
+    });
+
+    it('only offers weapon upgrades valid for the starting weapon', () => {
+        const pistolOffers = draftMany(createPlayer('pistol')).flat().map(option => option.key);
+        assert.ok(!pistolOffers.includes('spreadShot'), 'shotgun-only upgrade offered to pistol');
+
+        const shotgunOffers = draftMany(createPlayer('shotgun')).flat().map(option => option.key);
+        assert.ok(!shotgunOffers.includes('multiShot'), 'multi-shot offered to shotgun');
+    });
+
+    it('shows fewer cards instead of padding with invalid upgrades', () => {
+        const upgradeStacks = {};
+        Object.keys(UPGRADES).forEach(key => { upgradeStacks[key] = maxStacksFor(key); });
+        delete upgradeStacks.damage;
+
+        const draft = getRandomUpgrades(3, createPlayer('pistol', upgradeStacks), new SeededRandom(1));
+        assert.deepEqual(draft.map(option => option.key), ['damage']);
+    });
+
+    it('is deterministic for the same seed', () => {
+        const player = createPlayer('pistol');
+        const first = getRandomUpgrades(3, player, new SeededRandom(77)).map(option => option.key);
+        const second = getRandomUpgrades(3, player, new SeededRandom(77)).map(option => option.key);
+        assert.deepEqual(first, second);
+    });
+});
+
+describe('upgrade rarity', () => {
+    afterEach(() => setUpgradeDraftFloor(1));
+
+    it('shifts weight from common to rarer tiers with floor and luck', () => {
+        const first = getRarityWeights(1, 0);
+        const deeper = getRarityWeights(4, 0);
+        const lucky = getRarityWeights(1, 3);
+
+        for (const weights of [deeper, lucky]) {
+            assert.ok(weights.common < first.common);
+            assert.ok(weights.rare > first.rare);
+            assert.ok(weights.epic > first.epic);
+            assert.ok(weights.legendary > first.legendary);
+        }
+        assert.equal(getRarityWeights(50, 5).common, 20);
+    });
+
+    it('rolls the same tiers from the same seed', () => {
+        const roll = () => {
+            const rng = new SeededRandom(5);
+            return Array.from({ length: 20 }, () => rollUpgradeRarity(rng, 3, 1));
+        };
+        assert.deepEqual(roll(), roll());
+    });
+
+    it('offers legendary uniques only as legendary cards', () => {
+        setUpgradeDraftFloor(10);
+        const cards = draftMany(createPlayer(), 300).flat();
+        const legendaries = cards.filter(option => UPGRADES[option.key].rarity === 'legendary');
+
+        assert.ok(legendaries.length > 0);
+        for (const option of cards) {
+            assert.equal(option.rarity === 'legendary', UPGRADES[option.key].rarity === 'legendary', option.key);
+        }
+    });
+
+    it('drops a card to the highest tier whose stacks still fit', () => {
+        const player = createPlayer('pistol', { multiShot: maxStacksFor('multiShot') - 2 });
+        assert.equal(fitUpgradeRarity(player, 'multiShot', 'epic'), 'rare');
+        assert.equal(fitUpgradeRarity(player, 'damage', 'legendary'), 'epic');
+        assert.equal(fitUpgradeRarity(player, 'chainReaction', 'common'), 'legendary');
+    });
+
+    it('applies one stack per tier step, capped at the stack limit', () => {
+        const player = { ...createPlayer('pistol', { damage: maxStacksFor('damage') - 2 }), passiveUpgrades: [] };
+        applyUpgrade(player, 'speed', 'epic');
+        applyUpgrade(player, 'damage', 'epic');
+
+        assert.equal(player.upgradeStacks.speed, 3);
+        assert.equal(player.upgradeStacks.damage, maxStacksFor('damage'));
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHARACTER_UNLOCKS } from '../src/data/unlocks.js';
+import { WEAPON_DEFINITIONS } from '../src/data/weapons.js';
+import { UPGRADES, UPGRADE_STACK_LIMITS } from '../src/systems/upgrades.js';
+import {
+    getWeaponEvolutions,
+    getAvailableEvolution,
+    evolveWeapon,
+    getFirePatternShots
+} from '../src/systems/weaponEvolution.js';
+
+function createPlayer(weapon = 'pistol', upgradeStacks = {}) {
+    const weaponDef = WEAPON_DEFINITIONS[weapon];
+    return {
+        characterData: { weapon, stats: { speed: 150 } },
+        weaponKey: weapon,
+        weaponDef,
+        weapons: [weapon],
+        baseProjectileDamage: weaponDef.baseDamage,
+        baseFireRate: weaponDef.fireRate,
+        baseProjectileSpeed: weaponDef.projectileSpeed,
+        piercing: weaponDef.piercing,
+        upgradeStacks
+    };
+}
+
+function maxStacksFor(key) {
+    return UPGRADES[key].maxStacks || UPGRADE_STACK_LIMITS[key] || 10;
+}
+
+describe('weapon evolutions', () => {
+    it('exist for every starting weapon, each with a pattern, glyph and draftable upgrade', () => {
+        const startingWeapons = new Set(Object.values(CHARACTER_UNLOCKS).map(character => character.weapon));
+        for (const weapon of startingWeapons) {
+            const evolutions = getWeaponEvolutions(weapon);
+            assert.ok(evolutions.length > 0, `${weapon} has no evolution`);
+            for (const evolution of evolutions) {
+                assert.ok(evolution.firePattern && evolution.char);
+                assert.ok(UPGRADES[evolution.evolutionUpgrade], `${evolution.key} evolves from an unknown upgrade`);
+                assert.deepEqual(evolution.upgradeCategories, WEAPON_DEFINITIONS[weapon].upgradeCategories);
+            }
+        }
+    });
+
+    it('are offered once the evolution upgrade is maxed, and only once per run', () => {
+        assert.equal(getAvailableEvolution(createPlayer('pistol', { piercing: maxStacksFor('piercing') - 1 })), null);
+
+        const player = createPlayer('pistol', { piercing: maxStacksFor('piercing') });
+        const card = getAvailableEvolution(player);
+        assert.equal(card.key, 'penetrator');
+        assert.equal(card.type, 'evolution');
+
+        evolveWeapon(player, card.key);
+        assert.equal(getAvailableEvolution(player), null);
+    });
+
+    it('are not offered while a powerup weapon is out', () => {
+        const player = createPlayer('smg', { fireRate: maxStacksFor('fireRate') });
+        player.powerupWeapon = 'railgun';
+        assert.equal(getAvailableEvolution(player), null);
+    });
+
+    it('swap the weapon and re-apply upgrades on the evolved stats', () => {
+        const player = createPlayer('pistol', { piercing: maxStacksFor('piercing') });
+        assert.equal(evolveWeapon(player, 'penetrator'), 'pistol');
+
+        assert.equal(player.weaponKey, 'penetrator');
+        assert.deepEqual(player.weapons, ['penetrator']);
+        assert.equal(player.evolvedWeapon, 'penetrator');
+        assert.equal(player.piercing, WEAPON_DEFINITIONS.penetrator.piercing + maxStacksFor('piercing'));
+        assert.equal(player.projectileDamage, WEAPON_DEFINITIONS.penetrator.baseDamage);
+        assert.equal(evolveWeapon(player, 'bulletHose'), null);
+    });
+});
+
+describe('fire patterns', () => {
+    const single = [{ angle: 0, delay: 0 }];
+
+    it('repeat bursts, split twins and fan shots', () => {
+        assert.deepEqual(getFirePatternShots(WEAPON_DEFINITIONS.gaussRifle, single), [
+            { angle: 0, delay: 0 },
+            { angle: 0, delay: 0.1 }
+        ]);
+        assert.deepEqual(getFirePatternShots(WEAPON_DEFINITIONS.bulletHose, single).map(shot => shot.angle), [-5, 5]);
+        assert.deepEqual(getFirePatternShots(WEAPON_DEFINITIONS.inferno, single).map(shot => shot.angle), [-20, 0, 20]);
+    });
+
+    it('add a ring around the normal shots, and leave base weapons alone', () => {
+        const ring = getFirePatternShots(WEAPON_DEFINITIONS.flakCannon, single);
+        assert.equal(ring.length, 1 + WEAPON_DEFINITIONS.flakCannon.firePattern.count);
+        assert.deepEqual(getFirePatternShots(WEAPON_DEFINITIONS.pistol, single), single);
+    });
+});